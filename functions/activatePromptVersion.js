@@ -0,0 +1,36 @@
+// functions/activatePromptVersion.js
+// Admin callable that switches a prompt to another saved version (rollback).
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { requireAdmin, activatePromptVersion } = require('./services/promptRegistryService');
+
+const db = admin.firestore();
+
+/**
+ * Make `version` of `promptId` active; version 0 is the built-in template.
+ * Called from PromptRegistryPanel.jsx via httpsCallable(functions, 'activatePromptVersion')
+ */
+exports.activatePromptVersion = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+        requireAdmin(auth);
+
+        const { promptId, version } = data || {};
+
+        try {
+            const result = await activatePromptVersion(db, { promptId, version, userId: auth.uid });
+            logger.log(`↩️ Prompt ${promptId} switched to v${result.activeVersion} by ${auth.uid}`);
+            return { success: true, ...result };
+        } catch (error) {
+            logger.error('❌ Error activating prompt version:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to activate prompt version: ${error.message}`);
+        }
+    }
+);
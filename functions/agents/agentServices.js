@@ -1,3 +1,5 @@
+const { resolveMemberRole, canEditAsRole } = require('../modules/collab/models/collabTypes');
+
 const AgentServices = class {
   constructor({ ai, db }) {
     this.ai = ai;
@@ -14,10 +16,9 @@ const AgentServices = class {
     }
 
     const bookData = bookDoc.data() || {};
-    const isOwner = bookData.ownerId === userId;
-    const isMember = bookData.members && bookData.members[userId];
-    if (!isOwner && !isMember) {
-      throw new Error('You do not have access to this book.');
+    const memberRole = resolveMemberRole(bookData, userId);
+    if (!canEditAsRole(memberRole)) {
+      throw new Error('You do not have edit access to this book.');
     }
 
     const chapterRef = bookRef.collection('chapters').doc(chapterId);
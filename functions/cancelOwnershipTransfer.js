@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { cancelOwnershipTransferController } = require('./modules/collab/controllers/collabController');
+
+exports.cancelOwnershipTransfer = onCall({ region: 'us-central1', cors: true }, cancelOwnershipTransferController);
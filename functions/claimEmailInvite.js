@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { claimEmailInviteController } = require('./modules/collab/controllers/collabController');
+
+exports.claimEmailInvite = onCall({ region: 'us-central1', cors: true }, claimEmailInviteController);
@@ -63,8 +63,6 @@ exports.createAlbum = onCall(
                 type: "custom", // 'book' or 'custom'
                 bookId: null, // Custom albums are not linked to a specific book initially
                 coverImage: coverImage || null,
-                images: [],
-                videos: [],
                 accessPermission: {
                     ownerId: userId,
                     accessType: "private",
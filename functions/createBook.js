@@ -4,7 +4,7 @@ const logger = require("firebase-functions/logger");
 const admin = require("firebase-admin");
 const FieldValue = require("firebase-admin/firestore").FieldValue;
 const { assertAndIncrementCounter, loadConfig, tierForUser } = require("./utils/limits");
-const { consumeCredits, estimateTokensFromText } = require("./payments/creditLedger");
+const { meterAiCall, estimateTokensFromText } = require("./payments/creditLedger");
 
 // Firebase Admin should be initialized by index.js
 // If not initialized, initialize with default settings (with console.log since logger might not be ready)
@@ -26,12 +26,14 @@ if (!admin.apps.length) {
 
 // Initialize AI utilities
 try { require("dotenv").config(); } catch (_) { }
-const { callAI } = require("./utils/aiClient");
+const { callAIWithUsage, FEATURES } = require("./utils/aiClient");
 const {
+  PROMPT_IDS,
   buildChapterGenerationPrompt,
   extractChapterTitles,
   titlesToChapters,
 } = require("./utils/prompts");
+const { getActivePrompt } = require("./services/promptRegistryService");
 const { babyJournalTemplateV1 } = require("./templates/babyJournal");
 
 // --- Helper: safe stringify ---------------------------------------------------
@@ -95,6 +97,8 @@ async function seedStarterPages(db, bookId, chapterId, userId, template, pagesPe
         createdAt: FieldValue.serverTimestamp(),
         updatedAt: FieldValue.serverTimestamp(),
         createdBy: userId,
+        bookId,
+        chapterId,
       };
 
       const pageRef = await chapterRef.collection("pages").add(pageData);
@@ -447,8 +451,6 @@ exports.createBook = onCall(
         type: "book",
         bookId: bookRef.id,
         coverImage: coverImageUrl || null,
-        images: [],
-        videos: [],
         accessPermission: {
           ownerId: userId,
           accessType: "private",
@@ -549,24 +551,28 @@ exports.createBook = onCall(
 async function generateChaptersFromPrompt(title, prompt, userId) {
   try {
     logger.log("🤖 Calling AI to generate custom chapters...");
-    const instruction = buildChapterGenerationPrompt(title, prompt);
-    if (userId) {
-      await consumeCredits(admin.firestore(), userId, {
-        feature: 'page_draft',
-        source: 'create_book_prompt',
-        provider: 'functions_ai',
-        rawUnits: {
-          inputText: instruction,
-          inputTokens: estimateTokensFromText(instruction),
-          outputTokens: 500,
-        },
-        minimumCredits: 2,
-      });
-    }
-    const content = await callAI(instruction, {
+    const { template, version } = await getActivePrompt(admin.firestore(), PROMPT_IDS.CHAPTER_TITLES);
+    const instruction = buildChapterGenerationPrompt(title, prompt, { template });
+    const generate = () => callAIWithUsage(instruction, {
+      feature: FEATURES.CHAPTER_GENERATION,
       maxTokens: 500,
       temperature: 0.8,
-    });
+    });
+    const usage = {
+      feature: 'page_draft',
+      source: 'create_book_prompt',
+      provider: 'functions_ai',
+      rawUnits: {
+        inputText: instruction,
+        inputTokens: estimateTokensFromText(instruction),
+        outputTokens: 500,
+      },
+      minimumCredits: 2,
+      metadata: { promptId: PROMPT_IDS.CHAPTER_TITLES, promptVersion: version },
+    };
+    const { text: content } = userId
+      ? (await meterAiCall(admin.firestore(), userId, usage, generate)).result
+      : await generate();
     logger.log("📝 AI response:", content);
 
     const titles = extractChapterTitles(content);
@@ -10,6 +10,7 @@ const { assertAndIncrementCounter, resolveUserPlanLimits } = require('./utils/li
 const { extractTextFromHtml } = require('./utils/embeddingsClient');
 const { updateChapterPageSummary } = require('./utils/chapterUtils');
 const { validatePageContentLimits } = require('./utils/pageContentValidation');
+const { resolveMemberRole, canEditAsRole } = require('./modules/collab/models/collabTypes');
 
 // Firebase Admin initialized in index.js
 const db = admin.firestore();
@@ -51,11 +52,10 @@ exports.createPage = onCall(
             }
 
             const bookData = bookDoc.data();
-            const isOwner = bookData.ownerId === userId;
-            const isMember = bookData.members && bookData.members[userId];
+            const memberRole = resolveMemberRole(bookData, userId);
 
-            if (!isOwner && !isMember) {
-                throw new HttpsError('permission-denied', 'You do not have access to this book.');
+            if (!canEditAsRole(memberRole)) {
+                throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
             }
 
             // Verify chapter exists
@@ -113,6 +113,8 @@ exports.createPage = onCall(
                 createdAt: FieldValue.serverTimestamp(),
                 updatedAt: FieldValue.serverTimestamp(),
                 createdBy: userId,
+                bookId,
+                chapterId,
             };
 
             const pageRef = await db
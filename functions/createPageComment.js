@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { createPageCommentController } = require('./modules/collab/controllers/collabController');
+
+exports.createPageComment = onCall({ region: 'us-central1', cors: true }, createPageCommentController);
@@ -0,0 +1,48 @@
+// functions/createShareLink.js
+// Callable that creates a revocable read-only link to a book.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { createShareLink } = require('./services/shareLinkService');
+
+const db = admin.firestore();
+
+/**
+ * Create a share link. `expiresInDays` and `passcode` are optional.
+ * Called from ShareLinksDialog.jsx via httpsCallable(functions, 'createShareLink')
+ */
+exports.createShareLink = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to share books.');
+        }
+
+        const { bookId, label, expiresInDays, passcode } = data || {};
+        if (!bookId) {
+            throw new HttpsError('invalid-argument', 'Book ID is required.');
+        }
+
+        try {
+            const link = await createShareLink(db, {
+                bookId,
+                uid: auth.uid,
+                label,
+                expiresInDays,
+                passcode,
+            });
+            logger.log(`🔗 Share link created for book ${bookId} by ${auth.uid}`);
+            return { success: true, link };
+        } catch (error) {
+            logger.error('❌ Error creating share link:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to create share link: ${error.message}`);
+        }
+    }
+);
@@ -4,6 +4,7 @@ const { FieldValue } = require("firebase-admin/firestore");
 const logger = require("firebase-functions/logger");
 const { buildInitialQuotaCounters } = require("./utils/limits");
 const { buildDefaultBillingSnapshot } = require("./payments/paymentService");
+const { claimEmailInvitesForUser } = require("./modules/collab/services/collabService");
 
 // Admin is initialized in index.js
 const DISPLAY_NAME_MAX_LENGTH = 50;
@@ -74,6 +75,20 @@ exports.createUserDoc = onCall(
             console.log(`✅ Firestore document created successfully for: ${uid}`);
             logger.info(`✅ Created user profile for ${uid}`, { structuredData: true });
 
+            // 5. Claim invites that were sent to this address before the account existed.
+            // Unverified sign-ups claim later via syncUserAuthFlags or the invite link.
+            if (emailVerifiedClaim && emailLower) {
+                try {
+                    const claimed = await claimEmailInvitesForUser(uid, emailLower);
+                    if (claimed > 0) {
+                        console.log(`📨 Claimed ${claimed} email invite(s) for ${uid}`);
+                    }
+                } catch (claimError) {
+                    // A new account should never fail over invites.
+                    console.warn(`⚠️ Email invite claim skipped for ${uid}:`, claimError?.message || claimError);
+                }
+            }
+
             return { success: true, message: "User profile created successfully." };
 
         } catch (error) {
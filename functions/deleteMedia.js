@@ -3,6 +3,7 @@ const admin = require("firebase-admin");
 const FieldValue = require("firebase-admin/firestore").FieldValue;
 const { addStorageUsage } = require("./utils/limits");
 const { deleteMediaInternal, parseStoragePath } = require("./utils/deleteMediaInternal");
+const { listAllAlbumMedia } = require("./services/albumMediaService");
 
 // Ensure admin initialized
 if (!admin.apps.length) {
@@ -82,7 +83,7 @@ exports.deleteMediaAsset = onCall({ region: "us-central1", cors: true }, async (
  * Delete an entire album (by bookId), removing:
  * - Album cover image (if album exists)
  * - Entire album directory
- * - Album document
+ * - Album document and its media docs
  * - User accessibleAlbums entries
  * - Storage usage
  *
@@ -250,9 +251,7 @@ exports.deleteAlbumAssets = onCall({ region: "us-central1", cors: true }, async
 
     // Clean up pages where album media is used (before deleting album document)
     try {
-      const images = albumData.images || [];
-      const videos = albumData.videos || [];
-      const allMedia = [...images, ...videos];
+      const allMedia = await listAllAlbumMedia(db, bookId, albumData);
 
       for (const mediaItem of allMedia) {
         if (mediaItem.usedIn && mediaItem.usedIn.length > 0) {
@@ -289,9 +288,9 @@ exports.deleteAlbumAssets = onCall({ region: "us-central1", cors: true }, async
       console.error(`⚠️ Failed to clean up pages for album:`, err);
     }
 
-    // Delete album document
+    // Delete album document and its media subcollection
     try {
-      await albumRef.delete();
+      await db.recursiveDelete(albumRef);
       console.log(`✅ Deleted album document`);
     } catch (err) {
       console.error(`⚠️ Failed to delete album document:`, err?.message);
@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { deletePageCommentController } = require('./modules/collab/controllers/collabController');
+
+exports.deletePageComment = onCall({ region: 'us-central1', cors: true }, deletePageCommentController);
@@ -0,0 +1,71 @@
+// functions/exportBookBackup.js
+// Callable that packages a whole book (documents + media) into a portable zip.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { runBookExport } = require('./services/bookExportService');
+const { buildBookBackup, loadBackupAlbum } = require('./services/bookBackupService');
+
+const db = admin.firestore();
+
+/**
+ * Back up a book as a zip archive that importBookBackup can restore,
+ * in this project or another one.
+ * Called from BookDetail.jsx via httpsCallable(functions, 'exportBookBackup')
+ */
+exports.exportBookBackup = onCall(
+    { region: 'us-central1', cors: true, timeoutSeconds: 540, memory: '2GiB' },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to back up books.');
+        }
+
+        const { bookId } = data || {};
+        if (!bookId) {
+            throw new HttpsError('invalid-argument', 'Book ID is required.');
+        }
+
+        try {
+            logger.log(`🗄️ exportBookBackup started for book ${bookId} by ${auth.uid}`);
+
+            const result = await runBookExport(db, {
+                bookId,
+                uid: auth.uid,
+                format: 'backup',
+                ownerOnly: true,
+                render: async (tree) => {
+                    const { buffer, stats } = await buildBookBackup(tree, {
+                        album: await loadBackupAlbum(db, bookId),
+                        projectId: process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT || null,
+                    });
+                    return { buffer, stats, contentType: 'application/zip', extension: 'airabook.zip' };
+                },
+            });
+
+            logger.log(`✅ exportBookBackup finished for book ${bookId}`, result.stats);
+
+            return {
+                success: true,
+                exportId: result.exportId,
+                url: result.url,
+                storagePath: result.storagePath,
+                fileName: result.fileName,
+                sizeBytes: result.sizeBytes,
+                chapterCount: result.stats.chapters,
+                pageCount: result.stats.pages,
+                mediaCount: result.stats.media,
+                missingMedia: result.stats.missingMedia,
+            };
+        } catch (error) {
+            logger.error('❌ Error backing up book:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to back up book: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,91 @@
+// functions/exportBookEpub.js
+// Callable that packages a book as an EPUB 3 file for e-readers (Kindle, Apple Books).
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { runBookExport } = require('./services/bookExportService');
+const { renderBookEpub } = require('./services/bookEpubRenderer');
+const { resolveMemberRole, canEditAsRole } = require('./modules/collab/models/collabTypes');
+
+const db = admin.firestore();
+
+// BCP 47 tags such as "en", "ne" or "en-US".
+const LANGUAGE_TAG_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/;
+
+/**
+ * Resolve display names for the book's authors (owner first). Viewers and
+ * commenters are not credited.
+ */
+async function resolveCreators(book = {}) {
+    const members = book.members || {};
+    const uids = Object.keys(members).filter((uid) => canEditAsRole(resolveMemberRole(book, uid))).sort((a, b) => {
+        if (a === book.ownerId) return -1;
+        if (b === book.ownerId) return 1;
+        return 0;
+    });
+    if (!uids.length) return [];
+
+    const snaps = await db.getAll(...uids.map((uid) => db.collection('users').doc(uid)));
+    return snaps
+        .map((snap) => (snap.exists ? String(snap.data()?.displayName || '').trim() : ''))
+        .filter(Boolean);
+}
+
+/**
+ * Export a book as EPUB 3 (one spine item per chapter, embedded images).
+ * Called from BookDetail.jsx via httpsCallable(functions, 'exportBookEpub')
+ */
+exports.exportBookEpub = onCall(
+    { region: 'us-central1', cors: true, timeoutSeconds: 300, memory: '1GiB' },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to export books.');
+        }
+
+        const { bookId, language } = data || {};
+        if (!bookId) {
+            throw new HttpsError('invalid-argument', 'Book ID is required.');
+        }
+        if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_TAG_PATTERN.test(language))) {
+            throw new HttpsError('invalid-argument', 'language must be a language tag such as "en".');
+        }
+
+        try {
+            logger.log(`📚 exportBookEpub started for book ${bookId} by ${auth.uid}`);
+
+            const result = await runBookExport(db, {
+                bookId,
+                uid: auth.uid,
+                format: 'epub',
+                render: async (tree) => {
+                    const creators = await resolveCreators(tree.book);
+                    const { buffer, stats } = await renderBookEpub(tree, { language, creators });
+                    return { buffer, stats, contentType: 'application/epub+zip', extension: 'epub' };
+                },
+            });
+
+            logger.log(`✅ exportBookEpub finished for book ${bookId}`, result.stats);
+
+            return {
+                success: true,
+                exportId: result.exportId,
+                url: result.url,
+                storagePath: result.storagePath,
+                fileName: result.fileName,
+                sizeBytes: result.sizeBytes,
+                chapterCount: result.stats.chapters,
+                skippedImages: result.stats.skippedImages,
+            };
+        } catch (error) {
+            logger.error('❌ Error exporting book EPUB:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to export book: ${error.message}`);
+        }
+    }
+);
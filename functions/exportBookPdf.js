@@ -0,0 +1,64 @@
+// functions/exportBookPdf.js
+// Callable that renders a whole book into a print-ready PDF stored in Storage.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { runBookExport } = require('./services/bookExportService');
+const { renderBookPdf } = require('./services/bookPdfRenderer');
+
+const db = admin.firestore();
+
+/**
+ * Export a book as PDF (cover, table of contents, numbered pages).
+ * Called from BookDetail.jsx via httpsCallable(functions, 'exportBookPdf')
+ */
+exports.exportBookPdf = onCall(
+    { region: 'us-central1', cors: true, timeoutSeconds: 300, memory: '1GiB' },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to export books.');
+        }
+
+        const { bookId } = data || {};
+        if (!bookId) {
+            throw new HttpsError('invalid-argument', 'Book ID is required.');
+        }
+
+        try {
+            logger.log(`📄 exportBookPdf started for book ${bookId} by ${auth.uid}`);
+
+            const result = await runBookExport(db, {
+                bookId,
+                uid: auth.uid,
+                format: 'pdf',
+                render: async (tree) => {
+                    const { buffer, stats } = await renderBookPdf(tree);
+                    return { buffer, stats, contentType: 'application/pdf', extension: 'pdf' };
+                },
+            });
+
+            logger.log(`✅ exportBookPdf finished for book ${bookId}`, result.stats);
+
+            return {
+                success: true,
+                exportId: result.exportId,
+                url: result.url,
+                storagePath: result.storagePath,
+                fileName: result.fileName,
+                sizeBytes: result.sizeBytes,
+                pageCount: result.stats.pdfPages,
+                skippedImages: result.stats.skippedImages,
+            };
+        } catch (error) {
+            logger.error('❌ Error exporting book PDF:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to export book: ${error.message}`);
+        }
+    }
+);
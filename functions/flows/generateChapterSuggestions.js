@@ -1,3 +1,8 @@
+const { resolveMemberRole, canEditAsRole } = require('../modules/collab/models/collabTypes');
+const { FEATURES, generateText } = require('../utils/llm');
+const { PROMPT_IDS, buildChapterSuggestionsPrompt } = require('../utils/prompts');
+const { getActivePrompt } = require('../services/promptRegistryService');
+
 const parseSuggestionList = (text) => {
   if (!text) return [];
   const cleaned = String(text).replace(/```json|```/g, '').trim();
@@ -77,11 +82,10 @@ const defineGenerateChapterSuggestionsFlow = ({ ai, z, db, HttpsError }) => (
         bookData = bookDoc.data() || {};
       }
 
-      const isOwner = bookData.ownerId === authUserId;
-      const isMember = bookData.members && bookData.members[authUserId];
+      const memberRole = resolveMemberRole(bookData, authUserId);
 
-      if (!isOwner && !isMember) {
-        throw new HttpsError('permission-denied', 'You do not have access to this book.');
+      if (!canEditAsRole(memberRole)) {
+        throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
       }
 
       let chapterData = context?.chapterData;
@@ -98,21 +102,17 @@ const defineGenerateChapterSuggestionsFlow = ({ ai, z, db, HttpsError }) => (
       const chapterTitle = chapterData.title || 'Untitled Chapter';
       const chapterDescription = chapterData.description || 'Untitled Chapter';
 
-      const isBabyJournal = bookData.creationType === 0;
-      const promptIntro = isBabyJournal
-        ? `You are writing a baby journal for Airabook. Airabook is a platform where parents document children's journeys. Generate 6 concise writing prompts for the chapter below. If this is the first year, include prompts about Mom and Dad's experience before the child was born and what the child is doing now, something related to the experience`
-        : 'You are an AI writing assistanton for Airabook. Generate 6 concise writing prompts for the chapter below.';
-      const prompt = `
-${promptIntro}
-Each prompt should be a short, actionable idea (max 12 words).
-Return ONLY a JSON array of strings.
-
-Book: "${bookTitle}",
-Chapter: "${chapterTitle}",
-chapterDescription: "${chapterDescription}"
-        `.trim();
-
-      const llmResponse = await ai.generate({ prompt });
+      const template = context?.promptTemplate
+        || (await getActivePrompt(db, PROMPT_IDS.CHAPTER_SUGGESTIONS)).template;
+      const prompt = buildChapterSuggestionsPrompt({
+        bookTitle,
+        chapterTitle,
+        chapterDescription,
+        isBabyJournal: bookData.creationType === 0,
+        template,
+      });
+
+      const llmResponse = await generateText(FEATURES.CHAPTER_SUGGESTIONS, { prompt });
       const parsed = parseSuggestionList(llmResponse.text);
       const fallback = [
         `Write the opening scene for "${chapterTitle}".`,
@@ -123,6 +123,9 @@ chapterDescription: "${chapterDescription}"
 
       return {
         suggestions: (parsed.length ? parsed : fallback).slice(0, 8),
+        usage: llmResponse.usage,
+        model: llmResponse.model,
+        provider: llmResponse.provider,
       };
     }
   )
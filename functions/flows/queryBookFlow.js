@@ -1,5 +1,141 @@
+const { loadAccessibleBooks } = require('../services/librarySearchService');
+const { searchPagesByKeyword, reciprocalRankFusion } = require('../services/searchIndexService');
+const { findPassage } = require('../services/pageChunkService');
+
+// Firestore accepts at most 30 values in an `in` filter.
+const BOOK_ID_IN_LIMIT = 30;
+const VECTOR_DISTANCE_FIELD = 'vectorDistance';
+// Each search (vector, keyword) returns this many times `k` before fusion.
+const CANDIDATE_MULTIPLIER = 2;
+const RERANK_MIN_SCORE = 3;
+const RERANK_EXCERPT_CHARS = 1200;
+const MAX_CONTEXT_PAGES = 3;
+// Model named in the airabook_answer/airabook_surprise prompts; recorded on usage events.
+const QUERY_MODEL = 'googleai/gemini-2.5-flash';
+
 let cachedBookPagesRetriever = null;
 
+const loadChapterTitles = async (db, pageDocs) => {
+  const chapterRefs = new Map();
+  pageDocs.forEach((doc) => {
+    const chapterRef = doc.ref.parent.parent;
+    chapterRefs.set(chapterRef.path, chapterRef);
+  });
+  if (chapterRefs.size === 0) {
+    return new Map();
+  }
+  const chapterDocs = await db.getAll(...chapterRefs.values());
+  return new Map(chapterDocs.map((doc) => [
+    doc.ref.path,
+    (doc.exists && doc.data()?.title) || 'Untitled Chapter',
+  ]));
+};
+
+/**
+ * Closest page chunks (see pageChunkService), collapsed to the best chunk per
+ * page. Chunks carry their bookId/chapterId, so one collection-group query
+ * per batch of books covers the whole library.
+ * @returns {Promise<Array<{ pagePath: string, distance: number, passage: Object }>>}
+ */
+const findNearestChunks = async ({ db, bookIds, chapterId, queryEmbedding, limit }) => {
+  const vectorOptions = {
+    vectorField: 'embeddings',
+    queryVector: queryEmbedding,
+    limit,
+    distanceMeasure: 'COSINE',
+    distanceResultField: VECTOR_DISTANCE_FIELD,
+  };
+
+  const queries = chapterId
+    ? [db.collectionGroup('chunks').where('bookId', '==', bookIds[0]).where('chapterId', '==', chapterId)]
+    : [];
+  for (let i = 0; !chapterId && i < bookIds.length; i += BOOK_ID_IN_LIMIT) {
+    queries.push(db.collectionGroup('chunks').where('bookId', 'in', bookIds.slice(i, i + BOOK_ID_IN_LIMIT)));
+  }
+  const snapshots = [];
+  for (const query of queries) {
+    snapshots.push(await query.findNearest(vectorOptions).get());
+  }
+
+  const bestByPage = new Map();
+  snapshots
+    .flatMap((snapshot) => snapshot.docs)
+    .sort((a, b) => a.get(VECTOR_DISTANCE_FIELD) - b.get(VECTOR_DISTANCE_FIELD))
+    .forEach((doc) => {
+      const pagePath = doc.ref.parent.parent.path;
+      if (bestByPage.has(pagePath)) return;
+      const chunk = doc.data() || {};
+      bestByPage.set(pagePath, {
+        pagePath,
+        distance: chunk[VECTOR_DISTANCE_FIELD],
+        passage: { text: chunk.text || '', start: chunk.start, end: chunk.end, index: chunk.index },
+      });
+    });
+  return [...bestByPage.values()];
+};
+
+const getQueryText = (input) => {
+  if (typeof input === 'string') return input;
+  return (input?.content || []).map((part) => part?.text || '').join(' ').trim();
+};
+
+const pagePath = ({ bookId, chapterId, pageId }) => `books/${bookId}/chapters/${chapterId}/pages/${pageId}`;
+
+/**
+ * Vector and keyword (BM25) candidates fused by reciprocal rank, so exact
+ * names and dates surface even when the embedding misses them. Either side
+ * failing leaves the other one's results.
+ */
+const hybridSearchPages = async ({ db, generateEmbeddings, bookIds, chapterId, query, k }) => {
+  const candidateLimit = k * CANDIDATE_MULTIPLIER;
+  const vectorSearch = async () => {
+    const queryEmbedding = await generateEmbeddings(query, {
+      taskType: 'RETRIEVAL_QUERY',
+    });
+    console.log('queryEmbedding length:', queryEmbedding.length);
+    return findNearestChunks({ db, bookIds, chapterId, queryEmbedding, limit: candidateLimit });
+  };
+
+  const [vectorHits, keywordHits] = await Promise.all([
+    vectorSearch().catch((error) => {
+      console.error('Vector search failed:', error);
+      return [];
+    }),
+    searchPagesByKeyword(db, { bookIds, chapterId, query, limit: candidateLimit }).catch((error) => {
+      console.error('Keyword search failed:', error);
+      return [];
+    }),
+  ]);
+
+  const vectorByPath = new Map(vectorHits.map((hit) => [hit.pagePath, hit]));
+  const keywordScores = new Map(keywordHits.map((hit) => [pagePath(hit), hit.score]));
+  const fused = reciprocalRankFusion([
+    vectorHits.map((hit) => hit.pagePath),
+    keywordHits.map(pagePath),
+  ]).slice(0, k);
+  if (fused.length === 0) {
+    return [];
+  }
+
+  const pageDocs = await db.getAll(...fused.map(({ key }) => db.doc(key)));
+  console.log(`Hybrid search: ${vectorHits.length} vector, ${keywordHits.length} keyword candidates`);
+  return fused
+    .map(({ key, score }, index) => ({ key, score, doc: pageDocs[index] }))
+    .filter(({ doc }) => doc.exists)
+    .map(({ key, score, doc }) => {
+      const vectorHit = vectorByPath.get(key);
+      // Keyword-only hits point at the chunk of the page with the most query terms.
+      const passage = vectorHit?.passage || findPassage(doc.get('plainText') || '', query);
+      return {
+        doc,
+        passage,
+        fusedScore: score,
+        keywordScore: keywordScores.get(key) ?? null,
+        vectorDistance: vectorHit?.distance ?? null,
+      };
+    });
+};
+
 const getBookPagesRetriever = ({ ai, z, db, generateEmbeddings }) => {
   if (cachedBookPagesRetriever) {
     return cachedBookPagesRetriever;
@@ -11,46 +147,54 @@ const getBookPagesRetriever = ({ ai, z, db, generateEmbeddings }) => {
       configSchema: z.object({
         userId: z.string(),
         k: z.number().default(3),
+        bookId: z.string().optional(),
+        chapterId: z.string().optional(),
       }),
     },
     async (input, options) => {
-      const { userId, k } = options;
-
-      const queryEmbedding = await generateEmbeddings(input, {
-        taskType: 'RETRIEVAL_QUERY',
-      });
-
-      console.log('queryEmbedding length:', queryEmbedding.length);
-      // Firestore Vector Search
-      // CRITICAL: Filter by createdBy to ensure user isolation
-      const coll = db.collectionGroup('pages');
+      const { userId, k, bookId, chapterId } = options;
 
       try {
-        const snapshot = await coll
-          .where('createdBy', '==', userId)
-          .findNearest('embeddings', queryEmbedding, {
-            limit: k,
-            distanceMeasure: 'COSINE',
-          })
-          .get();
-
-        console.log(`Found ${snapshot.docs.length} documents`);
+        // CRITICAL: only search books the user is currently a member of
+        const books = await loadAccessibleBooks(db, userId, bookId);
+        if (books.size === 0 || (chapterId && !bookId)) {
+          return { documents: [] };
+        }
+
+        const hits = await hybridSearchPages({
+          db,
+          generateEmbeddings,
+          bookIds: [...books.keys()],
+          chapterId,
+          query: getQueryText(input),
+          k,
+        });
+        const chapterTitles = await loadChapterTitles(db, hits.map(({ doc }) => doc));
+
+        console.log(`Found ${hits.length} documents across ${books.size} books`);
         return {
-          documents: snapshot.docs.map(doc => {
+          documents: hits.map(({ doc, passage, fusedScore, keywordScore, vectorDistance }) => {
             const data = doc.data();
+            const pageBookId = doc.ref.parent.parent.parent.parent.id;
             return {
-              content: [{ text: data.plainText || data.note || '' }],
+              content: [{ text: passage?.text || data.plainText || data.note || '' }],
               metadata: {
+                ...data,
                 id: doc.id,
-                bookId: doc.ref.parent.parent.parent.parent.id,
+                bookId: pageBookId,
+                bookTitle: books.get(pageBookId) || 'Untitled Book',
                 chapterId: doc.ref.parent.parent.id,
-                ...data,
+                chapterTitle: chapterTitles.get(doc.ref.parent.parent.path) || 'Untitled Chapter',
+                passage: passage ? { start: passage.start, end: passage.end, chunkIndex: passage.index } : null,
+                vectorDistance,
+                keywordScore,
+                fusedScore,
               },
             };
           })
         };
       } catch (error) {
-        console.error('Vector search failed:', error);
+        console.error('Page retrieval failed:', error);
         // Return empty documents on error to allow flow to continue with general knowledge
         return { documents: [] };
       }
@@ -100,11 +244,40 @@ const buildConversationTranscript = (messages) =>
     })
     .join('\n');
 
-const getRagDocs = async ({ ai, bookPagesRetriever, query, userId }) => {
+const buildRerankPrompt = (query, docs) => `
+You are a relevance scorer.
+Query: "${query}"
+
+${docs.map((doc, index) => `Document ${index + 1}:\n"${(doc?.content?.[0]?.text || '').substring(0, RERANK_EXCERPT_CHARS)}"`).join('\n\n')}
+
+Rate the relevance of each document to the query on a scale of 0 to 10.
+Return ONLY a JSON array with one number per document, in order, e.g. [7, 0, 3].
+`;
+
+/** Scores from the reranker reply, or null unless there is one number per document. */
+const parseRerankScores = (text, count) => {
+  const match = String(text || '').match(/\[[^\]]*\]/);
+  if (!match) return null;
+  try {
+    const scores = JSON.parse(match[0]).map(Number);
+    return scores.length === count && scores.every(Number.isFinite) ? scores : null;
+  } catch (_) {
+    return null;
+  }
+};
+
+// `onUsage` receives each model call's reported token counts so the callable
+// can bill what the answer actually cost.
+const getRagDocs = async ({ ai, bookPagesRetriever, query, userId, bookId, chapterId, onUsage }) => {
   const initialResult = await ai.retrieve({
     retriever: bookPagesRetriever,
     query: query,
-    options: { userId: userId, k: 10 }, // Retrieve more docs for reranking
+    options: {
+      userId: userId,
+      k: 10, // Retrieve more docs for reranking
+      ...(bookId ? { bookId } : {}),
+      ...(chapterId ? { chapterId } : {}),
+    },
   });
 
   const initialDocs = Array.isArray(initialResult)
@@ -112,62 +285,70 @@ const getRagDocs = async ({ ai, bookPagesRetriever, query, userId }) => {
     : initialResult?.documents || [];
 
   console.log(`Retrieved ${initialDocs.length} candidate documents.`);
+  if (initialDocs.length === 0) {
+    return [];
+  }
 
-  // 2. Rerank documents
-  const scoredDocs = [];
-  for (const doc of initialDocs) {
-    const content = doc?.content?.[0]?.text || '';
-
-    // Ask LLM to score the relevance
-    const scoringPrompt = `
-You are a relevance scorer. 
-Query: "${query}"
-Document: "${content}"
-
-Rate the relevance of the document to the query on a scale of 0 to 10. 
-Return ONLY the number.
-`;
-
+  // Rerank all candidates in one call; keep the fused order if that fails.
+  let rankedDocs = initialDocs;
+  try {
     const scoreResponse = await ai.generate({
-      prompt: scoringPrompt,
+      prompt: buildRerankPrompt(query, initialDocs),
     });
-
-    const scoreText = scoreResponse.text.trim();
-    const score = parseFloat(scoreText);
-
-    console.log(`Doc ID: ${doc?.metadata?.id}, Score: ${score}`);
-
-    if (!isNaN(score)) {
-      scoredDocs.push({ doc, score });
+    onUsage?.(scoreResponse.usage);
+    const scores = parseRerankScores(scoreResponse.text, initialDocs.length);
+    if (scores) {
+      rankedDocs = initialDocs
+        .map((doc, index) => ({ doc, score: scores[index] }))
+        .filter(({ score }) => score > RERANK_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+        .map(({ doc }) => doc);
+      console.log('Rerank scores:', initialDocs.map((doc, index) => `${doc?.metadata?.id}=${scores[index]}`).join(', '));
+    } else {
+      console.warn('Reranker returned no usable scores; keeping fused order.');
     }
+  } catch (error) {
+    console.error('Reranking failed; keeping fused order:', error);
   }
 
-  // Sort by score descending
-  scoredDocs.sort((a, b) => b.score - a.score);
-
-  // 3. Select the best document (or top N)
-  // For now, we'll take the single best document if it has a reasonable score (> 0)
-  // If no docs or all 0, we might fall back to general knowledge (empty context)
-  const bestDoc = scoredDocs.length > 0 && scoredDocs[0].score > 3 ? scoredDocs[0].doc : null;
-  const finalDocs = bestDoc ? [bestDoc] : [];
-
-  console.log('Selected best document:', bestDoc ? bestDoc.metadata.id : 'None');
+  const finalDocs = rankedDocs.slice(0, MAX_CONTEXT_PAGES);
+  console.log('Selected documents:', finalDocs.map((doc) => doc?.metadata?.id).join(', ') || 'None');
 
   return finalDocs;
 };
 
+const getPageLabel = (metadata = {}) =>
+  (metadata.pageName || '').trim() || metadata.plainText?.substring(0, 50) || 'Page';
+
+// Numbered to match the `[n]` markers the answer prompt cites.
 const buildSources = (docs) =>
-  docs.map((doc) => ({
+  docs.map((doc, index) => ({
+    citation: index + 1,
     id: doc?.metadata?.id,
     shortNote: doc?.metadata?.plainText?.substring(0, 50) || 'Page',
+    pageName: doc?.metadata?.pageName || '',
+    bookId: doc?.metadata?.bookId,
+    bookTitle: doc?.metadata?.bookTitle,
+    chapterId: doc?.metadata?.chapterId,
+    chapterTitle: doc?.metadata?.chapterTitle,
+    passage: doc?.metadata?.passage || null,
   }));
 
-const buildQueryBookContext = async ({ ai, bookPagesRetriever, messages, userId }) => {
+const buildContextText = (docs) =>
+  docs
+    .map((doc, index) => {
+      const { bookTitle, chapterTitle } = doc?.metadata || {};
+      const label = [bookTitle, chapterTitle, getPageLabel(doc?.metadata)].filter(Boolean).join(' › ');
+      return `[${index + 1}] ${label}\n${doc?.content?.[0]?.text || ''}`;
+    })
+    .join('\n\n');
+
+const buildQueryBookContext = async ({ ai, bookPagesRetriever, messages, userId, bookId, chapterId, onUsage }) => {
   const query = getLastUserQuery(messages);
   const history = buildHistory(messages);
 
-  const finalDocs = await getRagDocs({ ai, bookPagesRetriever, query, userId });
-  const contextText = finalDocs.map((doc) => doc?.content?.[0]?.text || '').join('\n\n');
+  const finalDocs = await getRagDocs({ ai, bookPagesRetriever, query, userId, bookId, chapterId, onUsage });
+  const contextText = buildContextText(finalDocs);
 
   return {
     history,
@@ -191,6 +372,8 @@ const defineQueryBookFlow = ({ ai, z, db, generateEmbeddings }) => {
           content: z.string(),
         })),
         isSurprise: z.boolean().optional().default(false),
+        bookId: z.string().optional(),
+        chapterId: z.string().optional(),
       }),
     },
     async (input, { context }) => {
@@ -198,15 +381,23 @@ const defineQueryBookFlow = ({ ai, z, db, generateEmbeddings }) => {
         throw new Error('User must be authenticated.');
       }
       const userId = context.auth.uid;
-      const { messages, isSurprise } = input;
+      const { messages, isSurprise, bookId, chapterId } = input;
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      const onUsage = (reported = {}) => {
+        usage.inputTokens += reported.inputTokens || 0;
+        usage.outputTokens += reported.outputTokens || 0;
+      };
 
       if (isSurprise) {
         console.log('Surprise mode activated - generating random book idea');
         const history = buildHistory(messages);
         const llmResponse = await surprisePrompt({}, { messages: history });
+        onUsage(llmResponse.usage);
         return {
           answer: llmResponse.text,
           sources: [],
+          usage,
+          model: QUERY_MODEL,
         };
       }
 
@@ -215,16 +406,22 @@ const defineQueryBookFlow = ({ ai, z, db, generateEmbeddings }) => {
         bookPagesRetriever,
         messages,
         userId,
+        bookId,
+        chapterId,
+        onUsage,
       });
 
       const llmResponse = await answerPrompt(
         { query, contextText },
         { messages: history }
       );
+      onUsage(llmResponse.usage);
 
       return {
         answer: llmResponse.text,
         sources,
+        usage,
+        model: QUERY_MODEL,
       };
     }
   );
@@ -237,4 +434,5 @@ module.exports = {
   getBookPagesRetriever,
   buildQueryBookContext,
   buildConversationTranscript,
+  parseRerankScores,
 };
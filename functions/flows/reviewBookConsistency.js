@@ -0,0 +1,185 @@
+const { resolveMemberRole, canEditAsRole } = require('../modules/collab/models/collabTypes');
+const { FEATURES, generateText } = require('../utils/llm');
+const { loadBookTree } = require('../services/bookExportService');
+const { findPassage } = require('../services/pageChunkService');
+
+const ISSUE_TYPES = ['date', 'age', 'name', 'timeline_gap', 'duplicate_story', 'other'];
+// Keeps the prompt within one model call for typical journals; later pages are left out.
+const MAX_PAGE_CHARS = 1500;
+const MAX_PROMPT_CHARS = 60000;
+const MAX_ISSUES = 30;
+
+const pageRefLabel = (index) => `P${index + 1}`;
+
+/**
+ * Chapter summaries (from refreshChapterSummary) followed by every page, each
+ * tagged `[P<n>]` so the model can point at pages.
+ * @returns {{ prompt: string, pageRefs: Map<string, Object>, pagesReviewed: number, truncated: boolean }}
+ */
+const buildConsistencyPrompt = ({ book, chapters }) => {
+  const pageRefs = new Map();
+  const summaryLines = [];
+  const pageBlocks = [];
+  let length = 0;
+  let truncated = false;
+
+  chapters.forEach((chapter) => {
+    const chapterTitle = chapter.title || 'Untitled Chapter';
+    summaryLines.push(`- ${chapterTitle}: ${(chapter.chapterSummary || '').trim() || '(no summary yet)'}`);
+
+    (chapter.pages || []).forEach((page) => {
+      const text = String(page.plainText || '').replace(/\s+/g, ' ').trim();
+      if (!text || truncated) return;
+      const label = pageRefLabel(pageRefs.size);
+      const excerpt = text.length > MAX_PAGE_CHARS ? `${text.slice(0, MAX_PAGE_CHARS)}...` : text;
+      const block = `[${label}] ${chapterTitle} › ${(page.pageName || '').trim() || 'Untitled page'}\n${excerpt}`;
+      if (length + block.length > MAX_PROMPT_CHARS) {
+        truncated = true;
+        return;
+      }
+      length += block.length;
+      pageBlocks.push(block);
+      pageRefs.set(label, {
+        chapterId: chapter.id,
+        chapterTitle,
+        pageId: page.id,
+        pageName: page.pageName || '',
+        plainText: String(page.plainText || ''),
+      });
+    });
+  });
+
+  const bookTitle = book.babyName || book.title || 'Untitled Book';
+  const prompt = `
+You are reviewing the Airabook journal "${bookTitle}" for consistency. Several family members write it, so the same event is often told more than once.
+Find real problems a careful editor would fix:
+- date: the same event given different dates, or dates that contradict each other
+- age: ages or durations that disagree (e.g. "3 months" and "4 months" for the same event)
+- name: a person or place spelled or named differently
+- timeline_gap: a noticeable stretch of time the chapters skip
+- duplicate_story: the same story told on more than one page
+Only report issues the text supports. Cite pages with their [P<n>] labels, and quote the exact conflicting words from each page.
+
+Return ONLY a JSON array (empty if there is nothing to fix) of objects:
+{"type": one of ${ISSUE_TYPES.map((type) => `"${type}"`).join(', ')}, "title": short summary, "detail": what conflicts and why, "suggestion": how to fix it, "pages": [{"ref": "P1", "quote": "exact words from that page"}]}
+
+Chapter summaries:
+${summaryLines.join('\n')}
+
+Pages:
+${pageBlocks.join('\n\n')}
+  `.trim();
+
+  return { prompt, pageRefs, pagesReviewed: pageRefs.size, truncated };
+};
+
+const parseJsonArray = (text) => {
+  const cleaned = String(text || '').replace(/```json|```/g, '').trim();
+  const start = cleaned.indexOf('[');
+  const end = cleaned.lastIndexOf(']');
+  if (start === -1 || end <= start) return [];
+  try {
+    const parsed = JSON.parse(cleaned.slice(start, end + 1));
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+};
+
+// Exact quote first (case-insensitive), else the chunk sharing the most words with it.
+const locateQuote = (plainText, quote) => {
+  if (!quote) return null;
+  const index = plainText.toLowerCase().indexOf(quote.toLowerCase());
+  if (index !== -1) return { start: index, end: index + quote.length };
+  const chunk = findPassage(plainText, quote);
+  return chunk ? { start: chunk.start, end: chunk.end } : null;
+};
+
+/**
+ * Model output -> issues whose pages all resolve to real pages in the book.
+ * Issues citing no known page are dropped.
+ */
+const parseConsistencyIssues = (text, pageRefs, bookId) => parseJsonArray(text)
+  .map((item, index) => {
+    if (!item || typeof item !== 'object') return null;
+    const pages = (Array.isArray(item.pages) ? item.pages : [])
+      .map((entry) => {
+        const ref = String(typeof entry === 'string' ? entry : entry?.ref || '').replace(/[[\]\s]/g, '').toUpperCase();
+        const page = pageRefs.get(ref);
+        if (!page) return null;
+        const quote = typeof entry?.quote === 'string' ? entry.quote.trim().slice(0, 300) : '';
+        return {
+          bookId,
+          chapterId: page.chapterId,
+          chapterTitle: page.chapterTitle,
+          pageId: page.pageId,
+          pageName: page.pageName,
+          quote,
+          passage: locateQuote(page.plainText, quote),
+        };
+      })
+      .filter(Boolean)
+      .filter((page, position, all) => all.findIndex((other) => other.pageId === page.pageId) === position);
+    if (pages.length === 0) return null;
+
+    const type = ISSUE_TYPES.includes(item.type) ? item.type : 'other';
+    return {
+      id: `issue-${index + 1}`,
+      type,
+      title: String(item.title || '').trim().slice(0, 160) || 'Possible inconsistency',
+      detail: String(item.detail || '').trim().slice(0, 1000),
+      suggestion: String(item.suggestion || '').trim().slice(0, 600),
+      pages,
+    };
+  })
+  .filter(Boolean)
+  .slice(0, MAX_ISSUES);
+
+const defineReviewBookConsistencyFlow = ({ ai, z, db, HttpsError }) => (
+  ai.defineFlow(
+    {
+      name: 'reviewBookConsistencyFlow',
+      inputSchema: z.object({
+        bookId: z.string(),
+      }),
+    },
+    async (input, { context }) => {
+      if (!context || !context.auth) {
+        throw new HttpsError('unauthenticated', 'User must be authenticated.');
+      }
+
+      const { bookId } = input;
+      const { book, chapters } = await loadBookTree(db, bookId);
+      if (!canEditAsRole(resolveMemberRole(book, context.auth.uid))) {
+        throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
+      }
+
+      const { prompt, pageRefs, pagesReviewed, truncated } = buildConsistencyPrompt({ book, chapters });
+      if (pagesReviewed === 0) {
+        return { issues: [], pagesReviewed, truncated };
+      }
+
+      const llmResponse = await generateText(FEATURES.CONSISTENCY_REVIEW, {
+        prompt,
+        maxTokens: 4096,
+        temperature: 0.2,
+      });
+
+      return {
+        issues: parseConsistencyIssues(llmResponse.text, pageRefs, bookId),
+        pagesReviewed,
+        truncated,
+        usage: llmResponse.usage,
+        model: llmResponse.model,
+        provider: llmResponse.provider,
+      };
+    }
+  )
+);
+
+module.exports = {
+  ISSUE_TYPES,
+  buildConsistencyPrompt,
+  parseConsistencyIssues,
+  defineReviewBookConsistencyFlow,
+};
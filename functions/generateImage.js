@@ -1,7 +1,15 @@
 const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const logger = require('firebase-functions/logger');
 const admin = require('firebase-admin');
-const { generateImageForPage } = require('./services/imageGenerationService');
-const { consumeCredits, estimateTokensFromText } = require('./payments/creditLedger');
+const {
+  MAX_VARIATIONS,
+  generateImageVariations,
+  saveGeneratedImage,
+  sweepExpiredGeneratedImages,
+} = require('./services/imageGenerationService');
+const { meterAiCall, estimateTokensFromText } = require('./payments/creditLedger');
+const { resolveMemberRole, canEditAsRole } = require('./modules/collab/models/collabTypes');
 
 const LOCATION = 'us-central1';
 
@@ -37,10 +45,9 @@ const assertBookAccess = async (uid, bookId) => {
     throw new HttpsError('not-found', 'Book not found.');
   }
   const data = bookDoc.data() || {};
-  const isOwner = data.ownerId === uid;
-  const isMember = data.members && data.members[uid];
-  if (!isOwner && !isMember) {
-    throw new HttpsError('permission-denied', 'You do not have access to this book.');
+  const memberRole = resolveMemberRole(data, uid);
+  if (!canEditAsRole(memberRole)) {
+    throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
   }
 };
 
@@ -50,7 +57,8 @@ exports.generateImage = onCall({ region: LOCATION, cors: true }, async (request)
     throw new HttpsError('unauthenticated', 'Please sign in to generate images.');
   }
 
-  const { prompt, useContext, bookId, chapterId, pageId, pageContext } = data || {};
+  const { prompt, useContext, bookId, chapterId, pageId, pageContext, style } = data || {};
+  const count = Math.max(1, Math.min(MAX_VARIATIONS, Math.floor(Number(data?.count) || 1)));
 
   if (!prompt || typeof prompt !== 'string' || !prompt.trim()) {
     throw new HttpsError('invalid-argument', '`prompt` is required.');
@@ -70,36 +78,42 @@ exports.generateImage = onCall({ region: LOCATION, cors: true }, async (request)
     }
   }
 
-  const imageCharge = await consumeCredits(db, auth.uid, {
+  const imageUsage = {
     feature: 'image_generation',
     source: 'generate_image_prompt',
     provider: 'gemini_2_5_flash_image',
     rawUnits: {
       inputText: [prompt, contextText].filter(Boolean).join('\n\n'),
       inputTokens: estimateTokensFromText([prompt, contextText].filter(Boolean).join('\n\n')),
-      outputImageTokens: 1290,
+      outputImageTokens: 1290 * count,
     },
-    minimumCredits: 20,
+    minimumCredits: 20 * count,
     metadata: {
       pageId: pageId || null,
       bookId: bookId || null,
       chapterId: chapterId || null,
       usedContext: Boolean(contextText),
+      style: style || null,
+      variations: count,
     },
-  });
+  };
 
   try {
-    const result = await generateImageForPage({
+    const { result, charge: imageCharge } = await meterAiCall(db, auth.uid, imageUsage, () => generateImageVariations({
+      db,
       userPrompt: prompt.trim(),
       pageContext: contextText,
+      style,
+      count,
       userId: auth.uid,
       bookId,
       chapterId,
       pageId,
-    });
+    }));
+    const { usage, model, provider, ...generation } = result;
 
     return {
-      ...result,
+      ...generation,
       usedContext: Boolean(contextText),
       billingCharge: {
         estimatedCostUsd: imageCharge.estimatedCostUsd,
@@ -108,7 +122,50 @@ exports.generateImage = onCall({ region: LOCATION, cors: true }, async (request)
       },
     };
   } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     console.error('generateImage error:', error);
     throw new HttpsError('internal', 'Failed to generate image. Please try again.');
   }
 });
+
+// Puts the chosen variation in the book's album and returns it as page media.
+exports.saveGeneratedImage = onCall({ region: LOCATION, cors: true }, async (request) => {
+  const { data, auth } = request;
+  if (!auth?.uid) {
+    throw new HttpsError('unauthenticated', 'Please sign in to save images.');
+  }
+
+  const { imageId, bookId, chapterId, pageId } = data || {};
+  if (!imageId || !bookId || !chapterId || !pageId) {
+    throw new HttpsError('invalid-argument', 'imageId, bookId, chapterId, and pageId are required.');
+  }
+
+  await assertBookAccess(auth.uid, bookId);
+
+  try {
+    return await saveGeneratedImage({
+      db,
+      imageId,
+      userId: auth.uid,
+      bookId,
+      chapterId,
+      pageId,
+    });
+  } catch (error) {
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    console.error('saveGeneratedImage error:', error);
+    throw new HttpsError('internal', 'Failed to save the image. Please try again.');
+  }
+});
+
+// Deletes variations nobody chose once they expire and refunds their storage.
+exports.sweepGeneratedImages = onSchedule({ region: LOCATION, schedule: 'every 1 hours', timeZone: 'UTC' }, async () => {
+  const removed = await sweepExpiredGeneratedImages(db);
+  if (removed) {
+    logger.info('Swept expired generated images', { removed });
+  }
+});
@@ -4,9 +4,13 @@ const { onCall, HttpsError } = require('firebase-functions/v2/https');
 const admin = require('firebase-admin');
 const { FieldValue } = require('firebase-admin/firestore');
 const { generateEmbeddings } = require('./utils/embeddingsClient');
-const { consumeCredits, estimateTokensFromText } = require('./payments/creditLedger');
+const { meterAiCall, estimateTokensFromText } = require('./payments/creditLedger');
 const { defineQueryBookFlow } = require('./flows/queryBookFlow');
 const { defineGenerateChapterSuggestionsFlow } = require('./flows/generateChapterSuggestions');
+const { defineReviewBookConsistencyFlow } = require('./flows/reviewBookConsistency');
+const { resolveMemberRole, canEditAsRole } = require('./modules/collab/models/collabTypes');
+const { PROMPT_IDS } = require('./utils/prompts');
+const { getActivePrompt } = require('./services/promptRegistryService');
 
 // Initialize Firebase Admin if not already initialized
 if (!admin.apps.length) {
@@ -16,6 +20,7 @@ const db = admin.firestore();
 
 const queryBookFlowRaw = defineQueryBookFlow({ ai, z, db, generateEmbeddings });
 const generateChapterSuggestionsFlow = defineGenerateChapterSuggestionsFlow({ ai, z, db, HttpsError });
+const reviewBookConsistencyFlow = defineReviewBookConsistencyFlow({ ai, z, db, HttpsError });
 
 const normalizeSuggestions = (value) => {
   if (!Array.isArray(value)) return [];
@@ -32,7 +37,7 @@ const queryBookFlow = onCall(
     if (!request.auth) {
       throw new HttpsError('unauthenticated', 'User must be authenticated.');
     }
-    await consumeCredits(db, request.auth.uid, {
+    const queryUsage = {
       feature: 'book_query',
       source: 'query_book_flow',
       provider: 'genkit',
@@ -42,13 +47,15 @@ const queryBookFlow = onCall(
         outputTokens: 512,
       },
       minimumCredits: 1,
-    });
+    };
 
     try {
-      // Invoke the flow with auth context
-      return await queryBookFlowRaw(request.data, {
+      // Invoke the flow with auth context; it reports the tokens its model calls used
+      const { result } = await meterAiCall(db, request.auth.uid, queryUsage, () => queryBookFlowRaw(request.data, {
         context: { auth: request.auth }
-      });
+      }));
+      const { usage, model, ...answer } = result;
+      return answer;
     } catch (e) {
       console.error('Flow error:', e);
       throw new HttpsError('internal', e.message);
@@ -80,11 +87,10 @@ const generateChapterSuggestions = onCall(
     }
 
     const bookData = bookDoc.data() || {};
-    const isOwner = bookData.ownerId === request.auth.uid;
-    const isMember = bookData.members && bookData.members[request.auth.uid];
+    const memberRole = resolveMemberRole(bookData, request.auth.uid);
 
-    if (!isOwner && !isMember) {
-      throw new HttpsError('permission-denied', 'You do not have access to this book.');
+    if (!canEditAsRole(memberRole)) {
+      throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
     }
 
     const chapterRef = bookRef.collection('chapters').doc(chapterId);
@@ -101,7 +107,8 @@ const generateChapterSuggestions = onCall(
       return { suggestions: cachedSuggestions, cached: true };
     }
 
-    await consumeCredits(db, request.auth.uid, {
+    const activePrompt = await getActivePrompt(db, PROMPT_IDS.CHAPTER_SUGGESTIONS);
+    const suggestionsUsage = {
       feature: 'chapter_suggestions',
       source: 'generate_chapter_suggestions',
       provider: 'genkit',
@@ -114,8 +121,10 @@ const generateChapterSuggestions = onCall(
       metadata: {
         bookId,
         chapterId,
+        promptId: PROMPT_IDS.CHAPTER_SUGGESTIONS,
+        promptVersion: activePrompt.version,
       },
-    });
+    };
 
     try {
       const flowInput = {
@@ -124,13 +133,14 @@ const generateChapterSuggestions = onCall(
         userId: userId || request.auth.uid,
         refresh: Boolean(refresh),
       };
-      const result = await generateChapterSuggestionsFlow(flowInput, {
+      const { result } = await meterAiCall(db, request.auth.uid, suggestionsUsage, () => generateChapterSuggestionsFlow(flowInput, {
         context: {
           auth: request.auth,
           bookData,
           chapterData,
+          promptTemplate: activePrompt.template,
         }
-      });
+      }));
       const nextSuggestions = normalizeSuggestions(result?.suggestions);
       if (nextSuggestions.length > 0) {
         await chapterRef.set(
@@ -152,7 +162,87 @@ const generateChapterSuggestions = onCall(
   }
 );
 
+// The latest review per book, so reopening the panel does not spend credits.
+const consistencyReviewRef = (bookId) =>
+  db.collection('books').doc(bookId).collection('consistencyReviews').doc('latest');
+
+const toReviewResponse = (review, cached) => ({
+  review: review
+    ? {
+      issues: review.issues || [],
+      pagesReviewed: review.pagesReviewed || 0,
+      truncated: Boolean(review.truncated),
+      reviewedAt: review.reviewedAt?.toDate?.().toISOString?.() || review.reviewedAt || null,
+      reviewedBy: review.reviewedBy || null,
+    }
+    : null,
+  cached,
+});
+
+const reviewBookConsistency = onCall(
+  { region: 'us-central1', cors: true, timeoutSeconds: 300 },
+  async (request) => {
+    if (!request.auth) {
+      throw new HttpsError('unauthenticated', 'User must be authenticated.');
+    }
+
+    const { bookId, refresh } = request.data || {};
+    if (!bookId) {
+      throw new HttpsError('invalid-argument', 'Book ID is required.');
+    }
+
+    const bookDoc = await db.collection('books').doc(bookId).get();
+    if (!bookDoc.exists) {
+      throw new HttpsError('not-found', 'Book not found.');
+    }
+    if (!canEditAsRole(resolveMemberRole(bookDoc.data() || {}, request.auth.uid))) {
+      throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
+    }
+
+    if (!refresh) {
+      const cachedDoc = await consistencyReviewRef(bookId).get();
+      return toReviewResponse(cachedDoc.exists ? cachedDoc.data() : null, true);
+    }
+
+    const reviewUsage = {
+      feature: 'consistency_review',
+      source: 'review_book_consistency',
+      provider: 'genkit',
+      // A full prompt's worth up front; meterAiCall settles on the real token counts.
+      rawUnits: {
+        inputTokens: 15000,
+        outputTokens: 1500,
+      },
+      minimumCredits: 5,
+      metadata: {
+        bookId,
+      },
+    };
+
+    try {
+      const { result } = await meterAiCall(db, request.auth.uid, reviewUsage, () => reviewBookConsistencyFlow({ bookId }, {
+        context: { auth: request.auth }
+      }));
+      const review = {
+        issues: result.issues,
+        pagesReviewed: result.pagesReviewed,
+        truncated: result.truncated,
+        reviewedBy: request.auth.uid,
+      };
+      await consistencyReviewRef(bookId).set({ ...review, reviewedAt: FieldValue.serverTimestamp() });
+      return toReviewResponse({ ...review, reviewedAt: new Date().toISOString() }, false);
+    } catch (e) {
+      console.error('Flow error:', e);
+      if (e instanceof HttpsError) {
+        throw e;
+      }
+      throw new HttpsError('internal', e.message);
+    }
+  }
+);
+
 module.exports = {
   queryBookFlow,
   generateChapterSuggestions,
+  reviewBookConsistency,
 };
@@ -0,0 +1,73 @@
+// functions/importBookBackup.js
+// Callable that restores a book backup archive under the caller's account.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { MAX_BACKUP_ARCHIVE_BYTES, restoreBookBackup } = require('./services/bookBackupService');
+
+const db = admin.firestore();
+
+/**
+ * Restore a book from a backup archive the client has uploaded to
+ * `{uid}/imports/`. The book, its chapters, pages and album get fresh ids
+ * and the media is copied under the caller's storage root.
+ * Called from Books.jsx via httpsCallable(functions, 'importBookBackup')
+ */
+exports.importBookBackup = onCall(
+    { region: 'us-central1', cors: true, timeoutSeconds: 540, memory: '2GiB' },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to restore books.');
+        }
+
+        const { storagePath } = data || {};
+        if (!storagePath || typeof storagePath !== 'string') {
+            throw new HttpsError('invalid-argument', 'storagePath of the uploaded backup is required.');
+        }
+        if (!storagePath.startsWith(`${auth.uid}/imports/`) || storagePath.includes('..')) {
+            throw new HttpsError('permission-denied', 'Backups must be uploaded to your own imports folder.');
+        }
+
+        const archiveFile = admin.storage().bucket().file(storagePath);
+
+        try {
+            logger.log(`🗄️ importBookBackup started from ${storagePath} by ${auth.uid}`);
+
+            const [exists] = await archiveFile.exists();
+            if (!exists) {
+                throw new HttpsError('not-found', 'Uploaded backup not found.');
+            }
+            const [metadata] = await archiveFile.getMetadata();
+            if (Number(metadata?.size || 0) > MAX_BACKUP_ARCHIVE_BYTES) {
+                throw new HttpsError('invalid-argument', 'This backup is too large to restore.');
+            }
+
+            const [buffer] = await archiveFile.download();
+            const result = await restoreBookBackup(db, { uid: auth.uid, buffer });
+
+            logger.log(`✅ importBookBackup restored book ${result.bookId}`, result.stats);
+
+            return {
+                success: true,
+                bookId: result.bookId,
+                title: result.title,
+                chapterCount: result.stats.chapters,
+                pageCount: result.stats.pages,
+                mediaCount: result.stats.media,
+            };
+        } catch (error) {
+            logger.error('❌ Error restoring book backup:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to restore book: ${error.message}`);
+        } finally {
+            // The uploaded archive is only a transfer file.
+            await archiveFile.delete().catch(() => { });
+        }
+    }
+);
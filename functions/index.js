@@ -124,9 +124,21 @@ const db = admin.firestore();
 
 
 const { uploadMedia } = require("./imageProcessor");
-const { rewriteNote } = require("./textGenerator");
+const { rewriteNote, rewriteNoteStream, generateChapterContentStream } = require("./textGenerator");
 const { createBook } = require("./createBook");
 const { updateBook } = require("./updateBook");
+const { exportBookPdf } = require("./exportBookPdf");
+const { exportBookEpub } = require("./exportBookEpub");
+const { exportBookBackup } = require("./exportBookBackup");
+const { importBookBackup } = require("./importBookBackup");
+const { createShareLink } = require("./createShareLink");
+const { listShareLinks } = require("./listShareLinks");
+const { revokeShareLink } = require("./revokeShareLink");
+const { resolveShareLink } = require("./resolveShareLink");
+const { listPrompts } = require("./listPrompts");
+const { savePromptVersion } = require("./savePromptVersion");
+const { activatePromptVersion } = require("./activatePromptVersion");
+const { searchLibrary } = require("./searchLibrary");
 const { createAlbum } = require("./createAlbum");
 const { onMediaUpload, onMediaDelete } = require("./mediaProcessor");
 const { inviteCoAuthor } = require("./inviteCoAuthor");
@@ -136,7 +148,15 @@ const { removeCoAuthor } = require("./removeCoAuthor");
 const { setCoAuthorPermissions } = require("./setCoAuthorPermissions");
 const { listNotifications } = require("./listNotifications");
 const { listPendingCoAuthorInvites } = require("./listPendingCoAuthorInvites");
+const { listBookCollaborators } = require("./listBookCollaborators");
+const { createPageComment } = require("./createPageComment");
+const { resolvePageComment } = require("./resolvePageComment");
+const { deletePageComment } = require("./deletePageComment");
 const { syncUserAuthFlags } = require("./syncUserAuthFlags");
+const { claimEmailInvite } = require("./claimEmailInvite");
+const { proposeOwnershipTransfer } = require("./proposeOwnershipTransfer");
+const { respondOwnershipTransfer } = require("./respondOwnershipTransfer");
+const { cancelOwnershipTransfer } = require("./cancelOwnershipTransfer");
 const { searchUsers } = require("./searchUsers");
 const { createCheckoutSession } = require("./payments/createCheckoutSession");
 const { createSubscriptionCheckoutSession } = require("./payments/createSubscriptionCheckoutSession");
@@ -149,16 +169,19 @@ const { stripeWebhook } = require("./payments/stripeWebhook");
 const { createPage } = require("./createPage");
 const { updatePage } = require("./updatePage");
 const { syncPageDerivedData } = require("./syncPageDerivedData");
+const { restorePageRevision } = require("./restorePageRevision");
 const { updateAlbum } = require("./updateAlbum");
 const { airabookaiStream } = require("./airabookaiStream");
 const { onBookDeleted, onPageDeleted, onChapterDeleted } = require("./usageTriggers");
 const { deleteMediaAsset, deleteAlbumAssets } = require("./deleteMedia");
 const { trackMediaUsage, untrackMediaUsage } = require("./mediaUsage");
+const { listDuplicateMedia, mergeDuplicateMedia } = require("./mediaDuplicates");
 const { createUserDoc } = require("./createUserDoc");
 const { updateUserProfile } = require("./updateUserProfile");
 const { resolveUserPlanLimits } = require("./utils/limits");
-const { generateImage } = require("./generateImage");
-const { queryBookFlow, generateChapterSuggestions } = require("./genkit");
+const { generateImage, saveGeneratedImage, sweepGeneratedImages } = require("./generateImage");
+const { queryBookFlow, generateChapterSuggestions, reviewBookConsistency } = require("./genkit");
+const { resolveMemberRole, canEditAsRole } = require("./modules/collab/models/collabTypes");
 
 
 exports.helloWorld = onRequest({ region: "us-central1" }, (request, response) => {
@@ -168,8 +191,22 @@ exports.helloWorld = onRequest({ region: "us-central1" }, (request, response) =>
 
 exports.uploadMedia = uploadMedia;
 exports.rewriteNote = rewriteNote;
+exports.rewriteNoteStream = rewriteNoteStream;
+exports.generateChapterContentStream = generateChapterContentStream;
 exports.createBook = createBook;
 exports.updateBook = updateBook;
+exports.exportBookPdf = exportBookPdf;
+exports.exportBookEpub = exportBookEpub;
+exports.exportBookBackup = exportBookBackup;
+exports.importBookBackup = importBookBackup;
+exports.createShareLink = createShareLink;
+exports.listShareLinks = listShareLinks;
+exports.revokeShareLink = revokeShareLink;
+exports.resolveShareLink = resolveShareLink;
+exports.listPrompts = listPrompts;
+exports.savePromptVersion = savePromptVersion;
+exports.activatePromptVersion = activatePromptVersion;
+exports.searchLibrary = searchLibrary;
 exports.createAlbum = createAlbum;
 exports.onMediaUpload = onMediaUpload;
 exports.onMediaDelete = onMediaDelete;
@@ -180,7 +217,15 @@ exports.removeCoAuthor = removeCoAuthor;
 exports.setCoAuthorPermissions = setCoAuthorPermissions;
 exports.listNotifications = listNotifications;
 exports.listPendingCoAuthorInvites = listPendingCoAuthorInvites;
+exports.listBookCollaborators = listBookCollaborators;
+exports.createPageComment = createPageComment;
+exports.resolvePageComment = resolvePageComment;
+exports.deletePageComment = deletePageComment;
 exports.syncUserAuthFlags = syncUserAuthFlags;
+exports.claimEmailInvite = claimEmailInvite;
+exports.proposeOwnershipTransfer = proposeOwnershipTransfer;
+exports.respondOwnershipTransfer = respondOwnershipTransfer;
+exports.cancelOwnershipTransfer = cancelOwnershipTransfer;
 exports.searchUsers = searchUsers;
 exports.createCheckoutSession = createCheckoutSession;
 exports.createSubscriptionCheckoutSession = createSubscriptionCheckoutSession;
@@ -194,9 +239,13 @@ exports.stripeWebhook = stripeWebhook;
 exports.createPage = createPage;
 exports.updatePage = updatePage;
 exports.syncPageDerivedData = syncPageDerivedData;
+exports.restorePageRevision = restorePageRevision;
 exports.generateImage = generateImage;
+exports.saveGeneratedImage = saveGeneratedImage;
+exports.sweepGeneratedImages = sweepGeneratedImages;
 exports.queryBookFlow = queryBookFlow;
 exports.generateChapterSuggestions = generateChapterSuggestions;
+exports.reviewBookConsistency = reviewBookConsistency;
 exports.airabookaiStream = airabookaiStream;
 exports.createUserDoc = createUserDoc;
 exports.updateUserProfile = updateUserProfile;
@@ -208,6 +257,8 @@ exports.deleteAlbumAssets = deleteAlbumAssets;
 exports.updateAlbum = updateAlbum;
 exports.trackMediaUsage = trackMediaUsage;
 exports.untrackMediaUsage = untrackMediaUsage;
+exports.listDuplicateMedia = listDuplicateMedia;
+exports.mergeDuplicateMedia = mergeDuplicateMedia;
 exports.recalculateStorageUsage = require("./recalculateStorage").recalculateStorageUsage;
 
 // Function to get chapters for a book (hot reload test)
@@ -240,11 +291,10 @@ exports.getBookChapters = onCall({ region: "us-central1", cors: true }, async (r
     }
 
     const bookData = bookDoc.data();
-    // Check if user is owner or member
-    const isOwner = bookData.ownerId === userId;
-    const isMember = bookData.members && bookData.members[userId];
+    // Any member may read, including Viewers and Commenters
+    const memberRole = resolveMemberRole(bookData, userId);
 
-    if (!isOwner && !isMember) {
+    if (!memberRole) {
       throw new HttpsError('permission-denied', 'You do not have access to this book.');
     }
 
@@ -312,12 +362,11 @@ exports.addChapter = onCall({ region: "us-central1", cors: true }, async (reques
     }
 
     const bookData = bookDoc.data();
-    // Check if user is owner or member
-    const isOwner = bookData.ownerId === userId;
-    const isMember = bookData.members && bookData.members[userId];
+    // Only the owner and co-authors can add chapters
+    const memberRole = resolveMemberRole(bookData, userId);
 
-    if (!isOwner && !isMember) {
-      throw new HttpsError('permission-denied', 'You do not have access to this book.');
+    if (!canEditAsRole(memberRole)) {
+      throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
     }
 
     // Get existing chapters to calculate proper order
@@ -413,11 +462,10 @@ exports.addPageSummary = onCall({ region: "us-central1", cors: true }, async (re
     }
 
     const bookData = bookDoc.data();
-    const isOwner = bookData.ownerId === userId;
-    const isMember = bookData.members && bookData.members[userId];
+    const memberRole = resolveMemberRole(bookData, userId);
 
-    if (!isOwner && !isMember) {
-      throw new HttpsError('permission-denied', 'You do not have access to this book.');
+    if (!canEditAsRole(memberRole)) {
+      throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
     }
 
     // Get the chapter
@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { listBookCollaboratorsController } = require('./modules/collab/controllers/collabController');
+
+exports.listBookCollaborators = onCall({ region: 'us-central1', cors: true }, listBookCollaboratorsController);
@@ -0,0 +1,32 @@
+// functions/listPrompts.js
+// Admin callable that lists the prompt registry.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { requireAdmin, listPrompts } = require('./services/promptRegistryService');
+
+const db = admin.firestore();
+
+/**
+ * Every registered prompt with its built-in template, active version and saved versions.
+ * Called from PromptRegistryPanel.jsx via httpsCallable(functions, 'listPrompts')
+ */
+exports.listPrompts = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        requireAdmin(request.auth);
+
+        try {
+            const prompts = await listPrompts(db);
+            return { success: true, prompts };
+        } catch (error) {
+            logger.error('❌ Error listing prompts:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to list prompts: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,41 @@
+// functions/listShareLinks.js
+// Callable that lists a book's share links for its owner.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { listShareLinks } = require('./services/shareLinkService');
+
+const db = admin.firestore();
+
+/**
+ * List every share link of a book, newest first, including revoked and expired ones.
+ * Called from ShareLinksDialog.jsx via httpsCallable(functions, 'listShareLinks')
+ */
+exports.listShareLinks = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to list share links.');
+        }
+
+        const { bookId } = data || {};
+        if (!bookId) {
+            throw new HttpsError('invalid-argument', 'Book ID is required.');
+        }
+
+        try {
+            const links = await listShareLinks(db, { bookId, uid: auth.uid });
+            return { success: true, links };
+        } catch (error) {
+            logger.error('❌ Error listing share links:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to list share links: ${error.message}`);
+        }
+    }
+);
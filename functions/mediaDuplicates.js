@@ -0,0 +1,111 @@
+const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const admin = require("firebase-admin");
+const { listDuplicateMedia, mergeDuplicateMedia } = require("./services/mediaDuplicateService");
+
+// Ensure admin initialized
+if (!admin.apps.length) {
+    admin.initializeApp();
+}
+const db = admin.firestore();
+
+/**
+ * Book albums belong to the book owner; standalone albums to their owner and members.
+ * Returns the album doc data.
+ */
+async function assertAlbumAccess(albumId, uid) {
+    const [bookSnap, albumSnap] = await Promise.all([
+        db.collection("books").doc(albumId).get(),
+        db.collection("albums").doc(albumId).get(),
+    ]);
+    if (!albumSnap.exists) {
+        throw new HttpsError("not-found", "Album not found.");
+    }
+    if (bookSnap.exists) {
+        if (bookSnap.data().ownerId !== uid) {
+            throw new HttpsError("permission-denied", "Only the book owner can manage duplicate media.");
+        }
+        return albumSnap.data();
+    }
+    const albumData = albumSnap.data();
+    const albumOwnerId = albumData.accessPermission?.ownerId || uid;
+    const albumMembers = albumData.accessPermission?.members || {};
+    if (albumOwnerId !== uid && !albumMembers[uid]) {
+        throw new HttpsError("permission-denied", "You do not have access to this album.");
+    }
+    return albumData;
+}
+
+const toReviewItem = (item) => ({
+    storagePath: item.storagePath,
+    url: item.url,
+    name: item.name,
+    uploadedAt: item.uploadedAt || null,
+    capturedAt: item.capturedAt || null,
+    width: item.width || null,
+    height: item.height || null,
+    renditions: item.renditions || null,
+    usedInCount: (item.usedIn || []).length,
+    duplicateOf: item.duplicateOf || null,
+});
+
+/**
+ * Exact and near-duplicate groups of an album's images, for the review view
+ */
+exports.listDuplicateMedia = onCall({ region: "us-central1", cors: true }, async (request) => {
+    const { albumId } = request.data || {};
+    const auth = request.auth;
+
+    if (!auth?.uid) {
+        throw new HttpsError("unauthenticated", "Sign in to review duplicates.");
+    }
+    if (!albumId) {
+        throw new HttpsError("invalid-argument", "albumId is required.");
+    }
+
+    try {
+        const albumData = await assertAlbumAccess(albumId, auth.uid);
+        const { exact, near } = await listDuplicateMedia(db, albumId, albumData);
+        return {
+            exact: exact.map((group) => group.map(toReviewItem)),
+            near: near.map((group) => group.map(toReviewItem)),
+        };
+    } catch (error) {
+        console.error("Error listing duplicate media:", error);
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        throw new HttpsError("internal", `Failed to list duplicate media: ${error.message}`);
+    }
+});
+
+/**
+ * Merge duplicates into the item to keep: pages showing a copy now show the
+ * kept item, and the copies are deleted (onMediaDelete refunds them)
+ */
+exports.mergeDuplicateMedia = onCall({ region: "us-central1", cors: true }, async (request) => {
+    const { albumId, keepStoragePath, mergeStoragePaths } = request.data || {};
+    const auth = request.auth;
+
+    if (!auth?.uid) {
+        throw new HttpsError("unauthenticated", "Sign in to merge duplicates.");
+    }
+    if (!albumId || !keepStoragePath || !Array.isArray(mergeStoragePaths) || mergeStoragePaths.length === 0) {
+        throw new HttpsError("invalid-argument", "albumId, keepStoragePath, and mergeStoragePaths are required.");
+    }
+
+    try {
+        await assertAlbumAccess(albumId, auth.uid);
+        const bucket = admin.storage().bucket();
+        const result = await mergeDuplicateMedia(db, bucket, { albumId, keepStoragePath, mergeStoragePaths });
+
+        console.log(`✅ Merged ${result.merged.length} duplicate(s) into ${keepStoragePath} (${result.pagesUpdated} page(s) updated)`);
+
+        return { success: true, merged: result.merged, pagesUpdated: result.pagesUpdated };
+    } catch (error) {
+        console.error("Error merging duplicate media:", error);
+        if (error instanceof HttpsError) {
+            throw error;
+        }
+        throw new HttpsError("internal", `Failed to merge duplicate media: ${error.message}`);
+    }
+});
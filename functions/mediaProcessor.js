@@ -1,8 +1,13 @@
 const { onObjectFinalized, onObjectDeleted } = require("firebase-functions/v2/storage");
 const admin = require("firebase-admin");
 const FieldValue = require("firebase-admin/firestore").FieldValue;
-const { addStorageUsage } = require("./utils/limits");
+const { addStorageUsage, resolveStorageBillingUserId, resolveVideoDurationLimit } = require("./utils/limits");
 const { deleteMediaInternal } = require("./utils/deleteMediaInternal");
+const { upsertAlbumMedia, removeAlbumMedia, clearAlbumMediaRenditions } = require("./services/albumMediaService");
+const { createImageRenditions, deleteRenditionFiles } = require("./services/mediaRenditionService");
+const { normalizeUploadedPhoto, photoExifFields, wasReplacedByNormalizedPhoto } = require("./services/photoExifService");
+const { hashStoredImage, findExactDuplicate, refundableOriginalBytes } = require("./services/mediaDuplicateService");
+const { probeVideo, createVideoRenditions } = require("./services/videoProcessingService");
 
 const isEmulator = process.env.FUNCTIONS_EMULATOR === "true" || process.env.FIRESTORE_EMULATOR_HOST;
 
@@ -62,19 +67,6 @@ function parseStoragePath(storagePath) {
   };
 }
 
-async function resolveStorageBillingUserId(bookId, fallbackUserId) {
-  if (!bookId) return fallbackUserId;
-  try {
-    const bookSnap = await db.collection('books').doc(bookId).get();
-    if (!bookSnap.exists) return fallbackUserId;
-    const bookData = bookSnap.data() || {};
-    return bookData.ownerId || fallbackUserId;
-  } catch (error) {
-    console.warn(`⚠️ Failed to resolve billing owner for book ${bookId}:`, error?.message || error);
-    return fallbackUserId;
-  }
-}
-
 /**
  * Get or create album for a book
  */
@@ -94,8 +86,6 @@ async function getOrCreateAlbum(bookId, userId) {
       type: 'book',
       bookId: bookId,
       coverImage: null,
-      images: [],
-      videos: [],
       accessPermission: {
         ownerId: userId,
         accessType: 'private',
@@ -165,122 +155,182 @@ async function getDownloadURL(bucket, storagePath, fileMetadata = {}) {
 }
 
 /**
- * Update album document with new media URL
+ * Add (or refresh) the uploaded file in the album's media subcollection
  */
 async function updateAlbumWithMedia(albumId, downloadURL, mediaType, storagePath, metadata = {}) {
-  const albumRef = db.collection('albums').doc(albumId);
-  const albumDoc = await albumRef.get();
-
-  if (!albumDoc.exists) {
-    throw new Error(`Album ${albumId} does not exist`);
+  // New uploads from a page editor start out used by that page
+  const usedIn = [];
+  try {
+    const pathMetadata = parseStoragePath(storagePath);
+    // Check if we have valid page context (not placeholders)
+    if (pathMetadata.chapterId && pathMetadata.pageId &&
+      pathMetadata.chapterId !== '_album_' && pathMetadata.chapterId !== 'general' &&
+      pathMetadata.pageId !== '_album_' && pathMetadata.pageId !== 'general') {
+      usedIn.push({
+        bookId: pathMetadata.bookId,
+        chapterId: pathMetadata.chapterId,
+        pageId: pathMetadata.pageId
+      });
+    }
+  } catch (e) {
+    console.warn(`⚠️ Failed to parse storage path for usage tracking: ${storagePath}`, e);
   }
 
-  const albumData = albumDoc.data();
-  const updateData = {
-    updatedAt: FieldValue.serverTimestamp(),
-  };
-
-  const currentImages = albumData.images || [];
-  const currentVideos = albumData.videos || [];
-  const targetArray = mediaType === 'image' ? currentImages : currentVideos;
-
-  // Check if media already exists
-  const existingIndex = targetArray.findIndex(item => {
-    const itemPath = typeof item === 'string' ? null : item.storagePath;
-    return itemPath === storagePath;
+  const result = await upsertAlbumMedia(db, albumId, {
+    storagePath,
+    url: downloadURL,
+    type: mediaType,
+    name: metadata.originalName || storagePath.split('/').pop(),
+    usedIn,
+    ...(metadata.renditionInfo || {}),
+    ...(metadata.photoExif || {}),
+    ...(metadata.duplicateInfo || {}),
   });
 
-  let mediaItem;
-  let isNewItem = false;
-
-  if (existingIndex >= 0) {
-    // Existing item: Preserve usedIn
-    const existingItem = targetArray[existingIndex];
-    // Handle legacy string items (convert to object)
-    const existingUsedIn = (typeof existingItem === 'object' && existingItem.usedIn) ? existingItem.usedIn : [];
-
-    mediaItem = {
-      url: downloadURL,
-      storagePath: storagePath,
-      name: metadata.originalName || storagePath.split('/').pop(),
-      uploadedAt: (typeof existingItem === 'object' && existingItem.uploadedAt) ? existingItem.uploadedAt : new Date().toISOString(),
-      usedIn: existingUsedIn
-    };
-
-    // Update the item in the array
-    targetArray[existingIndex] = mediaItem;
-    if (mediaType === 'image') {
-      updateData.images = targetArray;
-    } else {
-      updateData.videos = targetArray;
-    }
-    console.log(`🔄 Updated existing media item: ${storagePath}, preserved ${existingUsedIn.length} usage refs`);
+  if (result.isNew) {
+    console.log(`✨ New ${mediaType} in album ${albumId}: ${result.item.usedIn.length} initial usage ref(s)`);
   } else {
-    // New item: Initialize usedIn based on path
-    isNewItem = true;
-    const usedIn = [];
+    console.log(`🔄 Updated existing media item: ${storagePath}, preserved ${result.item.usedIn.length} usage refs`);
+  }
+  console.log(`✅ Updated album ${albumId}: count=${result.mediaCount}`);
 
-    // Parse path internally to get context
-    try {
-      const pathMetadata = parseStoragePath(storagePath);
-      // Check if we have valid page context (not placeholders)
-      if (pathMetadata.chapterId && pathMetadata.pageId &&
-        pathMetadata.chapterId !== '_album_' && pathMetadata.chapterId !== 'general' &&
-        pathMetadata.pageId !== '_album_' && pathMetadata.pageId !== 'general') {
-        usedIn.push({
-          bookId: pathMetadata.bookId,
-          chapterId: pathMetadata.chapterId,
-          pageId: pathMetadata.pageId
-        });
-        console.log(`✨ New media from page upload - added usage ref: ${pathMetadata.chapterId}/${pathMetadata.pageId}`);
-      } else {
-        console.log(`✨ New media from album/general upload - no initial usage ref`);
-      }
-    } catch (e) {
-      console.warn(`⚠️ Failed to parse storage path for usage tracking: ${storagePath}`, e);
-    }
+  return {
+    coverImage: result.coverImage,
+    coverRenditions: result.coverRenditions,
+    mediaCount: result.mediaCount,
+    renditionBytes: result.item.renditionBytes || 0,
+  };
+}
 
-    mediaItem = {
-      url: downloadURL,
-      storagePath: storagePath,
-      name: metadata.originalName || storagePath.split('/').pop(),
-      uploadedAt: new Date().toISOString(),
-      usedIn: usedIn
-    };
-
-    // Add to array
-    if (mediaType === 'image') {
-      updateData.images = FieldValue.arrayUnion(mediaItem);
-    } else {
-      updateData.videos = FieldValue.arrayUnion(mediaItem);
+/**
+ * Write the WebP renditions of an uploaded image; null for videos or when
+ * the image cannot be read (the original is used on its own then)
+ */
+async function generateImageRenditions(bucket, storagePath, mediaType, contentType) {
+  if (mediaType !== 'image') return null;
+  try {
+    const result = await createImageRenditions(admin.storage().bucket(bucket), storagePath, {
+      contentType,
+      getUrl: (renditionPath, fileMetadata) => getDownloadURL(bucket, renditionPath, fileMetadata),
+    });
+    if (result) {
+      console.log(`🖼️ Created ${Object.keys(result.renditions).join('/')} renditions (${result.renditionBytes}B) for ${storagePath}`);
     }
+    return result;
+  } catch (error) {
+    console.warn(`⚠️ Rendition generation failed for ${storagePath}:`, error?.message || error);
+    return null;
   }
+}
 
-  // Update media count
-  let newCount;
-  if (isNewItem) {
-    newCount = currentImages.length + currentVideos.length + 1;
-  } else {
-    newCount = currentImages.length + currentVideos.length;
+/**
+ * Probe an uploaded video and write its poster frame and H.264 web copy.
+ * `rejected` means it is longer than the owner's plan allows; it has been
+ * deleted then. Null when ffprobe cannot read it (the original is kept as is).
+ */
+async function processUploadedVideo(bucket, storagePath, mediaType, { source, contentType, ownerId, enforceLimit }) {
+  if (mediaType !== 'video') return null;
+  let probe;
+  try {
+    probe = await probeVideo(source);
+  } catch (error) {
+    console.warn(`⚠️ Could not probe video ${storagePath}:`, error?.message || error);
+    return null;
   }
+  if (!probe) return null;
 
-  updateData.mediaCount = newCount;
-
-  // Set cover image if this is the first image
-  if (mediaType === 'image' && !albumData.coverImage) {
-    updateData.coverImage = downloadURL;
-    console.log(`📸 Setting cover image for album ${albumId}`);
+  const maxSeconds = enforceLimit ? await resolveVideoDurationLimit(db, ownerId) : null;
+  if (maxSeconds && probe.durationSeconds > maxSeconds) {
+    console.warn(`⛔ ${storagePath} runs ${probe.durationSeconds}s; the plan of ${ownerId} allows ${maxSeconds}s`);
+    await rejectUpload(bucket, storagePath, 'video-too-long');
+    return { rejected: true };
   }
 
-  await albumRef.update(updateData);
-  console.log(`✅ Updated album ${albumId} with ${isNewItem ? 'new' : 'existing'} ${mediaType}: count=${newCount}`);
-
+  const result = await createVideoRenditions(admin.storage().bucket(bucket), storagePath, {
+    source,
+    probe,
+    contentType,
+    getUrl: (renditionPath, fileMetadata) => getDownloadURL(bucket, renditionPath, fileMetadata),
+  });
+  if (result) {
+    console.log(`🎬 Created ${Object.keys(result.renditions).join('/')} renditions (${result.renditionBytes}B) for ${storagePath}`);
+  }
   return {
-    coverImage: updateData.coverImage || albumData.coverImage,
-    mediaCount: newCount,
+    durationSeconds: probe.durationSeconds,
+    width: probe.width,
+    height: probe.height,
+    ...(result || {}),
   };
 }
 
+/**
+ * Delete an upload that was turned away before it was recorded or billed.
+ * The marker tells onMediaDelete there is nothing to refund.
+ */
+async function rejectUpload(bucket, storagePath, reason) {
+  const file = admin.storage().bucket(bucket).file(storagePath);
+  try {
+    await file.setMetadata({ metadata: { uploadRejected: reason } });
+    await file.delete({ ignoreNotFound: true });
+  } catch (error) {
+    console.error(`❌ Failed to remove rejected upload ${storagePath}:`, error);
+  }
+}
+
+/**
+ * Whether the book owner chose to keep GPS positions in their photos
+ * (Profile settings); locations are stripped otherwise
+ */
+async function shouldKeepPhotoLocation(userId) {
+  try {
+    const userDoc = await db.collection('users').doc(userId).get();
+    return userDoc.exists && userDoc.data()?.profile?.keepPhotoLocation === true;
+  } catch (error) {
+    console.warn(`⚠️ Could not read photo location preference for ${userId}:`, error?.message || error);
+    return false;
+  }
+}
+
+/**
+ * Read an uploaded image's EXIF and fix its orientation / location in place.
+ * `rewritten` means the original was overwritten and a new finalize event follows.
+ */
+async function preparePhoto(bucket, storagePath, mediaType, fileData, ownerId) {
+  if (mediaType !== 'image') return { fields: {}, rewritten: false };
+  try {
+    const keepLocation = await shouldKeepPhotoLocation(ownerId);
+    const { exif, rewritten } = await normalizeUploadedPhoto(admin.storage().bucket(bucket), storagePath, {
+      contentType: fileData?.contentType,
+      customMetadata: fileData?.metadata || {},
+      keepLocation,
+    });
+    return { fields: photoExifFields(exif, { keepLocation }), rewritten };
+  } catch (error) {
+    console.warn(`⚠️ EXIF processing failed for ${storagePath}:`, error?.message || error);
+    return { fields: {}, rewritten: false };
+  }
+}
+
+/**
+ * Content and perceptual hashes of an uploaded image, plus `duplicateOf` when
+ * the owner already has the exact same file (those bytes are not billed)
+ */
+async function detectDuplicateImage(bucket, storagePath, mediaType, ownerId) {
+  if (mediaType !== 'image') return {};
+  try {
+    const hashes = await hashStoredImage(admin.storage().bucket(bucket), storagePath);
+    const duplicateOf = await findExactDuplicate(db, { contentHash: hashes.contentHash, ownerId, storagePath });
+    if (duplicateOf) {
+      console.log(`👯 ${storagePath} is an exact duplicate of ${duplicateOf.storagePath} (album ${duplicateOf.albumId})`);
+      return { ...hashes, duplicateOf };
+    }
+    return hashes;
+  } catch (error) {
+    console.warn(`⚠️ Duplicate check failed for ${storagePath}:`, error?.message || error);
+    return {};
+  }
+}
+
 /**
  * Update user's accessibleBookIds with cover image
  */
@@ -332,7 +382,7 @@ async function updateUserAccessibleBookIds(userId, bookId, coverImage) {
 /**
  * Update user's accessibleAlbums
  */
-async function updateUserAccessibleAlbums(userId, albumId, albumName, coverImage, mediaCount) {
+async function updateUserAccessibleAlbums(userId, albumId, albumName, coverImage, mediaCount, coverRenditions = null) {
   const userRef = db.collection('users').doc(userId);
   const userDoc = await userRef.get();
 
@@ -348,12 +398,14 @@ async function updateUserAccessibleAlbums(userId, albumId, albumName, coverImage
   const albumIndex = accessibleAlbums.findIndex(item => item.id === albumId);
   if (albumIndex >= 0) {
     accessibleAlbums[albumIndex].coverImage = coverImage;
+    accessibleAlbums[albumIndex].coverRenditions = coverRenditions;
     accessibleAlbums[albumIndex].mediaCount = mediaCount;
     accessibleAlbums[albumIndex].updatedAt = new Date();
   } else {
     accessibleAlbums.push({
       id: albumId,
       coverImage: coverImage,
+      coverRenditions: coverRenditions,
       type: 'book',
       name: albumName,
       mediaCount: mediaCount,
@@ -370,12 +422,15 @@ async function updateUserAccessibleAlbums(userId, albumId, albumName, coverImage
 
 /**
  * Storage trigger function that runs when a file is uploaded
- * Updates albums/{albumId} document with URL in images/videos array
+ * Adds the file to albums/{albumId}/media
  */
 exports.onMediaUpload = onObjectFinalized(
   {
     region: "us-central1",
     bucket: STORAGE_BUCKET,
+    // Room for decoding full-resolution photos and transcoding videos
+    memory: "2GiB",
+    timeoutSeconds: 540,
   },
   async (event) => {
     const storagePath = event.data.name;
@@ -432,9 +487,16 @@ exports.onMediaUpload = onObjectFinalized(
     try {
       // Parse storage path to extract metadata
       const metadata = parseStoragePath(storagePath);
-      const billingUserId = await resolveStorageBillingUserId(metadata.bookId, metadata.userId);
+      const billingUserId = await resolveStorageBillingUserId(db, metadata.bookId, metadata.userId);
       console.log(`📋 Parsed metadata:`, metadata);
 
+      // Upright, location-free originals; the rewrite is recorded by its own finalize event
+      const photo = await preparePhoto(bucket, storagePath, metadata.type, event.data, billingUserId);
+      if (photo.rewritten) {
+        console.log(`⏭️  Rewrote ${storagePath} after reading its EXIF; waiting for the new upload event`);
+        return null;
+      }
+
       // Get or create album (metadata.bookId is the album ID)
       await getOrCreateAlbum(metadata.bookId, billingUserId);
       const albumId = metadata.bookId;
@@ -444,13 +506,36 @@ exports.onMediaUpload = onObjectFinalized(
       const downloadURL = await getDownloadURL(bucket, storagePath, event.data);
       console.log(`🔗 Generated download URL for ${metadata.type}`);
 
+      // Exact copies of the owner's photos are flagged before they are billed
+      // (files counted elsewhere, like restored backups, stay billed as they are)
+      const duplicateInfo = quotaCounted
+        ? {}
+        : await detectDuplicateImage(bucket, storagePath, metadata.type, billingUserId);
+
+      // Videos: duration, dimensions, poster frame and H.264 copy; too long for the plan and it is removed
+      // (restored backups were accepted before and are kept)
+      const videoInfo = await processUploadedVideo(bucket, storagePath, metadata.type, {
+        source: downloadURL,
+        contentType: event.data?.contentType,
+        ownerId: billingUserId,
+        enforceLimit: !quotaCounted,
+      });
+      if (videoInfo?.rejected) {
+        console.log(`⏭️  Removed ${storagePath}: longer than the plan allows`);
+        return null;
+      }
+
+      // Thumbnail/medium/large WebP copies (or the video's poster and web copy), recorded on the media item
+      const renditionInfo = await generateImageRenditions(bucket, storagePath, metadata.type, event.data?.contentType)
+        || videoInfo;
+
       // Update album with new media
       const albumUpdate = await updateAlbumWithMedia(
         albumId,
         downloadURL,
         metadata.type,
         storagePath,
-        { originalName: metadata.filename }
+        { originalName: metadata.filename, renditionInfo, photoExif: photo.fields, duplicateInfo }
       );
 
       // Get album data for name
@@ -459,29 +544,37 @@ exports.onMediaUpload = onObjectFinalized(
       const albumData = albumDoc.exists ? albumDoc.data() : {};
       const albumName = albumData.name || 'Untitled Album';
 
-      // Add storage usage - if limit is reached, rollback the upload
-      if (!quotaCounted && metaSize > 0) {
+      // Add storage usage (the upload plus its renditions) - if limit is reached, rollback the upload
+      const uploadBytes = !quotaCounted && !duplicateInfo.duplicateOf && metaSize > 0 ? metaSize : 0;
+      const renditionBytes = albumUpdate.renditionBytes;
+      if (uploadBytes + renditionBytes > 0) {
         try {
-          const usage = await addStorageUsage(db, billingUserId, metaSize);
+          const usage = await addStorageUsage(db, billingUserId, uploadBytes + renditionBytes);
           // Update user's accessibleAlbums
           await updateUserAccessibleAlbums(
             metadata.userId,
             albumId,
             albumName,
             albumUpdate.coverImage,
-            albumUpdate.mediaCount
+            albumUpdate.mediaCount,
+            albumUpdate.coverRenditions
           );
 
           console.log(
             `📈 [onMediaUpload] Storage usage updated: ` +
-            `delta=+${metaSize}B before=${usage.before}B after=${usage.after}B billedUser=${billingUserId} uploader=${metadata.userId} ` +
+            `delta=+${uploadBytes + renditionBytes}B (renditions=${renditionBytes}B) before=${usage.before}B after=${usage.after}B billedUser=${billingUserId} uploader=${metadata.userId} ` +
             `albumId=${albumId} storagePath=${storagePath}`
           );
         } catch (usageErr) {
           console.error("⚠️ Storage limit reached on media upload:", usageErr);
 
-          // Rollback: Delete the uploaded file using shared helper
-          if (usageErr.code === 'resource-exhausted') {
+          // The upload itself is not billed here (counted elsewhere, or a duplicate): keep it and only drop the renditions
+          if (usageErr.code === 'resource-exhausted' && uploadBytes === 0) {
+            const item = await clearAlbumMediaRenditions(db, albumId, storagePath);
+            await deleteRenditionFiles(admin.storage().bucket(bucket), item);
+            console.log(`🔄 Dropped renditions for ${storagePath} - storage limit reached`);
+          } else if (usageErr.code === 'resource-exhausted') {
+            // Rollback: Delete the uploaded file (and its renditions) using shared helper
             console.log(`🔄 Rolling back upload - deleting file and removing from album...`);
 
             try {
@@ -511,7 +604,12 @@ exports.onMediaUpload = onObjectFinalized(
           }
         }
       }
-      if (quotaCounted) {
+      if (duplicateInfo.duplicateOf) {
+        console.log(
+          `ℹ️  [onMediaUpload] Not billing exact duplicate: size=${metaSize}B billedUser=${billingUserId} ` +
+          `original=${duplicateInfo.duplicateOf.storagePath} storagePath=${storagePath}`
+        );
+      } else if (quotaCounted) {
         console.log(
           `ℹ️  [onMediaUpload] Skipping storage increment (quotaCounted=true): ` +
           `size=${metaSize}B billedUser=${billingUserId} uploader=${metadata.userId} albumId=${albumId} storagePath=${storagePath}`
@@ -551,10 +649,22 @@ exports.onMediaDelete = onObjectDeleted(
       return null;
     }
 
+    // Turned away by onMediaUpload before it was recorded or billed
+    if (event.data?.metadata?.uploadRejected) {
+      console.log(`⏭️  [onMediaDelete] ${storagePath} was a rejected upload (${event.data.metadata.uploadRejected})`);
+      return null;
+    }
+
     try {
+      // Overwritten by onMediaUpload's upright / location-free rewrite, not deleted
+      if (await wasReplacedByNormalizedPhoto(admin.storage().bucket(event.data?.bucket), storagePath, event.data?.metadata || {})) {
+        console.log(`⏭️  [onMediaDelete] ${storagePath} was replaced by its EXIF-processed rewrite`);
+        return null;
+      }
+
       // Parse storage path to extract metadata
       const metadata = parseStoragePath(storagePath);
-      const billingUserId = await resolveStorageBillingUserId(metadata.bookId, metadata.userId);
+      const billingUserId = await resolveStorageBillingUserId(db, metadata.bookId, metadata.userId);
 
       console.log(`🔔 [onMediaDelete] Parsed metadata:`, JSON.stringify(metadata, null, 2));
 
@@ -567,78 +677,11 @@ exports.onMediaDelete = onObjectDeleted(
       }
 
       const albumData = albumDoc.data();
-      const images = albumData.images || [];
-      const videos = albumData.videos || [];
-
-      console.log(`🔔 [onMediaDelete] Current album state - images: ${images.length}, videos: ${videos.length}`);
 
-      // Find the URL that matches this storage path
-      const updateData = {
-        updatedAt: FieldValue.serverTimestamp(),
-      };
-
-      // Find URL to remove by matching storage path
-      let mediaItemToRemove = null;
-      if (metadata.type === 'image') {
-        // Find image item that matches storage path EXACTLY
-        console.log(`🔔 [onMediaDelete] Searching for image with storagePath: ${storagePath}`);
-        mediaItemToRemove = images.find(item => {
-          const itemObj = typeof item === 'string' ? { url: item } : item;
-          const matches = itemObj.storagePath === storagePath;
-          if (matches) {
-            console.log(`🔔 [onMediaDelete] Found exact match:`, itemObj);
-          }
-          return matches;
-        });
-
-        console.log(`🔔 [onMediaDelete] Found matching image: ${!!mediaItemToRemove}`);
-
-        if (mediaItemToRemove) {
-          const itemUrl = typeof mediaItemToRemove === 'string' ? mediaItemToRemove : mediaItemToRemove.url;
-          console.log(`🔔 [onMediaDelete] Will remove image:`, mediaItemToRemove);
-          updateData.images = FieldValue.arrayRemove(mediaItemToRemove);
-          const remainingImages = images.filter(item => {
-            const itemObj = typeof item === 'string' ? { url: item } : item;
-            return itemObj.url !== itemUrl;
-          });
-          updateData.mediaCount = remainingImages.length + videos.length;
-          console.log(`🔔 [onMediaDelete] New mediaCount will be: ${updateData.mediaCount}`);
-
-          // Update cover image if deleted image was cover
-          if (albumData.coverImage === itemUrl) {
-            const nextImage = remainingImages.length > 0
-              ? (typeof remainingImages[0] === 'string' ? remainingImages[0] : remainingImages[0].url)
-              : null;
-            updateData.coverImage = nextImage;
-            console.log(`🔔 [onMediaDelete] Updating cover image to: ${nextImage}`);
-          }
-        }
-      } else {
-        // Find video item that matches storage path EXACTLY
-        console.log(`🔔 [onMediaDelete] Searching for video with storagePath: ${storagePath}`);
-        mediaItemToRemove = videos.find(item => {
-          const itemObj = typeof item === 'string' ? { url: item } : item;
-          const matches = itemObj.storagePath === storagePath;
-          if (matches) {
-            console.log(`🔔 [onMediaDelete] Found exact match:`, itemObj);
-          }
-          return matches;
-        });
-
-        console.log(`🔔 [onMediaDelete] Found matching video: ${!!mediaItemToRemove}`);
-
-        if (mediaItemToRemove) {
-          console.log(`🔔 [onMediaDelete] Will remove video:`, mediaItemToRemove);
-          updateData.videos = FieldValue.arrayRemove(mediaItemToRemove);
-          const remainingVideos = videos.filter(item => {
-            const itemObj = typeof item === 'string' ? { url: item } : item;
-            const itemUrl = typeof mediaItemToRemove === 'string' ? mediaItemToRemove : mediaItemToRemove.url;
-            return itemObj.url !== itemUrl;
-          });
-          updateData.mediaCount = images.length + remainingVideos.length;
-          console.log(`🔔 [onMediaDelete] New mediaCount will be: ${updateData.mediaCount}`);
-        }
-      }
+      // Remove the media doc; also moves the cover on to the next image if needed
+      const removed = await removeAlbumMedia(db, metadata.bookId, storagePath);
+      const mediaItemToRemove = removed?.item || null;
+      console.log(`🔔 [onMediaDelete] Found matching ${metadata.type}: ${!!mediaItemToRemove}`);
 
       if (!mediaItemToRemove) {
         console.log(`ℹ️  [onMediaDelete] No matching media found in album - likely already removed by deleteMediaAsset`);
@@ -668,8 +711,6 @@ exports.onMediaDelete = onObjectDeleted(
         return null;
       }
 
-      const itemUrl = typeof mediaItemToRemove === 'string' ? mediaItemToRemove : mediaItemToRemove.url;
-
       // Clean up page references using usedIn tracking
       if (mediaItemToRemove.usedIn && mediaItemToRemove.usedIn.length > 0) {
         console.log(`🔔 [onMediaDelete] Found ${mediaItemToRemove.usedIn.length} page(s) using this media`);
@@ -703,11 +744,11 @@ exports.onMediaDelete = onObjectDeleted(
         console.log(`ℹ️  [onMediaDelete] No page references to clean up (usedIn is empty)`);
       }
 
-      console.log(`🔔 [onMediaDelete] Updating album document...`);
-      await albumRef.update(updateData);
+      // Renditions are not under media/, so no trigger fires for them; their bytes are refunded below
+      const renditionBytes = await deleteRenditionFiles(admin.storage().bucket(event.data?.bucket), mediaItemToRemove);
 
       // Update user's accessibleBookIds and accessibleAlbums
-      const newCoverImage = updateData.coverImage !== undefined ? updateData.coverImage : albumData.coverImage;
+      const newCoverImage = removed.coverImage;
       console.log(`🔔 [onMediaDelete] Updating user accessible lists...`);
       await updateUserAccessibleBookIds(metadata.userId, metadata.bookId, newCoverImage);
 
@@ -717,23 +758,33 @@ exports.onMediaDelete = onObjectDeleted(
         metadata.bookId,
         albumName,
         newCoverImage,
-        updateData.mediaCount
+        removed.mediaCount,
+        removed.coverRenditions
       );
       console.log(`✅ [onMediaDelete] Updated user accessible lists`);
 
       const rawSize = event.data?.size;
-      const sizeBytes = parseInt(rawSize || "0", 10) || 0;
-      if (sizeBytes <= 0) {
+      const rawSizeBytes = parseInt(rawSize || "0", 10) || 0;
+      if (rawSizeBytes <= 0) {
         console.warn(
           `⚠️ [onMediaDelete] Missing/zero size on delete event; skipping storage decrement. ` +
           `rawSize=${rawSize} storagePath=${storagePath} bucket=${event.data?.bucket} metageneration=${event.data?.metageneration}`
         );
-      } else {
+      }
+      // Duplicates were never billed; an original with duplicates left hands its bytes on
+      const sizeBytes = await refundableOriginalBytes(db, {
+        item: mediaItemToRemove,
+        storagePath,
+        sizeBytes: rawSizeBytes,
+        billingUserId,
+        addStorageUsage,
+      });
+      if (sizeBytes + renditionBytes > 0) {
         try {
-          const usage = await addStorageUsage(db, billingUserId, -sizeBytes);
+          const usage = await addStorageUsage(db, billingUserId, -(sizeBytes + renditionBytes));
           console.log(
             `✅ [onMediaDelete] Storage usage updated: ` +
-            `delta=-${sizeBytes}B before=${usage.before}B after=${usage.after}B billedUser=${billingUserId} uploader=${metadata.userId}`
+            `delta=-${sizeBytes + renditionBytes}B (renditions=${renditionBytes}B) before=${usage.before}B after=${usage.after}B billedUser=${billingUserId} uploader=${metadata.userId}`
           );
         } catch (usageErr) {
           console.error("❌ [onMediaDelete] Failed to update storage usage:", usageErr);
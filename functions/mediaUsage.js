@@ -1,6 +1,6 @@
 const { onCall, HttpsError } = require("firebase-functions/v2/https");
 const admin = require("firebase-admin");
-const FieldValue = require("firebase-admin/firestore").FieldValue;
+const { addMediaUsage, removeMediaUsage } = require("./services/albumMediaService");
 
 // Ensure admin initialized
 if (!admin.apps.length) {
@@ -23,62 +23,18 @@ exports.trackMediaUsage = onCall({ region: "us-central1", cors: true }, async (r
     }
 
     try {
-        const albumRef = db.collection("albums").doc(albumId);
-        const albumSnap = await albumRef.get();
+        const albumSnap = await db.collection("albums").doc(albumId).get();
 
         if (!albumSnap.exists) {
             throw new HttpsError("not-found", "Album not found.");
         }
 
-        const albumData = albumSnap.data();
-        const images = albumData.images || [];
-        const videos = albumData.videos || [];
-
-        // Find the media item by storagePath
-        let mediaItem = null;
-        let mediaType = null;
-        let mediaIndex = -1;
-
-        mediaIndex = images.findIndex(img => img.storagePath === storagePath);
-        if (mediaIndex >= 0) {
-            mediaItem = images[mediaIndex];
-            mediaType = "images";
-        } else {
-            mediaIndex = videos.findIndex(vid => vid.storagePath === storagePath);
-            if (mediaIndex >= 0) {
-                mediaItem = videos[mediaIndex];
-                mediaType = "videos";
-            }
-        }
-
-        if (!mediaItem) {
+        const usedIn = await addMediaUsage(db, albumId, storagePath, { bookId, chapterId, pageId });
+        if (!usedIn) {
             throw new HttpsError("not-found", "Media item not found in album.");
         }
 
-        // Initialize usedIn array if it doesn't exist
-        if (!mediaItem.usedIn) {
-            mediaItem.usedIn = [];
-        }
-
-        // Check if this usage already exists
-        const usageExists = mediaItem.usedIn.some(
-            usage => usage.bookId === bookId && usage.chapterId === chapterId && usage.pageId === pageId
-        );
-
-        if (!usageExists) {
-            mediaItem.usedIn.push({ bookId, chapterId, pageId });
-
-            // Update the album document
-            const mediaArray = mediaType === "images" ? images : videos;
-            mediaArray[mediaIndex] = mediaItem;
-
-            await albumRef.update({
-                [mediaType]: mediaArray,
-                updatedAt: FieldValue.serverTimestamp()
-            });
-
-            console.log(`✅ Tracked usage: ${storagePath} in ${bookId}/${chapterId}/${pageId}`);
-        }
+        console.log(`✅ Tracked usage: ${storagePath} in ${bookId}/${chapterId}/${pageId}`);
 
         return { success: true };
     } catch (error) {
@@ -105,59 +61,14 @@ exports.untrackMediaUsage = onCall({ region: "us-central1", cors: true }, async
     }
 
     try {
-        const albumRef = db.collection("albums").doc(albumId);
-        const albumSnap = await albumRef.get();
-
-        if (!albumSnap.exists) {
-            // Album might have been deleted, that's okay
-            console.warn(`⚠️ Album ${albumId} not found when untracking usage`);
-            return { success: true };
-        }
-
-        const albumData = albumSnap.data();
-        const images = albumData.images || [];
-        const videos = albumData.videos || [];
-
-        // Find the media item by storagePath
-        let mediaItem = null;
-        let mediaType = null;
-        let mediaIndex = -1;
-
-        mediaIndex = images.findIndex(img => img.storagePath === storagePath);
-        if (mediaIndex >= 0) {
-            mediaItem = images[mediaIndex];
-            mediaType = "images";
-        } else {
-            mediaIndex = videos.findIndex(vid => vid.storagePath === storagePath);
-            if (mediaIndex >= 0) {
-                mediaItem = videos[mediaIndex];
-                mediaType = "videos";
-            }
-        }
-
-        if (!mediaItem) {
-            // Media might have been deleted, that's okay
+        const usedIn = await removeMediaUsage(db, albumId, storagePath, { bookId, chapterId, pageId });
+        if (!usedIn) {
+            // Album or media might have been deleted, that's okay
             console.warn(`⚠️ Media item ${storagePath} not found in album ${albumId}`);
             return { success: true };
         }
 
-        // Remove the usage reference
-        if (mediaItem.usedIn) {
-            mediaItem.usedIn = mediaItem.usedIn.filter(
-                usage => !(usage.bookId === bookId && usage.chapterId === chapterId && usage.pageId === pageId)
-            );
-
-            // Update the album document
-            const mediaArray = mediaType === "images" ? images : videos;
-            mediaArray[mediaIndex] = mediaItem;
-
-            await albumRef.update({
-                [mediaType]: mediaArray,
-                updatedAt: FieldValue.serverTimestamp()
-            });
-
-            console.log(`✅ Untracked usage: ${storagePath} from ${bookId}/${chapterId}/${pageId}`);
-        }
+        console.log(`✅ Untracked usage: ${storagePath} from ${bookId}/${chapterId}/${pageId}`);
 
         return { success: true };
     } catch (error) {
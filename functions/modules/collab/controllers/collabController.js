@@ -1,4 +1,5 @@
 const collabService = require('../services/collabService');
+const commentService = require('../services/commentService');
 
 async function inviteCoAuthorController(request) {
   return collabService.inviteCoAuthor(request.data, request.auth);
@@ -28,10 +29,42 @@ async function listPendingCoAuthorInvitesController(request) {
   return collabService.listPendingCoAuthorInvites(request.data, request.auth);
 }
 
+async function listBookCollaboratorsController(request) {
+  return collabService.listBookCollaborators(request.data, request.auth);
+}
+
 async function syncUserAuthFlagsController(request) {
   return collabService.syncUserAuthFlags(request.data, request.auth);
 }
 
+async function claimEmailInviteController(request) {
+  return collabService.claimEmailInvite(request.data, request.auth);
+}
+
+async function proposeOwnershipTransferController(request) {
+  return collabService.proposeOwnershipTransfer(request.data, request.auth);
+}
+
+async function respondOwnershipTransferController(request) {
+  return collabService.respondOwnershipTransfer(request.data, request.auth);
+}
+
+async function cancelOwnershipTransferController(request) {
+  return collabService.cancelOwnershipTransfer(request.data, request.auth);
+}
+
+async function createPageCommentController(request) {
+  return commentService.createPageComment(request.data, request.auth);
+}
+
+async function resolvePageCommentController(request) {
+  return commentService.resolvePageComment(request.data, request.auth);
+}
+
+async function deletePageCommentController(request) {
+  return commentService.deletePageComment(request.data, request.auth);
+}
+
 module.exports = {
   inviteCoAuthorController,
   respondCoAuthorInviteController,
@@ -40,5 +73,13 @@ module.exports = {
   setCoAuthorPermissionsController,
   listNotificationsController,
   listPendingCoAuthorInvitesController,
+  listBookCollaboratorsController,
   syncUserAuthFlagsController,
+  claimEmailInviteController,
+  proposeOwnershipTransferController,
+  respondOwnershipTransferController,
+  cancelOwnershipTransferController,
+  createPageCommentController,
+  resolvePageCommentController,
+  deletePageCommentController,
 };
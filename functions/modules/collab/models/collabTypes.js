@@ -1,20 +1,50 @@
+const crypto = require('crypto');
+
 const INVITE_STATUS = Object.freeze({
   PENDING: 'pending',
   ACCEPTED: 'accepted',
   DECLINED: 'declined',
   CANCELLED: 'cancelled',
   EXPIRED: 'expired',
+  // Email invite handed over to the account that registered with that address.
+  CLAIMED: 'claimed',
 });
 
 const NOTIFICATION_TYPE = Object.freeze({
   COAUTHOR_INVITE: 'coauthor_invite',
+  PAGE_COMMENT: 'page_comment',
+  PAGE_COMMENT_REPLY: 'page_comment_reply',
+  OWNERSHIP_TRANSFER: 'ownership_transfer',
+});
+
+/**
+ * Roles stored in `books/{bookId}.members`. Viewers can only read the book;
+ * Commenters can also take part in page comments.
+ */
+const MEMBER_ROLE = Object.freeze({
+  OWNER: 'Owner',
+  CO_AUTHOR: 'Co-author',
+  COMMENTER: 'Commenter',
+  VIEWER: 'Viewer',
+});
+
+const INVITABLE_ROLES = Object.freeze([MEMBER_ROLE.CO_AUTHOR, MEMBER_ROLE.COMMENTER, MEMBER_ROLE.VIEWER]);
+
+const COMMENT_STATUS = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved',
 });
 
 const INVITE_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+// Email invites wait for someone to sign up, so they live longer.
+const EMAIL_INVITE_TTL_MS = 14 * 24 * 60 * 60 * 1000;
 const RESEND_COOLDOWN_MS = 15 * 60 * 1000;
 const MAX_PENDING_PER_RECIPIENT = 200;
 const MAX_PENDING_PER_BOOK = 50;
 const MAX_COAUTHORS_PER_BOOK = 5;
+const MAX_READERS_PER_BOOK = 20;
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_COMMENT_QUOTE_LENGTH = 200;
 
 const MEMBER_PERMISSION_DEFAULTS = Object.freeze({
   canManageMedia: true,
@@ -23,6 +53,14 @@ const MEMBER_PERMISSION_DEFAULTS = Object.freeze({
   canRemoveCoAuthors: false,
 });
 
+// Viewers and Commenters never hold media or member-management permissions.
+const READER_PERMISSIONS = Object.freeze({
+  canManageMedia: false,
+  canInviteCoAuthors: false,
+  canManagePendingInvites: false,
+  canRemoveCoAuthors: false,
+});
+
 /**
  * @typedef {Object} MemberPermissions
  * @property {boolean=} canManageMedia
@@ -35,37 +73,143 @@ const MEMBER_PERMISSION_DEFAULTS = Object.freeze({
  * @typedef {Object} InviteDoc
  * @property {string} bookId
  * @property {string} ownerId
- * @property {string} inviteeUid
+ * @property {string|null} inviteeUid null for email invites until the address registers
  * @property {string} inviteeEmail
  * @property {string} ownerName
  * @property {string} bookTitle
+ * @property {'Co-author'|'Commenter'|'Viewer'=} role missing on invites sent before roles existed
  * @property {boolean} canManageMedia
  * @property {boolean=} canInviteCoAuthors
- * @property {'pending'|'accepted'|'declined'|'cancelled'|'expired'} status
+ * @property {'pending'|'accepted'|'declined'|'cancelled'|'expired'|'claimed'} status
  * @property {any} createdAt
  * @property {any} updatedAt
  * @property {any} expiresAt
  * @property {any=} respondedAt
  * @property {any=} resentAt
+ * @property {string=} tokenNonce email invites only; must match the nonce in the invite link
+ * @property {string=} claimedBy email invites only; uid of the account that claimed it
+ * @property {string=} claimedInviteId email invites only; the uid invite created on claim
+ * @property {string=} claimedFromInviteId uid invites created from an email invite
  */
 
 /**
  * @typedef {Object} NotificationDoc
- * @property {'coauthor_invite'} type
- * @property {string} inviteId
+ * @property {'coauthor_invite'|'ownership_transfer'} type
+ * @property {string=} inviteId invites only
+ * @property {string=} transferId ownership transfers only; the book id
  * @property {string} bookId
  * @property {string} bookTitle
  * @property {string} ownerId
  * @property {string} ownerName
- * @property {boolean} canManageMedia
+ * @property {'Co-author'|'Commenter'|'Viewer'=} role
+ * @property {boolean=} canManageMedia
+ * @property {any} createdAt
+ * @property {any} expiresAt
+ */
+
+/**
+ * One open proposal per book, stored at `ownershipTransfers/{bookId}` and
+ * overwritten by the next proposal once this one is settled.
+ * @typedef {Object} OwnershipTransferDoc
+ * @property {string} bookId
+ * @property {string} bookTitle
+ * @property {string} fromUid current owner who proposed the transfer
+ * @property {string} fromName
+ * @property {string} toUid co-author who becomes the owner on accept
+ * @property {'pending'|'accepted'|'declined'|'cancelled'|'expired'} status
+ * @property {number=} storageBytesMoved set on accept
  * @property {any} createdAt
+ * @property {any} updatedAt
  * @property {any} expiresAt
+ * @property {any=} respondedAt
+ */
+
+/**
+ * @typedef {Object} CommentAnchor
+ * @property {string} blockId BlockNote block the comment points at
+ * @property {string=} quote selected text at the time of commenting
+ */
+
+/**
+ * @typedef {Object} PageCommentDoc
+ * @property {string} bookId
+ * @property {string} chapterId
+ * @property {string} pageId
+ * @property {string} threadId id of the root comment (its own id for roots)
+ * @property {string|null} parentId root comment id for replies, null for roots
+ * @property {string} authorId
+ * @property {string} authorName
+ * @property {string} body
+ * @property {CommentAnchor|null} anchor only set on root comments
+ * @property {'open'|'resolved'} status only meaningful on root comments
+ * @property {number} replyCount
+ * @property {string|null} resolvedBy
+ * @property {any} resolvedAt
+ * @property {any} createdAt
+ * @property {any} updatedAt
+ */
+
+/**
+ * @typedef {Object} CommentNotificationDoc
+ * @property {'page_comment'|'page_comment_reply'} type
+ * @property {string} bookId
+ * @property {string} bookTitle
+ * @property {string} chapterId
+ * @property {string} pageId
+ * @property {string} pageName
+ * @property {string} commentId
+ * @property {string} threadId
+ * @property {string} actorId
+ * @property {string} actorName
+ * @property {string} excerpt
+ * @property {any} createdAt
  */
 
 function buildInviteId(bookId, inviteeUid) {
   return `${bookId}__${inviteeUid}`;
 }
 
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+/** Hashing keeps the address out of the doc id (and out of URLs and logs). */
+function buildEmailInviteId(bookId, email) {
+  const digest = crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex').slice(0, 32);
+  return `${bookId}__email_${digest}`;
+}
+
+/** Id of the transfer notification in the new owner's `notifications`. */
+function buildOwnershipTransferNotificationId(bookId) {
+  return `${bookId}__ownership`;
+}
+
+/**
+ * Role of `uid` on a book, or null when they are not a member. Unknown role
+ * strings are treated as Viewer so a bad write never grants edit access.
+ * @returns {'Owner'|'Co-author'|'Commenter'|'Viewer'|null}
+ */
+function resolveMemberRole(bookData = {}, uid) {
+  if (!uid) return null;
+  if (bookData?.ownerId === uid) return MEMBER_ROLE.OWNER;
+  const role = bookData?.members?.[uid];
+  if (!role) return null;
+  return Object.values(MEMBER_ROLE).includes(role) ? role : MEMBER_ROLE.VIEWER;
+}
+
+function canEditAsRole(role) {
+  return role === MEMBER_ROLE.OWNER || role === MEMBER_ROLE.CO_AUTHOR;
+}
+
+function canCommentAsRole(role) {
+  return canEditAsRole(role) || role === MEMBER_ROLE.COMMENTER;
+}
+
+/** Invites sent before roles existed carry no role and are co-author invites. */
+function normalizeInviteRole(role) {
+  return INVITABLE_ROLES.includes(role) ? role : MEMBER_ROLE.CO_AUTHOR;
+}
+
 function toBool(value, fallback = false) {
   if (typeof value === 'boolean') return value;
   return fallback;
@@ -83,12 +227,27 @@ function sanitizeMemberPermissions(input = {}, defaults = MEMBER_PERMISSION_DEFA
 module.exports = {
   INVITE_STATUS,
   NOTIFICATION_TYPE,
+  MEMBER_ROLE,
+  INVITABLE_ROLES,
+  COMMENT_STATUS,
   INVITE_TTL_MS,
+  EMAIL_INVITE_TTL_MS,
   RESEND_COOLDOWN_MS,
   MAX_PENDING_PER_RECIPIENT,
   MAX_PENDING_PER_BOOK,
   MAX_COAUTHORS_PER_BOOK,
+  MAX_READERS_PER_BOOK,
+  MAX_COMMENT_LENGTH,
+  MAX_COMMENT_QUOTE_LENGTH,
   MEMBER_PERMISSION_DEFAULTS,
+  READER_PERMISSIONS,
   buildInviteId,
+  buildEmailInviteId,
+  buildOwnershipTransferNotificationId,
+  normalizeEmail,
+  resolveMemberRole,
+  canEditAsRole,
+  canCommentAsRole,
+  normalizeInviteRole,
   sanitizeMemberPermissions,
 };
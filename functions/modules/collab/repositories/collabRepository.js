@@ -22,6 +22,18 @@ function inviteRef(inviteId) {
   return db.collection('invites').doc(inviteId);
 }
 
+function ownershipTransferRef(bookId) {
+  return db.collection('ownershipTransfers').doc(bookId);
+}
+
+function pageRef(bookId, chapterId, pageId) {
+  return bookRef(bookId).collection('chapters').doc(chapterId).collection('pages').doc(pageId);
+}
+
+function pageCommentsRef(bookId, chapterId, pageId) {
+  return pageRef(bookId, chapterId, pageId).collection('comments');
+}
+
 async function getBook(bookId) {
   const snap = await bookRef(bookId).get();
   return { snap, data: snap.exists ? (snap.data() || {}) : null };
@@ -47,14 +59,16 @@ async function countPendingInvitesForRecipient(inviteeUid, hardLimit = 250) {
   return snap.size || 0;
 }
 
-async function countPendingInvitesForBook(bookId, hardLimit = 100) {
+async function countPendingInvitesForBook(bookId, hardLimit = 100, roles = null) {
   const snap = await db
     .collection('invites')
     .where('bookId', '==', bookId)
     .where('status', '==', 'pending')
     .limit(hardLimit)
     .get();
-  return snap.size || 0;
+  if (!roles) return snap.size || 0;
+  // Invites sent before roles existed have no role and are co-author invites.
+  return snap.docs.filter((docSnap) => roles.includes(docSnap.data()?.role || 'Co-author')).length;
 }
 
 async function listExpiredPendingInvitesByRecipient(inviteeUid, nowTs, pageSize = 100) {
@@ -79,6 +93,17 @@ async function listExpiredPendingInvitesByBook(bookId, nowTs, pageSize = 100) {
   return snap.docs;
 }
 
+async function listPendingEmailInvites(email, pageSize = 50) {
+  const snap = await db
+    .collection('invites')
+    .where('inviteeEmail', '==', email)
+    .where('inviteeUid', '==', null)
+    .where('status', '==', 'pending')
+    .limit(pageSize)
+    .get();
+  return snap.docs;
+}
+
 function upsertAccessibleBookIds(entries = [], bookSummary) {
   let normalized = Array.isArray(entries) ? [...entries] : [];
   if (normalized.length > 0 && typeof normalized[0] === 'string') {
@@ -125,6 +150,9 @@ module.exports = {
   bookRef,
   albumRef,
   inviteRef,
+  ownershipTransferRef,
+  pageRef,
+  pageCommentsRef,
   getBook,
   getUser,
   getInvite,
@@ -132,6 +160,7 @@ module.exports = {
   countPendingInvitesForBook,
   listExpiredPendingInvitesByRecipient,
   listExpiredPendingInvitesByBook,
+  listPendingEmailInvites,
   upsertAccessibleBookIds,
   removeAccessibleBook,
   upsertAccessibleAlbum,
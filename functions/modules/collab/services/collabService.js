@@ -9,6 +9,7 @@ const {
   bookRef,
   albumRef,
   inviteRef,
+  ownershipTransferRef,
   getBook,
   getUser,
   getInvite,
@@ -16,6 +17,7 @@ const {
   countPendingInvitesForBook,
   listExpiredPendingInvitesByRecipient,
   listExpiredPendingInvitesByBook,
+  listPendingEmailInvites,
   upsertAccessibleBookIds,
   removeAccessibleBook,
   upsertAccessibleAlbum,
@@ -25,16 +27,40 @@ const {
   INVITE_STATUS,
   NOTIFICATION_TYPE,
   INVITE_TTL_MS,
+  EMAIL_INVITE_TTL_MS,
   RESEND_COOLDOWN_MS,
   MAX_PENDING_PER_RECIPIENT,
   MAX_PENDING_PER_BOOK,
   MAX_COAUTHORS_PER_BOOK,
+  MAX_READERS_PER_BOOK,
+  MEMBER_ROLE,
+  INVITABLE_ROLES,
   MEMBER_PERMISSION_DEFAULTS,
+  READER_PERMISSIONS,
   buildInviteId,
+  buildEmailInviteId,
+  buildOwnershipTransferNotificationId,
+  normalizeEmail,
+  resolveMemberRole,
+  canEditAsRole,
+  canCommentAsRole,
+  normalizeInviteRole,
   sanitizeMemberPermissions,
 } = require('../models/collabTypes');
 const { ErrorCodes } = require('../../shared/errors/errorCodes');
 const { buildAppError } = require('../../shared/errors/appError');
+const { sendMail } = require('../../shared/mail/mailTransport');
+const { moveBookUsageTx } = require('../../../utils/limits');
+const { listAllAlbumMedia } = require('../../../services/albumMediaService');
+const {
+  signInviteToken,
+  verifyInviteToken,
+  createInviteNonce,
+  buildInviteLink,
+} = require('./inviteTokens');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const STORAGE_METADATA_BATCH_SIZE = 20;
 
 function nowTs() {
   return Timestamp.now();
@@ -52,8 +78,8 @@ function isExpired(inviteData, nowMs = Date.now()) {
   return toMillis(inviteData?.expiresAt) > 0 && toMillis(inviteData.expiresAt) <= nowMs;
 }
 
-function expiresInTs(baseMs = Date.now()) {
-  return Timestamp.fromMillis(baseMs + INVITE_TTL_MS);
+function expiresInTs(baseMs = Date.now(), ttlMs = INVITE_TTL_MS) {
+  return Timestamp.fromMillis(baseMs + ttlMs);
 }
 
 async function runCleanupSafely(label, job) {
@@ -143,11 +169,24 @@ async function requireVerifiedUserAccount(uid) {
   }
 }
 
+/** Uid of the account registered with `email`, or null when nobody has signed up with it yet. */
+async function findAccountUidByEmail(email) {
+  try {
+    const userRecord = await admin.auth().getUserByEmail(email);
+    return userRecord?.uid || null;
+  } catch (error) {
+    if (error?.code === 'auth/user-not-found') return null;
+    throw error;
+  }
+}
+
 function getBookRole(bookData, uid) {
   const ownerId = resolveBookOwnerId(bookData);
-  const isOwner = ownerId === uid || bookData?.members?.[uid] === 'Owner';
-  const isCoAuthor = bookData?.members?.[uid] === 'Co-author';
-  const memberPermissions = bookData?.memberPermissions?.[uid] || {};
+  const isOwner = ownerId === uid || bookData?.members?.[uid] === MEMBER_ROLE.OWNER;
+  const memberRole = isOwner ? MEMBER_ROLE.OWNER : resolveMemberRole(bookData, uid);
+  const isCoAuthor = memberRole === MEMBER_ROLE.CO_AUTHOR;
+  // Only co-authors can hold extra permissions; stale entries for readers are ignored.
+  const memberPermissions = isCoAuthor ? (bookData?.memberPermissions?.[uid] || {}) : {};
 
   const permissions = isOwner
     ? {
@@ -165,20 +204,33 @@ function getBookRole(bookData, uid) {
 
   return {
     ownerId,
+    memberRole,
     isOwner,
     isCoAuthor,
+    isCommenter: memberRole === MEMBER_ROLE.COMMENTER,
+    isViewer: memberRole === MEMBER_ROLE.VIEWER,
+    canEdit: canEditAsRole(memberRole),
+    canComment: canCommentAsRole(memberRole),
     permissions,
   };
 }
 
+/** Any member, including Viewers and Commenters. */
 function ensureBookAccess(bookData, uid) {
   const role = getBookRole(bookData, uid);
-  if (!role.isOwner && !role.isCoAuthor) {
+  if (!role.memberRole) {
     throw new HttpsError('permission-denied', 'You do not have access to this book.');
   }
   return role;
 }
 
+function ensureCommentAccess(role) {
+  if (!role.canComment) {
+    throw new HttpsError('permission-denied', 'Viewers cannot comment on this book.');
+  }
+  return role;
+}
+
 function ensurePermission(role, permissionKey) {
   if (role.isOwner) return;
   if (!role.permissions?.[permissionKey]) {
@@ -207,7 +259,13 @@ function buildAlbumSummary(bookId, bookData = {}, albumData = {}) {
 
 function countCoAuthors(bookData = {}) {
   const members = bookData?.members || {};
-  return Object.values(members).filter((role) => role === 'Co-author').length;
+  return Object.values(members).filter((role) => role === MEMBER_ROLE.CO_AUTHOR).length;
+}
+
+function countReaders(bookData = {}) {
+  const members = bookData?.members || {};
+  return Object.values(members)
+    .filter((role) => role === MEMBER_ROLE.COMMENTER || role === MEMBER_ROLE.VIEWER).length;
 }
 
 async function applyCounterDeltaTx(tx, targetUserRef, delta) {
@@ -274,6 +332,7 @@ function formatInviteForClient(id, data = {}) {
     inviteeEmail: data.inviteeEmail || '',
     ownerName: data.ownerName || '',
     bookTitle: data.bookTitle || 'Untitled Book',
+    role: normalizeInviteRole(data.role),
     canManageMedia: !!data.canManageMedia,
     canInviteCoAuthors: !!data.canInviteCoAuthors,
     status: data.status,
@@ -286,6 +345,36 @@ function formatInviteForClient(id, data = {}) {
 }
 
 function formatNotificationForClient(id, data = {}) {
+  if (data.type === NOTIFICATION_TYPE.PAGE_COMMENT || data.type === NOTIFICATION_TYPE.PAGE_COMMENT_REPLY) {
+    return {
+      id,
+      type: data.type,
+      bookId: data.bookId,
+      bookTitle: data.bookTitle || 'Untitled Book',
+      chapterId: data.chapterId,
+      pageId: data.pageId,
+      pageName: data.pageName || '',
+      commentId: data.commentId,
+      threadId: data.threadId,
+      actorId: data.actorId,
+      actorName: data.actorName || 'A co-author',
+      excerpt: data.excerpt || '',
+      createdAt: toMillis(data.createdAt),
+    };
+  }
+  if (data.type === NOTIFICATION_TYPE.OWNERSHIP_TRANSFER) {
+    return {
+      id,
+      type: data.type,
+      transferId: data.transferId,
+      bookId: data.bookId,
+      bookTitle: data.bookTitle || 'Untitled Book',
+      ownerId: data.ownerId,
+      ownerName: data.ownerName || 'Book owner',
+      createdAt: toMillis(data.createdAt),
+      expiresAt: toMillis(data.expiresAt),
+    };
+  }
   return {
     id,
     type: data.type,
@@ -294,27 +383,112 @@ function formatNotificationForClient(id, data = {}) {
     bookTitle: data.bookTitle || 'Untitled Book',
     ownerId: data.ownerId,
     ownerName: data.ownerName || 'Book owner',
+    role: normalizeInviteRole(data.role),
     canManageMedia: !!data.canManageMedia,
     createdAt: toMillis(data.createdAt),
     expiresAt: toMillis(data.expiresAt),
   };
 }
 
+function formatOwnershipTransferForClient(data = {}) {
+  return {
+    bookId: data.bookId,
+    bookTitle: data.bookTitle || 'Untitled Book',
+    fromUid: data.fromUid,
+    fromName: data.fromName || '',
+    toUid: data.toUid,
+    status: data.status,
+    createdAt: toMillis(data.createdAt),
+    expiresAt: toMillis(data.expiresAt),
+    respondedAt: toMillis(data.respondedAt),
+  };
+}
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Mail a sign-up link for an email invite. The token carries the invite's
+ * current nonce, so resending (which rotates it) retires older links.
+ */
+async function deliverEmailInvite(inviteId, invite) {
+  const expiresAtMs = toMillis(invite.expiresAt);
+  const token = signInviteToken({
+    inviteId,
+    email: invite.inviteeEmail,
+    nonce: invite.tokenNonce,
+    exp: expiresAtMs,
+  });
+  const link = buildInviteLink(token);
+  const role = normalizeInviteRole(invite.role);
+  const ownerName = invite.ownerName || 'Someone';
+  const bookTitle = invite.bookTitle || 'Untitled Book';
+  const expiresOn = new Date(expiresAtMs).toDateString();
+  const subject = `${ownerName} invited you to "${bookTitle}" on Airabook`;
+
+  return sendMail({
+    to: invite.inviteeEmail,
+    subject,
+    category: NOTIFICATION_TYPE.COAUTHOR_INVITE,
+    text: [
+      `${ownerName} invited you to join "${bookTitle}" on Airabook as a ${role}.`,
+      '',
+      `Create your account and accept the invite: ${link}`,
+      '',
+      `This link expires on ${expiresOn}. If you were not expecting this invite, you can ignore this email.`,
+    ].join('\n'),
+    html: [
+      `<p>${escapeHtml(ownerName)} invited you to join <strong>${escapeHtml(bookTitle)}</strong> on Airabook as a ${escapeHtml(role)}.</p>`,
+      `<p><a href="${escapeHtml(link)}">Create your account and accept the invite</a></p>`,
+      `<p>This link expires on ${escapeHtml(expiresOn)}. If you were not expecting this invite, you can ignore this email.</p>`,
+    ].join('\n'),
+  });
+}
+
 async function inviteCoAuthor(data, auth) {
   requireAuth(auth);
   await requireVerifiedCaller(auth);
 
-  const { bookId, uid, canManageMedia = true, canInviteCoAuthors = false } = data || {};
-  if (!bookId || !uid) {
-    throw new HttpsError('invalid-argument', 'bookId and uid are required.');
+  const {
+    bookId,
+    uid: requestedUid,
+    email,
+    role: requestedRole = MEMBER_ROLE.CO_AUTHOR,
+    canManageMedia = true,
+    canInviteCoAuthors = false,
+  } = data || {};
+  const requestedEmail = normalizeEmail(email);
+  if (!bookId || (!requestedUid && !requestedEmail)) {
+    throw new HttpsError('invalid-argument', 'bookId and either uid or email are required.');
   }
-  if (uid === auth.uid) {
-    throw new HttpsError('invalid-argument', 'You cannot invite yourself.');
+  if (!requestedUid && !EMAIL_PATTERN.test(requestedEmail)) {
+    throw new HttpsError('invalid-argument', 'Please enter a valid email address.');
   }
+  if (!INVITABLE_ROLES.includes(requestedRole)) {
+    throw new HttpsError('invalid-argument', `role must be one of: ${INVITABLE_ROLES.join(', ')}.`);
+  }
+  const isCoAuthorInvite = requestedRole === MEMBER_ROLE.CO_AUTHOR;
 
+  let uid = requestedUid || null;
   try {
+    // An address that already has an account gets a regular in-app invite.
+    if (!uid) {
+      uid = await findAccountUidByEmail(requestedEmail);
+    }
+    if (uid === auth.uid) {
+      throw new HttpsError('invalid-argument', 'You cannot invite yourself.');
+    }
+    const isEmailInvite = !uid;
+
     await runCleanupSafely(`book=${bookId}`, () => cleanupExpiredInvitesForBook(bookId));
-    await runCleanupSafely(`recipient=${uid}`, () => cleanupExpiredInvitesForRecipient(uid));
+    if (uid) {
+      await runCleanupSafely(`recipient=${uid}`, () => cleanupExpiredInvitesForRecipient(uid));
+    }
 
     const { data: bookData } = await getBook(bookId);
     if (!bookData) {
@@ -335,21 +509,25 @@ async function inviteCoAuthor(data, auth) {
       }, { merge: true });
     }
 
-    const grantedCanInviteCoAuthors = actorRole.isOwner ? !!canInviteCoAuthors : false;
+    const grantedCanManageMedia = isCoAuthorInvite ? !!canManageMedia : READER_PERMISSIONS.canManageMedia;
+    const grantedCanInviteCoAuthors = actorRole.isOwner && isCoAuthorInvite ? !!canInviteCoAuthors : false;
 
-    const activeCoAuthors = countCoAuthors(bookData);
+    // Co-authors and readers (Viewers + Commenters) have separate slot limits.
+    const slotLimit = isCoAuthorInvite ? MAX_COAUTHORS_PER_BOOK : MAX_READERS_PER_BOOK;
+    const slotRoles = isCoAuthorInvite ? [MEMBER_ROLE.CO_AUTHOR] : [MEMBER_ROLE.COMMENTER, MEMBER_ROLE.VIEWER];
+    const activeInRole = isCoAuthorInvite ? countCoAuthors(bookData) : countReaders(bookData);
 
-    if (bookData?.members?.[uid]) {
+    if (uid && bookData?.members?.[uid]) {
       throw new HttpsError('already-exists', 'User is already a member of this book.');
     }
 
-    const targetUser = await requireVerifiedUserAccount(uid);
+    const targetUser = isEmailInvite ? null : await requireVerifiedUserAccount(uid);
 
-    const inviteId = buildInviteId(bookId, uid);
+    const inviteId = isEmailInvite ? buildEmailInviteId(bookId, requestedEmail) : buildInviteId(bookId, uid);
     const inviteDoc = await inviteRef(inviteId).get();
     const inviteData = inviteDoc.exists ? (inviteDoc.data() || {}) : null;
     const nowMs = Date.now();
-    const expiresAt = expiresInTs(nowMs);
+    const expiresAt = expiresInTs(nowMs, isEmailInvite ? EMAIL_INVITE_TTL_MS : INVITE_TTL_MS);
 
     let isResend = false;
     if (inviteData?.status === INVITE_STATUS.PENDING && !isExpired(inviteData, nowMs)) {
@@ -361,16 +539,21 @@ async function inviteCoAuthor(data, auth) {
       }
       isResend = true;
     } else {
-      const pendingForRecipient = await countPendingInvitesForRecipient(uid, MAX_PENDING_PER_RECIPIENT + 1);
+      const pendingForRecipient = isEmailInvite
+        ? 0
+        : await countPendingInvitesForRecipient(uid, MAX_PENDING_PER_RECIPIENT + 1);
       if (pendingForRecipient >= MAX_PENDING_PER_RECIPIENT) {
         throw new HttpsError('resource-exhausted', 'This user has too many pending invites right now.');
       }
       const pendingForBook = await countPendingInvitesForBook(bookId, MAX_PENDING_PER_BOOK + 1);
-      const usedSlots = activeCoAuthors + pendingForBook;
-      if (usedSlots >= MAX_COAUTHORS_PER_BOOK) {
+      const pendingInRole = await countPendingInvitesForBook(bookId, MAX_PENDING_PER_BOOK + 1, slotRoles);
+      const usedSlots = activeInRole + pendingInRole;
+      if (usedSlots >= slotLimit) {
         throw new HttpsError(
           'resource-exhausted',
-          `This book can have up to ${MAX_COAUTHORS_PER_BOOK} total co-author slots (active + pending invites).`
+          isCoAuthorInvite
+            ? `This book can have up to ${MAX_COAUTHORS_PER_BOOK} total co-author slots (active + pending invites).`
+            : `This book can have up to ${MAX_READERS_PER_BOOK} viewers and commenters (active + pending invites).`
         );
       }
       if (pendingForBook >= MAX_PENDING_PER_BOOK) {
@@ -382,47 +565,54 @@ async function inviteCoAuthor(data, auth) {
       ? (auth?.token?.name || '')
       : ((await getUser(ownerId)).data?.displayName || auth?.token?.name || 'Book owner');
 
-    await db.runTransaction(async (tx) => {
+    const tokenNonce = isEmailInvite ? createInviteNonce() : null;
+
+    const invitePayload = await db.runTransaction(async (tx) => {
       const targetInviteRef = inviteRef(inviteId);
-      const targetUserRef = userRef(uid);
-      const notificationRef = userNotificationsRef(uid).doc(inviteId);
+      const notificationRef = isEmailInvite ? null : userNotificationsRef(uid).doc(inviteId);
 
       const [freshInviteSnap, freshNotifSnap] = await Promise.all([
         tx.get(targetInviteRef),
-        tx.get(notificationRef),
+        notificationRef ? tx.get(notificationRef) : Promise.resolve(null),
       ]);
 
       const existing = freshInviteSnap.exists ? (freshInviteSnap.data() || {}) : null;
       const nowServer = FieldValue.serverTimestamp();
 
       /** @type {import('../models/collabTypes').InviteDoc} */
-      const invitePayload = {
+      const payload = {
         bookId,
         ownerId,
         inviteeUid: uid,
-        inviteeEmail: (targetUser.email || '').toLowerCase(),
+        inviteeEmail: isEmailInvite ? requestedEmail : (targetUser.email || '').toLowerCase(),
         ownerName: ownerDisplayName || 'Book owner',
         bookTitle: bookData.babyName || bookData.title || 'Untitled Book',
-        canManageMedia: !!canManageMedia,
+        role: requestedRole,
+        canManageMedia: grantedCanManageMedia,
         canInviteCoAuthors: grantedCanInviteCoAuthors,
         status: INVITE_STATUS.PENDING,
         createdAt: existing?.createdAt || nowServer,
         updatedAt: nowServer,
         expiresAt,
         ...(isResend ? { resentAt: nowServer } : {}),
+        ...(isEmailInvite ? { tokenNonce, claimedBy: null, claimedInviteId: null } : {}),
       };
 
-      tx.set(targetInviteRef, invitePayload, { merge: true });
+      tx.set(targetInviteRef, payload, { merge: true });
+
+      // Email invitees have no account to notify yet; they get the link by mail instead.
+      if (isEmailInvite) return payload;
 
       /** @type {import('../models/collabTypes').NotificationDoc} */
       const notificationPayload = {
         type: NOTIFICATION_TYPE.COAUTHOR_INVITE,
         inviteId,
         bookId,
-        bookTitle: invitePayload.bookTitle,
+        bookTitle: payload.bookTitle,
         ownerId,
-        ownerName: invitePayload.ownerName,
-        canManageMedia: !!canManageMedia,
+        ownerName: payload.ownerName,
+        role: requestedRole,
+        canManageMedia: grantedCanManageMedia,
         createdAt: freshNotifSnap.exists ? (freshNotifSnap.data()?.createdAt || nowServer) : nowServer,
         expiresAt,
       };
@@ -431,13 +621,35 @@ async function inviteCoAuthor(data, auth) {
 
       const shouldIncrementCounter = !freshNotifSnap.exists;
       if (shouldIncrementCounter) {
-        await applyCounterDeltaTx(tx, targetUserRef, 1);
+        await applyCounterDeltaTx(tx, userRef(uid), 1);
       }
+      return payload;
     });
 
+    if (isEmailInvite) {
+      try {
+        await deliverEmailInvite(inviteId, invitePayload);
+      } catch (mailError) {
+        console.error('[collab] invite email delivery failed', {
+          inviteId,
+          message: mailError?.message || 'Unknown error',
+        });
+        // A brand-new invite nobody was told about should not hold a slot.
+        if (!isResend) {
+          await inviteRef(inviteId).update({
+            status: INVITE_STATUS.CANCELLED,
+            updatedAt: FieldValue.serverTimestamp(),
+          });
+        }
+        throw buildAppError('internal', ErrorCodes.INVITATION_EMAIL_FAILED);
+      }
+    }
+
     return {
       success: true,
       inviteId,
+      role: requestedRole,
+      delivery: isEmailInvite ? 'email' : 'in_app',
       status: isResend ? 'resent' : 'created',
       expiresAt: expiresAt.toMillis(),
     };
@@ -543,22 +755,33 @@ async function respondCoAuthorInvite(data, auth) {
       return;
     }
 
+    const inviteRole = normalizeInviteRole(invite.role);
+    const isCoAuthorInvite = inviteRole === MEMBER_ROLE.CO_AUTHOR;
     const members = { ...(book.members || {}) };
-    const currentCoAuthors = Object.values(members).filter((role) => role === 'Co-author').length;
-    if (members[auth.uid] !== 'Co-author' && currentCoAuthors >= MAX_COAUTHORS_PER_BOOK) {
+    if (isCoAuthorInvite) {
+      if (members[auth.uid] !== MEMBER_ROLE.CO_AUTHOR && countCoAuthors(book) >= MAX_COAUTHORS_PER_BOOK) {
+        throw new HttpsError(
+          'resource-exhausted',
+          `This book already has ${MAX_COAUTHORS_PER_BOOK} co-authors.`
+        );
+      }
+    } else if (!members[auth.uid] && countReaders(book) >= MAX_READERS_PER_BOOK) {
       throw new HttpsError(
         'resource-exhausted',
-        `This book already has ${MAX_COAUTHORS_PER_BOOK} co-authors.`
+        `This book already has ${MAX_READERS_PER_BOOK} viewers and commenters.`
       );
     }
-    members[auth.uid] = 'Co-author';
+    members[auth.uid] = inviteRole;
 
     const currentMemberPermissions = { ...(book.memberPermissions || {}) };
-    currentMemberPermissions[auth.uid] = sanitizeMemberPermissions({
-      ...MEMBER_PERMISSION_DEFAULTS,
-      canManageMedia: !!invite.canManageMedia,
-      canInviteCoAuthors: !!invite.canInviteCoAuthors,
-    });
+    currentMemberPermissions[auth.uid] = isCoAuthorInvite
+      ? sanitizeMemberPermissions({
+        ...MEMBER_PERMISSION_DEFAULTS,
+        canManageMedia: !!invite.canManageMedia,
+        canInviteCoAuthors: !!invite.canInviteCoAuthors,
+      })
+      : { ...READER_PERMISSIONS };
+    const grantsMedia = isCoAuthorInvite && !!invite.canManageMedia;
 
     tx.update(targetBookRef, {
       members,
@@ -574,7 +797,7 @@ async function respondCoAuthorInvite(data, auth) {
       updatedAt: FieldValue.serverTimestamp(),
     };
 
-    if (invite.canManageMedia) {
+    if (grantsMedia) {
       const albumData = freshAlbumSnap.exists ? (freshAlbumSnap.data() || {}) : {};
       userUpdates.accessibleAlbums = upsertAccessibleAlbum(
         userData.accessibleAlbums || [],
@@ -609,7 +832,72 @@ async function respondCoAuthorInvite(data, auth) {
     }
   });
 
-  return { success: true, status: 'accepted' };
+  return { success: true, status: 'accepted', role: normalizeInviteRole(refreshedInviteData.role) };
+}
+
+/** Cancel or resend an invite that is still addressed to an email, not an account. */
+async function manageEmailInvite(inviteId, action) {
+  const targetInviteRef = inviteRef(inviteId);
+
+  if (action === 'cancel') {
+    await db.runTransaction(async (tx) => {
+      const freshInviteSnap = await tx.get(targetInviteRef);
+      if (!freshInviteSnap.exists) return;
+      if (freshInviteSnap.data()?.status !== INVITE_STATUS.PENDING) return;
+      tx.update(targetInviteRef, {
+        status: INVITE_STATUS.CANCELLED,
+        updatedAt: FieldValue.serverTimestamp(),
+        respondedAt: FieldValue.serverTimestamp(),
+      });
+    });
+    return { success: true, status: 'cancelled' };
+  }
+
+  const nowMs = Date.now();
+  const nextExpiry = expiresInTs(nowMs, EMAIL_INVITE_TTL_MS);
+  const tokenNonce = createInviteNonce();
+
+  const invite = await db.runTransaction(async (tx) => {
+    const freshInviteSnap = await tx.get(targetInviteRef);
+    if (!freshInviteSnap.exists) {
+      throw new HttpsError('not-found', 'Invite no longer exists.');
+    }
+    const freshInvite = freshInviteSnap.data() || {};
+    if (freshInvite.status !== INVITE_STATUS.PENDING || freshInvite.inviteeUid) {
+      throw new HttpsError('failed-precondition', 'Only pending invites can be resent.');
+    }
+
+    const resendBase = Math.max(toMillis(freshInvite.resentAt), toMillis(freshInvite.updatedAt), toMillis(freshInvite.createdAt));
+    if (resendBase > 0 && (nowMs - resendBase) < RESEND_COOLDOWN_MS) {
+      const waitMs = RESEND_COOLDOWN_MS - (nowMs - resendBase);
+      const waitMin = Math.max(1, Math.ceil(waitMs / 60000));
+      throw new HttpsError('failed-precondition', `Please wait ${waitMin} minute(s) before resending.`);
+    }
+
+    tx.update(targetInviteRef, {
+      updatedAt: FieldValue.serverTimestamp(),
+      resentAt: FieldValue.serverTimestamp(),
+      expiresAt: nextExpiry,
+      tokenNonce,
+    });
+    return { ...freshInvite, expiresAt: nextExpiry, tokenNonce };
+  });
+
+  try {
+    await deliverEmailInvite(inviteId, invite);
+  } catch (mailError) {
+    console.error('[collab] invite email resend failed', {
+      inviteId,
+      message: mailError?.message || 'Unknown error',
+    });
+    throw buildAppError('internal', ErrorCodes.INVITATION_EMAIL_FAILED);
+  }
+
+  return {
+    success: true,
+    status: 'resent',
+    expiresAt: nextExpiry.toMillis(),
+  };
 }
 
 async function manageCoAuthorInvite(data, auth) {
@@ -635,6 +923,9 @@ async function manageCoAuthorInvite(data, auth) {
   ensurePermission(role, 'canManagePendingInvites');
 
   await runCleanupSafely(`book=${inviteData.bookId}`, () => cleanupExpiredInvitesForBook(inviteData.bookId));
+  if (!inviteData.inviteeUid) {
+    return manageEmailInvite(inviteId, action);
+  }
   await runCleanupSafely(`recipient=${inviteData.inviteeUid}`, () => cleanupExpiredInvitesForRecipient(inviteData.inviteeUid));
 
   const targetInviteRef = inviteRef(inviteId);
@@ -705,6 +996,7 @@ async function manageCoAuthorInvite(data, auth) {
       bookTitle: freshInvite.bookTitle || 'Untitled Book',
       ownerId: freshInvite.ownerId,
       ownerName: freshInvite.ownerName || 'Book owner',
+      role: normalizeInviteRole(freshInvite.role),
       canManageMedia: !!freshInvite.canManageMedia,
       createdAt: freshNotifSnap.exists ? (freshNotifSnap.data()?.createdAt || FieldValue.serverTimestamp()) : FieldValue.serverTimestamp(),
       expiresAt: nextExpiry,
@@ -747,17 +1039,29 @@ async function removeCoAuthor(data, auth) {
   const targetInviteRef = inviteRef(inviteId);
   const targetNotifRef = userNotificationsRef(coAuthorUid).doc(inviteId);
   const targetUserRef = userRef(coAuthorUid);
+  const transferRef = ownershipTransferRef(bookId);
+  const transferNotifRef = userNotificationsRef(coAuthorUid).doc(buildOwnershipTransferNotificationId(bookId));
 
   await db.runTransaction(async (tx) => {
     const targetBookRef = bookRef(bookId);
     const targetAlbumRef = albumRef(bookId);
 
-    const [freshBookSnap, freshUserSnap, freshAlbumSnap, freshInviteSnap, freshNotifSnap] = await Promise.all([
+    const [
+      freshBookSnap,
+      freshUserSnap,
+      freshAlbumSnap,
+      freshInviteSnap,
+      freshNotifSnap,
+      freshTransferSnap,
+      freshTransferNotifSnap,
+    ] = await Promise.all([
       tx.get(targetBookRef),
       tx.get(targetUserRef),
       tx.get(targetAlbumRef),
       tx.get(targetInviteRef),
       tx.get(targetNotifRef),
+      tx.get(transferRef),
+      tx.get(transferNotifRef),
     ]);
 
     if (!freshBookSnap.exists) {
@@ -808,9 +1112,28 @@ async function removeCoAuthor(data, auth) {
       }
     }
 
+    let counterDelta = 0;
     if (freshNotifSnap.exists) {
       tx.delete(targetNotifRef);
-      await applyCounterDeltaTx(tx, targetUserRef, -1);
+      counterDelta -= 1;
+    }
+
+    // A removed co-author can no longer take over the book.
+    const transfer = freshTransferSnap.exists ? (freshTransferSnap.data() || {}) : null;
+    if (transfer?.status === INVITE_STATUS.PENDING && transfer.toUid === coAuthorUid) {
+      tx.update(transferRef, {
+        status: INVITE_STATUS.CANCELLED,
+        respondedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+      if (freshTransferNotifSnap.exists) {
+        tx.delete(transferNotifRef);
+        counterDelta -= 1;
+      }
+    }
+
+    if (counterDelta !== 0) {
+      await applyCounterDeltaTx(tx, targetUserRef, counterDelta);
     }
   });
 
@@ -838,7 +1161,7 @@ async function setCoAuthorPermissions(data, auth) {
     throw new HttpsError('failed-precondition', 'Owner permissions cannot be edited here.');
   }
 
-  if (bookData.members?.[targetUid] !== 'Co-author') {
+  if (bookData.members?.[targetUid] !== MEMBER_ROLE.CO_AUTHOR) {
     throw new HttpsError('not-found', 'Target user is not a co-author of this book.');
   }
 
@@ -911,6 +1234,326 @@ async function setCoAuthorPermissions(data, auth) {
   };
 }
 
+/**
+ * Bytes of album media billed to the book owner. Album items carry no size
+ * for the original, so each object's size is read from Storage (missing
+ * objects count as zero); rendition sizes are recorded on the item. Exact
+ * duplicates (`duplicateOf`) are not billed for their original.
+ */
+async function measureAlbumStorageBytes(albumId, albumData = {}) {
+  const items = await listAllAlbumMedia(db, albumId, albumData);
+  const storagePaths = items.filter((item) => !item.duplicateOf).map((item) => item.storagePath).filter(Boolean);
+  if (storagePaths.length === 0) return 0;
+
+  const bucket = admin.storage().bucket();
+  let totalBytes = 0;
+  for (let i = 0; i < storagePaths.length; i += STORAGE_METADATA_BATCH_SIZE) {
+    const sizes = await Promise.all(storagePaths.slice(i, i + STORAGE_METADATA_BATCH_SIZE).map(async (storagePath) => {
+      try {
+        const [metadata] = await bucket.file(storagePath).getMetadata();
+        return parseInt(metadata?.size || '0', 10) || 0;
+      } catch (error) {
+        if (error?.code !== 404) {
+          console.warn('[collab] storage size lookup skipped', { storagePath, message: error?.message || null });
+        }
+        return 0;
+      }
+    }));
+    totalBytes += sizes.reduce((sum, size) => sum + size, 0);
+  }
+  return items.reduce((sum, item) => sum + (Number(item.renditionBytes) || 0), totalBytes);
+}
+
+/** Settle a pending transfer without moving anything (decline, cancel, expiry). */
+async function closeOwnershipTransfer(bookId, status) {
+  const transferRef = ownershipTransferRef(bookId);
+  return db.runTransaction(async (tx) => {
+    const transferSnap = await tx.get(transferRef);
+    if (!transferSnap.exists) return null;
+    const transfer = transferSnap.data() || {};
+    if (transfer.status !== INVITE_STATUS.PENDING) return transfer.status;
+
+    const notificationRef = userNotificationsRef(transfer.toUid).doc(buildOwnershipTransferNotificationId(bookId));
+    const notificationSnap = await tx.get(notificationRef);
+
+    tx.update(transferRef, {
+      status,
+      respondedAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    if (notificationSnap.exists) {
+      tx.delete(notificationRef);
+      await applyCounterDeltaTx(tx, userRef(transfer.toUid), -1);
+    }
+    return status;
+  });
+}
+
+/**
+ * Owner proposes handing the book to one of its co-authors. Nothing changes
+ * until the co-author accepts; a new proposal replaces a pending one.
+ */
+async function proposeOwnershipTransfer(data, auth) {
+  requireAuth(auth);
+  await requireVerifiedCaller(auth);
+  const { bookId, targetUid } = data || {};
+  if (!bookId || !targetUid) {
+    throw new HttpsError('invalid-argument', 'bookId and targetUid are required.');
+  }
+  if (targetUid === auth.uid) {
+    throw new HttpsError('invalid-argument', 'You already own this book.');
+  }
+
+  const { data: bookData } = await getBook(bookId);
+  if (!bookData) {
+    throw new HttpsError('not-found', 'Book not found.');
+  }
+  const role = ensureBookAccess(bookData, auth.uid);
+  if (!role.isOwner) {
+    throw new HttpsError('permission-denied', 'Only the book owner can transfer ownership.');
+  }
+  if (bookData.members?.[targetUid] !== MEMBER_ROLE.CO_AUTHOR) {
+    throw new HttpsError('failed-precondition', 'Ownership can only be transferred to a co-author of this book.');
+  }
+  await requireVerifiedUserAccount(targetUid);
+
+  const fromName = auth?.token?.name || (await getUser(auth.uid)).data?.displayName || 'Book owner';
+  const notificationId = buildOwnershipTransferNotificationId(bookId);
+  const transferRef = ownershipTransferRef(bookId);
+  const targetNotifRef = userNotificationsRef(targetUid).doc(notificationId);
+  const expiresAt = expiresInTs();
+
+  await db.runTransaction(async (tx) => {
+    const [freshBookSnap, freshTransferSnap, freshNotifSnap] = await Promise.all([
+      tx.get(bookRef(bookId)),
+      tx.get(transferRef),
+      tx.get(targetNotifRef),
+    ]);
+    if (!freshBookSnap.exists) {
+      throw new HttpsError('not-found', 'Book not found.');
+    }
+    const freshBook = freshBookSnap.data() || {};
+    if (resolveBookOwnerId(freshBook) !== auth.uid) {
+      throw new HttpsError('permission-denied', 'Only the book owner can transfer ownership.');
+    }
+    if (freshBook.members?.[targetUid] !== MEMBER_ROLE.CO_AUTHOR) {
+      throw new HttpsError('failed-precondition', 'Ownership can only be transferred to a co-author of this book.');
+    }
+
+    // Re-proposing to someone else withdraws the earlier recipient's notification.
+    const existing = freshTransferSnap.exists ? (freshTransferSnap.data() || {}) : null;
+    const previousUid = existing?.status === INVITE_STATUS.PENDING && existing.toUid !== targetUid ? existing.toUid : null;
+    const previousNotifRef = previousUid ? userNotificationsRef(previousUid).doc(notificationId) : null;
+    const previousNotifSnap = previousNotifRef ? await tx.get(previousNotifRef) : null;
+
+    const nowServer = FieldValue.serverTimestamp();
+    const bookTitle = freshBook.babyName || freshBook.title || 'Untitled Book';
+
+    /** @type {import('../models/collabTypes').OwnershipTransferDoc} */
+    const transfer = {
+      bookId,
+      bookTitle,
+      fromUid: auth.uid,
+      fromName,
+      toUid: targetUid,
+      status: INVITE_STATUS.PENDING,
+      createdAt: nowServer,
+      updatedAt: nowServer,
+      expiresAt,
+      respondedAt: null,
+    };
+    tx.set(transferRef, transfer);
+
+    if (previousNotifSnap?.exists) {
+      tx.delete(previousNotifRef);
+      await applyCounterDeltaTx(tx, userRef(previousUid), -1);
+    }
+
+    tx.set(targetNotifRef, {
+      type: NOTIFICATION_TYPE.OWNERSHIP_TRANSFER,
+      transferId: bookId,
+      bookId,
+      bookTitle,
+      ownerId: auth.uid,
+      ownerName: fromName,
+      createdAt: nowServer,
+      expiresAt,
+    });
+    if (!freshNotifSnap.exists) {
+      await applyCounterDeltaTx(tx, userRef(targetUid), 1);
+    }
+  });
+
+  return {
+    success: true,
+    status: INVITE_STATUS.PENDING,
+    toUid: targetUid,
+    expiresAt: expiresAt.toMillis(),
+  };
+}
+
+async function cancelOwnershipTransfer(data, auth) {
+  requireAuth(auth);
+  const { bookId } = data || {};
+  if (!bookId) {
+    throw new HttpsError('invalid-argument', 'bookId is required.');
+  }
+
+  const transferSnap = await ownershipTransferRef(bookId).get();
+  const transfer = transferSnap.exists ? (transferSnap.data() || {}) : null;
+  if (!transfer || transfer.fromUid !== auth.uid) {
+    throw new HttpsError('not-found', 'Ownership transfer not found.');
+  }
+
+  const status = await closeOwnershipTransfer(bookId, INVITE_STATUS.CANCELLED);
+  return { success: true, status: status || INVITE_STATUS.CANCELLED };
+}
+
+/**
+ * The proposed co-author accepts or declines. Accepting swaps the two roles,
+ * moves the book and its storage usage onto the new owner's quota and
+ * re-points the linked album, all in one transaction.
+ */
+async function respondOwnershipTransfer(data, auth) {
+  requireAuth(auth);
+  const { bookId, action } = data || {};
+  if (!bookId || !['accept', 'decline'].includes(action)) {
+    throw new HttpsError('invalid-argument', 'bookId and a valid action are required.');
+  }
+
+  const transferRef = ownershipTransferRef(bookId);
+  const transferSnap = await transferRef.get();
+  const transfer = transferSnap.exists ? (transferSnap.data() || {}) : null;
+  if (!transfer) {
+    throw new HttpsError('not-found', 'Ownership transfer not found.');
+  }
+  if (transfer.toUid !== auth.uid) {
+    throw new HttpsError('permission-denied', 'You do not have permission to respond to this transfer.');
+  }
+  if (transfer.status !== INVITE_STATUS.PENDING) {
+    return { success: true, status: transfer.status || 'handled' };
+  }
+  if (isExpired(transfer)) {
+    await closeOwnershipTransfer(bookId, INVITE_STATUS.EXPIRED);
+    return { success: true, status: INVITE_STATUS.EXPIRED };
+  }
+  if (action === 'decline') {
+    const status = await closeOwnershipTransfer(bookId, INVITE_STATUS.DECLINED);
+    return { success: true, status: status || INVITE_STATUS.DECLINED };
+  }
+
+  const fromUid = transfer.fromUid;
+  try {
+    const albumSnap = await albumRef(bookId).get();
+    const storageBytes = albumSnap.exists ? await measureAlbumStorageBytes(bookId, albumSnap.data() || {}) : 0;
+
+    const usage = await db.runTransaction(async (tx) => {
+      const targetBookRef = bookRef(bookId);
+      const targetAlbumRef = albumRef(bookId);
+      const fromUserRef = userRef(fromUid);
+      const toUserRef = userRef(auth.uid);
+      const notificationRef = userNotificationsRef(auth.uid).doc(buildOwnershipTransferNotificationId(bookId));
+
+      const [freshTransferSnap, freshBookSnap, freshAlbumSnap, fromUserSnap, toUserSnap, freshNotifSnap] = await Promise.all([
+        tx.get(transferRef),
+        tx.get(targetBookRef),
+        tx.get(targetAlbumRef),
+        tx.get(fromUserRef),
+        tx.get(toUserRef),
+        tx.get(notificationRef),
+      ]);
+
+      const freshTransfer = freshTransferSnap.exists ? (freshTransferSnap.data() || {}) : {};
+      if (freshTransfer.status !== INVITE_STATUS.PENDING || freshTransfer.toUid !== auth.uid || freshTransfer.fromUid !== fromUid) {
+        throw new HttpsError('failed-precondition', 'This ownership transfer is no longer pending.');
+      }
+      if (!freshBookSnap.exists) {
+        throw new HttpsError('not-found', 'Book not found.');
+      }
+      const book = freshBookSnap.data() || {};
+      if (resolveBookOwnerId(book) !== fromUid || book.members?.[auth.uid] !== MEMBER_ROLE.CO_AUTHOR) {
+        throw new HttpsError('failed-precondition', 'The book membership changed since this transfer was proposed.');
+      }
+      if (!fromUserSnap.exists || !toUserSnap.exists) {
+        throw new HttpsError('not-found', 'User profile not found.');
+      }
+
+      const moved = moveBookUsageTx(tx, {
+        from: { uid: fromUid, ref: fromUserRef, data: fromUserSnap.data() || {} },
+        to: { uid: auth.uid, ref: toUserRef, data: toUserSnap.data() || {} },
+        storageBytes,
+      });
+
+      // The previous owner stays on as a co-author with the default permissions.
+      const members = { ...(book.members || {}), [auth.uid]: MEMBER_ROLE.OWNER, [fromUid]: MEMBER_ROLE.CO_AUTHOR };
+      const memberPermissions = { ...(book.memberPermissions || {}), [fromUid]: { ...MEMBER_PERMISSION_DEFAULTS } };
+      delete memberPermissions[auth.uid];
+
+      tx.update(targetBookRef, {
+        ownerId: auth.uid,
+        members,
+        memberPermissions,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      const albumData = freshAlbumSnap.exists ? (freshAlbumSnap.data() || {}) : {};
+      if (freshAlbumSnap.exists) {
+        const accessPermission = { ...(albumData.accessPermission || {}) };
+        const sharedWith = (Array.isArray(accessPermission.sharedWith) ? accessPermission.sharedWith : [])
+          .filter((uid) => uid !== auth.uid && uid !== fromUid);
+        sharedWith.push(fromUid);
+        tx.update(targetAlbumRef, {
+          accessPermission: { ...accessPermission, ownerId: auth.uid, sharedWith },
+          updatedAt: FieldValue.serverTimestamp(),
+        });
+      }
+
+      const toUserData = toUserSnap.data() || {};
+      tx.set(toUserRef, {
+        accessibleBookIds: upsertAccessibleBookIds(toUserData.accessibleBookIds || [], buildBookSummary(bookId, book)),
+        ...(freshAlbumSnap.exists
+          ? { accessibleAlbums: upsertAccessibleAlbum(toUserData.accessibleAlbums || [], buildAlbumSummary(bookId, book, albumData)) }
+          : {}),
+        updatedAt: FieldValue.serverTimestamp(),
+      }, { merge: true });
+
+      tx.update(transferRef, {
+        status: INVITE_STATUS.ACCEPTED,
+        storageBytesMoved: moved.storageBytes,
+        respondedAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+
+      if (freshNotifSnap.exists) {
+        tx.delete(notificationRef);
+        await applyCounterDeltaTx(tx, toUserRef, -1);
+      }
+      return moved;
+    });
+
+    return {
+      success: true,
+      status: INVITE_STATUS.ACCEPTED,
+      bookId,
+      storageBytesMoved: usage.storageBytes,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    // utils/limits throws its own HttpsError class; re-wrap so the client sees the real code.
+    if (error?.name === 'HttpsError' && error.code) {
+      throw new HttpsError(error.code, error.message);
+    }
+    console.error('[collab] respondOwnershipTransfer failed', {
+      bookId,
+      fromUid,
+      toUid: auth.uid,
+      message: error?.message || 'Unknown error',
+      stack: error?.stack || null,
+    });
+    throw buildAppError('internal', ErrorCodes.OWNERSHIP_TRANSFER_FAILED);
+  }
+}
+
 async function listNotifications(data, auth) {
   requireAuth(auth);
   const { pageSize = 20, cursorId = null, type = null, bookId = null } = data || {};
@@ -1000,6 +1643,240 @@ async function listPendingCoAuthorInvites(data, auth) {
   };
 }
 
+async function listBookCollaborators(data, auth) {
+  requireAuth(auth);
+  const { bookId } = data || {};
+  if (!bookId) {
+    throw new HttpsError('invalid-argument', 'bookId is required.');
+  }
+
+  const { data: bookData } = await getBook(bookId);
+  if (!bookData) {
+    throw new HttpsError('not-found', 'Book not found.');
+  }
+
+  const role = ensureBookAccess(bookData, auth.uid);
+
+  const ownerId = resolveBookOwnerId(bookData);
+  const memberUids = new Set(Object.keys(bookData.members || {}));
+  if (ownerId) memberUids.add(ownerId);
+
+  const collaborators = await Promise.all([...memberUids].map(async (uid) => {
+    const { data: userData } = await getUser(uid);
+    return {
+      uid,
+      displayName: userData?.displayName || userData?.email || 'Unknown User',
+      photoURL: userData?.photoURL || null,
+      role: uid === ownerId ? MEMBER_ROLE.OWNER : resolveMemberRole(bookData, uid),
+    };
+  }));
+
+  // Only the owner sees a pending ownership transfer.
+  let ownershipTransfer = null;
+  if (role.isOwner) {
+    const transferSnap = await ownershipTransferRef(bookId).get();
+    const transfer = transferSnap.exists ? (transferSnap.data() || {}) : null;
+    if (transfer?.status === INVITE_STATUS.PENDING && transfer.fromUid === auth.uid && !isExpired(transfer)) {
+      ownershipTransfer = formatOwnershipTransferForClient(transfer);
+    }
+  }
+
+  return {
+    success: true,
+    collaborators,
+    ownershipTransfer,
+  };
+}
+
+/**
+ * Hand an email invite over to the account `uid`: it becomes a regular
+ * pending invite (with an in-app notification) that they accept or decline
+ * like any other. The email invite is kept as `claimed` for the audit trail.
+ */
+async function claimEmailInviteForUser(emailInviteId, uid) {
+  const emailInviteRef = inviteRef(emailInviteId);
+
+  return db.runTransaction(async (tx) => {
+    const emailInviteSnap = await tx.get(emailInviteRef);
+    if (!emailInviteSnap.exists) {
+      return { status: 'not_found', inviteId: null };
+    }
+    const invite = emailInviteSnap.data() || {};
+    if (invite.status !== INVITE_STATUS.PENDING || invite.inviteeUid) {
+      return { status: invite.status || 'handled', inviteId: invite.claimedInviteId || null, invite };
+    }
+    if (isExpired(invite)) {
+      tx.update(emailInviteRef, {
+        status: INVITE_STATUS.EXPIRED,
+        updatedAt: FieldValue.serverTimestamp(),
+        respondedAt: FieldValue.serverTimestamp(),
+      });
+      return { status: INVITE_STATUS.EXPIRED, inviteId: null, invite };
+    }
+
+    const uidInviteId = buildInviteId(invite.bookId, uid);
+    const uidInviteRef = inviteRef(uidInviteId);
+    const notificationRef = userNotificationsRef(uid).doc(uidInviteId);
+    const [bookSnap, uidInviteSnap, notifSnap] = await Promise.all([
+      tx.get(bookRef(invite.bookId)),
+      tx.get(uidInviteRef),
+      tx.get(notificationRef),
+    ]);
+
+    const book = bookSnap.exists ? (bookSnap.data() || {}) : null;
+    if (!book || book.members?.[uid] || resolveBookOwnerId(book) === uid) {
+      // Nothing left to accept: the book is gone or they already belong to it.
+      tx.update(emailInviteRef, {
+        status: INVITE_STATUS.CANCELLED,
+        claimedBy: uid,
+        updatedAt: FieldValue.serverTimestamp(),
+        respondedAt: FieldValue.serverTimestamp(),
+      });
+      return { status: book ? 'already_member' : 'not_found', inviteId: null, invite };
+    }
+
+    const existingUidInvite = uidInviteSnap.exists ? (uidInviteSnap.data() || {}) : null;
+    const hasLiveUidInvite = existingUidInvite?.status === INVITE_STATUS.PENDING && !isExpired(existingUidInvite);
+    const role = normalizeInviteRole(invite.role);
+
+    if (!hasLiveUidInvite) {
+      /** @type {import('../models/collabTypes').InviteDoc} */
+      const uidInvite = {
+        bookId: invite.bookId,
+        ownerId: invite.ownerId,
+        inviteeUid: uid,
+        inviteeEmail: invite.inviteeEmail,
+        ownerName: invite.ownerName || 'Book owner',
+        bookTitle: invite.bookTitle || 'Untitled Book',
+        role,
+        canManageMedia: !!invite.canManageMedia,
+        canInviteCoAuthors: !!invite.canInviteCoAuthors,
+        status: INVITE_STATUS.PENDING,
+        createdAt: FieldValue.serverTimestamp(),
+        updatedAt: FieldValue.serverTimestamp(),
+        expiresAt: invite.expiresAt,
+        claimedFromInviteId: emailInviteId,
+      };
+      tx.set(uidInviteRef, uidInvite);
+
+      /** @type {import('../models/collabTypes').NotificationDoc} */
+      const notificationPayload = {
+        type: NOTIFICATION_TYPE.COAUTHOR_INVITE,
+        inviteId: uidInviteId,
+        bookId: invite.bookId,
+        bookTitle: uidInvite.bookTitle,
+        ownerId: invite.ownerId,
+        ownerName: uidInvite.ownerName,
+        role,
+        canManageMedia: uidInvite.canManageMedia,
+        createdAt: FieldValue.serverTimestamp(),
+        expiresAt: invite.expiresAt,
+      };
+      tx.set(notificationRef, notificationPayload);
+      if (!notifSnap.exists) {
+        await applyCounterDeltaTx(tx, userRef(uid), 1);
+      }
+    }
+
+    tx.update(emailInviteRef, {
+      status: INVITE_STATUS.CLAIMED,
+      claimedBy: uid,
+      claimedInviteId: uidInviteId,
+      updatedAt: FieldValue.serverTimestamp(),
+      respondedAt: FieldValue.serverTimestamp(),
+    });
+
+    return { status: INVITE_STATUS.CLAIMED, inviteId: uidInviteId, invite };
+  });
+}
+
+/**
+ * Claim every pending email invite addressed to `email`. Only call this with
+ * a verified address: whoever owns the account gets the invites.
+ * @returns {Promise<number>} how many invites were turned into in-app invites
+ */
+async function claimEmailInvitesForUser(uid, email) {
+  const normalized = normalizeEmail(email);
+  if (!uid || !normalized) return 0;
+
+  const docs = await listPendingEmailInvites(normalized);
+  let claimed = 0;
+  for (const docSnap of docs) {
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      const result = await claimEmailInviteForUser(docSnap.id, uid);
+      if (result.status === INVITE_STATUS.CLAIMED) claimed += 1;
+    } catch (error) {
+      console.warn('[collab] email invite claim skipped', {
+        inviteId: docSnap.id,
+        uid,
+        message: error?.message || null,
+      });
+    }
+  }
+  return claimed;
+}
+
+/**
+ * Claim an email invite from its signed link. Holding the link proves access
+ * to the invited mailbox, so it works before the new account is verified and
+ * even if they signed up with a different address.
+ */
+async function claimEmailInvite(data, auth) {
+  requireAuth(auth);
+  const payload = verifyInviteToken(data?.token);
+  if (!payload) {
+    throw new HttpsError('invalid-argument', 'This invite link is invalid or has expired.');
+  }
+
+  const { data: inviteData } = await getInvite(payload.inviteId);
+  if (!inviteData || inviteData.inviteeEmail !== payload.email) {
+    throw new HttpsError('not-found', 'Invite not found.');
+  }
+  if (inviteData.status === INVITE_STATUS.CLAIMED && inviteData.claimedBy === auth.uid) {
+    return {
+      success: true,
+      status: INVITE_STATUS.CLAIMED,
+      inviteId: inviteData.claimedInviteId,
+      bookId: inviteData.bookId,
+      bookTitle: inviteData.bookTitle || 'Untitled Book',
+      role: normalizeInviteRole(inviteData.role),
+    };
+  }
+  if (inviteData.status !== INVITE_STATUS.PENDING || inviteData.tokenNonce !== payload.nonce) {
+    throw new HttpsError('failed-precondition', 'This invite link is no longer valid. Ask the book owner to send a new one.');
+  }
+
+  let result;
+  try {
+    result = await claimEmailInviteForUser(payload.inviteId, auth.uid);
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    console.error('[collab] claimEmailInvite failed', {
+      uid: auth.uid,
+      inviteId: payload.inviteId,
+      message: error?.message || 'Unknown error',
+    });
+    throw buildAppError('internal', ErrorCodes.INVITATION_CLAIM_FAILED);
+  }
+
+  if (result.status === 'already_member') {
+    return { success: true, status: 'already_member', inviteId: null, bookId: inviteData.bookId };
+  }
+  if (result.status !== INVITE_STATUS.CLAIMED) {
+    throw new HttpsError('failed-precondition', 'This invite is no longer available.');
+  }
+
+  return {
+    success: true,
+    status: INVITE_STATUS.CLAIMED,
+    inviteId: result.inviteId,
+    bookId: inviteData.bookId,
+    bookTitle: inviteData.bookTitle || 'Untitled Book',
+    role: normalizeInviteRole(inviteData.role),
+  };
+}
+
 async function syncUserAuthFlags(data, auth) {
   requireAuth(auth);
   const email = (auth.token?.email || '').toLowerCase();
@@ -1014,9 +1891,20 @@ async function syncUserAuthFlags(data, auth) {
     updatedAt: FieldValue.serverTimestamp(),
   }, { merge: true });
 
+  // Accounts that verify after signing up pick up invites sent to their address.
+  let claimedInvites = 0;
+  if (emailVerified) {
+    try {
+      claimedInvites = await claimEmailInvitesForUser(auth.uid, email);
+    } catch (error) {
+      console.warn('[collab] email invite claim skipped (sync)', { uid: auth.uid, message: error?.message || null });
+    }
+  }
+
   return {
     success: true,
     emailVerified,
+    claimedInvites,
   };
 }
 
@@ -1028,7 +1916,17 @@ module.exports = {
   setCoAuthorPermissions,
   listNotifications,
   listPendingCoAuthorInvites,
+  listBookCollaborators,
   syncUserAuthFlags,
+  claimEmailInvite,
+  claimEmailInvitesForUser,
+  proposeOwnershipTransfer,
+  respondOwnershipTransfer,
+  cancelOwnershipTransfer,
   cleanupExpiredInvitesForRecipient,
   cleanupExpiredInvitesForBook,
+  getBookRole,
+  ensureBookAccess,
+  ensureCommentAccess,
+  requireAuth,
 };
@@ -0,0 +1,292 @@
+const { HttpsError } = require('firebase-functions/v2/https');
+const {
+  db,
+  FieldValue,
+  userNotificationsRef,
+  pageRef,
+  pageCommentsRef,
+  getBook,
+  getUser,
+} = require('../repositories/collabRepository');
+const {
+  NOTIFICATION_TYPE,
+  COMMENT_STATUS,
+  MAX_COMMENT_LENGTH,
+  MAX_COMMENT_QUOTE_LENGTH,
+  resolveMemberRole,
+  canCommentAsRole,
+} = require('../models/collabTypes');
+const {
+  getBookRole,
+  ensureBookAccess,
+  ensureCommentAccess,
+  requireAuth,
+} = require('./collabService');
+const { ErrorCodes } = require('../../shared/errors/errorCodes');
+const { buildAppError } = require('../../shared/errors/appError');
+const { IDGenerator } = require('../../../utils/idGenerator');
+
+const EXCERPT_LENGTH = 140;
+
+function requirePageParams(data = {}) {
+  const { bookId, chapterId, pageId } = data;
+  if (!bookId || !chapterId || !pageId) {
+    throw new HttpsError('invalid-argument', 'bookId, chapterId and pageId are required.');
+  }
+  return { bookId: String(bookId), chapterId: String(chapterId), pageId: String(pageId) };
+}
+
+async function loadBookForCommenter(bookId, uid) {
+  const { data: bookData } = await getBook(bookId);
+  if (!bookData) {
+    throw new HttpsError('not-found', 'Book not found.');
+  }
+  return { bookData, role: ensureCommentAccess(ensureBookAccess(bookData, uid)) };
+}
+
+function sanitizeAnchor(anchor) {
+  if (!anchor || typeof anchor !== 'object' || !anchor.blockId) return null;
+  const quote = typeof anchor.quote === 'string' ? anchor.quote.trim().slice(0, MAX_COMMENT_QUOTE_LENGTH) : '';
+  return {
+    blockId: String(anchor.blockId).slice(0, 100),
+    ...(quote ? { quote } : {}),
+  };
+}
+
+function buildExcerpt(body) {
+  return body.length > EXCERPT_LENGTH ? `${body.slice(0, EXCERPT_LENGTH - 3)}...` : body;
+}
+
+/**
+ * Who hears about a comment: every other member for a new thread, and
+ * everyone who has already posted in the thread for a reply.
+ */
+async function resolveCommentRecipients({ bookData, authorUid, threadRootId, commentsRef }) {
+  const { ownerId } = getBookRole(bookData, authorUid);
+  // Viewers cannot see comments, so they are never notified about them.
+  const memberUids = new Set(Object.keys(bookData.members || {})
+    .filter((uid) => canCommentAsRole(resolveMemberRole(bookData, uid))));
+  if (ownerId) memberUids.add(ownerId);
+
+  let recipients;
+  if (!threadRootId) {
+    recipients = memberUids;
+  } else {
+    const [rootSnap, repliesSnap] = await Promise.all([
+      commentsRef.doc(threadRootId).get(),
+      commentsRef.where('threadId', '==', threadRootId).get(),
+    ]);
+    recipients = new Set();
+    if (rootSnap.exists) recipients.add(rootSnap.data()?.authorId);
+    repliesSnap.docs.forEach((docSnap) => recipients.add(docSnap.data()?.authorId));
+  }
+
+  recipients.delete(authorUid);
+  // Only people who can still see the thread.
+  return [...recipients].filter((uid) => uid && memberUids.has(uid));
+}
+
+async function createPageComment(data, auth) {
+  requireAuth(auth);
+  const { bookId, chapterId, pageId } = requirePageParams(data);
+  const body = typeof data?.body === 'string' ? data.body.trim() : '';
+  const parentId = data?.parentId ? String(data.parentId) : null;
+
+  if (!body) {
+    throw new HttpsError('invalid-argument', 'Comment text is required.');
+  }
+  if (body.length > MAX_COMMENT_LENGTH) {
+    throw new HttpsError('invalid-argument', `Comments are limited to ${MAX_COMMENT_LENGTH} characters.`);
+  }
+
+  const { bookData } = await loadBookForCommenter(bookId, auth.uid);
+
+  try {
+    const commentsRef = pageCommentsRef(bookId, chapterId, pageId);
+    const [pageSnap, parentSnap, authorResult] = await Promise.all([
+      pageRef(bookId, chapterId, pageId).get(),
+      parentId ? commentsRef.doc(parentId).get() : Promise.resolve(null),
+      getUser(auth.uid),
+    ]);
+    if (!pageSnap.exists) {
+      throw new HttpsError('not-found', 'Page not found.');
+    }
+    if (parentId && !parentSnap?.exists) {
+      throw new HttpsError('not-found', 'The comment you are replying to was deleted.');
+    }
+
+    // Replies always attach to the thread root so threads stay one level deep.
+    const threadId = parentId ? (parentSnap.data()?.threadId || parentId) : null;
+    const commentId = IDGenerator.generateId('comment');
+    const authorName = authorResult.data?.displayName || auth.token?.name || 'Co-author';
+    const pageName = pageSnap.data()?.pageName || '';
+    const recipients = await resolveCommentRecipients({
+      bookData,
+      authorUid: auth.uid,
+      threadRootId: threadId,
+      commentsRef,
+    });
+
+    /** @type {import('../models/collabTypes').PageCommentDoc} */
+    const comment = {
+      bookId,
+      chapterId,
+      pageId,
+      threadId: threadId || commentId,
+      parentId: threadId,
+      authorId: auth.uid,
+      authorName,
+      body,
+      anchor: threadId ? null : sanitizeAnchor(data?.anchor),
+      status: COMMENT_STATUS.OPEN,
+      replyCount: 0,
+      resolvedBy: null,
+      resolvedAt: null,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    };
+
+    const batch = db.batch();
+    batch.set(commentsRef.doc(commentId), comment);
+    if (threadId) {
+      // A reply reopens a resolved thread: someone still has something to say.
+      batch.update(commentsRef.doc(threadId), {
+        replyCount: FieldValue.increment(1),
+        status: COMMENT_STATUS.OPEN,
+        resolvedBy: null,
+        resolvedAt: null,
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    }
+
+    /** @type {Omit<import('../models/collabTypes').CommentNotificationDoc, 'createdAt'>} */
+    const notification = {
+      type: threadId ? NOTIFICATION_TYPE.PAGE_COMMENT_REPLY : NOTIFICATION_TYPE.PAGE_COMMENT,
+      bookId,
+      bookTitle: bookData.babyName || bookData.title || 'Untitled Book',
+      chapterId,
+      pageId,
+      pageName,
+      commentId,
+      threadId: threadId || commentId,
+      actorId: auth.uid,
+      actorName: authorName,
+      excerpt: buildExcerpt(body),
+    };
+    recipients.forEach((uid) => {
+      batch.set(userNotificationsRef(uid).doc(`${commentId}__${uid}`), {
+        ...notification,
+        createdAt: FieldValue.serverTimestamp(),
+      });
+    });
+
+    await batch.commit();
+
+    return {
+      success: true,
+      commentId,
+      threadId: comment.threadId,
+      notified: recipients.length,
+    };
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    console.error('[collab] createPageComment failed', {
+      actorUid: auth?.uid || null,
+      bookId,
+      pageId,
+      message: error?.message || 'Unknown error',
+    });
+    throw buildAppError('internal', ErrorCodes.COMMENT_CREATE_FAILED);
+  }
+}
+
+async function resolvePageComment(data, auth) {
+  requireAuth(auth);
+  const { bookId, chapterId, pageId } = requirePageParams(data);
+  const commentId = data?.commentId ? String(data.commentId) : '';
+  const resolved = data?.resolved !== false;
+  if (!commentId) {
+    throw new HttpsError('invalid-argument', 'commentId is required.');
+  }
+
+  await loadBookForCommenter(bookId, auth.uid);
+
+  const targetRef = pageCommentsRef(bookId, chapterId, pageId).doc(commentId);
+  const snap = await targetRef.get();
+  if (!snap.exists) {
+    throw new HttpsError('not-found', 'Comment not found.');
+  }
+  if (snap.data()?.parentId) {
+    throw new HttpsError('failed-precondition', 'Only a thread can be resolved, not a single reply.');
+  }
+
+  try {
+    await targetRef.update({
+      status: resolved ? COMMENT_STATUS.RESOLVED : COMMENT_STATUS.OPEN,
+      resolvedBy: resolved ? auth.uid : null,
+      resolvedAt: resolved ? FieldValue.serverTimestamp() : null,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    console.error('[collab] resolvePageComment failed', { commentId, message: error?.message || null });
+    throw buildAppError('internal', ErrorCodes.COMMENT_UPDATE_FAILED);
+  }
+
+  return {
+    success: true,
+    commentId,
+    status: resolved ? COMMENT_STATUS.RESOLVED : COMMENT_STATUS.OPEN,
+  };
+}
+
+async function deletePageComment(data, auth) {
+  requireAuth(auth);
+  const { bookId, chapterId, pageId } = requirePageParams(data);
+  const commentId = data?.commentId ? String(data.commentId) : '';
+  if (!commentId) {
+    throw new HttpsError('invalid-argument', 'commentId is required.');
+  }
+
+  const { role } = await loadBookForCommenter(bookId, auth.uid);
+
+  const commentsRef = pageCommentsRef(bookId, chapterId, pageId);
+  const snap = await commentsRef.doc(commentId).get();
+  if (!snap.exists) {
+    throw new HttpsError('not-found', 'Comment not found.');
+  }
+  const comment = snap.data() || {};
+  if (comment.authorId !== auth.uid && !role.isOwner) {
+    throw new HttpsError('permission-denied', 'Only the author or the book owner can delete this comment.');
+  }
+
+  try {
+    const batch = db.batch();
+    let deleted = 1;
+    batch.delete(snap.ref);
+    if (comment.parentId) {
+      batch.update(commentsRef.doc(comment.parentId), {
+        replyCount: FieldValue.increment(-1),
+        updatedAt: FieldValue.serverTimestamp(),
+      });
+    } else {
+      // Deleting a thread removes its replies with it.
+      const repliesSnap = await commentsRef.where('threadId', '==', commentId).get();
+      repliesSnap.docs.forEach((replySnap) => {
+        if (replySnap.id === commentId) return;
+        batch.delete(replySnap.ref);
+        deleted += 1;
+      });
+    }
+    await batch.commit();
+    return { success: true, deleted };
+  } catch (error) {
+    console.error('[collab] deletePageComment failed', { commentId, message: error?.message || null });
+    throw buildAppError('internal', ErrorCodes.COMMENT_UPDATE_FAILED);
+  }
+}
+
+module.exports = {
+  createPageComment,
+  resolvePageComment,
+  deletePageComment,
+};
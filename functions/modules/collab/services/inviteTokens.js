@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+const IS_EMULATOR = process.env.FUNCTIONS_EMULATOR === 'true' || !!process.env.FIRESTORE_EMULATOR_HOST;
+const LOCAL_DEV_SECRET = 'airabook-local-invite-secret';
+
+function getSecret() {
+  const secret = process.env.INVITE_TOKEN_SECRET || (IS_EMULATOR ? LOCAL_DEV_SECRET : '');
+  if (!secret) {
+    throw new Error('INVITE_TOKEN_SECRET is not configured.');
+  }
+  return secret;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * @typedef {Object} InviteTokenPayload
+ * @property {string} inviteId
+ * @property {string} email lowercased invitee address
+ * @property {string} nonce rotated on every resend so older links stop working
+ * @property {number} exp expiry in epoch millis
+ */
+
+/**
+ * `<base64url payload>.<base64url HMAC-SHA256>`; the invite doc stays the
+ * source of truth, the token only proves the link came from us.
+ * @param {InviteTokenPayload} payload
+ */
+function signInviteToken(payload) {
+  const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * @returns {InviteTokenPayload|null} null when the token is malformed, tampered with or expired
+ */
+function verifyInviteToken(token, nowMs = Date.now()) {
+  if (typeof token !== 'string' || token.length > 2048) return null;
+  const [encodedPayload, signature, extra] = token.split('.');
+  if (!encodedPayload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+    if (!payload?.inviteId || !payload?.email || !payload?.nonce) return null;
+    if (!Number.isFinite(payload.exp) || payload.exp <= nowMs) return null;
+    return payload;
+  } catch (_) {
+    return null;
+  }
+}
+
+function createInviteNonce() {
+  return crypto.randomBytes(12).toString('base64url');
+}
+
+function buildInviteLink(token) {
+  const appBaseUrl = (process.env.APP_PUBLIC_URL || 'http://localhost:5173').replace(/\/+$/, '');
+  return `${appBaseUrl}/invite?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+  signInviteToken,
+  verifyInviteToken,
+  createInviteNonce,
+  buildInviteLink,
+};
@@ -1,6 +1,11 @@
 class ErrorCodes {
   static INVITATION_VERIFICATION_FAILED = 110001;
   static INVITATION_CREATE_FAILED = 110002;
+  static INVITATION_EMAIL_FAILED = 110003;
+  static INVITATION_CLAIM_FAILED = 110004;
+  static COMMENT_CREATE_FAILED = 120001;
+  static COMMENT_UPDATE_FAILED = 120002;
+  static OWNERSHIP_TRANSFER_FAILED = 130001;
 }
 
 module.exports = { ErrorCodes };
@@ -10,6 +10,26 @@ class ErrorDefinitions {
       message: 'Invitation request failed.',
       status: 'INTERNAL',
     }),
+    [ErrorCodes.INVITATION_EMAIL_FAILED]: Object.freeze({
+      message: 'Invitation email could not be sent.',
+      status: 'INTERNAL',
+    }),
+    [ErrorCodes.INVITATION_CLAIM_FAILED]: Object.freeze({
+      message: 'Invitation could not be claimed.',
+      status: 'INTERNAL',
+    }),
+    [ErrorCodes.COMMENT_CREATE_FAILED]: Object.freeze({
+      message: 'Comment could not be posted.',
+      status: 'INTERNAL',
+    }),
+    [ErrorCodes.COMMENT_UPDATE_FAILED]: Object.freeze({
+      message: 'Comment could not be updated.',
+      status: 'INTERNAL',
+    }),
+    [ErrorCodes.OWNERSHIP_TRANSFER_FAILED]: Object.freeze({
+      message: 'Ownership transfer could not be completed.',
+      status: 'INTERNAL',
+    }),
   });
 
   static get(errorCode) {
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+
+const IS_EMULATOR = process.env.FUNCTIONS_EMULATOR === 'true' || !!process.env.FIRESTORE_EMULATOR_HOST;
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '..', '..', '.mail-outbox');
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to
+ * @property {string} subject
+ * @property {string} text
+ * @property {string=} html
+ * @property {string=} category used for logs and outbox file names, e.g. 'coauthor_invite'
+ */
+
+/**
+ * Writes each message as a JSON file so local runs can open invite links
+ * without a mail provider. Default in the emulator.
+ */
+async function sendViaOutbox(message) {
+  const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+  await fs.promises.mkdir(outboxDir, { recursive: true });
+  const fileName = `${Date.now()}-${message.category || 'mail'}.json`;
+  const filePath = path.join(outboxDir, fileName);
+  await fs.promises.writeFile(filePath, JSON.stringify({ ...message, createdAt: new Date().toISOString() }, null, 2));
+  console.log(`[mail] outbox: "${message.subject}" -> ${message.to} (${filePath})`);
+  return { transport: 'outbox', id: fileName };
+}
+
+/**
+ * Queues the message in the `mail` collection, which the Firebase
+ * "Trigger Email" extension delivers. Default outside the emulator.
+ */
+async function sendViaFirestore(message) {
+  const docRef = await getFirestore().collection('mail').add({
+    to: message.to,
+    message: {
+      subject: message.subject,
+      text: message.text,
+      ...(message.html ? { html: message.html } : {}),
+    },
+    category: message.category || null,
+    createdAt: FieldValue.serverTimestamp(),
+  });
+  return { transport: 'firestore', id: docRef.id };
+}
+
+async function sendViaLog(message) {
+  console.log(`[mail] log: "${message.subject}" -> ${message.to}\n${message.text}`);
+  return { transport: 'log', id: null };
+}
+
+const transports = new Map([
+  ['outbox', sendViaOutbox],
+  ['firestore', sendViaFirestore],
+  ['log', sendViaLog],
+]);
+
+/**
+ * Add or replace a transport, e.g. an SMTP or provider API client.
+ * Select it with the MAIL_TRANSPORT env var.
+ * @param {string} name
+ * @param {(message: MailMessage) => Promise<{ transport: string, id: string|null }>} send
+ */
+function registerMailTransport(name, send) {
+  if (!name || typeof send !== 'function') {
+    throw new Error('registerMailTransport requires a name and a send function.');
+  }
+  transports.set(name, send);
+}
+
+function resolveTransportName() {
+  return process.env.MAIL_TRANSPORT || (IS_EMULATOR ? 'outbox' : 'firestore');
+}
+
+/**
+ * @param {MailMessage} message
+ */
+async function sendMail(message) {
+  if (!message?.to || !message?.subject) {
+    throw new Error('sendMail requires "to" and "subject".');
+  }
+  const name = resolveTransportName();
+  const send = transports.get(name);
+  if (!send) {
+    throw new Error(`Unknown mail transport "${name}". Registered: ${[...transports.keys()].join(', ')}`);
+  }
+  return send(message);
+}
+
+module.exports = {
+  sendMail,
+  registerMailTransport,
+  resolveTransportName,
+};
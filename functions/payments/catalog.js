@@ -14,6 +14,7 @@ const PLAN_CONFIG = {
     includedCreditsMonthly: 150,
     rolloverCap: 0,
     storageMb: 50,
+    videoMaxSeconds: 60,
     hardCreditReserve: 0,
     entitlements: {
       ...BASE_ENTITLEMENTS,
@@ -25,6 +26,7 @@ const PLAN_CONFIG = {
     includedCreditsMonthly: 150,
     rolloverCap: 0,
     storageMb: 50,
+    videoMaxSeconds: 60,
     hardCreditReserve: 0,
     entitlements: {
       ...BASE_ENTITLEMENTS,
@@ -36,6 +38,7 @@ const PLAN_CONFIG = {
     includedCreditsMonthly: 2500,
     rolloverCap: 625,
     storageMb: 512,
+    videoMaxSeconds: 300,
     hardCreditReserve: 25,
     entitlements: {
       ...BASE_ENTITLEMENTS,
@@ -50,6 +53,7 @@ const PLAN_CONFIG = {
     includedCreditsMonthly: 7000,
     rolloverCap: 1750,
     storageMb: 2048,
+    videoMaxSeconds: 900,
     hardCreditReserve: 50,
     entitlements: {
       ...BASE_ENTITLEMENTS,
@@ -65,6 +69,7 @@ const PLAN_CONFIG = {
     includedCreditsMonthly: 16000,
     rolloverCap: 4000,
     storageMb: 8192,
+    videoMaxSeconds: 1800,
     hardCreditReserve: 75,
     entitlements: {
       ...BASE_ENTITLEMENTS,
@@ -81,6 +86,7 @@ const PLAN_CONFIG = {
     includedCreditsMonthly: 100000,
     rolloverCap: 25000,
     storageMb: 51200,
+    videoMaxSeconds: 3600,
     hardCreditReserve: 100,
     entitlements: {
       ...BASE_ENTITLEMENTS,
@@ -147,6 +147,7 @@ const buildUsageCharge = (usage = {}, pricingCatalog = DEFAULT_PRICING_CATALOG)
       case 'rewrite':
       case 'book_query':
       case 'chapter_suggestions':
+      case 'consistency_review':
       case 'page_draft':
       case 'chat':
       case 'planner':
@@ -328,6 +329,7 @@ const consumeCredits = async (db, userId, usage = {}, options = {}) => {
       enforceApplied: enforce && !shadowOnly,
       requestId: usage.requestId || usageRef.id,
       metadata: usage.metadata || {},
+      minimumCredits: asNumber(usage.minimumCredits, 0),
       createdAt: FieldValue.serverTimestamp(),
     });
 
@@ -340,6 +342,127 @@ const consumeCredits = async (db, userId, usage = {}, options = {}) => {
   });
 };
 
+const TOKEN_UNIT_KEYS = ['inputTokens', 'outputTokens', 'outputImageTokens'];
+
+const pickTokenUnits = (units = {}) => TOKEN_UNIT_KEYS.reduce((picked, key) => {
+  const value = asNumber(units[key], NaN);
+  if (Number.isFinite(value)) picked[key] = value;
+  return picked;
+}, {});
+
+/**
+ * Re-price a usage event charged by consumeCredits with the token counts the
+ * model actually reported, and refund or deduct the difference. The event
+ * keeps both sides (`estimatedUnits` / `actualUnits`, `tokenDelta`,
+ * `creditsDelta`) plus the model and latency. Units the provider did not
+ * report stay at the estimate. Settling twice is a no-op.
+ *
+ * @param {Object} actual
+ * @param {number} [actual.inputTokens]
+ * @param {number} [actual.outputTokens]
+ * @param {number} [actual.outputImageTokens]
+ * @param {string} [actual.model]
+ * @param {string} [actual.provider]
+ * @param {number} [actual.latencyMs]
+ */
+const settleUsageCharge = async (db, userId, usageEventId, actual = {}) => {
+  if (!db || !userId || !usageEventId) {
+    throw new Error('settleUsageCharge requires db, userId and usageEventId.');
+  }
+
+  const pricingCatalog = await getPricingCatalog(db);
+  const userRef = db.collection(USERS_COLLECTION).doc(userId);
+  const usageRef = db.collection(USAGE_EVENTS_COLLECTION).doc(usageEventId);
+
+  return db.runTransaction(async (tx) => {
+    const [usageSnapshot, userSnapshot] = await Promise.all([tx.get(usageRef), tx.get(userRef)]);
+    if (!usageSnapshot.exists || !userSnapshot.exists) {
+      throw new Error(`Usage event ${usageEventId} or its user was not found for settlement.`);
+    }
+    const event = usageSnapshot.data() || {};
+    if (event.settledAt) {
+      return { creditsCharged: event.creditsCharged, creditsDelta: 0, usageEventId, alreadySettled: true };
+    }
+
+    const estimatedUnits = pickTokenUnits(event.rawUnits || {});
+    const reportedUnits = pickTokenUnits(actual);
+    const actualUnits = { ...estimatedUnits, ...reportedUnits };
+    const charge = buildUsageCharge({
+      feature: event.feature,
+      minimumCredits: event.minimumCredits,
+      rawUnits: { ...(event.rawUnits || {}), ...actualUnits },
+    }, pricingCatalog);
+    const estimatedCredits = asNumber(event.creditsCharged, 0);
+    const creditsDelta = charge.creditsCharged - estimatedCredits;
+
+    // Shadow-mode events never moved the balance, so neither does settlement.
+    const billing = userSnapshot.data()?.billing || {};
+    const currentBalance = asNumber(billing.creditBalance, 0);
+    let nextBalance = currentBalance;
+    if (event.enforceApplied && creditsDelta !== 0) {
+      nextBalance = Math.max(0, currentBalance - creditsDelta);
+      const hardReserve = getPlanConfig(billing.planTier).hardCreditReserve || 0;
+      tx.update(userRef, {
+        'billing.creditBalance': nextBalance,
+        'billing.usedCreditsThisCycle': Math.max(0, asNumber(billing.usedCreditsThisCycle, 0) + creditsDelta),
+        'billing.lowCreditState': nextBalance <= Math.max(DEFAULT_PRICING_CATALOG.lowCreditFloor, hardReserve),
+      });
+    }
+
+    const tokenDelta = Object.keys(reportedUnits).reduce((delta, key) => {
+      delta[key] = reportedUnits[key] - asNumber(estimatedUnits[key], 0);
+      return delta;
+    }, {});
+
+    tx.update(usageRef, {
+      estimatedUnits,
+      actualUnits,
+      tokenDelta,
+      tokenSource: Object.keys(reportedUnits).length > 0 ? 'provider' : 'estimate',
+      estimatedCreditsCharged: estimatedCredits,
+      creditsCharged: charge.creditsCharged,
+      creditsDelta,
+      creditsDeducted: asNumber(event.creditsDeducted, 0) + (currentBalance - nextBalance),
+      initialEstimatedCostUsd: asNumber(event.estimatedCostUsd, 0),
+      estimatedCostUsd: charge.estimatedCostUsd,
+      model: actual.model || null,
+      modelProvider: actual.provider || null,
+      latencyMs: Number.isFinite(actual.latencyMs) ? Math.round(actual.latencyMs) : null,
+      settledAt: FieldValue.serverTimestamp(),
+    });
+
+    return { ...charge, creditsDelta, creditBalance: nextBalance, usageEventId };
+  });
+};
+
+/**
+ * Charge the estimate up front (so an empty balance fails before the model
+ * runs), run `call`, then settle with what the model reported. `call` should
+ * resolve to an object with `usage` ({ inputTokens, outputTokens,
+ * outputImageTokens }), `model` and `provider`; settlement errors are logged,
+ * not thrown, since the work is already done.
+ * @returns {Promise<{ result: any, charge: Object }>}
+ */
+const meterAiCall = async (db, userId, usage, call, options = {}) => {
+  const reservation = await consumeCredits(db, userId, usage, options);
+  const startedAt = Date.now();
+  const result = await call();
+  const latencyMs = Date.now() - startedAt;
+
+  try {
+    const settlement = await settleUsageCharge(db, userId, reservation.usageEventId, {
+      ...(result?.usage || {}),
+      model: result?.model,
+      provider: result?.provider,
+      latencyMs,
+    });
+    return { result, charge: { ...reservation, ...settlement } };
+  } catch (error) {
+    console.error(`Failed to settle usage event ${reservation.usageEventId}:`, error);
+    return { result, charge: reservation };
+  }
+};
+
 const addPurchasedCredits = async (userId, credits, db = admin.firestore()) => {
   if (!userId || !credits) return null;
   const userRef = db.collection(USERS_COLLECTION).doc(userId);
@@ -383,4 +506,6 @@ module.exports = {
   ensureMonthlyCreditsForUser,
   estimateTokensFromText,
   getPricingCatalog,
+  meterAiCall,
+  settleUsageCharge,
 };
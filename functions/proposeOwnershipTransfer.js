@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { proposeOwnershipTransferController } = require('./modules/collab/controllers/collabController');
+
+exports.proposeOwnershipTransfer = onCall({ region: 'us-central1', cors: true }, proposeOwnershipTransferController);
@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { resolvePageCommentController } = require('./modules/collab/controllers/collabController');
+
+exports.resolvePageComment = onCall({ region: 'us-central1', cors: true }, resolvePageCommentController);
@@ -0,0 +1,35 @@
+// functions/resolveShareLink.js
+// Callable that opens a share link; no sign-in required.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { resolveShareLink } = require('./services/shareLinkService');
+
+const db = admin.firestore();
+
+/**
+ * Resolve a share token (plus passcode, when the link has one) to a
+ * sanitized read-only copy of the book.
+ * Called from SharedBookView.jsx via httpsCallable(functions, 'resolveShareLink')
+ */
+exports.resolveShareLink = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data } = request;
+
+        // Public on purpose: the token (and optional passcode) is the credential.
+        const { token, passcode } = data || {};
+
+        try {
+            return await resolveShareLink(db, { token, passcode });
+        } catch (error) {
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            logger.error('❌ Error resolving share link:', error);
+            throw new HttpsError('internal', `Failed to open shared book: ${error.message}`);
+        }
+    }
+);
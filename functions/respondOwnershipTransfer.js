@@ -0,0 +1,4 @@
+const { onCall } = require('firebase-functions/v2/https');
+const { respondOwnershipTransferController } = require('./modules/collab/controllers/collabController');
+
+exports.respondOwnershipTransfer = onCall({ region: 'us-central1', cors: true }, respondOwnershipTransferController);
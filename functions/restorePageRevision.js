@@ -0,0 +1,119 @@
+// functions/restorePageRevision.js
+// Callable that rolls a page back to one of its saved revisions.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+const FieldValue = require('firebase-admin/firestore').FieldValue;
+
+const { extractTextFromHtml } = require('./utils/embeddingsClient');
+const { updateChapterPageSummary } = require('./utils/chapterUtils');
+const { pageAuthorFields, pageRevisionsRef } = require('./services/pageRevisionService');
+const { resolveMemberRole, canEditAsRole } = require('./modules/collab/models/collabTypes');
+
+const db = admin.firestore();
+
+/**
+ * Restore a page revision. The restore itself is a new save, so
+ * syncPageDerivedData records it as a fresh revision and nothing is lost.
+ * Called from PageHistoryPanel.jsx via httpsCallable(functions, 'restorePageRevision')
+ */
+exports.restorePageRevision = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to restore pages.');
+        }
+
+        const { bookId, chapterId, pageId, revisionId } = data || {};
+        const userId = auth.uid;
+
+        if (!bookId || !chapterId || !pageId || !revisionId) {
+            throw new HttpsError('invalid-argument', 'Book ID, chapter ID, page ID and revision ID are required.');
+        }
+
+        try {
+            const bookDoc = await db.collection('books').doc(bookId).get();
+            if (!bookDoc.exists) {
+                throw new HttpsError('not-found', 'Book not found.');
+            }
+
+            const bookData = bookDoc.data();
+            const memberRole = resolveMemberRole(bookData, userId);
+            if (!canEditAsRole(memberRole)) {
+                throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
+            }
+
+            const pageRef = db
+                .collection('books')
+                .doc(bookId)
+                .collection('chapters')
+                .doc(chapterId)
+                .collection('pages')
+                .doc(pageId);
+
+            const [pageDoc, revisionDoc] = await Promise.all([
+                pageRef.get(),
+                pageRevisionsRef(db, { bookId, chapterId, pageId }).doc(revisionId).get(),
+            ]);
+            if (!pageDoc.exists) {
+                throw new HttpsError('not-found', 'Page not found.');
+            }
+            if (!revisionDoc.exists) {
+                throw new HttpsError('not-found', 'Revision not found.');
+            }
+
+            const revision = revisionDoc.data() || {};
+            const note = revision.note || '';
+            const plainText = extractTextFromHtml(note);
+
+            const updateData = {
+                note,
+                plainText,
+                pageName: revision.pageName || '',
+                embeddingStatus: plainText ? 'pending' : 'ready',
+                ...pageAuthorFields(userId),
+                restoredFromRevisionId: revisionId,
+                updatedAt: FieldValue.serverTimestamp(),
+            };
+            if (!plainText) {
+                updateData.embeddings = null;
+                updateData.embeddingModel = null;
+            }
+            if (revision.content) updateData.content = revision.content;
+
+            await pageRef.update(updateData);
+            logger.log(`⏪ Page ${pageId} restored to revision ${revisionId} by ${userId}`);
+
+            await updateChapterPageSummary(
+                db,
+                bookId,
+                chapterId,
+                pageId,
+                plainText,
+                pageDoc.data().order,
+                false,
+                updateData.pageName,
+                { skipChapterSummary: true }
+            );
+
+            return {
+                success: true,
+                page: {
+                    id: pageId,
+                    ...updateData,
+                    updatedAt: new Date(),
+                },
+                message: 'Page restored successfully!',
+            };
+        } catch (error) {
+            logger.error('❌ Error restoring page revision:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to restore page: ${error.message}`);
+        }
+    }
+);
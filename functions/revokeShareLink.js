@@ -0,0 +1,39 @@
+// functions/revokeShareLink.js
+// Callable that switches off a share link.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { revokeShareLink } = require('./services/shareLinkService');
+
+const db = admin.firestore();
+
+/**
+ * Revoke a share link. Anyone opening it afterwards sees "no longer available".
+ * Called from ShareLinksDialog.jsx via httpsCallable(functions, 'revokeShareLink')
+ */
+exports.revokeShareLink = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to revoke share links.');
+        }
+
+        const { token } = data || {};
+
+        try {
+            const link = await revokeShareLink(db, { token, uid: auth.uid });
+            logger.log(`🔒 Share link revoked for book ${link.bookId} by ${auth.uid}`);
+            return { success: true, link };
+        } catch (error) {
+            logger.error('❌ Error revoking share link:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to revoke share link: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,43 @@
+// functions/savePromptVersion.js
+// Admin callable that saves a new version of a registered prompt.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { requireAdmin, savePromptVersion } = require('./services/promptRegistryService');
+
+const db = admin.firestore();
+
+/**
+ * Save `template` as the next version of `promptId` and activate it (unless
+ * `activate` is false). Templates with unknown or missing variables are rejected.
+ * Called from PromptRegistryPanel.jsx via httpsCallable(functions, 'savePromptVersion')
+ */
+exports.savePromptVersion = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+        requireAdmin(auth);
+
+        const { promptId, template, note, activate } = data || {};
+
+        try {
+            const result = await savePromptVersion(db, {
+                promptId,
+                template,
+                note,
+                userId: auth.uid,
+                activate: activate !== false,
+            });
+            logger.log(`📝 Prompt ${promptId} v${result.version} saved by ${auth.uid}`);
+            return { success: true, ...result };
+        } catch (error) {
+            logger.error('❌ Error saving prompt version:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Failed to save prompt version: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,56 @@
+/**
+ * One-off: add `captionTerms` to album media docs written before searchLibrary
+ * looked captions up by them. New and re-uploaded media get the field from
+ * upsertAlbumMedia; this covers the rest. Re-running it is safe.
+ *
+ * Usage (from functions/):
+ *   GOOGLE_CLOUD_PROJECT=<project> node scripts/backfill-caption-terms.js [--dry-run]
+ */
+const admin = require('firebase-admin');
+const { mediaCaptionTerms } = require('../services/albumMediaService');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 300;
+
+const sameTerms = (a = [], b = []) => a.length === b.length && a.every((term, index) => term === b[index]);
+
+const run = async () => {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    let query = db.collectionGroup('media').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let pending = 0;
+    snapshot.docs.forEach((doc) => {
+      const albumRef = doc.ref.parent.parent;
+      if (!albumRef || albumRef.parent.id !== 'albums') return;
+      const data = doc.data() || {};
+      const captionTerms = mediaCaptionTerms(data);
+      if (Array.isArray(data.captionTerms) && sameTerms(data.captionTerms, captionTerms)) return;
+      batch.update(doc.ref, { captionTerms });
+      pending += 1;
+    });
+
+    if (pending > 0 && !DRY_RUN) await batch.commit();
+    scanned += snapshot.size;
+    updated += pending;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Scanned ${scanned} media docs, ${DRY_RUN ? 'would update' : 'updated'} ${updated}`);
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  });
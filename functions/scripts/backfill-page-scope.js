@@ -0,0 +1,53 @@
+/**
+ * One-off: copy each page's bookId/chapterId onto the page document so the
+ * collection-group vector search in queryBookFlow can filter by book.
+ * New writes are handled by syncPageDerivedData; this covers untouched pages.
+ *
+ * Usage (from functions/):
+ *   GOOGLE_CLOUD_PROJECT=<project> node scripts/backfill-page-scope.js [--dry-run]
+ */
+const admin = require('firebase-admin');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 300;
+
+const run = async () => {
+  let lastDoc = null;
+  let scanned = 0;
+  let updated = 0;
+
+  for (;;) {
+    let query = db.collectionGroup('pages').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let pending = 0;
+    snapshot.docs.forEach((doc) => {
+      const chapterRef = doc.ref.parent.parent;
+      if (!chapterRef || chapterRef.parent.id !== 'chapters') return;
+      const bookId = chapterRef.parent.parent.id;
+      const data = doc.data() || {};
+      if (data.bookId === bookId && data.chapterId === chapterRef.id) return;
+      batch.update(doc.ref, { bookId, chapterId: chapterRef.id });
+      pending += 1;
+    });
+
+    if (pending > 0 && !DRY_RUN) await batch.commit();
+    scanned += snapshot.size;
+    updated += pending;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Scanned ${scanned} pages, ${DRY_RUN ? 'would update' : 'updated'} ${updated}`);
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,68 @@
+/**
+ * Compare a prompt registry template against the built-in one (or another
+ * template) on a fixture set of books and pages, with the mock LLM provider,
+ * before saving it as a new version in the admin dashboard. Prints prompt and
+ * output diffs; exits 1 when the template cannot be saved or a case that
+ * passed with the baseline fails with it (e.g. replies extractChapterTitles
+ * can no longer parse).
+ *
+ * Usage (from functions/):
+ *   node scripts/eval-prompt.js <promptId> <candidate.txt> [--baseline baseline.txt] [--fixtures pages.json]
+ */
+const fs = require('fs');
+const path = require('path');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { PROMPT_DEFINITIONS, findTemplateProblems } = require('../utils/prompts');
+const { evaluatePromptVersions, formatReport } = require('../utils/promptEval');
+
+const DEFAULT_FIXTURES = path.join(__dirname, '..', 'tests', 'fixtures', 'prompt-eval-pages.json');
+
+// Editors end files with a newline the stored template should not have.
+const readTemplate = (file) => fs.readFileSync(file, 'utf8').replace(/\r?\n$/, '');
+
+const parseArgs = (argv) => {
+  const options = { positional: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i] === '--baseline' || argv[i] === '--fixtures') {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      options.positional.push(argv[i]);
+    }
+  }
+  return options;
+};
+
+const run = async () => {
+  const { positional, baseline, fixtures } = parseArgs(process.argv.slice(2));
+  const [promptId, candidateFile] = positional;
+  if (!PROMPT_DEFINITIONS[promptId] || !candidateFile) {
+    console.error(`Usage: node scripts/eval-prompt.js <${Object.keys(PROMPT_DEFINITIONS).join('|')}> <candidate.txt> [--baseline file] [--fixtures file]`);
+    return 1;
+  }
+
+  const candidate = readTemplate(candidateFile);
+  const problems = findTemplateProblems(promptId, candidate);
+  if (problems.length) {
+    console.error(`❌ The candidate template cannot be saved:\n- ${problems.join('\n- ')}`);
+    return 1;
+  }
+
+  const report = await evaluatePromptVersions({
+    promptId,
+    candidate,
+    baseline: baseline ? readTemplate(baseline) : undefined,
+    fixtures: JSON.parse(fs.readFileSync(fixtures || DEFAULT_FIXTURES, 'utf8')),
+  });
+  console.log(formatReport(report));
+  return report.summary.regressions ? 1 : 0;
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('❌ Prompt evaluation failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,52 @@
+/**
+ * One-off: move album media from the `images` / `videos` arrays on
+ * `albums/{albumId}` into the `albums/{albumId}/media` subcollection (one doc
+ * per asset) and recount `mediaCount`. Writers migrate an album on first
+ * touch, so this only has to catch the rest; re-running it is safe.
+ *
+ * Usage (from functions/):
+ *   GOOGLE_CLOUD_PROJECT=<project> node scripts/migrate-album-media.js [--dry-run]
+ */
+const admin = require('firebase-admin');
+const { hasLegacyMediaArrays, migrateAlbumMedia } = require('../services/albumMediaService');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const PAGE_SIZE = 100;
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  let lastDoc = null;
+  let scanned = 0;
+  let albums = 0;
+  let items = 0;
+
+  for (;;) {
+    let query = db.collection('albums').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      scanned += 1;
+      if (!hasLegacyMediaArrays(doc.data())) continue;
+      const { migrated, mediaCount } = await migrateAlbumMedia(db, doc.id, { dryRun });
+      albums += 1;
+      items += migrated;
+      console.log(`${dryRun ? '[dry run] ' : ''}albums/${doc.id}: ${migrated} item(s) moved, mediaCount=${mediaCount}`);
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Scanned ${scanned} albums`);
+  }
+
+  console.log(`${dryRun ? '[dry run] Would migrate' : 'Migrated'} ${items} item(s) in ${albums} album(s).`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,50 @@
+/**
+ * One-off: (re)build the keyword search index (`books/{bookId}/searchTerms`,
+ * `searchDocs`) for every page. New edits are indexed by syncPageDerivedData;
+ * run this once for pages written before the index existed.
+ *
+ * Usage (from functions/):
+ *   GOOGLE_CLOUD_PROJECT=<project> node scripts/rebuild-search-index.js
+ */
+const admin = require('firebase-admin');
+const { indexPageText } = require('../services/searchIndexService');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const PAGE_SIZE = 200;
+
+const run = async () => {
+  let lastDoc = null;
+  let indexed = 0;
+
+  for (;;) {
+    let query = db.collectionGroup('pages').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    for (const doc of snapshot.docs) {
+      const chapterRef = doc.ref.parent.parent;
+      if (!chapterRef || chapterRef.parent.id !== 'chapters') continue;
+      const data = doc.data() || {};
+      await indexPageText(db, {
+        bookId: chapterRef.parent.parent.id,
+        chapterId: chapterRef.id,
+        pageId: doc.id,
+        text: `${data.pageName || ''}\n${String(data.plainText || '').trim()}`,
+      });
+      indexed += 1;
+    }
+
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Indexed ${indexed} pages`);
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Rebuild failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+/**
+ * One-off: mark pages embedded before chunking (no `chunkCount`) as pending so
+ * syncPageDerivedData re-embeds them into `pages/{pageId}/chunks`.
+ *
+ * Usage (from functions/):
+ *   GOOGLE_CLOUD_PROJECT=<project> node scripts/requeue-page-embeddings.js [--dry-run]
+ */
+const admin = require('firebase-admin');
+
+admin.initializeApp();
+const db = admin.firestore();
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const PAGE_SIZE = 300;
+
+const run = async () => {
+  let lastDoc = null;
+  let scanned = 0;
+  let queued = 0;
+
+  for (;;) {
+    let query = db.collectionGroup('pages').orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    let pending = 0;
+    snapshot.docs.forEach((doc) => {
+      const chapterRef = doc.ref.parent.parent;
+      if (!chapterRef || chapterRef.parent.id !== 'chapters') return;
+      const data = doc.data() || {};
+      if (data.chunkCount !== undefined || !String(data.plainText || '').trim()) return;
+      batch.update(doc.ref, { embeddingStatus: 'pending' });
+      pending += 1;
+    });
+
+    if (pending > 0 && !DRY_RUN) await batch.commit();
+    scanned += snapshot.size;
+    queued += pending;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Scanned ${scanned} pages, ${DRY_RUN ? 'would queue' : 'queued'} ${queued}`);
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('❌ Requeue failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,41 @@
+// functions/searchLibrary.js
+// Callable behind the header search palette: books, chapters, pages and albums.
+
+const { onCall, HttpsError } = require('firebase-functions/v2/https');
+const logger = require('firebase-functions/logger');
+const admin = require('firebase-admin');
+
+const { searchLibrary } = require('./services/librarySearchService');
+
+const db = admin.firestore();
+
+/**
+ * Search everything the caller can read. `limit` caps each result group.
+ * Called from AppHeader.jsx via httpsCallable(functions, 'searchLibrary')
+ */
+exports.searchLibrary = onCall(
+    { region: 'us-central1', cors: true },
+    async (request) => {
+        const { data, auth } = request;
+
+        if (!auth) {
+            throw new HttpsError('unauthenticated', 'User must be authenticated to search.');
+        }
+
+        const { query, limit } = data || {};
+        if (typeof query !== 'string' || !query.trim()) {
+            throw new HttpsError('invalid-argument', 'Search query is required.');
+        }
+
+        try {
+            const results = await searchLibrary(db, { userId: auth.uid, query, limit });
+            return { success: true, ...results };
+        } catch (error) {
+            logger.error('❌ Error searching library:', error);
+            if (error instanceof HttpsError) {
+                throw error;
+            }
+            throw new HttpsError('internal', `Search failed: ${error.message}`);
+        }
+    }
+);
@@ -0,0 +1,392 @@
+const crypto = require('crypto');
+const { FieldValue } = require('firebase-admin/firestore');
+const { prefixTerms } = require('./searchIndexService');
+
+const ALBUMS_COLLECTION = 'albums';
+const ALBUM_MEDIA_SUBCOLLECTION = 'media';
+const MIGRATION_BATCH_SIZE = 400;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * @typedef {Object} AlbumMediaDoc
+ * Stored at `albums/{albumId}/media/{mediaId}`, one doc per asset. Albums used
+ * to keep these in `images` / `videos` arrays on the album doc, which hit the
+ * 1 MiB document limit on large albums; `scripts/migrate-album-media.js` (and
+ * the first write to a legacy album) moves them here. Only Cloud Functions write.
+ * @property {string|null} storagePath
+ * @property {string} url
+ * @property {string} name
+ * @property {string[]} captionTerms Caption (or name) terms and their prefixes, for searchLibrary
+ * @property {'image'|'video'} type
+ * @property {string} uploadedAt ISO timestamp; the album view pages on it
+ * @property {Array<{bookId: string, chapterId: string, pageId: string}>} usedIn Pages the asset is attached to
+ * @property {number} [width] As displayed (images and videos)
+ * @property {number} [height]
+ * @property {Object<string, import('./mediaRenditionService').MediaRendition>} [renditions] Images: WebP sizes keyed
+ *   thumb/medium/large; videos: JPEG `poster` and H.264 MP4 `web`, see videoProcessingService
+ * @property {number} [durationSeconds] Videos only
+ * @property {number} [renditionBytes] Storage billed for the renditions
+ * @property {string} [capturedAt] Photos only: EXIF capture time (camera wall clock), see photoExifService
+ * @property {{ make: string|null, model: string|null }} [camera]
+ * @property {{ latitude: number, longitude: number }} [location] Only when the owner keeps photo locations
+ * @property {string} [contentHash] Images only: SHA-256 of the file, see mediaDuplicateService
+ * @property {string} [perceptualHash] Images only: 64-bit difference hash as hex
+ * @property {import('./mediaDuplicateService').DuplicateRef} [duplicateOf] Exact copy of an image the
+ *   same owner already pays for; its original bytes are not billed
+ */
+
+function albumRef(db, albumId) {
+  return db.collection(ALBUMS_COLLECTION).doc(albumId);
+}
+
+function albumMediaCollection(db, albumId) {
+  return albumRef(db, albumId).collection(ALBUM_MEDIA_SUBCOLLECTION);
+}
+
+/**
+ * Doc id for an asset: a hash of its storage path (or URL for legacy items
+ * without one), so writers find the doc for a path without a query.
+ */
+function albumMediaId(storagePathOrUrl) {
+  return crypto.createHash('sha1').update(String(storagePathOrUrl)).digest('hex');
+}
+
+const mediaCaptionTerms = (item) => prefixTerms(item.caption || item.name);
+
+function albumMediaRef(db, albumId, storagePath) {
+  return albumMediaCollection(db, albumId).doc(albumMediaId(storagePath));
+}
+
+const usageKey = (usage) => `${usage.bookId}/${usage.chapterId}/${usage.pageId}`;
+
+function hasLegacyMediaArrays(albumData) {
+  return Array.isArray(albumData?.images) || Array.isArray(albumData?.videos);
+}
+
+/**
+ * Media docs for the legacy `images` / `videos` arrays of an album, keyed by
+ * doc id. String items (bare URLs) become `{ url }` docs; duplicates keep the
+ * first occurrence. Items without `uploadedAt` get one near the epoch that
+ * keeps their array order.
+ * @returns {Map<string, AlbumMediaDoc>}
+ */
+function toAlbumMediaDocs(albumData = {}) {
+  const docs = new Map();
+  let position = 0;
+  const add = (item, type) => {
+    const entry = typeof item === 'string' ? { url: item } : (item || {});
+    const key = entry.storagePath || entry.url;
+    position += 1;
+    if (!key || docs.has(albumMediaId(key))) return;
+    const doc = {
+      ...entry,
+      storagePath: entry.storagePath || null,
+      url: entry.url || '',
+      name: entry.name || String(entry.storagePath || entry.url).split('/').pop().split('?')[0],
+      type,
+      uploadedAt: entry.uploadedAt || new Date(position).toISOString(),
+      usedIn: Array.isArray(entry.usedIn) ? entry.usedIn : [],
+    };
+    docs.set(albumMediaId(key), { ...doc, captionTerms: mediaCaptionTerms(doc) });
+  };
+  (albumData.images || []).forEach((item) => add(item, 'image'));
+  (albumData.videos || []).forEach((item) => add(item, 'video'));
+  return docs;
+}
+
+/**
+ * Move an album's legacy `images` / `videos` arrays into the media
+ * subcollection, then drop the arrays and recount `mediaCount`. Docs that
+ * already exist are left alone, so re-running it (or racing a trigger) is safe.
+ * @returns {Promise<{ migrated: number, mediaCount: number|null }>} mediaCount is null when there was nothing to move
+ */
+async function migrateAlbumMedia(db, albumId, { dryRun = false } = {}) {
+  const ref = albumRef(db, albumId);
+  const snapshot = await ref.get();
+  const data = snapshot.exists ? snapshot.data() || {} : {};
+  if (!hasLegacyMediaArrays(data)) {
+    return { migrated: 0, mediaCount: null };
+  }
+
+  const docs = [...toAlbumMediaDocs(data).entries()];
+  const collection = albumMediaCollection(db, albumId);
+  let migrated = 0;
+  for (let i = 0; i < docs.length; i += MIGRATION_BATCH_SIZE) {
+    const chunk = docs.slice(i, i + MIGRATION_BATCH_SIZE);
+    const existing = await db.getAll(...chunk.map(([id]) => collection.doc(id)));
+    const missing = chunk.filter((_, index) => !existing[index].exists);
+    migrated += missing.length;
+    if (dryRun || !missing.length) continue;
+    const batch = db.batch();
+    missing.forEach(([id, doc]) => batch.set(collection.doc(id), doc));
+    await batch.commit();
+  }
+  if (dryRun) {
+    return { migrated, mediaCount: docs.length };
+  }
+
+  const countSnap = await collection.count().get();
+  const mediaCount = countSnap.data().count;
+  await ref.update({
+    images: FieldValue.delete(),
+    videos: FieldValue.delete(),
+    mediaCount,
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+  return { migrated, mediaCount };
+}
+
+/**
+ * Run the migration first when the album doc still has media arrays. Writers
+ * call this so legacy albums keep working before the migration script ran.
+ */
+async function ensureAlbumMediaMigrated(db, albumId, albumData) {
+  if (albumData && !hasLegacyMediaArrays(albumData)) return;
+  await migrateAlbumMedia(db, albumId);
+}
+
+async function getAlbumMedia(db, albumId, storagePath) {
+  const snapshot = await albumMediaRef(db, albumId, storagePath).get();
+  return snapshot.exists ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * Oldest image of an album other than `excludeId`, the cover fallback.
+ * @returns {Promise<{ coverImage: string|null, coverRenditions: Object|null }>}
+ */
+async function findCoverCandidate(db, albumId, excludeId) {
+  const snapshot = await albumMediaCollection(db, albumId)
+    .where('type', '==', 'image')
+    .orderBy('uploadedAt')
+    .limit(2)
+    .get();
+  const next = snapshot.docs.find((doc) => doc.id !== excludeId)?.data();
+  return { coverImage: next?.url || null, coverRenditions: next?.renditions || null };
+}
+
+/**
+ * Add an uploaded asset to its album, or refresh the URL and name of one that
+ * is already there (its `usedIn` and `uploadedAt` are kept). Only the media
+ * doc is read in the transaction and `mediaCount` is incremented, so
+ * concurrent uploads to one album do not contend on the album doc. The first
+ * image becomes the cover when the album has none; the album keeps a copy of
+ * the cover's renditions in `coverRenditions`.
+ * @param {Object} media
+ * @param {string} media.storagePath
+ * @param {string} media.url
+ * @param {'image'|'video'} media.type
+ * @param {string} [media.name]
+ * @param {Array} [media.usedIn] Initial page refs for new assets
+ * @param {number} [media.width]
+ * @param {number} [media.height]
+ * @param {Object} [media.renditions]
+ * @param {number} [media.renditionBytes]
+ * @param {string} [media.capturedAt]
+ * @param {Object} [media.camera]
+ * @param {Object} [media.location]
+ * @returns {Promise<{ item: AlbumMediaDoc, isNew: boolean, mediaCount: number, coverImage: string|null, coverRenditions: Object|null }>}
+ */
+async function upsertAlbumMedia(db, albumId, { storagePath, url, type, name, usedIn = [], ...details }) {
+  const ref = albumRef(db, albumId);
+  const albumSnap = await ref.get();
+  if (!albumSnap.exists) {
+    throw new Error(`Album ${albumId} does not exist`);
+  }
+  await ensureAlbumMediaMigrated(db, albumId, albumSnap.data() || {});
+
+  const mediaRef = albumMediaRef(db, albumId, storagePath);
+  const { item, isNew } = await db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(mediaRef);
+    const existing = snapshot.exists ? snapshot.data() || {} : null;
+    const next = {
+      ...(existing || {}),
+      ...details,
+      storagePath,
+      url,
+      name: name || storagePath.split('/').pop(),
+      type,
+      uploadedAt: existing?.uploadedAt || new Date().toISOString(),
+      usedIn: existing ? (existing.usedIn || []) : usedIn,
+    };
+    next.captionTerms = mediaCaptionTerms(next);
+    tx.set(mediaRef, next);
+    tx.update(ref, {
+      ...(existing ? {} : { mediaCount: FieldValue.increment(1) }),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { item: next, isNew: !existing };
+  });
+
+  let coverImage = null;
+  let coverRenditions = null;
+  let mediaCount = 0;
+  await db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    const data = snapshot.data() || {};
+    coverImage = data.coverImage || null;
+    coverRenditions = data.coverRenditions || null;
+    mediaCount = data.mediaCount || 0;
+    if (type === 'image' && (!coverImage || coverImage === url)) {
+      coverImage = url;
+      coverRenditions = item.renditions || null;
+      tx.update(ref, { coverImage, coverRenditions });
+    }
+  });
+  return { item, isNew, mediaCount, coverImage, coverRenditions };
+}
+
+/**
+ * Remove an asset from its album and decrement `mediaCount`. When it was the
+ * cover, the oldest remaining image takes over.
+ * @returns {Promise<{ item: AlbumMediaDoc, mediaCount: number, coverImage: string|null, coverRenditions: Object|null }|null>} null when the album or asset is not there
+ */
+async function removeAlbumMedia(db, albumId, storagePath) {
+  const ref = albumRef(db, albumId);
+  const albumSnap = await ref.get();
+  if (!albumSnap.exists) return null;
+  await ensureAlbumMediaMigrated(db, albumId, albumSnap.data() || {});
+
+  const mediaRef = albumMediaRef(db, albumId, storagePath);
+  const item = await db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(mediaRef);
+    if (!snapshot.exists) return null;
+    tx.delete(mediaRef);
+    tx.update(ref, {
+      mediaCount: FieldValue.increment(-1),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return snapshot.data() || {};
+  });
+  if (!item) return null;
+
+  const after = (await ref.get()).data() || {};
+  let cover = { coverImage: after.coverImage || null, coverRenditions: after.coverRenditions || null };
+  if (item.url && cover.coverImage === item.url) {
+    cover = await findCoverCandidate(db, albumId, mediaRef.id);
+    await ref.update(cover);
+  }
+  return { item, mediaCount: Math.max(0, after.mediaCount || 0), ...cover };
+}
+
+/**
+ * Forget the renditions of an asset (and of the album cover, when it is that
+ * asset) after their files were deleted.
+ * @returns {Promise<AlbumMediaDoc|null>} The item as it was, null when missing
+ */
+async function clearAlbumMediaRenditions(db, albumId, storagePath) {
+  const ref = albumRef(db, albumId);
+  const mediaRef = albumMediaRef(db, albumId, storagePath);
+  return db.runTransaction(async (tx) => {
+    const [albumSnap, snapshot] = await Promise.all([tx.get(ref), tx.get(mediaRef)]);
+    if (!snapshot.exists) return null;
+    const item = snapshot.data() || {};
+    tx.update(mediaRef, { renditions: FieldValue.delete(), renditionBytes: FieldValue.delete() });
+    if (albumSnap.exists && item.url && albumSnap.data()?.coverImage === item.url) {
+      tx.update(ref, { coverRenditions: null });
+    }
+    return item;
+  });
+}
+
+async function updateMediaUsage(db, albumId, storagePath, change) {
+  const albumSnap = await albumRef(db, albumId).get();
+  if (!albumSnap.exists) return null;
+  await ensureAlbumMediaMigrated(db, albumId, albumSnap.data() || {});
+
+  const mediaRef = albumMediaRef(db, albumId, storagePath);
+  return db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(mediaRef);
+    if (!snapshot.exists) return null;
+    const current = snapshot.data().usedIn || [];
+    const next = change(current);
+    if (next !== current) {
+      tx.update(mediaRef, { usedIn: next });
+    }
+    return next;
+  });
+}
+
+/**
+ * Record that a page uses an asset. Idempotent.
+ * @returns {Promise<Array|null>} The asset's `usedIn`, null when it is not in the album
+ */
+function addMediaUsage(db, albumId, storagePath, usage) {
+  const ref = { bookId: usage.bookId, chapterId: usage.chapterId, pageId: usage.pageId };
+  return updateMediaUsage(db, albumId, storagePath, (usedIn) => (
+    usedIn.some((item) => usageKey(item) === usageKey(ref)) ? usedIn : [...usedIn, ref]
+  ));
+}
+
+/**
+ * Drop a page from an asset's `usedIn`. Idempotent.
+ * @returns {Promise<Array|null>} The asset's `usedIn`, null when it is not in the album
+ */
+function removeMediaUsage(db, albumId, storagePath, usage) {
+  return updateMediaUsage(db, albumId, storagePath, (usedIn) => {
+    const next = usedIn.filter((item) => usageKey(item) !== usageKey(usage));
+    return next.length === usedIn.length ? usedIn : next;
+  });
+}
+
+/**
+ * A page of an album's media, oldest first unless `direction` is 'desc'.
+ * Pass the returned `cursor` back as `startAfter` for the next page.
+ * @returns {Promise<{ items: Array<AlbumMediaDoc & {id: string}>, cursor: string|null }>}
+ */
+async function listAlbumMedia(db, albumId, { limit = DEFAULT_PAGE_SIZE, startAfter = null, direction = 'asc' } = {}) {
+  const size = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let query = albumMediaCollection(db, albumId).orderBy('uploadedAt', direction).limit(size);
+  if (startAfter) {
+    const cursorSnap = await albumMediaCollection(db, albumId).doc(startAfter).get();
+    if (cursorSnap.exists) query = query.startAfter(cursorSnap);
+  }
+  const snapshot = await query.get();
+  const items = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return {
+    items,
+    cursor: items.length === size ? items[items.length - 1].id : null,
+  };
+}
+
+/**
+ * Every media doc of an album, read page by page; for server-side jobs
+ * (album deletion, backups, storage measurement). Pass the album data to
+ * include items still in legacy arrays.
+ */
+async function listAllAlbumMedia(db, albumId, albumData = null) {
+  const items = [];
+  let startAfter = null;
+  do {
+    const page = await listAlbumMedia(db, albumId, { limit: MAX_PAGE_SIZE, startAfter });
+    items.push(...page.items);
+    startAfter = page.cursor;
+  } while (startAfter);
+
+  if (hasLegacyMediaArrays(albumData)) {
+    const seen = new Set(items.map((item) => item.id));
+    toAlbumMediaDocs(albumData).forEach((doc, id) => {
+      if (!seen.has(id)) items.push({ id, ...doc });
+    });
+  }
+  return items;
+}
+
+module.exports = {
+  ALBUM_MEDIA_SUBCOLLECTION,
+  albumMediaId,
+  albumMediaCollection,
+  mediaCaptionTerms,
+  toAlbumMediaDocs,
+  hasLegacyMediaArrays,
+  migrateAlbumMedia,
+  ensureAlbumMediaMigrated,
+  getAlbumMedia,
+  upsertAlbumMedia,
+  removeAlbumMedia,
+  clearAlbumMediaRenditions,
+  addMediaUsage,
+  removeMediaUsage,
+  listAlbumMedia,
+  listAllAlbumMedia,
+};
@@ -0,0 +1,652 @@
+const { randomUUID } = require('crypto');
+const path = require('path');
+const JSZip = require('jszip');
+const admin = require('firebase-admin');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { IDGenerator } = require('../utils/idGenerator');
+const { addStorageUsage, assertAndIncrementCounter, resolveUserPlanLimits } = require('../utils/limits');
+const { storagePathFromUrl, buildDownloadUrl } = require('./bookExportService');
+const { albumMediaCollection, listAllAlbumMedia, toAlbumMediaDocs } = require('./albumMediaService');
+
+const BACKUP_FORMAT = 'airabook-book-backup';
+const BACKUP_VERSION = 1;
+const MANIFEST_FILE = 'manifest.json';
+
+// Archives are assembled in memory, so keep them well inside the function's RAM.
+const MAX_BACKUP_MEDIA_BYTES = 400 * 1024 * 1024;
+const MAX_BACKUP_ARCHIVE_BYTES = 512 * 1024 * 1024;
+const MAX_MANIFEST_BYTES = 50 * 1024 * 1024;
+const FIRESTORE_BATCH_LIMIT = 450;
+
+const STORAGE_URL_PATTERN = /https?:\/\/[^\s"'<>()]+?\/o\/([^?\s"'<>()]+)(\?[^\s"'<>()]*)?/g;
+
+// Book fields that describe who can access the source copy; a restored book
+// always starts private and owned solely by the importer.
+const SOURCE_ONLY_BOOK_FIELDS = ['id', 'ownerId', 'members', 'memberPermissions', 'isPublic', 'createdAt', 'updatedAt'];
+
+/**
+ * Convert Firestore values into plain JSON. Timestamps are tagged so the
+ * import can turn them back into Timestamps.
+ */
+function toArchiveValue(value) {
+  if (value === null || value === undefined) return value ?? null;
+  if (value instanceof Timestamp || value instanceof Date) {
+    const date = value instanceof Date ? value : value.toDate();
+    return { __type: 'timestamp', value: date.toISOString() };
+  }
+  if (Array.isArray(value)) return value.map(toArchiveValue);
+  if (typeof value === 'object') {
+    if (typeof value.toDate === 'function') {
+      return { __type: 'timestamp', value: value.toDate().toISOString() };
+    }
+    // Vector values and document references are not portable between projects.
+    if (value.constructor && value.constructor.name !== 'Object') return null;
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, toArchiveValue(inner)]));
+  }
+  return value;
+}
+
+function fromArchiveValue(value) {
+  if (Array.isArray(value)) return value.map(fromArchiveValue);
+  if (value && typeof value === 'object') {
+    if (value.__type === 'timestamp') {
+      const date = new Date(value.value);
+      return Number.isNaN(date.getTime()) ? null : Timestamp.fromDate(date);
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) => [key, fromArchiveValue(inner)]));
+  }
+  return value;
+}
+
+/**
+ * Storage objects a book may carry into a backup: its page and album media,
+ * its album cover and the owner's uploaded book covers. Anything else a page
+ * happens to link to stays a plain URL.
+ */
+function isBackupStoragePath(storagePath, { ownerId, bookId }) {
+  if (!storagePath || !ownerId) return false;
+  const parts = storagePath.split('/');
+  if (parts[0] !== ownerId) return false;
+  return parts[1] === bookId ||
+    (parts[1] === 'albums' && parts[2] === bookId) ||
+    parts[1] === 'covers';
+}
+
+/**
+ * Walk a document tree and collect every Storage object it references,
+ * either through a `storagePath` field or a Firebase download URL.
+ */
+function collectStoragePaths(value, found = new Set()) {
+  if (typeof value === 'string') {
+    for (const match of value.matchAll(STORAGE_URL_PATTERN)) {
+      const storagePath = storagePathFromUrl(match[0]);
+      if (storagePath) found.add(storagePath);
+    }
+  } else if (Array.isArray(value)) {
+    value.forEach((item) => collectStoragePaths(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, inner]) => {
+      if (key === 'storagePath' && typeof inner === 'string') {
+        found.add(inner);
+      } else {
+        collectStoragePaths(inner, found);
+      }
+    });
+  }
+  return found;
+}
+
+async function downloadStorageObject(storagePath) {
+  try {
+    const file = admin.storage().bucket().file(storagePath);
+    const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+    return { buffer, contentType: metadata?.contentType || 'application/octet-stream' };
+  } catch (error) {
+    console.warn('⚠️ Backup skipped media:', storagePath, error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * A book's album in the archive's shape: the album doc with its media docs
+ * folded back into `images` / `videos` arrays, so backups read the same
+ * before and after media moved to a subcollection. Image renditions are left
+ * out; the upload trigger makes them again for the restored files. So are
+ * duplicate links, since a restore bills every file it uploads.
+ * @returns {Promise<Object|null>}
+ */
+async function loadBackupAlbum(db, bookId) {
+  const albumSnap = await db.collection('albums').doc(bookId).get();
+  if (!albumSnap.exists) return null;
+  const { coverRenditions, ...album } = albumSnap.data() || {};
+  const items = await listAllAlbumMedia(db, bookId, album);
+  const strip = ({ id, type, renditions, renditionBytes, duplicateOf, ...item }) => item;
+  return {
+    ...album,
+    images: items.filter((item) => item.type === 'image').map(strip),
+    videos: items.filter((item) => item.type === 'video').map(strip),
+  };
+}
+
+/**
+ * Package a loaded book tree (see loadBookTree) and its album into a zip:
+ * `manifest.json` holds every document, `media/` holds the Storage objects
+ * they reference.
+ * @param {{ book: Object, chapters: Array<Object> }} tree
+ * @param {{ album?: Object|null, projectId?: string }} [options]
+ * @returns {Promise<{ buffer: Buffer, stats: Object }>}
+ */
+async function buildBookBackup({ book, chapters }, { album = null, projectId = null } = {}) {
+  const scope = { ownerId: book.ownerId, bookId: book.id };
+  const storagePaths = [...collectStoragePaths({ book, chapters, album })]
+    .filter((storagePath) => isBackupStoragePath(storagePath, scope));
+
+  const zip = new JSZip();
+  const media = [];
+  const stats = {
+    chapters: chapters.length,
+    pages: chapters.reduce((sum, chapter) => sum + (chapter.pages || []).length, 0),
+    media: 0,
+    missingMedia: 0,
+    mediaBytes: 0,
+  };
+
+  for (const storagePath of storagePaths) {
+    // eslint-disable-next-line no-await-in-loop
+    const loaded = await downloadStorageObject(storagePath);
+    if (!loaded) {
+      stats.missingMedia += 1;
+      continue;
+    }
+    stats.mediaBytes += loaded.buffer.length;
+    if (stats.mediaBytes > MAX_BACKUP_MEDIA_BYTES) {
+      throw new HttpsError(
+        'resource-exhausted',
+        `This book has more than ${Math.round(MAX_BACKUP_MEDIA_BYTES / (1024 * 1024))} MB of media and is too large to back up in one archive.`
+      );
+    }
+    const archivePath = `media/${media.length + 1}-${path.basename(storagePath)}`;
+    zip.file(archivePath, loaded.buffer, { compression: 'STORE' });
+    media.push({
+      archivePath,
+      storagePath,
+      contentType: loaded.contentType,
+      sizeBytes: loaded.buffer.length,
+    });
+    stats.media += 1;
+  }
+
+  const manifest = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      projectId,
+      bookId: book.id,
+      ownerId: book.ownerId || null,
+    },
+    book: toArchiveValue(book),
+    chapters: toArchiveValue(chapters),
+    album: album ? toArchiveValue(album) : null,
+    media,
+  };
+  zip.file(MANIFEST_FILE, JSON.stringify(manifest, null, 2));
+
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 6 },
+  });
+  return { buffer, stats };
+}
+
+/** Uncompressed size the archive's central directory records for an entry. */
+function archiveEntrySize(file) {
+  const size = Number(file?._data?.uncompressedSize);
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw new HttpsError('invalid-argument', `The backup entry ${file?.name} has no readable size.`);
+  }
+  return size;
+}
+
+/**
+ * Inflate one archive entry, giving up as soon as it grows past `maxBytes`
+ * so a forged size in the zip headers cannot exhaust memory.
+ * @returns {Promise<Buffer>}
+ */
+function readArchiveEntry(file, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let total = 0;
+    const stream = file.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        total += chunk.length;
+        if (total > maxBytes) {
+          stream.pause();
+          reject(new HttpsError('invalid-argument', `The backup entry ${file.name} is larger than its archive says.`));
+          return;
+        }
+        chunks.push(chunk);
+      })
+      .on('error', (error) => reject(new HttpsError('invalid-argument', `The backup entry ${file.name} is damaged: ${error.message}`)))
+      .on('end', () => resolve(Buffer.concat(chunks, total)))
+      .resume();
+  });
+}
+
+async function readBackupArchive(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (error) {
+    throw new HttpsError('invalid-argument', 'The file is not a valid book backup archive.');
+  }
+
+  const manifestFile = zip.file(MANIFEST_FILE);
+  if (!manifestFile) {
+    throw new HttpsError('invalid-argument', 'The backup archive has no manifest.');
+  }
+
+  if (archiveEntrySize(manifestFile) > MAX_MANIFEST_BYTES) {
+    throw new HttpsError('invalid-argument', 'The backup manifest is too large.');
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse((await readArchiveEntry(manifestFile, MAX_MANIFEST_BYTES)).toString('utf8'));
+  } catch (error) {
+    if (error instanceof HttpsError) throw error;
+    throw new HttpsError('invalid-argument', 'The backup manifest is not valid JSON.');
+  }
+
+  if (manifest?.format !== BACKUP_FORMAT) {
+    throw new HttpsError('invalid-argument', 'The file is not an Airabook book backup.');
+  }
+  if (!Number.isInteger(manifest.version) || manifest.version > BACKUP_VERSION) {
+    throw new HttpsError('failed-precondition', `Backup version ${manifest.version} is not supported by this server.`);
+  }
+  if (!manifest.book || !Array.isArray(manifest.chapters)) {
+    throw new HttpsError('invalid-argument', 'The backup manifest is missing book data.');
+  }
+
+  return { zip, manifest };
+}
+
+/**
+ * Map a source Storage path onto the importer's root, following the same
+ * layouts the client uploads to.
+ */
+function remapStoragePath(storagePath, { uid, sourceBookId, bookId, chapterIds, pageIds }) {
+  const parts = storagePath.split('/');
+  const rest = parts.slice(1);
+
+  if (rest[0] === sourceBookId && rest[3] === 'media') {
+    const chapterId = chapterIds.get(rest[1]) || rest[1];
+    const pageId = pageIds.get(rest[2]) || rest[2];
+    return [uid, bookId, chapterId, pageId, ...rest.slice(3)].join('/');
+  }
+  if (rest[0] === 'albums' && rest[1] === sourceBookId) {
+    return [uid, 'albums', bookId, ...rest.slice(2)].join('/');
+  }
+  if (rest[0] === 'covers') {
+    return [uid, 'covers', `restored_${bookId}_${rest.slice(1).join('_')}`].join('/');
+  }
+  return null;
+}
+
+/**
+ * Rewrite a restored document: Storage paths and download URLs point at the
+ * re-uploaded copies, and book/chapter/page ids at the fresh ones.
+ */
+function rewriteReferences(value, refs, key = null) {
+  if (typeof value === 'string') {
+    if (key === 'storagePath') return refs.storagePaths.get(value)?.storagePath || value;
+    if (key === 'bookId' && value === refs.sourceBookId) return refs.bookId;
+    if (key === 'chapterId') return refs.chapterIds.get(value) || value;
+    if (key === 'pageId') return refs.pageIds.get(value) || value;
+    return value.replace(STORAGE_URL_PATTERN, (url) => {
+      const target = refs.storagePaths.get(storagePathFromUrl(url));
+      return target ? target.url : url;
+    });
+  }
+  if (Array.isArray(value)) return value.map((item) => rewriteReferences(item, refs));
+  if (value && typeof value === 'object' && !(value instanceof Timestamp)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([innerKey, inner]) => [innerKey, rewriteReferences(inner, refs, innerKey)])
+    );
+  }
+  return value;
+}
+
+async function resolveRestoredTitle(db, uid, title) {
+  const base = String(title || 'Untitled Book').trim().slice(0, 50) || 'Untitled Book';
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const suffix = attempt === 0 ? '' : attempt === 1 ? ' (restored)' : ` (restored ${attempt})`;
+    const candidate = `${base.slice(0, 50 - suffix.length)}${suffix}`;
+    // eslint-disable-next-line no-await-in-loop
+    const dupSnap = await db.collection('books')
+      .where('ownerId', '==', uid)
+      .where('titleLower', '==', candidate.toLowerCase())
+      .limit(1)
+      .get();
+    if (dupSnap.empty) return candidate;
+  }
+  throw new HttpsError('already-exists', 'You already have books with this title. Rename one and try again.');
+}
+
+function assertWithinPlan({ tier, limits }, chapters) {
+  if (tier === 'god') return;
+  const chapterLimit = Number(limits?.chaptersPerBook);
+  if (Number.isFinite(chapterLimit) && chapterLimit > 0 && chapters.length > chapterLimit) {
+    throw new HttpsError(
+      'resource-exhausted',
+      `This backup has ${chapters.length} chapters; your plan allows up to ${chapterLimit} per book.`
+    );
+  }
+  const pageLimit = Number(limits?.pagesPerChapter);
+  const largest = Math.max(0, ...chapters.map((chapter) => (chapter.pages || []).length));
+  if (Number.isFinite(pageLimit) && pageLimit > 0 && largest > pageLimit) {
+    throw new HttpsError(
+      'resource-exhausted',
+      `This backup has a chapter with ${largest} pages; your plan allows up to ${pageLimit} per chapter.`
+    );
+  }
+}
+
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    writes.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach(({ ref, data }) => batch.set(ref, data));
+    // eslint-disable-next-line no-await-in-loop
+    await batch.commit();
+  }
+}
+
+async function deleteInBatches(db, refs) {
+  for (let i = 0; i < refs.length; i += FIRESTORE_BATCH_LIMIT) {
+    const batch = db.batch();
+    refs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((ref) => batch.delete(ref));
+    // eslint-disable-next-line no-await-in-loop
+    await batch.commit();
+  }
+}
+
+/**
+ * Recreate a backed-up book under `uid` with fresh ids.
+ *
+ * Quota is reserved up front (book, pages, storage bytes as the archive's
+ * own directory records them, never the manifest's claims). Media is
+ * uploaded with `quotaCounted` so onMediaUpload does not count it twice,
+ * and the album and its media docs are written before the uploads so the
+ * trigger finds each item and keeps its `usedIn` references. The book document is written
+ * last, so a failed restore never shows up in the library.
+ *
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ uid: string, buffer: Buffer }} params
+ */
+async function restoreBookBackup(db, { uid, buffer }) {
+  const { zip, manifest } = await readBackupArchive(buffer);
+  const sourceBook = manifest.book;
+  const sourceChapters = manifest.chapters;
+  const sourceBookId = sourceBook.id || manifest.source?.bookId;
+
+  const plan = await resolveUserPlanLimits(db, uid);
+  if (!plan.userExists) {
+    throw new HttpsError('not-found', 'User profile not found.');
+  }
+  assertWithinPlan(plan, sourceChapters);
+
+  const title = await resolveRestoredTitle(db, uid, sourceBook.babyName || sourceBook.title);
+  const bookId = IDGenerator.generateId('book');
+  const chapterIds = new Map(sourceChapters.map((chapter) => [chapter.id, IDGenerator.generateId('chapter')]));
+  const pageIds = new Map();
+  sourceChapters.forEach((chapter) => {
+    (chapter.pages || []).forEach((page) => pageIds.set(page.id, IDGenerator.generateId('page')));
+  });
+
+  const bucket = admin.storage().bucket();
+  const idRefs = { uid, sourceBookId, bookId, chapterIds, pageIds };
+  const storagePaths = new Map();
+  const mediaEntries = (Array.isArray(manifest.media) ? manifest.media : [])
+    .map((entry) => ({ ...entry, file: entry?.archivePath ? zip.file(entry.archivePath) : null }))
+    .filter((entry) => entry.file && entry.storagePath);
+
+  mediaEntries.forEach((entry) => {
+    const targetPath = remapStoragePath(entry.storagePath, idRefs);
+    if (!targetPath) return;
+    const token = randomUUID();
+    entry.targetPath = targetPath;
+    entry.token = token;
+    storagePaths.set(entry.storagePath, {
+      storagePath: targetPath,
+      url: buildDownloadUrl(bucket.name, targetPath, token),
+    });
+  });
+
+  // Bill what the archive holds, not what the manifest claims about itself
+  const uploads = mediaEntries.filter((entry) => entry.targetPath);
+  uploads.forEach((entry) => {
+    entry.sizeBytes = archiveEntrySize(entry.file);
+  });
+  let mediaBytes = uploads.reduce((sum, entry) => sum + entry.sizeBytes, 0);
+  if (mediaBytes > MAX_BACKUP_MEDIA_BYTES) {
+    throw new HttpsError(
+      'invalid-argument',
+      `This backup has more than ${Math.round(MAX_BACKUP_MEDIA_BYTES / (1024 * 1024))} MB of media and is too large to restore.`
+    );
+  }
+  const pageCount = pageIds.size;
+  const refs = { ...idRefs, storagePaths };
+
+  const reserved = { book: false, pages: 0, storageBytes: 0 };
+  const uploaded = [];
+  const writtenRefs = [];
+  const bookRef = db.collection('books').doc(bookId);
+  const albumRef = db.collection('albums').doc(bookId);
+
+  try {
+    await assertAndIncrementCounter(db, uid, 'books', 1, undefined, 'You have reached your book limit for this plan.');
+    reserved.book = true;
+    if (pageCount > 0) {
+      await assertAndIncrementCounter(db, uid, 'pages', pageCount, undefined, 'This backup has more pages than your plan allows.');
+      reserved.pages = pageCount;
+    }
+    if (mediaBytes > 0) {
+      await addStorageUsage(db, uid, mediaBytes);
+      reserved.storageBytes = mediaBytes;
+    }
+
+    const album = manifest.album ? rewriteReferences(fromArchiveValue(manifest.album), refs) : {};
+    const restrictUsage = (items) => (Array.isArray(items) ? items : []).map((item) => (
+      item && typeof item === 'object'
+        ? { ...item, usedIn: (item.usedIn || []).filter((usage) => usage?.bookId === bookId) }
+        : item
+    ));
+    const albumMedia = toAlbumMediaDocs({
+      images: restrictUsage(album.images),
+      videos: restrictUsage(album.videos),
+    });
+    const albumCover = album.coverImage || null;
+    await albumRef.set({
+      name: title,
+      type: 'book',
+      bookId,
+      coverImage: albumCover,
+      accessPermission: {
+        ownerId: uid,
+        accessType: 'private',
+        sharedWith: [],
+      },
+      mediaCount: albumMedia.size,
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    writtenRefs.push(albumRef);
+    const mediaWrites = [...albumMedia.entries()].map(([id, data]) => ({
+      ref: albumMediaCollection(db, bookId).doc(id),
+      data,
+    }));
+    await commitInBatches(db, mediaWrites);
+    writtenRefs.push(...mediaWrites.map((write) => write.ref));
+
+    for (const entry of uploads) {
+      // eslint-disable-next-line no-await-in-loop
+      const data = await readArchiveEntry(entry.file, entry.sizeBytes);
+      // eslint-disable-next-line no-await-in-loop
+      await bucket.file(entry.targetPath).save(data, {
+        contentType: entry.contentType,
+        metadata: {
+          contentType: entry.contentType,
+          metadata: {
+            firebaseStorageDownloadTokens: entry.token,
+            quotaCounted: 'true',
+          },
+        },
+        resumable: false,
+      });
+      entry.uploadedBytes = data.length;
+      uploaded.push(entry);
+    }
+
+    // Entries that inflated smaller than their headers said are billed as stored
+    const uploadedBytes = uploaded.reduce((sum, entry) => sum + entry.uploadedBytes, 0);
+    if (uploadedBytes < mediaBytes) {
+      await addStorageUsage(db, uid, uploadedBytes - mediaBytes);
+      reserved.storageBytes = uploadedBytes;
+      mediaBytes = uploadedBytes;
+    }
+
+    const chapterWrites = [];
+    const pageWrites = [];
+    sourceChapters.forEach((sourceChapter) => {
+      const { id: sourceChapterId, pages = [], ...chapterData } = rewriteReferences(fromArchiveValue(sourceChapter), refs);
+      const chapterId = chapterIds.get(sourceChapterId);
+      const chapterRef = bookRef.collection('chapters').doc(chapterId);
+      chapterWrites.push({
+        ref: chapterRef,
+        data: {
+          ...chapterData,
+          ownerId: uid,
+          createdAt: chapterData.createdAt || FieldValue.serverTimestamp(),
+          updatedAt: FieldValue.serverTimestamp(),
+        },
+      });
+      pages.forEach(({ id: sourcePageId, ...pageData }) => {
+        pageWrites.push({
+          ref: chapterRef.collection('pages').doc(pageIds.get(sourcePageId)),
+          data: {
+            ...pageData,
+            // Embeddings are recomputed by syncPageDerivedData.
+            embeddings: null,
+            embeddingModel: null,
+            embeddingStatus: pageData.plainText ? 'pending' : 'ready',
+            createdBy: uid,
+            bookId,
+            chapterId,
+            createdAt: pageData.createdAt || FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp(),
+          },
+        });
+      });
+    });
+
+    await commitInBatches(db, chapterWrites);
+    writtenRefs.push(...chapterWrites.map((write) => write.ref));
+    await commitInBatches(db, pageWrites);
+    writtenRefs.push(...pageWrites.map((write) => write.ref));
+
+    const bookData = rewriteReferences(fromArchiveValue(sourceBook), refs);
+    SOURCE_ONLY_BOOK_FIELDS.forEach((field) => delete bookData[field]);
+    const coverImage = bookData.coverImageUrl || albumCover || null;
+
+    const finalBatch = db.batch();
+    finalBatch.set(bookRef, {
+      ...bookData,
+      babyName: title,
+      titleLower: title.toLowerCase(),
+      ownerId: uid,
+      members: { [uid]: 'Owner' },
+      memberPermissions: {},
+      isPublic: false,
+      chapterCount: chapterWrites.length,
+      restoredFrom: {
+        bookId: sourceBookId || null,
+        projectId: manifest.source?.projectId || null,
+        exportedAt: manifest.exportedAt || null,
+      },
+      createdAt: FieldValue.serverTimestamp(),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    finalBatch.set(db.collection('users').doc(uid), {
+      accessibleBookIds: FieldValue.arrayUnion({ bookId, title, coverImage }),
+      accessibleAlbums: FieldValue.arrayUnion({
+        id: bookId,
+        coverImage: albumCover,
+        type: 'book',
+        name: title,
+        mediaCount: albumMedia.size,
+        updatedAt: new Date(),
+      }),
+      updatedAt: FieldValue.serverTimestamp(),
+    }, { merge: true });
+    await finalBatch.commit();
+
+    return {
+      bookId,
+      title,
+      stats: {
+        chapters: chapterWrites.length,
+        pages: pageWrites.length,
+        media: uploaded.length,
+        mediaBytes,
+      },
+    };
+  } catch (error) {
+    await rollbackRestore(db, { uid, reserved, uploaded, writtenRefs });
+    throw error;
+  }
+}
+
+/**
+ * Best-effort undo of a partial restore. Documents go first: onPageDeleted
+ * releases the page counter for pages already written, and with the album
+ * gone onMediaDelete has nothing to reconcile, so storage bytes are
+ * released here.
+ */
+async function rollbackRestore(db, { uid, reserved, uploaded, writtenRefs }) {
+  const bucket = admin.storage().bucket();
+  const writtenPages = writtenRefs.filter((ref) => ref.parent?.id === 'pages').length;
+
+  try {
+    // Deepest first so onChapterDeleted finds no pages left to count.
+    const ordered = [...writtenRefs].sort((a, b) => b.path.split('/').length - a.path.split('/').length);
+    await deleteInBatches(db, ordered);
+  } catch (error) {
+    console.error('❌ Restore rollback could not delete documents:', error);
+  }
+
+  await Promise.all(uploaded.map((entry) => bucket.file(entry.targetPath).delete().catch((error) => {
+    console.warn('⚠️ Restore rollback could not delete media:', entry.targetPath, error?.message || error);
+  })));
+
+  const releases = [];
+  if (reserved.book) releases.push(assertAndIncrementCounter(db, uid, 'books', -1));
+  if (reserved.pages > writtenPages) releases.push(assertAndIncrementCounter(db, uid, 'pages', writtenPages - reserved.pages));
+  if (reserved.storageBytes > 0) releases.push(addStorageUsage(db, uid, -reserved.storageBytes));
+  const results = await Promise.allSettled(releases);
+  results
+    .filter((result) => result.status === 'rejected')
+    .forEach((result) => console.error('❌ Restore rollback could not release quota:', result.reason));
+}
+
+module.exports = {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  MAX_BACKUP_ARCHIVE_BYTES,
+  MAX_BACKUP_MEDIA_BYTES,
+  buildBookBackup,
+  loadBackupAlbum,
+  readBackupArchive,
+  restoreBookBackup,
+};
@@ -0,0 +1,314 @@
+const JSZip = require('jszip');
+const { htmlToBlocks, collectPageImages, loadImageBuffer, storagePathFromUrl } = require('./bookExportService');
+
+const EPUB_IMAGE_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/jpg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+};
+
+const TEMPLATE_NOTE_FIELDS = [
+  ['dadNotes', 'Dad'],
+  ['momNotes', 'Mom'],
+];
+
+const STYLESHEET = `body { font-family: serif; line-height: 1.5; margin: 0 5%; }
+h1, h2, h3 { font-family: sans-serif; text-align: center; }
+h1.chapter-title { margin: 2em 0 1.5em; }
+section.page { page-break-before: always; }
+section.page:first-of-type { page-break-before: auto; }
+p.page-date { text-align: center; color: #777; font-size: 0.85em; }
+p.note-label { font-weight: bold; margin-bottom: 0.2em; }
+figure { margin: 1em 0; text-align: center; }
+figure img { max-width: 100%; max-height: 80vh; }
+blockquote { font-style: italic; color: #555; }
+.title-page { text-align: center; margin-top: 30%; }
+`;
+
+function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function xhtmlDocument(title, body, language) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${escapeXml(language)}" lang="${escapeXml(language)}">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeXml(title)}</title>
+  <link rel="stylesheet" type="text/css" href="styles.css" />
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function blocksToXhtml(blocks = []) {
+  const out = [];
+  let inList = false;
+  blocks.forEach((block) => {
+    if (block.type === 'listItem' && !inList) {
+      out.push('<ul>');
+      inList = true;
+    }
+    if (block.type !== 'listItem' && inList) {
+      out.push('</ul>');
+      inList = false;
+    }
+    const text = escapeXml(block.text);
+    switch (block.type) {
+      case 'heading': {
+        // h1 is reserved for the chapter title.
+        const level = Math.min(6, Math.max(3, (block.level || 1) + 2));
+        out.push(`<h${level}>${text}</h${level}>`);
+        break;
+      }
+      case 'listItem':
+        out.push(`<li>${text}</li>`);
+        break;
+      case 'quote':
+        out.push(`<blockquote><p>${text}</p></blockquote>`);
+        break;
+      default:
+        out.push(`<p>${text}</p>`);
+    }
+  });
+  if (inList) out.push('</ul>');
+  return out.join('\n');
+}
+
+function formatTemplateDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+/**
+ * Collects image bytes once per storage object and hands out manifest
+ * entries, so a photo reused across pages is embedded a single time.
+ * Only the book's own Storage objects are read (see loadImageBuffer).
+ */
+function createImageRegistry(book, stats, bucket) {
+  const byKey = new Map();
+  const items = [];
+
+  return {
+    items,
+    async add(image, { cover = false } = {}) {
+      const key = image.storagePath || storagePathFromUrl(image.url) || image.url;
+      if (!key) return null;
+      if (byKey.has(key)) return byKey.get(key);
+
+      const loaded = await loadImageBuffer(image, book, bucket);
+      const mediaType = String(loaded?.contentType || '').toLowerCase();
+      const extension = EPUB_IMAGE_TYPES[mediaType];
+      if (!loaded || !extension) {
+        stats.skippedImages += 1;
+        byKey.set(key, null);
+        return null;
+      }
+
+      const id = cover ? 'cover-image' : `img-${items.length + 1}`;
+      const entry = {
+        id,
+        href: `images/${id}.${extension}`,
+        mediaType: mediaType === 'image/jpg' ? 'image/jpeg' : mediaType,
+        buffer: loaded.buffer,
+        cover,
+      };
+      items.push(entry);
+      byKey.set(key, entry);
+      if (!cover) stats.images += 1;
+      return entry;
+    },
+  };
+}
+
+async function renderPageSection(page, images, stats) {
+  const isTemplate = page.type === 'babyJournalPage';
+  const content = page.content || {};
+  const title = (isTemplate && content.title) || page.pageName || '';
+  const parts = [`<section class="page" id="page-${escapeXml(page.id)}">`];
+
+  if (title) parts.push(`<h2>${escapeXml(title)}</h2>`);
+  if (isTemplate && content.date) {
+    parts.push(`<p class="page-date">${escapeXml(formatTemplateDate(content.date))}</p>`);
+  }
+
+  for (const image of collectPageImages(page)) {
+    // eslint-disable-next-line no-await-in-loop
+    const entry = await images.add(image);
+    if (entry) {
+      parts.push(`<figure><img src="${entry.href}" alt="${escapeXml(image.name || title || 'Photo')}" /></figure>`);
+    }
+  }
+
+  if (isTemplate) {
+    TEMPLATE_NOTE_FIELDS.forEach(([field, label]) => {
+      const blocks = htmlToBlocks(content[field] || '');
+      if (!blocks.length) return;
+      parts.push(`<p class="note-label">${escapeXml(label)}</p>`);
+      parts.push(blocksToXhtml(blocks));
+    });
+  }
+
+  parts.push(blocksToXhtml(htmlToBlocks(page.note || '')));
+  parts.push('</section>');
+  stats.pages += 1;
+  return parts.filter(Boolean).join('\n');
+}
+
+function buildPackageDocument({ bookId, title, subtitle, description, language, creators, modified, manifest, spine }) {
+  const metadata = [
+    `<dc:identifier id="book-id">urn:airabook:book:${escapeXml(bookId)}</dc:identifier>`,
+    `<dc:title id="main-title">${escapeXml(title)}</dc:title>`,
+    '<meta refines="#main-title" property="title-type">main</meta>',
+    subtitle ? `<dc:title id="subtitle">${escapeXml(subtitle)}</dc:title>` : '',
+    subtitle ? '<meta refines="#subtitle" property="title-type">subtitle</meta>' : '',
+    `<dc:language>${escapeXml(language)}</dc:language>`,
+    ...creators.map((name, idx) => `<dc:creator id="creator-${idx + 1}">${escapeXml(name)}</dc:creator>`),
+    description ? `<dc:description>${escapeXml(description)}</dc:description>` : '',
+    '<dc:publisher>Airabook</dc:publisher>',
+    `<meta property="dcterms:modified">${modified}</meta>`,
+  ].filter(Boolean);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escapeXml(language)}">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+    ${metadata.join('\n    ')}
+  </metadata>
+  <manifest>
+    ${manifest.map((item) => `<item id="${item.id}" href="${item.href}" media-type="${item.mediaType}"${item.properties ? ` properties="${item.properties}"` : ''} />`).join('\n    ')}
+  </manifest>
+  <spine>
+    ${spine.map((idref) => `<itemref idref="${idref}" />`).join('\n    ')}
+  </spine>
+</package>
+`;
+}
+
+/**
+ * Render a loaded book tree (see loadBookTree) into an EPUB 3 archive.
+ * Each chapter becomes one spine item; page images are embedded from
+ * Storage and metadata is taken from the book document.
+ * @param {{ book: Object, chapters: Array<Object> }} tree
+ * @param {{ language?: string, creators?: string[], bucket?: import('@google-cloud/storage').Bucket }} [options]
+ * @returns {Promise<{ buffer: Buffer, stats: Object }>}
+ */
+async function renderBookEpub({ book, chapters }, options = {}) {
+  const language = options.language || 'en';
+  const creators = (options.creators || []).filter(Boolean);
+  const title = book.babyName || book.title || 'Untitled Book';
+  const stats = { chapters: chapters.length, pages: 0, images: 0, skippedImages: 0 };
+  const images = createImageRegistry(book, stats, options.bucket);
+
+  const cover = book.coverImageUrl
+    ? await images.add({ url: book.coverImageUrl, storagePath: storagePathFromUrl(book.coverImageUrl) }, { cover: true })
+    : null;
+
+  const titleBody = [
+    '<section class="title-page" epub:type="titlepage">',
+    cover ? `<figure><img src="${cover.href}" alt="${escapeXml(title)}" /></figure>` : '',
+    `<h1>${escapeXml(title)}</h1>`,
+    book.subtitle ? `<p><em>${escapeXml(book.subtitle)}</em></p>` : '',
+    creators.length ? `<p>${escapeXml(creators.join(', '))}</p>` : '',
+    '</section>',
+  ].filter(Boolean).join('\n');
+
+  const chapterFiles = [];
+  for (const [idx, chapter] of chapters.entries()) {
+    const chapterTitle = chapter.title || `Chapter ${idx + 1}`;
+    const sections = [];
+    for (const page of chapter.pages || []) {
+      // eslint-disable-next-line no-await-in-loop
+      sections.push(await renderPageSection(page, images, stats));
+    }
+    const body = [
+      `<section epub:type="chapter" id="chapter-${idx + 1}">`,
+      `<h1 class="chapter-title">${escapeXml(chapterTitle)}</h1>`,
+      ...sections,
+      '</section>',
+    ].join('\n');
+    chapterFiles.push({
+      id: `chapter-${idx + 1}`,
+      href: `chapter-${idx + 1}.xhtml`,
+      title: chapterTitle,
+      xhtml: xhtmlDocument(chapterTitle, body, language),
+    });
+  }
+
+  const navBody = [
+    '<nav epub:type="toc" id="toc">',
+    '<h1>Contents</h1>',
+    '<ol>',
+    ...chapterFiles.map((file) => `<li><a href="${file.href}">${escapeXml(file.title)}</a></li>`),
+    '</ol>',
+    '</nav>',
+  ].join('\n');
+
+  const manifest = [
+    { id: 'nav', href: 'nav.xhtml', mediaType: 'application/xhtml+xml', properties: 'nav' },
+    { id: 'css', href: 'styles.css', mediaType: 'text/css' },
+    { id: 'title-page', href: 'title.xhtml', mediaType: 'application/xhtml+xml' },
+    ...chapterFiles.map((file) => ({ id: file.id, href: file.href, mediaType: 'application/xhtml+xml' })),
+    ...images.items.map((item) => ({
+      id: item.id,
+      href: item.href,
+      mediaType: item.mediaType,
+      properties: item.cover ? 'cover-image' : undefined,
+    })),
+  ];
+
+  const opf = buildPackageDocument({
+    bookId: book.id,
+    title,
+    subtitle: book.subtitle,
+    description: book.description,
+    language,
+    creators,
+    // dcterms:modified must be CCYY-MM-DDThh:mm:ssZ without fractions.
+    modified: new Date().toISOString().replace(/\.\d{3}Z$/, 'Z'),
+    manifest,
+    spine: ['title-page', 'nav', ...chapterFiles.map((file) => file.id)],
+  });
+
+  const zip = new JSZip();
+  // The mimetype entry must come first and be stored uncompressed.
+  zip.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  zip.file('META-INF/container.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles>
+    <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml" />
+  </rootfiles>
+</container>
+`);
+  zip.file('OEBPS/content.opf', opf);
+  zip.file('OEBPS/styles.css', STYLESHEET);
+  zip.file('OEBPS/nav.xhtml', xhtmlDocument('Contents', navBody, language));
+  zip.file('OEBPS/title.xhtml', xhtmlDocument(title, titleBody, language));
+  chapterFiles.forEach((file) => zip.file(`OEBPS/${file.href}`, file.xhtml));
+  images.items.forEach((item) => zip.file(`OEBPS/${item.href}`, item.buffer, { compression: 'STORE' }));
+
+  const buffer = await zip.generateAsync({
+    type: 'nodebuffer',
+    compression: 'DEFLATE',
+    compressionOptions: { level: 9 },
+    mimeType: 'application/epub+zip',
+  });
+
+  return { buffer, stats };
+}
+
+module.exports = {
+  renderBookEpub,
+};
@@ -0,0 +1,358 @@
+const { randomUUID } = require('crypto');
+const admin = require('firebase-admin');
+const { HttpsError } = require('firebase-functions/v2/https');
+const FieldValue = require('firebase-admin/firestore').FieldValue;
+const { IDGenerator } = require('../utils/idGenerator');
+const { resolveMemberRole } = require('../modules/collab/models/collabTypes');
+
+const isEmulator =
+  process.env.FUNCTIONS_EMULATOR === 'true' ||
+  process.env.FIREBASE_AUTH_EMULATOR_HOST ||
+  process.env.STORAGE_EMULATOR_HOST ||
+  process.env.FIREBASE_STORAGE_EMULATOR_HOST;
+
+const EXPORT_STATUS = Object.freeze({
+  PENDING: 'pending',
+  READY: 'ready',
+  ERROR: 'error',
+});
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Owner or any member listed on the book may export it.
+ * @param {Object} bookData
+ * @param {string} uid
+ */
+function assertBookReadAccess(bookData = {}, uid) {
+  const memberRole = resolveMemberRole(bookData, uid);
+  if (!memberRole) {
+    throw new HttpsError('permission-denied', 'You do not have access to this book.');
+  }
+}
+
+/**
+ * Load a book with its chapters and pages in fractional `order`.
+ * Embedding vectors are dropped since no export format needs them.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} bookId
+ * @returns {Promise<{ book: Object, chapters: Array<Object> }>}
+ */
+async function loadBookTree(db, bookId) {
+  const bookRef = db.collection('books').doc(bookId);
+  const bookSnap = await bookRef.get();
+  if (!bookSnap.exists) {
+    throw new HttpsError('not-found', 'Book not found.');
+  }
+
+  const chaptersSnap = await bookRef.collection('chapters').orderBy('order', 'asc').get();
+  const chapters = await Promise.all(chaptersSnap.docs.map(async (chapterDoc) => {
+    const pagesSnap = await chapterDoc.ref.collection('pages').orderBy('order', 'asc').get();
+    const pages = pagesSnap.docs.map((pageDoc) => {
+      const { embeddings, ...pageData } = pageDoc.data() || {};
+      return { id: pageDoc.id, ...pageData };
+    });
+    return { id: chapterDoc.id, ...(chapterDoc.data() || {}), pages };
+  }));
+
+  return {
+    book: { id: bookSnap.id, ...(bookSnap.data() || {}) },
+    chapters,
+  };
+}
+
+function decodeHtmlEntities(value = '') {
+  return String(value).replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Flatten page note HTML into printable blocks.
+ * Only the structure the editors produce is kept: headings, paragraphs,
+ * list items and quotes. Inline formatting is dropped.
+ * @param {string} html
+ * @returns {Array<{ type: 'heading'|'paragraph'|'listItem'|'quote', level?: number, text: string }>}
+ */
+function htmlToBlocks(html = '') {
+  const marked = String(html || '')
+    .replace(/<style[^>]*>[\s\S]*?<\/style>/gi, '')
+    .replace(/<script[^>]*>[\s\S]*?<\/script>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<h([1-6])[^>]*>/gi, '\n\u0001h$1\u0002')
+    .replace(/<li[^>]*>/gi, '\n\u0001li\u0002')
+    .replace(/<blockquote[^>]*>/gi, '\n\u0001q\u0002')
+    .replace(/<\/(p|div|h[1-6]|li|blockquote|ul|ol)>/gi, '\n')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeHtmlEntities(marked)
+    .split('\n')
+    .map((line) => {
+      const match = line.match(/^\u0001(h[1-6]|li|q)\u0002(.*)$/);
+      const tag = match ? match[1] : null;
+      const text = (match ? match[2] : line).replace(/[\u0001\u0002]/g, '').replace(/\s+/g, ' ').trim();
+      if (!text) return null;
+      if (tag === 'li') return { type: 'listItem', text };
+      if (tag === 'q') return { type: 'quote', text };
+      if (tag) return { type: 'heading', level: Number(tag.slice(1)), text };
+      return { type: 'paragraph', text };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Extract the storage object path from a Firebase download URL.
+ * @param {string} url
+ * @returns {string|null}
+ */
+function storagePathFromUrl(url = '') {
+  const match = String(url).match(/\/o\/(.+?)(\?|$)/);
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Storage objects an export may embed: media stored under this book's id
+ * (page and album uploads, in whichever member's root they were written),
+ * the book's album cover and the owner's uploaded covers. Page documents are
+ * editable by co-authors, so paths they reference are never trusted beyond
+ * this.
+ * @param {string} storagePath
+ * @param {{ id: string, ownerId?: string }} book
+ */
+function isBookStoragePath(storagePath, book = {}) {
+  const parts = String(storagePath || '').split('/');
+  if (!book.id || parts.length < 3 || parts.some((part) => !part || part === '.' || part === '..')) return false;
+  if (parts[1] === book.id) return true;
+  return parts[0] === book.ownerId && (
+    (parts[1] === 'albums' && parts[2] === book.id) ||
+    parts[1] === 'covers'
+  );
+}
+
+/**
+ * Images a page shows, in display order: the template hero image first,
+ * then the page's media strip.
+ * @param {Object} page
+ * @returns {Array<{ url: string|null, storagePath: string|null, name: string }>}
+ */
+function collectPageImages(page = {}) {
+  const images = [];
+  const seen = new Set();
+  const push = (url, storagePath, name) => {
+    const key = storagePath || url;
+    if (!key || seen.has(key)) return;
+    seen.add(key);
+    images.push({ url: url || null, storagePath: storagePath || storagePathFromUrl(url), name: name || '' });
+  };
+
+  if (page.type === 'babyJournalPage' && page.content?.imageUrl) {
+    push(page.content.imageUrl, null, page.content.title || '');
+  }
+  (Array.isArray(page.media) ? page.media : [])
+    .filter((item) => item && item.type === 'image')
+    .forEach((item) => push(item.url, item.storagePath, item.name));
+
+  return images;
+}
+
+/**
+ * Read image bytes from the bucket. Only objects that belong to `book` (see
+ * isBookStoragePath) are read, and nothing is fetched over HTTP, so an
+ * export never embeds a file its requester could not get at otherwise.
+ * Returns null (and logs) when the image cannot be loaded so one broken
+ * photo never fails a whole export.
+ * @param {{ url?: string|null, storagePath?: string|null }} image
+ * @param {{ id: string, ownerId?: string }} book
+ * @returns {Promise<{ buffer: Buffer, contentType: string }|null>}
+ */
+async function loadImageBuffer(image = {}, book = {}, bucket = admin.storage().bucket()) {
+  if (!isBookStoragePath(image.storagePath, book)) {
+    console.warn('⚠️ Export skipped image outside the book:', image.storagePath || image.url);
+    return null;
+  }
+  try {
+    const file = bucket.file(image.storagePath);
+    const [[buffer], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+    return { buffer, contentType: metadata?.contentType || sniffImageType(buffer) };
+  } catch (error) {
+    console.warn('⚠️ Export skipped image:', image.storagePath, error?.message || error);
+  }
+  return null;
+}
+
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 4) return 'application/octet-stream';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer[0] === 0x89 && buffer[1] === 0x50 && buffer[2] === 0x4e && buffer[3] === 0x47) return 'image/png';
+  if (buffer.slice(0, 4).toString('ascii') === 'RIFF' && buffer.slice(8, 12).toString('ascii') === 'WEBP') return 'image/webp';
+  if (buffer.slice(0, 3).toString('ascii') === 'GIF') return 'image/gif';
+  return 'application/octet-stream';
+}
+
+/**
+ * Tokenised download URL for a Storage object (same shape the client SDK
+ * produces), pointing at the emulator when running locally.
+ */
+function buildDownloadUrl(bucketName, storagePath, token) {
+  const encodedPath = encodeURIComponent(storagePath);
+  const emulatorHost = process.env.FIREBASE_STORAGE_EMULATOR_HOST || '127.0.0.1:9199';
+  const baseUrl = isEmulator
+    ? `${emulatorHost.startsWith('http') ? '' : 'http://'}${emulatorHost}/v0/b/${bucketName}/o/${encodedPath}`
+    : `https://firebasestorage.googleapis.com/v0/b/${bucketName}/o/${encodedPath}`;
+  return `${baseUrl}?alt=media&token=${token}`;
+}
+
+/**
+ * Save an export file under the owner's storage root and return its
+ * download URL.
+ */
+async function uploadExportFile({ buffer, contentType, ownerId, bookId, fileName }) {
+  const bucket = admin.storage().bucket();
+  const token = randomUUID();
+  const storagePath = `${ownerId}/exports/${bookId}/${fileName}`;
+
+  await bucket.file(storagePath).save(buffer, {
+    contentType,
+    metadata: {
+      contentType,
+      metadata: { firebaseStorageDownloadTokens: token },
+      contentDisposition: `attachment; filename="${fileName}"`,
+    },
+    resumable: false,
+    public: false,
+  });
+
+  return { storagePath, url: buildDownloadUrl(bucket.name, storagePath, token) };
+}
+
+/**
+ * Delete the earlier files of one book and format once a new export is
+ * ready, so each book keeps a single PDF, EPUB and backup in Storage
+ * rather than one per click. Failures are logged; the new export stands.
+ */
+async function removePreviousExports(db, { bookId, format, keepExportId }, bucket = admin.storage().bucket()) {
+  const previous = await db.collection('bookExports').where('bookId', '==', bookId).get();
+  // Exports still running belong to another request; they replace this one when they finish.
+  const stale = previous.docs.filter((exportDoc) => {
+    const data = exportDoc.data() || {};
+    return exportDoc.id !== keepExportId && data.format === format && data.status !== EXPORT_STATUS.PENDING;
+  });
+  await Promise.all(stale.map(async (exportDoc) => {
+    const { storagePath } = exportDoc.data() || {};
+    try {
+      if (storagePath) {
+        await bucket.file(storagePath).delete({ ignoreNotFound: true });
+      }
+      await exportDoc.ref.delete();
+    } catch (error) {
+      console.warn('⚠️ Could not remove previous export:', exportDoc.id, error?.message || error);
+    }
+  }));
+  return stale.length;
+}
+
+function buildExportFileName(book = {}, extension) {
+  const base = String(book.babyName || book.title || 'book')
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-')
+    .toLowerCase() || 'book';
+  return `${base}-${Date.now()}.${extension}`;
+}
+
+/**
+ * Run an export and track it in `bookExports/{exportId}`. `render` receives
+ * the loaded book tree and must resolve to
+ * `{ buffer, contentType, extension, stats? }`. A finished export replaces
+ * the book's previous one in the same format.
+ * Pass `ownerOnly` for exports that carry the whole book out of the app.
+ */
+async function runBookExport(db, { bookId, uid, format, render, ownerOnly = false }) {
+  // Access is checked on the book document alone, before its pages are read.
+  const bookSnap = await db.collection('books').doc(bookId).get();
+  if (!bookSnap.exists) {
+    throw new HttpsError('not-found', 'Book not found.');
+  }
+  const bookData = bookSnap.data() || {};
+  assertBookReadAccess(bookData, uid);
+  if (ownerOnly && bookData.ownerId !== uid) {
+    throw new HttpsError('permission-denied', 'Only the book owner can do this.');
+  }
+
+  const tree = await loadBookTree(db, bookId);
+
+  const exportId = IDGenerator.generateId('export');
+  const exportRef = db.collection('bookExports').doc(exportId);
+  await exportRef.set({
+    bookId,
+    ownerId: tree.book.ownerId,
+    requestedBy: uid,
+    format,
+    status: EXPORT_STATUS.PENDING,
+    createdAt: FieldValue.serverTimestamp(),
+    updatedAt: FieldValue.serverTimestamp(),
+  });
+
+  try {
+    const { buffer, contentType, extension, stats = {} } = await render(tree);
+    const fileName = buildExportFileName(tree.book, extension);
+    const upload = await uploadExportFile({
+      buffer,
+      contentType,
+      ownerId: tree.book.ownerId || uid,
+      bookId,
+      fileName,
+    });
+
+    await exportRef.update({
+      status: EXPORT_STATUS.READY,
+      storagePath: upload.storagePath,
+      url: upload.url,
+      fileName,
+      sizeBytes: buffer.length,
+      stats,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    await removePreviousExports(db, { bookId, format, keepExportId: exportId });
+
+    return { exportId, fileName, sizeBytes: buffer.length, stats, ...upload };
+  } catch (error) {
+    await exportRef.update({
+      status: EXPORT_STATUS.ERROR,
+      error: String(error?.message || error || 'Unknown export error'),
+      updatedAt: FieldValue.serverTimestamp(),
+    }).catch(() => { });
+    throw error;
+  }
+}
+
+module.exports = {
+  EXPORT_STATUS,
+  assertBookReadAccess,
+  loadBookTree,
+  decodeHtmlEntities,
+  htmlToBlocks,
+  storagePathFromUrl,
+  isBookStoragePath,
+  collectPageImages,
+  loadImageBuffer,
+  sniffImageType,
+  buildDownloadUrl,
+  uploadExportFile,
+  removePreviousExports,
+  runBookExport,
+};
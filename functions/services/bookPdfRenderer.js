@@ -0,0 +1,243 @@
+const PDFDocument = require('pdfkit');
+const { htmlToBlocks, collectPageImages, loadImageBuffer } = require('./bookExportService');
+
+// A5 portrait keeps journal pages close to the on-screen "a4" layout ratio
+// while printing nicely as a booklet.
+const PAGE_SIZE = 'A5';
+const MARGIN = 48;
+const FOOTER_HEIGHT = 24;
+const TOC_ENTRIES_PER_PAGE = 22;
+const MAX_IMAGE_HEIGHT = 260;
+const PDF_IMAGE_TYPES = new Set(['image/jpeg', 'image/jpg', 'image/png']);
+
+const FONTS = {
+  body: 'Times-Roman',
+  italic: 'Times-Italic',
+  bold: 'Times-Bold',
+  heading: 'Helvetica-Bold',
+  muted: 'Helvetica',
+};
+
+const TEMPLATE_NOTE_FIELDS = [
+  ['dadNotes', 'Dad'],
+  ['momNotes', 'Mom'],
+];
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function bottomLimit(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottomLimit(doc)) {
+    doc.addPage();
+  }
+}
+
+function formatTemplateDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+}
+
+function renderBlocks(doc, blocks = []) {
+  blocks.forEach((block) => {
+    switch (block.type) {
+      case 'heading': {
+        const size = Math.max(12, 18 - (block.level || 1) * 1.5);
+        ensureSpace(doc, size * 2);
+        doc.moveDown(0.4).font(FONTS.heading).fontSize(size).fillColor('#222222').text(block.text);
+        doc.moveDown(0.2);
+        break;
+      }
+      case 'listItem':
+        doc.font(FONTS.body).fontSize(11).fillColor('#222222').text(`•  ${block.text}`, { indent: 10 });
+        break;
+      case 'quote':
+        doc.font(FONTS.italic).fontSize(11).fillColor('#555555').text(block.text, { indent: 16 });
+        doc.moveDown(0.3);
+        break;
+      default:
+        doc.font(FONTS.body).fontSize(11).fillColor('#222222').text(block.text, { align: 'justify' });
+        doc.moveDown(0.4);
+    }
+  });
+}
+
+async function renderImages(doc, images, book, stats) {
+  for (const image of images) {
+    // eslint-disable-next-line no-await-in-loop
+    const loaded = await loadImageBuffer(image, book);
+    if (!loaded || !PDF_IMAGE_TYPES.has(String(loaded.contentType).toLowerCase())) {
+      stats.skippedImages += 1;
+      continue;
+    }
+    ensureSpace(doc, MAX_IMAGE_HEIGHT + 12);
+    try {
+      doc.image(loaded.buffer, doc.page.margins.left, doc.y, {
+        fit: [contentWidth(doc), MAX_IMAGE_HEIGHT],
+        align: 'center',
+      });
+      doc.y += MAX_IMAGE_HEIGHT + 12;
+      stats.images += 1;
+    } catch (error) {
+      console.warn('⚠️ PDF export could not embed image:', image.storagePath || image.url, error?.message || error);
+      stats.skippedImages += 1;
+    }
+  }
+}
+
+async function renderPage(doc, page, book, stats) {
+  doc.addPage();
+  const isTemplate = page.type === 'babyJournalPage';
+  const content = page.content || {};
+  const title = (isTemplate && content.title) || page.pageName || '';
+
+  if (title) {
+    doc.font(FONTS.heading).fontSize(16).fillColor('#222222').text(title, { align: 'center' });
+  }
+  if (isTemplate && content.date) {
+    doc.font(FONTS.muted).fontSize(9).fillColor('#777777').text(formatTemplateDate(content.date), { align: 'center' });
+  }
+  if (title || (isTemplate && content.date)) {
+    doc.moveDown(0.8);
+  }
+
+  await renderImages(doc, collectPageImages(page), book, stats);
+
+  if (isTemplate) {
+    TEMPLATE_NOTE_FIELDS.forEach(([field, label]) => {
+      const blocks = htmlToBlocks(content[field] || '');
+      if (!blocks.length) return;
+      ensureSpace(doc, 40);
+      doc.font(FONTS.bold).fontSize(11).fillColor('#444444').text(label);
+      doc.moveDown(0.2);
+      renderBlocks(doc, blocks);
+    });
+  }
+
+  renderBlocks(doc, htmlToBlocks(page.note || ''));
+  stats.pages += 1;
+}
+
+function renderCover(doc, book) {
+  doc.addPage();
+  const title = book.babyName || book.title || 'Untitled Book';
+  doc.y = doc.page.height * 0.35;
+  doc.font(FONTS.heading).fontSize(28).fillColor('#222222').text(title, { align: 'center' });
+  if (book.subtitle) {
+    doc.moveDown(0.5).font(FONTS.italic).fontSize(14).fillColor('#555555').text(book.subtitle, { align: 'center' });
+  }
+  if (book.description) {
+    doc.moveDown(2).font(FONTS.body).fontSize(10).fillColor('#777777').text(book.description, { align: 'center' });
+  }
+}
+
+function renderTableOfContents(doc, tocStartIndex, entries) {
+  entries.forEach((entry, idx) => {
+    if (idx % TOC_ENTRIES_PER_PAGE === 0) {
+      doc.switchToPage(tocStartIndex + Math.floor(idx / TOC_ENTRIES_PER_PAGE));
+      doc.x = doc.page.margins.left;
+      doc.y = doc.page.margins.top;
+      if (idx === 0) {
+        doc.font(FONTS.heading).fontSize(18).fillColor('#222222').text('Contents', { align: 'center' });
+        doc.moveDown(1);
+      }
+    }
+    const y = doc.y;
+    const width = contentWidth(doc);
+    doc.font(FONTS.body).fontSize(11).fillColor('#222222')
+      .text(entry.title, doc.page.margins.left, y, { width: width - 40, goTo: entry.destination, lineBreak: false, ellipsis: true });
+    doc.text(String(entry.pageNumber), doc.page.margins.left, y, { width, align: 'right', goTo: entry.destination });
+    doc.moveDown(0.6);
+  });
+}
+
+function renderPageNumbers(doc, firstNumberedIndex) {
+  const { start, count } = doc.bufferedPageRange();
+  for (let i = start + firstNumberedIndex; i < start + count; i += 1) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise trigger a page break.
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font(FONTS.muted).fontSize(8).fillColor('#999999').text(
+      String(i - start),
+      doc.page.margins.left,
+      doc.page.height - bottom + (bottom - FOOTER_HEIGHT) / 2,
+      { width: contentWidth(doc), align: 'center', lineBreak: false }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Render a loaded book tree (see loadBookTree) into a print-ready PDF:
+ * cover, table of contents, one section per chapter and numbered pages.
+ * @param {{ book: Object, chapters: Array<Object> }} tree
+ * @returns {Promise<{ buffer: Buffer, pageCount: number, stats: Object }>}
+ */
+async function renderBookPdf({ book, chapters }) {
+  const title = book.babyName || book.title || 'Untitled Book';
+  const doc = new PDFDocument({
+    size: PAGE_SIZE,
+    margins: { top: MARGIN, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    autoFirstPage: false,
+    bufferPages: true,
+    info: { Title: title, Creator: 'Airabook' },
+  });
+
+  const chunks = [];
+  const finished = new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  const stats = { chapters: chapters.length, pages: 0, images: 0, skippedImages: 0 };
+
+  renderCover(doc, book);
+
+  // Reserve table-of-contents pages now; they are filled in once the chapter
+  // page numbers are known.
+  const tocStartIndex = doc.bufferedPageRange().count;
+  const tocPageCount = Math.max(1, Math.ceil(chapters.length / TOC_ENTRIES_PER_PAGE));
+  for (let i = 0; i < tocPageCount; i += 1) doc.addPage();
+
+  const tocEntries = [];
+  for (const [chapterIndex, chapter] of chapters.entries()) {
+    doc.addPage();
+    const destination = `chapter-${chapterIndex + 1}`;
+    doc.addNamedDestination(destination);
+    doc.outline.addItem(chapter.title || `Chapter ${chapterIndex + 1}`);
+    tocEntries.push({
+      title: chapter.title || `Chapter ${chapterIndex + 1}`,
+      pageNumber: doc.bufferedPageRange().count - 1,
+      destination,
+    });
+
+    doc.y = doc.page.height * 0.4;
+    doc.font(FONTS.muted).fontSize(10).fillColor('#999999').text(`Chapter ${chapterIndex + 1}`, { align: 'center' });
+    doc.moveDown(0.5).font(FONTS.heading).fontSize(22).fillColor('#222222').text(chapter.title || 'Untitled chapter', { align: 'center' });
+
+    for (const page of chapter.pages || []) {
+      // eslint-disable-next-line no-await-in-loop
+      await renderPage(doc, page, book, stats);
+    }
+  }
+
+  renderTableOfContents(doc, tocStartIndex, tocEntries);
+  renderPageNumbers(doc, 1);
+
+  const pageCount = doc.bufferedPageRange().count;
+  doc.end();
+  const buffer = await finished;
+  return { buffer, pageCount, stats: { ...stats, pdfPages: pageCount } };
+}
+
+module.exports = {
+  renderBookPdf,
+};
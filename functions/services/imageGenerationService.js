@@ -1,11 +1,17 @@
-const { randomUUID } = require('crypto');
+const { randomInt, randomUUID } = require('crypto');
 const admin = require('firebase-admin');
-const { googleAI } = require('@genkit-ai/googleai');
-const { ai } = require('../genkitClient');
-const { buildImagePrompt } = require('../utils/prompts');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { buildImagePrompt, IMAGE_STYLE_PRESETS } = require('../utils/prompts');
+const { generateImage } = require('../utils/llm');
+const { addStorageUsage, resolveStorageBillingUserId } = require('../utils/limits');
 
-// Use Gemini 2.5 Flash Image model per latest guidance
-const DEFAULT_MODEL = googleAI.model('gemini-2.5-flash-image');
+const GENERATED_IMAGES_COLLECTION = 'generatedImages';
+const MAX_VARIATIONS = 4;
+const MAX_SEED = 2 ** 31 - 1;
+// How long unchosen variations stay in the picker's history (and on the bill).
+const GENERATED_IMAGE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const SWEEP_BATCH_SIZE = 200;
 
 const isEmulator =
   process.env.FUNCTIONS_EMULATOR === 'true' ||
@@ -36,16 +42,11 @@ function dataUrlToBuffer(dataUrl = '') {
  * @param {Object} params
  * @param {Buffer} params.buffer
  * @param {string} params.mimeType
- * @param {string} params.userId
- * @param {string} params.bookId
- * @param {string} params.chapterId
- * @param {string} params.pageId
+ * @param {string} params.storagePath
+ * @param {import('@google-cloud/storage').Bucket} [params.bucket] - Defaults to the default bucket
  */
-async function uploadGeneratedImage({ buffer, mimeType, userId, bookId, chapterId, pageId }) {
-  const bucket = admin.storage().bucket();
+async function uploadGeneratedImage({ buffer, mimeType, storagePath, bucket = admin.storage().bucket() }) {
   const token = randomUUID();
-  const filename = `gen-${Date.now()}-${Math.round(Math.random() * 1e6)}.png`;
-  const storagePath = `${userId}/${bookId}/${chapterId}/${pageId}/media/image/${filename}`;
 
   const metadata = {
     metadata: { firebaseStorageDownloadTokens: token },
@@ -70,56 +71,205 @@ async function uploadGeneratedImage({ buffer, mimeType, userId, bookId, chapterI
   return { storagePath, url: downloadURL };
 }
 
+const generatedImagesRef = (db, bookId) =>
+  db.collection('books').doc(bookId).collection(GENERATED_IMAGES_COLLECTION);
+
 /**
- * Generate an image with Genkit + Vertex Imagen and persist to Storage
+ * Generate `count` variations of one prompt. Each is kept outside the book's
+ * media folders (so onMediaUpload does not add it to the album) and recorded
+ * in books/{bookId}/generatedImages with its prompt, style, seed and model.
+ * onMediaUpload does not bill these files either, so their bytes are added to
+ * the book owner's storage here and refunded by sweepExpiredGeneratedImages.
  * @param {Object} params
+ * @param {FirebaseFirestore.Firestore} params.db
  * @param {string} params.userPrompt
  * @param {string} [params.pageContext]
+ * @param {string} [params.style] - One of IMAGE_STYLE_PRESETS
+ * @param {number} [params.count]
  * @param {string} params.userId
  * @param {string} params.bookId
  * @param {string} params.chapterId
  * @param {string} params.pageId
+ * @param {import('@google-cloud/storage').Bucket} [params.bucket] - Defaults to the default bucket
  */
-async function generateImageForPage({
+async function generateImageVariations({
+  db,
   userPrompt,
   pageContext,
+  style,
+  count = 1,
   userId,
   bookId,
   chapterId,
   pageId,
+  bucket = admin.storage().bucket(),
 }) {
-  const prompt = buildImagePrompt({ userPrompt, pageContext });
+  const styleId = IMAGE_STYLE_PRESETS[style] ? style : null;
+  const prompt = buildImagePrompt({ userPrompt, pageContext, style: styleId });
+  const generationId = generatedImagesRef(db, bookId).doc().id;
+  const billedUserId = await resolveStorageBillingUserId(db, bookId, userId);
 
-  const response = await ai.generate({
-    model: DEFAULT_MODEL,
-    prompt,
-    output: { format: 'media' },
-  });
+  // Gemini 2.5 Flash Image unless LLM_PROVIDER_IMAGE_GENERATION says otherwise.
+  const variations = await Promise.all(Array.from({ length: count }, async (_, index) => {
+    const seed = randomInt(MAX_SEED);
+    const { dataUrl, usage, model, provider } = await generateImage(prompt, { seed });
+    if (!dataUrl) {
+      throw new Error('Image generation returned no media');
+    }
 
-  const dataUrl = response?.media?.url || response?.media?.[0]?.url;
-  if (!dataUrl) {
-     throw new Error('Image generation returned no media');
-  }
+    const { buffer, mimeType } = dataUrlToBuffer(dataUrl);
+    const imageRef = generatedImagesRef(db, bookId).doc();
+    const { storagePath, url } = await uploadGeneratedImage({
+      buffer,
+      mimeType,
+      storagePath: `${userId}/${bookId}/generated/${generationId}/${imageRef.id}.png`,
+      bucket,
+    });
+    try {
+      await addStorageUsage(db, billedUserId, buffer.length);
+    } catch (error) {
+      await bucket.file(storagePath).delete({ ignoreNotFound: true });
+      throw error;
+    }
 
-  const { buffer, mimeType } = dataUrlToBuffer(dataUrl);
-  const uploadResult = await uploadGeneratedImage({
-    buffer,
-    mimeType,
-    userId,
-    bookId,
-    chapterId,
-    pageId,
-  });
+    const record = {
+      generationId,
+      variation: index,
+      prompt: (userPrompt || '').trim(),
+      usedContext: Boolean(pageContext),
+      style: styleId,
+      seed,
+      model,
+      provider,
+      mimeType,
+      storagePath,
+      url,
+      chapterId,
+      pageId,
+      createdBy: userId,
+      savedStoragePath: null,
+    };
+    await imageRef.set({
+      ...record,
+      storageBytes: buffer.length,
+      billedUserId,
+      createdAt: FieldValue.serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(Date.now() + GENERATED_IMAGE_TTL_MS),
+    });
+    return { image: { id: imageRef.id, ...record }, usage, model, provider };
+  }));
+
+  const sumUsage = (key) => variations.reduce((total, { usage }) => (
+    Number.isFinite(usage?.[key]) ? (total ?? 0) + usage[key] : total
+  ), null);
 
   return {
-    storagePath: uploadResult.storagePath,
-    url: uploadResult.url,
+    generationId,
+    images: variations.map(({ image }) => image),
+    // For usage metering; generateImage.js does not return these to the client.
+    usage: {
+      inputTokens: sumUsage('inputTokens'),
+      outputImageTokens: sumUsage('outputImageTokens'),
+    },
+    model: variations[0]?.model,
+    provider: variations[0]?.provider,
+  };
+}
+
+/**
+ * Copy a generated variation into the page's media folder, where the
+ * onMediaUpload trigger adds it to the book's album and counts its storage.
+ * @param {Object} params
+ * @param {FirebaseFirestore.Firestore} params.db
+ * @param {string} params.imageId - A books/{bookId}/generatedImages document
+ * @param {string} params.userId
+ * @param {string} params.bookId
+ * @param {string} params.chapterId
+ * @param {string} params.pageId
+ * @returns {Promise<{ storagePath: string, url: string, albumId: string, type: 'image', name: string, alreadySaved?: boolean }>}
+ */
+async function saveGeneratedImage({ db, imageId, userId, bookId, chapterId, pageId }) {
+  const imageRef = generatedImagesRef(db, bookId).doc(imageId);
+  const imageSnap = await imageRef.get();
+  if (!imageSnap.exists) {
+    throw new HttpsError('not-found', 'Generated image not found.');
+  }
+  const image = imageSnap.data() || {};
+  const mediaItem = (storagePath, url) => ({
+    storagePath,
+    url,
     albumId: bookId,
     type: 'image',
     name: 'AI generated image',
-  };
+  });
+
+  // Already in the album: reuse that copy rather than storing it twice. The
+  // caller records the new page with trackMediaUsage, as for any album asset.
+  if (image.savedStoragePath && image.savedUrl) {
+    return { ...mediaItem(image.savedStoragePath, image.savedUrl), alreadySaved: true };
+  }
+
+  const [buffer] = await admin.storage().bucket().file(image.storagePath).download();
+  const filename = `gen-${Date.now()}-${Math.round(Math.random() * 1e6)}.png`;
+  const { storagePath, url } = await uploadGeneratedImage({
+    buffer,
+    mimeType: image.mimeType,
+    storagePath: `${userId}/${bookId}/${chapterId}/${pageId}/media/image/${filename}`,
+  });
+
+  await imageRef.update({
+    savedStoragePath: storagePath,
+    savedUrl: url,
+    savedBy: userId,
+    savedAt: FieldValue.serverTimestamp(),
+  });
+  return mediaItem(storagePath, url);
+}
+
+/**
+ * Remove variations past their expiry: the file goes and its bytes are
+ * refunded. Unchosen variations lose their record too; saved ones keep it,
+ * pointing at the album copy, so the picker still shows their prompt.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {Object} [options]
+ * @param {number} [options.now] - Milliseconds since epoch
+ * @param {import('@google-cloud/storage').Bucket} [options.bucket] - Defaults to the default bucket
+ * @returns {Promise<number>} Number of variations removed
+ */
+async function sweepExpiredGeneratedImages(db, { now = Date.now(), bucket = admin.storage().bucket() } = {}) {
+  const snapshot = await db.collectionGroup(GENERATED_IMAGES_COLLECTION)
+    .where('expiresAt', '<=', Timestamp.fromMillis(now))
+    .limit(SWEEP_BATCH_SIZE)
+    .get();
+
+  for (const doc of snapshot.docs) {
+    const image = doc.data() || {};
+    // The record changes first so a retry cannot refund the same bytes twice.
+    if (image.savedStoragePath && image.savedUrl) {
+      await doc.ref.update({
+        storagePath: image.savedStoragePath,
+        url: image.savedUrl,
+        storageBytes: 0,
+        expiresAt: FieldValue.delete(),
+      });
+    } else {
+      await doc.ref.delete();
+    }
+    if (image.billedUserId && image.storageBytes > 0) {
+      await addStorageUsage(db, image.billedUserId, -image.storageBytes, { enforceLimit: false });
+    }
+    if (image.storagePath && image.storagePath !== image.savedStoragePath) {
+      await bucket.file(image.storagePath).delete({ ignoreNotFound: true });
+    }
+  }
+  return snapshot.size;
 }
 
 module.exports = {
-  generateImageForPage,
+  GENERATED_IMAGES_COLLECTION,
+  GENERATED_IMAGE_TTL_MS,
+  MAX_VARIATIONS,
+  generateImageVariations,
+  saveGeneratedImage,
+  sweepExpiredGeneratedImages,
 };
@@ -0,0 +1,261 @@
+const { resolveMemberRole } = require('../modules/collab/models/collabTypes');
+const { tokenize, searchPagesByKeyword } = require('./searchIndexService');
+const { albumMediaCollection, toAlbumMediaDocs } = require('./albumMediaService');
+
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_LIMIT = 8;
+const MAX_LIMIT = 20;
+// Chapter titles and albums are matched in memory, so only this many of the
+// caller's books are scanned for them. Page text goes through the index.
+const MAX_SCANNED_BOOKS = 30;
+// Media items read per album: the newest whose captionTerms hold a query term.
+const MAX_ALBUM_MEDIA_MATCHES = MAX_LIMIT;
+const SNIPPET_BEFORE_CHARS = 60;
+const SNIPPET_CHARS = 180;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+const getBookTitle = (bookData = {}) => bookData.babyName || bookData.title || 'Untitled Book';
+
+/**
+ * Books `userId` may read, as a Map of bookId -> title. Candidates come from the
+ * user's accessibleBookIds and the books they own; each one is re-checked
+ * against the book's members map so a stale summary never widens the search.
+ */
+async function loadAccessibleBooks(db, userId, bookId) {
+  let candidateIds = [];
+  if (bookId) {
+    candidateIds = [bookId];
+  } else {
+    const [userDoc, ownedSnap] = await Promise.all([
+      db.collection('users').doc(userId).get(),
+      db.collection('books').where('ownerId', '==', userId).select().get(),
+    ]);
+    const summaries = userDoc.exists ? (userDoc.data()?.accessibleBookIds || []) : [];
+    candidateIds = [...new Set([
+      ...summaries.map((entry) => (typeof entry === 'string' ? entry : entry?.bookId)),
+      ...ownedSnap.docs.map((doc) => doc.id),
+    ].filter(Boolean))];
+  }
+
+  const books = new Map();
+  if (candidateIds.length === 0) {
+    return books;
+  }
+  const bookDocs = await db.getAll(...candidateIds.map((id) => db.collection('books').doc(id)));
+  bookDocs.forEach((doc) => {
+    if (doc.exists && resolveMemberRole(doc.data(), userId)) {
+      books.set(doc.id, getBookTitle(doc.data()));
+    }
+  });
+  return books;
+}
+
+/**
+ * Query terms for in-memory matching. The last term is a prefix unless the
+ * user has already typed past it.
+ */
+function parseQuery(query) {
+  const terms = [...new Set(tokenize(query))];
+  const lastWord = /[\p{L}\p{N}]+$/u.exec(query);
+  const [lastToken] = lastWord ? tokenize(lastWord[0]) : [];
+  const prefix = lastToken && lastToken === terms[terms.length - 1] ? lastToken : null;
+  return { terms, prefix };
+}
+
+function termMatches(token, term, prefix) {
+  return token === term || (term === prefix && token.startsWith(prefix));
+}
+
+// True when every query term appears in `text`.
+function textMatches(text, { terms, prefix }) {
+  if (!text || terms.length === 0) return false;
+  const tokens = tokenize(text);
+  return terms.every((term) => tokens.some((token) => termMatches(token, term, prefix)));
+}
+
+/**
+ * A short excerpt of `text` around the first query term, plus the offsets of
+ * that word so the editor can highlight it.
+ * @returns {{ snippet: string, passage: { start: number, end: number } | null }}
+ */
+function buildSnippet(text = '', parsed) {
+  const source = String(text || '');
+  let hit = null;
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    const [token] = tokenize(match[0]);
+    if (token && parsed.terms.some((term) => termMatches(token, term, parsed.prefix))) {
+      hit = { start: match.index, end: match.index + match[0].length };
+      break;
+    }
+  }
+
+  const from = hit ? Math.max(0, hit.start - SNIPPET_BEFORE_CHARS) : 0;
+  let start = from;
+  if (from > 0) {
+    const space = source.indexOf(' ', from);
+    start = space >= 0 && space < hit.start ? space + 1 : from;
+  }
+  const end = Math.min(source.length, start + SNIPPET_CHARS);
+  const body = source.slice(start, end).replace(/\s+/g, ' ').trim();
+  return {
+    snippet: `${start > 0 ? '…' : ''}${body}${end < source.length ? '…' : ''}`,
+    passage: hit,
+  };
+}
+
+async function searchChapters(db, bookIds, books, parsed) {
+  const perBook = await Promise.all(bookIds.map(async (bookId) => {
+    const snapshot = await db.collection('books').doc(bookId).collection('chapters').select('title').get();
+    return snapshot.docs
+      .filter((doc) => textMatches(doc.data()?.title, parsed))
+      .map((doc) => ({
+        type: 'chapter',
+        bookId,
+        bookTitle: books.get(bookId),
+        chapterId: doc.id,
+        title: doc.data().title,
+      }));
+  }));
+  return perBook.flat();
+}
+
+/**
+ * Albums of the caller's books plus standalone albums shared with them.
+ * Each matching media item is returned on its own. Media docs are looked up
+ * by the longest query term in their captionTerms, so only candidates are
+ * read; the other terms are checked here.
+ */
+async function searchAlbums(db, userId, bookIds, parsed) {
+  const userDoc = await db.collection('users').doc(userId).get();
+  const summaries = userDoc.exists ? (userDoc.data()?.accessibleAlbums || []) : [];
+  const albumIds = [...new Set([
+    ...bookIds,
+    ...summaries.map((entry) => entry?.id).filter(Boolean),
+  ])].slice(0, MAX_SCANNED_BOOKS * 2);
+  if (albumIds.length === 0) return [];
+
+  const albumDocs = await db.getAll(...albumIds.map((id) => db.collection('albums').doc(id)));
+  const allowedDocs = albumDocs.filter((doc) => {
+    if (!doc.exists) return false;
+    const access = doc.data()?.accessPermission || {};
+    return bookIds.includes(doc.id) ||
+      access.ownerId === userId ||
+      (access.accessType === 'shared' && (access.sharedWith || []).includes(userId));
+  });
+  const [lookupTerm] = [...parsed.terms].sort((a, b) => b.length - a.length);
+  const mediaMatches = await Promise.all(allowedDocs.map((doc) => (
+    albumMediaCollection(db, doc.id)
+      .where('captionTerms', 'array-contains', lookupTerm)
+      .orderBy('uploadedAt', 'desc')
+      .limit(MAX_ALBUM_MEDIA_MATCHES)
+      .get()
+  )));
+
+  const results = [];
+  allowedDocs.forEach((doc, index) => {
+    const album = doc.data() || {};
+    const albumName = album.name || 'Untitled Album';
+    if (textMatches(albumName, parsed)) {
+      results.push({ type: 'album', albumId: doc.id, title: albumName, coverImage: album.coverImage || null });
+    }
+    // Albums not migrated yet still keep their media in arrays.
+    const items = mediaMatches[index].docs.map((mediaDoc) => mediaDoc.data());
+    [...items, ...toAlbumMediaDocs(album).values()].forEach((item) => {
+      const caption = item?.caption || item?.name;
+      if (!textMatches(caption, parsed)) return;
+      results.push({
+        type: 'media',
+        albumId: doc.id,
+        albumTitle: albumName,
+        title: caption,
+        url: item.url || null,
+        storagePath: item.storagePath || null,
+      });
+    });
+  });
+  return results;
+}
+
+async function searchPages(db, bookIds, books, query, parsed, limit) {
+  const hits = await searchPagesByKeyword(db, { bookIds, query, limit, matchPrefix: Boolean(parsed.prefix) });
+  if (hits.length === 0) return [];
+
+  const pageRefs = hits.map((hit) => db.collection('books').doc(hit.bookId)
+    .collection('chapters').doc(hit.chapterId)
+    .collection('pages').doc(hit.pageId));
+  const chapterRefs = [...new Map(hits.map((hit) => [
+    `${hit.bookId}/${hit.chapterId}`,
+    db.collection('books').doc(hit.bookId).collection('chapters').doc(hit.chapterId),
+  ])).values()];
+  const [pageDocs, chapterDocs] = await Promise.all([
+    db.getAll(...pageRefs, { fieldMask: ['pageName', 'plainText'] }),
+    db.getAll(...chapterRefs, { fieldMask: ['title'] }),
+  ]);
+  const chapterTitles = new Map(chapterDocs.map((doc) => [
+    `${doc.ref.parent.parent.id}/${doc.id}`,
+    (doc.exists && doc.data()?.title) || 'Untitled Chapter',
+  ]));
+
+  return hits
+    .map((hit, i) => {
+      const doc = pageDocs[i];
+      if (!doc.exists) return null;
+      const data = doc.data() || {};
+      const { snippet, passage } = buildSnippet(data.plainText, parsed);
+      return {
+        type: 'page',
+        bookId: hit.bookId,
+        bookTitle: books.get(hit.bookId),
+        chapterId: hit.chapterId,
+        chapterTitle: chapterTitles.get(`${hit.bookId}/${hit.chapterId}`),
+        pageId: hit.pageId,
+        title: data.pageName || 'Untitled Page',
+        snippet,
+        passage,
+        score: hit.score,
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Search everything the caller can read: book titles, chapter titles, page
+ * names and text (through the keyword index), and album names and media
+ * captions. Results are grouped by type, each group capped at `limit`.
+ */
+async function searchLibrary(db, { userId, query, limit }) {
+  const text = String(query || '').slice(0, MAX_QUERY_LENGTH);
+  const cap = Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const parsed = parseQuery(text);
+  if (parsed.terms.length === 0) {
+    return { books: [], chapters: [], pages: [], albums: [] };
+  }
+
+  const books = await loadAccessibleBooks(db, userId);
+  const bookIds = [...books.keys()];
+  const scannedBookIds = bookIds.slice(0, MAX_SCANNED_BOOKS);
+
+  const [chapters, pages, albums] = await Promise.all([
+    searchChapters(db, scannedBookIds, books, parsed),
+    searchPages(db, bookIds, books, text, parsed, cap),
+    searchAlbums(db, userId, scannedBookIds, parsed),
+  ]);
+
+  return {
+    books: [...books.entries()]
+      .filter(([, title]) => textMatches(title, parsed))
+      .slice(0, cap)
+      .map(([bookId, title]) => ({ type: 'book', bookId, title })),
+    chapters: chapters.slice(0, cap),
+    pages,
+    albums: albums.slice(0, cap),
+  };
+}
+
+module.exports = {
+  getBookTitle,
+  loadAccessibleBooks,
+  buildSnippet,
+  searchAlbums,
+  searchLibrary,
+};
@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { ALBUM_MEDIA_SUBCOLLECTION, addMediaUsage, getAlbumMedia, listAllAlbumMedia, removeMediaUsage } = require('./albumMediaService');
+const { storagePathFromUrl } = require('./bookExportService');
+
+/**
+ * Duplicate photos. Every uploaded image gets a `contentHash` (SHA-256 of the
+ * file) and a `perceptualHash` (64-bit difference hash of a 9x8 greyscale
+ * thumbnail). An upload whose content hash matches an image in another of the
+ * owner's albums, or earlier in the same one, is stored with `duplicateOf`
+ * pointing at that original and its bytes are not billed; see
+ * `promoteDuplicate` for what happens when the original goes away. Images a
+ * few bits apart are near-duplicates: found on demand and merged by hand.
+ */
+
+// Hamming distance, out of 64 bits, up to which two images count as near-duplicates
+const NEAR_DUPLICATE_DISTANCE = 8;
+// Albums other than the upload's are looked at for a few candidates only
+const EXACT_MATCH_CANDIDATES = 10;
+
+const STORAGE_URL_PATTERN = /https?:\/\/[^\s"'<>()]+?\/o\/([^?\s"'<>()]+)(\?[^\s"'<>()]*)?/g;
+
+/**
+ * @typedef {Object} DuplicateRef
+ * @property {string} albumId
+ * @property {string} storagePath
+ * @property {string} url
+ */
+
+function loadSharp() {
+  // Loaded lazily: only the storage trigger needs the native module.
+  return require('sharp');
+}
+
+function computeContentHash(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Difference hash: each bit says whether a pixel is brighter than its right
+ * neighbour. Survives re-encoding and resizing (WhatsApp recompresses), so
+ * copies of one photo end up a few bits apart at most.
+ * @returns {Promise<string|null>} 16 hex characters, null for unreadable images
+ */
+async function computePerceptualHash(buffer) {
+  try {
+    const pixels = await loadSharp()(buffer, { failOn: 'none' })
+      .rotate()
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+    let bits = 0n;
+    for (let row = 0; row < 8; row += 1) {
+      for (let col = 0; col < 8; col += 1) {
+        bits = (bits << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+      }
+    }
+    return bits.toString(16).padStart(16, '0');
+  } catch (error) {
+    console.warn('⚠️ Perceptual hash skipped:', error?.message || error);
+    return null;
+  }
+}
+
+function hammingDistance(left, right) {
+  let diff = BigInt(`0x${left}`) ^ BigInt(`0x${right}`);
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+/**
+ * Content and perceptual hash of a stored image.
+ * @returns {Promise<{ contentHash: string, perceptualHash: string|null }>}
+ */
+async function hashStoredImage(bucket, storagePath) {
+  const [buffer] = await bucket.file(storagePath).download();
+  return {
+    contentHash: computeContentHash(buffer),
+    perceptualHash: await computePerceptualHash(buffer),
+  };
+}
+
+/**
+ * Who is billed for an album's media: the book owner for book albums,
+ * otherwise the album owner.
+ */
+async function albumBillingOwnerId(db, albumId) {
+  const [bookSnap, albumSnap] = await Promise.all([
+    db.collection('books').doc(albumId).get(),
+    db.collection('albums').doc(albumId).get(),
+  ]);
+  return (bookSnap.exists && bookSnap.data()?.ownerId)
+    || (albumSnap.exists && albumSnap.data()?.accessPermission?.ownerId)
+    || null;
+}
+
+const albumIdOf = (snapshot) => snapshot.ref.parent.parent.id;
+
+/**
+ * An original (not itself a duplicate) with the same content hash in one of
+ * `ownerId`'s albums, other than `storagePath`.
+ * @returns {Promise<DuplicateRef|null>}
+ */
+async function findExactDuplicate(db, { contentHash, ownerId, storagePath }) {
+  const snapshot = await db.collectionGroup(ALBUM_MEDIA_SUBCOLLECTION)
+    .where('contentHash', '==', contentHash)
+    .limit(EXACT_MATCH_CANDIDATES)
+    .get();
+  const candidates = snapshot.docs
+    .map((doc) => ({ albumId: albumIdOf(doc), ...doc.data() }))
+    .filter((item) => item.storagePath && item.storagePath !== storagePath && !item.duplicateOf)
+    .sort((a, b) => String(a.uploadedAt || '').localeCompare(String(b.uploadedAt || '')));
+
+  const owners = new Map();
+  for (const candidate of candidates) {
+    if (!owners.has(candidate.albumId)) {
+      owners.set(candidate.albumId, await albumBillingOwnerId(db, candidate.albumId));
+    }
+    if (owners.get(candidate.albumId) === ownerId) {
+      return { albumId: candidate.albumId, storagePath: candidate.storagePath, url: candidate.url };
+    }
+  }
+  return null;
+}
+
+/**
+ * When an original with duplicates is removed, its oldest duplicate becomes
+ * the original (and is billed from now on) and the rest point at it.
+ * @returns {Promise<(DuplicateRef & { ownerId: string|null })|null>} The promoted item, null when there were no duplicates
+ */
+async function promoteDuplicate(db, storagePath) {
+  const snapshot = await db.collectionGroup(ALBUM_MEDIA_SUBCOLLECTION)
+    .where('duplicateOf.storagePath', '==', storagePath)
+    .get();
+  if (snapshot.empty) return null;
+
+  const [first, ...rest] = [...snapshot.docs]
+    .sort((a, b) => String(a.data().uploadedAt || '').localeCompare(String(b.data().uploadedAt || '')));
+  const promoted = { albumId: albumIdOf(first), storagePath: first.data().storagePath, url: first.data().url };
+
+  const batch = db.batch();
+  batch.update(first.ref, { duplicateOf: FieldValue.delete() });
+  rest.forEach((doc) => batch.update(doc.ref, { duplicateOf: promoted }));
+  await batch.commit();
+
+  return { ...promoted, ownerId: await albumBillingOwnerId(db, promoted.albumId) };
+}
+
+/**
+ * Original bytes to refund for a removed media item. Duplicates were never
+ * billed. An original with duplicates left hands its bytes to the promoted
+ * copy: nothing is refunded when the same user pays for both, otherwise the
+ * promoted copy's owner is charged (without a limit check, the file exists).
+ * @param {Object} params
+ * @param {Object} params.item Removed media doc
+ * @param {string} params.storagePath
+ * @param {number} params.sizeBytes Size of the deleted object
+ * @param {string} params.billingUserId Who paid for the removed item
+ * @param {(db: Object, uid: string, deltaBytes: number, options?: Object) => Promise<any>} params.addStorageUsage utils/limits
+ * @returns {Promise<number>}
+ */
+async function refundableOriginalBytes(db, { item, storagePath, sizeBytes, billingUserId, addStorageUsage }) {
+  if (item?.duplicateOf) return 0;
+  if (item?.type !== 'image' || !item?.contentHash) return sizeBytes;
+
+  let promoted = null;
+  try {
+    promoted = await promoteDuplicate(db, storagePath);
+  } catch (error) {
+    console.error(`❌ Failed to promote a duplicate of ${storagePath}:`, error);
+  }
+  if (!promoted) return sizeBytes;
+  console.log(`🔁 ${promoted.storagePath} took over from removed original ${storagePath}`);
+  if (promoted.ownerId === billingUserId) return 0;
+  if (promoted.ownerId && sizeBytes > 0) {
+    try {
+      await addStorageUsage(db, promoted.ownerId, sizeBytes, { enforceLimit: false });
+    } catch (error) {
+      console.error(`❌ Failed to bill ${promoted.ownerId} for promoted duplicate ${promoted.storagePath}:`, error);
+    }
+  }
+  return sizeBytes;
+}
+
+/**
+ * Duplicate groups in an album for the review view. Exact groups share a
+ * content hash (or point at the same original elsewhere); near groups join
+ * images within NEAR_DUPLICATE_DISTANCE bits of each other, excluding pairs
+ * that are already exact. Pairwise, which is fine for album sizes.
+ * @param {Array<Object>} items Album media docs
+ * @returns {{ exact: Array<Array<Object>>, near: Array<Array<Object>> }} Oldest item first in each group
+ */
+function groupDuplicateMedia(items) {
+  const images = items
+    .filter((item) => item.type === 'image' && item.storagePath)
+    .sort((a, b) => String(a.uploadedAt || '').localeCompare(String(b.uploadedAt || '')));
+
+  const exactKey = (item) => item.contentHash || null;
+  const exactGroups = new Map();
+  images.forEach((item) => {
+    const key = exactKey(item);
+    if (!key) return;
+    exactGroups.set(key, [...(exactGroups.get(key) || []), item]);
+  });
+  const exact = [...exactGroups.values()].filter((group) => (
+    group.length > 1 || group.some((item) => item.duplicateOf)
+  ));
+
+  // Union-find over near pairs
+  const parent = images.map((_, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  for (let i = 0; i < images.length; i += 1) {
+    if (!images[i].perceptualHash) continue;
+    for (let j = i + 1; j < images.length; j += 1) {
+      if (!images[j].perceptualHash) continue;
+      if (exactKey(images[i]) && exactKey(images[i]) === exactKey(images[j])) continue;
+      if (hammingDistance(images[i].perceptualHash, images[j].perceptualHash) <= NEAR_DUPLICATE_DISTANCE) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+  const nearGroups = new Map();
+  images.forEach((item, index) => {
+    const root = find(index);
+    nearGroups.set(root, [...(nearGroups.get(root) || []), item]);
+  });
+  const near = [...nearGroups.values()].filter((group) => (
+    group.length > 1 && new Set(group.map((item) => exactKey(item) || item.storagePath)).size > 1
+  ));
+
+  return { exact, near };
+}
+
+/**
+ * @returns {Promise<{ exact: Array<Array<Object>>, near: Array<Array<Object>> }>}
+ */
+async function listDuplicateMedia(db, albumId, albumData = null) {
+  return groupDuplicateMedia(await listAllAlbumMedia(db, albumId, albumData));
+}
+
+/**
+ * Point `storagePath` keys and download URLs of `from` at `to`, leaving
+ * everything else (Timestamps included) as it is.
+ */
+function replaceMediaReferences(value, from, to, key = null) {
+  if (typeof value === 'string') {
+    if (key === 'storagePath') return value === from.storagePath ? to.storagePath : value;
+    return value.replace(STORAGE_URL_PATTERN, (url) => (
+      storagePathFromUrl(url) === from.storagePath ? to.url : url
+    ));
+  }
+  if (Array.isArray(value)) return value.map((item) => replaceMediaReferences(item, from, to));
+  if (value && typeof value === 'object' && !(value instanceof Timestamp)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([innerKey, inner]) => [innerKey, replaceMediaReferences(inner, from, to, innerKey)])
+    );
+  }
+  return value;
+}
+
+const pageRefOf = (db, usage) => db.collection('books').doc(usage.bookId)
+  .collection('chapters').doc(usage.chapterId)
+  .collection('pages').doc(usage.pageId);
+
+/**
+ * Merge duplicates of an album into the item to keep. Pages that show a merged
+ * copy are rewritten to show the kept one and their `usedIn` references move
+ * over, so `trackMediaUsage` bookkeeping stays intact; the copies' files are
+ * then deleted and `onMediaDelete` removes their docs and refunds them.
+ * @param {Object} db
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {{ albumId: string, keepStoragePath: string, mergeStoragePaths: Array<string> }} params
+ * @returns {Promise<{ kept: Object, merged: Array<string>, pagesUpdated: number }>}
+ */
+async function mergeDuplicateMedia(db, bucket, { albumId, keepStoragePath, mergeStoragePaths }) {
+  const kept = await getAlbumMedia(db, albumId, keepStoragePath);
+  if (!kept) {
+    throw new HttpsError('not-found', 'Media item not found in album.');
+  }
+  const to = { storagePath: kept.storagePath, url: kept.url };
+
+  const merged = [];
+  let pagesUpdated = 0;
+  for (const storagePath of mergeStoragePaths) {
+    if (!storagePath || storagePath === keepStoragePath) continue;
+    const item = await getAlbumMedia(db, albumId, storagePath);
+    if (!item) continue;
+    const from = { storagePath: item.storagePath, url: item.url };
+
+    for (const usage of item.usedIn || []) {
+      const pageRef = pageRefOf(db, usage);
+      const pageSnap = await pageRef.get();
+      if (pageSnap.exists) {
+        const data = pageSnap.data() || {};
+        const changes = {};
+        Object.entries(data).forEach(([field, value]) => {
+          const next = replaceMediaReferences(value, from, to, field);
+          if (JSON.stringify(next) !== JSON.stringify(value)) changes[field] = next;
+        });
+        if (Object.keys(changes).length > 0) {
+          await pageRef.update(changes);
+          pagesUpdated += 1;
+        }
+      }
+      await addMediaUsage(db, albumId, keepStoragePath, usage);
+      await removeMediaUsage(db, albumId, storagePath, usage);
+    }
+
+    await bucket.file(storagePath).delete({ ignoreNotFound: true });
+    merged.push(storagePath);
+  }
+
+  return { kept: { ...kept, usedIn: (await getAlbumMedia(db, albumId, keepStoragePath))?.usedIn || [] }, merged, pagesUpdated };
+}
+
+module.exports = {
+  NEAR_DUPLICATE_DISTANCE,
+  computeContentHash,
+  computePerceptualHash,
+  hammingDistance,
+  hashStoredImage,
+  findExactDuplicate,
+  promoteDuplicate,
+  refundableOriginalBytes,
+  groupDuplicateMedia,
+  listDuplicateMedia,
+  replaceMediaReferences,
+  mergeDuplicateMedia,
+};
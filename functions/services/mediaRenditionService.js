@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+/**
+ * Longest edge, in pixels, of each WebP rendition made for uploaded images.
+ * The frontend picks between them (and the original) with `srcset`.
+ */
+const RENDITION_SIZES = {
+  thumb: 320,
+  medium: 960,
+  large: 1920,
+};
+const RENDITION_QUALITY = 80;
+
+// Animated and vector images would lose what makes them useful as a still WebP.
+const SKIPPED_CONTENT_TYPES = new Set(['image/gif', 'image/svg+xml']);
+
+/**
+ * @typedef {Object} MediaRendition
+ * @property {string} url
+ * @property {string} storagePath
+ * @property {number} width
+ * @property {number} height
+ * @property {number} bytes Billed to the book owner with the original
+ */
+
+/**
+ * Storage path of one rendition. Renditions live next to the `media/` folder
+ * rather than inside it, so the storage triggers ignore them:
+ * `{userId}/{bookId}/{chapterId}/{pageId}/renditions/{size}/{name}.webp`.
+ */
+function renditionStoragePath(storagePath, size) {
+  const marker = storagePath.indexOf('/media/image/');
+  if (marker < 0) {
+    throw new Error(`Not an image media path: ${storagePath}`);
+  }
+  const prefix = storagePath.slice(0, marker);
+  const filename = storagePath.slice(marker + '/media/image/'.length);
+  return `${prefix}/renditions/${size}/${filename.replace(/\.[^./]+$/, '')}.webp`;
+}
+
+function loadSharp() {
+  // Loaded lazily: only the storage trigger needs the native module.
+  return require('sharp');
+}
+
+/**
+ * Write the WebP renditions of an uploaded image. Sizes at or above the
+ * original's longest edge are skipped, apart from the thumbnail. Returns
+ * null when the file is not an image sharp can read; the original still
+ * works on its own then.
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} storagePath
+ * @param {Object} options
+ * @param {string} [options.contentType]
+ * @param {(storagePath: string, fileMetadata: Object) => Promise<string>} options.getUrl Download URL for a written rendition
+ * @returns {Promise<{ width: number, height: number, renditions: Object<string, MediaRendition>, renditionBytes: number }|null>}
+ */
+async function createImageRenditions(bucket, storagePath, { contentType = '', getUrl }) {
+  if (SKIPPED_CONTENT_TYPES.has(contentType)) return null;
+
+  const sharp = loadSharp();
+  const [buffer] = await bucket.file(storagePath).download();
+  const written = [];
+  try {
+    const metadata = await sharp(buffer).metadata();
+    // EXIF orientations 5-8 are quarter turns, so the displayed edges swap
+    const quarterTurn = (metadata.orientation || 1) >= 5;
+    const width = quarterTurn ? metadata.height : metadata.width;
+    const height = quarterTurn ? metadata.width : metadata.height;
+    const longestEdge = Math.max(width, height);
+
+    const renditions = {};
+    let renditionBytes = 0;
+    for (const [size, edge] of Object.entries(RENDITION_SIZES)) {
+      if (size !== 'thumb' && edge >= longestEdge) continue;
+      // rotate() applies the EXIF orientation before resizing
+      const { data, info } = await sharp(buffer, { failOn: 'none' })
+        .rotate()
+        .resize({ width: edge, height: edge, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: RENDITION_QUALITY })
+        .toBuffer({ resolveWithObject: true });
+
+      const path = renditionStoragePath(storagePath, size);
+      const fileMetadata = {
+        contentType: 'image/webp',
+        cacheControl: 'public, max-age=31536000',
+        metadata: { firebaseStorageDownloadTokens: crypto.randomUUID(), renditionOf: storagePath },
+      };
+      await bucket.file(path).save(data, { resumable: false, metadata: fileMetadata });
+      written.push(path);
+
+      renditions[size] = {
+        url: await getUrl(path, fileMetadata),
+        storagePath: path,
+        width: info.width,
+        height: info.height,
+        bytes: data.length,
+      };
+      renditionBytes += data.length;
+    }
+
+    return { width, height, renditions, renditionBytes };
+  } catch (error) {
+    console.warn(`⚠️ Skipping renditions for ${storagePath}:`, error?.message || error);
+    await Promise.all(written.map((path) => bucket.file(path).delete({ ignoreNotFound: true }).catch(() => null)));
+    return null;
+  }
+}
+
+/**
+ * Delete the rendition files recorded on a media item. Missing files are
+ * fine; their bytes are still returned so callers refund the whole amount.
+ * @returns {Promise<number>} Recorded rendition bytes of the item
+ */
+async function deleteRenditionFiles(bucket, item) {
+  const renditions = Object.values(item?.renditions || {}).filter((rendition) => rendition?.storagePath);
+  await Promise.all(renditions.map((rendition) => (
+    bucket.file(rendition.storagePath).delete({ ignoreNotFound: true }).catch((error) => {
+      console.warn(`⚠️ Failed to delete rendition ${rendition.storagePath}:`, error?.message || error);
+    })
+  )));
+  return Number(item?.renditionBytes) || 0;
+}
+
+module.exports = {
+  RENDITION_SIZES,
+  renditionStoragePath,
+  createImageRenditions,
+  deleteRenditionFiles,
+};
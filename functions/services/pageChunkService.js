@@ -0,0 +1,177 @@
+const { FieldValue } = require('firebase-admin/firestore');
+
+const { tokenize } = require('./searchIndexService');
+const { getEmbeddingModelId } = require('../utils/llm');
+
+// Characters per chunk and overlap between neighbours. Roughly 350 tokens,
+// well inside the embedding model's input limit even for dense text.
+const CHUNK_SIZE = 1500;
+const CHUNK_OVERLAP = 200;
+// A boundary (paragraph, sentence, space) is only used if the chunk keeps at
+// least this share of CHUNK_SIZE; otherwise the chunk is cut mid-word.
+const MIN_CHUNK_RATIO = 0.6;
+const EMBEDDING_CONCURRENCY = 4;
+const WRITE_BATCH_SIZE = 400;
+
+function chunksRef(pageRef) {
+  return pageRef.collection('chunks');
+}
+
+function chunkId(index) {
+  return `c${String(index).padStart(4, '0')}`;
+}
+
+function findBreak(text, start, end) {
+  const minEnd = start + Math.floor(CHUNK_SIZE * MIN_CHUNK_RATIO);
+  const window = text.slice(minEnd, end);
+  const patterns = [/\n\s*\n/g, /\n/g, /[.!?]["')\]]?\s/g, /\s/g];
+  for (const pattern of patterns) {
+    let lastMatch = null;
+    let match;
+    while ((match = pattern.exec(window)) !== null) lastMatch = match;
+    if (lastMatch) return minEnd + lastMatch.index + lastMatch[0].length;
+  }
+  return end;
+}
+
+/**
+ * Split page text into overlapping chunks on paragraph, sentence or word
+ * boundaries. `start`/`end` are offsets into the original `plainText`.
+ * @returns {Array<{ index: number, text: string, start: number, end: number }>}
+ */
+function splitIntoChunks(text = '') {
+  const source = String(text || '');
+  const chunks = [];
+  let start = 0;
+  while (start < source.length) {
+    while (start < source.length && /\s/.test(source[start])) start += 1;
+    if (start >= source.length) break;
+
+    const hardEnd = Math.min(source.length, start + CHUNK_SIZE);
+    const end = hardEnd === source.length ? hardEnd : findBreak(source, start, hardEnd);
+    const chunkText = source.slice(start, end).trimEnd();
+    chunks.push({ index: chunks.length, text: chunkText, start, end: start + chunkText.length });
+    if (end >= source.length) break;
+
+    // Step back for the overlap, then forward to the next word start.
+    let next = Math.max(end - CHUNK_OVERLAP, start + 1);
+    while (next < end && !/\s/.test(source[next - 1])) next += 1;
+    start = next;
+  }
+  return chunks;
+}
+
+/**
+ * The chunk of `text` that matches the most distinct query terms (then the
+ * most occurrences), for pages found by keyword search only.
+ * @returns {{ text: string, start: number, end: number, index: number } | null}
+ */
+function findPassage(text = '', query = '') {
+  const terms = new Set(tokenize(query));
+  let best = null;
+  splitIntoChunks(text).forEach((chunk) => {
+    const hits = tokenize(chunk.text).filter((token) => terms.has(token));
+    const score = new Set(hits).size * 1000 + hits.length;
+    if (!best || score > best.score) best = { chunk, score };
+  });
+  return best ? best.chunk : null;
+}
+
+function averageVectors(vectors) {
+  if (vectors.length === 0) return [];
+  const sum = new Array(vectors[0].length).fill(0);
+  vectors.forEach((vector) => vector.forEach((value, i) => { sum[i] += value; }));
+  const norm = Math.sqrt(sum.reduce((total, value) => total + value * value, 0)) || 1;
+  return sum.map((value) => value / norm);
+}
+
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let cursor = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (cursor < items.length) {
+      const index = cursor;
+      cursor += 1;
+      results[index] = await fn(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + WRITE_BATCH_SIZE).forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Embed a page as overlapping chunks in `pages/{pageId}/chunks`. Chunks whose
+ * text, offsets and embedding model are unchanged keep their stored vector,
+ * so appending to a long page only embeds the tail. Returns the normalised
+ * mean of the chunk vectors as the page-level embedding.
+ */
+async function syncPageChunks(db, { pageRef, bookId, chapterId, plainText, generateEmbeddings }) {
+  const chunks = splitIntoChunks(plainText);
+  const embeddingModel = getEmbeddingModelId();
+  const existingSnap = await chunksRef(pageRef).get();
+  const existing = new Map(existingSnap.docs.map((doc) => [doc.id, doc.data() || {}]));
+
+  const vectors = await mapWithConcurrency(chunks, EMBEDDING_CONCURRENCY, async (chunk) => {
+    const previous = existing.get(chunkId(chunk.index));
+    const unchanged = previous?.embeddings &&
+      previous.text === chunk.text &&
+      previous.start === chunk.start &&
+      previous.chapterId === chapterId &&
+      previous.embeddingModel === embeddingModel;
+    if (unchanged) {
+      return { vector: previous.embeddings.toArray(), reused: true };
+    }
+    const vector = await generateEmbeddings(chunk.text, { taskType: 'RETRIEVAL_DOCUMENT' });
+    return { vector, reused: false };
+  });
+
+  const writes = [];
+  chunks.forEach((chunk, i) => {
+    if (vectors[i].reused || !vectors[i].vector.length) return;
+    writes.push((batch) => batch.set(chunksRef(pageRef).doc(chunkId(chunk.index)), {
+      bookId,
+      chapterId,
+      pageId: pageRef.id,
+      index: chunk.index,
+      text: chunk.text,
+      start: chunk.start,
+      end: chunk.end,
+      embeddings: FieldValue.vector(vectors[i].vector),
+      embeddingModel,
+      updatedAt: FieldValue.serverTimestamp(),
+    }));
+  });
+  const keepIds = new Set(chunks.map((chunk) => chunkId(chunk.index)));
+  existingSnap.docs
+    .filter((doc) => !keepIds.has(doc.id))
+    .forEach((doc) => writes.push((batch) => batch.delete(doc.ref)));
+  await commitInBatches(db, writes);
+
+  return {
+    embeddingModel,
+    chunkCount: chunks.length,
+    embeddedCount: vectors.filter((result) => !result.reused).length,
+    pageVector: averageVectors(vectors.map((result) => result.vector).filter((vector) => vector.length)),
+  };
+}
+
+async function deletePageChunks(db, pageRef) {
+  const snapshot = await chunksRef(pageRef).select().get();
+  await commitInBatches(db, snapshot.docs.map((doc) => (batch) => batch.delete(doc.ref)));
+  return snapshot.size;
+}
+
+module.exports = {
+  splitIntoChunks,
+  findPassage,
+  syncPageChunks,
+  deletePageChunks,
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+
+/**
+ * Server side of the live-editing staleness marker. The seed doc of a page's
+ * Yjs update log (`collabUpdates/seed`) records `savedNoteHash`, the saved
+ * note the log matches. Saves made from a live session move it along in the
+ * same transaction as the page write; other writers leave it behind, and the
+ * next editor to open the page rebuilds the log from the saved note (see
+ * src/lib/collabSeed.js).
+ */
+
+const COLLAB_SEED_DOC_ID = 'seed';
+
+// Same digest as hashPageNote() in src/lib/collabSeed.js
+function pageNoteHash(note = '') {
+  return crypto.createHash('sha256').update(String(note || ''), 'utf8').digest('hex');
+}
+
+/**
+ * Write a page saved from a live session and mark its update log as matching
+ * the saved note. Pages that were never edited live have no seed to mark.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {FirebaseFirestore.DocumentReference} pageRef
+ * @param {Object} updateData Page fields, including the saved `note`
+ */
+async function updatePageFromLiveSession(db, pageRef, updateData) {
+  const seedRef = pageRef.collection('collabUpdates').doc(COLLAB_SEED_DOC_ID);
+  await db.runTransaction(async (tx) => {
+    const seedSnap = await tx.get(seedRef);
+    tx.update(pageRef, updateData);
+    if (seedSnap.exists) {
+      tx.update(seedRef, { savedNoteHash: pageNoteHash(updateData.note) });
+    }
+  });
+}
+
+module.exports = {
+  COLLAB_SEED_DOC_ID,
+  pageNoteHash,
+  updatePageFromLiveSession,
+};
@@ -0,0 +1,154 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { IDGenerator } = require('../utils/idGenerator');
+
+// Older revisions beyond this are pruned after each write.
+const MAX_PAGE_REVISIONS = 50;
+
+const REVISION_SOURCE = Object.freeze({
+  CREATE: 'create',
+  EDIT: 'edit',
+  RESTORE: 'restore',
+  BASELINE: 'baseline',
+});
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    if (typeof value.toMillis === 'function') return String(value.toMillis());
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * True when a write changed what the author sees: the note, template
+ * content or page name. Embedding and summary bookkeeping writes are ignored.
+ */
+function pageRevisionChanged(beforeData = {}, afterData = {}) {
+  return (
+    (beforeData.note || '') !== (afterData.note || '') ||
+    (beforeData.pageName || '') !== (afterData.pageName || '') ||
+    stableStringify(beforeData.content || null) !== stableStringify(afterData.content || null)
+  );
+}
+
+function pageRevisionsRef(db, { bookId, chapterId, pageId }) {
+  return db
+    .collection('books').doc(bookId)
+    .collection('chapters').doc(chapterId)
+    .collection('pages').doc(pageId)
+    .collection('revisions');
+}
+
+async function resolveAuthorName(db, authorId) {
+  if (!authorId) return null;
+  try {
+    const snap = await db.collection('users').doc(authorId).get();
+    return snap.exists ? (snap.data()?.displayName || null) : null;
+  } catch (error) {
+    console.warn('⚠️ Could not resolve revision author:', authorId, error?.message || error);
+    return null;
+  }
+}
+
+/**
+ * Page fields for a writer that knows who made the edit. `updatedBy` stays on
+ * the page after the write, so on its own it cannot tell this edit's author
+ * from the previous one; the fresh stamp marks it as set by this write.
+ * @param {string} userId
+ */
+function pageAuthorFields(userId) {
+  return { updatedBy: userId, updatedByStamp: IDGenerator.generateId('upd') };
+}
+
+/**
+ * Who made the write from `beforeData` to `afterData`, or null when the
+ * writer did not say (the Spring endpoint, direct client writes, the album
+ * duplicate merge). A new page is credited to its creator.
+ */
+function revisionAuthorId(beforeData, afterData = {}) {
+  if (!beforeData) return afterData.updatedBy || afterData.createdBy || null;
+  const stampedByThisWrite = Boolean(afterData.updatedByStamp) &&
+    afterData.updatedByStamp !== beforeData.updatedByStamp;
+  return stampedByThisWrite ? (afterData.updatedBy || null) : null;
+}
+
+async function buildRevision(db, pageData, { source, createdAt, authorId = null }) {
+  return {
+    note: pageData.note || '',
+    plainText: pageData.plainText || '',
+    pageName: pageData.pageName || '',
+    content: pageData.content || null,
+    type: pageData.type || null,
+    templateVersion: pageData.templateVersion || null,
+    authorId,
+    authorName: await resolveAuthorName(db, authorId),
+    source,
+    restoredFromRevisionId: source === REVISION_SOURCE.RESTORE ? (pageData.restoredFromRevisionId || null) : null,
+    createdAt: createdAt || FieldValue.serverTimestamp(),
+  };
+}
+
+async function pruneRevisions(revisionsRef) {
+  const staleSnap = await revisionsRef
+    .orderBy('createdAt', 'desc')
+    .offset(MAX_PAGE_REVISIONS)
+    .get();
+  if (staleSnap.empty) return 0;
+  const batch = revisionsRef.firestore.batch();
+  staleSnap.docs.forEach((doc) => batch.delete(doc.ref));
+  await batch.commit();
+  return staleSnap.size;
+}
+
+/**
+ * Snapshot a page into `pages/{pageId}/revisions` after a content change.
+ * Pages edited before history existed get their previous state saved as a
+ * baseline first, so the very first overwrite is recoverable too.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ bookId: string, chapterId: string, pageId: string }} params
+ * @param {Object|null} beforeData page data before the write (null on create)
+ * @param {Object} afterData page data after the write
+ * @returns {Promise<string|null>} the new revision id, or null when nothing changed
+ */
+async function recordPageRevision(db, params, beforeData, afterData) {
+  if (beforeData && !pageRevisionChanged(beforeData, afterData)) return null;
+
+  const revisionsRef = pageRevisionsRef(db, params);
+
+  if (beforeData) {
+    const existingSnap = await revisionsRef.limit(1).get();
+    if (existingSnap.empty) {
+      // Whoever last wrote the page before history existed is not known.
+      const baseline = await buildRevision(db, beforeData, {
+        source: REVISION_SOURCE.BASELINE,
+        createdAt: beforeData.updatedAt || beforeData.createdAt || null,
+      });
+      await revisionsRef.doc(IDGenerator.generateId('rev')).set(baseline);
+    }
+  }
+
+  let source = beforeData ? REVISION_SOURCE.EDIT : REVISION_SOURCE.CREATE;
+  if (afterData.restoredFromRevisionId &&
+    afterData.restoredFromRevisionId !== beforeData?.restoredFromRevisionId) {
+    source = REVISION_SOURCE.RESTORE;
+  }
+
+  const revisionId = IDGenerator.generateId('rev');
+  await revisionsRef.doc(revisionId).set(await buildRevision(db, afterData, {
+    source,
+    authorId: revisionAuthorId(beforeData, afterData),
+  }));
+  await pruneRevisions(revisionsRef);
+  return revisionId;
+}
+
+module.exports = {
+  MAX_PAGE_REVISIONS,
+  REVISION_SOURCE,
+  pageAuthorFields,
+  pageRevisionChanged,
+  pageRevisionsRef,
+  recordPageRevision,
+  revisionAuthorId,
+};
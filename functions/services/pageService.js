@@ -2,6 +2,7 @@ const { FieldValue } = require('firebase-admin/firestore');
 const { extractTextFromHtml } = require('../utils/embeddingsClient');
 const { updateChapterPageSummary } = require('../utils/chapterUtils');
 const { assertAndIncrementCounter, resolveUserPlanLimits } = require('../utils/limits');
+const { resolveMemberRole, canEditAsRole } = require('../modules/collab/models/collabTypes');
 
 const escapeHtml = (value = '') =>
   String(value)
@@ -96,10 +97,9 @@ const createChapterPage = async ({ db, userId, bookId, chapterId, markdown }) =>
     }
 
     const bookData = bookDoc.data() || {};
-    const isOwner = bookData.ownerId === userId;
-    const isMember = bookData.members && bookData.members[userId];
-    if (!isOwner && !isMember) {
-      throw new Error('You do not have access to this book.');
+    const memberRole = resolveMemberRole(bookData, userId);
+    if (!canEditAsRole(memberRole)) {
+      throw new Error('You do not have edit access to this book.');
     }
 
     const chapterRef = bookRef.collection('chapters').doc(chapterId);
@@ -152,6 +152,8 @@ const createChapterPage = async ({ db, userId, bookId, chapterId, markdown }) =>
       createdAt: FieldValue.serverTimestamp(),
       updatedAt: FieldValue.serverTimestamp(),
       createdBy: userId,
+      bookId,
+      chapterId,
     };
 
     const pageRef = await chapterRef.collection('pages').add(pageData);
@@ -0,0 +1,204 @@
+/**
+ * EXIF handling for uploaded photos: read the capture date, camera and GPS
+ * position, turn the original upright and drop its location unless the book
+ * owner opted in (`profile.keepPhotoLocation`).
+ *
+ * Fixing a photo means overwriting the original at the same path, keeping its
+ * custom metadata (and so its download token and URL). The rewrite carries
+ * `exifProcessed` plus the EXIF summary read before stripping, because the
+ * stripped file no longer has it; the upload trigger records the photo on
+ * that second finalize event.
+ */
+
+// Formats sharp can write back without changing the file type
+const REWRITE_OPTIONS = {
+  jpeg: { quality: 92 },
+  png: {},
+  webp: { quality: 92 },
+  tiff: {},
+};
+
+// Camera clocks that were never set report 1970 or 0000; not a capture date
+const EARLIEST_CAPTURE_YEAR = 1990;
+
+/**
+ * @typedef {Object} PhotoExif
+ * @property {string|null} capturedAt Camera wall-clock time as `YYYY-MM-DDTHH:mm:ss`,
+ *   with the UTC offset appended when the camera recorded one
+ * @property {number} orientation EXIF orientation, 1 when upright
+ * @property {{ make: string|null, model: string|null }|null} camera
+ * @property {{ latitude: number, longitude: number }|null} location
+ */
+
+function loadExifReader() {
+  // Loaded lazily like sharp: only the storage trigger needs them.
+  return require('exif-reader');
+}
+
+function loadSharp() {
+  return require('sharp');
+}
+
+const cleanString = (value) => {
+  const text = typeof value === 'string' ? value.replace(/\0/g, '').trim() : '';
+  return text || null;
+};
+
+function formatCaptureDate(value, offset) {
+  if (!(value instanceof Date) || Number.isNaN(value.getTime())) return null;
+  const year = value.getUTCFullYear();
+  if (year < EARLIEST_CAPTURE_YEAR || value.getTime() > Date.now() + 24 * 60 * 60 * 1000) return null;
+  // exif-reader reads the wall-clock time as if it were UTC
+  const wallClock = value.toISOString().slice(0, 19);
+  return /^[+-]\d{2}:\d{2}$/.test(offset || '') ? `${wallClock}${offset}` : wallClock;
+}
+
+function toDegrees(dms, ref) {
+  if (!Array.isArray(dms) || dms.length < 3 || !dms.every(Number.isFinite)) return null;
+  const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+  return ref === 'S' || ref === 'W' ? -degrees : degrees;
+}
+
+/**
+ * Summarize the EXIF block sharp returns as `metadata.exif`.
+ * @param {Buffer|undefined} exifBuffer
+ * @returns {PhotoExif|null} null when there is no readable EXIF
+ */
+function readPhotoExif(exifBuffer) {
+  if (!exifBuffer || !exifBuffer.length) return null;
+  let tags;
+  try {
+    tags = loadExifReader()(exifBuffer);
+  } catch (error) {
+    console.warn('⚠️ Unreadable EXIF block:', error?.message || error);
+    return null;
+  }
+  const image = tags.Image || {};
+  const photo = tags.Photo || {};
+  const gps = tags.GPSInfo || {};
+
+  const make = cleanString(image.Make);
+  const model = cleanString(image.Model);
+  const latitude = toDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+  const longitude = toDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+
+  return {
+    capturedAt: formatCaptureDate(photo.DateTimeOriginal, photo.OffsetTimeOriginal)
+      || formatCaptureDate(photo.DateTimeDigitized, photo.OffsetTimeDigitized)
+      || formatCaptureDate(image.DateTime, photo.OffsetTime),
+    orientation: Number(image.Orientation) || 1,
+    camera: make || model ? { make, model } : null,
+    location: latitude !== null && longitude !== null ? { latitude, longitude } : null,
+  };
+}
+
+/**
+ * Fields recorded on the album media doc. Location is only kept when the owner
+ * opted in; missing values are left out so a refresh does not erase them.
+ * @param {PhotoExif|null} exif
+ * @param {{ keepLocation?: boolean }} [options]
+ */
+function photoExifFields(exif, { keepLocation = false } = {}) {
+  if (!exif) return {};
+  const fields = {};
+  if (exif.capturedAt) fields.capturedAt = exif.capturedAt;
+  if (exif.camera) fields.camera = exif.camera;
+  if (keepLocation && exif.location) fields.location = exif.location;
+  return fields;
+}
+
+function parseStoredExif(value) {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read an uploaded photo's EXIF and, when it is rotated or carries a location
+ * the owner did not opt in to keep, overwrite it upright and without that
+ * metadata. Rewritten photos are left alone on their next finalize event.
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} storagePath
+ * @param {Object} options
+ * @param {string} [options.contentType]
+ * @param {Object<string, string>} [options.customMetadata] Custom metadata of the uploaded object
+ * @param {boolean} [options.keepLocation]
+ * @returns {Promise<{ exif: PhotoExif|null, rewritten: boolean }>}
+ */
+async function normalizeUploadedPhoto(bucket, storagePath, { contentType = '', customMetadata = {}, keepLocation = false } = {}) {
+  if (customMetadata.exifProcessed === 'true') {
+    return { exif: parseStoredExif(customMetadata.photoExif), rewritten: false };
+  }
+
+  const sharp = loadSharp();
+  const file = bucket.file(storagePath);
+  const [buffer] = await file.download();
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    console.warn(`⚠️ Skipping EXIF for ${storagePath}:`, error?.message || error);
+    return { exif: null, rewritten: false };
+  }
+
+  const exif = readPhotoExif(metadata.exif);
+  const rotated = (metadata.orientation || 1) > 1;
+  const leaksLocation = Boolean(exif?.location) && !keepLocation;
+  const rewriteOptions = REWRITE_OPTIONS[metadata.format];
+  if (!exif || !rewriteOptions || (!rotated && !leaksLocation)) {
+    return { exif, rewritten: false };
+  }
+
+  try {
+    let pipeline = sharp(buffer, { failOn: 'none' }).rotate();
+    // keepMetadata resets the orientation tag after rotate(); keepIccProfile drops EXIF entirely
+    pipeline = keepLocation ? pipeline.keepMetadata() : pipeline.keepIccProfile();
+    const data = await pipeline.toFormat(metadata.format, rewriteOptions).toBuffer();
+
+    const stored = { ...exif, orientation: 1, location: keepLocation ? exif.location : null };
+    await file.save(data, {
+      resumable: false,
+      metadata: {
+        contentType: contentType || `image/${metadata.format}`,
+        metadata: {
+          ...customMetadata,
+          exifProcessed: 'true',
+          photoExif: JSON.stringify(stored),
+        },
+      },
+    });
+    console.log(`🧭 Rewrote ${storagePath} (rotated=${rotated}, locationStripped=${leaksLocation})`);
+    return { exif: stored, rewritten: true };
+  } catch (error) {
+    console.warn(`⚠️ Failed to rewrite ${storagePath}; keeping the original:`, error?.message || error);
+    return { exif, rewritten: false };
+  }
+}
+
+/**
+ * Whether a deleted object generation was just overwritten by its normalized
+ * rewrite, in which case the delete trigger must leave the album alone.
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} storagePath
+ * @param {Object<string, string>} [deletedCustomMetadata] Custom metadata of the deleted generation
+ */
+async function wasReplacedByNormalizedPhoto(bucket, storagePath, deletedCustomMetadata = {}) {
+  if (deletedCustomMetadata.exifProcessed === 'true') return false;
+  try {
+    const [liveMetadata] = await bucket.file(storagePath).getMetadata();
+    return liveMetadata?.metadata?.exifProcessed === 'true';
+  } catch (error) {
+    // Not found: a real deletion
+    return false;
+  }
+}
+
+module.exports = {
+  readPhotoExif,
+  photoExifFields,
+  normalizeUploadedPhoto,
+  wasReplacedByNormalizedPhoto,
+};
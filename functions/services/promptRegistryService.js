@@ -0,0 +1,203 @@
+const { HttpsError } = require('firebase-functions/v2/https');
+const { FieldValue } = require('firebase-admin/firestore');
+const { PROMPT_DEFINITIONS, findTemplateProblems } = require('../utils/prompts');
+
+const PROMPTS_COLLECTION = 'promptRegistry';
+const VERSIONS_SUBCOLLECTION = 'versions';
+// The built-in template in utils/prompts.js; never stored.
+const DEFAULT_VERSION = 0;
+const MAX_NOTE_LENGTH = 200;
+const MAX_TEMPLATE_LENGTH = 20000;
+const VERSIONS_LISTED = 20;
+// Instances pick up an activation within this long.
+const CACHE_TTL_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} PromptRegistryDoc
+ * Stored at `promptRegistry/{promptId}`. Only Cloud Functions read or write these.
+ * @property {number} activeVersion 0 for the built-in template
+ * @property {string|null} activeTemplate Copy of the active version's template (null for 0), so callers read one doc
+ * @property {number} latestVersion
+ * @property {any} updatedAt
+ * @property {string} updatedBy
+ *
+ * Versions live at `promptRegistry/{promptId}/versions/{version}`:
+ * `{ version, template, note, createdAt, createdBy }`.
+ */
+
+const cache = new Map();
+
+// Same custom claim recalculateStorageUsage and the Firestore rules check.
+function requireAdmin(auth) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated.');
+  }
+  if (auth.token?.admin !== true) {
+    throw new HttpsError('permission-denied', 'Only administrators can manage prompts.');
+  }
+}
+
+function requireDefinition(promptId) {
+  const definition = PROMPT_DEFINITIONS[promptId];
+  if (!definition) {
+    throw new HttpsError('invalid-argument', `Unknown prompt "${promptId}".`);
+  }
+  return definition;
+}
+
+function promptRef(db, promptId) {
+  return db.collection(PROMPTS_COLLECTION).doc(promptId);
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return null;
+}
+
+/**
+ * Template the AI callables should use for `promptId`: the version an admin
+ * activated, else the built-in one. Falls back to the built-in template when
+ * the registry cannot be read, so a Firestore hiccup never blocks AI calls.
+ * @returns {Promise<{ template: string, version: number }>}
+ */
+async function getActivePrompt(db, promptId) {
+  const definition = requireDefinition(promptId);
+  const cached = cache.get(promptId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.value;
+  }
+
+  let value = { template: definition.template, version: DEFAULT_VERSION };
+  try {
+    const snapshot = await promptRef(db, promptId).get();
+    const data = snapshot.exists ? snapshot.data() || {} : {};
+    if (data.activeVersion && data.activeTemplate) {
+      value = { template: data.activeTemplate, version: data.activeVersion };
+    }
+  } catch (error) {
+    console.error(`Failed to read prompt registry for ${promptId}; using the built-in template:`, error);
+  }
+  cache.set(promptId, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  return value;
+}
+
+/**
+ * Every registered prompt with its built-in template, active version and
+ * latest saved versions (newest first), for the admin editor.
+ */
+async function listPrompts(db) {
+  return Promise.all(Object.entries(PROMPT_DEFINITIONS).map(async ([promptId, definition]) => {
+    const ref = promptRef(db, promptId);
+    const [snapshot, versionsSnap] = await Promise.all([
+      ref.get(),
+      ref.collection(VERSIONS_SUBCOLLECTION).orderBy('version', 'desc').limit(VERSIONS_LISTED).get(),
+    ]);
+    const data = snapshot.exists ? snapshot.data() || {} : {};
+    return {
+      promptId,
+      label: definition.label,
+      description: definition.description,
+      variables: definition.variables,
+      required: definition.required,
+      defaultTemplate: definition.template,
+      activeVersion: data.activeVersion || DEFAULT_VERSION,
+      latestVersion: data.latestVersion || DEFAULT_VERSION,
+      updatedAt: toMillis(data.updatedAt),
+      updatedBy: data.updatedBy || null,
+      versions: versionsSnap.docs.map((doc) => {
+        const version = doc.data() || {};
+        return {
+          version: version.version,
+          template: version.template,
+          note: version.note || '',
+          createdAt: toMillis(version.createdAt),
+          createdBy: version.createdBy || null,
+        };
+      }),
+    };
+  }));
+}
+
+/**
+ * Store `template` as the next version of `promptId` and, unless
+ * `activate` is false, make it the active one.
+ * @returns {Promise<{ promptId: string, version: number, activeVersion: number }>}
+ */
+async function savePromptVersion(db, { promptId, template, note = '', userId, activate = true }) {
+  requireDefinition(promptId);
+  const text = typeof template === 'string' ? template : '';
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    throw new HttpsError('invalid-argument', `Templates are limited to ${MAX_TEMPLATE_LENGTH} characters.`);
+  }
+  const problems = findTemplateProblems(promptId, text);
+  if (problems.length) {
+    throw new HttpsError('invalid-argument', problems.join(' '));
+  }
+
+  const ref = promptRef(db, promptId);
+  const result = await db.runTransaction(async (tx) => {
+    const snapshot = await tx.get(ref);
+    const data = snapshot.exists ? snapshot.data() || {} : {};
+    const version = (data.latestVersion || DEFAULT_VERSION) + 1;
+    tx.set(ref.collection(VERSIONS_SUBCOLLECTION).doc(String(version)), {
+      version,
+      template: text,
+      note: String(note || '').trim().slice(0, MAX_NOTE_LENGTH),
+      createdAt: FieldValue.serverTimestamp(),
+      createdBy: userId,
+    });
+    const activeVersion = activate ? version : (data.activeVersion || DEFAULT_VERSION);
+    tx.set(ref, {
+      latestVersion: version,
+      activeVersion,
+      activeTemplate: activate ? text : (data.activeTemplate || null),
+      updatedAt: FieldValue.serverTimestamp(),
+      updatedBy: userId,
+    }, { merge: true });
+    return { promptId, version, activeVersion };
+  });
+  cache.delete(promptId);
+  return result;
+}
+
+/**
+ * Make a saved version (or 0, the built-in template) active again; this is
+ * how admins roll back a prompt change.
+ * @returns {Promise<{ promptId: string, activeVersion: number }>}
+ */
+async function activatePromptVersion(db, { promptId, version, userId }) {
+  requireDefinition(promptId);
+  const target = Number(version);
+  if (!Number.isInteger(target) || target < DEFAULT_VERSION) {
+    throw new HttpsError('invalid-argument', 'A valid version number is required.');
+  }
+
+  let activeTemplate = null;
+  if (target !== DEFAULT_VERSION) {
+    const versionSnap = await promptRef(db, promptId).collection(VERSIONS_SUBCOLLECTION).doc(String(target)).get();
+    if (!versionSnap.exists) {
+      throw new HttpsError('not-found', `Version ${target} of "${promptId}" was not found.`);
+    }
+    activeTemplate = versionSnap.data()?.template || null;
+  }
+
+  await promptRef(db, promptId).set({
+    activeVersion: target,
+    activeTemplate,
+    updatedAt: FieldValue.serverTimestamp(),
+    updatedBy: userId,
+  }, { merge: true });
+  cache.delete(promptId);
+  return { promptId, activeVersion: target };
+}
+
+module.exports = {
+  PROMPTS_COLLECTION,
+  DEFAULT_VERSION,
+  requireAdmin,
+  getActivePrompt,
+  listPrompts,
+  savePromptVersion,
+  activatePromptVersion,
+};
@@ -47,6 +47,8 @@ const streamRagAnswer = async ({
   bookPagesRetriever,
   messages,
   userId,
+  bookId,
+  chapterId,
   hasChapterContext,
   useRetriever,
   isClosed,
@@ -66,6 +68,8 @@ const streamRagAnswer = async ({
       bookPagesRetriever,
       messages,
       userId,
+      bookId,
+      chapterId,
     });
     history = basePayload.history;
     sources = basePayload.sources;
@@ -0,0 +1,260 @@
+const { AggregateField, FieldPath, FieldValue } = require('firebase-admin/firestore');
+
+// Standard BM25 parameters.
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Reciprocal rank fusion damping; 60 is the value from the original paper.
+const RRF_K = 60;
+const MAX_TERM_LENGTH = 40;
+const MAX_QUERY_TERMS = 12;
+// Postings keep the page length they were written with; past this relative
+// change every posting of the page is refreshed.
+const LENGTH_DRIFT_RATIO = 0.25;
+// Prefix matching (search-as-you-type) expands the last query term to at most
+// this many indexed terms, and only once it has this many characters.
+const MAX_PREFIX_EXPANSIONS = 20;
+const MIN_PREFIX_LENGTH = 2;
+// Cap on the terms prefixTerms() returns for one text (a media caption).
+const MAX_PREFIX_TERMS = 100;
+const WRITE_BATCH_SIZE = 450;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for',
+  'from', 'had', 'has', 'have', 'he', 'her', 'him', 'his', 'how', 'i', 'if', 'in',
+  'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they', 'this', 'to',
+  'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'would', 'you', 'your',
+]);
+
+/**
+ * Lower-cased, accent-folded word tokens with stopwords removed. Digits are
+ * kept (dates and ages matter in journals); other one-letter words are not.
+ * Tokens only contain letters and digits, so they are safe document ids.
+ */
+function tokenize(text = '') {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((token) => (
+      token &&
+      token.length <= MAX_TERM_LENGTH &&
+      !STOPWORDS.has(token) &&
+      (token.length > 1 || /\d/.test(token))
+    ));
+}
+
+/**
+ * Tokens of a short text plus each token's prefixes from MIN_PREFIX_LENGTH
+ * characters. Stored as an array, one `array-contains` query then finds the
+ * text by any query term, including the last, partly typed one.
+ */
+function prefixTerms(text = '') {
+  const terms = new Set();
+  tokenize(text).forEach((token) => {
+    terms.add(token);
+    for (let end = MIN_PREFIX_LENGTH; end < token.length; end += 1) {
+      terms.add(token.slice(0, end));
+    }
+  });
+  return [...terms].slice(0, MAX_PREFIX_TERMS);
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  tokens.forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+function searchTermsRef(db, bookId) {
+  return db.collection('books').doc(bookId).collection('searchTerms');
+}
+
+function searchDocsRef(db, bookId) {
+  return db.collection('books').doc(bookId).collection('searchDocs');
+}
+
+async function commitInBatches(db, writes) {
+  for (let i = 0; i < writes.length; i += WRITE_BATCH_SIZE) {
+    const batch = db.batch();
+    writes.slice(i, i + WRITE_BATCH_SIZE).forEach((write) => write(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Refresh a page's entries in the book's keyword index:
+ * `searchTerms/{term}.postings.{pageId}` holds term frequency and page length,
+ * `searchDocs/{pageId}` remembers what the page was last indexed with.
+ * Only terms whose frequency changed are rewritten; all postings are
+ * rewritten when the page length drifts far enough to matter for BM25.
+ * Pass empty text to remove the page.
+ */
+async function indexPageText(db, { bookId, chapterId, pageId, text }) {
+  const tokens = tokenize(text);
+  const counts = countTerms(tokens);
+  const docRef = searchDocsRef(db, bookId).doc(pageId);
+  const termsRef = searchTermsRef(db, bookId);
+
+  const previousSnap = await docRef.get();
+  const previous = previousSnap.exists ? (previousSnap.data() || {}) : null;
+  const previousCounts = previous?.termCounts || {};
+  const rewriteAll = !previous ||
+    previous.chapterId !== chapterId ||
+    Math.abs(tokens.length - (previous.length || 0)) > LENGTH_DRIFT_RATIO * (previous.length || 0);
+  const indexedLength = rewriteAll ? tokens.length : previous.length;
+
+  const writes = Object.keys(previousCounts)
+    .filter((term) => !counts.has(term))
+    .map((term) => (batch) => batch.set(
+      termsRef.doc(term),
+      { postings: { [pageId]: FieldValue.delete() } },
+      { merge: true }
+    ));
+  counts.forEach((tf, term) => {
+    if (!rewriteAll && previousCounts[term] === tf) return;
+    writes.push((batch) => batch.set(
+      termsRef.doc(term),
+      { postings: { [pageId]: { chapterId, tf, len: indexedLength } } },
+      { merge: true }
+    ));
+  });
+  if (counts.size === 0) {
+    if (previous) writes.push((batch) => batch.delete(docRef));
+  } else if (rewriteAll || writes.length > 0) {
+    writes.push((batch) => batch.set(docRef, {
+      chapterId,
+      length: indexedLength,
+      termCounts: Object.fromEntries(counts),
+      updatedAt: FieldValue.serverTimestamp(),
+    }));
+  }
+
+  await commitInBatches(db, writes);
+  return { terms: counts.size, writes: writes.length };
+}
+
+function removePageFromIndex(db, { bookId, pageId }) {
+  return indexPageText(db, { bookId, chapterId: null, pageId, text: '' });
+}
+
+/**
+ * BM25 over one book's postings. `postingsByTerm` has one postings map per
+ * query term. Returns Map pageId -> { score, chapterId }.
+ */
+function scoreBm25(postingsByTerm, { docCount, avgLength }) {
+  const scores = new Map();
+  postingsByTerm.forEach((postings) => {
+    const entries = Object.entries(postings || {});
+    if (entries.length === 0) return;
+    const totalDocs = Math.max(docCount || 0, entries.length);
+    const idf = Math.log(1 + (totalDocs - entries.length + 0.5) / (entries.length + 0.5));
+    entries.forEach(([pageId, posting]) => {
+      const tf = Number(posting?.tf) || 0;
+      if (tf <= 0) return;
+      const lengthRatio = (Number(posting?.len) || 0) / (avgLength || 1);
+      const termScore = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      const current = scores.get(pageId);
+      scores.set(pageId, {
+        score: (current?.score || 0) + termScore,
+        chapterId: posting?.chapterId || current?.chapterId || null,
+      });
+    });
+  });
+  return scores;
+}
+
+/**
+ * Postings of every indexed term starting with `prefix`, merged into one map
+ * (highest tf wins per page) so the expansions count as a single query term.
+ */
+async function loadPrefixPostings(termsRef, prefix) {
+  const snapshot = await termsRef
+    .where(FieldPath.documentId(), '>=', prefix)
+    .where(FieldPath.documentId(), '<', `${prefix}\uf8ff`)
+    .limit(MAX_PREFIX_EXPANSIONS)
+    .get();
+  const merged = {};
+  snapshot.docs.forEach((doc) => {
+    Object.entries(doc.data()?.postings || {}).forEach(([pageId, posting]) => {
+      if (!merged[pageId] || (Number(posting?.tf) || 0) > (Number(merged[pageId].tf) || 0)) {
+        merged[pageId] = posting;
+      }
+    });
+  });
+  return merged;
+}
+
+/**
+ * Keyword search across books. Each book is scored against its own
+ * statistics, which keeps the index free of cross-book counters.
+ * With `matchPrefix` the last query term also matches longer indexed terms
+ * ("grand" finds "grandma"), for search-as-you-type.
+ * @returns {Promise<Array<{ bookId: string, chapterId: string, pageId: string, score: number }>>}
+ */
+async function searchPagesByKeyword(db, { bookIds, chapterId, query, limit, matchPrefix = false }) {
+  const queryTerms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+  if (queryTerms.length === 0 || !bookIds?.length) {
+    return [];
+  }
+  const lastTerm = queryTerms[queryTerms.length - 1];
+  const prefix = matchPrefix && lastTerm.length >= MIN_PREFIX_LENGTH ? lastTerm : null;
+  const exactTerms = prefix ? queryTerms.slice(0, -1) : queryTerms;
+
+  const perBook = await Promise.all(bookIds.map(async (bookId) => {
+    const termsRef = searchTermsRef(db, bookId);
+    const [statsSnap, termDocs, prefixPostings] = await Promise.all([
+      searchDocsRef(db, bookId)
+        .aggregate({ docCount: AggregateField.count(), totalLength: AggregateField.sum('length') })
+        .get(),
+      exactTerms.length ? db.getAll(...exactTerms.map((term) => termsRef.doc(term))) : [],
+      prefix ? loadPrefixPostings(termsRef, prefix) : null,
+    ]);
+    const { docCount = 0, totalLength = 0 } = statsSnap.data() || {};
+    const postingsByTerm = termDocs.map((doc) => (doc.exists ? doc.data()?.postings : null));
+    if (prefixPostings) postingsByTerm.push(prefixPostings);
+    const scores = scoreBm25(
+      postingsByTerm,
+      { docCount, avgLength: docCount ? totalLength / docCount : 0 }
+    );
+    return [...scores.entries()]
+      .filter(([, hit]) => hit.chapterId && (!chapterId || hit.chapterId === chapterId))
+      .map(([pageId, hit]) => ({ bookId, chapterId: hit.chapterId, pageId, score: hit.score }));
+  }));
+
+  return perBook
+    .flat()
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Reciprocal rank fusion: merges ranked lists of keys into one ranking
+ * without needing their scores to be comparable.
+ * @param {string[][]} rankings
+ * @returns {Array<{ key: string, score: number }>}
+ */
+function reciprocalRankFusion(rankings, { k = RRF_K } = {}) {
+  const fused = new Map();
+  rankings.forEach((ranking) => {
+    ranking.forEach((key, index) => {
+      fused.set(key, (fused.get(key) || 0) + 1 / (k + index + 1));
+    });
+  });
+  return [...fused.entries()]
+    .map(([key, score]) => ({ key, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  tokenize,
+  prefixTerms,
+  indexPageText,
+  removePageFromIndex,
+  scoreBm25,
+  searchPagesByKeyword,
+  reciprocalRankFusion,
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const sanitizeHtml = require('sanitize-html');
+const { HttpsError } = require('firebase-functions/v2/https');
+const { FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { loadBookTree } = require('./bookExportService');
+const { resolveMemberRole, MEMBER_ROLE } = require('../modules/collab/models/collabTypes');
+
+const SHARE_LINK_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+});
+
+const TOKEN_BYTES = 24;
+const MAX_LINKS_PER_BOOK = 20;
+const MAX_EXPIRY_DAYS = 365;
+const MAX_LABEL_LENGTH = 80;
+const MIN_PASSCODE_LENGTH = 4;
+const MAX_PASSCODE_LENGTH = 64;
+// A passcode link locks after this many wrong guesses; the owner can make a new one.
+const MAX_PASSCODE_ATTEMPTS = 10;
+const SCRYPT_KEY_LENGTH = 32;
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+/**
+ * @typedef {Object} ShareLinkDoc
+ * Stored at `shareLinks/{token}`. Only Cloud Functions read or write these.
+ * @property {string} bookId
+ * @property {string} ownerId
+ * @property {string} label
+ * @property {'active'|'revoked'} status
+ * @property {string|null} passcodeHash `scrypt$<salt>$<hash>`, null when the link is open
+ * @property {number} failedPasscodeAttempts
+ * @property {any} expiresAt null for links that never expire
+ * @property {number} accessCount
+ * @property {any} lastAccessedAt
+ * @property {any} createdAt
+ * @property {any} revokedAt
+ */
+
+function shareLinksRef(db) {
+  return db.collection('shareLinks');
+}
+
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return null;
+}
+
+function requireToken(token) {
+  if (typeof token !== 'string' || !TOKEN_PATTERN.test(token)) {
+    throw new HttpsError('invalid-argument', 'A valid share token is required.');
+  }
+  return token;
+}
+
+function hashPasscode(passcode) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = crypto.scryptSync(passcode, salt, SCRYPT_KEY_LENGTH).toString('base64url');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function passcodeMatches(passcode, stored = '') {
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = crypto.scryptSync(String(passcode), salt, SCRYPT_KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+function isLinkLive(link, nowMs = Date.now()) {
+  if (!link || link.status !== SHARE_LINK_STATUS.ACTIVE) return false;
+  const expiresAtMs = toMillis(link.expiresAt);
+  return !expiresAtMs || expiresAtMs > nowMs;
+}
+
+async function loadOwnedBook(db, bookId, uid) {
+  const bookSnap = await db.collection('books').doc(bookId).get();
+  if (!bookSnap.exists) {
+    throw new HttpsError('not-found', 'Book not found.');
+  }
+  const bookData = bookSnap.data() || {};
+  if (resolveMemberRole(bookData, uid) !== MEMBER_ROLE.OWNER) {
+    throw new HttpsError('permission-denied', 'Only the book owner can manage share links.');
+  }
+  return bookData;
+}
+
+function formatShareLinkForOwner(token, data = {}) {
+  return {
+    token,
+    bookId: data.bookId,
+    label: data.label || '',
+    status: isLinkLive(data) ? SHARE_LINK_STATUS.ACTIVE : (data.status === SHARE_LINK_STATUS.REVOKED ? SHARE_LINK_STATUS.REVOKED : 'expired'),
+    hasPasscode: !!data.passcodeHash,
+    locked: (data.failedPasscodeAttempts || 0) >= MAX_PASSCODE_ATTEMPTS,
+    expiresAt: toMillis(data.expiresAt),
+    createdAt: toMillis(data.createdAt),
+    lastAccessedAt: toMillis(data.lastAccessedAt),
+    accessCount: data.accessCount || 0,
+  };
+}
+
+/**
+ * Create a share link for a book the caller owns.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ bookId: string, uid: string, label?: string, expiresInDays?: number, passcode?: string }} params
+ */
+async function createShareLink(db, { bookId, uid, label = '', expiresInDays = null, passcode = '' }) {
+  const days = expiresInDays === null || expiresInDays === undefined || expiresInDays === '' ? null : Number(expiresInDays);
+  if (days !== null && (!Number.isFinite(days) || days <= 0 || days > MAX_EXPIRY_DAYS)) {
+    throw new HttpsError('invalid-argument', `Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days.`);
+  }
+  const trimmedPasscode = typeof passcode === 'string' ? passcode.trim() : '';
+  if (trimmedPasscode && (trimmedPasscode.length < MIN_PASSCODE_LENGTH || trimmedPasscode.length > MAX_PASSCODE_LENGTH)) {
+    throw new HttpsError(
+      'invalid-argument',
+      `Passcodes must be ${MIN_PASSCODE_LENGTH}-${MAX_PASSCODE_LENGTH} characters.`
+    );
+  }
+
+  await loadOwnedBook(db, bookId, uid);
+
+  const existingSnap = await shareLinksRef(db).where('bookId', '==', bookId).get();
+  const liveCount = existingSnap.docs.filter((docSnap) => isLinkLive(docSnap.data())).length;
+  if (liveCount >= MAX_LINKS_PER_BOOK) {
+    throw new HttpsError('resource-exhausted', `A book can have up to ${MAX_LINKS_PER_BOOK} active share links. Revoke one first.`);
+  }
+
+  const token = crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+  /** @type {ShareLinkDoc} */
+  const link = {
+    bookId,
+    ownerId: uid,
+    label: typeof label === 'string' ? label.trim().slice(0, MAX_LABEL_LENGTH) : '',
+    status: SHARE_LINK_STATUS.ACTIVE,
+    passcodeHash: trimmedPasscode ? hashPasscode(trimmedPasscode) : null,
+    failedPasscodeAttempts: 0,
+    expiresAt: days ? Timestamp.fromMillis(Date.now() + days * 24 * 60 * 60 * 1000) : null,
+    accessCount: 0,
+    lastAccessedAt: null,
+    createdAt: FieldValue.serverTimestamp(),
+    revokedAt: null,
+  };
+  await shareLinksRef(db).doc(token).set(link);
+
+  return formatShareLinkForOwner(token, { ...link, createdAt: Timestamp.now() });
+}
+
+async function listShareLinks(db, { bookId, uid }) {
+  await loadOwnedBook(db, bookId, uid);
+  const snap = await shareLinksRef(db).where('bookId', '==', bookId).get();
+  return snap.docs
+    .map((docSnap) => formatShareLinkForOwner(docSnap.id, docSnap.data() || {}))
+    .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+async function revokeShareLink(db, { token, uid }) {
+  const linkRef = shareLinksRef(db).doc(requireToken(token));
+  const linkSnap = await linkRef.get();
+  if (!linkSnap.exists) {
+    throw new HttpsError('not-found', 'Share link not found.');
+  }
+  const link = linkSnap.data() || {};
+  await loadOwnedBook(db, link.bookId, uid);
+
+  if (link.status !== SHARE_LINK_STATUS.REVOKED) {
+    await linkRef.update({
+      status: SHARE_LINK_STATUS.REVOKED,
+      revokedAt: FieldValue.serverTimestamp(),
+    });
+  }
+  return formatShareLinkForOwner(token, { ...link, status: SHARE_LINK_STATUS.REVOKED });
+}
+
+// Markup the page editor (BlockNote) writes; everything else is dropped.
+const PAGE_HTML_OPTIONS = {
+  allowedTags: [
+    'div', 'p', 'span', 'br', 'hr',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'strong', 'b', 'em', 'i', 'u', 's', 'del', 'mark', 'sub', 'sup', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li',
+    'a', 'img', 'video', 'figure', 'figcaption',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+  ],
+  allowedAttributes: {
+    '*': ['class', 'data-*', 'style'],
+    a: ['href', 'title', 'target', 'rel'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    video: ['src', 'poster', 'controls', 'width', 'height'],
+    th: ['colspan', 'rowspan'],
+    td: ['colspan', 'rowspan'],
+  },
+  allowedStyles: {
+    '*': {
+      color: [/^#[0-9a-f]{3,8}$/i, /^rgba?\([\d\s.,%]+\)$/i, /^[a-z]+$/i],
+      'background-color': [/^#[0-9a-f]{3,8}$/i, /^rgba?\([\d\s.,%]+\)$/i, /^[a-z]+$/i],
+      'text-align': [/^(left|right|center|justify)$/],
+    },
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer' }),
+  },
+};
+
+/**
+ * Page HTML as the share reader may render it: an allowlist of the editor's
+ * tags and attributes, no scripts, event handlers or javascript: URLs.
+ */
+function sanitizePageHtml(html = '') {
+  return sanitizeHtml(String(html), PAGE_HTML_OPTIONS);
+}
+
+/**
+ * Only what the reader needs: no member lists, permissions, embeddings,
+ * storage paths or revision data.
+ */
+function buildReadOnlyPayload({ book, chapters }) {
+  return {
+    book: {
+      title: book.title || book.babyName || 'Untitled Book',
+      babyName: book.babyName || book.title || '',
+      coverImageUrl: book.coverImageUrl || null,
+      layoutMode: book.layoutMode || 'standard',
+    },
+    chapters: chapters.map((chapter) => ({
+      id: chapter.id,
+      title: chapter.title || 'Untitled Chapter',
+      order: chapter.order || '',
+      pagesSummary: chapter.pages.map((page) => ({
+        pageId: page.id,
+        shortNote: (chapter.pagesSummary || []).find((summary) => summary?.pageId === page.id)?.shortNote
+          || page.pageName
+          || '',
+      })),
+      pages: chapter.pages.map((page) => ({
+        id: page.id,
+        pageName: page.pageName || '',
+        order: page.order || '',
+        note: sanitizePageHtml(page.note || ''),
+        media: (Array.isArray(page.media) ? page.media : [])
+          .filter((media) => media?.url)
+          .map((media) => ({
+            url: media.url,
+            type: media.type === 'video' ? 'video' : 'image',
+            name: media.name || '',
+          })),
+      })),
+    })),
+  };
+}
+
+/**
+ * Resolve a share token to a read-only copy of the book. Works without
+ * sign-in. Links with a passcode answer `{ passcodeRequired: true }` until
+ * the right passcode is sent.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ token: string, passcode?: string }} params
+ */
+async function resolveShareLink(db, { token, passcode = '' }) {
+  const linkRef = shareLinksRef(db).doc(requireToken(token));
+  const linkSnap = await linkRef.get();
+  const link = linkSnap.exists ? (linkSnap.data() || {}) : null;
+  // Revoked, expired and unknown links look the same to the visitor.
+  if (!isLinkLive(link)) {
+    throw new HttpsError('not-found', 'This share link is no longer available.');
+  }
+
+  if (link.passcodeHash) {
+    if ((link.failedPasscodeAttempts || 0) >= MAX_PASSCODE_ATTEMPTS) {
+      throw new HttpsError('resource-exhausted', 'Too many wrong passcodes. Ask the owner for a new link.');
+    }
+    const attempt = typeof passcode === 'string' ? passcode.trim() : '';
+    if (!attempt) {
+      return { success: true, passcodeRequired: true };
+    }
+    if (!passcodeMatches(attempt, link.passcodeHash)) {
+      await linkRef.update({ failedPasscodeAttempts: FieldValue.increment(1) });
+      throw new HttpsError('permission-denied', 'Incorrect passcode.');
+    }
+  }
+
+  const tree = await loadBookTree(db, link.bookId);
+
+  linkRef.update({
+    accessCount: FieldValue.increment(1),
+    lastAccessedAt: FieldValue.serverTimestamp(),
+  }).catch((error) => {
+    console.warn('[shareLinks] access stats update skipped:', error?.message || error);
+  });
+
+  return {
+    success: true,
+    passcodeRequired: false,
+    ...buildReadOnlyPayload(tree),
+  };
+}
+
+module.exports = {
+  SHARE_LINK_STATUS,
+  MAX_LINKS_PER_BOOK,
+  shareLinksRef,
+  createShareLink,
+  listShareLinks,
+  revokeShareLink,
+  resolveShareLink,
+  buildReadOnlyPayload,
+  sanitizePageHtml,
+};
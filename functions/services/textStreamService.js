@@ -0,0 +1,106 @@
+const { setSseHeaders, sendEvent } = require('../utils/sse');
+const { consumeCredits, settleUsageCharge, estimateTokensFromText } = require('../payments/creditLedger');
+const { streamText } = require('../utils/llm');
+
+const CLIENT_CLOSED = Symbol('clientClosed');
+
+/**
+ * Stream a model reply to `res` as SSE: `chunk` events ({ text }) as tokens
+ * arrive, then `done` ({ text, aborted, ...onComplete result }) or `error`.
+ *
+ * `usage` is the worst case and is reserved before any text goes out (this
+ * throws, with no response started, when the user cannot afford it). It is
+ * then settled on what was produced: the provider's counts when the reply
+ * finished, otherwise an estimate from the text streamed so far. When the
+ * client disconnects the stream ends at once, without waiting for the next
+ * chunk, and the provider request is cancelled through `isClosed.signal`. A
+ * reply abandoned before its first token costs nothing.
+ *
+ * @param {Object} params
+ * @param {Object} params.usage - consumeCredits usage; rawUnits.inputTokens is billed once text is produced
+ * @param {string} params.feature - One of FEATURES
+ * @param {Object} params.request - streamText request ({ prompt, maxTokens, temperature })
+ * @param {(() => boolean) & { signal?: AbortSignal }} params.isClosed - From attachCloseHandler
+ * @param {(text: string) => Promise<Object>} [params.onComplete] - Runs after a full reply; merged into `done`
+ * @returns {Promise<{ text: string, aborted: boolean, failed: boolean }>}
+ */
+const streamMeteredText = async ({ db, userId, res, isClosed, usage, feature, request, onComplete }) => {
+  // Settlement applies the event's minimum, so only a reply that produced tokens costs credits.
+  const reservation = await consumeCredits(db, userId, { ...usage, minimumCredits: 0 });
+  const startedAt = Date.now();
+  const { signal } = isClosed;
+  const { chunks, provider, model } = streamText(feature, { ...request, signal });
+  const iterator = chunks[Symbol.asyncIterator]();
+  const closed = new Promise((resolve) => {
+    if (signal?.aborted) resolve(CLIENT_CLOSED);
+    signal?.addEventListener('abort', () => resolve(CLIENT_CLOSED), { once: true });
+  });
+
+  setSseHeaders(res);
+
+  let text = '';
+  let reported = {};
+  let aborted = false;
+  let failed = false;
+  try {
+    for (;;) {
+      const step = await Promise.race([iterator.next(), closed]);
+      if (step !== CLIENT_CLOSED && step.done) break;
+      if (step === CLIENT_CLOSED || isClosed()) {
+        aborted = true;
+        break;
+      }
+      const chunk = step.value;
+      if (chunk.usage) reported = chunk.usage;
+      if (chunk.text) {
+        text += chunk.text;
+        sendEvent(res, 'chunk', { text: chunk.text });
+      }
+    }
+  } catch (error) {
+    console.error(`Streaming ${feature} failed:`, error);
+    failed = true;
+  }
+  if (aborted) {
+    // Not awaited: a provider without cancellation may still be mid-chunk.
+    iterator.return?.().catch(() => {});
+  }
+
+  try {
+    await settleUsageCharge(db, userId, reservation.usageEventId, {
+      inputTokens: reported.inputTokens ?? (text ? usage.rawUnits?.inputTokens ?? 0 : 0),
+      outputTokens: reported.outputTokens ?? estimateTokensFromText(text),
+      model,
+      provider,
+      latencyMs: Date.now() - startedAt,
+    });
+  } catch (error) {
+    console.error(`Failed to settle usage event ${reservation.usageEventId}:`, error);
+  }
+
+  if (failed || (!aborted && !text)) {
+    sendEvent(res, 'error', { message: 'Failed to generate text.' });
+    res.end();
+    return { text, aborted, failed: true };
+  }
+
+  let extra = {};
+  if (!aborted && onComplete) {
+    try {
+      extra = (await onComplete(text)) || {};
+    } catch (error) {
+      console.error(`Finishing ${feature} stream failed:`, error);
+      sendEvent(res, 'error', { message: error.message || 'Failed to save the generated text.' });
+      res.end();
+      return { text, aborted, failed: true };
+    }
+  }
+
+  sendEvent(res, 'done', { text, aborted, ...extra });
+  res.end();
+  return { text, aborted, failed: false };
+};
+
+module.exports = {
+  streamMeteredText,
+};
@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Video handling on upload: probe duration and dimensions with ffprobe, grab
+ * a JPEG poster frame and transcode an H.264/AAC MP4 that every browser plays.
+ * Both are stored as renditions next to the original, like the WebP copies of
+ * images (`renditions.poster`, `renditions.web`), and billed the same way.
+ *
+ * ffmpeg reads the original through its download URL rather than a local
+ * copy, so large uploads do not fill the function's in-memory /tmp.
+ */
+
+// Longest edge of the web copy (720p) and of the poster frame
+const WEB_MAX_EDGE = 1280;
+const POSTER_MAX_EDGE = 960;
+// Skip black fade-ins, but stay inside very short clips
+const POSTER_OFFSET_SECONDS = 1;
+
+const FFMPEG_TIMEOUT_MS = 8 * 60 * 1000;
+const FFPROBE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} VideoProbe
+ * @property {number|null} durationSeconds
+ * @property {number} width As displayed (rotation applied)
+ * @property {number} height
+ * @property {number} rotation Degrees the player turns the frames, 0 when upright
+ * @property {string|null} videoCodec
+ * @property {string|null} audioCodec
+ * @property {string|null} pixelFormat
+ * @property {string} formatName ffprobe container names, e.g. 'mov,mp4,m4a,3gp,3g2,mj2'
+ */
+
+function resolveBinary(envName, packageName, pick, fallback) {
+  if (process.env[envName]) return process.env[envName];
+  try {
+    // Loaded lazily: only the storage trigger needs the binaries.
+    return pick(require(packageName)) || fallback;
+  } catch (error) {
+    return fallback;
+  }
+}
+
+const ffmpegPath = () => resolveBinary('FFMPEG_PATH', 'ffmpeg-static', (value) => value, 'ffmpeg');
+const ffprobePath = () => resolveBinary('FFPROBE_PATH', 'ffprobe-static', (value) => value?.path, 'ffprobe');
+
+/**
+ * Storage path of a video rendition, next to the `media/` folder so the
+ * storage triggers ignore it:
+ * `{userId}/{bookId}/{chapterId}/{pageId}/renditions/{kind}/{name}.{ext}`.
+ * @param {string} storagePath
+ * @param {'poster'|'web'} kind
+ */
+function videoRenditionStoragePath(storagePath, kind) {
+  const marker = storagePath.indexOf('/media/video/');
+  if (marker < 0) {
+    throw new Error(`Not a video media path: ${storagePath}`);
+  }
+  const prefix = storagePath.slice(0, marker);
+  const filename = storagePath.slice(marker + '/media/video/'.length).replace(/\.[^./]+$/, '');
+  return `${prefix}/renditions/${kind}/${filename}.${kind === 'poster' ? 'jpg' : 'mp4'}`;
+}
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+function streamRotation(stream) {
+  const fromSideData = (stream.side_data_list || [])
+    .map((entry) => toNumber(entry.rotation))
+    .find((value) => value !== null);
+  const rotation = fromSideData ?? toNumber(stream.tags?.rotate) ?? 0;
+  return ((Math.round(rotation) % 360) + 360) % 360;
+}
+
+/**
+ * Summarize `ffprobe -show_format -show_streams -of json` output.
+ * @param {Object|string} output
+ * @returns {VideoProbe|null} null when there is no video stream
+ */
+function parseProbeOutput(output) {
+  const data = typeof output === 'string' ? JSON.parse(output) : (output || {});
+  const streams = data.streams || [];
+  const video = streams.find((stream) => stream.codec_type === 'video' && stream.disposition?.attached_pic !== 1);
+  if (!video || !video.width || !video.height) return null;
+  const audio = streams.find((stream) => stream.codec_type === 'audio');
+
+  const rotation = streamRotation(video);
+  const quarterTurn = rotation === 90 || rotation === 270;
+  const duration = toNumber(data.format?.duration) ?? toNumber(video.duration);
+
+  return {
+    durationSeconds: duration !== null && duration > 0 ? Math.round(duration * 10) / 10 : null,
+    width: quarterTurn ? video.height : video.width,
+    height: quarterTurn ? video.width : video.height,
+    rotation,
+    videoCodec: video.codec_name || null,
+    audioCodec: audio?.codec_name || null,
+    pixelFormat: video.pix_fmt || null,
+    formatName: data.format?.format_name || '',
+  };
+}
+
+/**
+ * Whether the original already plays everywhere (H.264 in MP4, 8-bit 4:2:0,
+ * AAC or silent, upright and at most 720p), so no web copy is needed.
+ * @param {VideoProbe} probe
+ */
+function isWebFriendly(probe, contentType = '') {
+  if (!probe) return false;
+  const mp4 = contentType === 'video/mp4' || /\bmp4\b/.test(probe.formatName);
+  return mp4
+    && probe.videoCodec === 'h264'
+    && probe.pixelFormat === 'yuv420p'
+    && (!probe.audioCodec || probe.audioCodec === 'aac')
+    && probe.rotation === 0
+    && Math.max(probe.width, probe.height) <= WEB_MAX_EDGE;
+}
+
+// Fit inside a square of `edge` pixels, never upscaling, with even dimensions for H.264
+const fitInside = (edge) => (
+  `scale=w='min(${edge},iw)':h='min(${edge},ih)':force_original_aspect_ratio=decrease:force_divisible_by=2`
+);
+
+function posterOffset(durationSeconds) {
+  if (!durationSeconds) return 0;
+  return Math.min(POSTER_OFFSET_SECONDS, durationSeconds / 2);
+}
+
+function buildPosterArgs(source, output, durationSeconds) {
+  return [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-ss', String(posterOffset(durationSeconds)),
+    '-i', source,
+    '-frames:v', '1',
+    '-vf', fitInside(POSTER_MAX_EDGE),
+    '-q:v', '3',
+    output,
+  ];
+}
+
+function buildTranscodeArgs(source, output) {
+  return [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-i', source,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+    '-vf', fitInside(WEB_MAX_EDGE),
+    '-c:a', 'aac', '-b:a', '128k',
+    // Moov atom first, so playback starts before the whole file has loaded
+    '-movflags', '+faststart',
+    output,
+  ];
+}
+
+/**
+ * @param {string} source Local path or download URL of the video
+ * @returns {Promise<VideoProbe|null>}
+ */
+async function probeVideo(source) {
+  const { stdout } = await execFileAsync(
+    ffprobePath(),
+    ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', source],
+    { timeout: FFPROBE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }
+  );
+  return parseProbeOutput(stdout);
+}
+
+async function runFfmpeg(args) {
+  await execFileAsync(ffmpegPath(), args, { timeout: FFMPEG_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+}
+
+function loadSharp() {
+  return require('sharp');
+}
+
+/**
+ * Write the poster frame and, unless the original already plays everywhere,
+ * the H.264 web copy of an uploaded video. Returns null when ffmpeg cannot
+ * produce the poster; the original still plays on its own then.
+ * @param {import('@google-cloud/storage').Bucket} bucket
+ * @param {string} storagePath
+ * @param {Object} options
+ * @param {string} options.source Download URL (or local path) ffmpeg reads the original from
+ * @param {VideoProbe} options.probe
+ * @param {string} [options.contentType]
+ * @param {(storagePath: string, fileMetadata: Object) => Promise<string>} options.getUrl Download URL for a written rendition
+ * @returns {Promise<{ renditions: Object<string, import('./mediaRenditionService').MediaRendition>, renditionBytes: number }|null>}
+ */
+async function createVideoRenditions(bucket, storagePath, { source, probe, contentType = '', getUrl }) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'video-'));
+  const written = [];
+
+  const store = async (kind, localPath, fileContentType, dimensions) => {
+    const data = await fs.readFile(localPath);
+    const renditionPath = videoRenditionStoragePath(storagePath, kind);
+    const fileMetadata = {
+      contentType: fileContentType,
+      cacheControl: 'public, max-age=31536000',
+      metadata: { firebaseStorageDownloadTokens: crypto.randomUUID(), renditionOf: storagePath },
+    };
+    await bucket.file(renditionPath).save(data, { resumable: false, metadata: fileMetadata });
+    written.push(renditionPath);
+    return {
+      url: await getUrl(renditionPath, fileMetadata),
+      storagePath: renditionPath,
+      ...dimensions,
+      bytes: data.length,
+    };
+  };
+
+  try {
+    const renditions = {};
+
+    const posterFile = path.join(workDir, 'poster.jpg');
+    await runFfmpeg(buildPosterArgs(source, posterFile, probe.durationSeconds));
+    const posterInfo = await loadSharp()(posterFile).metadata();
+    renditions.poster = await store('poster', posterFile, 'image/jpeg', {
+      width: posterInfo.width,
+      height: posterInfo.height,
+    });
+
+    if (!isWebFriendly(probe, contentType)) {
+      const webFile = path.join(workDir, 'web.mp4');
+      await runFfmpeg(buildTranscodeArgs(source, webFile));
+      const webProbe = await probeVideo(webFile);
+      renditions.web = await store('web', webFile, 'video/mp4', {
+        width: webProbe?.width || null,
+        height: webProbe?.height || null,
+      });
+    }
+
+    const renditionBytes = Object.values(renditions).reduce((total, rendition) => total + rendition.bytes, 0);
+    return { renditions, renditionBytes };
+  } catch (error) {
+    console.warn(`⚠️ Skipping video renditions for ${storagePath}:`, error?.message || error);
+    await Promise.all(written.map((file) => bucket.file(file).delete({ ignoreNotFound: true }).catch(() => null)));
+    return null;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true }).catch(() => null);
+  }
+}
+
+module.exports = {
+  WEB_MAX_EDGE,
+  videoRenditionStoragePath,
+  parseProbeOutput,
+  isWebFriendly,
+  posterOffset,
+  buildPosterArgs,
+  buildTranscodeArgs,
+  probeVideo,
+  createVideoRenditions,
+};
@@ -5,6 +5,9 @@ const FieldValue = require('firebase-admin/firestore').FieldValue;
 
 const { generateEmbeddings } = require('./utils/embeddingsClient');
 const { refreshChapterSummary } = require('./utils/chapterUtils');
+const { recordPageRevision } = require('./services/pageRevisionService');
+const { indexPageText, removePageFromIndex } = require('./services/searchIndexService');
+const { syncPageChunks, deletePageChunks } = require('./services/pageChunkService');
 
 const db = admin.firestore();
 
@@ -25,20 +28,48 @@ exports.syncPageDerivedData = onDocumentWritten(
   async (event) => {
     const beforeExists = event.data.before.exists;
     const afterExists = event.data.after.exists;
+    const { bookId, chapterId, pageId } = event.params;
+    const pageRef = db.collection('books').doc(bookId).collection('chapters').doc(chapterId).collection('pages').doc(pageId);
 
     if (!afterExists) {
+      try {
+        await removePageFromIndex(db, { bookId, pageId });
+      } catch (error) {
+        logger.error('⚠️ Failed to remove page from search index', { bookId, pageId, error: error?.message || error });
+      }
+      try {
+        await deletePageChunks(db, pageRef);
+      } catch (error) {
+        logger.error('⚠️ Failed to delete page chunks', { bookId, chapterId, pageId, error: error?.message || error });
+      }
       return;
     }
 
     const beforeData = beforeExists ? (event.data.before.data() || {}) : null;
     const afterData = event.data.after.data() || {};
-    const { bookId, chapterId, pageId } = event.params;
-    const pageRef = db.collection('books').doc(bookId).collection('chapters').doc(chapterId).collection('pages').doc(pageId);
 
     const contentChanged = !beforeData || pageContentChanged(beforeData, afterData);
     const needsEmbeddingSync = afterData.embeddingStatus === 'pending';
     const plainText = String(afterData.plainText || '').trim();
 
+    // Runs for every writer (updatePage callable and the Spring save-page-blocks
+    // endpoint alike); no-op unless note, content or page name changed.
+    try {
+      await recordPageRevision(db, { bookId, chapterId, pageId }, beforeData, afterData);
+    } catch (error) {
+      logger.error('⚠️ Failed to record page revision', { bookId, chapterId, pageId, error: error?.message || error });
+    }
+
+    // Pages carry their bookId/chapterId for collection-group queries; pages
+    // written before the fields existed (or by older clients) get them here.
+    if (afterData.bookId !== bookId || afterData.chapterId !== chapterId) {
+      try {
+        await pageRef.update({ bookId, chapterId });
+      } catch (error) {
+        logger.error('⚠️ Failed to backfill page scope fields', { bookId, chapterId, pageId, error: error?.message || error });
+      }
+    }
+
     if (!contentChanged && !needsEmbeddingSync) {
       return;
     }
@@ -54,21 +85,31 @@ exports.syncPageDerivedData = onDocumentWritten(
     if (needsEmbeddingSync) {
       try {
         if (plainText) {
-          const embeddings = await generateEmbeddings(plainText, {
-            taskType: 'RETRIEVAL_DOCUMENT',
+          // Long pages are embedded as overlapping chunks (searched by the Q&A
+          // retriever); the page keeps their mean as a page-level vector.
+          const { chunkCount, embeddedCount, pageVector, embeddingModel } = await syncPageChunks(db, {
+            pageRef,
+            bookId,
+            chapterId,
+            plainText,
+            generateEmbeddings,
           });
+          logger.log('🧩 Page chunks synced', { bookId, chapterId, pageId, chunkCount, embeddedCount });
 
           await pageRef.update({
-            embeddings: embeddings.length ? FieldValue.vector(embeddings) : null,
-            embeddingModel: embeddings.length ? 'text-embedding-004' : null,
+            embeddings: pageVector.length ? FieldValue.vector(pageVector) : null,
+            embeddingModel: pageVector.length ? embeddingModel : null,
+            chunkCount,
             embeddingStatus: 'ready',
             embeddingError: FieldValue.delete(),
             embeddingUpdatedAt: FieldValue.serverTimestamp(),
           });
         } else {
+          await deletePageChunks(db, pageRef);
           await pageRef.update({
             embeddings: null,
             embeddingModel: null,
+            chunkCount: 0,
             embeddingStatus: 'ready',
             embeddingError: FieldValue.delete(),
             embeddingUpdatedAt: FieldValue.serverTimestamp(),
@@ -85,6 +126,17 @@ exports.syncPageDerivedData = onDocumentWritten(
     }
 
     if (contentChanged) {
+      try {
+        await indexPageText(db, {
+          bookId,
+          chapterId,
+          pageId,
+          text: `${afterData.pageName || ''}\n${plainText}`,
+        });
+      } catch (error) {
+        logger.error('⚠️ Failed async search index refresh', { bookId, chapterId, pageId, error: error?.message || error });
+      }
+
       try {
         await refreshChapterSummary(db, bookId, chapterId, plainText);
       } catch (error) {
@@ -45,8 +45,6 @@ async function debugAlbumDeletion() {
         name: "Debug Album",
         type: "standalone",
         coverImage: null,
-        images: [],
-        videos: [],
         accessPermission: {
             ownerId: uid,
             accessType: "private",
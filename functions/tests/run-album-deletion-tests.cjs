@@ -27,6 +27,7 @@ if (!admin.apps.length) {
     });
 }
 const db = admin.firestore();
+const { upsertAlbumMedia } = require("../services/albumMediaService");
 
 // --- Test Harness ---
 const results = [];
@@ -67,13 +68,15 @@ function summaryAndExit() {
 // --- Helpers ---
 
 async function cleanupAll() {
-    const collections = ["users", "books", "albums"];
+    const collections = ["users", "books"];
     for (const coll of collections) {
         const snap = await db.collection(coll).get();
         const batch = db.batch();
         snap.forEach(doc => batch.delete(doc.ref));
         await batch.commit();
     }
+    // Albums carry a media subcollection
+    await db.recursiveDelete(db.collection("albums"));
 }
 
 async function getUserStorage(uid) {
@@ -95,25 +98,12 @@ async function simulateMediaUpload(uid, bookId, size) {
 }
 
 async function simulateAlbumMediaAdd(albumId, storagePath, size) {
-    // Add media to album document
-    const albumRef = db.collection("albums").doc(albumId);
-    const albumSnap = await albumRef.get();
-    const albumData = albumSnap.data();
-
-    const newImage = {
-        url: `https://example.com/${storagePath}`,
+    // Add media to the album's media subcollection, as onMediaUpload does
+    await upsertAlbumMedia(db, albumId, {
         storagePath,
+        url: `https://example.com/${storagePath}`,
         type: "image",
         name: storagePath.split('/').pop(),
-        usedIn: []
-    };
-
-    const images = albumData.images || [];
-    images.push(newImage);
-
-    await albumRef.update({
-        images,
-        mediaCount: (albumData.mediaCount || 0) + 1
     });
 
     console.log(`   📸 Added image to album: ${storagePath}`);
@@ -160,8 +150,6 @@ async function run() {
             type: "book",
             bookId: book1Id,
             coverImage: null,
-            images: [],
-            videos: [],
             accessPermission: {
                 ownerId: uid,
                 accessType: "private",
@@ -194,8 +182,6 @@ async function run() {
             name: "Standalone Album",
             type: "standalone",
             coverImage: null,
-            images: [],
-            videos: [],
             accessPermission: {
                 ownerId: uid,
                 accessType: "private",
@@ -0,0 +1,242 @@
+// Offline checks for the album media subcollection service and the legacy array migration:
+//   node tests/run-album-media-tests.cjs
+const assert = require('node:assert/strict');
+
+const {
+  albumMediaId,
+  toAlbumMediaDocs,
+  migrateAlbumMedia,
+  getAlbumMedia,
+  upsertAlbumMedia,
+  removeAlbumMedia,
+  clearAlbumMediaRenditions,
+  addMediaUsage,
+  removeMediaUsage,
+  listAlbumMedia,
+  listAllAlbumMedia,
+} = require('../services/albumMediaService');
+
+// Applies the FieldValue sentinels the service writes.
+function applyFields(current, data) {
+  const next = { ...current };
+  Object.entries(data).forEach(([key, value]) => {
+    const method = value?.methodName;
+    if (method === 'FieldValue.delete') delete next[key];
+    else if (method === 'FieldValue.increment') next[key] = (next[key] || 0) + value.operand;
+    else if (method === 'FieldValue.serverTimestamp') next[key] = 'now';
+    else next[key] = value;
+  });
+  return next;
+}
+
+// Documents keyed by path; enough of Firestore for the album media service.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (path) => {
+    const data = docs.get(path);
+    return { id: path.split('/').pop(), exists: docs.has(path), data: () => data };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(path),
+    set: async (data) => { docs.set(path, applyFields({}, data)); },
+    update: async (data) => {
+      if (!docs.has(path)) throw new Error(`No document to update: ${path}`);
+      docs.set(path, applyFields(docs.get(path), data));
+    },
+    delete: async () => { docs.delete(path); },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const children = () => [...docs.keys()]
+      .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+      .map(snapshotOf);
+    const query = ({ filters = [], order = null, size = Infinity, after = null } = {}) => ({
+      where: (field, op, value) => query({ filters: [...filters, [field, value]], order, size, after }),
+      orderBy: (field, direction = 'asc') => query({ filters, order: [field, direction], size, after }),
+      limit: (count) => query({ filters, order, size: count, after }),
+      startAfter: (snapshot) => query({ filters, order, size, after: snapshot.id }),
+      get: async () => {
+        let matches = children().filter((snap) => filters.every(([field, value]) => snap.data()[field] === value));
+        if (order) {
+          const [field, direction] = order;
+          matches = matches
+            .filter((snap) => snap.data()[field] !== undefined)
+            .sort((a, b) => (a.data()[field] < b.data()[field] ? -1 : 1) * (direction === 'desc' ? -1 : 1));
+        }
+        if (after) matches = matches.slice(matches.findIndex((snap) => snap.id === after) + 1);
+        matches = matches.slice(0, size);
+        return { docs: matches, empty: matches.length === 0 };
+      },
+    });
+    return {
+      ...query(),
+      doc: (id) => docRef(`${path}/${id}`),
+      count: () => ({ get: async () => ({ data: () => ({ count: children().length }) }) }),
+    };
+  };
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    getAll: async (...refs) => refs.map((ref) => snapshotOf(ref.path)),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => ref.set(data)),
+        commit: async () => { for (const write of writes) await write(); },
+      };
+    },
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data) => ref.set(data),
+      update: (ref, data) => ref.update(data),
+      delete: (ref) => ref.delete(),
+    }),
+  };
+}
+
+const pathOf = (name, type = 'image') => `u1/album1/_album_/_album_/media/${type}/${name}`;
+
+function testLegacyDocs() {
+  assert.match(albumMediaId('a/b.jpg'), /^[0-9a-f]{40}$/);
+  assert.equal(albumMediaId('a/b.jpg'), albumMediaId('a/b.jpg'));
+
+  const docs = toAlbumMediaDocs({
+    images: [
+      'https://example.com/o/legacy.jpg?alt=media',
+      { url: 'u1', storagePath: pathOf('one.jpg'), caption: 'Beach', usedIn: [{ bookId: 'b', chapterId: 'c', pageId: 'p' }] },
+      { url: 'u1-again', storagePath: pathOf('one.jpg') },
+    ],
+    videos: [{ url: 'v1', storagePath: pathOf('clip.mp4', 'video'), uploadedAt: '2024-01-01T00:00:00.000Z' }],
+  });
+  const items = [...docs.values()];
+  assert.equal(items.length, 3);
+  assert.deepEqual(items.map((item) => item.type), ['image', 'image', 'video']);
+  assert.equal(items[0].name, 'legacy.jpg');
+  assert.equal(items[0].storagePath, null);
+  assert.equal(items[1].url, 'u1', 'the first duplicate wins');
+  assert.equal(items[1].caption, 'Beach');
+  assert.equal(items[1].usedIn.length, 1);
+  assert.ok(items[0].uploadedAt < items[1].uploadedAt, 'array order is kept');
+  assert.equal(items[2].uploadedAt, '2024-01-01T00:00:00.000Z');
+  assert.equal(toAlbumMediaDocs({}).size, 0);
+}
+
+async function testUploadsAndDeletes() {
+  const db = createFakeDb();
+  db.docs.set('albums/album1', { name: 'Album', coverImage: null, mediaCount: 0 });
+
+  await assert.rejects(upsertAlbumMedia(db, 'missing', { storagePath: pathOf('x.jpg'), url: 'x', type: 'image' }));
+
+  const video = await upsertAlbumMedia(db, 'album1', { storagePath: pathOf('clip.mp4', 'video'), url: 'v1', type: 'video' });
+  assert.equal(video.isNew, true);
+  assert.equal(video.coverImage, null, 'videos never become the cover');
+
+  const renditionsOf = (name) => ({ thumb: { url: `${name}-thumb`, storagePath: `thumb/${name}`, width: 320, height: 240, bytes: 10 } });
+  const first = await upsertAlbumMedia(db, 'album1', {
+    storagePath: pathOf('one.jpg'), url: 'u1', type: 'image', usedIn: [{ bookId: 'b', chapterId: 'c', pageId: 'p' }],
+    width: 4000, height: 3000, renditions: renditionsOf('one'), renditionBytes: 10,
+  });
+  assert.equal(first.mediaCount, 2);
+  assert.equal(first.coverImage, 'u1');
+  assert.equal(first.coverRenditions.thumb.url, 'one-thumb', 'the cover carries its renditions');
+  assert.equal(first.item.renditionBytes, 10);
+  assert.equal(first.item.width, 4000);
+  const second = await upsertAlbumMedia(db, 'album1', {
+    storagePath: pathOf('two.jpg'), url: 'u2', type: 'image', renditions: renditionsOf('two'), renditionBytes: 10,
+  });
+  assert.equal(second.coverImage, 'u1');
+  assert.equal(second.coverRenditions.thumb.url, 'one-thumb');
+  assert.equal(second.mediaCount, 3);
+
+  // A re-upload refreshes the URL and keeps usage, upload time and the count.
+  const again = await upsertAlbumMedia(db, 'album1', { storagePath: pathOf('one.jpg'), url: 'u1b', type: 'image' });
+  assert.equal(again.isNew, false);
+  assert.equal(again.item.renditionBytes, 10, 'renditions are only replaced by new ones');
+  assert.equal(again.mediaCount, 3);
+  assert.equal(again.item.usedIn.length, 1);
+  assert.equal(again.item.uploadedAt, first.item.uploadedAt);
+
+  await addMediaUsage(db, 'album1', pathOf('two.jpg'), { bookId: 'b', chapterId: 'c', pageId: 'p2' });
+  const usedIn = await addMediaUsage(db, 'album1', pathOf('two.jpg'), { bookId: 'b', chapterId: 'c', pageId: 'p2' });
+  assert.equal(usedIn.length, 1, 'tracking is idempotent');
+  assert.deepEqual(await removeMediaUsage(db, 'album1', pathOf('two.jpg'), { bookId: 'b', chapterId: 'c', pageId: 'p2' }), []);
+  assert.equal(await addMediaUsage(db, 'album1', pathOf('nope.jpg'), { bookId: 'b', chapterId: 'c', pageId: 'p' }), null);
+
+  // Deleting the cover hands it (and its renditions) to the oldest remaining image.
+  db.docs.set('albums/album1', { ...db.docs.get('albums/album1'), coverImage: 'u1b' });
+  const removed = await removeAlbumMedia(db, 'album1', pathOf('one.jpg'));
+  assert.equal(removed.item.url, 'u1b');
+  assert.equal(removed.item.renditionBytes, 10);
+  assert.equal(removed.mediaCount, 2);
+  assert.equal(removed.coverImage, 'u2');
+  assert.equal(removed.coverRenditions.thumb.url, 'two-thumb');
+  assert.equal(db.docs.get('albums/album1').coverRenditions.thumb.url, 'two-thumb');
+  assert.equal(await getAlbumMedia(db, 'album1', pathOf('one.jpg')), null);
+  assert.equal(await removeAlbumMedia(db, 'album1', pathOf('one.jpg')), null, 'a second delete is a no-op');
+
+  // Dropped renditions (over the storage limit) are forgotten on the item and the cover.
+  const cleared = await clearAlbumMediaRenditions(db, 'album1', pathOf('two.jpg'));
+  assert.equal(cleared.renditionBytes, 10);
+  assert.equal((await getAlbumMedia(db, 'album1', pathOf('two.jpg'))).renditions, undefined);
+  assert.equal(db.docs.get('albums/album1').coverRenditions, null);
+  assert.equal(await clearAlbumMediaRenditions(db, 'album1', pathOf('gone.jpg')), null);
+
+  const last = await removeAlbumMedia(db, 'album1', pathOf('two.jpg'));
+  assert.equal(last.coverImage, null);
+  assert.equal(last.coverRenditions, null);
+  assert.equal(last.mediaCount, 1);
+}
+
+async function testMigrationAndPaging() {
+  const db = createFakeDb();
+  const legacy = {
+    name: 'Old album',
+    coverImage: 'u0',
+    mediaCount: 99,
+    images: Array.from({ length: 5 }, (_, i) => ({ url: `u${i}`, storagePath: pathOf(`${i}.jpg`), usedIn: [] })),
+    videos: [{ url: 'v0', storagePath: pathOf('clip.mp4', 'video') }],
+  };
+  db.docs.set('albums/old', legacy);
+
+  // Readers see legacy items before the migration ran.
+  assert.equal((await listAllAlbumMedia(db, 'old', legacy)).length, 6);
+
+  assert.deepEqual(await migrateAlbumMedia(db, 'old', { dryRun: true }), { migrated: 6, mediaCount: 6 });
+  assert.ok(db.docs.get('albums/old').images, 'a dry run writes nothing');
+
+  assert.deepEqual(await migrateAlbumMedia(db, 'old'), { migrated: 6, mediaCount: 6 });
+  const album = db.docs.get('albums/old');
+  assert.equal(album.images, undefined);
+  assert.equal(album.videos, undefined);
+  assert.equal(album.mediaCount, 6);
+  assert.deepEqual(await migrateAlbumMedia(db, 'old'), { migrated: 0, mediaCount: null });
+
+  const firstPage = await listAlbumMedia(db, 'old', { limit: 4 });
+  assert.deepEqual(firstPage.items.map((item) => item.url), ['u0', 'u1', 'u2', 'u3']);
+  const secondPage = await listAlbumMedia(db, 'old', { limit: 4, startAfter: firstPage.cursor });
+  assert.deepEqual(secondPage.items.map((item) => item.url), ['u4', 'v0']);
+  assert.equal(secondPage.cursor, null);
+  assert.equal((await listAlbumMedia(db, 'old', { direction: 'desc', limit: 1 })).items[0].url, 'v0');
+
+  // Writers migrate a legacy album before touching it.
+  db.docs.set('albums/lazy', { mediaCount: 1, images: [{ url: 'a', storagePath: pathOf('a.jpg'), usedIn: [] }] });
+  await addMediaUsage(db, 'lazy', pathOf('a.jpg'), { bookId: 'b', chapterId: 'c', pageId: 'p' });
+  assert.equal(db.docs.get('albums/lazy').images, undefined);
+  assert.equal((await getAlbumMedia(db, 'lazy', pathOf('a.jpg'))).usedIn.length, 1);
+}
+
+(async () => {
+  testLegacyDocs();
+  await testUploadsAndDeletes();
+  await testMigrationAndPaging();
+  console.log('album media tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,177 @@
+// Offline checks that a book backup restore bills and bounds what the archive really holds:
+//   node tests/run-book-backup-tests.cjs
+const assert = require('node:assert/strict');
+const JSZip = require('jszip');
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: 'demo-project', storageBucket: 'demo-project.appspot.com' });
+}
+
+const {
+  BACKUP_FORMAT,
+  BACKUP_VERSION,
+  MAX_BACKUP_MEDIA_BYTES,
+  restoreBookBackup,
+} = require('../services/bookBackupService');
+
+const MB = 1024 * 1024;
+
+// Applies the FieldValue sentinels and dotted field paths the restore writes.
+function applyFields(current, data) {
+  const next = structuredClone(current);
+  Object.entries(data).forEach(([key, value]) => {
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((target, part) => {
+      target[part] = target[part] && typeof target[part] === 'object' ? target[part] : {};
+      return target[part];
+    }, next);
+    const field = parts[parts.length - 1];
+    const method = value?.methodName;
+    if (method === 'FieldValue.delete') delete parent[field];
+    else if (method === 'FieldValue.increment') parent[field] = (parent[field] || 0) + value.operand;
+    else if (method) parent[field] = 'now';
+    else parent[field] = value;
+  });
+  return next;
+}
+
+// Documents keyed by path; enough of Firestore for the restore and the quota counters.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (path) => {
+    const data = docs.get(path);
+    return { id: path.split('/').pop(), exists: docs.has(path), data: () => data };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get parent() { return { id: path.split('/').slice(-2, -1)[0] }; },
+    get: async () => snapshotOf(path),
+    set: async (data) => { docs.set(path, applyFields({}, data)); },
+    update: async (data) => {
+      if (!docs.has(path)) throw new Error(`No document to update: ${path}`);
+      docs.set(path, applyFields(docs.get(path), data));
+    },
+    delete: async () => { docs.delete(path); },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const query = (filters = []) => ({
+      where: (field, op, value) => query([...filters, [field, value]]),
+      limit: () => query(filters),
+      get: async () => {
+        const matches = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(snapshotOf)
+          .filter((snap) => filters.every(([field, value]) => snap.data()[field] === value));
+        return { docs: matches, empty: matches.length === 0 };
+      },
+    });
+    return { ...query(), doc: (id) => docRef(`${path}/${id}`) };
+  };
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data) => writes.push(() => ref.set(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        commit: async () => { for (const write of writes) await write(); },
+      };
+    },
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      update: (ref, data) => ref.update(data),
+    }),
+  };
+}
+
+async function buildArchive(mediaBytes, { claimedSize = 0 } = {}) {
+  const zip = new JSZip();
+  const storagePath = 'owner1/book1/chapter1/page1/media/image/photo.jpg';
+  zip.file('manifest.json', JSON.stringify({
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    book: { id: 'book1', babyName: 'Ada', ownerId: 'owner1' },
+    chapters: [{ id: 'chapter1', title: 'Month 1', pages: [{ id: 'page1', pageName: 'Hello', note: '' }] }],
+    media: [{ archivePath: 'media/1-photo.jpg', storagePath, contentType: 'image/jpeg', sizeBytes: claimedSize }],
+  }));
+  zip.file('media/1-photo.jpg', Buffer.alloc(mediaBytes, 7));
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+// Overwrite the uncompressed size the central directory records for `name`.
+function forgeEntrySize(buffer, name, size) {
+  const forged = Buffer.from(buffer);
+  const signature = Buffer.from([0x50, 0x4b, 0x01, 0x02]);
+  for (let offset = forged.indexOf(signature); offset >= 0; offset = forged.indexOf(signature, offset + 4)) {
+    const nameLength = forged.readUInt16LE(offset + 28);
+    if (forged.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      forged.writeUInt32LE(size, offset + 24);
+      return forged;
+    }
+  }
+  throw new Error(`No central directory entry for ${name}`);
+}
+
+function seedUser(db, quotaCounters = {}) {
+  db.docs.set('users/u1', { email: 'u1@example.test', quotaCounters: { books: 0, pages: 0, storageBytesUsed: 0, ...quotaCounters } });
+}
+
+const counters = (db) => db.docs.get('users/u1').quotaCounters;
+
+async function testManifestSizesAreIgnored() {
+  const db = createFakeDb();
+  // Free plan: 50 MB, nearly used up; the manifest claims the 2 MB photo is empty
+  seedUser(db, { storageBytesUsed: 49 * MB });
+  const buffer = await buildArchive(2 * MB, { claimedSize: 0 });
+
+  await assert.rejects(
+    restoreBookBackup(db, { uid: 'u1', buffer }),
+    (error) => error.code === 'resource-exhausted' && /Storage limit/.test(error.message)
+  );
+  assert.deepEqual(counters(db), { books: 0, pages: 0, storageBytesUsed: 49 * MB }, 'reservations released');
+  assert.equal([...db.docs.keys()].some((key) => key.startsWith('albums/')), false, 'nothing written');
+}
+
+async function testHardCap() {
+  const db = createFakeDb();
+  seedUser(db);
+  const buffer = forgeEntrySize(await buildArchive(1024), 'media/1-photo.jpg', MAX_BACKUP_MEDIA_BYTES + 1);
+
+  await assert.rejects(
+    restoreBookBackup(db, { uid: 'u1', buffer }),
+    (error) => error.code === 'invalid-argument' && /too large to restore/.test(error.message)
+  );
+  assert.deepEqual(counters(db), { books: 0, pages: 0, storageBytesUsed: 0 }, 'turned away before any reservation');
+}
+
+async function testForgedSmallEntryIsNotInflated() {
+  const db = createFakeDb();
+  seedUser(db);
+  // Looks like 16 bytes, inflates to 4 MB
+  const buffer = forgeEntrySize(await buildArchive(4 * MB), 'media/1-photo.jpg', 16);
+
+  await assert.rejects(
+    restoreBookBackup(db, { uid: 'u1', buffer }),
+    (error) => error.code === 'invalid-argument' && /larger than its archive says/.test(error.message)
+  );
+  assert.deepEqual(counters(db), { books: 0, pages: 0, storageBytesUsed: 0 }, 'rolled back');
+  assert.equal([...db.docs.keys()].filter((key) => key !== 'users/u1').length, 0, 'album documents removed');
+}
+
+(async () => {
+  await testManifestSizesAreIgnored();
+  await testHardCap();
+  await testForgedSmallEntryIsNotInflated();
+  console.log('book backup tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
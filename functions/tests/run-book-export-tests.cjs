@@ -0,0 +1,341 @@
+// Offline checks for book exports: note parsing, what they may embed, EPUB structure and which files they keep:
+//   node tests/run-book-export-tests.cjs
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const JSZip = require('jszip');
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: 'demo-project', storageBucket: 'demo-project.appspot.com' });
+}
+
+const {
+  EXPORT_STATUS,
+  collectPageImages,
+  htmlToBlocks,
+  isBookStoragePath,
+  loadImageBuffer,
+  removePreviousExports,
+  runBookExport,
+} = require('../services/bookExportService');
+const { renderBookEpub } = require('../services/bookEpubRenderer');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Documents keyed by path; records every read so tests can see what was loaded.
+function createFakeDb() {
+  const docs = new Map();
+  const reads = [];
+
+  const snapshotOf = (path) => {
+    const data = docs.has(path) ? structuredClone(docs.get(path)) : undefined;
+    return {
+      id: path.split('/').pop(),
+      exists: docs.has(path),
+      data: () => data,
+      ref: docRef(path),
+    };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => {
+      reads.push(path);
+      return snapshotOf(path);
+    },
+    delete: async () => { docs.delete(path); },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const query = (filters = []) => ({
+      where: (field, op, value) => query([...filters, [field, value]]),
+      orderBy: () => query(filters),
+      get: async () => {
+        reads.push(path);
+        const matches = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(snapshotOf)
+          .filter((snap) => filters.every(([field, value]) => snap.data()[field] === value));
+        return { docs: matches, empty: matches.length === 0 };
+      },
+    });
+    return { ...query(), doc: (id) => docRef(`${path}/${id}`) };
+  };
+
+  return { docs, reads, collection: (name) => collectionRef(name) };
+}
+
+// Object bytes keyed by path.
+function createFakeBucket(objects) {
+  return {
+    objects,
+    file: (path) => ({
+      download: async () => {
+        if (!objects.has(path)) throw Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+        return [objects.get(path)];
+      },
+      getMetadata: async () => [{ contentType: 'image/png' }],
+      delete: async () => { objects.delete(path); },
+    }),
+  };
+}
+
+const BOOK = { id: 'book1', ownerId: 'owner' };
+
+const downloadUrl = (storagePath) => (
+  `https://firebasestorage.googleapis.com/v0/b/demo/o/${encodeURIComponent(storagePath)}?alt=media&token=t`
+);
+
+function testHtmlToBlocks() {
+  assert.deepEqual(htmlToBlocks(`
+    <h2>First <b>steps</b></h2>
+    <p>She walked&nbsp;&amp; laughed.<br>Then she sat down.</p>
+    <ul><li>Dad</li><li>Mom &#x1F476;</li></ul>
+    <blockquote>So proud</blockquote>
+    <div>Plain <span style="color:red">div</span></div>
+    <style>p { color: red; }</style><script>alert(1)</script>
+  `), [
+    { type: 'heading', level: 2, text: 'First steps' },
+    { type: 'paragraph', text: 'She walked & laughed.' },
+    { type: 'paragraph', text: 'Then she sat down.' },
+    { type: 'listItem', text: 'Dad' },
+    { type: 'listItem', text: 'Mom 👶' },
+    { type: 'quote', text: 'So proud' },
+    { type: 'paragraph', text: 'Plain div' },
+  ]);
+  assert.deepEqual(htmlToBlocks('plain text, no tags &lt;3'), [{ type: 'paragraph', text: 'plain text, no tags <3' }]);
+  assert.deepEqual(htmlToBlocks('<p>  </p><p></p>'), []);
+  assert.deepEqual(htmlToBlocks(null), []);
+}
+
+function testCollectPageImages() {
+  const hero = 'owner/book1/c1/p1/media/image/hero.png';
+  const photo = 'owner/book1/c1/p1/media/image/photo.png';
+  assert.deepEqual(collectPageImages({
+    type: 'babyJournalPage',
+    content: { imageUrl: downloadUrl(hero), title: 'Day one' },
+    media: [
+      { type: 'image', url: downloadUrl(photo), storagePath: photo, name: 'Photo' },
+      { type: 'video', url: 'https://cdn.test/v.mp4', storagePath: 'owner/book1/c1/p1/media/video/v.mp4' },
+      { type: 'image', url: downloadUrl(photo), storagePath: photo, name: 'Again' },
+      null,
+      { type: 'image', url: 'https://cdn.test/outside.png' },
+    ],
+  }), [
+    { url: downloadUrl(hero), storagePath: hero, name: 'Day one' },
+    { url: downloadUrl(photo), storagePath: photo, name: 'Photo' },
+    { url: 'https://cdn.test/outside.png', storagePath: null, name: '' },
+  ], 'hero first, then images once each; storage paths come from download URLs');
+
+  assert.deepEqual(collectPageImages({ content: { imageUrl: downloadUrl(hero) } }), [], 'only template pages have a hero');
+  assert.deepEqual(collectPageImages({ media: 'not-an-array' }), []);
+  assert.deepEqual(collectPageImages(), []);
+}
+
+// Local file headers in zip order; the EPUB spec needs `mimetype` first and stored.
+function zipEntries(buffer) {
+  const entries = [];
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const method = buffer.readUInt16LE(offset + 8);
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    entries.push({ name, method, extraLength });
+    offset += 30 + nameLength + extraLength + compressedSize;
+  }
+  return entries;
+}
+
+const attributes = (tag) => Object.fromEntries([...tag.matchAll(/([\w:-]+)="([^"]*)"/g)].map(([, key, value]) => [key, value]));
+
+async function testEpubPackage() {
+  const cover = 'owner/covers/cover.png';
+  const photo = 'owner/book1/c1/p1/media/image/photo.png';
+  const bucket = createFakeBucket(new Map([[cover, PNG], [photo, PNG], ['victim/private/id.png', PNG]]));
+  const tree = {
+    book: { ...BOOK, babyName: 'Aira & Co', subtitle: 'Year one', coverImageUrl: downloadUrl(cover) },
+    chapters: [
+      {
+        id: 'c1',
+        title: 'Firsts <1>',
+        pages: [
+          {
+            id: 'p1',
+            pageName: 'First tooth',
+            note: '<p>Bit Grandma &amp; smiled</p>',
+            media: [{ type: 'image', url: downloadUrl(photo), storagePath: photo }],
+          },
+          {
+            id: 'p2',
+            type: 'babyJournalPage',
+            content: { title: 'Walk', imageUrl: downloadUrl(photo), dadNotes: '<p>Proud</p>' },
+            media: [{ type: 'image', storagePath: 'victim/private/id.png' }],
+          },
+        ],
+      },
+      { id: 'c2', title: 'Empty', pages: [] },
+    ],
+  };
+
+  const { buffer, stats } = await renderBookEpub(tree, { creators: ['Owner'], bucket });
+  assert.deepEqual(stats, { chapters: 2, pages: 2, images: 1, skippedImages: 1 }, 'the shared photo once; the foreign one skipped');
+
+  const [first] = zipEntries(buffer);
+  assert.deepEqual(first, { name: 'mimetype', method: 0, extraLength: 0 });
+
+  const zip = await JSZip.loadAsync(buffer);
+  assert.equal(await zip.file('mimetype').async('string'), 'application/epub+zip');
+
+  const container = await zip.file('META-INF/container.xml').async('string');
+  const rootfile = attributes(container.match(/<rootfile [^>]*>/)[0]);
+  assert.equal(rootfile['media-type'], 'application/oebps-package+xml');
+  const opf = await zip.file(rootfile['full-path']).async('string');
+  const opfDir = rootfile['full-path'].replace(/[^/]+$/, '');
+
+  const pkg = attributes(opf.match(/<package [^>]*>/)[0]);
+  assert.equal(pkg.version, '3.0');
+  assert.equal(pkg.xmlns, 'http://www.idpf.org/2007/opf');
+  assert.match(opf, new RegExp(`<dc:identifier id="${pkg['unique-identifier']}">urn:airabook:book:book1</dc:identifier>`));
+  assert.match(opf, /<dc:title id="main-title">Aira &amp; Co<\/dc:title>/);
+  assert.match(opf, /<dc:language>en<\/dc:language>/);
+  assert.match(opf, /<meta property="dcterms:modified">\d{4}-\d\d-\d\dT\d\d:\d\d:\d\dZ<\/meta>/);
+
+  const items = [...opf.matchAll(/<item [^>]*>/g)].map(([tag]) => attributes(tag));
+  const ids = items.map((item) => item.id);
+  assert.equal(new Set(ids).size, ids.length, 'manifest ids are unique');
+  for (const item of items) {
+    assert.ok(zip.file(`${opfDir}${item.href}`), `${item.href} is in the archive`);
+  }
+  assert.deepEqual(items.filter((item) => item.properties).map((item) => [item.id, item.properties]), [
+    ['nav', 'nav'],
+    ['cover-image', 'cover-image'],
+  ]);
+  assert.deepEqual(items.filter((item) => item.href.startsWith('images/')).map((item) => item['media-type']), ['image/png', 'image/png']);
+
+  const spine = [...opf.matchAll(/<itemref idref="([^"]+)"/g)].map(([, idref]) => idref);
+  assert.deepEqual(spine, ['title-page', 'nav', 'chapter-1', 'chapter-2']);
+  spine.forEach((idref) => assert.ok(ids.includes(idref), `spine item ${idref} is in the manifest`));
+
+  const chapter = await zip.file(`${opfDir}chapter-1.xhtml`).async('string');
+  assert.match(chapter, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(chapter, /<h1 class="chapter-title">Firsts &lt;1&gt;<\/h1>/, 'titles are escaped');
+  const sources = [...chapter.matchAll(/<img src="([^"]+)"/g)].map(([, src]) => src);
+  assert.equal(sources.length, 2);
+  assert.equal(sources[0], sources[1], 'the shared photo is embedded once and used by both pages');
+  assert.ok(ids.includes(items.find((item) => item.href === sources[0]).id));
+  assert.ok(!chapter.includes('victim'));
+  assert.match(chapter, /<p>Bit Grandma &amp; smiled<\/p>/);
+}
+
+function testBookStoragePaths() {
+  assert.equal(isBookStoragePath('owner/book1/c1/p1/media/image/a.png', BOOK), true);
+  assert.equal(isBookStoragePath('coauthor/book1/c1/p1/media/image/a.png', BOOK), true, 'uploads by members');
+  assert.equal(isBookStoragePath('owner/book1/_album_/_album_/media/image/a.png', BOOK), true);
+  assert.equal(isBookStoragePath('owner/albums/book1/cover.png', BOOK), true);
+  assert.equal(isBookStoragePath('owner/covers/cover.png', BOOK), true);
+
+  assert.equal(isBookStoragePath('victim/book9/c1/p1/media/image/a.png', BOOK), false, 'another book');
+  assert.equal(isBookStoragePath('victim/covers/cover.png', BOOK), false, "someone else's cover");
+  assert.equal(isBookStoragePath('victim/albums/book1/cover.png', BOOK), false);
+  assert.equal(isBookStoragePath('victim/private/id.png', BOOK), false);
+  assert.equal(isBookStoragePath('owner/exports/book1/book.pdf', BOOK), false);
+  assert.equal(isBookStoragePath('x/book1/../../victim/a.png', BOOK), false);
+  assert.equal(isBookStoragePath('owner//book1/a.png', BOOK), false);
+  assert.equal(isBookStoragePath(null, BOOK), false);
+  assert.equal(isBookStoragePath('owner/book1/a.png', {}), false);
+}
+
+async function testOnlyBookImagesAreRead() {
+  const bucket = createFakeBucket(new Map([
+    ['owner/book1/c1/p1/media/image/a.png', PNG],
+    ['victim/private/id.png', PNG],
+  ]));
+  const originalFetch = global.fetch;
+  const fetched = [];
+  global.fetch = async (url) => {
+    fetched.push(url);
+    throw new Error('no network');
+  };
+  try {
+    const loaded = await loadImageBuffer({ storagePath: 'owner/book1/c1/p1/media/image/a.png' }, BOOK, bucket);
+    assert.deepEqual(loaded, { buffer: PNG, contentType: 'image/png' });
+
+    assert.equal(await loadImageBuffer({ storagePath: 'victim/private/id.png' }, BOOK, bucket), null);
+    assert.equal(await loadImageBuffer({ url: 'http://169.254.169.254/computeMetadata/v1/', storagePath: null }, BOOK, bucket), null);
+    assert.equal(await loadImageBuffer({ url: 'https://cdn.test/a.png', storagePath: null }, BOOK, bucket), null);
+    assert.deepEqual(fetched, [], 'nothing is fetched over HTTP');
+  } finally {
+    global.fetch = originalFetch;
+  }
+}
+
+async function testPreviousExportsAreReplaced() {
+  const db = createFakeDb();
+  const bucket = createFakeBucket(new Map([
+    ['owner/exports/book1/old.pdf', PNG],
+    ['owner/exports/book1/new.pdf', PNG],
+    ['owner/exports/book1/book.epub', PNG],
+    ['owner/exports/book2/other.pdf', PNG],
+  ]));
+  const exportDoc = (id, data) => db.docs.set(`bookExports/${id}`, { status: EXPORT_STATUS.READY, ...data });
+  exportDoc('old', { bookId: 'book1', format: 'pdf', storagePath: 'owner/exports/book1/old.pdf' });
+  exportDoc('failed', { bookId: 'book1', format: 'pdf', status: EXPORT_STATUS.ERROR });
+  exportDoc('running', { bookId: 'book1', format: 'pdf', status: EXPORT_STATUS.PENDING });
+  exportDoc('new', { bookId: 'book1', format: 'pdf', storagePath: 'owner/exports/book1/new.pdf' });
+  exportDoc('epub', { bookId: 'book1', format: 'epub', storagePath: 'owner/exports/book1/book.epub' });
+  exportDoc('other', { bookId: 'book2', format: 'pdf', storagePath: 'owner/exports/book2/other.pdf' });
+
+  assert.equal(await removePreviousExports(db, { bookId: 'book1', format: 'pdf', keepExportId: 'new' }, bucket), 2);
+  assert.deepEqual(
+    [...db.docs.keys()].sort(),
+    ['bookExports/epub', 'bookExports/new', 'bookExports/other', 'bookExports/running']
+  );
+  assert.deepEqual(
+    [...bucket.objects.keys()].sort(),
+    ['owner/exports/book1/book.epub', 'owner/exports/book1/new.pdf', 'owner/exports/book2/other.pdf']
+  );
+}
+
+async function testAccessIsCheckedBeforeLoading() {
+  const db = createFakeDb();
+  db.docs.set('books/book1', { ownerId: 'owner', members: { coauthor: 'Co-author' } });
+  db.docs.set('books/book1/chapters/c1', { title: 'One', order: 'a' });
+  let rendered = false;
+  const render = async () => {
+    rendered = true;
+    return { buffer: PNG, contentType: 'image/png', extension: 'png' };
+  };
+
+  await assert.rejects(
+    runBookExport(db, { bookId: 'book1', uid: 'stranger', format: 'pdf', render }),
+    (error) => error.code === 'permission-denied'
+  );
+  await assert.rejects(
+    runBookExport(db, { bookId: 'book1', uid: 'coauthor', format: 'backup', render, ownerOnly: true }),
+    (error) => error.code === 'permission-denied'
+  );
+  await assert.rejects(
+    runBookExport(db, { bookId: 'missing', uid: 'owner', format: 'pdf', render }),
+    (error) => error.code === 'not-found'
+  );
+  assert.deepEqual(db.reads, ['books/book1', 'books/book1', 'books/missing'], 'no chapters or pages read');
+  assert.equal(rendered, false);
+  assert.equal([...db.docs.keys()].some((key) => key.startsWith('bookExports/')), false);
+}
+
+(async () => {
+  testHtmlToBlocks();
+  testCollectPageImages();
+  testBookStoragePaths();
+  await testOnlyBookImagesAreRead();
+  await testPreviousExportsAreReplaced();
+  await testAccessIsCheckedBeforeLoading();
+  await testEpubPackage();
+  console.log('book export tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -55,6 +55,7 @@ const updateBookFunc = require("../updateBook");
 const updateAlbumFunc = require("../updateAlbum");
 const deleteMediaAssetFunc = require("../deleteMedia");
 const trackMediaUsageFunc = require("../mediaUsage");
+const { upsertAlbumMedia, listAllAlbumMedia } = require("../services/albumMediaService");
 
 // Test harness
 const results = [];
@@ -178,6 +179,12 @@ async function getDoc(collection, id) {
     return snap.exists ? { id: snap.id, ...snap.data() } : null;
 }
 
+// Images in an album's media subcollection
+async function getAlbumImages(albumId) {
+    const items = await listAllAlbumMedia(db, albumId);
+    return items.filter(item => item.type === "image");
+}
+
 // Helper to get user storage usage
 async function getUserStorageUsage(uid) {
     const userDoc = await getDoc("users", uid);
@@ -324,26 +331,17 @@ async function run() {
         logStorageOperation("ADD", testImage2.size, "Test image 2 uploaded");
 
         // Manually add to album (simulating mediaProcessor trigger)
-        const albumRef = db.collection("albums").doc(bookId1);
-        await albumRef.update({
-            images: admin.firestore.FieldValue.arrayUnion(
-                {
-                    url: testImage1.url,
-                    storagePath: testImage1.storagePath,
-                    name: "test-image-1.jpg",
-                    uploadedAt: new Date().toISOString(),
-                    usedIn: [] // Initialize empty usedIn array
-                },
-                {
-                    url: testImage2.url,
-                    storagePath: testImage2.storagePath,
-                    name: "test-image-2.jpg",
-                    uploadedAt: new Date().toISOString(),
-                    usedIn: []
-                }
-            ),
-            mediaCount: 2,
-            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        await upsertAlbumMedia(db, bookId1, {
+            storagePath: testImage1.storagePath,
+            url: testImage1.url,
+            type: "image",
+            name: "test-image-1.jpg",
+        });
+        await upsertAlbumMedia(db, bookId1, {
+            storagePath: testImage2.storagePath,
+            url: testImage2.url,
+            type: "image",
+            name: "test-image-2.jpg",
         });
 
         // Update user storage
@@ -353,7 +351,7 @@ async function run() {
 
         // Verify
         const albumDoc = await getDoc("albums", bookId1);
-        assertEquals(albumDoc.images.length, 2, "Should have 2 images");
+        assertEquals((await getAlbumImages(bookId1)).length, 2, "Should have 2 images");
         assertEquals(albumDoc.mediaCount, 2, "Media count should be 2");
 
         const userStorage = await getUserStorageUsage(testUserId);
@@ -417,8 +415,7 @@ async function run() {
         log(`✅ Media attached to page and usage tracked`);
 
         // Verify usedIn was updated
-        const albumDoc = await getDoc("albums", bookId1);
-        const image1 = albumDoc.images.find(img => img.storagePath === testImage1.storagePath);
+        const image1 = (await getAlbumImages(bookId1)).find(img => img.storagePath === testImage1.storagePath);
         assert(image1, "Image should exist in album");
         assert(image1.usedIn, "UsedIn array should exist");
         assertEquals(image1.usedIn.length, 1, "Should have 1 usage");
@@ -548,7 +545,7 @@ async function run() {
 
         // Verify removed from album
         const albumDoc = await getDoc("albums", bookId1);
-        const stillExists = albumDoc.images.some(img => img.storagePath === imageToDelete.storagePath);
+        const stillExists = (await getAlbumImages(bookId1)).some(img => img.storagePath === imageToDelete.storagePath);
         assert(!stillExists, "Image should be removed from album");
         assertEquals(albumDoc.mediaCount, 1, "Media count should be decremented");
 
@@ -591,11 +588,11 @@ async function run() {
         if (!bookId1) {
             throw new Error("Test dependency failed: bookId1 not created. Skipping.");
         }
-        const albumDoc = await getDoc("albums", bookId1);
 
         log(`📋 UsedIn Status for Album ${bookId1}:`);
 
-        albumDoc.images.forEach((img, index) => {
+        const albumImages = await getAlbumImages(bookId1);
+        albumImages.forEach((img, index) => {
             log(`   Image ${index + 1}: ${img.name}`);
             log(`      Storage Path: ${img.storagePath}`);
             log(`      Used In: ${img.usedIn ? img.usedIn.length : 0} page(s)`);
@@ -608,7 +605,7 @@ async function run() {
 
         // testImage1 was deleted, so it shouldn't exist
         // testImage2 should exist and have no usedIn (we didn't attach it)
-        const image2 = albumDoc.images.find(img => img.storagePath === testImage2.storagePath);
+        const image2 = albumImages.find(img => img.storagePath === testImage2.storagePath);
         assert(image2, "Image 2 should still exist");
         assertEquals(image2.usedIn ? image2.usedIn.length : 0, 0, "Image 2 should not be used in any pages");
 
@@ -623,8 +620,7 @@ async function run() {
             throw new Error("Test dependency failed: Required test data not created. Skipping.");
         }
         // testImage1 should not exist in album
-        const albumDoc = await getDoc("albums", bookId1);
-        const deletedImageExists = albumDoc.images.some(img => img.storagePath === testImage1.storagePath);
+        const deletedImageExists = (await getAlbumImages(bookId1)).some(img => img.storagePath === testImage1.storagePath);
         assert(!deletedImageExists, "Deleted image should not exist in Firestore");
 
         // Old covers should not exist in storage
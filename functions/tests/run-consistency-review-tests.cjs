@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const { FEATURES, generateText } = require('../utils/llm');
+const { buildConsistencyPrompt, parseConsistencyIssues } = require('../flows/reviewBookConsistency');
+
+const BOOK = {
+  book: { id: 'book-1', title: 'Our First Year' },
+  chapters: [
+    {
+      id: 'ch-1',
+      title: 'Early Days',
+      chapterSummary: 'Mia was born in March and rolled over at 3 months.',
+      pages: [
+        { id: 'page-1', pageName: 'Rolling over', plainText: 'Mia rolled over for the first time at 3 months old.' },
+        { id: 'page-empty', pageName: 'Draft', plainText: '' },
+      ],
+    },
+    {
+      id: 'ch-2',
+      title: 'Milestones',
+      chapterSummary: '',
+      pages: [
+        { id: 'page-2', pageName: 'Big news', plainText: 'Grandma remembers Mia rolling over at 4 months, right after Easter.' },
+      ],
+    },
+  ],
+};
+
+function testPromptLabelsPagesAndSkipsEmptyOnes() {
+  const { prompt, pageRefs, pagesReviewed, truncated } = buildConsistencyPrompt(BOOK);
+
+  assert.equal(pagesReviewed, 2);
+  assert.equal(truncated, false);
+  assert.deepEqual([...pageRefs.keys()], ['P1', 'P2']);
+  assert.equal(pageRefs.get('P2').pageId, 'page-2');
+  assert.match(prompt, /\[P1\] Early Days › Rolling over/);
+  assert.match(prompt, /- Milestones: \(no summary yet\)/);
+}
+
+function testIssuesLinkToPagesWithPassages() {
+  const { pageRefs } = buildConsistencyPrompt(BOOK);
+  const modelOutput = '```json\n' + JSON.stringify([
+    {
+      type: 'age',
+      title: 'Rolling over age differs',
+      detail: '3 months vs 4 months.',
+      suggestion: 'Pick one age.',
+      pages: [
+        { ref: 'P1', quote: 'at 3 months old' },
+        { ref: '[P2]', quote: 'at 4 months' },
+        { ref: 'P1', quote: 'duplicate ref' },
+      ],
+    },
+    { type: 'name', title: 'Cites an unknown page', pages: [{ ref: 'P9', quote: 'x' }] },
+    { type: 'weather', title: 'Unknown type', pages: ['P2'] },
+  ]) + '\n```';
+
+  const issues = parseConsistencyIssues(modelOutput, pageRefs, 'book-1');
+  assert.equal(issues.length, 2);
+
+  const [ageIssue, otherIssue] = issues;
+  assert.equal(ageIssue.type, 'age');
+  assert.deepEqual(ageIssue.pages.map((page) => page.pageId), ['page-1', 'page-2']);
+  const text = BOOK.chapters[0].pages[0].plainText;
+  const { start, end } = ageIssue.pages[0].passage;
+  assert.equal(text.slice(start, end), 'at 3 months old');
+  assert.equal(ageIssue.pages[1].chapterId, 'ch-2');
+
+  assert.equal(otherIssue.type, 'other');
+  assert.equal(otherIssue.pages[0].quote, '');
+  assert.equal(otherIssue.pages[0].passage, null);
+}
+
+function testUnparseableOutputGivesNoIssues() {
+  const { pageRefs } = buildConsistencyPrompt(BOOK);
+  assert.deepEqual(parseConsistencyIssues('Everything looks consistent.', pageRefs, 'book-1'), []);
+}
+
+async function testMockProviderRoundTrip() {
+  const { prompt, pageRefs } = buildConsistencyPrompt(BOOK);
+  const { text } = await generateText(FEATURES.CONSISTENCY_REVIEW, { prompt });
+  const issues = parseConsistencyIssues(text, pageRefs, 'book-1');
+
+  assert.equal(issues.length, 1);
+  assert.deepEqual(issues[0].pages.map((page) => page.pageId), ['page-1', 'page-2']);
+  assert.ok(issues[0].pages.every((page) => page.passage));
+}
+
+async function main() {
+  testPromptLabelsPagesAndSkipsEmptyOnes();
+  testIssuesLinkToPagesWithPassages();
+  testUnparseableOutputGivesNoIssues();
+  await testMockProviderRoundTrip();
+  console.log('Consistency review tests passed.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,220 @@
+// Offline checks that AI image variations are billed while they exist and swept once they expire:
+//   node tests/run-generated-image-tests.cjs
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: 'demo-project', storageBucket: 'demo-project.appspot.com' });
+}
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Image generation without a provider: every call returns the same small PNG.
+require.cache[require.resolve('../utils/llm')] = {
+  loaded: true,
+  exports: {
+    generateImage: async () => ({
+      dataUrl: `data:image/png;base64,${PNG.toString('base64')}`,
+      usage: { inputTokens: 10, outputImageTokens: 1290 },
+      model: 'test-image-model',
+      provider: 'test',
+    }),
+  },
+};
+
+const {
+  GENERATED_IMAGE_TTL_MS,
+  generateImageVariations,
+  sweepExpiredGeneratedImages,
+} = require('../services/imageGenerationService');
+
+const MB = 1024 * 1024;
+
+// Applies the FieldValue sentinels and dotted field paths the services write.
+function applyFields(current, data) {
+  const next = { ...current };
+  Object.entries(data).forEach(([key, value]) => {
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((target, part) => {
+      target[part] = target[part] && typeof target[part] === 'object' ? { ...target[part] } : {};
+      return target[part];
+    }, next);
+    const field = parts[parts.length - 1];
+    const method = value?.methodName;
+    if (method === 'FieldValue.delete') delete parent[field];
+    else if (method) parent[field] = 'now';
+    else parent[field] = value;
+  });
+  return next;
+}
+
+// Documents keyed by path; enough of Firestore for generated images and the quota counters.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (path) => {
+    const data = docs.get(path);
+    return { id: path.split('/').pop(), exists: docs.has(path), data: () => data, ref: docRef(path) };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(path),
+    set: async (data) => { docs.set(path, applyFields({}, data)); },
+    update: async (data) => {
+      if (!docs.has(path)) throw new Error(`No document to update: ${path}`);
+      docs.set(path, applyFields(docs.get(path), data));
+    },
+    delete: async () => { docs.delete(path); },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  let nextId = 0;
+  const collectionRef = (path) => ({
+    doc: (id = `auto${++nextId}`) => docRef(`${path}/${id}`),
+  });
+
+  // Only the `expiresAt <= cutoff` query the sweep makes.
+  const collectionGroup = (name) => {
+    const query = ({ cutoff, size = Infinity } = {}) => ({
+      where: (field, op, value) => query({ cutoff: value, size }),
+      limit: (count) => query({ cutoff, size: count }),
+      get: async () => {
+        const matches = [...docs.keys()]
+          .filter((key) => key.split('/').slice(-2, -1)[0] === name)
+          .map(snapshotOf)
+          .filter((snap) => snap.data().expiresAt && snap.data().expiresAt.toMillis() <= cutoff.toMillis())
+          .slice(0, size);
+        return { docs: matches, size: matches.length, empty: matches.length === 0 };
+      },
+    });
+    return query();
+  };
+
+  // One transaction at a time, as Firestore's retries would leave it.
+  let queue = Promise.resolve();
+  const runTransaction = (fn) => {
+    const run = queue.then(() => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data) => ref.set(data),
+      update: (ref, data) => ref.update(data),
+      delete: (ref) => ref.delete(),
+    }));
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    collectionGroup,
+    runTransaction,
+  };
+}
+
+// Object bytes keyed by path.
+function createFakeBucket() {
+  const objects = new Map();
+  return {
+    name: 'demo-project.appspot.com',
+    objects,
+    file: (path) => ({
+      save: async (buffer) => { objects.set(path, buffer); },
+      download: async () => [objects.get(path)],
+      delete: async () => { objects.delete(path); },
+    }),
+  };
+}
+
+const storageOf = (db, uid) => db.docs.get(`users/${uid}`).quotaCounters.storageBytesUsed;
+const generatedDocs = (db) => [...db.docs.keys()].filter((key) => key.startsWith('books/book1/generatedImages/'));
+
+function seedBook(db, { ownerStorage = 0 } = {}) {
+  db.docs.set('users/owner', { email: 'owner@example.test', quotaCounters: { storageBytesUsed: ownerStorage } });
+  db.docs.set('users/coauthor', { email: 'coauthor@example.test', quotaCounters: { storageBytesUsed: 0 } });
+  db.docs.set('books/book1', { ownerId: 'owner', members: { coauthor: 'Co-author' } });
+}
+
+const generate = (db, bucket, count) => generateImageVariations({
+  db,
+  userPrompt: 'A lighthouse',
+  count,
+  userId: 'coauthor',
+  bookId: 'book1',
+  chapterId: 'c1',
+  pageId: 'p1',
+  bucket,
+});
+
+async function testVariationsAreBilledToTheOwner() {
+  const db = createFakeDb();
+  const bucket = createFakeBucket();
+  seedBook(db);
+
+  const { images } = await generate(db, bucket, 3);
+  assert.equal(images.length, 3);
+  assert.equal(bucket.objects.size, 3);
+  assert.ok([...bucket.objects.keys()].every((path) => path.startsWith('coauthor/book1/generated/')));
+  assert.equal(storageOf(db, 'owner'), 3 * PNG.length, 'the book owner pays, not the co-author');
+  assert.equal(storageOf(db, 'coauthor'), 0);
+
+  const record = db.docs.get(generatedDocs(db)[0]);
+  assert.equal(record.storageBytes, PNG.length);
+  assert.equal(record.billedUserId, 'owner');
+  assert.ok(record.expiresAt.toMillis() > Date.now() + GENERATED_IMAGE_TTL_MS - 60 * 1000);
+}
+
+async function testStorageLimitRemovesTheFile() {
+  const db = createFakeDb();
+  const bucket = createFakeBucket();
+  seedBook(db, { ownerStorage: 10000 * MB });
+
+  await assert.rejects(generate(db, bucket, 2), (error) => error.code === 'resource-exhausted');
+  assert.equal(bucket.objects.size, 0, 'nothing is left behind unbilled');
+  assert.deepEqual(generatedDocs(db), []);
+  assert.equal(storageOf(db, 'owner'), 10000 * MB);
+}
+
+async function testSweepRemovesUnchosenVariations() {
+  const db = createFakeDb();
+  const bucket = createFakeBucket();
+  seedBook(db);
+
+  const { images } = await generate(db, bucket, 2);
+  const [chosen, unchosen] = images;
+  const savedStoragePath = 'coauthor/book1/c1/p1/media/image/gen.png';
+  await db.collection('books').doc('book1').collection('generatedImages').doc(chosen.id).update({
+    savedStoragePath,
+    savedUrl: `https://cdn.test/${savedStoragePath}`,
+  });
+
+  assert.equal(await sweepExpiredGeneratedImages(db, { bucket }), 0, 'nothing has expired yet');
+  assert.equal(storageOf(db, 'owner'), 2 * PNG.length);
+
+  const removed = await sweepExpiredGeneratedImages(db, { now: Date.now() + GENERATED_IMAGE_TTL_MS + 1000, bucket });
+  assert.equal(removed, 2);
+  assert.equal(bucket.objects.size, 0, 'both generated files are deleted');
+  assert.equal(storageOf(db, 'owner'), 0, 'and their bytes refunded');
+  assert.equal(db.docs.has(`books/book1/generatedImages/${unchosen.id}`), false);
+
+  const saved = db.docs.get(`books/book1/generatedImages/${chosen.id}`);
+  assert.equal(saved.storagePath, savedStoragePath, 'the saved record points at the album copy');
+  assert.equal(saved.url, `https://cdn.test/${savedStoragePath}`);
+  assert.equal(saved.storageBytes, 0);
+  assert.equal('expiresAt' in saved, false);
+
+  const later = Date.now() + 2 * GENERATED_IMAGE_TTL_MS;
+  assert.equal(await sweepExpiredGeneratedImages(db, { now: later, bucket }), 0, 'a second sweep refunds nothing');
+  assert.equal(storageOf(db, 'owner'), 0);
+}
+
+(async () => {
+  await testVariationsAreBilledToTheOwner();
+  await testStorageLimitRemovesTheFile();
+  await testSweepRemovesUnchosenVariations();
+  console.log('generated image tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,140 @@
+// Offline checks that album search reads only media whose captions can match:
+//   node tests/run-library-search-tests.cjs
+const assert = require('node:assert/strict');
+
+const { prefixTerms } = require('../services/searchIndexService');
+const { albumMediaId, mediaCaptionTerms, toAlbumMediaDocs } = require('../services/albumMediaService');
+const { searchAlbums } = require('../services/librarySearchService');
+
+// Documents keyed by path; counts every document a read returns.
+function createFakeDb() {
+  const docs = new Map();
+  const stats = { docsRead: 0 };
+
+  const snapshotOf = (path) => {
+    const data = docs.has(path) ? structuredClone(docs.get(path)) : undefined;
+    return { id: path.split('/').pop(), exists: docs.has(path), data: () => data };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => {
+      stats.docsRead += 1;
+      return snapshotOf(path);
+    },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const query = ({ contains = null, size = Infinity } = {}) => ({
+      where: (field, op, value) => {
+        assert.equal(op, 'array-contains');
+        return query({ contains: [field, value], size });
+      },
+      orderBy: () => query({ contains, size }),
+      limit: (count) => query({ contains, size: count }),
+      get: async () => {
+        const matches = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(snapshotOf)
+          .filter((snap) => !contains || (snap.data()[contains[0]] || []).includes(contains[1]))
+          .sort((a, b) => b.data().uploadedAt.localeCompare(a.data().uploadedAt))
+          .slice(0, size);
+        stats.docsRead += Math.max(1, matches.length);
+        return { docs: matches, empty: matches.length === 0 };
+      },
+    });
+    return { ...query(), doc: (id) => docRef(`${path}/${id}`) };
+  };
+
+  return {
+    docs,
+    stats,
+    collection: (name) => collectionRef(name),
+    getAll: async (...refs) => {
+      stats.docsRead += refs.length;
+      return refs.map((ref) => snapshotOf(ref.path));
+    },
+  };
+}
+
+function addMedia(db, albumId, name, index) {
+  const storagePath = `u1/${albumId}/_album_/_album_/media/image/${name}`;
+  const item = {
+    storagePath,
+    url: `https://cdn.test/${storagePath}`,
+    name,
+    type: 'image',
+    uploadedAt: new Date(index * 1000).toISOString(),
+    usedIn: [],
+  };
+  db.docs.set(`albums/${albumId}/media/${albumMediaId(storagePath)}`, { ...item, captionTerms: mediaCaptionTerms(item) });
+}
+
+function testPrefixTerms() {
+  assert.deepEqual(prefixTerms('Beach day'), ['beach', 'be', 'bea', 'beac', 'day', 'da']);
+  assert.deepEqual(prefixTerms('Café at the lake'), ['cafe', 'ca', 'caf', 'lake', 'la', 'lak'], 'folded, no stopwords');
+  assert.deepEqual(prefixTerms('IMG_7.jpg'), ['img', 'im', '7', 'jpg', 'jp']);
+  assert.deepEqual(prefixTerms(''), []);
+  assert.ok(prefixTerms('supercalifragilistic '.repeat(3) + 'x'.repeat(40) + ' ' + 'y'.repeat(40)).length <= 100);
+}
+
+function testLegacyItemsGetTerms() {
+  const [doc] = toAlbumMediaDocs({ images: [{ url: 'https://cdn.test/x.jpg', name: 'Grandma birthday' }] }).values();
+  assert.ok(doc.captionTerms.includes('grandma'));
+  assert.ok(doc.captionTerms.includes('birth'));
+}
+
+async function testOnlyMatchingMediaAreRead() {
+  const db = createFakeDb();
+  db.docs.set('users/u1', { accessibleAlbums: [] });
+  db.docs.set('albums/book1', { name: 'First year', accessPermission: { ownerId: 'u1' } });
+  for (let i = 0; i < 300; i += 1) addMedia(db, 'book1', `photo-${i}.jpg`, i);
+  addMedia(db, 'book1', 'grandma-garden.jpg', 400);
+  addMedia(db, 'book1', 'grandma-beach.jpg', 401);
+  addMedia(db, 'book1', 'beach-ball.jpg', 402);
+
+  const results = await searchAlbums(db, 'u1', ['book1'], { terms: ['beach', 'gran'], prefix: 'gran' });
+  assert.deepEqual(results.map((result) => result.title), ['grandma-beach.jpg']);
+  assert.ok(db.stats.docsRead <= 5, `read ${db.stats.docsRead} docs, not the whole album`);
+
+  db.stats.docsRead = 0;
+  const byPrefix = await searchAlbums(db, 'u1', ['book1'], { terms: ['gra'], prefix: 'gra' });
+  assert.deepEqual(byPrefix.map((result) => result.title), ['grandma-beach.jpg', 'grandma-garden.jpg'], 'newest first');
+
+  const albumHit = await searchAlbums(db, 'u1', ['book1'], { terms: ['first'], prefix: null });
+  assert.deepEqual(albumHit.map((result) => result.type), ['album']);
+}
+
+async function testCaptionMatchesAreCapped() {
+  const db = createFakeDb();
+  db.docs.set('users/u1', {});
+  db.docs.set('albums/book1', { name: 'Holiday', accessPermission: { ownerId: 'u1' } });
+  for (let i = 0; i < 50; i += 1) addMedia(db, 'book1', `sunset-${i}.jpg`, i);
+
+  const results = await searchAlbums(db, 'u1', ['book1'], { terms: ['sunset'], prefix: null });
+  assert.equal(results.length, 20);
+  assert.equal(results[0].title, 'sunset-49.jpg');
+}
+
+async function testOtherUsersAlbumsAreSkipped() {
+  const db = createFakeDb();
+  db.docs.set('users/u1', { accessibleAlbums: [{ id: 'private1' }] });
+  db.docs.set('albums/private1', { name: 'Beach', accessPermission: { ownerId: 'u2', accessType: 'private' } });
+  addMedia(db, 'private1', 'beach.jpg', 1);
+
+  assert.deepEqual(await searchAlbums(db, 'u1', [], { terms: ['beach'], prefix: null }), []);
+}
+
+(async () => {
+  testPrefixTerms();
+  testLegacyItemsGetTerms();
+  await testOnlyMatchingMediaAreRead();
+  await testCaptionMatchesAreCapped();
+  await testOtherUsersAlbumsAreSkipped();
+  console.log('library search tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
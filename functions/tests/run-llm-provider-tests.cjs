@@ -0,0 +1,134 @@
+// Offline checks for the LLM provider registry and the mock provider:
+//   node tests/run-llm-provider-tests.cjs
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+delete process.env.OPENAI_API_KEY;
+
+const {
+  FEATURES,
+  EMBEDDING_DIMENSIONS,
+  resolveProvider,
+  generateText,
+  getEmbeddingModelId,
+  embedText,
+  generateImage,
+} = require('../utils/llm');
+const { callAI } = require('../utils/aiClient');
+const vertexProvider = require('../utils/llm/vertexProvider');
+const { buildRewritePrompt, buildChapterGenerationPrompt, extractChapterTitles } = require('../utils/prompts');
+
+const cosine = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+function testProviderSelection() {
+  assert.equal(resolveProvider(FEATURES.REWRITE_NOTE).providerName, 'mock');
+
+  process.env.LLM_PROVIDER_REWRITE_NOTE = 'ollama';
+  process.env.LLM_MODEL_REWRITE_NOTE = 'qwen2.5:7b';
+  const rewrite = resolveProvider(FEATURES.REWRITE_NOTE);
+  assert.equal(rewrite.providerName, 'ollama');
+  assert.equal(rewrite.model, 'qwen2.5:7b');
+  assert.equal(resolveProvider(FEATURES.SUMMARIES).providerName, 'mock');
+  delete process.env.LLM_PROVIDER_REWRITE_NOTE;
+  delete process.env.LLM_MODEL_REWRITE_NOTE;
+
+  delete process.env.LLM_PROVIDER;
+  assert.equal(resolveProvider(FEATURES.CHAPTER_GENERATION).providerName, 'vertex');
+  process.env.OPENAI_API_KEY = 'sk-test';
+  assert.equal(resolveProvider(FEATURES.CHAPTER_GENERATION).providerName, 'openai');
+  assert.equal(resolveProvider(FEATURES.EMBEDDINGS).providerName, 'vertex');
+  delete process.env.OPENAI_API_KEY;
+  process.env.LLM_PROVIDER = 'mock';
+
+  process.env.LLM_PROVIDER_SUMMARIES = 'nope';
+  assert.throws(() => resolveProvider(FEATURES.SUMMARIES), /Unknown LLM provider "nope"/);
+  delete process.env.LLM_PROVIDER_SUMMARIES;
+}
+
+async function testTextFeatures() {
+  const chapters = await callAI(buildChapterGenerationPrompt('Aira', 'Her first year'), {
+    feature: FEATURES.CHAPTER_GENERATION,
+  });
+  assert.equal(extractChapterTitles(chapters).length, 6);
+
+  const prompt = buildRewritePrompt('We went to the park.', 'Make it warmer');
+  const rewritten = await callAI(prompt, { feature: FEATURES.REWRITE_NOTE });
+  assert.equal(rewritten, 'We went to the park. (mock rewrite: Make it warmer)');
+  assert.equal(await callAI(prompt, { feature: FEATURES.REWRITE_NOTE }), rewritten, 'mock output is deterministic');
+
+  const suggestions = await generateText(FEATURES.CHAPTER_SUGGESTIONS, {
+    prompt: 'Chapter: "Firsts"\nReturn ONLY a JSON array of strings.',
+  });
+  assert.equal(suggestions.provider, 'mock');
+  assert.ok(JSON.parse(suggestions.text).length >= 4);
+  assert.ok(suggestions.usage.inputTokens > 0 && suggestions.usage.outputTokens > 0);
+  // Without the JSON instruction the mock answers like a model would: a numbered list.
+  const listed = await generateText(FEATURES.CHAPTER_SUGGESTIONS, { prompt: 'Chapter: "Firsts"' });
+  assert.match(listed.text, /^1\. /);
+}
+
+async function testEmbeddingsAndImages() {
+  const grandma = await embedText('Grandma Sita visited and cooked dal bhat');
+  const again = await embedText('Grandma Sita visited and cooked dal bhat');
+  const related = await embedText('Dal bhat cooked by Grandma Sita');
+  const unrelated = await embedText('Swings at the park in March');
+  assert.equal(grandma.length, EMBEDDING_DIMENSIONS);
+  assert.deepEqual(grandma, again);
+  assert.ok(cosine(grandma, related) > cosine(grandma, unrelated));
+  assert.equal(getEmbeddingModelId(), 'mock/mock-embedding');
+
+  const { dataUrl } = await generateImage('a red balloon');
+  const png = Buffer.from(dataUrl.split(',')[1], 'base64');
+  assert.ok(dataUrl.startsWith('data:image/png;base64,'));
+  assert.equal(png.subarray(1, 4).toString('ascii'), 'PNG');
+}
+
+async function testVertexStreamIsCancellable() {
+  const { GoogleAuth } = require('google-auth-library');
+  const originalToken = GoogleAuth.prototype.getAccessToken;
+  const originalFetch = global.fetch;
+  GoogleAuth.prototype.getAccessToken = async () => 'test-token';
+  const requests = [];
+  const encoder = new TextEncoder();
+  // Two events split mid-line and CRLF line endings, as the network may deliver them.
+  const body = [
+    'data: {"candidates":[{"content":{"parts":[{"text":"Hel"}]}}]}\r\n\r\ndata: {"candidates":[{"content":{"pa',
+    'rts":[{"text":"lo"}]}}],"usageMetadata":{"promptTokenCount":7,"candidatesTokenCount":2}}\r\n\r\n',
+  ];
+  global.fetch = async (url, options) => {
+    requests.push({ url, options });
+    return new Response(new ReadableStream({
+      start(controller) {
+        body.forEach((part) => controller.enqueue(encoder.encode(part)));
+        controller.close();
+      },
+    }));
+  };
+  try {
+    const controller = new AbortController();
+    const chunks = [];
+    for await (const chunk of vertexProvider.streamText({ prompt: 'Hi', model: 'gemini-test', signal: controller.signal })) {
+      chunks.push(chunk);
+    }
+    assert.deepEqual(chunks, [{ text: 'Hel' }, { text: 'lo' }, { usage: { inputTokens: 7, outputTokens: 2 } }]);
+    assert.match(requests[0].url, /models\/gemini-test:streamGenerateContent\?alt=sse$/);
+    assert.equal(requests[0].options.signal, controller.signal, 'closing the client cancels the request');
+    assert.equal(requests[0].options.headers.Authorization, 'Bearer test-token');
+  } finally {
+    GoogleAuth.prototype.getAccessToken = originalToken;
+    global.fetch = originalFetch;
+  }
+}
+
+async function run() {
+  testProviderSelection();
+  await testTextFeatures();
+  await testEmbeddingsAndImages();
+  await testVertexStreamIsCancellable();
+  console.log('✅ LLM provider tests passed');
+}
+
+run().catch((error) => {
+  console.error('❌ LLM provider tests failed:', error);
+  process.exit(1);
+});
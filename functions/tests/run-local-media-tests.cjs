@@ -39,6 +39,7 @@ const createAlbumFunc = require("../createAlbum");
 const updateBookFunc = require("../updateBook");
 const updateAlbumFunc = require("../updateAlbum");
 const trackMediaUsageFunc = require("../mediaUsage");
+const { upsertAlbumMedia, listAllAlbumMedia } = require("../services/albumMediaService");
 const deleteMediaAssetFunc = require("../deleteMedia");
 
 // Test results
@@ -158,6 +159,12 @@ async function getDoc(collection, id) {
     return snap.exists ? { id: snap.id, ...snap.data() } : null;
 }
 
+// Images in an album's media subcollection
+async function getAlbumImages(albumId) {
+    const items = await listAllAlbumMedia(db, albumId);
+    return items.filter(item => item.type === "image");
+}
+
 async function cleanupUser(uid) {
     log(`🧹 Cleaning up user: ${uid}`);
     await db.collection("users").doc(uid).delete().catch(() => { });
@@ -297,24 +304,17 @@ async function run() {
         logStorage("ADD", testMedia2.size, "Test media 2");
 
         // Add to album
-        await db.collection("albums").doc(bookId).update({
-            images: admin.firestore.FieldValue.arrayUnion(
-                {
-                    url: testMedia1.url,
-                    storagePath: testMedia1.storagePath,
-                    name: "test1.jpg",
-                    uploadedAt: new Date().toISOString(),
-                    usedIn: []
-                },
-                {
-                    url: testMedia2.url,
-                    storagePath: testMedia2.storagePath,
-                    name: "test2.jpg",
-                    uploadedAt: new Date().toISOString(),
-                    usedIn: []
-                }
-            ),
-            mediaCount: 2
+        await upsertAlbumMedia(db, bookId, {
+            storagePath: testMedia1.storagePath,
+            url: testMedia1.url,
+            type: "image",
+            name: "test1.jpg",
+        });
+        await upsertAlbumMedia(db, bookId, {
+            storagePath: testMedia2.storagePath,
+            url: testMedia2.url,
+            type: "image",
+            name: "test2.jpg",
         });
 
         // Update storage usage
@@ -324,7 +324,7 @@ async function run() {
 
         // Verify
         const albumDoc = await getDoc("albums", bookId);
-        assertEquals(albumDoc.images.length, 2, "Should have 2 images");
+        assertEquals((await getAlbumImages(bookId)).length, 2, "Should have 2 images");
         assertEquals(albumDoc.mediaCount, 2, "Media count");
 
         const userDoc = await getDoc("users", testUserId);
@@ -380,8 +380,7 @@ async function run() {
         });
 
         // Verify usedIn
-        const albumDoc = await getDoc("albums", bookId);
-        const media1 = albumDoc.images.find(img => img.storagePath === testMedia1.storagePath);
+        const media1 = (await getAlbumImages(bookId)).find(img => img.storagePath === testMedia1.storagePath);
         assert(media1, "Media should exist");
         assert(media1.usedIn, "UsedIn should exist");
         assertEquals(media1.usedIn.length, 1, "Should have 1 usage");
@@ -411,7 +410,7 @@ async function run() {
 
         // Verify removed from album
         const albumDoc = await getDoc("albums", bookId);
-        const stillExists = albumDoc.images.some(img => img.storagePath === testMedia1.storagePath);
+        const stillExists = (await getAlbumImages(bookId)).some(img => img.storagePath === testMedia1.storagePath);
         assert(!stillExists, "Should be removed from album");
         assertEquals(albumDoc.mediaCount, 1, "Media count decremented");
 
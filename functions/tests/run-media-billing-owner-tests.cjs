@@ -0,0 +1,180 @@
+// Offline checks that media deletes refund whoever pays for the book now, also after an ownership transfer:
+//   node tests/run-media-billing-owner-tests.cjs
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: 'demo-project', storageBucket: 'demo-project.appspot.com' });
+}
+
+const { moveBookUsageTx, resolveStorageBillingUserId } = require('../utils/limits');
+const { albumMediaId } = require('../services/albumMediaService');
+const { deleteMediaInternal } = require('../utils/deleteMediaInternal');
+
+const MB = 1024 * 1024;
+
+// Applies the FieldValue sentinels and dotted field paths the services write.
+function applyFields(current, data) {
+  const next = structuredClone(current);
+  Object.entries(data).forEach(([key, value]) => {
+    const parts = key.split('.');
+    const parent = parts.slice(0, -1).reduce((target, part) => {
+      target[part] = target[part] && typeof target[part] === 'object' ? target[part] : {};
+      return target[part];
+    }, next);
+    const field = parts[parts.length - 1];
+    const method = value?.methodName;
+    if (method === 'FieldValue.delete') delete parent[field];
+    else if (method === 'FieldValue.increment') parent[field] = (parent[field] || 0) + value.operand;
+    else if (method) parent[field] = 'now';
+    else parent[field] = value;
+  });
+  return next;
+}
+
+// Documents keyed by path; enough of Firestore for album media and the quota counters.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (path) => {
+    const data = docs.get(path);
+    return { id: path.split('/').pop(), exists: docs.has(path), data: () => data };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(path),
+    set: async (data) => { docs.set(path, applyFields({}, data)); },
+    update: async (data) => {
+      if (!docs.has(path)) throw new Error(`No document to update: ${path}`);
+      docs.set(path, applyFields(docs.get(path), data));
+    },
+    delete: async () => { docs.delete(path); },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const query = ({ size = Infinity } = {}) => ({
+      where: () => query({ size }),
+      orderBy: () => query({ size }),
+      limit: (count) => query({ size: count }),
+      get: async () => {
+        const matches = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(snapshotOf)
+          .slice(0, size);
+        return { docs: matches, empty: matches.length === 0 };
+      },
+    });
+    return { ...query(), doc: (id) => docRef(`${path}/${id}`) };
+  };
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data) => ref.set(data),
+      update: (ref, data) => ref.update(data),
+      delete: (ref) => ref.delete(),
+    }),
+  };
+}
+
+// Object sizes keyed by path.
+function createFakeBucket(objects) {
+  return {
+    objects,
+    file: (path) => ({
+      getMetadata: async () => {
+        if (!objects.has(path)) throw Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+        return [{ size: String(objects.get(path)) }];
+      },
+      delete: async () => { objects.delete(path); },
+    }),
+  };
+}
+
+const storageOf = (db, uid) => db.docs.get(`users/${uid}`).quotaCounters.storageBytesUsed;
+
+function seedAlbumMedia(db, albumId, storagePath, fields = {}) {
+  db.docs.set(`albums/${albumId}/media/${albumMediaId(storagePath)}`, {
+    storagePath,
+    url: `https://cdn.test/${storagePath}`,
+    type: 'image',
+    usedIn: [],
+    ...fields,
+  });
+}
+
+// The usage move and owner change respondOwnershipTransfer makes
+async function transferBook(db, bookId, fromUid, toUid, storageBytes) {
+  await db.runTransaction(async (tx) => {
+    const fromRef = db.collection('users').doc(fromUid);
+    const toRef = db.collection('users').doc(toUid);
+    const [fromSnap, toSnap] = await Promise.all([tx.get(fromRef), tx.get(toRef)]);
+    moveBookUsageTx(tx, {
+      from: { uid: fromUid, ref: fromRef, data: fromSnap.data() },
+      to: { uid: toUid, ref: toRef, data: toSnap.data() },
+      storageBytes,
+    });
+    tx.update(db.collection('books').doc(bookId), { ownerId: toUid });
+  });
+}
+
+async function testDeleteAfterTransfer() {
+  const db = createFakeDb();
+  const storagePath = 'old/book1/chapter1/page1/media/image/photo.jpg';
+  const renditionPath = 'old/book1/chapter1/page1/renditions/medium/photo.webp';
+  const bucket = createFakeBucket(new Map([[storagePath, 4 * MB], [renditionPath, MB]]));
+
+  db.docs.set('users/old', { email: 'old@example.test', quotaCounters: { books: 2, storageBytesUsed: 11 * MB } });
+  db.docs.set('users/new', { email: 'new@example.test', quotaCounters: { books: 0, storageBytesUsed: MB } });
+  db.docs.set('books/book1', { ownerId: 'old' });
+  db.docs.set('albums/book1', { mediaCount: 1, accessPermission: { ownerId: 'old' } });
+  seedAlbumMedia(db, 'book1', storagePath, {
+    renditions: { medium: { storagePath: renditionPath, bytes: MB } },
+    renditionBytes: MB,
+  });
+
+  await transferBook(db, 'book1', 'old', 'new', 5 * MB);
+  assert.equal(storageOf(db, 'old'), 6 * MB);
+  assert.equal(storageOf(db, 'new'), 6 * MB);
+
+  await deleteMediaInternal({ storagePath, bookId: 'book1', db, bucket });
+  assert.equal(storageOf(db, 'new'), MB, 'the new owner gets the photo and its renditions back');
+  assert.equal(storageOf(db, 'old'), 6 * MB, 'the uploader in the path is not refunded again');
+  assert.equal(bucket.objects.size, 0);
+  assert.equal(db.docs.get('albums/book1').mediaCount, 0);
+}
+
+async function testStandaloneAlbum() {
+  const db = createFakeDb();
+  const storagePath = 'u1/album1/_album_/_album_/media/image/photo.jpg';
+  const bucket = createFakeBucket(new Map([[storagePath, 2 * MB]]));
+  db.docs.set('users/u1', { email: 'u1@example.test', quotaCounters: { storageBytesUsed: 3 * MB } });
+  db.docs.set('albums/album1', { mediaCount: 1, accessPermission: { ownerId: 'u1' } });
+  seedAlbumMedia(db, 'album1', storagePath);
+
+  await deleteMediaInternal({ storagePath, bookId: 'album1', db, bucket });
+  assert.equal(storageOf(db, 'u1'), MB, 'no book: the path user pays');
+}
+
+async function testResolveBillingUser() {
+  const db = createFakeDb();
+  db.docs.set('books/book1', { ownerId: 'new' });
+  assert.equal(await resolveStorageBillingUserId(db, 'book1', 'old'), 'new');
+  assert.equal(await resolveStorageBillingUserId(db, 'missing', 'old'), 'old');
+  assert.equal(await resolveStorageBillingUserId(db, null, 'old'), 'old');
+}
+
+(async () => {
+  await testDeleteAfterTransfer();
+  await testStandaloneAlbum();
+  await testResolveBillingUser();
+  console.log('media billing owner tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,310 @@
+// Offline checks for duplicate photo detection and merging (needs sharp installed):
+//   node tests/run-media-duplicate-tests.cjs
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const { albumMediaId } = require('../services/albumMediaService');
+const {
+  NEAR_DUPLICATE_DISTANCE,
+  computeContentHash,
+  computePerceptualHash,
+  hammingDistance,
+  hashStoredImage,
+  findExactDuplicate,
+  refundableOriginalBytes,
+  groupDuplicateMedia,
+  replaceMediaReferences,
+  mergeDuplicateMedia,
+} = require('../services/mediaDuplicateService');
+
+const getPath = (data, field) => field.split('.').reduce((value, key) => value?.[key], data);
+
+// Applies the FieldValue sentinels the services write.
+function applyFields(current, data) {
+  const next = { ...current };
+  Object.entries(data).forEach(([key, value]) => {
+    if (value?.methodName === 'FieldValue.delete') delete next[key];
+    else next[key] = value;
+  });
+  return next;
+}
+
+// Documents keyed by path, with collection-group queries on dotted fields.
+function createFakeDb() {
+  const docs = new Map();
+
+  const docRef = (path) => {
+    const segments = path.split('/');
+    const ref = {
+      id: segments[segments.length - 1],
+      path,
+      parent: { id: segments[segments.length - 2], parent: segments.length > 2 ? { id: segments[segments.length - 3] } : null },
+      get: async () => snapshotOf(path),
+      set: async (data) => { docs.set(path, applyFields({}, data)); },
+      update: async (data) => {
+        if (!docs.has(path)) throw new Error(`No document to update: ${path}`);
+        docs.set(path, applyFields(docs.get(path), data));
+      },
+      delete: async () => { docs.delete(path); },
+      collection: (name) => collectionRef(`${path}/${name}`),
+    };
+    return ref;
+  };
+
+  const snapshotOf = (path) => ({
+    id: path.split('/').pop(),
+    ref: docRef(path),
+    exists: docs.has(path),
+    data: () => docs.get(path),
+  });
+
+  const query = (matchPath, { filters = [], order = null, size = Infinity, after = null } = {}) => ({
+    where: (field, op, value) => query(matchPath, { filters: [...filters, [field, value]], order, size, after }),
+    orderBy: (field, direction = 'asc') => query(matchPath, { filters, order: [field, direction], size, after }),
+    limit: (count) => query(matchPath, { filters, order, size: count, after }),
+    startAfter: (snapshot) => query(matchPath, { filters, order, size, after: snapshot.id }),
+    get: async () => {
+      let matches = [...docs.keys()].filter(matchPath).sort().map(snapshotOf)
+        .filter((snap) => filters.every(([field, value]) => getPath(snap.data(), field) === value));
+      if (order) {
+        const [field, direction] = order;
+        matches = matches
+          .filter((snap) => snap.data()[field] !== undefined)
+          .sort((a, b) => (a.data()[field] < b.data()[field] ? -1 : 1) * (direction === 'desc' ? -1 : 1));
+      }
+      if (after) matches = matches.slice(matches.findIndex((snap) => snap.id === after) + 1);
+      matches = matches.slice(0, size);
+      return { docs: matches, empty: matches.length === 0 };
+    },
+  });
+
+  const collectionRef = (path) => ({
+    ...query((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/')),
+    doc: (id) => docRef(`${path}/${id}`),
+  });
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    collectionGroup: (name) => query((key) => {
+      const segments = key.split('/');
+      return segments.length >= 2 && segments[segments.length - 2] === name;
+    }),
+    batch: () => {
+      const writes = [];
+      return {
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        commit: async () => { for (const write of writes) await write(); },
+      };
+    },
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data) => ref.set(data),
+      update: (ref, data) => ref.update(data),
+      delete: (ref) => ref.delete(),
+    }),
+  };
+}
+
+function createFakeBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    file: (path) => ({
+      download: async () => [objects.get(path)],
+      delete: async () => { objects.delete(path); },
+    }),
+  };
+}
+
+const pathOf = (albumId, name) => `u1/${albumId}/_album_/_album_/media/image/${name}`;
+const urlOf = (storagePath) => `https://firebasestorage.googleapis.com/v0/b/bucket/o/${encodeURIComponent(storagePath)}?alt=media&token=t`;
+
+const addMedia = (db, albumId, name, fields = {}) => {
+  const storagePath = pathOf(albumId, name);
+  const item = { storagePath, url: urlOf(storagePath), name, type: 'image', usedIn: [], ...fields };
+  db.docs.set(`albums/${albumId}/media/${albumMediaId(storagePath)}`, item);
+  return item;
+};
+const mediaDoc = (db, albumId, storagePath) => db.docs.get(`albums/${albumId}/media/${albumMediaId(storagePath)}`);
+
+// A gradient with a bright block, so the difference hash has something to read
+const photo = ({ width = 120, height = 90, quality = 90, shift = 0 } = {}) => {
+  const pixels = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const bright = x > width * (0.3 + shift) && x < width * (0.6 + shift) && y > height * 0.2 && y < height * 0.7;
+      const value = bright ? 240 : Math.round((x / width) * 120);
+      pixels.fill(value, (y * width + x) * 3, (y * width + x) * 3 + 3);
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality }).toBuffer();
+};
+
+async function testHashes() {
+  const original = await photo();
+  const recompressed = await sharp(original).resize(80).jpeg({ quality: 40 }).toBuffer();
+  const different = await photo({ shift: 0.35 });
+
+  assert.equal(computeContentHash(original), computeContentHash(Buffer.from(original)));
+  assert.notEqual(computeContentHash(original), computeContentHash(recompressed));
+
+  const [a, b, c] = await Promise.all([original, recompressed, different].map(computePerceptualHash));
+  assert.match(a, /^[0-9a-f]{16}$/);
+  assert.ok(hammingDistance(a, b) <= NEAR_DUPLICATE_DISTANCE, 'resized, recompressed copies stay close');
+  assert.ok(hammingDistance(a, c) > NEAR_DUPLICATE_DISTANCE, 'a different picture is far');
+  assert.equal(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+  assert.equal(await computePerceptualHash(Buffer.from('not an image')), null);
+
+  const bucket = createFakeBucket();
+  bucket.objects.set('p.jpg', original);
+  assert.deepEqual(await hashStoredImage(bucket, 'p.jpg'), { contentHash: computeContentHash(original), perceptualHash: a });
+}
+
+async function testFindExactDuplicate() {
+  const db = createFakeDb();
+  db.docs.set('books/b1', { ownerId: 'u1' });
+  db.docs.set('albums/b1', {});
+  db.docs.set('albums/a2', { accessPermission: { ownerId: 'u1' } });
+  db.docs.set('albums/other', { accessPermission: { ownerId: 'u2' } });
+
+  addMedia(db, 'other', 'x.jpg', { contentHash: 'h1', uploadedAt: '2024-01-01T00:00:00.000Z' });
+  const original = addMedia(db, 'a2', 'x.jpg', { contentHash: 'h1', uploadedAt: '2024-02-01T00:00:00.000Z' });
+  addMedia(db, 'b1', 'copy.jpg', {
+    contentHash: 'h1',
+    uploadedAt: '2024-01-15T00:00:00.000Z',
+    duplicateOf: { albumId: 'a2', storagePath: original.storagePath, url: original.url },
+  });
+
+  const upload = pathOf('b1', 'new.jpg');
+  assert.deepEqual(
+    await findExactDuplicate(db, { contentHash: 'h1', ownerId: 'u1', storagePath: upload }),
+    { albumId: 'a2', storagePath: original.storagePath, url: original.url },
+    'only originals the same owner pays for count'
+  );
+  assert.equal(await findExactDuplicate(db, { contentHash: 'h1', ownerId: 'u3', storagePath: upload }), null);
+  assert.equal(await findExactDuplicate(db, { contentHash: 'h1', ownerId: 'u1', storagePath: original.storagePath }), null,
+    'a file is not a duplicate of itself');
+}
+
+async function testRefundAndPromotion() {
+  const db = createFakeDb();
+  db.docs.set('albums/a1', { accessPermission: { ownerId: 'u1' } });
+  db.docs.set('albums/a2', { accessPermission: { ownerId: 'u1' } });
+  db.docs.set('albums/a3', { accessPermission: { ownerId: 'u2' } });
+  const charges = [];
+  const addStorageUsage = async (_db, uid, delta, options) => { charges.push({ uid, delta, options }); };
+
+  const original = addMedia(db, 'a1', 'o.jpg', { contentHash: 'h', uploadedAt: '2024-01-01' });
+  const ref = { albumId: 'a1', storagePath: original.storagePath, url: original.url };
+  const first = addMedia(db, 'a2', 'first.jpg', { contentHash: 'h', uploadedAt: '2024-02-01', duplicateOf: ref });
+  const second = addMedia(db, 'a2', 'second.jpg', { contentHash: 'h', uploadedAt: '2024-03-01', duplicateOf: ref });
+
+  assert.equal(await refundableOriginalBytes(db, {
+    item: mediaDoc(db, 'a2', second.storagePath), storagePath: second.storagePath, sizeBytes: 500, billingUserId: 'u1', addStorageUsage,
+  }), 0, 'duplicates were never billed');
+  assert.equal(await refundableOriginalBytes(db, {
+    item: { type: 'video' }, storagePath: 'v.mp4', sizeBytes: 700, billingUserId: 'u1', addStorageUsage,
+  }), 700);
+
+  const refunded = await refundableOriginalBytes(db, {
+    item: original, storagePath: original.storagePath, sizeBytes: 500, billingUserId: 'u1', addStorageUsage,
+  });
+  assert.equal(refunded, 0, 'the same owner keeps paying for the promoted copy');
+  assert.equal(mediaDoc(db, 'a2', first.storagePath).duplicateOf, undefined, 'oldest copy promoted');
+  assert.equal(mediaDoc(db, 'a2', second.storagePath).duplicateOf.storagePath, first.storagePath, 'others re-pointed');
+  assert.deepEqual(charges, []);
+
+  // A copy billed to someone else (ownership moved) is charged when it takes over
+  db.docs.delete(`albums/a2/media/${albumMediaId(second.storagePath)}`);
+  addMedia(db, 'a3', 'moved.jpg', {
+    contentHash: 'h', uploadedAt: '2024-03-01', duplicateOf: { albumId: 'a2', storagePath: first.storagePath, url: first.url },
+  });
+  assert.equal(await refundableOriginalBytes(db, {
+    item: mediaDoc(db, 'a2', first.storagePath), storagePath: first.storagePath, sizeBytes: 500, billingUserId: 'u1', addStorageUsage,
+  }), 500);
+  assert.deepEqual(charges, [{ uid: 'u2', delta: 500, options: { enforceLimit: false } }]);
+}
+
+function testGrouping() {
+  const items = [
+    { type: 'image', storagePath: 'c', uploadedAt: '3', contentHash: 'h1', perceptualHash: '00000000000000ff' },
+    { type: 'image', storagePath: 'a', uploadedAt: '1', contentHash: 'h1', perceptualHash: '00000000000000ff' },
+    { type: 'image', storagePath: 'b', uploadedAt: '2', contentHash: 'h2', perceptualHash: '00000000000000f0' },
+    { type: 'image', storagePath: 'd', uploadedAt: '4', contentHash: 'h3', perceptualHash: 'ffffffffffffff00' },
+    { type: 'image', storagePath: 'e', uploadedAt: '5', contentHash: 'h4', duplicateOf: { storagePath: 'elsewhere' } },
+    { type: 'video', storagePath: 'v', uploadedAt: '6' },
+  ];
+  const { exact, near } = groupDuplicateMedia(items);
+  assert.deepEqual(exact.map((group) => group.map((item) => item.storagePath)), [['a', 'c'], ['e']],
+    'copies of originals in other albums are listed too');
+  assert.deepEqual(near.map((group) => group.map((item) => item.storagePath)), [['a', 'b', 'c']]);
+  assert.deepEqual(groupDuplicateMedia([]), { exact: [], near: [] });
+}
+
+function testReplaceReferences() {
+  const from = { storagePath: 'u1/b1/a/b/media/image/old.jpg', url: urlOf('u1/b1/a/b/media/image/old.jpg') };
+  const to = { storagePath: 'u1/b1/a/b/media/image/kept.jpg', url: urlOf('u1/b1/a/b/media/image/kept.jpg') };
+  const other = urlOf('u1/b1/a/b/media/image/other.jpg');
+  const page = {
+    media: [{ url: from.url, storagePath: from.storagePath, name: 'old.jpg' }, { url: other, storagePath: 'other' }],
+    content: `<p>Hi</p><img src="${from.url}">`,
+    note: 'storagePath text stays',
+  };
+  const next = replaceMediaReferences(page, from, to);
+  assert.deepEqual(next.media[0], { url: to.url, storagePath: to.storagePath, name: 'old.jpg' });
+  assert.deepEqual(next.media[1], page.media[1]);
+  assert.equal(next.content, `<p>Hi</p><img src="${to.url}">`);
+  assert.equal(next.note, page.note);
+}
+
+async function testMerge() {
+  const db = createFakeDb();
+  const bucket = createFakeBucket();
+  db.docs.set('albums/b1', {});
+  const usage = { bookId: 'b1', chapterId: 'c1', pageId: 'p1' };
+  const kept = addMedia(db, 'b1', 'kept.jpg', { usedIn: [{ bookId: 'b1', chapterId: 'c1', pageId: 'p2' }] });
+  const copy = addMedia(db, 'b1', 'copy.jpg', { usedIn: [usage, { bookId: 'b1', chapterId: 'c1', pageId: 'gone' }] });
+  bucket.objects.set(copy.storagePath, Buffer.from('x'));
+  db.docs.set('books/b1/chapters/c1/pages/p1', {
+    media: [{ url: copy.url, storagePath: copy.storagePath }],
+    content: `<img src="${copy.url}">`,
+    title: 'Beach',
+  });
+
+  await assert.rejects(
+    mergeDuplicateMedia(db, bucket, { albumId: 'b1', keepStoragePath: 'missing', mergeStoragePaths: [copy.storagePath] }),
+    (error) => error.code === 'not-found'
+  );
+
+  const result = await mergeDuplicateMedia(db, bucket, {
+    albumId: 'b1',
+    keepStoragePath: kept.storagePath,
+    mergeStoragePaths: [copy.storagePath, kept.storagePath, 'not/in/album.jpg'],
+  });
+  assert.deepEqual(result.merged, [copy.storagePath]);
+  assert.equal(result.pagesUpdated, 1);
+
+  const page = db.docs.get('books/b1/chapters/c1/pages/p1');
+  assert.deepEqual(page.media, [{ url: kept.url, storagePath: kept.storagePath }]);
+  assert.equal(page.content, `<img src="${kept.url}">`);
+  assert.equal(page.title, 'Beach');
+
+  assert.deepEqual(mediaDoc(db, 'b1', kept.storagePath).usedIn.map((entry) => entry.pageId), ['p2', 'p1', 'gone'],
+    'usage moves to the kept item');
+  assert.deepEqual(mediaDoc(db, 'b1', copy.storagePath).usedIn, [], 'nothing left for onMediaDelete to clean up');
+  assert.equal(bucket.objects.has(copy.storagePath), false, 'copy deleted; the delete trigger removes its doc');
+}
+
+(async () => {
+  await testHashes();
+  await testFindExactDuplicate();
+  await testRefundAndPromotion();
+  testGrouping();
+  testReplaceReferences();
+  await testMerge();
+  console.log('media duplicate tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,96 @@
+// Offline checks for the WebP renditions made on image upload (needs sharp installed):
+//   node tests/run-media-rendition-tests.cjs
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+  renditionStoragePath,
+  createImageRenditions,
+  deleteRenditionFiles,
+} = require('../services/mediaRenditionService');
+
+// Objects keyed by path; enough of a Storage bucket for the rendition service.
+function createFakeBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    file: (path) => ({
+      download: async () => {
+        if (!objects.has(path)) throw new Error(`No such object: ${path}`);
+        return [objects.get(path).data];
+      },
+      save: async (data, { metadata } = {}) => { objects.set(path, { data, metadata }); },
+      delete: async () => { objects.delete(path); },
+    }),
+  };
+}
+
+const getUrl = async (path, fileMetadata) => `https://files.test/${path}?token=${fileMetadata.metadata.firebaseStorageDownloadTokens}`;
+
+const photo = (width, height, options = {}) => sharp({
+  create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } },
+}).jpeg().withMetadata(options).toBuffer();
+
+async function testPaths() {
+  assert.equal(
+    renditionStoragePath('u1/b1/c1/p1/media/image/1700_beach.photo.JPG', 'thumb'),
+    'u1/b1/c1/p1/renditions/thumb/1700_beach.photo.webp'
+  );
+  assert.throws(() => renditionStoragePath('u1/b1/c1/p1/media/video/clip.mp4', 'thumb'));
+}
+
+async function testLargePhoto() {
+  const bucket = createFakeBucket();
+  const storagePath = 'u1/b1/_album_/_album_/media/image/1_phone.jpg';
+  // A landscape sensor image the camera marked as rotated a quarter turn
+  bucket.objects.set(storagePath, { data: await photo(2400, 1600, { orientation: 6 }) });
+
+  const result = await createImageRenditions(bucket, storagePath, { contentType: 'image/jpeg', getUrl });
+  assert.deepEqual(Object.keys(result.renditions), ['thumb', 'medium', 'large']);
+  assert.equal(result.width, 1600, 'dimensions are reported as displayed');
+  assert.equal(result.height, 2400);
+
+  const { thumb, medium, large } = result.renditions;
+  assert.deepEqual([thumb.width, thumb.height], [213, 320]);
+  assert.deepEqual([medium.width, medium.height], [640, 960]);
+  assert.deepEqual([large.width, large.height], [1280, 1920]);
+  assert.equal(thumb.storagePath, 'u1/b1/_album_/_album_/renditions/thumb/1_phone.webp');
+  assert.match(thumb.url, /^https:\/\/files\.test\/u1\/b1\/_album_\/_album_\/renditions\/thumb\/1_phone\.webp\?token=/);
+  assert.equal(result.renditionBytes, thumb.bytes + medium.bytes + large.bytes);
+
+  const written = bucket.objects.get(thumb.storagePath);
+  assert.equal(written.metadata.contentType, 'image/webp');
+  assert.equal(written.metadata.metadata.renditionOf, storagePath);
+  assert.equal((await sharp(written.data).metadata()).format, 'webp');
+
+  assert.equal(await deleteRenditionFiles(bucket, result), result.renditionBytes);
+  assert.deepEqual([...bucket.objects.keys()], [storagePath], 'only the original is left');
+  assert.equal(await deleteRenditionFiles(bucket, { storagePath }), 0, 'items without renditions refund nothing');
+}
+
+async function testSmallAndSkippedImages() {
+  const bucket = createFakeBucket();
+  const small = 'u1/b1/c1/p1/media/image/icon.png';
+  bucket.objects.set(small, { data: await photo(200, 100) });
+  const result = await createImageRenditions(bucket, small, { contentType: 'image/png', getUrl });
+  assert.deepEqual(Object.keys(result.renditions), ['thumb'], 'no upscaled copies');
+  assert.deepEqual([result.renditions.thumb.width, result.renditions.thumb.height], [200, 100]);
+
+  assert.equal(await createImageRenditions(bucket, 'u1/b1/c1/p1/media/image/a.gif', { contentType: 'image/gif', getUrl }), null);
+
+  const broken = 'u1/b1/c1/p1/media/image/broken.jpg';
+  bucket.objects.set(broken, { data: Buffer.from('not an image') });
+  const before = bucket.objects.size;
+  assert.equal(await createImageRenditions(bucket, broken, { contentType: 'image/jpeg', getUrl }), null);
+  assert.equal(bucket.objects.size, before, 'nothing is left behind for unreadable files');
+}
+
+(async () => {
+  await testPaths();
+  await testLargePhoto();
+  await testSmallAndSkippedImages();
+  console.log('media rendition tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -24,6 +24,7 @@ const db = admin.firestore();
 // Import functions to test
 const { trackMediaUsage, untrackMediaUsage } = require("../mediaUsage");
 const { deleteMediaAsset, deleteAlbumAssets } = require("../deleteMedia");
+const { getAlbumMedia } = require("../services/albumMediaService");
 
 // --- Test Harness ---
 const results = [];
@@ -64,15 +65,18 @@ function summaryAndExit() {
 // --- Helpers ---
 
 async function cleanupAll() {
-    const collections = ["users", "books", "albums", "pages"];
+    const collections = ["users", "books", "pages"];
     for (const coll of collections) {
         const snap = await db.collection(coll).get();
         const batch = db.batch();
         snap.forEach(doc => batch.delete(doc.ref));
         await batch.commit();
     }
+    // Albums carry a media subcollection
+    await db.recursiveDelete(db.collection("albums"));
 }
 
+// Albums written in the legacy array shape; the callables migrate them to the media subcollection.
 async function createTestAlbum(albumId, userId) {
     await db.collection("albums").doc(albumId).set({
         name: "Test Album",
@@ -167,9 +171,7 @@ async function run() {
         await trackMediaUsage.run(request);
 
         // Verify usedIn array updated
-        const albumSnap = await db.collection("albums").doc(albumId).get();
-        const albumData = albumSnap.data();
-        const image = albumData.images.find(img => img.storagePath === storagePath);
+        const image = await getAlbumMedia(db, albumId, storagePath);
 
         assert(image, "Image should exist in album");
         assert(image.usedIn, "Image should have usedIn array");
@@ -202,9 +204,7 @@ async function run() {
         });
 
         // Verify usedIn array cleared
-        const albumSnap = await db.collection("albums").doc(albumId).get();
-        const albumData = albumSnap.data();
-        const image = albumData.images.find(img => img.storagePath === storagePath);
+        const image = await getAlbumMedia(db, albumId, storagePath);
 
         assert(image, "Image should exist in album");
         assert(image.usedIn.length === 0, `Expected 0 usages, got ${image.usedIn.length}`);
@@ -261,9 +261,7 @@ async function run() {
 
         // Delete the asset (we can't actually delete from storage in tests, but we can test the cleanup logic)
         // For now, just verify the tracking is correct
-        const albumSnap = await db.collection("albums").doc(albumId).get();
-        const albumData = albumSnap.data();
-        const image = albumData.images.find(img => img.storagePath === storagePath);
+        const image = await getAlbumMedia(db, albumId, storagePath);
 
         assert(image.usedIn.length === 2, `Expected 2 usages, got ${image.usedIn.length}`);
 
@@ -302,9 +300,7 @@ async function run() {
         });
 
         // Verify tracking
-        const albumSnap = await db.collection("albums").doc(albumId).get();
-        const albumData = albumSnap.data();
-        const image = albumData.images.find(img => img.storagePath === storagePath);
+        const image = await getAlbumMedia(db, albumId, storagePath);
 
         assert(image.usedIn.length === 1, `Expected 1 usage, got ${image.usedIn.length}`);
         console.log("✓ Verified album has usage tracking before deletion");
@@ -0,0 +1,183 @@
+// Offline checks for page chunking: offsets, overlap, boundaries, passages and reuse of unchanged chunk vectors:
+//   node tests/run-page-chunk-tests.cjs
+const assert = require('node:assert/strict');
+
+const { splitIntoChunks, findPassage, syncPageChunks } = require('../services/pageChunkService');
+
+const CHUNK_SIZE = 1500;
+const CHUNK_OVERLAP = 200;
+
+// Numbered sentences so every chunk's text is distinct.
+const sentences = (count, from = 0) => Array.from(
+  { length: count },
+  (_, i) => `Sentence ${from + i} tells what happened on day ${from + i} of the year.`
+).join(' ');
+
+// Documents keyed by path; enough of Firestore for a page's chunks subcollection.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (path) => ({
+    id: path.split('/').pop(),
+    exists: docs.has(path),
+    data: () => docs.get(path),
+    ref: docRef(path),
+  });
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => ({
+    doc: (id) => docRef(`${path}/${id}`),
+    get: async () => ({
+      docs: [...docs.keys()]
+        .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+        .sort()
+        .map(snapshotOf),
+    }),
+  });
+
+  return {
+    docs,
+    doc: docRef,
+    batch: () => {
+      const ops = [];
+      return {
+        set: (ref, data) => ops.push(() => docs.set(ref.path, data)),
+        delete: (ref) => ops.push(() => docs.delete(ref.path)),
+        commit: async () => ops.forEach((op) => op()),
+      };
+    },
+  };
+}
+
+// Small vectors derived from the text, and a log of what was embedded.
+function createEmbedder() {
+  const embedded = [];
+  const generateEmbeddings = async (text) => {
+    embedded.push(text);
+    return [text.length, (text.charCodeAt(0) || 0), 1];
+  };
+  return { embedded, generateEmbeddings };
+}
+
+function testOffsetsMapToSource() {
+  const text = `  ${sentences(80)}\n\n${sentences(40, 80)}  `;
+  const chunks = splitIntoChunks(text);
+  assert.ok(chunks.length > 3);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.equal(text.slice(chunk.start, chunk.end), chunk.text, `chunk ${index} offsets`);
+    assert.ok(chunk.text.length <= CHUNK_SIZE);
+    assert.equal(chunk.text, chunk.text.trim(), 'no leading or trailing whitespace');
+  });
+  assert.equal(chunks[0].start, 2, 'leading whitespace is skipped');
+  assert.equal(chunks[chunks.length - 1].end, text.trimEnd().length, 'the text is covered to its end');
+}
+
+function testOverlap() {
+  const text = sentences(120);
+  const chunks = splitIntoChunks(text);
+  for (let i = 1; i < chunks.length; i += 1) {
+    const previous = chunks[i - 1];
+    const chunk = chunks[i];
+    assert.ok(chunk.start < previous.end, `chunk ${i} overlaps its predecessor`);
+    assert.ok(previous.end - chunk.start <= CHUNK_OVERLAP, `by at most ${CHUNK_OVERLAP} characters`);
+    assert.ok(chunk.start > previous.start, 'and always moves forward');
+    assert.match(text[chunk.start - 1], /\s/, 'starting on a word');
+  }
+}
+
+function testBoundaries() {
+  // A paragraph break past 60% of the chunk wins over later sentence ends.
+  const paragraph = `${'a'.repeat(1000)}.\n\n${sentences(40)}`;
+  assert.equal(splitIntoChunks(paragraph)[0].text, `${'a'.repeat(1000)}.`);
+
+  // Otherwise the last sentence end in range.
+  const [first] = splitIntoChunks(sentences(60));
+  assert.match(first.text, /year\.$/);
+  assert.ok(first.text.length > CHUNK_SIZE * 0.6);
+
+  // Then the last space.
+  const words = Array.from({ length: 400 }, (_, i) => `word${i}`).join(' ');
+  const [byWord] = splitIntoChunks(words);
+  assert.match(byWord.text, /word\d+$/);
+  assert.equal(words[byWord.end], ' ');
+
+  // A break too early in the chunk is not used: the text is cut at the limit.
+  const early = `${'a'.repeat(100)}. ${'b'.repeat(3000)}`;
+  assert.equal(splitIntoChunks(early)[0].text.length, CHUNK_SIZE);
+
+  // Short text is one chunk; blank text none.
+  assert.deepEqual(splitIntoChunks('Just one line. '), [{ index: 0, text: 'Just one line.', start: 0, end: 14 }]);
+  assert.deepEqual(splitIntoChunks('   \n  '), []);
+  assert.deepEqual(splitIntoChunks(null), []);
+}
+
+function testFindPassage() {
+  const text = `${sentences(60)} Grandma Sita visited from Kathmandu. ${sentences(60, 60)} Grandma made dal. ${sentences(30, 120)}`;
+  const passage = findPassage(text, 'When did Grandma Sita visit Kathmandu?');
+  assert.ok(passage.text.includes('Grandma Sita visited from Kathmandu'));
+  assert.equal(text.slice(passage.start, passage.end), passage.text);
+
+  assert.equal(findPassage('', 'anything'), null);
+  assert.equal(findPassage(text, 'zebra').index, 0, 'no match: the first chunk');
+}
+
+async function testUnchangedChunksKeepTheirVectors() {
+  const db = createFakeDb();
+  const pageRef = db.doc('books/book1/chapters/c1/pages/p1');
+  const chunkDocs = () => [...db.docs.keys()].filter((key) => key.startsWith(`${pageRef.path}/chunks/`));
+  const page = { pageRef, bookId: 'book1', chapterId: 'c1' };
+  const original = sentences(90);
+
+  const first = createEmbedder();
+  const created = await syncPageChunks(db, { ...page, plainText: original, generateEmbeddings: first.generateEmbeddings });
+  assert.equal(created.chunkCount, splitIntoChunks(original).length);
+  assert.equal(created.embeddedCount, created.chunkCount);
+  assert.equal(chunkDocs().length, created.chunkCount);
+  assert.ok(Math.abs(Math.hypot(...created.pageVector) - 1) < 1e-9, 'the page vector is normalised');
+
+  // Appending only embeds the tail.
+  const appended = createEmbedder();
+  const grown = await syncPageChunks(db, {
+    ...page,
+    plainText: `${original} ${sentences(40, 90)}`,
+    generateEmbeddings: appended.generateEmbeddings,
+  });
+  assert.ok(grown.chunkCount > created.chunkCount);
+  assert.ok(grown.embeddedCount < grown.chunkCount);
+  assert.ok(grown.embeddedCount <= grown.chunkCount - created.chunkCount + 1, 'the last old chunk may change');
+  assert.equal(appended.embedded.length, grown.embeddedCount);
+
+  // Same text, nothing to embed.
+  const again = createEmbedder();
+  const same = await syncPageChunks(db, { ...page, plainText: `${original} ${sentences(40, 90)}`, generateEmbeddings: again.generateEmbeddings });
+  assert.equal(same.embeddedCount, 0);
+  assert.deepEqual(same.pageVector, grown.pageVector);
+
+  // Moving the page to another chapter re-embeds, since chunks carry their chapter.
+  const moved = createEmbedder();
+  const inC2 = await syncPageChunks(db, { ...page, chapterId: 'c2', plainText: original, generateEmbeddings: moved.generateEmbeddings });
+  assert.equal(inC2.embeddedCount, inC2.chunkCount);
+  assert.equal(chunkDocs().length, inC2.chunkCount, 'chunks past the new end are deleted');
+
+  const shrunk = await syncPageChunks(db, { ...page, chapterId: 'c2', plainText: 'Short now.', generateEmbeddings: createEmbedder().generateEmbeddings });
+  assert.equal(shrunk.chunkCount, 1);
+  assert.equal(chunkDocs().length, 1);
+}
+
+(async () => {
+  testOffsetsMapToSource();
+  testOverlap();
+  testBoundaries();
+  testFindPassage();
+  await testUnchangedChunksKeepTheirVectors();
+  console.log('page chunk tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+// Offline checks that the live-editing log is reseeded after the page changes outside a session:
+//   node tests/run-page-collab-tests.cjs
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { pathToFileURL } = require('node:url');
+
+const {
+  COLLAB_SEED_DOC_ID,
+  pageNoteHash,
+  updatePageFromLiveSession,
+} = require('../services/pageCollabService');
+
+const PAGE_PATH = 'books/book1/chapters/chapter1/pages/page1';
+const SEED_PATH = `${PAGE_PATH}/collabUpdates/${COLLAB_SEED_DOC_ID}`;
+
+// Documents keyed by path; enough of Firestore for a page and its seed doc.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (docPath) => {
+    const data = docs.has(docPath) ? structuredClone(docs.get(docPath)) : undefined;
+    return { id: docPath.split('/').pop(), exists: docs.has(docPath), data: () => data };
+  };
+
+  const docRef = (docPath) => ({
+    id: docPath.split('/').pop(),
+    path: docPath,
+    get: async () => snapshotOf(docPath),
+    update: async (data) => {
+      if (!docs.has(docPath)) throw new Error(`No document to update: ${docPath}`);
+      docs.set(docPath, { ...docs.get(docPath), ...data });
+    },
+    collection: (name) => ({ doc: (id) => docRef(`${docPath}/${name}/${id}`) }),
+  });
+
+  return {
+    docs,
+    doc: docRef,
+    runTransaction: async (fn) => {
+      const writes = [];
+      await fn({
+        get: (ref) => ref.get(),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+      });
+      for (const write of writes) await write();
+    },
+  };
+}
+
+const loadClientSeed = () => import(pathToFileURL(path.join(__dirname, '../../src/lib/collabSeed.js')).href);
+
+async function testHashesMatchClient() {
+  const { hashPageNote, COLLAB_SEED_DOC_ID: clientSeedId } = await loadClientSeed();
+  const notes = ['', '<p>First steps</p>', '<p>Ünïcödé 👶</p>'];
+  for (const note of notes) {
+    assert.equal(await hashPageNote(note), pageNoteHash(note), `same hash for ${JSON.stringify(note)}`);
+  }
+  assert.equal(await hashPageNote(undefined), pageNoteHash(''));
+  assert.equal(clientSeedId, COLLAB_SEED_DOC_ID);
+}
+
+async function testStaleness() {
+  const { isCollabSeedStale } = await loadClientSeed();
+  const hash = pageNoteHash('<p>A</p>');
+  assert.equal(isCollabSeedStale(null, hash), false, 'no log yet: plain seeding');
+  assert.equal(isCollabSeedStale({ savedNoteHash: hash }, hash), false);
+  assert.equal(isCollabSeedStale({ savedNoteHash: pageNoteHash('<p>B</p>') }, hash), true);
+  assert.equal(isCollabSeedStale({ update: 'bytes' }, hash), true, 'seeds from before the marker are rebuilt');
+}
+
+async function testSeedSurvivesCompaction() {
+  const { withoutCollabSeed, isCollabSeedStale } = await loadClientSeed();
+  const log = [{ id: 'u1' }, { id: COLLAB_SEED_DOC_ID }, { id: 'u2' }];
+  assert.deepEqual(withoutCollabSeed(log).map((ref) => ref.id), ['u1', 'u2']);
+
+  // Compacting a long log deletes what withoutCollabSeed returns; the marker stays.
+  const seed = { update: 'bytes', savedNoteHash: pageNoteHash('<p>B</p>') };
+  const remaining = new Map([[COLLAB_SEED_DOC_ID, seed], ...Array.from({ length: 250 }, (_, i) => [`u${i}`, {}])]);
+  withoutCollabSeed([...remaining.keys()].map((id) => ({ id }))).forEach(({ id }) => remaining.delete(id));
+  assert.deepEqual([...remaining.keys()], [COLLAB_SEED_DOC_ID]);
+  assert.equal(
+    isCollabSeedStale(remaining.get(COLLAB_SEED_DOC_ID), pageNoteHash('<p>C</p>')),
+    true,
+    'a write outside the session after compaction is still noticed'
+  );
+}
+
+async function testWriteOutsideSessionLeavesSeedStale() {
+  const { isCollabSeedStale } = await loadClientSeed();
+  const db = createFakeDb();
+  db.docs.set(PAGE_PATH, { note: '<p>A</p>' });
+  db.docs.set(SEED_PATH, { update: 'bytes', savedNoteHash: pageNoteHash('<p>A</p>') });
+  const pageRef = db.doc(PAGE_PATH);
+
+  // Live session saves B: page and marker move together
+  await updatePageFromLiveSession(db, pageRef, { note: '<p>B</p>', updatedBy: 'u1' });
+  assert.equal(db.docs.get(PAGE_PATH).note, '<p>B</p>');
+  assert.equal(db.docs.get(SEED_PATH).update, 'bytes', 'the log itself is untouched');
+  assert.equal(isCollabSeedStale(db.docs.get(SEED_PATH), pageNoteHash(db.docs.get(PAGE_PATH).note)), false);
+
+  // A revision restore (or block save, AI apply) writes C without a session
+  await pageRef.update({ note: '<p>C</p>' });
+  assert.equal(
+    isCollabSeedStale(db.docs.get(SEED_PATH), pageNoteHash(db.docs.get(PAGE_PATH).note)),
+    true,
+    'the next editor rebuilds the log instead of replaying B over C'
+  );
+}
+
+async function testPageNeverEditedLive() {
+  const db = createFakeDb();
+  db.docs.set(PAGE_PATH, { note: '<p>A</p>' });
+  await updatePageFromLiveSession(db, db.doc(PAGE_PATH), { note: '<p>B</p>' });
+  assert.equal(db.docs.get(PAGE_PATH).note, '<p>B</p>');
+  assert.equal(db.docs.has(SEED_PATH), false, 'no seed is created by the server');
+}
+
+(async () => {
+  await testHashesMatchClient();
+  await testStaleness();
+  await testSeedSurvivesCompaction();
+  await testWriteOutsideSessionLeavesSeedStale();
+  await testPageNeverEditedLive();
+  console.log('page collab tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
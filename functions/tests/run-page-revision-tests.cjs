@@ -0,0 +1,103 @@
+// Offline checks that page revisions name the user who made the write, or nobody when the writer is unknown:
+//   node tests/run-page-revision-tests.cjs
+const assert = require('node:assert/strict');
+
+const {
+  REVISION_SOURCE,
+  pageAuthorFields,
+  recordPageRevision,
+  revisionAuthorId,
+} = require('../services/pageRevisionService');
+
+const PAGE = { bookId: 'book1', chapterId: 'chapter1', pageId: 'page1' };
+const REVISIONS_PATH = 'books/book1/chapters/chapter1/pages/page1/revisions';
+
+// Documents keyed by path; enough of Firestore for users and a page's revisions.
+function createFakeDb() {
+  const docs = new Map();
+
+  const snapshotOf = (path) => {
+    const data = docs.has(path) ? structuredClone(docs.get(path)) : undefined;
+    return { id: path.split('/').pop(), exists: docs.has(path), data: () => data, ref: docRef(path) };
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => snapshotOf(path),
+    set: async (data) => { docs.set(path, data); },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const query = ({ size = Infinity, skip = 0 } = {}) => ({
+      orderBy: () => query({ size, skip }),
+      limit: (count) => query({ size: count, skip }),
+      offset: (count) => query({ size, skip: count }),
+      get: async () => {
+        const matches = [...docs.keys()]
+          .filter((key) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(snapshotOf)
+          .slice(skip, skip + size);
+        return { docs: matches, size: matches.length, empty: matches.length === 0 };
+      },
+    });
+    return { ...query(), doc: (id) => docRef(`${path}/${id}`) };
+  };
+
+  return { docs, collection: (name) => collectionRef(name) };
+}
+
+const revisions = (db) => [...db.docs.entries()]
+  .filter(([key]) => key.startsWith(`${REVISIONS_PATH}/`))
+  .map(([, data]) => data);
+
+function testAuthorOnlyFromThisWrite() {
+  const created = { note: '<p>A</p>', createdBy: 'alice' };
+  assert.equal(revisionAuthorId(null, created), 'alice', 'a new page belongs to its creator');
+
+  const byBob = { ...created, note: '<p>B</p>', ...pageAuthorFields('bob') };
+  assert.equal(revisionAuthorId(created, byBob), 'bob');
+
+  const againByBob = { ...byBob, note: '<p>C</p>', ...pageAuthorFields('bob') };
+  assert.equal(revisionAuthorId(byBob, againByBob), 'bob', 'the same user editing twice');
+
+  // A writer that does not set the stamp (Spring save-page-blocks, a client
+  // write, the album duplicate merge) carries the previous updatedBy over.
+  const bySpring = { ...againByBob, note: '<p>D</p>' };
+  assert.equal(revisionAuthorId(againByBob, bySpring), null, 'not bob, who did not make this edit');
+
+  const legacy = { note: '<p>A</p>', createdBy: 'alice', updatedBy: 'carol' };
+  assert.equal(revisionAuthorId(legacy, { ...legacy, note: '<p>B</p>' }), null, 'no stamp, no author');
+}
+
+async function testRecordedRevisions() {
+  const db = createFakeDb();
+  db.docs.set('users/bob', { displayName: 'Bob' });
+
+  const before = { note: '<p>A</p>', createdBy: 'alice', updatedBy: 'alice' };
+  const byBob = { ...before, note: '<p>B</p>', ...pageAuthorFields('bob') };
+  await recordPageRevision(db, PAGE, before, byBob);
+
+  const [baseline, edit] = revisions(db);
+  assert.equal(baseline.source, REVISION_SOURCE.BASELINE);
+  assert.equal(baseline.authorId, null, 'who wrote the page before history existed is unknown');
+  assert.equal(edit.source, REVISION_SOURCE.EDIT);
+  assert.equal(edit.authorId, 'bob');
+  assert.equal(edit.authorName, 'Bob');
+
+  await recordPageRevision(db, PAGE, byBob, { ...byBob, note: '<p>C</p>' });
+  const latest = revisions(db)[2];
+  assert.equal(latest.note, '<p>C</p>');
+  assert.equal(latest.authorId, null);
+  assert.equal(latest.authorName, null);
+}
+
+(async () => {
+  testAuthorOnlyFromThisWrite();
+  await testRecordedRevisions();
+  console.log('page revision tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+// Offline checks for EXIF handling on photo upload (needs sharp and exif-reader installed):
+//   node tests/run-photo-exif-tests.cjs
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+const {
+  readPhotoExif,
+  photoExifFields,
+  normalizeUploadedPhoto,
+  wasReplacedByNormalizedPhoto,
+} = require('../services/photoExifService');
+
+// Objects keyed by path, with their custom metadata; enough of a Storage bucket for the service.
+function createFakeBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    file: (path) => ({
+      download: async () => {
+        if (!objects.has(path)) throw new Error(`No such object: ${path}`);
+        return [objects.get(path).data];
+      },
+      save: async (data, { metadata } = {}) => { objects.set(path, { data, metadata }); },
+      getMetadata: async () => {
+        if (!objects.has(path)) throw Object.assign(new Error(`No such object: ${path}`), { code: 404 });
+        return [objects.get(path).metadata || {}];
+      },
+    }),
+  };
+}
+
+const GPS = {
+  GPSLatitudeRef: 'N',
+  GPSLatitude: '37/1 46/1 3000/100',
+  GPSLongitudeRef: 'W',
+  GPSLongitude: '122/1 25/1 0/1',
+};
+
+const photo = ({ width = 60, height = 40, orientation, gps = false, format = 'jpeg' } = {}) => {
+  const exif = {
+    IFD0: { Make: 'Google', Model: 'Pixel 7' },
+    IFD2: { DateTimeOriginal: '2024:03:05 14:22:00', OffsetTimeOriginal: '+02:00' },
+    ...(gps ? { IFD3: GPS } : {}),
+  };
+  return sharp({ create: { width, height, channels: 3, background: { r: 90, g: 140, b: 200 } } })
+    .toFormat(format)
+    .withExif(exif)
+    // sharp writes the orientation tag itself
+    .withMetadata(orientation ? { orientation } : {})
+    .toBuffer();
+};
+
+async function testReadPhotoExif() {
+  const { exif } = await sharp(await photo({ orientation: 6, gps: true })).metadata();
+  const summary = readPhotoExif(exif);
+  assert.equal(summary.capturedAt, '2024-03-05T14:22:00+02:00', 'camera wall clock with its offset');
+  assert.equal(summary.orientation, 6);
+  assert.deepEqual(summary.camera, { make: 'Google', model: 'Pixel 7' });
+  assert.ok(Math.abs(summary.location.latitude - 37.775) < 1e-9);
+  assert.ok(Math.abs(summary.location.longitude + 122.4166667) < 1e-6, 'west is negative');
+
+  assert.equal(readPhotoExif(undefined), null);
+  assert.equal(readPhotoExif(Buffer.from('garbage')), null);
+
+  assert.deepEqual(photoExifFields(summary), {
+    capturedAt: summary.capturedAt,
+    camera: summary.camera,
+  }, 'location is left out unless kept');
+  assert.deepEqual(photoExifFields(summary, { keepLocation: true }).location, summary.location);
+  assert.deepEqual(photoExifFields({ capturedAt: null, camera: null, location: null }), {}, 'no empty fields');
+}
+
+async function testRotatedPhotoWithLocation() {
+  const bucket = createFakeBucket();
+  const storagePath = 'u1/b1/_album_/_album_/media/image/1_phone.jpg';
+  bucket.objects.set(storagePath, { data: await photo({ orientation: 6, gps: true }) });
+  const customMetadata = { firebaseStorageDownloadTokens: 'token-1', originalName: 'phone.jpg' };
+
+  const first = await normalizeUploadedPhoto(bucket, storagePath, { contentType: 'image/jpeg', customMetadata });
+  assert.equal(first.rewritten, true);
+  assert.equal(first.exif.capturedAt, '2024-03-05T14:22:00+02:00');
+  assert.equal(first.exif.location, null);
+
+  const written = bucket.objects.get(storagePath);
+  const metadata = await sharp(written.data).metadata();
+  assert.deepEqual([metadata.width, metadata.height], [40, 60], 'turned upright');
+  assert.equal(metadata.exif, undefined, 'EXIF (and with it GPS) removed');
+  assert.equal(written.metadata.contentType, 'image/jpeg');
+  assert.equal(written.metadata.metadata.firebaseStorageDownloadTokens, 'token-1', 'download URL keeps working');
+  assert.equal(written.metadata.metadata.originalName, 'phone.jpg');
+  assert.equal(written.metadata.metadata.exifProcessed, 'true');
+
+  // The rewrite's own finalize event reads the summary saved with it
+  const second = await normalizeUploadedPhoto(bucket, storagePath, {
+    contentType: 'image/jpeg',
+    customMetadata: written.metadata.metadata,
+  });
+  assert.equal(second.rewritten, false);
+  assert.equal(second.exif.capturedAt, '2024-03-05T14:22:00+02:00');
+  assert.deepEqual(second.exif.camera, { make: 'Google', model: 'Pixel 7' });
+  assert.equal(bucket.objects.get(storagePath), written, 'not rewritten twice');
+
+  assert.equal(await wasReplacedByNormalizedPhoto(bucket, storagePath, customMetadata), true,
+    'the overwritten original is not a deletion');
+  assert.equal(await wasReplacedByNormalizedPhoto(bucket, storagePath, written.metadata.metadata), false);
+  bucket.objects.delete(storagePath);
+  assert.equal(await wasReplacedByNormalizedPhoto(bucket, storagePath, customMetadata), false);
+}
+
+async function testKeptLocation() {
+  const bucket = createFakeBucket();
+  const upright = 'u1/b1/c1/p1/media/image/upright.jpg';
+  const original = await photo({ gps: true });
+  bucket.objects.set(upright, { data: original });
+  const result = await normalizeUploadedPhoto(bucket, upright, { keepLocation: true });
+  assert.equal(result.rewritten, false, 'upright photos the owner keeps locations for stay as uploaded');
+  assert.ok(result.exif.location);
+  assert.equal(bucket.objects.get(upright).data, original);
+
+  const rotated = 'u1/b1/c1/p1/media/image/rotated.jpg';
+  bucket.objects.set(rotated, { data: await photo({ orientation: 8, gps: true }) });
+  const turned = await normalizeUploadedPhoto(bucket, rotated, { keepLocation: true });
+  assert.equal(turned.rewritten, true);
+  const metadata = await sharp(bucket.objects.get(rotated).data).metadata();
+  assert.deepEqual([metadata.width, metadata.height], [40, 60]);
+  const kept = readPhotoExif(metadata.exif);
+  assert.equal(kept.orientation, 1, 'orientation reset after rotating');
+  assert.ok(kept.location, 'location kept');
+  assert.ok(turned.exif.location);
+}
+
+async function testUntouchedFiles() {
+  const bucket = createFakeBucket();
+  const plain = 'u1/b1/c1/p1/media/image/screenshot.png';
+  const data = await sharp({ create: { width: 10, height: 10, channels: 3, background: 'white' } }).png().toBuffer();
+  bucket.objects.set(plain, { data });
+  assert.deepEqual(await normalizeUploadedPhoto(bucket, plain, {}), { exif: null, rewritten: false });
+
+  const upright = 'u1/b1/c1/p1/media/image/upright.webp';
+  bucket.objects.set(upright, { data: await photo({ format: 'webp' }) });
+  const result = await normalizeUploadedPhoto(bucket, upright, {});
+  assert.equal(result.rewritten, false);
+  assert.equal(result.exif.capturedAt, '2024-03-05T14:22:00+02:00');
+
+  const broken = 'u1/b1/c1/p1/media/image/broken.jpg';
+  bucket.objects.set(broken, { data: Buffer.from('not an image') });
+  assert.deepEqual(await normalizeUploadedPhoto(bucket, broken, {}), { exif: null, rewritten: false });
+}
+
+(async () => {
+  await testReadPhotoExif();
+  await testRotatedPhotoWithLocation();
+  await testKeptLocation();
+  await testUntouchedFiles();
+  console.log('photo EXIF tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
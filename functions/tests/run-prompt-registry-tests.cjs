@@ -0,0 +1,238 @@
+// Offline checks for the prompt registry, template rendering and the prompt eval harness:
+//   node tests/run-prompt-registry-tests.cjs
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const {
+  PROMPT_IDS,
+  PROMPT_DEFINITIONS,
+  renderPromptTemplate,
+  findTemplateProblems,
+  buildChapterGenerationPrompt,
+  buildChapterSummaryPrompt,
+  buildRewritePrompt,
+} = require('../utils/prompts');
+const {
+  requireAdmin,
+  getActivePrompt,
+  listPrompts,
+  savePromptVersion,
+  activatePromptVersion,
+} = require('../services/promptRegistryService');
+const { diffLines, evaluatePromptVersions, formatReport } = require('../utils/promptEval');
+const { refreshChapterSummary } = require('../utils/chapterUtils');
+const fixtures = require('./fixtures/prompt-eval-pages.json');
+
+// Documents keyed by path; enough of Firestore for the registry service.
+function createFakeDb() {
+  const docs = new Map();
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => ({ exists: docs.has(path), data: () => docs.get(path) }),
+    set: async (data, options) => {
+      docs.set(path, options?.merge ? { ...(docs.get(path) || {}), ...data } : { ...data });
+    },
+    update: async (data) => {
+      docs.set(path, { ...docs.get(path), ...data });
+    },
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+
+  const collectionRef = (path) => {
+    const query = (field, limit = Infinity) => ({
+      limit: (count) => query(field, count),
+      get: async () => {
+        const matches = [...docs.entries()]
+          .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+          .map(([key, data]) => ({ id: key.split('/').pop(), data: () => data }))
+          .sort((a, b) => b.data()[field] - a.data()[field])
+          .slice(0, limit);
+        return { docs: matches, empty: matches.length === 0 };
+      },
+    });
+    return {
+      doc: (id) => docRef(`${path}/${id}`),
+      orderBy: (field) => query(field),
+    };
+  };
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    runTransaction: async (fn) => fn({
+      get: (ref) => ref.get(),
+      set: (ref, data, options) => ref.set(data, options),
+    }),
+  };
+}
+
+function testRendering() {
+  assert.equal(
+    renderPromptTemplate('Hi {{name}}.{{#if extra}} More: {{extra}}{{else}} Nothing else.{{/if}}', { name: 'Aira' }),
+    'Hi Aira. Nothing else.'
+  );
+  assert.equal(renderPromptTemplate('{{#if extra}}[{{extra}}]{{/if}}', { extra: 'x' }), '[x]');
+  // Values are inserted literally, so user text cannot pull in other variables.
+  assert.equal(renderPromptTemplate('{{text}}', { text: '{{title}}', title: 'secret' }), '{{title}}');
+
+  const html = buildRewritePrompt('Hello', 'Shorter', { isHtml: true });
+  assert.match(html, /^Instruction: Shorter\./);
+  assert.match(html, /Well-formed minimal HTML/);
+  assert.match(buildRewritePrompt('Hello', ''), /Instruction: Improve clarity\.[\s\S]*Plain text only\./);
+  assert.equal(
+    buildChapterGenerationPrompt('A', 'B', { template: 'Titles for {{title}}: {{idea}}' }),
+    'Titles for A: B'
+  );
+
+  const summary = buildChapterSummaryPrompt({ newPageContent: 'She smiled.', chapterTitle: 'Milestones' });
+  assert.match(summary, /Chapter: Milestones\n\nNew Page Content:\nShe smiled\./);
+  assert.doesNotMatch(summary, /Previous Summary/);
+  assert.match(
+    buildChapterSummaryPrompt({ newPageContent: 'She smiled.', previousSummary: 'Born in March.' }),
+    /Previous Summary:\nBorn in March\.\n\nNew Page Content:/
+  );
+}
+
+function testTemplateProblems() {
+  Object.entries(PROMPT_DEFINITIONS).forEach(([promptId, definition]) => {
+    assert.deepEqual(findTemplateProblems(promptId, definition.template), [], promptId);
+  });
+  assert.match(findTemplateProblems('nope', 'x').join(' '), /Unknown prompt/);
+  assert.match(findTemplateProblems(PROMPT_IDS.CHAPTER_TITLES, '  ').join(' '), /empty/i);
+  const problems = findTemplateProblems(PROMPT_IDS.CHAPTER_TITLES, 'Book {{title}} by {{author}} {{#if title}}x');
+  assert.ok(problems.some((problem) => problem.includes('author')), problems.join(' '));
+  assert.ok(problems.some((problem) => problem.includes('idea')), problems.join(' '));
+  assert.ok(problems.some((problem) => /if/.test(problem)), problems.join(' '));
+}
+
+async function testRegistry() {
+  assert.throws(() => requireAdmin(null), (error) => error.code === 'unauthenticated');
+  assert.throws(() => requireAdmin({ uid: 'u1', token: {} }), (error) => error.code === 'permission-denied');
+  requireAdmin({ uid: 'admin', token: { admin: true } });
+
+  const db = createFakeDb();
+  const builtIn = PROMPT_DEFINITIONS[PROMPT_IDS.CHAPTER_TITLES].template;
+  assert.deepEqual(await getActivePrompt(db, PROMPT_IDS.CHAPTER_TITLES), { template: builtIn, version: 0 });
+
+  await assert.rejects(
+    savePromptVersion(db, { promptId: PROMPT_IDS.CHAPTER_TITLES, template: 'Only {{title}}', userId: 'admin' }),
+    (error) => error.code === 'invalid-argument' && /idea/.test(error.message)
+  );
+
+  const v1 = 'Chapters for "{{title}}" ({{idea}}). Return ONLY a JSON array of strings.';
+  const v2 = 'Chapters for "{{title}}": {{idea}}. Return a JSON array.';
+  assert.deepEqual(
+    await savePromptVersion(db, { promptId: PROMPT_IDS.CHAPTER_TITLES, template: v1, note: ' Shorter ', userId: 'admin' }),
+    { promptId: PROMPT_IDS.CHAPTER_TITLES, version: 1, activeVersion: 1 }
+  );
+  assert.deepEqual(await getActivePrompt(db, PROMPT_IDS.CHAPTER_TITLES), { template: v1, version: 1 });
+
+  const draft = await savePromptVersion(db, {
+    promptId: PROMPT_IDS.CHAPTER_TITLES, template: v2, userId: 'admin', activate: false,
+  });
+  assert.deepEqual(draft, { promptId: PROMPT_IDS.CHAPTER_TITLES, version: 2, activeVersion: 1 });
+  assert.equal((await getActivePrompt(db, PROMPT_IDS.CHAPTER_TITLES)).version, 1);
+
+  const listed = (await listPrompts(db)).find((prompt) => prompt.promptId === PROMPT_IDS.CHAPTER_TITLES);
+  assert.equal(listed.activeVersion, 1);
+  assert.equal(listed.latestVersion, 2);
+  assert.deepEqual(listed.versions.map((version) => version.version), [2, 1]);
+  assert.equal(listed.versions[1].note, 'Shorter');
+  assert.equal(listed.defaultTemplate, builtIn);
+
+  await activatePromptVersion(db, { promptId: PROMPT_IDS.CHAPTER_TITLES, version: 2, userId: 'admin' });
+  assert.deepEqual(await getActivePrompt(db, PROMPT_IDS.CHAPTER_TITLES), { template: v2, version: 2 });
+
+  // Rolling back to 0 restores the built-in template.
+  await activatePromptVersion(db, { promptId: PROMPT_IDS.CHAPTER_TITLES, version: 0, userId: 'admin' });
+  assert.deepEqual(await getActivePrompt(db, PROMPT_IDS.CHAPTER_TITLES), { template: builtIn, version: 0 });
+
+  await assert.rejects(
+    activatePromptVersion(db, { promptId: PROMPT_IDS.CHAPTER_TITLES, version: 9, userId: 'admin' }),
+    (error) => error.code === 'not-found'
+  );
+  await assert.rejects(
+    activatePromptVersion(db, { promptId: PROMPT_IDS.CHAPTER_TITLES, version: 'x', userId: 'admin' }),
+    (error) => error.code === 'invalid-argument'
+  );
+
+  // A registry that cannot be read falls back to the built-in template.
+  const broken = { collection: () => ({ doc: () => ({ get: async () => { throw new Error('offline'); } }) }) };
+  const rewrite = await getActivePrompt(broken, PROMPT_IDS.REWRITE_NOTE);
+  assert.equal(rewrite.version, 0);
+  assert.equal(rewrite.template, PROMPT_DEFINITIONS[PROMPT_IDS.REWRITE_NOTE].template);
+}
+
+async function testChapterSummaryUsesRegistry() {
+  assert.ok(PROMPT_DEFINITIONS[PROMPT_IDS.CHAPTER_SUMMARY], 'chapter summary prompt is registered');
+
+  const db = createFakeDb();
+  const chapterPath = 'books/b1/chapters/c1';
+  db.docs.set(chapterPath, { title: 'Milestones', chapterSummary: 'Born in March.' });
+  await savePromptVersion(db, {
+    promptId: PROMPT_IDS.CHAPTER_SUMMARY,
+    template: 'Summarize {{chapterTitle}} after {{previousSummary}}. New Page Content: {{newPageContent}} [v1]',
+    userId: 'admin',
+  });
+
+  await refreshChapterSummary(db, 'b1', 'c1', 'She smiled at the fan.');
+  // The mock provider echoes what follows "New Page Content:", so the saved version was used.
+  assert.match(db.docs.get(chapterPath).chapterSummary, /^Mock summary: She smiled at the fan\. \[v1\]/);
+}
+
+async function testEvaluation() {
+  assert.deepEqual(diffLines('a\nb\nc', 'a\nc\nd'), ['- b', '+ d']);
+  assert.deepEqual(diffLines('same', 'same'), []);
+
+  for (const promptId of Object.values(PROMPT_IDS)) {
+    const report = await evaluatePromptVersions({
+      promptId,
+      candidate: PROMPT_DEFINITIONS[promptId].template,
+      fixtures,
+    });
+    assert.ok(report.summary.cases > 0, promptId);
+    assert.equal(report.summary.baselinePassed, report.summary.cases, promptId);
+    assert.equal(report.summary.regressions, 0, promptId);
+    assert.equal(report.summary.changedOutputs, 0, promptId);
+  }
+
+  // Rewording that drops the JSON instruction breaks extractChapterTitles.
+  const reworded = 'Suggest chapter titles for "{{title}}", a book about {{idea}}. One per line.';
+  const titles = await evaluatePromptVersions({ promptId: PROMPT_IDS.CHAPTER_TITLES, candidate: reworded, fixtures });
+  assert.equal(titles.summary.regressions, fixtures.books.length);
+  assert.match(titles.cases[0].candidate.problem, /Could not find JSON array/);
+  assert.ok(titles.cases[0].outputDiff.includes('+ 1. Where It All Began'));
+  const text = formatReport(titles);
+  assert.match(text, /2 regression\(s\)/);
+  assert.match(text, /\[REGRESSION\] Aira's First Year/);
+
+  const suggestions = await evaluatePromptVersions({
+    promptId: PROMPT_IDS.CHAPTER_SUGGESTIONS,
+    candidate: 'Give 6 writing ideas for the chapter "{{chapterTitle}}".',
+    fixtures,
+  });
+  assert.equal(suggestions.summary.candidatePassed, 0);
+
+  const content = await evaluatePromptVersions({
+    promptId: PROMPT_IDS.CHAPTER_CONTENT,
+    candidate: PROMPT_DEFINITIONS[PROMPT_IDS.CHAPTER_CONTENT].template.replace('Idea for this page', 'Topic'),
+    fixtures,
+  });
+  assert.equal(content.summary.regressions, 0);
+  assert.equal(content.summary.changedOutputs, content.summary.cases);
+}
+
+(async () => {
+  testRendering();
+  testTemplateProblems();
+  await testRegistry();
+  await testChapterSummaryUsesRegistry();
+  await testEvaluation();
+  console.log('prompt registry tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
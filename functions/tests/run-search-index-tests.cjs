@@ -0,0 +1,173 @@
+// Offline checks for the keyword index and the Q&A ranking helpers: tokens, BM25, length drift, fusion, reranker replies:
+//   node tests/run-search-index-tests.cjs
+const assert = require('node:assert/strict');
+
+const {
+  indexPageText,
+  reciprocalRankFusion,
+  scoreBm25,
+  tokenize,
+} = require('../services/searchIndexService');
+const { parseRerankScores } = require('../flows/queryBookFlow');
+
+const TERMS_PATH = 'books/book1/searchTerms';
+const DOCS_PATH = 'books/book1/searchDocs';
+
+// Applies the merge sets and FieldValue.delete() sentinels the index writes.
+function mergeFields(current = {}, data = {}) {
+  const next = { ...current };
+  Object.entries(data).forEach(([key, value]) => {
+    if (value?.methodName === 'FieldValue.delete') delete next[key];
+    else if (value?.methodName) next[key] = 'now';
+    else if (value && typeof value === 'object' && !Array.isArray(value)) next[key] = mergeFields(current[key], value);
+    else next[key] = value;
+  });
+  return next;
+}
+
+// Documents keyed by path; batches apply their writes on commit.
+function createFakeDb() {
+  const docs = new Map();
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => ({ exists: docs.has(path), data: () => structuredClone(docs.get(path)) }),
+    collection: (name) => collectionRef(`${path}/${name}`),
+  });
+  const collectionRef = (path) => ({ doc: (id) => docRef(`${path}/${id}`) });
+
+  return {
+    docs,
+    collection: (name) => collectionRef(name),
+    batch: () => {
+      const ops = [];
+      return {
+        set: (ref, data, options) => ops.push(() => docs.set(
+          ref.path,
+          options?.merge ? mergeFields(docs.get(ref.path), data) : mergeFields({}, data)
+        )),
+        delete: (ref) => ops.push(() => docs.delete(ref.path)),
+        commit: async () => ops.forEach((op) => op()),
+      };
+    },
+  };
+}
+
+const postingOf = (db, term, pageId) => db.docs.get(`${TERMS_PATH}/${term}`)?.postings?.[pageId];
+
+function testTokenize() {
+  assert.deepEqual(tokenize('The baby and I went to the park'), ['baby', 'went', 'park'], 'stopwords are dropped');
+  assert.deepEqual(tokenize('Aira turned 2 on 3/14, age 10'), ['aira', 'turned', '2', '3', '14', 'age', '10'], 'digits are kept');
+  assert.deepEqual(tokenize('a b c x 7'), ['7'], 'one-letter words only when they are digits');
+  assert.deepEqual(tokenize('Café Zoë, NAÏVE résumé'), ['cafe', 'zoe', 'naive', 'resume'], 'accents are folded');
+  assert.deepEqual(tokenize('Grandma Sitá, the 1st & 2 teeth!'), ['grandma', 'sita', '1st', '2', 'teeth']);
+  assert.deepEqual(tokenize(`ok ${'x'.repeat(41)} ${'y'.repeat(40)}`), ['ok', 'y'.repeat(40)], 'overlong tokens are skipped');
+  assert.deepEqual(tokenize(null), []);
+}
+
+function testBm25() {
+  const stats = { docCount: 4, avgLength: 10 };
+
+  // A rarer term weighs more than a common one.
+  const rare = scoreBm25([{ a: { chapterId: 'c1', tf: 1, len: 10 } }], stats);
+  const common = scoreBm25([{
+    a: { chapterId: 'c1', tf: 1, len: 10 },
+    b: { chapterId: 'c1', tf: 1, len: 10 },
+    c: { chapterId: 'c1', tf: 1, len: 10 },
+  }], stats);
+  assert.ok(rare.get('a').score > common.get('a').score);
+
+  // More occurrences score higher, with diminishing returns.
+  const byTf = scoreBm25([{
+    once: { chapterId: 'c1', tf: 1, len: 10 },
+    twice: { chapterId: 'c1', tf: 2, len: 10 },
+    often: { chapterId: 'c1', tf: 8, len: 10 },
+  }], stats);
+  assert.ok(byTf.get('twice').score > byTf.get('once').score);
+  assert.ok(byTf.get('often').score - byTf.get('twice').score < 4 * (byTf.get('twice').score - byTf.get('once').score));
+
+  // The same count means less in a longer page.
+  const byLength = scoreBm25([{
+    short: { chapterId: 'c1', tf: 1, len: 5 },
+    long: { chapterId: 'c2', tf: 1, len: 40 },
+  }], stats);
+  assert.ok(byLength.get('short').score > byLength.get('long').score);
+
+  // Scores add up across query terms; the chapter comes from the postings.
+  const both = scoreBm25([
+    { a: { chapterId: 'c1', tf: 1, len: 10 }, b: { chapterId: 'c2', tf: 1, len: 10 } },
+    { a: { chapterId: 'c1', tf: 1, len: 10 } },
+    null,
+  ], stats);
+  assert.ok(both.get('a').score > both.get('b').score);
+  assert.equal(both.get('a').chapterId, 'c1');
+  assert.equal(both.get('b').chapterId, 'c2');
+
+  assert.equal(scoreBm25([{ a: { chapterId: 'c1', tf: 0, len: 10 } }], stats).size, 0, 'zero tf is ignored');
+  assert.ok(scoreBm25([{ a: { tf: 1, len: 3 } }], { docCount: 0, avgLength: 0 }).get('a').score > 0, 'empty stats');
+}
+
+async function testLengthDrift() {
+  const db = createFakeDb();
+  const page = { bookId: 'book1', chapterId: 'c1', pageId: 'p1' };
+  const words = (count) => Array.from({ length: count }, (_, i) => `word${i}`).join(' ');
+
+  await indexPageText(db, { ...page, text: `tooth ${words(19)}` });
+  assert.deepEqual(postingOf(db, 'tooth', 'p1'), { chapterId: 'c1', tf: 1, len: 20 });
+  assert.equal(db.docs.get(`${DOCS_PATH}/p1`).length, 20);
+
+  // A small change rewrites only the terms that changed; lengths stay as indexed.
+  const small = await indexPageText(db, { ...page, text: `tooth tooth ${words(20)}` });
+  assert.equal(small.writes, 3, 'tooth, the new word and the page doc');
+  assert.deepEqual(postingOf(db, 'tooth', 'p1'), { chapterId: 'c1', tf: 2, len: 20 });
+  assert.equal(postingOf(db, 'word0', 'p1').len, 20);
+  assert.equal(db.docs.get(`${DOCS_PATH}/p1`).length, 20);
+
+  // Past 25% drift every posting is refreshed with the new length.
+  const large = await indexPageText(db, { ...page, text: `tooth tooth ${words(30)}` });
+  assert.equal(large.writes, 32, '31 terms and the page doc');
+  assert.equal(postingOf(db, 'word0', 'p1').len, 32);
+  assert.equal(postingOf(db, 'tooth', 'p1').len, 32);
+  assert.equal(db.docs.get(`${DOCS_PATH}/p1`).length, 32);
+
+  // Unchanged text writes nothing; emptied text removes the page.
+  assert.equal((await indexPageText(db, { ...page, text: `tooth tooth ${words(30)}` })).writes, 0);
+  await indexPageText(db, { ...page, text: '' });
+  assert.equal(postingOf(db, 'tooth', 'p1'), undefined);
+  assert.equal(db.docs.has(`${DOCS_PATH}/p1`), false);
+}
+
+function testReciprocalRankFusion() {
+  const fused = reciprocalRankFusion([['a', 'b', 'c'], ['c', 'a', 'd']]);
+  assert.deepEqual(fused.map(({ key }) => key), ['a', 'c', 'b', 'd'], 'found by both lists first, then by rank');
+  assert.equal(fused[0].score, 1 / 61 + 1 / 62);
+  assert.equal(fused[3].score, 1 / 63);
+
+  const sharper = reciprocalRankFusion([['x', 'y'], ['y']], { k: 0 });
+  assert.deepEqual(sharper.map(({ key }) => key), ['y', 'x']);
+  assert.deepEqual(reciprocalRankFusion([]), []);
+}
+
+function testParseRerankScores() {
+  assert.deepEqual(parseRerankScores('Scores: [8, 2, 0]', 3), [8, 2, 0]);
+  assert.deepEqual(parseRerankScores('```json\n[9,"4"]\n```', 2), [9, 4]);
+  assert.deepEqual(parseRerankScores('[7.5, 10]', 2), [7.5, 10]);
+  assert.equal(parseRerankScores('[8, 2]', 3), null, 'one score per document');
+  assert.equal(parseRerankScores('[8, "high"]', 2), null);
+  assert.equal(parseRerankScores('[8, 2', 2), null);
+  assert.equal(parseRerankScores('eight', 1), null);
+  assert.equal(parseRerankScores(undefined, 0), null);
+}
+
+(async () => {
+  testTokenize();
+  testBm25();
+  await testLengthDrift();
+  testReciprocalRankFusion();
+  testParseRerankScores();
+  console.log('search index tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,69 @@
+// Offline checks for the page HTML served on public share links:
+//   node tests/run-share-link-tests.cjs
+const assert = require('node:assert/strict');
+
+const { sanitizePageHtml, buildReadOnlyPayload } = require('../services/shareLinkService');
+
+const noScript = (html) => {
+  assert.doesNotMatch(html, /<script|<svg|<iframe|\son[a-z]+\s*=/i, html);
+  assert.doesNotMatch(html, /(href|src)\s*=\s*["']?\s*javascript:/i, html);
+};
+
+function testXssPayloads() {
+  const payloads = [
+    '<img/src=x/onerror=alert(1)>',
+    '<a href=javascript:alert(1)>x</a>',
+    '<a href="JaVaScRiPt&colon;alert(1)">x</a>',
+    '<a href="  javascript:alert(1)">x</a>',
+    '<svg/onload=alert(1)>',
+    '<script>alert(1)</script>',
+    '<scr<script>ipt>alert(1)</script>',
+    '<iframe src="https://evil.test"></iframe>',
+    '<p onclick="alert(1)" onmouseover=alert(1)>hi</p>',
+    '<video src=x onerror=alert(1)></video>',
+    '<div style="background:url(javascript:alert(1))">x</div>',
+    '<math><mi xlink:href="javascript:alert(1)">x</mi></math>',
+    '<form action="javascript:alert(1)"><button>go</button></form>',
+  ];
+  payloads.forEach((payload) => noScript(sanitizePageHtml(payload)));
+
+  assert.equal(sanitizePageHtml('<img/src=x/onerror=alert(1)>'), '<img src="x/onerror=alert(1)" />', 'handler left inside a harmless URL');
+  assert.equal(sanitizePageHtml('<a href=javascript:alert(1)>x</a>'), '<a rel="noopener noreferrer">x</a>');
+  assert.equal(sanitizePageHtml('<div style="background:url(javascript:alert(1))">x</div>'), '<div>x</div>');
+}
+
+function testEditorMarkupKept() {
+  const html = '<div class="bn-block-group" data-node-type="blockGroup">'
+    + '<div class="bn-block-outer" data-node-type="blockOuter" data-id="b1">'
+    + '<h2 class="bn-inline-content">First steps</h2>'
+    + '<p style="text-align:center">She <strong>walked</strong> <span data-style-type="textColor" data-value="red">today</span>.</p>'
+    + '<ul><li>park</li></ul>'
+    + '<img src="https://cdn.test/a.jpg" alt="Park" width="320" />'
+    + '</div></div>';
+  assert.equal(sanitizePageHtml(html), html);
+  assert.equal(
+    sanitizePageHtml('<a href="https://example.test" target="_blank">link</a>'),
+    '<a href="https://example.test" target="_blank" rel="noopener noreferrer">link</a>'
+  );
+  assert.equal(sanitizePageHtml('<p style="color: #aa0000; position: fixed">x</p>'), '<p style="color:#aa0000">x</p>');
+  assert.equal(sanitizePageHtml(undefined), '');
+}
+
+function testPayloadNotesSanitized() {
+  const payload = buildReadOnlyPayload({
+    book: { title: 'Baby book' },
+    chapters: [{
+      id: 'c1',
+      title: 'Month 1',
+      pages: [{ id: 'p1', pageName: 'Hello', note: '<p>Hi</p><img/src=x/onerror=alert(1)>', media: [] }],
+    }],
+  });
+  const note = payload.chapters[0].pages[0].note;
+  assert.ok(note.startsWith('<p>Hi</p>'));
+  noScript(note);
+}
+
+testXssPayloads();
+testEditorMarkupKept();
+testPayloadNotesSanitized();
+console.log('share link tests passed');
@@ -0,0 +1,272 @@
+const assert = require('node:assert/strict');
+const { EventEmitter, once } = require('node:events');
+const http = require('node:http');
+const admin = require('firebase-admin');
+
+process.env.LLM_PROVIDER = 'mock';
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: 'demo-project' });
+}
+
+const { buildUsageCharge, currentMonthKey, estimateTokensFromText } = require('../payments/creditLedger');
+const { FEATURES, generateText } = require('../utils/llm');
+const { attachCloseHandler } = require('../utils/sse');
+const { streamMeteredText } = require('../services/textStreamService');
+
+// Same in-memory Firestore stand-in as run-usage-metering-tests.cjs.
+function createFakeDb(seed = {}) {
+  const docs = new Map(Object.entries(seed));
+  let nextId = 1;
+
+  const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach((key) => {
+      node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => ({ exists: docs.has(path), data: () => docs.get(path) }),
+  });
+
+  const tx = {
+    get: async (ref) => ref.get(),
+    set: (ref, data) => docs.set(ref.path, { ...data }),
+    update: (ref, data) => {
+      const current = docs.get(ref.path) || {};
+      Object.entries(data).forEach(([path, value]) => setPath(current, path, value));
+      docs.set(ref.path, current);
+    },
+  };
+
+  return {
+    docs,
+    doc: docRef,
+    collection: (name) => ({
+      doc: (id) => docRef(`${name}/${id || `auto-${nextId++}`}`),
+    }),
+    runTransaction: async (handler) => handler(tx),
+  };
+}
+
+const seedUser = () => ({
+  'users/user-1': {
+    billing: {
+      planTier: 'free',
+      creditBalance: 1000,
+      usedCreditsThisCycle: 0,
+      lastCreditGrantPeriod: currentMonthKey(),
+      lastCreditGrantAt: admin.firestore.Timestamp.now(),
+    },
+  },
+});
+
+// Collects what an SSE handler writes, parsed back into events.
+function createFakeResponse() {
+  const res = new EventEmitter();
+  let body = '';
+  res.writableEnded = false;
+  res.status = () => res;
+  res.setHeader = () => {};
+  res.write = (text) => {
+    body += text;
+  };
+  res.end = () => {
+    res.writableEnded = true;
+    res.emit('close');
+  };
+  res.events = () => body.split('\n\n')
+    .map((block) => /^event: (.*)\ndata: (.*)$/.exec(block))
+    .filter(Boolean)
+    .map(([, event, data]) => ({ event, data: JSON.parse(data) }));
+  return res;
+}
+
+const PROMPT = 'Instruction: make it warmer.\nText:\n"""We went to the beach and Mia built her first sandcastle with Grandpa."""';
+
+const USAGE = {
+  feature: 'rewrite',
+  source: 'test',
+  rawUnits: { inputTokens: 400, outputTokens: 1024 },
+  minimumCredits: 1,
+};
+
+const stream = (db, res, isClosed) => streamMeteredText({
+  db,
+  userId: 'user-1',
+  res,
+  isClosed,
+  usage: USAGE,
+  feature: FEATURES.REWRITE_NOTE,
+  request: { prompt: PROMPT },
+});
+
+const usageEventOf = (db) => [...db.docs.entries()].find(([path]) => path.startsWith('usageEvents/'))[1];
+
+async function testCompleteStreamIsChargedOnReportedTokens() {
+  const db = createFakeDb(seedUser());
+  const res = createFakeResponse();
+  const result = await stream(db, res, () => false);
+
+  const events = res.events();
+  const chunks = events.filter((item) => item.event === 'chunk');
+  assert.ok(chunks.length > 1, 'text arrives in several chunks');
+  const done = events[events.length - 1];
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.aborted, false);
+  assert.equal(chunks.map((item) => item.data.text).join(''), done.data.text);
+  assert.equal(result.text, done.data.text);
+  assert.equal(res.writableEnded, true);
+
+  const { usage } = await generateText(FEATURES.REWRITE_NOTE, { prompt: PROMPT });
+  const event = usageEventOf(db);
+  assert.deepEqual(event.actualUnits, usage);
+  const expected = buildUsageCharge({ feature: 'rewrite', rawUnits: usage }).creditsCharged;
+  assert.equal(event.creditsCharged, expected);
+  assert.equal(db.docs.get('users/user-1').billing.creditBalance, 1000 - expected);
+}
+
+async function testAbortStopsAndChargesProducedTokens() {
+  const db = createFakeDb(seedUser());
+  const res = createFakeResponse();
+  let checks = 0;
+  // The client leaves after three chunks.
+  const result = await stream(db, res, () => {
+    checks += 1;
+    return checks > 3;
+  });
+
+  const chunks = res.events().filter((item) => item.event === 'chunk');
+  assert.equal(chunks.length, 3);
+  assert.equal(result.aborted, true);
+
+  const event = usageEventOf(db);
+  assert.deepEqual(event.actualUnits, {
+    inputTokens: USAGE.rawUnits.inputTokens,
+    outputTokens: estimateTokensFromText(result.text),
+  });
+  assert.equal(event.creditsCharged, buildUsageCharge({ feature: 'rewrite', rawUnits: event.actualUnits }).creditsCharged);
+}
+
+async function testAbortBeforeFirstTokenCostsNothing() {
+  const db = createFakeDb(seedUser());
+  const res = createFakeResponse();
+  const result = await stream(db, res, () => true);
+
+  assert.equal(result.text, '');
+  assert.equal(res.events().filter((item) => item.event === 'chunk').length, 0);
+  assert.equal(usageEventOf(db).creditsCharged, 0);
+  assert.equal(db.docs.get('users/user-1').billing.creditBalance, 1000);
+}
+
+async function testOnCompleteResultIsSentWithDone() {
+  const db = createFakeDb(seedUser());
+  const res = createFakeResponse();
+  let saved = '';
+  await streamMeteredText({
+    db,
+    userId: 'user-1',
+    res,
+    isClosed: () => false,
+    usage: { ...USAGE, feature: 'page_draft' },
+    feature: FEATURES.CHAPTER_CONTENT,
+    request: { prompt: 'Idea for this page: "The day we moved house"' },
+    onComplete: async (markdown) => {
+      saved = markdown;
+      return { pageId: 'page-9' };
+    },
+  });
+
+  const done = res.events().pop();
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.pageId, 'page-9');
+  assert.match(saved, /^## The day we moved house/);
+}
+
+// An OpenAI-compatible endpoint that sends one chunk and then stalls, as a slow model would.
+async function startStallingServer() {
+  const server = http.createServer((req, res) => {
+    req.on('error', () => {}); // the client aborting is the point
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const chunk = { id: 'c1', object: 'chat.completion.chunk', choices: [{ index: 0, delta: { content: 'We went ' } }] };
+    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+    server.emit('streaming', req);
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  return server;
+}
+
+async function testCloseMidStreamCancelsProviderRequest() {
+  const server = await startStallingServer();
+  process.env.LLM_PROVIDER_REWRITE_NOTE = 'ollama';
+  process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  try {
+    const db = createFakeDb(seedUser());
+    const res = createFakeResponse();
+    const isClosed = attachCloseHandler(new EventEmitter(), res);
+    const streaming = stream(db, res, isClosed);
+
+    const [upstream] = await once(server, 'streaming');
+    const upstreamClosed = new Promise((resolve) => upstream.on('close', resolve));
+    while (!res.events().some((item) => item.event === 'chunk')) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    // The client leaves while the model is still producing its next chunk.
+    res.emit('close');
+
+    const result = await Promise.race([
+      streaming,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('stream waited for the next chunk')), 2000)),
+    ]);
+    assert.equal(result.aborted, true);
+    assert.equal(result.text, 'We went ');
+    await Promise.race([
+      upstreamClosed,
+      new Promise((_, reject) => setTimeout(() => reject(new Error('provider request was not cancelled')), 2000)),
+    ]);
+    assert.equal(usageEventOf(db).actualUnits.outputTokens, estimateTokensFromText('We went '));
+  } finally {
+    delete process.env.LLM_PROVIDER_REWRITE_NOTE;
+    delete process.env.OLLAMA_BASE_URL;
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+function testCloseHandlerIgnoresFinishedResponses() {
+  const req = new EventEmitter();
+  const finished = createFakeResponse();
+  const finishedClosed = attachCloseHandler(req, finished);
+  req.emit('close');
+  finished.end();
+  assert.equal(finishedClosed(), false);
+  assert.equal(finishedClosed.signal.aborted, false);
+
+  const dropped = createFakeResponse();
+  const droppedClosed = attachCloseHandler(req, dropped);
+  dropped.emit('close');
+  assert.equal(droppedClosed(), true);
+  assert.equal(droppedClosed.signal.aborted, true);
+}
+
+async function main() {
+  await testCompleteStreamIsChargedOnReportedTokens();
+  await testAbortStopsAndChargesProducedTokens();
+  await testAbortBeforeFirstTokenCostsNothing();
+  await testOnCompleteResultIsSentWithDone();
+  await testCloseMidStreamCancelsProviderRequest();
+  testCloseHandlerIgnoresFinishedResponses();
+  console.log('Text stream tests passed.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
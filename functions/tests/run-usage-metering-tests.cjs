@@ -0,0 +1,157 @@
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  admin.initializeApp({ projectId: 'demo-project' });
+}
+
+const {
+  buildUsageCharge,
+  currentMonthKey,
+  meterAiCall,
+  settleUsageCharge,
+} = require('../payments/creditLedger');
+
+// In-memory stand-in for the handful of Firestore calls the ledger makes.
+function createFakeDb(seed = {}) {
+  const docs = new Map(Object.entries(seed));
+  let nextId = 1;
+
+  const setPath = (target, path, value) => {
+    const keys = path.split('.');
+    let node = target;
+    keys.slice(0, -1).forEach((key) => {
+      node[key] = node[key] && typeof node[key] === 'object' ? node[key] : {};
+      node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+  };
+
+  const docRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    get: async () => ({ exists: docs.has(path), data: () => docs.get(path) }),
+  });
+
+  const tx = {
+    get: async (ref) => ref.get(),
+    set: (ref, data) => docs.set(ref.path, { ...data }),
+    update: (ref, data) => {
+      const current = docs.get(ref.path) || {};
+      Object.entries(data).forEach(([path, value]) => setPath(current, path, value));
+      docs.set(ref.path, current);
+    },
+  };
+
+  return {
+    docs,
+    doc: docRef,
+    collection: (name) => ({
+      doc: (id) => docRef(`${name}/${id || `auto-${nextId++}`}`),
+    }),
+    runTransaction: async (handler) => handler(tx),
+  };
+}
+
+const seedUser = (creditBalance = 1000) => ({
+  'users/user-1': {
+    billing: {
+      planTier: 'free',
+      creditBalance,
+      usedCreditsThisCycle: 0,
+      // Already granted this month, so consumeCredits leaves the balance alone.
+      lastCreditGrantPeriod: currentMonthKey(),
+      lastCreditGrantAt: admin.firestore.Timestamp.now(),
+    },
+  },
+});
+
+const REWRITE_USAGE = {
+  feature: 'rewrite_note',
+  source: 'test',
+  provider: 'openai',
+  rawUnits: { inputTokens: 200, outputTokens: 800 },
+  minimumCredits: 1,
+};
+
+async function testSettlementRefundsOverEstimate() {
+  const db = createFakeDb(seedUser());
+  const { result, charge } = await meterAiCall(db, 'user-1', REWRITE_USAGE, async () => ({
+    text: 'done',
+    usage: { inputTokens: 180, outputTokens: 40 },
+    model: 'gpt-4o-mini',
+    provider: 'openai',
+  }));
+
+  assert.equal(result.text, 'done');
+  const estimate = buildUsageCharge(REWRITE_USAGE);
+  const actual = buildUsageCharge({ ...REWRITE_USAGE, rawUnits: { inputTokens: 180, outputTokens: 40 } });
+  assert.equal(charge.creditsCharged, actual.creditsCharged);
+  assert.equal(charge.creditsDelta, actual.creditsCharged - estimate.creditsCharged);
+
+  const event = db.docs.get(`usageEvents/${charge.usageEventId}`);
+  assert.deepEqual(event.estimatedUnits, { inputTokens: 200, outputTokens: 800 });
+  assert.deepEqual(event.actualUnits, { inputTokens: 180, outputTokens: 40 });
+  assert.deepEqual(event.tokenDelta, { inputTokens: -20, outputTokens: -760 });
+  assert.equal(event.tokenSource, 'provider');
+  assert.equal(event.model, 'gpt-4o-mini');
+  assert.equal(event.modelProvider, 'openai');
+  assert.equal(typeof event.latencyMs, 'number');
+  assert.equal(event.estimatedCreditsCharged, estimate.creditsCharged);
+
+  const billing = db.docs.get('users/user-1').billing;
+  assert.equal(billing.creditBalance, 1000 - actual.creditsCharged);
+  assert.equal(billing.usedCreditsThisCycle, actual.creditsCharged);
+}
+
+async function testMissingProviderCountsKeepEstimate() {
+  const db = createFakeDb(seedUser());
+  const { charge } = await meterAiCall(db, 'user-1', REWRITE_USAGE, async () => ({ text: 'done' }));
+  const event = db.docs.get(`usageEvents/${charge.usageEventId}`);
+
+  assert.equal(event.tokenSource, 'estimate');
+  assert.deepEqual(event.tokenDelta, {});
+  assert.equal(event.creditsDelta, 0);
+  assert.equal(db.docs.get('users/user-1').billing.creditBalance, 1000 - event.creditsCharged);
+}
+
+async function testSettlingTwiceIsANoOp() {
+  const db = createFakeDb(seedUser());
+  const { charge } = await meterAiCall(db, 'user-1', REWRITE_USAGE, async () => ({
+    usage: { inputTokens: 5000, outputTokens: 5000 },
+  }));
+  const balance = db.docs.get('users/user-1').billing.creditBalance;
+
+  const again = await settleUsageCharge(db, 'user-1', charge.usageEventId, { inputTokens: 1, outputTokens: 1 });
+  assert.equal(again.alreadySettled, true);
+  assert.equal(db.docs.get('users/user-1').billing.creditBalance, balance);
+}
+
+async function testImageUnitsSettle() {
+  const db = createFakeDb(seedUser());
+  const usage = {
+    feature: 'image_generation',
+    rawUnits: { inputTokens: 50, outputImageTokens: 1290 },
+    minimumCredits: 20,
+  };
+  const { charge } = await meterAiCall(db, 'user-1', usage, async () => ({
+    usage: { inputTokens: 64, outputImageTokens: 1290 },
+  }));
+  const event = db.docs.get(`usageEvents/${charge.usageEventId}`);
+
+  assert.deepEqual(event.tokenDelta, { inputTokens: 14, outputImageTokens: 0 });
+  assert.ok(event.creditsCharged >= 20);
+}
+
+async function main() {
+  await testSettlementRefundsOverEstimate();
+  await testMissingProviderCountsKeepEstimate();
+  await testSettlingTwiceIsANoOp();
+  await testImageUnitsSettle();
+  console.log('Usage metering tests passed.');
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
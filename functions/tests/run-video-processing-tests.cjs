@@ -0,0 +1,161 @@
+// Offline checks for video upload processing (ffmpeg itself is not run):
+//   node tests/run-video-processing-tests.cjs
+const assert = require('node:assert/strict');
+
+const {
+  WEB_MAX_EDGE,
+  videoRenditionStoragePath,
+  parseProbeOutput,
+  isWebFriendly,
+  posterOffset,
+  buildPosterArgs,
+  buildTranscodeArgs,
+} = require('../services/videoProcessingService');
+const { getPlanConfig } = require('../payments/catalog');
+const { resolveVideoDurationLimit } = require('../utils/limits');
+
+// Just the `users/{uid}` reads the plan lookup makes.
+function createFakeDb(users = {}) {
+  return {
+    collection: () => ({
+      doc: (uid) => ({
+        get: async () => ({ exists: uid in users, data: () => users[uid] }),
+      }),
+    }),
+  };
+}
+
+const phoneProbe = (overrides = {}) => ({
+  streams: [
+    {
+      codec_type: 'video',
+      codec_name: 'hevc',
+      pix_fmt: 'yuv420p10le',
+      width: 1920,
+      height: 1080,
+      side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }],
+      disposition: { attached_pic: 0 },
+    },
+    { codec_type: 'audio', codec_name: 'aac' },
+  ],
+  format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '12.345678' },
+  ...overrides,
+});
+
+function testParseProbeOutput() {
+  const probe = parseProbeOutput(JSON.stringify(phoneProbe()));
+  assert.deepEqual(probe, {
+    durationSeconds: 12.3,
+    width: 1080,
+    height: 1920,
+    rotation: 270,
+    videoCodec: 'hevc',
+    audioCodec: 'aac',
+    pixelFormat: 'yuv420p10le',
+    formatName: 'mov,mp4,m4a,3gp,3g2,mj2',
+  }, 'portrait phone clip reported as displayed');
+
+  const tagged = parseProbeOutput({
+    streams: [{ codec_type: 'video', codec_name: 'h264', width: 640, height: 480, tags: { rotate: '180' }, duration: '3.04' }],
+    format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2' },
+  });
+  assert.equal(tagged.rotation, 180, 'older rotate tag');
+  assert.deepEqual([tagged.width, tagged.height], [640, 480]);
+  assert.equal(tagged.durationSeconds, 3, 'stream duration when the container has none');
+  assert.equal(tagged.audioCodec, null);
+
+  const live = parseProbeOutput({
+    streams: [{ codec_type: 'video', codec_name: 'vp9', width: 320, height: 240 }],
+    format: { format_name: 'matroska,webm', duration: 'N/A' },
+  });
+  assert.equal(live.durationSeconds, null, 'unknown duration');
+
+  const cover = parseProbeOutput({
+    streams: [
+      { codec_type: 'audio', codec_name: 'aac' },
+      { codec_type: 'video', codec_name: 'mjpeg', width: 600, height: 600, disposition: { attached_pic: 1 } },
+    ],
+    format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '200' },
+  });
+  assert.equal(cover, null, 'cover art is not a video stream');
+  assert.equal(parseProbeOutput({ streams: [], format: {} }), null);
+}
+
+function testIsWebFriendly() {
+  const ready = {
+    durationSeconds: 10,
+    width: 1280,
+    height: 720,
+    rotation: 0,
+    videoCodec: 'h264',
+    audioCodec: 'aac',
+    pixelFormat: 'yuv420p',
+    formatName: 'mov,mp4,m4a,3gp,3g2,mj2',
+  };
+  assert.equal(isWebFriendly(ready, 'video/mp4'), true);
+  assert.equal(isWebFriendly({ ...ready, audioCodec: null }), true, 'silent clips');
+  assert.equal(isWebFriendly(ready, 'video/quicktime'), true, 'container decides, not the upload type');
+  assert.equal(isWebFriendly({ ...ready, formatName: 'matroska,webm' }, 'video/webm'), false);
+  assert.equal(isWebFriendly({ ...ready, videoCodec: 'hevc' }), false);
+  assert.equal(isWebFriendly({ ...ready, pixelFormat: 'yuv420p10le' }), false);
+  assert.equal(isWebFriendly({ ...ready, audioCodec: 'opus' }), false);
+  assert.equal(isWebFriendly({ ...ready, rotation: 90 }), false, 'players that ignore rotation show it sideways');
+  assert.equal(isWebFriendly({ ...ready, width: WEB_MAX_EDGE + 640, height: 1080 }), false);
+  assert.equal(isWebFriendly(null), false);
+}
+
+function testFfmpegArgs() {
+  assert.equal(posterOffset(12.3), 1);
+  assert.equal(posterOffset(0.4), 0.2, 'inside very short clips');
+  assert.equal(posterOffset(null), 0);
+
+  const poster = buildPosterArgs('https://example.test/clip.mov', '/tmp/poster.jpg', 0.4);
+  assert.equal(poster[poster.indexOf('-ss') + 1], '0.2');
+  assert.ok(poster.indexOf('-ss') < poster.indexOf('-i'), 'seek before opening the input');
+  assert.equal(poster[poster.indexOf('-frames:v') + 1], '1');
+  assert.equal(poster[poster.length - 1], '/tmp/poster.jpg');
+
+  const transcode = buildTranscodeArgs('https://example.test/clip.mov', '/tmp/web.mp4');
+  assert.equal(transcode[transcode.indexOf('-i') + 1], 'https://example.test/clip.mov');
+  assert.equal(transcode[transcode.indexOf('-c:v') + 1], 'libx264');
+  assert.equal(transcode[transcode.indexOf('-pix_fmt') + 1], 'yuv420p');
+  assert.equal(transcode[transcode.indexOf('-c:a') + 1], 'aac');
+  assert.equal(transcode[transcode.indexOf('-movflags') + 1], '+faststart');
+  assert.match(transcode[transcode.indexOf('-vf') + 1], new RegExp(`min\\(${WEB_MAX_EDGE},iw\\)`));
+  assert.ok(transcode.includes('0:a:0?'), 'audio optional');
+  assert.equal(transcode[transcode.length - 1], '/tmp/web.mp4');
+}
+
+function testRenditionPaths() {
+  const storagePath = 'u1/b1/_album_/_album_/media/video/1700000000_beach.day.MOV';
+  assert.equal(videoRenditionStoragePath(storagePath, 'poster'), 'u1/b1/_album_/_album_/renditions/poster/1700000000_beach.day.jpg');
+  assert.equal(videoRenditionStoragePath(storagePath, 'web'), 'u1/b1/_album_/_album_/renditions/web/1700000000_beach.day.mp4');
+  assert.throws(() => videoRenditionStoragePath('u1/b1/c1/p1/media/image/photo.jpg', 'poster'), /Not a video media path/);
+}
+
+async function testDurationLimits() {
+  assert.equal(getPlanConfig('free').videoMaxSeconds, 60);
+  assert.equal(getPlanConfig('creator').videoMaxSeconds, 300);
+  assert.equal(getPlanConfig('pro').videoMaxSeconds, 900);
+  assert.equal(getPlanConfig('premium').videoMaxSeconds, 1800);
+
+  const db = createFakeDb({
+    free: { email: 'free@example.test' },
+    pro: { email: 'pro@example.test', billing: { planTier: 'pro' } },
+  });
+  assert.equal(await resolveVideoDurationLimit(db, 'free'), 60);
+  assert.equal(await resolveVideoDurationLimit(db, 'pro'), 900);
+  assert.equal(await resolveVideoDurationLimit(db, 'missing'), 60, 'unknown users are on the free plan');
+}
+
+(async () => {
+  testParseProbeOutput();
+  testIsWebFriendly();
+  testFfmpegArgs();
+  testRenditionPaths();
+  await testDurationLimits();
+  console.log('video processing tests passed');
+})().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,6 +1,11 @@
-const { onCall, HttpsError } = require("firebase-functions/v2/https");
+const { onCall, onRequest, HttpsError } = require("firebase-functions/v2/https");
 const admin = require("firebase-admin");
-const { consumeCredits, estimateTokensFromText } = require("./payments/creditLedger");
+const { meterAiCall, estimateTokensFromText } = require("./payments/creditLedger");
+const { resolveMemberRole, canEditAsRole } = require("./modules/collab/models/collabTypes");
+const { setCorsHeaders, parseRequestBody, verifyRequestAuth } = require("./utils/http");
+const { attachCloseHandler } = require("./utils/sse");
+const { streamMeteredText } = require("./services/textStreamService");
+const { createChapterPage } = require("./services/pageService");
 
 // Load env for emulator/local
 try {
@@ -8,9 +13,11 @@ try {
 } catch (_) {}
 
 // AI utilities
-const { callAI } = require("./utils/aiClient");
-const { buildRewritePrompt } = require("./utils/prompts");
+const { callAIWithUsage, FEATURES } = require("./utils/aiClient");
+const { PROMPT_IDS, buildRewritePrompt, buildChapterContentPrompt } = require("./utils/prompts");
+const { getActivePrompt } = require("./services/promptRegistryService");
 const LOCATION = "us-central1";
+const CHAPTER_CONTENT_MAX_TOKENS = 1536;
 
 // Ensure Admin is ready for quota reads
 if (!admin.apps.length) {
@@ -19,7 +26,8 @@ if (!admin.apps.length) {
 const db = admin.firestore();
 
 /**
- * Callable function to rewrite a note with a given style/prompt.
+ * Validate a rewrite request and build its prompt from the active registry
+ * version; shared by the callable and the streaming endpoint.
  *
  * Request data:
  * - note: string (optional, may be HTML – legacy)
@@ -31,17 +39,7 @@ const db = admin.firestore();
  * - chapterId: string (optional)
  * - pageId: string (optional)
  */
-exports.rewriteNote = onCall({ region: LOCATION, cors: true }, async (request) => {
-  const { data, auth } = request;
-
-  // Require auth
-  if (!auth?.uid) {
-    throw new HttpsError(
-      "unauthenticated",
-      "Please sign in to use this feature."
-    );
-  }
-
+const buildRewriteRequest = async (data) => {
   const {
     note,
     noteText,
@@ -86,38 +84,120 @@ exports.rewriteNote = onCall({ region: LOCATION, cors: true }, async (request) =
   const isHtmlSource =
     typeof note === "string" && /<\w+[^>]*>/.test(note || "");
 
+  const { template, version } = await getActivePrompt(db, PROMPT_IDS.REWRITE_NOTE);
   const builtPrompt = buildRewritePrompt(sourceText, selectedStyle, {
     isHtml: isHtmlSource,
+    template,
     // room for future context: bookId, chapterId, pageId
   });
 
+  const numericMax = Number(maxTokens);
+  const effectiveMax = Number.isFinite(numericMax)
+    ? Math.max(32, Math.min(1024, numericMax))
+    : undefined;
+
+  return {
+    builtPrompt,
+    effectiveMax,
+    promptVersion: version,
+    meta: {
+      bookId: bookId || null,
+      chapterId: chapterId || null,
+      pageId: pageId || null,
+    },
+  };
+};
+
+const buildRewriteUsage = ({ builtPrompt, effectiveMax, promptVersion, meta }) => ({
+  feature: 'rewrite',
+  source: 'rewrite_note',
+  provider: 'functions_ai',
+  rawUnits: {
+    inputText: builtPrompt,
+    inputTokens: estimateTokensFromText(builtPrompt),
+    outputTokens: Math.max(64, Number(effectiveMax || 256)),
+  },
+  minimumCredits: 1,
+  metadata: { ...meta, promptId: PROMPT_IDS.REWRITE_NOTE, promptVersion },
+});
+
+// Errors raised before the event stream starts go back as JSON with the
+// status an equivalent callable would use.
+const sendRequestError = (res, error, fallbackMessage) => {
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  if (error instanceof HttpsError) {
+    res.status(error.httpErrorCode.status).json({ error: error.message, code: error.code });
+    return;
+  }
+  if (error?.code === "resource-exhausted") {
+    res.status(429).json({ error: error.message, code: error.code });
+    return;
+  }
+  console.error(fallbackMessage, error);
+  res.status(500).json({ error: fallbackMessage, code: "internal" });
+};
+
+/**
+ * Wraps an SSE handler with CORS, POST-only and Firebase ID token checks.
+ * The handler receives the caller's uid and parsed JSON body.
+ */
+const streamingEndpoint = (fallbackMessage, handler) => onRequest(
+  { region: LOCATION, timeoutSeconds: 300 },
+  async (req, res) => {
+    setCorsHeaders(req, res);
+    if (req.method === "OPTIONS") {
+      res.status(204).end();
+      return;
+    }
+    if (req.method !== "POST") {
+      res.status(405).json({ error: "Method not allowed." });
+      return;
+    }
+
+    const isClosed = attachCloseHandler(req, res);
+    try {
+      const { uid } = await verifyRequestAuth(req);
+      let body;
+      try {
+        body = parseRequestBody(req);
+      } catch (error) {
+        throw new HttpsError("invalid-argument", error.message);
+      }
+      await handler({ uid, body, res, isClosed });
+    } catch (error) {
+      sendRequestError(res, error, fallbackMessage);
+    }
+  }
+);
+
+/**
+ * Callable function to rewrite a note with a given style/prompt.
+ * Request data: see buildRewriteRequest.
+ */
+exports.rewriteNote = onCall({ region: LOCATION, cors: true }, async (request) => {
+  const { data, auth } = request;
+
+  // Require auth
+  if (!auth?.uid) {
+    throw new HttpsError(
+      "unauthenticated",
+      "Please sign in to use this feature."
+    );
+  }
+
+  const rewriteRequest = await buildRewriteRequest(data);
+  const { builtPrompt, effectiveMax, meta } = rewriteRequest;
+
   try {
-    const numericMax = Number(maxTokens);
-    const effectiveMax = Number.isFinite(numericMax)
-      ? Math.max(32, Math.min(1024, numericMax))
-      : undefined;
-
-    await consumeCredits(db, auth.uid, {
-      feature: 'rewrite',
-      source: 'rewrite_note',
-      provider: 'functions_ai',
-      rawUnits: {
-        inputText: builtPrompt,
-        inputTokens: estimateTokensFromText(builtPrompt),
-        outputTokens: Math.max(64, Number(effectiveMax || 256)),
-      },
-      minimumCredits: 1,
-      metadata: {
-        bookId: bookId || null,
-        chapterId: chapterId || null,
-        pageId: pageId || null,
-      },
-    });
-
-    const rewritten = await callAI(builtPrompt, {
+    const { result } = await meterAiCall(db, auth.uid, buildRewriteUsage(rewriteRequest), () => callAIWithUsage(builtPrompt, {
+      feature: FEATURES.REWRITE_NOTE,
       maxTokens: effectiveMax,
       temperature: 0.7,
-    });
+    }));
+    const rewritten = result.text;
 
     if (!rewritten) {
       throw new Error("Empty AI response");
@@ -125,14 +205,104 @@ exports.rewriteNote = onCall({ region: LOCATION, cors: true }, async (request) =
 
     return {
       rewritten,
-      meta: {
-        bookId: bookId || null,
-        chapterId: chapterId || null,
-        pageId: pageId || null,
-      },
+      meta,
     };
   } catch (err) {
     console.error("rewriteNote error:", err);
     throw new HttpsError("internal", "Failed to generate text");
   }
 });
+
+/**
+ * POST, streaming version of rewriteNote (same body) as server-sent events:
+ * `chunk` { text } while generating, then `done` { text, aborted } or
+ * `error` { message }. Closing the request stops generation, and only the
+ * tokens produced are charged.
+ */
+exports.rewriteNoteStream = streamingEndpoint("Failed to generate text", async ({ uid, body, res, isClosed }) => {
+  const rewriteRequest = await buildRewriteRequest(body);
+  await streamMeteredText({
+    db,
+    userId: uid,
+    res,
+    isClosed,
+    usage: buildRewriteUsage(rewriteRequest),
+    feature: FEATURES.REWRITE_NOTE,
+    request: {
+      prompt: rewriteRequest.builtPrompt,
+      maxTokens: rewriteRequest.effectiveMax,
+      temperature: 0.7,
+    },
+  });
+});
+
+/**
+ * POST { bookId, chapterId, prompt } -> streams a Markdown draft of one new
+ * chapter page written from `prompt` (e.g. a chapter suggestion), with the
+ * same events as rewriteNoteStream. A draft that finishes is saved as the
+ * chapter's last page and `done` carries its `pageId`; a cancelled draft is
+ * discarded.
+ */
+exports.generateChapterContentStream = streamingEndpoint("Failed to generate chapter content", async ({ uid, body, res, isClosed }) => {
+  const { bookId, chapterId } = body || {};
+  const instruction = typeof body?.prompt === "string" ? body.prompt.trim() : "";
+  if (!bookId || !chapterId) {
+    throw new HttpsError("invalid-argument", "Book ID and chapter ID are required.");
+  }
+  if (!instruction) {
+    throw new HttpsError("invalid-argument", "`prompt` (string) is required.");
+  }
+
+  const bookRef = db.collection("books").doc(bookId);
+  const bookDoc = await bookRef.get();
+  if (!bookDoc.exists) {
+    throw new HttpsError("not-found", "Book not found.");
+  }
+  const bookData = bookDoc.data() || {};
+  if (!canEditAsRole(resolveMemberRole(bookData, uid))) {
+    throw new HttpsError("permission-denied", "You do not have edit access to this book.");
+  }
+  const chapterDoc = await bookRef.collection("chapters").doc(chapterId).get();
+  if (!chapterDoc.exists) {
+    throw new HttpsError("not-found", "Chapter not found.");
+  }
+  const chapterData = chapterDoc.data() || {};
+
+  const { template, version } = await getActivePrompt(db, PROMPT_IDS.CHAPTER_CONTENT);
+  const prompt = buildChapterContentPrompt({
+    instruction,
+    bookTitle: bookData.babyName || bookData.title,
+    chapterTitle: chapterData.title,
+    chapterDescription: chapterData.description,
+    chapterSummary: chapterData.chapterSummary,
+    template,
+  });
+
+  await streamMeteredText({
+    db,
+    userId: uid,
+    res,
+    isClosed,
+    usage: {
+      feature: 'page_draft',
+      source: 'chapter_content_stream',
+      provider: 'functions_ai',
+      rawUnits: {
+        inputText: prompt,
+        inputTokens: estimateTokensFromText(prompt),
+        outputTokens: CHAPTER_CONTENT_MAX_TOKENS,
+      },
+      metadata: { bookId, chapterId, promptId: PROMPT_IDS.CHAPTER_CONTENT, promptVersion: version },
+    },
+    feature: FEATURES.CHAPTER_CONTENT,
+    request: {
+      prompt,
+      maxTokens: CHAPTER_CONTENT_MAX_TOKENS,
+      temperature: 0.7,
+    },
+    onComplete: async (markdown) => {
+      const page = await createChapterPage({ db, userId: uid, bookId, chapterId, markdown });
+      return { pageId: page.id };
+    },
+  });
+});
@@ -4,7 +4,8 @@ const admin = require("firebase-admin");
 const FieldValue = require("firebase-admin/firestore").FieldValue;
 
 /**
- * Helper function to delete a cover image from storage
+ * Helper function to delete a cover image from storage. Covers that are
+ * album media (the first uploaded image becomes the cover) stay in the album.
  */
 async function deleteCoverImage(coverImageUrl) {
     if (!coverImageUrl) return;
@@ -14,6 +15,10 @@ async function deleteCoverImage(coverImageUrl) {
         const urlMatch = coverImageUrl.match(/\/o\/(.+?)\?/) || coverImageUrl.match(/\.com\/([^?]+)/);
         if (urlMatch) {
             const coverPath = decodeURIComponent(urlMatch[1]);
+            if (coverPath.includes('/media/image/')) {
+                logger.log(`ℹ️ Old cover is album media, keeping it: ${coverPath}`);
+                return;
+            }
             const coverFile = bucket.file(coverPath);
             await coverFile.delete({ ignoreNotFound: true });
             logger.log(`🗑️ Deleted old cover image: ${coverPath}`);
@@ -78,6 +83,8 @@ exports.updateAlbum = onCall(
 
             if (coverImage !== undefined) {
                 updates.coverImage = coverImage;
+                // Uploaded covers have no renditions; the album media ones do not apply any more
+                updates.coverRenditions = null;
             }
 
             await albumRef.update(updates);
@@ -126,7 +133,7 @@ exports.updateAlbum = onCall(
                         return {
                             ...album,
                             ...(name && { name: name.trim() }),
-                            ...(coverImage !== undefined && { coverImage }),
+                            ...(coverImage !== undefined && { coverImage, coverRenditions: null }),
                             updatedAt: new Date(),
                         };
                     }
@@ -9,6 +9,9 @@ const FieldValue = require('firebase-admin/firestore').FieldValue;
 const { extractTextFromHtml } = require('./utils/embeddingsClient');
 const { updateChapterPageSummary } = require('./utils/chapterUtils');
 const { validatePageContentLimits } = require('./utils/pageContentValidation');
+const { resolveMemberRole, canEditAsRole } = require('./modules/collab/models/collabTypes');
+const { updatePageFromLiveSession } = require('./services/pageCollabService');
+const { pageAuthorFields } = require('./services/pageRevisionService');
 
 const db = admin.firestore();
 
@@ -27,7 +30,7 @@ exports.updatePage = onCall(
             throw new HttpsError('unauthenticated', 'User must be authenticated to update pages.');
         }
 
-        const { bookId, chapterId, pageId, note, media, type, templateVersion, content, theme, pageName } = data;
+        const { bookId, chapterId, pageId, note, media, type, templateVersion, content, theme, pageName, collabSession } = data;
         const userId = auth.uid;
 
         if (!bookId || !chapterId || !pageId) {
@@ -44,11 +47,10 @@ exports.updatePage = onCall(
             }
 
             const bookData = bookDoc.data();
-            const isOwner = bookData.ownerId === userId;
-            const isMember = bookData.members && bookData.members[userId];
+            const memberRole = resolveMemberRole(bookData, userId);
 
-            if (!isOwner && !isMember) {
-                throw new HttpsError('permission-denied', 'You do not have access to this book.');
+            if (!canEditAsRole(memberRole)) {
+                throw new HttpsError('permission-denied', 'You do not have edit access to this book.');
             }
 
             // Get existing page
@@ -79,6 +81,7 @@ exports.updatePage = onCall(
                 plainText,
                 embeddingStatus: plainText ? 'pending' : 'ready',
                 media: media !== undefined ? media : pageDoc.data().media,
+                ...pageAuthorFields(userId),
                 updatedAt: FieldValue.serverTimestamp(),
             };
             if (!plainText) {
@@ -91,7 +94,13 @@ exports.updatePage = onCall(
             if (theme !== undefined) updateData.theme = theme;
             if (pageName !== undefined) updateData.pageName = String(pageName || '').trim();
 
-            await pageRef.update(updateData);
+            // Saves from a live session keep its update log marked as current;
+            // any other write leaves it stale so the next session reseeds.
+            if (collabSession === true) {
+                await updatePageFromLiveSession(db, pageRef, updateData);
+            } else {
+                await pageRef.update(updateData);
+            }
             logger.log(`✅ Page ${pageId} updated`);
 
             logger.log(`📝 About to update chapter summary. plainText: "${plainText}"`);
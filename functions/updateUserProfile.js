@@ -22,6 +22,8 @@ exports.updateUserProfile = onCall(
     const agentSpeakingLanguage = typeof data.agentSpeakingLanguage === "string" ? data.agentSpeakingLanguage : "English";
     const userSpeakingLanguage = typeof data.userSpeakingLanguage === "string" ? data.userSpeakingLanguage : "English";
     const photoURL = typeof data.photoURL === "string" ? data.photoURL.trim() : "";
+    // Off unless chosen: onMediaUpload strips GPS positions from photos otherwise
+    const keepPhotoLocation = data.keepPhotoLocation === true;
 
     if (!displayName) {
       throw new HttpsError("invalid-argument", "Display name is required.");
@@ -65,6 +67,7 @@ exports.updateUserProfile = onCall(
             writingContext,
             agentSpeakingLanguage,
             userSpeakingLanguage,
+            keepPhotoLocation,
             updatedAt: FieldValue.serverTimestamp(),
           },
           // Legacy mirrors retained temporarily for older reads.
@@ -89,6 +92,7 @@ exports.updateUserProfile = onCall(
           writingContext,
           agentSpeakingLanguage,
           userSpeakingLanguage,
+          keepPhotoLocation,
         },
       };
     } catch (error) {
@@ -1,25 +1,30 @@
 const admin = require('firebase-admin');
 const FieldValue = require('firebase-admin/firestore').FieldValue;
-const { ai } = require('../genkitClient');
+const { FEATURES, generateText } = require('./llm');
+const { PROMPT_IDS, buildChapterSummaryPrompt } = require('./prompts');
+const { getActivePrompt } = require('../services/promptRegistryService');
+
+const CHAPTER_SUMMARY_TEMPERATURE = 0.3;
 
 /**
  * Generates a cumulative summary by combining previous summary with new page content
+ * @param {Object} db - Firestore instance (for the prompt registry)
  * @param {string} previousSummary - The existing chapter summary
  * @param {string} newPageContent - The new page plain text content
  * @param {string} chapterTitle - The chapter title
  * @returns {Promise<string>} - The new cumulative summary
  */
-async function generateCumulativeSummary(previousSummary, newPageContent, chapterTitle) {
+async function generateCumulativeSummary(db, previousSummary, newPageContent, chapterTitle) {
     console.log('🤖 Generating cumulative summary...');
 
     try {
-        const { text } = await ai.prompt('airabook_chapter_summary')({
-            previousSummary: previousSummary || undefined,
-            newPageContent,
-            chapterTitle: chapterTitle || undefined,
+        const { template, version } = await getActivePrompt(db, PROMPT_IDS.CHAPTER_SUMMARY);
+        const { text } = await generateText(FEATURES.SUMMARIES, {
+            prompt: buildChapterSummaryPrompt({ previousSummary, newPageContent, chapterTitle, template }),
+            temperature: CHAPTER_SUMMARY_TEMPERATURE,
         });
 
-        console.log('✅ Cumulative summary generated successfully');
+        console.log(`✅ Cumulative summary generated successfully (prompt version ${version})`);
         return text;
     } catch (error) {
         console.error('❌ Error generating cumulative summary:', error);
@@ -101,6 +106,7 @@ async function refreshChapterSummary(db, bookId, chapterId, plainText) {
     const chapterTitle = chapterData.title || '';
 
     const newChapterSummary = await generateCumulativeSummary(
+        db,
         previousChapterSummary,
         plainText,
         chapterTitle
@@ -2,7 +2,7 @@
 // Gemini embeddings client for generating text embeddings
 
 const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { ai, textEmbedding004 } = require('../genkitClient');
+const { embedText } = require('./llm');
 
 // Get API key from environment
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
@@ -82,13 +82,8 @@ async function generateEmbeddings(input, options = {}) {
 
     const taskType = options.taskType || "RETRIEVAL_DOCUMENT";
 
-    const result = await ai.embed({
-        embedder: textEmbedding004,
-        content: text,
-        options: { taskType },
-    });
-
-    return result[0].embedding; // number[]
+    // Provider/model come from the LLM registry (LLM_PROVIDER_EMBEDDINGS).
+    return embedText(text, { taskType }); // number[]
 }
 /**
  * Generate embeddings using Gemini embedding model
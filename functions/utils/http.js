@@ -30,7 +30,27 @@ const parseRequestBody = (req) => {
   return {};
 };
 
+/**
+ * Verify the Firebase ID token in `Authorization: Bearer <token>`, the
+ * onRequest counterpart of a callable's `request.auth`.
+ * @returns {Promise<import('firebase-admin').auth.DecodedIdToken>}
+ */
+const verifyRequestAuth = async (req) => {
+  const { HttpsError } = require('firebase-functions/v2/https');
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) {
+    throw new HttpsError('unauthenticated', 'Please sign in to use this feature.');
+  }
+  try {
+    const admin = require('firebase-admin');
+    return await admin.auth().verifyIdToken(header.slice('Bearer '.length));
+  } catch (error) {
+    throw new HttpsError('unauthenticated', 'Your session has expired. Please sign in again.');
+  }
+};
+
 module.exports = {
   setCorsHeaders,
   parseRequestBody,
+  verifyRequestAuth,
 };
@@ -147,6 +147,16 @@ async function resolveUserPlanLimits(db, uid) {
   return { tier, limits, userData, userExists: snap.exists };
 }
 
+/**
+ * Longest video, in seconds, the user's plan accepts (`videoMaxSeconds` in
+ * PLAN_CONFIG); null when there is no limit.
+ */
+async function resolveVideoDurationLimit(db, uid) {
+  const { tier } = await resolveUserPlanLimits(db, uid);
+  if (tier === "god") return null;
+  return getPlanConfig(tier).videoMaxSeconds || null;
+}
+
 function toMillis(ts) {
   if (!ts) return null;
   if (typeof ts.toMillis === "function") return ts.toMillis();
@@ -226,13 +236,18 @@ async function assertAndIncrementCounter(db, uid, counterKey, amount, limitValue
   });
 }
 
-async function addStorageUsage(db, uid, deltaBytes) {
+/**
+ * Add (or, with a negative delta, refund) storage bytes. Pass
+ * `enforceLimit: false` to record bytes for files that already exist
+ * and cannot be turned away, e.g. a duplicate that became the original.
+ */
+async function addStorageUsage(db, uid, deltaBytes, { enforceLimit = true } = {}) {
   return withUserTransaction(db, uid, ({ tx, userRef, userData, tier, limits }) => {
     const limitBytes = (limits.storageMb || 0) * 1024 * 1024;
     const current = userData.quotaCounters?.storageBytesUsed || 0;
     const next = Math.max(0, current + deltaBytes);
 
-    if (deltaBytes > 0 && tier !== "god" && next > limitBytes) {
+    if (enforceLimit && deltaBytes > 0 && tier !== "god" && next > limitBytes) {
       throw new HttpsError("resource-exhausted", "Storage limit reached. Please upgrade your plan.");
     }
 
@@ -254,16 +269,83 @@ async function assertStorageAllowance(db, uid, incomingBytes) {
   return result;
 }
 
+/**
+ * Who pays for a book's stored media: its current owner. Objects keep the
+ * uploader's `{uid}/{bookId}/...` path after an ownership transfer, so the
+ * path alone does not say who was billed. Standalone albums (no book doc)
+ * fall back to `fallbackUserId`, the path's user.
+ */
+async function resolveStorageBillingUserId(db, bookId, fallbackUserId) {
+  if (!bookId) return fallbackUserId;
+  try {
+    const bookSnap = await db.collection("books").doc(bookId).get();
+    if (!bookSnap.exists) return fallbackUserId;
+    return bookSnap.data()?.ownerId || fallbackUserId;
+  } catch (error) {
+    console.warn(`⚠️ Failed to resolve billing owner for book ${bookId}:`, error?.message || error);
+    return fallbackUserId;
+  }
+}
+
+/**
+ * Move one book and its storage bytes from one user's quota counters to
+ * another's, inside the caller's transaction (ownership transfer). Both user
+ * docs must already have been read in `tx`; the receiver's plan is enforced.
+ * @param {FirebaseFirestore.Transaction} tx
+ * @param {{ from: { uid: string, ref: any, data: Object }, to: { uid: string, ref: any, data: Object }, storageBytes: number }} params
+ */
+function moveBookUsageTx(tx, { from, to, storageBytes = 0 }) {
+  const cfg = loadConfig();
+  const tier = tierForUser(to.data, to.uid, cfg);
+  const limits = cfg.plans[tier] || defaultPlans.free;
+  const bytes = Math.max(0, Number(storageBytes) || 0);
+
+  const fromCounters = from.data?.quotaCounters || {};
+  const toCounters = to.data?.quotaCounters || {};
+  const toBooks = (toCounters.books || 0) + 1;
+  const toStorage = (toCounters.storageBytesUsed || 0) + bytes;
+  const limitBytes = (limits.storageMb || 0) * 1024 * 1024;
+
+  if (tier !== "god") {
+    if (toBooks > (limits.books ?? Number.MAX_SAFE_INTEGER)) {
+      throw new HttpsError("resource-exhausted", "The new owner has reached the book limit for their plan.");
+    }
+    if (toStorage > limitBytes) {
+      throw new HttpsError("resource-exhausted", "The new owner does not have enough storage left for this book.");
+    }
+  }
+
+  const fromBooks = Math.max(0, (fromCounters.books || 0) - 1);
+  const fromStorage = Math.max(0, (fromCounters.storageBytesUsed || 0) - bytes);
+  tx.update(from.ref, {
+    "quotaCounters.books": fromBooks,
+    "quotaCounters.storageBytesUsed": fromStorage,
+  });
+  tx.update(to.ref, {
+    "quotaCounters.books": toBooks,
+    "quotaCounters.storageBytesUsed": toStorage,
+  });
+
+  return {
+    storageBytes: bytes,
+    from: { books: fromBooks, storageBytesUsed: fromStorage },
+    to: { books: toBooks, storageBytesUsed: toStorage },
+  };
+}
+
 module.exports = {
   loadConfig,
   tierForUser,
   resolveUserPlanLimits,
+  resolveVideoDurationLimit,
   buildInitialQuotaCounters,
   estimateTokensFromText,
   consumeApiCallQuota,
   assertAndIncrementCounter,
   assertStorageAllowance,
   addStorageUsage,
+  resolveStorageBillingUserId,
+  moveBookUsageTx,
   THIRTY_DAYS_MS,
   defaultPlans,
 };
@@ -0,0 +1,177 @@
+// functions/utils/llm/index.js
+// Provider registry: every AI feature asks for its provider here instead of
+// wiring a model client itself.
+//
+// Selection, read from the environment at call time:
+//   LLM_PROVIDER_<FEATURE>  e.g. LLM_PROVIDER_REWRITE_NOTE=ollama
+//   LLM_PROVIDER            default for all features, e.g. mock in the emulator
+//   FEATURE_DEFAULTS below  otherwise
+// Models: LLM_MODEL_<FEATURE>, then the provider's default for that capability.
+
+const vertexProvider = require('./vertexProvider');
+const mockProvider = require('./mockProvider');
+const { createOpenAIProvider } = require('./openaiProvider');
+
+const FEATURES = Object.freeze({
+  CHAPTER_GENERATION: 'chapterGeneration',
+  CHAPTER_CONTENT: 'chapterContent',
+  REWRITE_NOTE: 'rewriteNote',
+  CHAPTER_SUGGESTIONS: 'chapterSuggestions',
+  SUMMARIES: 'summaries',
+  EMBEDDINGS: 'embeddings',
+  IMAGE_GENERATION: 'imageGeneration',
+  CONSISTENCY_REVIEW: 'consistencyReview',
+});
+
+// 'auto' keeps the original callAI behaviour: OpenAI when a key is set, else Vertex.
+const FEATURE_DEFAULTS = Object.freeze({
+  [FEATURES.CHAPTER_GENERATION]: 'auto',
+  [FEATURES.CHAPTER_CONTENT]: 'auto',
+  [FEATURES.REWRITE_NOTE]: 'auto',
+  [FEATURES.CHAPTER_SUGGESTIONS]: 'vertex',
+  [FEATURES.SUMMARIES]: 'vertex',
+  [FEATURES.EMBEDDINGS]: 'vertex',
+  [FEATURES.IMAGE_GENERATION]: 'vertex',
+  [FEATURES.CONSISTENCY_REVIEW]: 'vertex',
+});
+
+// Page chunk vectors share one Firestore vector index, so every embedding
+// model must produce vectors of this size (see firestore.indexes.json).
+const EMBEDDING_DIMENSIONS = 768;
+
+const PROVIDERS = {
+  vertex: vertexProvider,
+  mock: mockProvider,
+  openai: createOpenAIProvider({
+    name: 'openai',
+    getConnection: () => ({ apiKey: process.env.OPENAI_API_KEY }),
+    defaultModels: {
+      get text() { return process.env.OPENAI_MODEL || 'gpt-4o-mini'; },
+      embedding: 'text-embedding-3-small',
+      image: 'gpt-image-1',
+    },
+    supportsImages: true,
+  }),
+  ollama: createOpenAIProvider({
+    name: 'ollama',
+    getConnection: () => ({
+      apiKey: process.env.OLLAMA_API_KEY,
+      baseURL: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434/v1',
+    }),
+    defaultModels: {
+      get text() { return process.env.OLLAMA_MODEL || 'llama3.1'; },
+      get embedding() { return process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text'; },
+    },
+  }),
+};
+
+const toEnvKey = (feature) => feature.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * Which provider and model serve `feature`.
+ * @param {string} feature - One of FEATURES
+ * @returns {{ feature: string, providerName: string, provider: Object, model: string|undefined }}
+ */
+function resolveProvider(feature) {
+  const envKey = toEnvKey(feature);
+  let providerName = (
+    process.env[`LLM_PROVIDER_${envKey}`] ||
+    process.env.LLM_PROVIDER ||
+    FEATURE_DEFAULTS[feature] ||
+    'auto'
+  ).trim().toLowerCase();
+  if (providerName === 'auto') {
+    providerName = process.env.OPENAI_API_KEY ? 'openai' : 'vertex';
+  }
+
+  const provider = PROVIDERS[providerName];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider "${providerName}" for ${feature}. Use one of: ${Object.keys(PROVIDERS).join(', ')}.`);
+  }
+  return {
+    feature,
+    providerName,
+    provider,
+    model: process.env[`LLM_MODEL_${envKey}`] || undefined,
+  };
+}
+
+/**
+ * Generate text for a feature.
+ * @param {string} feature - One of FEATURES
+ * @param {{ prompt: string, system?: string, maxTokens?: number, temperature?: number }} request
+ * @returns {Promise<{ text: string, usage: { inputTokens: number|null, outputTokens: number|null }, provider: string, model: string }>}
+ */
+async function generateText(feature, request) {
+  const { providerName, provider, model } = resolveProvider(feature);
+  const resolvedModel = model || provider.DEFAULT_MODELS.text;
+  const result = await provider.generateText({ ...request, feature, model: resolvedModel });
+  return { ...result, provider: providerName, model: resolvedModel };
+}
+
+/**
+ * Stream text for a feature. `chunks` yields `{ text }` deltas, then one
+ * `{ usage }` once the reply is complete. Leaving the loop early closes the
+ * upstream request, so an abandoned reply stops generating.
+ * @param {string} feature - One of FEATURES
+ * @param {{ prompt: string, system?: string, maxTokens?: number, temperature?: number }} request
+ * @returns {{ chunks: AsyncIterable<{ text?: string, usage?: Object }>, provider: string, model: string }}
+ */
+function streamText(feature, request) {
+  const { providerName, provider, model } = resolveProvider(feature);
+  const resolvedModel = model || provider.DEFAULT_MODELS.text;
+  return {
+    chunks: provider.streamText({ ...request, feature, model: resolvedModel }),
+    provider: providerName,
+    model: resolvedModel,
+  };
+}
+
+/**
+ * Identifies the embedding provider/model; stored next to vectors so a switch
+ * re-embeds instead of mixing vector spaces. Vertex keeps the bare model name
+ * existing data was written with.
+ */
+function getEmbeddingModelId() {
+  const { providerName, provider, model } = resolveProvider(FEATURES.EMBEDDINGS);
+  const resolvedModel = model || provider.DEFAULT_MODELS.embedding;
+  return providerName === 'vertex' ? resolvedModel : `${providerName}/${resolvedModel}`;
+}
+
+async function embedText(text, { taskType = 'RETRIEVAL_DOCUMENT' } = {}) {
+  const { providerName, provider, model } = resolveProvider(FEATURES.EMBEDDINGS);
+  const vector = await provider.embed({
+    text,
+    taskType,
+    model: model || provider.DEFAULT_MODELS.embedding,
+    dimensions: EMBEDDING_DIMENSIONS,
+  });
+  if (!Array.isArray(vector) || vector.length !== EMBEDDING_DIMENSIONS) {
+    throw new Error(`${providerName} returned a ${vector?.length}-dimension embedding; ${EMBEDDING_DIMENSIONS} is required.`);
+  }
+  return vector;
+}
+
+/**
+ * @param {string} prompt
+ * @param {{ seed?: number }} [options] - Providers without seed support ignore it
+ * @returns {Promise<{ dataUrl: string|null, usage: { inputTokens: number|null, outputImageTokens: number|null }, provider: string, model: string }>}
+ */
+async function generateImage(prompt, { seed } = {}) {
+  const { providerName, provider, model } = resolveProvider(FEATURES.IMAGE_GENERATION);
+  const resolvedModel = model || provider.DEFAULT_MODELS.image;
+  const result = await provider.generateImage({ prompt, seed, model: resolvedModel });
+  return { ...result, provider: providerName, model: resolvedModel };
+}
+
+module.exports = {
+  FEATURES,
+  EMBEDDING_DIMENSIONS,
+  PROVIDERS,
+  resolveProvider,
+  generateText,
+  streamText,
+  getEmbeddingModelId,
+  embedText,
+  generateImage,
+};
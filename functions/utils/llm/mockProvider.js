@@ -0,0 +1,172 @@
+// functions/utils/llm/mockProvider.js
+// Deterministic, network-free provider for the emulator and offline tests.
+// The same input always gives the same output, and each feature gets a reply
+// in the shape its caller parses (JSON arrays for chapter titles, etc.).
+// List replies only come back as JSON when the prompt asks for a "JSON array",
+// so prompt evals (scripts/eval-prompt.js) catch wording that drops it.
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const DEFAULT_MODELS = Object.freeze({
+  text: 'mock-text',
+  embedding: 'mock-embedding',
+  image: 'mock-image',
+});
+
+const MOCK_IMAGE_TOKENS = 1290;
+
+const MOCK_CHAPTER_TITLES = [
+  'Where It All Began',
+  'First Days Together',
+  'Little Milestones',
+  'Adventures and Outings',
+  'Family and Friends',
+  'Looking Ahead',
+];
+
+const MOCK_SUGGESTIONS = [
+  'Describe the first moment you remember here.',
+  'Who was there, and what did they say?',
+  'Capture the sounds and smells of the day.',
+  'Write about something that surprised you.',
+  'Note a small detail you never want to forget.',
+  'End with a wish for the future.',
+];
+
+const hashText = (text) => crypto.createHash('sha256').update(String(text || '')).digest();
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const excerpt = (text, length) => {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean.length > length ? `${clean.slice(0, length)}...` : clean;
+};
+
+// A model not told to answer in JSON tends to answer with a numbered list.
+const listReply = (prompt, items) => (
+  /JSON array/i.test(prompt)
+    ? JSON.stringify(items)
+    : items.map((item, index) => `${index + 1}. ${item}`).join('\n')
+);
+
+// Keyed by FEATURES in ./index.js; anything else gets the generic reply.
+const RESPONDERS = {
+  chapterGeneration: ({ prompt }) => listReply(prompt, MOCK_CHAPTER_TITLES),
+  chapterSuggestions: ({ prompt }) => listReply(prompt, MOCK_SUGGESTIONS),
+  chapterContent: ({ prompt }) => {
+    const idea = /^Idea for this page: "(.*)"$/m.exec(prompt)?.[1] || 'A new page';
+    return `## ${excerpt(idea, 80)}\n\nMock draft for this idea. [Add the details only you remember here.]\n\n### Looking back\n\nA short closing paragraph from the mock provider.`;
+  },
+  rewriteNote: ({ prompt }) => {
+    const source = /Text:\n"""([\s\S]*)"""\s*$/.exec(prompt)?.[1] || prompt;
+    const instruction = /^Instruction: (.*)\.$/m.exec(prompt)?.[1] || 'rewrite';
+    return `${excerpt(source, 600)} (mock rewrite: ${instruction})`;
+  },
+  summaries: ({ prompt }) => `Mock summary: ${excerpt(prompt.split('New Page Content:').pop(), 300)}`,
+  // Flags the first two pages so the review panel has something to show.
+  consistencyReview: ({ prompt }) => {
+    const pages = [...prompt.matchAll(/^\[(P\d+)\] .*\n(.*)$/gm)].slice(0, 2);
+    if (pages.length < 2) return '[]';
+    return JSON.stringify([{
+      type: 'other',
+      title: 'Mock review: compare these pages',
+      detail: 'The mock provider always flags the first two pages.',
+      suggestion: 'Read both pages and make sure they agree.',
+      pages: pages.map(([, ref, text]) => ({ ref, quote: text.split(' ').slice(0, 6).join(' ') })),
+    }]);
+  },
+};
+
+async function generateText({ feature, prompt, system, model }) {
+  const responder = RESPONDERS[feature];
+  const text = responder
+    ? responder({ prompt: String(prompt || ''), system })
+    : `Mock response ${hashText(`${system || ''}\n${prompt}`).toString('hex').slice(0, 12)} from ${model || DEFAULT_MODELS.text}.`;
+  return {
+    text,
+    usage: {
+      inputTokens: estimateTokens(`${system || ''}${prompt}`),
+      outputTokens: estimateTokens(text),
+    },
+  };
+}
+
+// The generateText reply, a word at a time; stops when `signal` aborts.
+async function* streamText(request) {
+  const { text, usage } = await generateText(request);
+  for (const word of text.match(/\S+\s*/g) || []) {
+    if (request.signal?.aborted) return;
+    yield { text: word };
+  }
+  yield { usage };
+}
+
+/**
+ * Hashed bag-of-words vector: texts sharing words are close, so vector
+ * search behaves sensibly against mock data.
+ */
+async function embed({ text, dimensions }) {
+  const vector = new Array(dimensions).fill(0);
+  String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean).forEach((word) => {
+    const digest = hashText(word);
+    const index = digest.readUInt32BE(0) % dimensions;
+    vector[index] += digest[4] & 1 ? 1 : -1;
+  });
+  if (vector.every((value) => value === 0)) vector[0] = 1;
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map((value) => value / norm);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+};
+
+// A small solid-colour PNG whose colour is derived from the prompt and seed.
+async function generateImage({ prompt, seed }) {
+  const size = 64;
+  const [r, g, b] = hashText(seed === undefined ? prompt : `${seed}\n${prompt}`);
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // truecolour RGB
+  const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array.from({ length: size }, () => [r, g, b]).flat())]);
+  const png = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(Array.from({ length: size }, () => row)))),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+  return {
+    dataUrl: `data:image/png;base64,${png.toString('base64')}`,
+    // What one Gemini image reports, so mock billing looks like the real thing.
+    usage: { inputTokens: estimateTokens(prompt), outputImageTokens: MOCK_IMAGE_TOKENS },
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  DEFAULT_MODELS,
+  generateText,
+  streamText,
+  embed,
+  generateImage,
+};
@@ -0,0 +1,117 @@
+// functions/utils/llm/openaiProvider.js
+// OpenAI and any OpenAI-compatible endpoint (Ollama, LM Studio, vLLM...).
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Registry name, e.g. 'openai' or 'ollama'
+ * @param {() => ({ apiKey?: string, baseURL?: string })} options.getConnection - Read at first use
+ * @param {{ text: string, embedding: string, image?: string }} options.defaultModels
+ * @param {boolean} [options.supportsImages]
+ */
+function createOpenAIProvider({ name, getConnection, defaultModels, supportsImages = false }) {
+  let client = null;
+
+  const getClient = () => {
+    if (client) return client;
+    const { apiKey, baseURL } = getConnection();
+    if (!apiKey && !baseURL) {
+      throw new Error(`${name} provider is not configured.`);
+    }
+    const OpenAI = require('openai');
+    client = new OpenAI({ apiKey: apiKey || name, ...(baseURL ? { baseURL } : {}) });
+    return client;
+  };
+
+  async function generateText({ prompt, system, model, maxTokens = 1024, temperature = 0.7 }) {
+    const response = await getClient().chat.completions.create({
+      model: model || defaultModels.text,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt },
+      ],
+      max_tokens: maxTokens,
+      temperature,
+    });
+    return {
+      text: response.choices?.[0]?.message?.content || '',
+      usage: {
+        inputTokens: response.usage?.prompt_tokens ?? null,
+        outputTokens: response.usage?.completion_tokens ?? null,
+      },
+    };
+  }
+
+  // Returning early from the iterator, or aborting `signal`, aborts the HTTP request.
+  async function* streamText({ prompt, system, model, maxTokens = 1024, temperature = 0.7, signal }) {
+    const stream = await getClient().chat.completions.create({
+      model: model || defaultModels.text,
+      messages: [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: prompt },
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
+
+    let usage = null;
+    for await (const chunk of stream) {
+      const text = chunk.choices?.[0]?.delta?.content;
+      if (chunk.usage) usage = chunk.usage;
+      if (text) yield { text };
+    }
+    yield {
+      usage: {
+        inputTokens: usage?.prompt_tokens ?? null,
+        outputTokens: usage?.completion_tokens ?? null,
+      },
+    };
+  }
+
+  async function embed({ text, model, dimensions }) {
+    const embeddingModel = model || defaultModels.embedding;
+    const response = await getClient().embeddings.create({
+      model: embeddingModel,
+      input: text,
+      // Only OpenAI's text-embedding-3 models can shorten their vectors.
+      ...(embeddingModel.startsWith('text-embedding-3') ? { dimensions } : {}),
+    });
+    return response.data[0].embedding;
+  }
+
+  // The images API has no seed; variations differ by sampling alone.
+  async function generateImage({ prompt, model }) {
+    if (!supportsImages) {
+      throw new Error(`${name} provider does not generate images.`);
+    }
+    const response = await getClient().images.generate({
+      model: model || defaultModels.image,
+      prompt,
+      n: 1,
+      size: '1024x1024',
+    });
+    const b64 = response.data?.[0]?.b64_json;
+    return {
+      dataUrl: b64 ? `data:image/png;base64,${b64}` : null,
+      usage: {
+        inputTokens: response.usage?.input_tokens ?? null,
+        outputImageTokens: response.usage?.output_tokens ?? null,
+      },
+    };
+  }
+
+  return {
+    name,
+    DEFAULT_MODELS: defaultModels,
+    getClient,
+    generateText,
+    streamText,
+    embed,
+    generateImage,
+  };
+}
+
+module.exports = {
+  createOpenAIProvider,
+};
@@ -0,0 +1,166 @@
+// functions/utils/llm/vertexProvider.js
+// Google models: Gemini text through Vertex AI, embeddings and images through
+// Genkit's Google AI plugin (the same models the app has always used).
+
+const PROJECT_ID = process.env.GCLOUD_PROJECT || process.env.GCP_PROJECT || 'airabook-dev';
+const LOCATION = 'us-central1';
+
+const DEFAULT_MODELS = Object.freeze({
+  text: 'gemini-2.5-flash',
+  embedding: 'text-embedding-004',
+  image: 'gemini-2.5-flash-image',
+});
+
+let vertex = null;
+let auth = null;
+const textModels = new Map();
+
+// Lazy init keeps module load quick (and network-free) during deploy discovery.
+const getTextModel = (modelName) => {
+  if (textModels.has(modelName)) {
+    return textModels.get(modelName);
+  }
+  if (!vertex) {
+    const { VertexAI } = require('@google-cloud/vertexai');
+    vertex = new VertexAI({ project: PROJECT_ID, location: LOCATION });
+  }
+  const model = vertex.getGenerativeModel({
+    model: modelName,
+    generationConfig: {
+      maxOutputTokens: 2048,
+      temperature: 0.7,
+      topP: 0.9,
+      topK: 40,
+    },
+  });
+  textModels.set(modelName, model);
+  return model;
+};
+
+async function generateText({ prompt, system, model, maxTokens = 1024, temperature = 0.7 }) {
+  const generativeModel = getTextModel(model || DEFAULT_MODELS.text);
+  const response = await generativeModel.generateContent({
+    ...(system ? { systemInstruction: { role: 'system', parts: [{ text: system }] } } : {}),
+    contents: [{ role: 'user', parts: [{ text: prompt }] }],
+    generationConfig: {
+      maxOutputTokens: maxTokens,
+      temperature,
+    },
+  });
+
+  const usage = response?.response?.usageMetadata || {};
+  return {
+    text: response?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '',
+    usage: {
+      inputTokens: usage.promptTokenCount ?? null,
+      outputTokens: usage.candidatesTokenCount ?? null,
+    },
+  };
+}
+
+const getAccessToken = () => {
+  if (!auth) {
+    const { GoogleAuth } = require('google-auth-library');
+    auth = new GoogleAuth({ scopes: 'https://www.googleapis.com/auth/cloud-platform' });
+  }
+  return auth.getAccessToken();
+};
+
+// The JSON payload of each `data:` line of a server-sent event stream.
+async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith('data:')) yield JSON.parse(line.slice(5));
+    }
+  }
+  if (buffer.startsWith('data:')) yield JSON.parse(buffer.slice(5));
+}
+
+// Streams over REST because the SDK cannot cancel a request: aborting
+// `signal`, or breaking out of the loop, closes the connection and the model
+// stops generating. Sampling matches getTextModel's defaults.
+async function* streamText({ prompt, system, model, maxTokens = 1024, temperature = 0.7, signal }) {
+  const modelName = model || DEFAULT_MODELS.text;
+  const response = await fetch(
+    `https://${LOCATION}-aiplatform.googleapis.com/v1/projects/${PROJECT_ID}/locations/${LOCATION}`
+      + `/publishers/google/models/${modelName}:streamGenerateContent?alt=sse`,
+    {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        ...(system ? { systemInstruction: { role: 'system', parts: [{ text: system }] } } : {}),
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: {
+          maxOutputTokens: maxTokens,
+          temperature,
+          topP: 0.9,
+          topK: 40,
+        },
+      }),
+      signal,
+    }
+  );
+  if (!response.ok) {
+    throw new Error(`Vertex AI stream failed with status ${response.status}: ${await response.text()}`);
+  }
+
+  let usage = {};
+  for await (const item of readSseData(response.body)) {
+    const text = (item?.candidates?.[0]?.content?.parts || []).map((part) => part?.text || '').join('');
+    if (item?.usageMetadata) usage = item.usageMetadata;
+    if (text) yield { text };
+  }
+  yield {
+    usage: {
+      inputTokens: usage.promptTokenCount ?? null,
+      outputTokens: usage.candidatesTokenCount ?? null,
+    },
+  };
+}
+
+async function embed({ text, model, taskType }) {
+  const { googleAI } = require('@genkit-ai/googleai');
+  const { ai } = require('../../genkitClient');
+  const result = await ai.embed({
+    embedder: googleAI.embedder(model || DEFAULT_MODELS.embedding),
+    content: text,
+    options: { taskType },
+  });
+  return result[0].embedding;
+}
+
+async function generateImage({ prompt, model, seed }) {
+  const { googleAI } = require('@genkit-ai/googleai');
+  const { ai } = require('../../genkitClient');
+  const response = await ai.generate({
+    model: googleAI.model(model || DEFAULT_MODELS.image),
+    prompt,
+    output: { format: 'media' },
+    ...(Number.isInteger(seed) ? { config: { seed } } : {}),
+  });
+  return {
+    dataUrl: response?.media?.url || response?.media?.[0]?.url || null,
+    usage: {
+      inputTokens: response?.usage?.inputTokens ?? null,
+      outputImageTokens: response?.usage?.outputTokens ?? null,
+    },
+  };
+}
+
+module.exports = {
+  name: 'vertex',
+  DEFAULT_MODELS,
+  getTextModel,
+  generateText,
+  streamText,
+  embed,
+  generateImage,
+};
@@ -0,0 +1,235 @@
+// functions/utils/promptEval.js
+// Offline A/B evaluation of prompt registry templates: renders a baseline and
+// a candidate template for every fixture, runs both through generateText
+// (use LLM_PROVIDER=mock for deterministic runs), checks each reply the way
+// its caller parses it and reports line diffs. Used by scripts/eval-prompt.js.
+
+const { FEATURES, generateText } = require('./llm');
+const {
+  PROMPT_IDS,
+  PROMPT_DEFINITIONS,
+  buildRewritePrompt,
+  buildChapterGenerationPrompt,
+  buildChapterSuggestionsPrompt,
+  buildChapterContentPrompt,
+  buildChapterSummaryPrompt,
+  extractChapterTitles,
+} = require('./prompts');
+
+const stripHtml = (html) => String(html || '').replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+const isStringList = (value) => (
+  Array.isArray(value) && value.length > 0 && value.every((item) => typeof item === 'string' && item.trim())
+);
+
+const chaptersOf = (fixtures) => (fixtures.books || []).flatMap((book) => (
+  (book.chapters || []).map((chapter) => ({ book, chapter }))
+));
+
+const pagesOf = (fixtures) => chaptersOf(fixtures).flatMap(({ book, chapter }) => (
+  (chapter.pages || []).map((page) => ({ book, chapter, page }))
+));
+
+/**
+ * Per prompt: the LLM feature it runs under, the cases a fixture set yields
+ * (`render(template)` builds the prompt exactly as the callable would) and
+ * `check(reply)`, which returns a problem string or null.
+ */
+const EVALUATORS = {
+  [PROMPT_IDS.REWRITE_NOTE]: {
+    feature: FEATURES.REWRITE_NOTE,
+    cases: (fixtures) => pagesOf(fixtures).map(({ chapter, page }) => ({
+      id: `${chapter.title} / ${page.name}`,
+      render: (template) => buildRewritePrompt(
+        page.html ? stripHtml(page.html) : page.text,
+        fixtures.rewriteInstruction,
+        { isHtml: Boolean(page.html), template }
+      ),
+    })),
+    check: (reply) => (reply.trim() ? null : 'Empty rewrite.'),
+  },
+  [PROMPT_IDS.CHAPTER_TITLES]: {
+    feature: FEATURES.CHAPTER_GENERATION,
+    cases: (fixtures) => (fixtures.books || []).map((book) => ({
+      id: book.title,
+      render: (template) => buildChapterGenerationPrompt(book.title, book.idea, { template }),
+    })),
+    check: (reply) => {
+      try {
+        return isStringList(extractChapterTitles(reply)) ? null : 'extractChapterTitles did not return chapter titles.';
+      } catch (error) {
+        return `extractChapterTitles failed: ${error.message}`;
+      }
+    },
+  },
+  [PROMPT_IDS.CHAPTER_SUGGESTIONS]: {
+    feature: FEATURES.CHAPTER_SUGGESTIONS,
+    cases: (fixtures) => chaptersOf(fixtures).map(({ book, chapter }) => ({
+      id: `${book.title} / ${chapter.title}`,
+      render: (template) => buildChapterSuggestionsPrompt({
+        bookTitle: book.title,
+        chapterTitle: chapter.title,
+        chapterDescription: chapter.description || 'Untitled Chapter',
+        isBabyJournal: book.creationType === 0,
+        template,
+      }),
+    })),
+    check: (reply) => {
+      try {
+        const parsed = JSON.parse(reply.replace(/```json|```/g, '').trim());
+        return isStringList(parsed) ? null : 'Reply is not a JSON array of strings.';
+      } catch (error) {
+        return 'Reply is not JSON.';
+      }
+    },
+  },
+  [PROMPT_IDS.CHAPTER_CONTENT]: {
+    feature: FEATURES.CHAPTER_CONTENT,
+    cases: (fixtures) => pagesOf(fixtures).map(({ book, chapter, page }) => ({
+      id: `${chapter.title} / ${page.name}`,
+      render: (template) => buildChapterContentPrompt({
+        instruction: page.name,
+        bookTitle: book.title,
+        chapterTitle: chapter.title,
+        chapterDescription: chapter.description,
+        chapterSummary: chapter.chapterSummary,
+        template,
+      }),
+    })),
+    check: (reply) => (/^## \S/.test(reply.trim()) ? null : 'Draft does not start with a "## " title.'),
+  },
+  [PROMPT_IDS.CHAPTER_SUMMARY]: {
+    feature: FEATURES.SUMMARIES,
+    cases: (fixtures) => pagesOf(fixtures).map(({ chapter, page }) => ({
+      id: `${chapter.title} / ${page.name}`,
+      render: (template) => buildChapterSummaryPrompt({
+        newPageContent: page.html ? stripHtml(page.html) : page.text,
+        previousSummary: chapter.chapterSummary,
+        chapterTitle: chapter.title,
+        template,
+      }),
+    })),
+    check: (reply) => (reply.trim() ? null : 'Empty summary.'),
+  },
+};
+
+/**
+ * Line diff of two texts (longest common subsequence): unchanged lines are
+ * dropped, removed ones start with "- " and added ones with "+ ".
+ * @returns {string[]} Empty when the texts are equal
+ */
+function diffLines(before, after) {
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i += 1;
+      j += 1;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      lines.push(`- ${a[i]}`);
+      i += 1;
+    } else {
+      lines.push(`+ ${b[j]}`);
+      j += 1;
+    }
+  }
+  return lines;
+}
+
+const runTemplate = async (evaluator, testCase, template) => {
+  const prompt = testCase.render(template);
+  try {
+    const { text } = await generateText(evaluator.feature, { prompt });
+    const output = String(text || '');
+    return { prompt, output, problem: evaluator.check(output) };
+  } catch (error) {
+    return { prompt, output: '', problem: `Generation failed: ${error.message}` };
+  }
+};
+
+/**
+ * Run `candidate` against `baseline` (default: the built-in template) for
+ * every case the fixtures yield for `promptId`. A regression is a case the
+ * baseline passes and the candidate fails.
+ * @param {Object} params
+ * @param {string} params.promptId - One of PROMPT_IDS
+ * @param {string} params.candidate - Template under test
+ * @param {string} [params.baseline] - Template to compare against
+ * @param {Object} params.fixtures - See tests/fixtures/prompt-eval-pages.json
+ */
+async function evaluatePromptVersions({ promptId, candidate, baseline, fixtures }) {
+  const evaluator = EVALUATORS[promptId];
+  if (!evaluator) {
+    throw new Error(`Unknown prompt "${promptId}".`);
+  }
+  const baselineTemplate = baseline || PROMPT_DEFINITIONS[promptId].template;
+
+  const cases = [];
+  for (const testCase of evaluator.cases(fixtures || {})) {
+    const before = await runTemplate(evaluator, testCase, baselineTemplate);
+    const after = await runTemplate(evaluator, testCase, candidate);
+    cases.push({
+      id: testCase.id,
+      baseline: before,
+      candidate: after,
+      regression: !before.problem && Boolean(after.problem),
+      promptDiff: diffLines(before.prompt, after.prompt),
+      outputDiff: diffLines(before.output, after.output),
+    });
+  }
+
+  return {
+    promptId,
+    cases,
+    summary: {
+      cases: cases.length,
+      baselinePassed: cases.filter((item) => !item.baseline.problem).length,
+      candidatePassed: cases.filter((item) => !item.candidate.problem).length,
+      regressions: cases.filter((item) => item.regression).length,
+      changedOutputs: cases.filter((item) => item.outputDiff.length).length,
+    },
+  };
+}
+
+/**
+ * Plain-text report: a summary line, then each case whose prompt or output
+ * changed or whose candidate failed, with its diffs.
+ */
+function formatReport(report) {
+  const { summary } = report;
+  const lines = [
+    `Prompt "${report.promptId}": ${summary.cases} cases, baseline passed ${summary.baselinePassed}, `
+      + `candidate passed ${summary.candidatePassed}, ${summary.regressions} regression(s), `
+      + `${summary.changedOutputs} changed output(s).`,
+  ];
+
+  report.cases.forEach((item) => {
+    if (!item.promptDiff.length && !item.outputDiff.length && !item.candidate.problem) return;
+    const status = item.regression ? 'REGRESSION' : item.candidate.problem ? 'FAIL' : 'ok';
+    lines.push('', `[${status}] ${item.id}`);
+    if (item.candidate.problem) lines.push(`  ${item.candidate.problem}`);
+    if (item.promptDiff.length) {
+      lines.push('  Prompt diff:', ...item.promptDiff.map((line) => `    ${line}`));
+    }
+    if (item.outputDiff.length) {
+      lines.push('  Output diff:', ...item.outputDiff.map((line) => `    ${line}`));
+    }
+  });
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  evaluatePromptVersions,
+  formatReport,
+};
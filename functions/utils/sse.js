@@ -13,12 +13,24 @@ const sendEvent = (res, event, payload) => {
   res.write(`data: ${JSON.stringify(payload)}\n\n`);
 };
 
-const attachCloseHandler = (req) => {
-  let isClosed = false;
-  req.on('close', () => {
-    isClosed = true;
-  });
-  return () => isClosed;
+// Pass `res` as well where possible: on current Node versions `req` emits
+// 'close' as soon as its body has been read, while `res` closing before it
+// has ended means the client went away. The returned check also carries a
+// `signal` that aborts at that moment, for cancelling upstream requests.
+const attachCloseHandler = (req, res) => {
+  const controller = new AbortController();
+  if (res) {
+    res.on('close', () => {
+      if (!res.writableEnded) controller.abort();
+    });
+  } else {
+    req.on('close', () => {
+      controller.abort();
+    });
+  }
+  const isClosed = () => controller.signal.aborted;
+  isClosed.signal = controller.signal;
+  return isClosed;
 };
 
 module.exports = {
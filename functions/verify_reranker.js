@@ -1,59 +1,65 @@
-const { queryBookFlow } = require('./genkit');
-const admin = require('firebase-admin');
+// Offline check for the book Q&A ranking pieces: BM25 keyword scoring,
+// reciprocal rank fusion with a (simulated) vector ranking, and parsing of
+// the reranker's reply. No emulator or model calls needed:
+//   node verify_reranker.js
+const assert = require('assert');
+const { tokenize, scoreBm25, reciprocalRankFusion } = require('./services/searchIndexService');
+const { parseRerankScores } = require('./flows/queryBookFlow');
 
-// Initialize admin if not already
-if (!admin.apps.length) {
-    admin.initializeApp({
-        projectId: 'demo-project', // Use demo project for emulator
+const PAGES = [
+    { id: 'tooth', chapterId: 'firsts', text: 'First tooth! Aira bit Grandma Sita on the finger at six months.' },
+    { id: 'walk', chapterId: 'firsts', text: 'She took her first steps across the living room in March 2021.' },
+    { id: 'park', chapterId: 'outings', text: 'A sunny afternoon at the park with Dad, swings and ice cream.' },
+    { id: 'visit', chapterId: 'family', text: 'Grandma Sita visited from Kathmandu and cooked dal bhat for everyone.' },
+];
+
+// Same shape as books/{bookId}/searchTerms/{term}.postings
+function buildPostings(pages) {
+    const postings = {};
+    pages.forEach((page) => {
+        const tokens = tokenize(page.text);
+        tokens.forEach((term) => {
+            postings[term] = postings[term] || {};
+            const current = postings[term][page.id];
+            postings[term][page.id] = { chapterId: page.chapterId, tf: (current?.tf || 0) + 1, len: tokens.length };
+        });
     });
+    return postings;
+}
+
+function keywordRanking(query, postings) {
+    const totalLength = PAGES.reduce((sum, page) => sum + tokenize(page.text).length, 0);
+    const scores = scoreBm25(
+        [...new Set(tokenize(query))].map((term) => postings[term]),
+        { docCount: PAGES.length, avgLength: totalLength / PAGES.length }
+    );
+    return [...scores.entries()].sort((a, b) => b[1].score - a[1].score).map(([pageId]) => pageId);
 }
 
-async function verifyReranker() {
-    try {
-        console.log("Starting reranker verification...");
-
-        // Mock request data
-        const mockRequest = {
-            auth: {
-                uid: 'test-user-id', // Replace with a valid user ID from your emulator data if needed
-            },
-            data: {
-                messages: [
-                    { role: 'user', content: 'What is the main character doing?' }
-                ]
-            }
-        };
-
-        // Call the function directly (since we are in the same environment/codebase)
-        // Note: In a real scenario, we might use the callable function client SDK, 
-        // but here we can import and call the wrapper if we mock the context correctly.
-        // However, `onCall` wraps it. 
-        // A better approach for local verification of the *logic* is to invoke the `queryBookFlowRaw` if it was exported,
-        // or use the Genkit CLI tools. 
-        // But since we modified the file, let's try to invoke the exported `queryBookFlow` handler.
-
-        // Actually, `onCall` returns a function that takes (req, res) in v2? 
-        // Or it returns a function that handles the protocol.
-        // Let's try to use the Genkit developer UI or a simple script that uses the `genkit` CLI if available.
-
-        // Alternative: We can't easily invoke the `onCall` wrapped function directly as a JS function without the Firebase shim.
-        // So, we will assume the emulator is running and use `node-fetch` or similar to hit the endpoint?
-        // Or better, just use the `ai.runFlow` if we can access the flow object.
-
-        // Let's look at `genkit.js` again. `queryBookFlowRaw` is not exported.
-        // I will temporarily export `queryBookFlowRaw` in `genkit.js` for testing purposes if needed, 
-        // but for now let's try to use the `run_command` to invoke a curl or similar if the emulator is up.
-
-        // Wait, I can just use the `firebase-functions-test` library if available, but I don't see it in the file list.
-
-        // Let's try to just run a script that imports the file. 
-        // But `genkit` initialization might fail if not in the right environment.
-
-        console.log("Please manually verify by running the app or using the Genkit Developer UI.");
-
-    } catch (error) {
-        console.error("Verification failed:", error);
-    }
+function verifyReranker() {
+    const postings = buildPostings(PAGES);
+
+    assert.deepStrictEqual(tokenize('Grandma Sitá, the 1st & 2 teeth!'), ['grandma', 'sita', '1st', '2', 'teeth']);
+
+    const sita = keywordRanking('When did Grandma Sita visit?', postings);
+    assert.deepStrictEqual(sita.slice(0, 2).sort(), ['tooth', 'visit']);
+    assert.strictEqual(sita[0], 'visit', 'the page naming both "visit" and "Grandma Sita" ranks first');
+
+    const tooth = keywordRanking('first tooth', postings);
+    assert.strictEqual(tooth[0], 'tooth');
+
+    // The embedding misses the exact phrase; fusion still brings the page up.
+    const vector = ['park', 'walk', 'tooth'];
+    const fused = reciprocalRankFusion([vector, tooth]).map(({ key }) => key);
+    assert.strictEqual(fused[0], 'tooth');
+    assert.ok(fused.includes('park'), 'vector-only hits are kept');
+
+    assert.deepStrictEqual(parseRerankScores('Scores: [8, 2, 0]', 3), [8, 2, 0]);
+    assert.deepStrictEqual(parseRerankScores('```json\n[9,"4"]\n```', 2), [9, 4]);
+    assert.strictEqual(parseRerankScores('[8, 2]', 3), null);
+    assert.strictEqual(parseRerankScores('eight', 1), null);
+
+    console.log('✅ Reranker checks passed');
 }
 
 verifyReranker();
@@ -10,6 +10,8 @@ import AiraHome from '@/pages/AiraHome';
 import Login from '@/pages/Login';
 import Signup from '@/pages/Signup';
 import ForgotPassword from '@/pages/ForgotPassword';
+import AcceptInvite from '@/pages/AcceptInvite';
+import SharedBookView from '@/pages/SharedBookView';
 import Dashboard from '@/pages/Dashboard';
 import Books from '@/pages/Books';
 import Notifications from '@/pages/Notifications';
@@ -62,6 +64,8 @@ function App() {
             <Route path="/signup" element={<MarketingLayout><Signup /></MarketingLayout>} />
             <Route path="/login" element={<MarketingLayout><Login /></MarketingLayout>} />
             <Route path="/forgot-password" element={<MarketingLayout><ForgotPassword /></MarketingLayout>} />
+            <Route path="/invite" element={<MarketingLayout><AcceptInvite /></MarketingLayout>} />
+            <Route path="/share/:token" element={<MarketingLayout><SharedBookView /></MarketingLayout>} />
 
             {/* Authenticated app routes */}
             <Route
@@ -90,13 +90,15 @@ const BlockEditor = forwardRef(
       onMediaRequest, // NEW: callback when /media command is triggered
       onGenImageRequest, // NEW: callback when /genimg command is triggered
       readOnly = false,
+      collaboration = null, // live co-editing: { provider, fragment, user } from usePageCollaboration
     },
     ref
   ) => {
-    // Create editor instance
+    // Create editor instance. In live mode the content comes from the shared Yjs doc.
     const editor = useCreateBlockNote({
       initialContent: undefined, // We'll handle initial content manually
-    });
+      ...(collaboration ? { collaboration } : {}),
+    }, [collaboration]);
 
     const [isLoaded, setIsLoaded] = useState(false);
 
@@ -603,7 +605,9 @@ const BlockEditor = forwardRef(
       if (editor && !isLoaded) {
         const loadContent = async () => {
           // Prefer blocks if provided, fallback to HTML.
-          if (Array.isArray(initialBlocks)) {
+          if (collaboration) {
+            // Already loaded (and seeded) through the collaboration provider.
+          } else if (Array.isArray(initialBlocks)) {
             suppressChangeRef.current = true;
             // Ensure at least one empty paragraph block exists for the editor to be interactive
             const cleanedInitialBlocks = sanitizeBlocks(initialBlocks);
@@ -622,12 +626,18 @@ const BlockEditor = forwardRef(
         };
         loadContent();
       }
-    }, [editor, initialContent, initialBlocks, isLoaded, sanitizeBlocks]);
+    }, [editor, initialContent, initialBlocks, isLoaded, sanitizeBlocks, collaboration]);
 
     // Handle changes
-    const handleChange = async () => {
+    const handleChange = async (_editor, context) => {
       if (!editor || !isLoaded) return;
       if (suppressChangeRef.current) return;
+      // Co-author edits arrive through the shared doc; only this author's own
+      // edits should mark the page dirty or trigger reflow.
+      if (collaboration) {
+        const changes = context?.getChanges?.() || [];
+        if (changes.length > 0 && changes.every((change) => change.source?.type === 'yjs-remote')) return;
+      }
       const safeBlocks = sanitizeBlocks(editor.document);
 
       if (onBlocksChange) {
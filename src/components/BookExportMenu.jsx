@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { Download, FileText, BookOpen, Archive, Loader2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { bookExportApi } from '@/services/bookExportApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+
+const EXPORT_FORMATS = [
+  {
+    id: 'pdf',
+    label: 'Print-ready PDF',
+    icon: FileText,
+    run: (bookId) => bookExportApi.exportBookPdf({ bookId }),
+    describe: (result) => `${result?.pageCount || 0} pages exported.`,
+  },
+  {
+    id: 'epub',
+    label: 'EPUB for e-readers',
+    icon: BookOpen,
+    run: (bookId) => bookExportApi.exportBookEpub({ bookId }),
+    describe: (result) => `${result?.chapterCount || 0} chapters exported.`,
+  },
+  {
+    id: 'backup',
+    label: 'Full backup (.zip)',
+    icon: Archive,
+    ownerOnly: true,
+    run: (bookId) => bookExportApi.exportBookBackup({ bookId }),
+    describe: (result) => `${result?.pageCount || 0} pages and ${result?.mediaCount || 0} media files backed up.`
+      + (result?.missingMedia ? ` ${result.missingMedia} missing file(s) were skipped.` : ''),
+  },
+];
+
+const BookExportMenu = ({ bookId, isOwner = false, className = '', iconClassName = 'h-3 w-3' }) => {
+  const { toast } = useToast();
+  const [exportingFormat, setExportingFormat] = useState(null);
+
+  const handleExport = async (format) => {
+    if (exportingFormat) return;
+    setExportingFormat(format.id);
+    try {
+      const result = await format.run(bookId);
+      if (result?.url) {
+        window.open(result.url, '_blank', 'noopener');
+      }
+      const skipped = result?.skippedImages
+        ? ` ${result.skippedImages} image(s) could not be included.`
+        : '';
+      toast({
+        title: `${format.label} ready`,
+        description: `${format.describe(result)}${skipped}`,
+      });
+    } catch (error) {
+      console.error(`Error exporting ${format.id}:`, error);
+      toast({
+        title: 'Export failed',
+        description: getCallableErrorMessage(error, 'Could not export this book. Please try again.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setExportingFormat(null);
+    }
+  };
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button
+          variant="outline"
+          disabled={!!exportingFormat}
+          title="Download this book"
+          className={`flex items-center gap-2 ${className}`}
+        >
+          {exportingFormat ? <Loader2 className={`${iconClassName} animate-spin`} /> : <Download className={iconClassName} />}
+          {exportingFormat ? 'Exporting...' : 'Export'}
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-48">
+        {EXPORT_FORMATS.filter((format) => isOwner || !format.ownerOnly).map((format) => {
+          const Icon = format.icon;
+          return (
+            <DropdownMenuItem
+              key={format.id}
+              onClick={() => handleExport(format)}
+              className="cursor-pointer"
+            >
+              <Icon className="mr-2 h-4 w-4" />
+              <span>{format.label}</span>
+            </DropdownMenuItem>
+          );
+        })}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  );
+};
+
+export default BookExportMenu;
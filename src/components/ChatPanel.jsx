@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { ImagePlus, Sparkles, Send } from 'lucide-react';
@@ -12,6 +13,7 @@ import {
   buildUiActionStateKey,
 } from '@/lib/chatUiEvents';
 import { executeChatUiAction } from '@/services/chatUiActionService';
+import { getSourceLabel, getSourcePath } from '@/lib/chatSources';
 import StreamUiCards from '@/components/chat/StreamUiCards';
 
 const appendStreamingText = (currentText, nextText) => `${currentText || ''}${nextText || ''}`;
@@ -485,9 +487,18 @@ const ChatPanel = ({
                 <div className="mt-2 pt-2 border-t border-border/20 text-xs opacity-80">
                   <p className="font-semibold mb-1">Sources:</p>
                   <ul className="list-disc pl-4 space-y-0.5">
-                    {msg.sources.map((source, idx) => (
-                      <li key={idx}>{source.shortNote}</li>
-                    ))}
+                    {msg.sources.map((source, idx) => {
+                      const sourcePath = getSourcePath(source);
+                      return (
+                        <li key={idx} title={source.chapterTitle || undefined}>
+                          {sourcePath ? (
+                            <Link to={sourcePath} className="underline-offset-2 hover:underline">
+                              {getSourceLabel(source)}
+                            </Link>
+                          ) : getSourceLabel(source)}
+                        </li>
+                      );
+                    })}
                   </ul>
                 </div>
               )}
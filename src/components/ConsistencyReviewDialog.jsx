@@ -0,0 +1,155 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { FileText, ListChecks, Loader2, RefreshCw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription
+} from '@/components/ui/dialog';
+import { consistencyReviewApi } from '@/services/consistencyReviewApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+import { getSourcePath } from '@/lib/chatSources';
+
+const ISSUE_TYPE_LABELS = {
+  date: 'Date',
+  age: 'Age',
+  name: 'Name',
+  timeline_gap: 'Timeline gap',
+  duplicate_story: 'Duplicate story',
+  other: 'Other',
+};
+
+const formatReviewedAt = (value) => (
+  value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : ''
+);
+
+/**
+ * Editors' book-wide AI review: conflicting dates, ages and names, timeline
+ * gaps and duplicated stories, each linking to the pages involved.
+ */
+const ConsistencyReviewDialog = ({ bookId, className = '', iconClassName = 'h-3 w-3' }) => {
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [review, setReview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [running, setRunning] = useState(false);
+
+  const loadReview = useCallback(async ({ refresh = false } = {}) => {
+    if (!bookId) return;
+    const setBusy = refresh ? setRunning : setLoading;
+    setBusy(true);
+    try {
+      const result = await consistencyReviewApi.reviewBookConsistency({ bookId, refresh });
+      setReview(result?.review || null);
+    } catch (error) {
+      console.error('Consistency review failed:', error);
+      toast({
+        title: 'Review failed',
+        description: getCallableErrorMessage(error, 'Could not review this book.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setBusy(false);
+    }
+  }, [bookId, toast]);
+
+  useEffect(() => {
+    if (open) loadReview();
+  }, [open, loadReview]);
+
+  const openPage = (page) => {
+    const path = getSourcePath({ ...page, id: page.pageId });
+    if (!path) return;
+    setOpen(false);
+    navigate(path);
+  };
+
+  const issues = review?.issues || [];
+
+  return (
+    <>
+      <Button
+        variant="outline"
+        onClick={() => setOpen(true)}
+        title="Check the book for conflicting details"
+        className={`flex items-center gap-2 ${className}`}
+      >
+        <ListChecks className={iconClassName} />
+        Review
+      </Button>
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Consistency review</DialogTitle>
+            <DialogDescription>
+              AI reads every chapter and page for conflicting dates, ages and names, timeline gaps and stories told twice.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="flex items-center justify-between gap-3">
+            <p className="text-xs text-muted-foreground">
+              {review?.reviewedAt
+                ? `Last reviewed ${formatReviewedAt(review.reviewedAt)} · ${review.pagesReviewed} page${review.pagesReviewed === 1 ? '' : 's'}`
+                : 'This book has not been reviewed yet.'}
+            </p>
+            <Button size="sm" variant="appPrimary" onClick={() => loadReview({ refresh: true })} disabled={running || loading}>
+              {running ? <Loader2 className="h-3 w-3 mr-1 animate-spin" /> : <RefreshCw className="h-3 w-3 mr-1" />}
+              {review ? 'Review again' : 'Run review'}
+            </Button>
+          </div>
+          {review?.truncated && (
+            <p className="text-xs text-amber-700">
+              This book is long, so the last pages were not included in the review.
+            </p>
+          )}
+
+          <div className="max-h-[60vh] overflow-y-auto space-y-3">
+            {loading || running ? (
+              <div className="flex items-center justify-center py-10 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                {running ? 'Reviewing the book...' : 'Loading review...'}
+              </div>
+            ) : !review ? null : issues.length === 0 ? (
+              <p className="py-8 text-center text-sm text-muted-foreground">No inconsistencies found.</p>
+            ) : issues.map((issue) => (
+              <div key={issue.id} className="rounded-md border border-border p-3 space-y-2">
+                <div className="flex items-start gap-2">
+                  <span className="shrink-0 rounded-full bg-app-iris/10 px-2 py-0.5 text-[11px] font-medium text-app-iris">
+                    {ISSUE_TYPE_LABELS[issue.type] || ISSUE_TYPE_LABELS.other}
+                  </span>
+                  <p className="text-sm font-medium text-foreground">{issue.title}</p>
+                </div>
+                {issue.detail && <p className="text-sm text-muted-foreground">{issue.detail}</p>}
+                {issue.suggestion && (
+                  <p className="text-sm text-foreground"><span className="font-medium">Fix: </span>{issue.suggestion}</p>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {issue.pages.map((page) => (
+                    <button
+                      key={page.pageId}
+                      type="button"
+                      onClick={() => openPage(page)}
+                      className="flex max-w-full items-start gap-1.5 rounded-md border border-border px-2 py-1 text-left text-xs hover:border-app-iris/60 hover:bg-app-iris/5"
+                      title="Open this page"
+                    >
+                      <FileText className="mt-0.5 h-3 w-3 shrink-0 text-app-iris" />
+                      <span className="min-w-0">
+                        <span className="block truncate font-medium text-foreground">
+                          {page.chapterTitle} · {page.pageName || 'Untitled page'}
+                        </span>
+                        {page.quote && <span className="block truncate text-muted-foreground">“{page.quote}”</span>}
+                      </span>
+                    </button>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default ConsistencyReviewDialog;
@@ -0,0 +1,202 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Check, Copy, Loader2, Merge } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription
+} from '@/components/ui/dialog';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
+import { convertToEmulatorURL } from '@/lib/pageUtils';
+import { mediaDuplicateApi } from '@/services/mediaDuplicateApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+
+const GROUP_KINDS = [
+  { key: 'exact', title: 'Identical copies', hint: 'The same file uploaded more than once.' },
+  { key: 'near', title: 'Look alike', hint: 'Resized or recompressed versions, or shots taken moments apart.' },
+];
+
+const groupId = (kind, group) => `${kind}:${group[0].storagePath}`;
+
+// Keep the copy already on the most pages, then the oldest
+const defaultKeep = (group) => [...group]
+  .sort((a, b) => (b.usedInCount || 0) - (a.usedInCount || 0))[0].storagePath;
+
+const describeItem = (item) => {
+  const date = item.capturedAt || item.uploadedAt;
+  return [
+    date ? new Date(date.slice(0, 19)).toLocaleDateString(undefined, { dateStyle: 'medium' }) : null,
+    item.usedInCount ? `on ${item.usedInCount} page${item.usedInCount === 1 ? '' : 's'}` : null,
+  ].filter(Boolean).join(' · ');
+};
+
+/**
+ * Review duplicate photos in an album and merge each group into the copy to
+ * keep. Pages that showed a merged copy show the kept one afterwards.
+ */
+const DuplicateReviewDialog = ({ albumId, disabled = false, onMerged, className = '' }) => {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [groups, setGroups] = useState(null);
+  const [keep, setKeep] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [mergingId, setMergingId] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    if (!albumId) return;
+    setLoading(true);
+    try {
+      const result = await mediaDuplicateApi.listDuplicateMedia({ albumId });
+      setGroups({ exact: result?.exact || [], near: result?.near || [] });
+      setKeep({});
+    } catch (error) {
+      console.error('Listing duplicates failed:', error);
+      toast({
+        title: 'Could not find duplicates',
+        description: getCallableErrorMessage(error, 'Could not check this album for duplicates.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [albumId, toast]);
+
+  useEffect(() => {
+    if (open) loadGroups();
+  }, [open, loadGroups]);
+
+  const mergeGroup = async (kind, group) => {
+    const id = groupId(kind, group);
+    const keepStoragePath = keep[id] || defaultKeep(group);
+    const mergeStoragePaths = group.map((item) => item.storagePath).filter((path) => path !== keepStoragePath);
+    setMergingId(id);
+    try {
+      const result = await mediaDuplicateApi.mergeDuplicateMedia({ albumId, keepStoragePath, mergeStoragePaths });
+      const merged = new Set(result?.merged || []);
+      setGroups((prev) => {
+        const without = (list) => list
+          .map((entry) => entry.filter((item) => !merged.has(item.storagePath)))
+          .filter((entry) => entry.length > 1);
+        return { exact: without(prev.exact), near: without(prev.near) };
+      });
+      onMerged?.([...merged]);
+      toast({
+        title: 'Duplicates merged',
+        description: result?.pagesUpdated
+          ? `${result.pagesUpdated} page${result.pagesUpdated === 1 ? '' : 's'} now show the kept photo.`
+          : undefined,
+      });
+    } catch (error) {
+      console.error('Merging duplicates failed:', error);
+      toast({
+        title: 'Merge failed',
+        description: getCallableErrorMessage(error, 'Could not merge these photos.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setMergingId(null);
+    }
+  };
+
+  const total = groups ? groups.exact.length + groups.near.length : 0;
+
+  return (
+    <>
+      <Button
+        variant="outline"
+        size="sm"
+        onClick={() => setOpen(true)}
+        disabled={disabled}
+        title="Find photos uploaded more than once"
+        className={className}
+      >
+        <Copy className="mr-2 h-3.5 w-3.5" />
+        Review duplicates
+      </Button>
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>Duplicate photos</DialogTitle>
+            <DialogDescription>
+              Pick the photo to keep in each group. The others are deleted, and pages that used them show the kept photo instead.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="max-h-[65vh] overflow-y-auto space-y-6">
+            {loading ? (
+              <div className="flex items-center justify-center py-10 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Looking for duplicates...
+              </div>
+            ) : !groups ? null : total === 0 ? (
+              <p className="py-8 text-center text-sm text-muted-foreground">No duplicate photos in this album.</p>
+            ) : GROUP_KINDS.filter(({ key }) => groups[key].length > 0).map(({ key: kind, title, hint }) => (
+              <section key={kind} className="space-y-3">
+                <div>
+                  <h3 className="text-sm font-semibold text-foreground">{title}</h3>
+                  <p className="text-xs text-muted-foreground">{hint}</p>
+                </div>
+                {groups[kind].map((group) => {
+                  const id = groupId(kind, group);
+                  const kept = keep[id] || defaultKeep(group);
+                  return (
+                    <div key={id} className="rounded-md border border-border p-3 space-y-3">
+                      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+                        {group.map((item) => {
+                          const selected = item.storagePath === kept;
+                          return (
+                            <button
+                              key={item.storagePath}
+                              type="button"
+                              onClick={() => setKeep((prev) => ({ ...prev, [id]: item.storagePath }))}
+                              className={`relative text-left rounded-md border-2 overflow-hidden ${selected ? 'border-app-iris' : 'border-transparent hover:border-app-iris/40'}`}
+                              title={selected ? 'Keeping this photo' : 'Keep this photo instead'}
+                            >
+                              <div className="aspect-square bg-gray-100">
+                                <ResponsiveImage
+                                  src={convertToEmulatorURL(item.url)}
+                                  width={item.width}
+                                  renditions={item.renditions}
+                                  sizes="160px"
+                                  alt={item.name}
+                                  className="w-full h-full object-cover"
+                                />
+                              </div>
+                              {selected && (
+                                <span className="absolute top-1.5 right-1.5 rounded-full bg-app-iris p-1 text-white">
+                                  <Check className="h-3 w-3" />
+                                </span>
+                              )}
+                              <span className="block truncate px-1.5 pt-1 text-xs font-medium text-foreground">{item.name}</span>
+                              <span className="block truncate px-1.5 pb-1 text-[11px] text-muted-foreground">
+                                {describeItem(item) || ' '}
+                              </span>
+                            </button>
+                          );
+                        })}
+                      </div>
+                      <div className="flex justify-end">
+                        <Button
+                          size="sm"
+                          variant="appPrimary"
+                          onClick={() => mergeGroup(kind, group)}
+                          disabled={Boolean(mergingId)}
+                        >
+                          {mergingId === id
+                            ? <Loader2 className="h-3 w-3 mr-1 animate-spin" />
+                            : <Merge className="h-3 w-3 mr-1" />}
+                          Keep selected, remove {group.length - 1}
+                        </Button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </section>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default DuplicateReviewDialog;
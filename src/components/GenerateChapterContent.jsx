@@ -1,14 +1,20 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { httpsCallable } from 'firebase/functions';
-import { RefreshCw } from 'lucide-react';
+import { PenLine, RefreshCw, Square } from 'lucide-react';
 import { functions } from '@/lib/firebase';
 import { useAuth } from '@/context/AuthContext';
+import { useToast } from '@/components/ui/use-toast';
+import { aiTextStreamApi, isAbortError } from '@/services/aiTextStreamApi';
 
-const GenerateChapterContent = ({ bookId, chapterId, onSuggestionSelect }) => {
+const GenerateChapterContent = ({ bookId, chapterId, onSuggestionSelect, onPageCreated }) => {
   const { user } = useAuth();
+  const { toast } = useToast();
   const [suggestions, setSuggestions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
+  // Page being drafted from a suggestion: { suggestion, text, streaming }
+  const [draft, setDraft] = useState(null);
+  const draftAbortRef = useRef(null);
   const inFlightKeyRef = useRef(null);
   const lastCompletedKeyRef = useRef('');
   const requestIdRef = useRef(0);
@@ -101,6 +107,43 @@ const GenerateChapterContent = ({ bookId, chapterId, onSuggestionSelect }) => {
     }
   }, [bookId, chapterId, user?.uid, readCachedSuggestions, writeCachedSuggestions]);
 
+  // Streams a page for the suggestion; a finished draft is saved as the chapter's next page.
+  const draftPage = useCallback(async (suggestion) => {
+    if (!bookId || !chapterId || draftAbortRef.current) return;
+    const controller = new AbortController();
+    draftAbortRef.current = controller;
+    setDraft({ suggestion, text: '', streaming: true });
+    try {
+      const result = await aiTextStreamApi.generateChapterContent({
+        bookId,
+        chapterId,
+        prompt: suggestion,
+        signal: controller.signal,
+        onChunk: (_, soFar) => setDraft((current) => (current ? { ...current, text: soFar } : current)),
+      });
+      setDraft(null);
+      if (result.pageId) {
+        toast({ title: 'Page added', description: 'The draft was saved as a new page in this chapter.' });
+        onPageCreated?.({ pageId: result.pageId });
+      }
+    } catch (err) {
+      setDraft(null);
+      if (!isAbortError(err)) {
+        console.error('Chapter content generation failed:', err);
+        toast({ title: 'Could not write the page', description: err.message, variant: 'destructive' });
+      }
+    } finally {
+      if (draftAbortRef.current === controller) draftAbortRef.current = null;
+    }
+  }, [bookId, chapterId, onPageCreated, toast]);
+
+  const stopDraft = () => {
+    draftAbortRef.current?.abort();
+  };
+
+  // Switching chapters (or leaving) cancels a draft in progress.
+  useEffect(() => () => draftAbortRef.current?.abort(), [bookId, chapterId]);
+
   useEffect(() => {
     if (!bookId || !chapterId || !user?.uid) {
       inFlightKeyRef.current = null;
@@ -136,14 +179,28 @@ const GenerateChapterContent = ({ bookId, chapterId, onSuggestionSelect }) => {
       ) : normalizedSuggestions.length > 0 ? (
         <div className="mt-2 grid grid-cols-2 gap-2">
           {normalizedSuggestions.map((suggestion, index) => (
-            <button
+            <div
               key={`${index}-${suggestion}`}
-              type="button"
-              onClick={() => onSuggestionSelect?.(suggestion)}
-              className="rounded-md border border-border bg-app-gray-50 px-2 py-2 text-left text-xs text-app-gray-700 transition hover:bg-app-gray-100"
+              className="flex items-stretch rounded-md border border-border bg-app-gray-50 text-xs text-app-gray-700"
             >
-              {suggestion}
-            </button>
+              <button
+                type="button"
+                onClick={() => onSuggestionSelect?.(suggestion)}
+                className="flex-1 rounded-l-md px-2 py-2 text-left transition hover:bg-app-gray-100"
+              >
+                {suggestion}
+              </button>
+              <button
+                type="button"
+                onClick={() => draftPage(suggestion)}
+                disabled={Boolean(draft)}
+                className="flex w-8 shrink-0 items-center justify-center rounded-r-md border-l border-border transition hover:bg-app-gray-100 disabled:cursor-not-allowed disabled:opacity-50"
+                aria-label="Write a page from this suggestion"
+                title="Write a page"
+              >
+                <PenLine className="h-3.5 w-3.5" />
+              </button>
+            </div>
           ))}
         </div>
       ) : (
@@ -151,6 +208,24 @@ const GenerateChapterContent = ({ bookId, chapterId, onSuggestionSelect }) => {
           <p className="mt-2 text-xs text-muted-foreground">No suggestions yet.</p>
         )
       )}
+      {draft && (
+        <div className="mt-3 rounded-md border border-border bg-app-gray-50 p-2">
+          <div className="flex items-center justify-between gap-2">
+            <p className="truncate text-xs font-medium text-foreground">Writing: {draft.suggestion}</p>
+            <button
+              type="button"
+              onClick={stopDraft}
+              className="inline-flex shrink-0 items-center gap-1 rounded-md border border-border px-2 py-1 text-xs text-app-gray-700 transition hover:bg-app-gray-100"
+            >
+              <Square className="h-3 w-3" />
+              Stop
+            </button>
+          </div>
+          <p className="mt-2 max-h-48 overflow-y-auto whitespace-pre-wrap text-xs text-app-gray-700" aria-live="polite">
+            {draft.text || 'Starting...'}
+          </p>
+        </div>
+      )}
     </div>
   );
 };
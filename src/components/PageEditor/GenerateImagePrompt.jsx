@@ -1,21 +1,152 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { Check, Loader2 } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { Input } from '@/components/ui/input';
+import { useToast } from '@/components/ui/use-toast';
+import { imageGenerationApi } from '@/services/imageGenerationApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
 
+// Ids match IMAGE_STYLE_PRESETS in functions/utils/prompts.js.
+const STYLE_OPTIONS = [
+  { id: '', label: 'Any style' },
+  { id: 'watercolor', label: 'Watercolor' },
+  { id: 'storybook', label: 'Storybook' },
+  { id: 'sketch', label: 'Sketch' },
+];
+
+const VARIATION_COUNTS = [1, 2, 3, 4];
+const DEFAULT_VARIATIONS = 3;
+
+const styleLabel = (styleId) => STYLE_OPTIONS.find((option) => option.id === (styleId || ''))?.label || 'Any style';
+
+const chipClass = (active) => (
+  `rounded-full border px-3 py-1 text-sm transition-colors ${active
+    ? 'border-app-iris bg-app-iris/10 text-app-iris'
+    : 'border-border text-muted-foreground hover:border-app-iris/60 hover:text-foreground'}`
+);
+
+/**
+ * Generates a few variations of a prompt in a chosen style, lists the book's
+ * earlier generations, and saves the picked image to the album (onInsert
+ * receives it as page media).
+ */
 const GenerateImagePrompt = ({
   open,
   prompt,
   onPromptChange,
   onCancel,
-  onSubmit,
   inputRef,
   useContext,
   onUseContextChange,
-  isSubmitting = false
+  bookId,
+  chapterId,
+  pageId,
+  getPageContext,
+  onInsert,
 }) => {
+  const { toast } = useToast();
+  const [style, setStyle] = useState('');
+  const [count, setCount] = useState(DEFAULT_VARIATIONS);
+  const [images, setImages] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isBusy = isGenerating || isSaving;
+
+  useEffect(() => {
+    if (!open || !bookId) return undefined;
+    let cancelled = false;
+    setSelectedId(null);
+    setHistoryLoading(true);
+    imageGenerationApi.listGeneratedImages({ bookId })
+      .then((items) => {
+        if (!cancelled) setImages(items);
+      })
+      .catch((error) => {
+        console.error('Failed to load generated images:', error);
+        if (!cancelled) setImages([]);
+      })
+      .finally(() => {
+        if (!cancelled) setHistoryLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bookId]);
+
+  const selected = images.find((image) => image.id === selectedId) || null;
+
+  const handleGenerate = async () => {
+    if (isBusy) return;
+    const trimmed = prompt.trim();
+    if (!trimmed) {
+      toast({ title: 'Add a prompt', description: 'Describe the image you want to generate.', variant: 'warning' });
+      return;
+    }
+
+    setIsGenerating(true);
+    try {
+      const pageContext = useContext ? await getPageContext() : '';
+      const result = await imageGenerationApi.generateImage({
+        prompt: trimmed,
+        style: style || null,
+        count,
+        useContext,
+        bookId,
+        chapterId,
+        pageId,
+        pageContext,
+      });
+      const generated = result?.images || [];
+      setImages((current) => [...generated, ...current.filter((image) => !generated.some((item) => item.id === image.id))]);
+      setSelectedId(generated[0]?.id || null);
+    } catch (error) {
+      console.error('AI image generation failed:', error);
+      toast({
+        title: 'Generation failed',
+        description: getCallableErrorMessage(error, 'Could not generate the image. Please try again.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const handleInsert = async () => {
+    if (!selected || isBusy) return;
+    setIsSaving(true);
+    try {
+      const media = await imageGenerationApi.saveGeneratedImage({
+        imageId: selected.id,
+        bookId,
+        chapterId,
+        pageId,
+      });
+      onInsert(media, selected);
+    } catch (error) {
+      console.error('Saving generated image failed:', error);
+      toast({
+        title: 'Could not add image',
+        description: getCallableErrorMessage(error, 'Could not save the image to the album.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const reusePrompt = () => {
+    if (!selected) return;
+    onPromptChange(selected.prompt || '');
+    setStyle(selected.style || '');
+    inputRef?.current?.focus();
+  };
+
   return (
-    <Dialog open={open} onOpenChange={(nextOpen) => !nextOpen && onCancel()}>
+    <Dialog open={open} onOpenChange={(nextOpen) => !nextOpen && !isBusy && onCancel()}>
       <DialogContent
         overlayClassName="bg-black/45 backdrop-blur-[2px]"
         className="matrix-surface matrix-neon-outline mx-auto w-full max-w-3xl rounded-3xl border-2 border-border bg-card/95 p-7 text-foreground shadow-[0_32px_100px_rgba(0,0,0,0.5)] backdrop-blur-xl sm:p-8"
@@ -23,7 +154,7 @@ const GenerateImagePrompt = ({
         <DialogHeader className="space-y-1">
           <DialogTitle className="text-2xl">Generate image</DialogTitle>
           <DialogDescription className="text-sm text-muted-foreground">
-            Describe the image you want to generate.
+            Describe the image, pick a style, then choose the variation to add to the page.
           </DialogDescription>
         </DialogHeader>
 
@@ -34,7 +165,7 @@ const GenerateImagePrompt = ({
             onChange={(event) => onPromptChange(event.target.value)}
             placeholder="Describe the image you want to generate"
             className="h-14 text-base"
-            disabled={isSubmitting}
+            disabled={isBusy}
             onKeyDown={(event) => {
               if (event.key === 'Escape') {
                 event.preventDefault();
@@ -43,16 +174,51 @@ const GenerateImagePrompt = ({
               }
               if (event.key === 'Enter' && !event.shiftKey) {
                 event.preventDefault();
-                onSubmit();
+                handleGenerate();
               }
             }}
           />
+
+          <div className="flex flex-wrap items-center gap-x-6 gap-y-3">
+            <div className="flex flex-wrap items-center gap-2" role="radiogroup" aria-label="Style">
+              {STYLE_OPTIONS.map((option) => (
+                <button
+                  key={option.id || 'any'}
+                  type="button"
+                  role="radio"
+                  aria-checked={style === option.id}
+                  className={chipClass(style === option.id)}
+                  disabled={isBusy}
+                  onClick={() => setStyle(option.id)}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <div className="flex items-center gap-2" role="radiogroup" aria-label="Variations">
+              <span className="text-sm text-muted-foreground">Variations</span>
+              {VARIATION_COUNTS.map((value) => (
+                <button
+                  key={value}
+                  type="button"
+                  role="radio"
+                  aria-checked={count === value}
+                  className={chipClass(count === value)}
+                  disabled={isBusy}
+                  onClick={() => setCount(value)}
+                >
+                  {value}
+                </button>
+              ))}
+            </div>
+          </div>
+
           <label className="flex items-start gap-2 text-sm text-muted-foreground">
             <input
               type="checkbox"
               className="mt-0.5 h-4 w-4 rounded border-input bg-background text-app-iris focus:ring-app-iris"
               checked={useContext}
-              disabled={isSubmitting}
+              disabled={isBusy}
               onChange={(event) => onUseContextChange(event.target.checked)}
             />
             <span>
@@ -62,12 +228,65 @@ const GenerateImagePrompt = ({
               </span>
             </span>
           </label>
+
+          <div className="space-y-2">
+            <p className="text-xs font-medium uppercase tracking-wide text-muted-foreground">Generated for this book</p>
+            {historyLoading ? (
+              <div className="flex items-center py-6 text-sm text-muted-foreground">
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                Loading images…
+              </div>
+            ) : images.length === 0 ? (
+              <p className="py-4 text-sm text-muted-foreground">Your generated images will appear here.</p>
+            ) : (
+              <div className="grid max-h-72 grid-cols-3 gap-3 overflow-y-auto pr-1 sm:grid-cols-4" role="listbox" aria-label="Generated images">
+                {images.map((image) => {
+                  const isSelected = image.id === selectedId;
+                  return (
+                    <button
+                      key={image.id}
+                      type="button"
+                      role="option"
+                      aria-selected={isSelected}
+                      title={image.prompt}
+                      disabled={isBusy}
+                      onClick={() => setSelectedId(image.id)}
+                      className={`relative aspect-square overflow-hidden rounded-xl border-2 ${isSelected ? 'border-app-iris' : 'border-transparent hover:border-border'}`}
+                    >
+                      <img src={image.url} alt={image.prompt || 'Generated image'} className="h-full w-full object-cover" loading="lazy" />
+                      {isSelected && (
+                        <span className="absolute right-1.5 top-1.5 rounded-full bg-app-iris p-0.5 text-white">
+                          <Check className="h-3.5 w-3.5" />
+                        </span>
+                      )}
+                      {image.savedStoragePath && (
+                        <span className="absolute bottom-1.5 left-1.5 rounded bg-black/60 px-1.5 py-0.5 text-[10px] text-white">In album</span>
+                      )}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+            {selected && (
+              <p className="text-xs text-muted-foreground">
+                “{selected.prompt}” · {styleLabel(selected.style)} · seed {selected.seed}
+                {selected.model ? ` · ${selected.model}` : ''}
+                <button type="button" className="ml-2 text-app-iris hover:underline" onClick={reusePrompt} disabled={isBusy}>
+                  Use this prompt
+                </button>
+              </p>
+            )}
+          </div>
+
           <div className="flex items-center justify-end gap-3 pt-1">
-            <Button variant="outline" onClick={onCancel} disabled={isSubmitting}>
+            <Button variant="outline" onClick={onCancel} disabled={isBusy}>
               Cancel
             </Button>
-            <Button variant="appPrimary" onClick={onSubmit} disabled={isSubmitting}>
-              {isSubmitting ? 'Generating…' : 'Generate'}
+            <Button variant="outline" onClick={handleGenerate} disabled={isBusy}>
+              {isGenerating ? 'Generating…' : 'Generate'}
+            </Button>
+            <Button variant="appPrimary" onClick={handleInsert} disabled={isBusy || !selected}>
+              {isSaving ? 'Adding…' : 'Add to page'}
             </Button>
           </div>
         </div>
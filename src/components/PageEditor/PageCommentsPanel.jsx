@@ -0,0 +1,307 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { CheckCircle2, Loader2, MessageSquare, RotateCcw, Trash2, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Textarea } from '@/components/ui/textarea';
+import { useToast } from '@/components/ui/use-toast';
+import { groupCommentThreads, pageCommentApi } from '@/services/pageCommentApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+
+const MAX_COMMENT_LENGTH = 2000;
+const FILTER_OPEN = 'open';
+const FILTER_RESOLVED = 'resolved';
+
+const formatCommentTime = (date) => (
+  date ? date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : 'Just now'
+);
+
+const CommentBody = ({ comment, canDelete, onDelete, busy }) => (
+  <div className="group/comment">
+    <div className="flex items-center justify-between gap-2">
+      <div className="text-xs">
+        <span className="font-semibold text-app-gray-900">{comment.authorName || 'Co-author'}</span>
+        <span className="text-app-gray-600"> · {formatCommentTime(comment.createdAt)}</span>
+      </div>
+      {canDelete && (
+        <button
+          type="button"
+          className="opacity-0 group-hover/comment:opacity-100 text-app-gray-600 hover:text-red-600 transition"
+          onClick={onDelete}
+          disabled={busy}
+          title="Delete comment"
+        >
+          <Trash2 className="h-3.5 w-3.5" />
+        </button>
+      )}
+    </div>
+    <p className="mt-1 text-sm text-app-gray-900 whitespace-pre-wrap break-words">{comment.body}</p>
+  </div>
+);
+
+/**
+ * Side panel with a page's comment threads. New threads can be anchored to
+ * the block the cursor was in when the panel opened.
+ */
+const PageCommentsPanel = ({
+  open,
+  onClose,
+  bookId,
+  chapterId,
+  pageId,
+  currentUid,
+  canModerate = false,
+  anchor,
+  onClearAnchor,
+  onFocusAnchor,
+  focusThreadId,
+}) => {
+  const { toast } = useToast();
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [filter, setFilter] = useState(FILTER_OPEN);
+  const [draft, setDraft] = useState('');
+  const [replyDrafts, setReplyDrafts] = useState({});
+  const [busyId, setBusyId] = useState('');
+  const threadRefs = useRef({});
+
+  useEffect(() => {
+    if (!open || !bookId || !chapterId || !pageId) return undefined;
+    setLoading(true);
+    const unsubscribe = pageCommentApi.subscribePageComments(
+      { bookId, chapterId, pageId },
+      (items) => {
+        setComments(items);
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Failed to load comments:', error);
+        setLoading(false);
+        toast({ title: 'Comments unavailable', description: 'Could not load comments for this page.', variant: 'destructive' });
+      }
+    );
+    return unsubscribe;
+  }, [open, bookId, chapterId, pageId, toast]);
+
+  const threads = useMemo(() => groupCommentThreads(comments), [comments]);
+  const openCount = threads.filter((thread) => thread.status !== 'resolved').length;
+  const visibleThreads = threads.filter((thread) => (
+    filter === FILTER_RESOLVED ? thread.status === 'resolved' : thread.status !== 'resolved'
+  ));
+
+  // Deep links from notifications open the panel on a specific thread.
+  useEffect(() => {
+    if (!open || !focusThreadId) return;
+    const target = threads.find((thread) => thread.id === focusThreadId);
+    if (!target) return;
+    setFilter(target.status === 'resolved' ? FILTER_RESOLVED : FILTER_OPEN);
+    requestAnimationFrame(() => {
+      threadRefs.current[focusThreadId]?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  }, [open, focusThreadId, threads]);
+
+  const runAction = async (id, action, failureMessage) => {
+    setBusyId(id);
+    try {
+      await action();
+      return true;
+    } catch (error) {
+      console.error(failureMessage, error);
+      toast({
+        title: 'Comments',
+        description: getCallableErrorMessage(error, failureMessage),
+        variant: 'destructive',
+      });
+      return false;
+    } finally {
+      setBusyId('');
+    }
+  };
+
+  const pageParams = { bookId, chapterId, pageId };
+
+  const handlePost = async () => {
+    const body = draft.trim();
+    if (!body) return;
+    const posted = await runAction('new', () => pageCommentApi.createPageComment({
+      ...pageParams,
+      body,
+      ...(anchor?.blockId ? { anchor } : {}),
+    }), 'Could not post comment.');
+    if (posted) {
+      setDraft('');
+      setFilter(FILTER_OPEN);
+      onClearAnchor?.();
+    }
+  };
+
+  const handleReply = async (threadId) => {
+    const body = (replyDrafts[threadId] || '').trim();
+    if (!body) return;
+    const posted = await runAction(threadId, () => pageCommentApi.createPageComment({
+      ...pageParams,
+      body,
+      parentId: threadId,
+    }), 'Could not post reply.');
+    if (posted) {
+      setReplyDrafts((prev) => ({ ...prev, [threadId]: '' }));
+    }
+  };
+
+  const handleResolve = (thread) => runAction(thread.id, () => pageCommentApi.resolvePageComment({
+    ...pageParams,
+    commentId: thread.id,
+    resolved: thread.status !== 'resolved',
+  }), 'Could not update thread.');
+
+  const handleDelete = (comment) => runAction(comment.id, () => pageCommentApi.deletePageComment({
+    ...pageParams,
+    commentId: comment.id,
+  }), 'Could not delete comment.');
+
+  const handleAnchorClick = (thread) => {
+    if (!thread.anchor?.blockId) return;
+    const found = onFocusAnchor?.(thread.anchor.blockId);
+    if (found === false) {
+      toast({ title: 'Text not found', description: 'The text this comment points to was moved or deleted.' });
+    }
+  };
+
+  if (!open) return null;
+
+  return (
+    <aside className="fixed inset-y-0 right-0 z-50 w-full max-w-sm bg-white border-l border-app-gray-100 shadow-2xl flex flex-col">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-app-gray-100">
+        <div className="flex items-center gap-2 font-semibold text-app-gray-900">
+          <MessageSquare className="h-4 w-4 text-app-iris" />
+          Comments
+          {openCount > 0 && (
+            <span className="rounded-full bg-app-iris/10 px-2 py-0.5 text-xs text-app-iris">{openCount} open</span>
+          )}
+        </div>
+        <Button variant="ghost" size="icon" className="h-8 w-8" onClick={onClose} title="Close comments">
+          <X className="h-4 w-4" />
+        </Button>
+      </div>
+
+      <div className="px-4 py-3 border-b border-app-gray-100 space-y-2">
+        {anchor?.blockId && (
+          <div className="flex items-start justify-between gap-2 rounded-lg bg-app-gray-50 px-3 py-2 text-xs text-app-gray-600">
+            <span className="line-clamp-2">
+              On: {anchor.quote ? <q className="text-app-gray-900">{anchor.quote}</q> : 'the selected block'}
+            </span>
+            <button type="button" onClick={onClearAnchor} title="Comment on the whole page instead">
+              <X className="h-3.5 w-3.5" />
+            </button>
+          </div>
+        )}
+        <Textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value.slice(0, MAX_COMMENT_LENGTH))}
+          placeholder="Leave a note for your co-authors..."
+          className="min-h-[72px] text-sm"
+        />
+        <div className="flex justify-end">
+          <Button size="sm" variant="appPrimary" onClick={handlePost} disabled={!draft.trim() || busyId === 'new'}>
+            {busyId === 'new' && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+            Comment
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex gap-1 px-4 pt-3">
+        <Button
+          size="sm"
+          variant={filter === FILTER_OPEN ? 'appPrimary' : 'outline'}
+          className="h-7 text-xs"
+          onClick={() => setFilter(FILTER_OPEN)}
+        >
+          Open
+        </Button>
+        <Button
+          size="sm"
+          variant={filter === FILTER_RESOLVED ? 'appPrimary' : 'outline'}
+          className="h-7 text-xs"
+          onClick={() => setFilter(FILTER_RESOLVED)}
+        >
+          Resolved
+        </Button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-3">
+        {loading ? (
+          <div className="flex items-center justify-center py-10 text-sm text-app-gray-600">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Loading comments...
+          </div>
+        ) : visibleThreads.length === 0 ? (
+          <p className="py-10 text-center text-sm text-app-gray-600">
+            {filter === FILTER_OPEN ? 'No open comments on this page.' : 'No resolved comments yet.'}
+          </p>
+        ) : visibleThreads.map((thread) => (
+          <div
+            key={thread.id}
+            ref={(el) => { threadRefs.current[thread.id] = el; }}
+            className={`rounded-xl border p-3 space-y-3 ${thread.id === focusThreadId ? 'border-app-iris' : 'border-app-gray-100'}`}
+          >
+            {thread.anchor?.blockId && (
+              <button
+                type="button"
+                onClick={() => handleAnchorClick(thread)}
+                className="w-full text-left border-l-2 border-app-iris/50 pl-2 text-xs text-app-gray-600 hover:text-app-gray-900 line-clamp-2"
+              >
+                {thread.anchor.quote || 'Go to commented text'}
+              </button>
+            )}
+            <CommentBody
+              comment={thread}
+              canDelete={thread.authorId === currentUid || canModerate}
+              onDelete={() => handleDelete(thread)}
+              busy={busyId === thread.id}
+            />
+            {thread.replies.length > 0 && (
+              <div className="space-y-2 border-l border-app-gray-100 pl-3">
+                {thread.replies.map((reply) => (
+                  <CommentBody
+                    key={reply.id}
+                    comment={reply}
+                    canDelete={reply.authorId === currentUid || canModerate}
+                    onDelete={() => handleDelete(reply)}
+                    busy={busyId === reply.id}
+                  />
+                ))}
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={replyDrafts[thread.id] || ''}
+                onChange={(e) => setReplyDrafts((prev) => ({ ...prev, [thread.id]: e.target.value.slice(0, MAX_COMMENT_LENGTH) }))}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' && !e.shiftKey) {
+                    e.preventDefault();
+                    handleReply(thread.id);
+                  }
+                }}
+                placeholder="Reply..."
+                className="flex-1 h-8 rounded-md border border-app-gray-100 px-2 text-xs focus:outline-none focus:ring-1 focus:ring-app-iris"
+              />
+              <Button
+                size="sm"
+                variant="ghost"
+                className="h-8 px-2 text-xs"
+                onClick={() => handleResolve(thread)}
+                disabled={busyId === thread.id}
+                title={thread.status === 'resolved' ? 'Reopen thread' : 'Resolve thread'}
+              >
+                {thread.status === 'resolved'
+                  ? <RotateCcw className="h-3.5 w-3.5" />
+                  : <CheckCircle2 className="h-3.5 w-3.5" />}
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+export default PageCommentsPanel;
@@ -0,0 +1,230 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { History, Loader2, RotateCcw } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription
+} from '@/components/ui/dialog';
+import ConfirmationModal from '@/components/ui/ConfirmationModal';
+import { useToast } from '@/components/ui/use-toast';
+import { pageRevisionApi } from '@/services/pageRevisionApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+import { diffBlocks, revisionToBlocks } from '@/lib/revisionDiff';
+
+const SOURCE_LABELS = {
+  create: 'Created',
+  edit: 'Edited',
+  restore: 'Restored',
+  baseline: 'Before history',
+};
+
+const COMPARE_PREVIOUS = 'previous';
+const COMPARE_CURRENT = 'current';
+
+const formatRevisionTime = (date) => (
+  date ? date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : 'Just now'
+);
+
+const DIFF_ROW_STYLES = {
+  added: 'bg-emerald-50 text-emerald-900 border-l-2 border-emerald-400',
+  removed: 'bg-red-50 text-red-900 line-through decoration-red-300 border-l-2 border-red-400',
+  same: 'text-app-gray-600 border-l-2 border-transparent',
+};
+
+const DIFF_ROW_MARKERS = { added: '+', removed: '−', same: ' ' };
+
+/**
+ * Lists a page's saved revisions with author and time, shows what each one
+ * changed block by block, and restores any of them.
+ */
+const PageHistoryPanel = ({
+  open,
+  onOpenChange,
+  bookId,
+  chapterId,
+  page,
+  currentPage,
+  canRestore = true,
+  onRestored,
+}) => {
+  const { toast } = useToast();
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareWith, setCompareWith] = useState(COMPARE_PREVIOUS);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+
+  const pageId = page?.id;
+
+  useEffect(() => {
+    if (!open || !bookId || !chapterId || !pageId) return undefined;
+    let cancelled = false;
+    setLoading(true);
+    pageRevisionApi.listPageRevisions({ bookId, chapterId, pageId })
+      .then((items) => {
+        if (cancelled) return;
+        setRevisions(items);
+        setSelectedId(items[0]?.id || null);
+      })
+      .catch((error) => {
+        console.error('Failed to load page history:', error);
+        if (!cancelled) {
+          toast({ title: 'History unavailable', description: 'Could not load revisions for this page.', variant: 'destructive' });
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [open, bookId, chapterId, pageId, toast]);
+
+  const selectedIndex = revisions.findIndex((revision) => revision.id === selectedId);
+  const selected = selectedIndex >= 0 ? revisions[selectedIndex] : null;
+
+  const diff = useMemo(() => {
+    if (!selected) return [];
+    if (compareWith === COMPARE_CURRENT) {
+      // What restoring would change on the live page.
+      return diffBlocks(revisionToBlocks(currentPage || page), revisionToBlocks(selected));
+    }
+    const previous = revisions[selectedIndex + 1];
+    return diffBlocks(previous ? revisionToBlocks(previous) : [], revisionToBlocks(selected));
+  }, [selected, selectedIndex, revisions, compareWith, currentPage, page]);
+
+  const hasChanges = diff.some((row) => row.type !== 'same');
+
+  const handleRestore = async () => {
+    if (!selected || restoring) return;
+    setConfirmOpen(false);
+    setRestoring(true);
+    try {
+      const result = await pageRevisionApi.restorePageRevision({
+        bookId,
+        chapterId,
+        pageId,
+        revisionId: selected.id,
+      });
+      toast({ title: 'Page restored', description: `Restored the version from ${formatRevisionTime(selected.createdAt)}.` });
+      onRestored?.({ ...selected, ...(result?.page || {}) });
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Failed to restore revision:', error);
+      toast({
+        title: 'Restore failed',
+        description: getCallableErrorMessage(error, 'Could not restore this revision.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <>
+      <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="max-w-4xl bg-white rounded-2xl shadow-2xl border border-gray-100 p-6">
+          <DialogHeader>
+            <DialogTitle className="flex items-center gap-2">
+              <History className="h-5 w-5 text-app-iris" />
+              Page history
+            </DialogTitle>
+            <DialogDescription>
+              Every save is kept here. Pick a version to see what changed, then restore it if needed.
+            </DialogDescription>
+          </DialogHeader>
+
+          {loading ? (
+            <div className="flex items-center justify-center py-16 text-sm text-app-gray-600">
+              <Loader2 className="h-5 w-5 mr-2 animate-spin" />
+              Loading history...
+            </div>
+          ) : revisions.length === 0 ? (
+            <p className="py-16 text-center text-sm text-app-gray-600">
+              No revisions yet. History starts with the next save of this page.
+            </p>
+          ) : (
+            <div className="grid gap-4 md:grid-cols-[240px_1fr] max-h-[60vh]">
+              <ul className="overflow-y-auto space-y-1 pr-1">
+                {revisions.map((revision, idx) => (
+                  <li key={revision.id}>
+                    <button
+                      type="button"
+                      onClick={() => setSelectedId(revision.id)}
+                      className={`w-full text-left rounded-xl px-3 py-2 text-xs transition ${revision.id === selectedId
+                        ? 'bg-app-iris/10 text-app-gray-900'
+                        : 'hover:bg-app-gray-50 text-app-gray-700'}`}
+                    >
+                      <div className="font-semibold">{formatRevisionTime(revision.createdAt)}</div>
+                      <div className="text-app-gray-600">
+                        {revision.authorName || 'Unknown author'} · {SOURCE_LABELS[revision.source] || 'Edited'}
+                        {idx === 0 ? ' · latest' : ''}
+                      </div>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              <div className="flex flex-col min-h-0">
+                <div className="flex items-center justify-between gap-2 mb-3">
+                  <div className="flex gap-1">
+                    <Button
+                      size="sm"
+                      variant={compareWith === COMPARE_PREVIOUS ? 'appPrimary' : 'outline'}
+                      className="h-7 text-xs"
+                      onClick={() => setCompareWith(COMPARE_PREVIOUS)}
+                    >
+                      Changes in this save
+                    </Button>
+                    <Button
+                      size="sm"
+                      variant={compareWith === COMPARE_CURRENT ? 'appPrimary' : 'outline'}
+                      className="h-7 text-xs"
+                      onClick={() => setCompareWith(COMPARE_CURRENT)}
+                    >
+                      Compare with current
+                    </Button>
+                  </div>
+                  {canRestore && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      className="h-7 text-xs"
+                      disabled={!selected || restoring}
+                      onClick={() => setConfirmOpen(true)}
+                    >
+                      {restoring ? <Loader2 className="h-3 w-3 mr-1 animate-spin" /> : <RotateCcw className="h-3 w-3 mr-1" />}
+                      Restore this version
+                    </Button>
+                  )}
+                </div>
+                <div className="overflow-y-auto rounded-xl border border-app-gray-100 p-2 space-y-1 text-sm">
+                  {!hasChanges && (
+                    <p className="px-2 py-1 text-xs text-app-gray-600">No text changes.</p>
+                  )}
+                  {diff.map((row, idx) => (
+                    <div key={`${row.type}-${idx}`} className={`flex gap-2 rounded px-2 py-1 ${DIFF_ROW_STYLES[row.type]}`}>
+                      <span className="w-3 shrink-0 font-mono text-xs leading-5">{DIFF_ROW_MARKERS[row.type]}</span>
+                      <span className="whitespace-pre-wrap break-words">{row.text}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <ConfirmationModal
+        isOpen={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        onConfirm={handleRestore}
+        title="Restore this version?"
+        description="The page will be replaced with this version. The current text stays in history, so you can undo this."
+      />
+    </>
+  );
+};
+
+export default PageHistoryPanel;
@@ -0,0 +1,41 @@
+import React from 'react';
+
+const MAX_VISIBLE_PEERS = 4;
+
+/**
+ * Avatars of the co-authors who have this page open right now. Colors match
+ * their cursors in the editor.
+ */
+const PagePresence = ({ peers = [], status }) => {
+  if (status !== 'live' || peers.length === 0) return null;
+
+  const visible = peers.slice(0, MAX_VISIBLE_PEERS);
+  const hiddenCount = peers.length - visible.length;
+  const names = peers.map((peer) => peer.name).join(', ');
+
+  return (
+    <div className="flex items-center gap-2 text-xs text-app-gray-600" title={`Also editing: ${names}`}>
+      <div className="flex -space-x-2">
+        {visible.map((peer) => (
+          <span
+            key={peer.uid}
+            className="h-6 w-6 rounded-full border-2 border-white flex items-center justify-center text-[10px] font-semibold text-white"
+            style={{ backgroundColor: peer.color }}
+          >
+            {(peer.name || '?').charAt(0).toUpperCase()}
+          </span>
+        ))}
+        {hiddenCount > 0 && (
+          <span className="h-6 w-6 rounded-full border-2 border-white bg-app-gray-100 flex items-center justify-center text-[10px] font-semibold text-app-gray-900">
+            +{hiddenCount}
+          </span>
+        )}
+      </div>
+      <span className="truncate max-w-[220px]">
+        {peers.length === 1 ? `${peers[0].name} is editing` : `${peers.length} co-authors editing`}
+      </span>
+    </div>
+  );
+};
+
+export default PagePresence;
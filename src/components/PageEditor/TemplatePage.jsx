@@ -6,7 +6,8 @@ import SectionDate from './templates/sections/SectionDate';
 import SectionImage from './templates/sections/SectionImage';
 import SectionQA from './templates/sections/SectionQA';
 import { Button } from '@/components/ui/button';
-import { Image as ImageIcon, Upload, Trash2, Video } from 'lucide-react';
+import VideoThumbnail from '@/components/ui/VideoThumbnail';
+import { Image as ImageIcon, Upload, Trash2 } from 'lucide-react';
 
 const MAX_TEMPLATE_MEDIA = 5;
 
@@ -265,16 +266,7 @@ const TemplatePage = ({
                   >
                     {mediaItem.type === 'video' ? (
                       <div className="relative h-full w-full">
-                        <video
-                          src={mediaItem.url}
-                          className="h-full w-full object-cover"
-                          muted
-                          playsInline
-                          preload="metadata"
-                        />
-                        <span className="absolute bottom-2 right-2 rounded-full bg-black/65 p-1.5 text-white">
-                          <Video className="h-3.5 w-3.5" />
-                        </span>
+                        <VideoThumbnail item={mediaItem} alt={mediaItem.name || `Media ${index + 1}`} className="h-full w-full object-cover" />
                       </div>
                     ) : (
                       <img src={mediaItem.url} alt={mediaItem.name || `Media ${index + 1}`} className="h-full w-full object-cover" />
@@ -8,7 +8,7 @@ import { Input } from '@/components/ui/input';
 import { useToast } from '@/components/ui/use-toast';
 import { httpsCallable } from 'firebase/functions';
 import {
-  ChevronDown, ChevronLeft, ChevronRight, Sparkles, UploadCloud, X, Trash2, Save
+  ChevronDown, ChevronLeft, ChevronRight, Sparkles, UploadCloud, X, Trash2, Save, History, MessageSquare, Loader2
 } from 'lucide-react';
 import {
   Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription
@@ -25,8 +25,18 @@ import {
 } from '@/lib/storageUpload';
 import GenerateImagePrompt from '@/components/PageEditor/GenerateImagePrompt';
 import TemplatePage from '@/components/PageEditor/TemplatePage';
+import PageHistoryPanel from '@/components/PageEditor/PageHistoryPanel';
+import PagePresence from '@/components/PageEditor/PagePresence';
+import PageCommentsPanel from '@/components/PageEditor/PageCommentsPanel';
+import { usePageCollaboration } from '@/hooks/usePageCollaboration';
 import { pageTemplates } from '@/constants/pageTemplates';
 import { pageBlockApiService } from '@/services/pageBlockApiService';
+import { highlightPassage } from '@/lib/passageHighlight';
+import { aiTextStreamApi, isAbortError } from '@/services/aiTextStreamApi';
+import { albumMediaApi, ALBUM_PICKER_PAGE_SIZE } from '@/services/albumMediaApi';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
+import VideoThumbnail from '@/components/ui/VideoThumbnail';
+import { getVideoPlaybackUrl, getVideoPosterUrl } from '@/lib/videoMedia';
 
 const MEDIA_PICKER_CONTEXT_EDITOR = 'editor';
 const MEDIA_PICKER_CONTEXT_TEMPLATE = 'template';
@@ -54,7 +64,12 @@ const PageEditor = forwardRef(({
   layoutMode = 'standard',
   standardPageHeightPx,
   readOnly = false,
-  canUploadMedia = true
+  canUploadMedia = true,
+  collaborators = [],
+  isBookOwner = false,
+  canComment = false,
+  focusCommentThreadId = null,
+  focusPassage = null
 }, ref) => {
   const [isSaving, setIsSaving] = useState(false);
   const [uploadProgress, setUploadProgress] = useState({});
@@ -65,6 +80,8 @@ const PageEditor = forwardRef(({
   // AI preview dialog state
   const [aiPreviewOpen, setAiPreviewOpen] = useState(false);
   const [aiPreviewText, setAiPreviewText] = useState('');
+  const [aiStreaming, setAiStreaming] = useState(false);
+  const aiAbortRef = useRef(null);
   const [aiStyle, setAiStyle] = useState('Improve clarity');
   const [showAiStyleDropdown, setShowAiStyleDropdown] = useState(false);
   const [aiModel, setAiModel] = useState('gpt-4o');
@@ -73,7 +90,6 @@ const PageEditor = forwardRef(({
   const [genImgOpen, setGenImgOpen] = useState(false);
   const [genImgPrompt, setGenImgPrompt] = useState('');
   const [genImgUseContext, setGenImgUseContext] = useState(true);
-  const [genImgLoading, setGenImgLoading] = useState(false);
   const [reflectionRewritePrompts, setReflectionRewritePrompts] = useState({
     dadNotes: 'Improve clarity',
     momNotes: 'Improve clarity',
@@ -87,6 +103,9 @@ const PageEditor = forwardRef(({
   const [blockRewriteActions, setBlockRewriteActions] = useState(['insert', 'replace', 'discard']);
 
   const [mediaToDelete, setMediaToDelete] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [commentsOpen, setCommentsOpen] = useState(false);
+  const [commentAnchor, setCommentAnchor] = useState(null);
   const [limitStatus, setLimitStatus] = useState('ok'); // 'ok', 'warning', 'full'
 
   const quillRef = useRef(null);
@@ -133,6 +152,34 @@ const PageEditor = forwardRef(({
   const isBabyTemplatePage = template?.type === 'babyJournalPage';
   const BABY_REFLECTION_MAX_CHARS = 500;
   const isResponsiveLayout = layoutMode === 'standard';
+  const selfCollaborator = collaborators.find((member) => member.uid === user?.uid);
+  const collab = usePageCollaboration({
+    // Template pages save structured fields, not editor blocks, so they stay single-writer.
+    enabled: !readOnly && !isTemplatePage && !!page?.id && !page.id.startsWith('temp_'),
+    bookId,
+    chapterId,
+    pageId: page?.id,
+    uid: user?.uid,
+    userName: selfCollaborator?.displayName || appUser?.displayName || user?.displayName || '',
+    seedHtml: page?.note || '',
+    seedBlocks: draft?.blocks,
+  });
+  // Opened from a comment notification: show the thread it points to.
+  useEffect(() => {
+    if (focusCommentThreadId) setCommentsOpen(true);
+  }, [focusCommentThreadId]);
+  // Opened from a Q&A source: highlight the cited passage once the page has rendered.
+  useEffect(() => {
+    if (!focusPassage) return undefined;
+    let clearHighlight = () => {};
+    const timer = setTimeout(() => {
+      clearHighlight = highlightPassage(pageRootRef.current, focusPassage);
+    }, 300);
+    return () => {
+      clearTimeout(timer);
+      clearHighlight();
+    };
+  }, [focusPassage]);
   const templateDraft = draft?.templateContent || null;
   const templateMediaDraft = draft?.templateMedia;
   const latestDraftRef = useRef(draft);
@@ -870,30 +917,23 @@ const PageEditor = forwardRef(({
           return;
         }
 
-        const data = albumSnap.data();
-        const images = (data.images || []).map((item) => {
-          const url = typeof item === 'string' ? item : item.url;
-          const storagePath = typeof item === 'string' ? null : item.storagePath;
-          return {
-            url: convertToEmulatorURL(url),
-            storagePath,
-            type: 'image',
-            name: typeof item === 'string' ? (url?.split('/')?.pop() || 'Image') : (item.name || item.fileName || 'Image'),
-          };
-        });
-        const videos = (data.videos || []).map((item) => {
-          const url = typeof item === 'string' ? item : item.url;
-          const storagePath = typeof item === 'string' ? null : item.storagePath;
-          return {
-            url: convertToEmulatorURL(url),
-            storagePath,
-            type: 'video',
-            name: typeof item === 'string' ? (url?.split('/')?.pop() || 'Video') : (item.name || item.fileName || 'Video'),
-          };
+        const { items } = await albumMediaApi.listAlbumMedia({
+          albumId: selectedAlbumId,
+          albumData: albumSnap.data(),
+          pageSize: ALBUM_PICKER_PAGE_SIZE,
         });
+        const media = items.map((item) => ({
+          url: convertToEmulatorURL(item.url),
+          storagePath: item.storagePath || null,
+          type: item.type === 'video' ? 'video' : 'image',
+          name: item.name || item.fileName || (item.type === 'video' ? 'Video' : 'Image'),
+          width: item.width || null,
+          renditions: item.renditions || null,
+          durationSeconds: item.durationSeconds || null,
+        }));
 
         if (isMounted) {
-          setAlbumMedia([...images, ...videos]);
+          setAlbumMedia(media);
         }
       } catch (error) {
         console.error('Failed to load album assets', error);
@@ -1038,6 +1078,8 @@ const PageEditor = forwardRef(({
         name: item.name || 'Image',
         type: item.type || 'image',
         ...(item.albumId ? { albumId: item.albumId } : {}),
+        ...(item.posterUrl ? { posterUrl: item.posterUrl } : {}),
+        ...(item.durationSeconds ? { durationSeconds: item.durationSeconds } : {}),
       }));
     const normalizedContent = { ...contentToSave };
 
@@ -1203,7 +1245,9 @@ const PageEditor = forwardRef(({
           pageId: page.id,
           note: htmlToSave,
           media: page.media || [],
-          ...(page.pageName !== undefined ? { pageName: page.pageName } : {})
+          ...(page.pageName !== undefined ? { pageName: page.pageName } : {}),
+          // Keeps the live-editing log marked as matching the saved note
+          ...(collab.status === 'live' ? { collabSession: true } : {})
         });
         onPageUpdate({ ...page, note: htmlToSave, pageName: page.pageName ?? '', shortNote });
         if (!silent) {
@@ -1562,6 +1606,9 @@ const PageEditor = forwardRef(({
           name: asset.name || 'Asset',
           type: asset.type === 'video' ? 'video' : 'image',
           ...(selectedAlbumId || asset.albumId ? { albumId: selectedAlbumId || asset.albumId } : {}),
+          // Template tiles show the poster and length instead of loading the video
+          ...(asset.renditions?.poster?.url ? { posterUrl: asset.renditions.poster.url } : {}),
+          ...(asset.durationSeconds ? { durationSeconds: asset.durationSeconds } : {}),
         }));
 
       persistTemplateDraft({ templateMedia: [...editableExisting, ...mediaToInsert].slice(0, 5) });
@@ -1709,63 +1756,41 @@ const PageEditor = forwardRef(({
     setGenImgPrompt('');
   };
 
-  const submitGenImagePrompt = async () => {
-    if (readOnly) return;
-    if (genImgLoading) return;
-    const prompt = genImgPrompt.trim();
-    if (!prompt) {
-      toast({ title: 'Add a prompt', description: 'Describe the image you want to generate.', variant: 'warning' });
-      return;
-    }
-
-    setGenImgLoading(true);
-    try {
-      let pageContext = '';
-      if (genImgUseContext) {
-        const currentHtml = await getCurrentHTML();
-        pageContext = stripHtml(currentHtml || '');
-      }
+  const getGenImagePageContext = async () => stripHtml((await getCurrentHTML()) || '');
 
-      const generateImageFn = httpsCallable(functions, 'generateImage');
-      const response = await generateImageFn({
-        prompt,
-        useContext: genImgUseContext,
-        bookId,
-        chapterId,
-        pageId: page.id,
-        pageContext,
-      });
+  // The chosen variation has been saved to the album; place it at the cursor.
+  const insertGeneratedImage = async (media) => {
+    if (readOnly) return;
+    const mediaData = {
+      url: media?.url,
+      storagePath: media?.storagePath,
+      name: media?.name || 'Generated image',
+      albumId: media?.albumId || bookId,
+      type: 'image',
+    };
 
-      const data = response?.data || {};
-      const mediaData = {
-        url: data.url,
-        storagePath: data.storagePath,
-        name: data.name || 'Generated image',
-        albumId: data.albumId || bookId,
-        type: 'image',
-      };
+    if (mediaData.url && mediaData.storagePath && quillRef.current?.insertMediaBlocks) {
+      quillRef.current.insertMediaBlocks([mediaData]);
+    }
 
-      if (mediaData.url && mediaData.storagePath && quillRef.current?.insertMediaBlocks) {
-        quillRef.current.insertMediaBlocks([mediaData]);
+    // New saves get their usage ref from onMediaUpload; a reused album copy needs this page added.
+    if (media?.alreadySaved) {
+      try {
+        const trackUsage = httpsCallable(functions, 'trackMediaUsage');
+        await trackUsage({
+          albumId: mediaData.albumId,
+          storagePath: mediaData.storagePath,
+          bookId,
+          chapterId,
+          pageId: page.id
+        });
+      } catch (trackError) {
+        console.error('Failed to track usage:', trackError);
       }
-
-      toast({
-        title: 'Image generated',
-        description: genImgUseContext ? 'Added to the page using your text as context.' : 'Added to the page.',
-      });
-    } catch (error) {
-      console.error('AI image generation failed:', error);
-      toast({
-        title: 'Generation failed',
-        description: error?.message || 'Could not generate the image. Please try again.',
-        variant: 'destructive',
-      });
-    } finally {
-      setGenImgLoading(false);
-      setGenImgOpen(false);
-      setGenImgPrompt('');
-      setGenImgUseContext(true);
     }
+
+    toast({ title: 'Image added', description: 'Added to the page and saved to the book album.' });
+    closeGenImagePrompt();
   };
 
   // --- AI: callable + preview modal ---
@@ -1786,32 +1811,49 @@ const PageEditor = forwardRef(({
       return;
     }
 
+    // The preview opens right away and fills in as the rewrite streams.
+    const controller = new AbortController();
+    aiAbortRef.current = controller;
+    setAiPreviewText('');
+    setAiPreviewOpen(true);
+    setAiStreaming(true);
     setAiBusy(true);
     try {
-      const rewriteFn = httpsCallable(functions, 'rewriteNote');
-      const response = await rewriteFn({
+      const result = await aiTextStreamApi.rewriteNote({
         noteText: text,
         prompt: style,
         bookId: bookId,
         chapterId: chapterId,
-        pageId: page.id
+        pageId: page.id,
+        signal: controller.signal,
+        onChunk: (_, soFar) => setAiPreviewText(soFar),
       });
-
-      const data = response.data;
-      if (data.rewritten) {
-        setAiPreviewText(data.rewritten);
-        setAiPreviewOpen(true);
-      } else {
-        throw new Error(data.error || 'Unknown error');
-      }
+      setAiPreviewText(result.text);
     } catch (error) {
-      console.error('AI Rewrite error:', error);
-      toast({ title: 'Rewrite failed', description: error.message, variant: 'destructive' });
+      if (!isAbortError(error)) {
+        console.error('AI Rewrite error:', error);
+        setAiPreviewOpen(false);
+        toast({ title: 'Rewrite failed', description: error.message, variant: 'destructive' });
+      }
     } finally {
+      if (aiAbortRef.current === controller) aiAbortRef.current = null;
+      setAiStreaming(false);
       setAiBusy(false);
     }
   };
 
+  const stopRewrite = () => {
+    aiAbortRef.current?.abort();
+  };
+
+  // Leaving the page must not keep a rewrite streaming (and billing) in the background.
+  useEffect(() => () => aiAbortRef.current?.abort(), []);
+
+  const closeRewritePreview = () => {
+    stopRewrite();
+    setAiPreviewOpen(false);
+  };
+
   const applyRewrite = async (mode = 'replace') => {
     if (!quillRef.current) return;
 
@@ -1902,6 +1944,59 @@ const PageEditor = forwardRef(({
   const showSidePageNav = !readOnly && isBabyTemplatePage && totalPages > 1 && typeof onNavigate === 'function';
   const showPageOverflowCue = !readOnly && !isTemplatePage && limitStatus === 'full';
   const overflowCueLabel = 'Recommended page length reached';
+  const canShowHistory = !readOnly && !!page?.id && !page.id.startsWith('temp_');
+  const historyButton = canShowHistory ? (
+    <Button
+      variant="ghost"
+      size="sm"
+      className="h-8 px-2 text-xs font-medium text-gray-600"
+      onClick={() => setHistoryOpen(true)}
+      title="Page history"
+    >
+      <History className="h-4 w-4 mr-1" />
+      History
+    </Button>
+  ) : null;
+
+  // Commenters see pages read-only but can still open the comments panel.
+  const canShowComments = canComment && !!page?.id && !page.id.startsWith('temp_');
+  // Capture the anchor before the click moves focus out of the editor.
+  const captureCommentAnchor = (event) => {
+    event.preventDefault();
+    const blockId = quillRef.current?.getActiveBlockId?.() || null;
+    const quote = (window.getSelection?.()?.toString() || '').trim();
+    setCommentAnchor(blockId ? { blockId, ...(quote ? { quote } : {}) } : null);
+  };
+  const commentsButton = canShowComments ? (
+    <Button
+      variant="ghost"
+      size="sm"
+      className="h-8 px-2 text-xs font-medium text-gray-600"
+      onMouseDown={captureCommentAnchor}
+      onClick={() => setCommentsOpen(true)}
+      title="Comment on this page"
+    >
+      <MessageSquare className="h-4 w-4 mr-1" />
+      Comments
+    </Button>
+  ) : null;
+
+  // A restore is a server-side save: drop the local draft and load the restored version.
+  const handleRevisionRestored = async (restored) => {
+    const nextPage = {
+      ...page,
+      note: restored.note ?? page.note,
+      pageName: restored.pageName ?? page.pageName,
+      ...(restored.content ? { content: restored.content } : {}),
+    };
+    onDraftChange?.(page.id, null);
+    onPageUpdate(nextPage);
+    if (!isTemplatePage && quillRef.current?.setHTML) {
+      await quillRef.current.setHTML(nextPage.note || '', { silent: true });
+      previousBlocksRef.current = quillRef.current?.getBlocks?.() || previousBlocksRef.current;
+    }
+  };
+
   const handlePrimarySaveAction = async () => {
     if (pageIndex < totalPages - 1) {
       await handleSave();
@@ -2080,9 +2175,16 @@ const PageEditor = forwardRef(({
                                 onClick={() => toggleAssetSelection(asset)}
                               >
                                 {asset.type === 'image' ? (
-                                  <img src={asset.url} alt={asset.name} className="h-24 w-full object-cover" />
+                                  <ResponsiveImage
+                                    src={asset.url}
+                                    width={asset.width}
+                                    renditions={asset.renditions}
+                                    sizes="(min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw"
+                                    alt={asset.name}
+                                    className="h-24 w-full object-cover"
+                                  />
                                 ) : (
-                                  <video src={asset.url} className="h-24 w-full object-cover" />
+                                  <VideoThumbnail item={asset} alt={asset.name} className="h-24 w-full object-cover" />
                                 )}
                                 <div className={`absolute inset-0 transition-opacity flex items-center justify-center ${isSelected ? 'bg-app-iris/40' : 'bg-black/30 opacity-0 group-hover:opacity-100'
                                   }`}>
@@ -2127,35 +2229,48 @@ const PageEditor = forwardRef(({
             </Dialog>
 
             {/* AI Rewrite Preview Dialog */}
-            <Dialog open={aiPreviewOpen} onOpenChange={setAiPreviewOpen}>
+            <Dialog open={aiPreviewOpen} onOpenChange={(open) => (open ? setAiPreviewOpen(true) : closeRewritePreview())}>
               <DialogContent className="max-w-2xl bg-white rounded-2xl shadow-2xl border border-gray-100 p-6">
                 <DialogHeader>
                   <DialogTitle>AI Rewrite Suggestion</DialogTitle>
                   <DialogDescription>
-                    Here is the suggested rewrite. You can apply it or discard it.
+                    {aiStreaming
+                      ? 'Writing the rewrite... You can stop at any time and keep what is there.'
+                      : 'Here is the suggested rewrite. You can apply it or discard it.'}
                   </DialogDescription>
                 </DialogHeader>
 
-                <div className="ai-rewrite-preview-surface bg-gray-50 p-4 rounded-md text-sm text-gray-800 max-h-[60vh] overflow-y-auto whitespace-pre-wrap">
+                <div className="ai-rewrite-preview-surface bg-gray-50 p-4 rounded-md text-sm text-gray-800 max-h-[60vh] overflow-y-auto whitespace-pre-wrap" aria-live="polite">
                   {aiPreviewText}
+                  {aiStreaming && <Loader2 className="inline-block h-3.5 w-3.5 ml-1 animate-spin text-app-iris align-middle" />}
                 </div>
 
                 <div className="flex justify-end gap-2 mt-4">
                   <Button
                     variant="outline"
-                    onClick={() => setAiPreviewOpen(false)}
+                    onClick={closeRewritePreview}
                   >
                     Discard
                   </Button>
+                  {aiStreaming && (
+                    <Button
+                      variant="outline"
+                      onClick={stopRewrite}
+                    >
+                      Stop
+                    </Button>
+                  )}
                   <Button
                     variant="secondary"
                     onClick={() => applyRewrite('insert')}
+                    disabled={aiStreaming || !aiPreviewText}
                   >
                     Insert at Cursor
                   </Button>
                   <Button
                     variant="appPrimary"
                     onClick={() => applyRewrite('replace')}
+                    disabled={aiStreaming || !aiPreviewText}
                   >
                     Replace All
                   </Button>
@@ -2248,7 +2363,7 @@ const PageEditor = forwardRef(({
                       onClick={() => openPreview(idx)}
                     >
                       {media.type === 'video' ? (
-                        <video src={media.url} className="w-full h-full object-cover" />
+                        <VideoThumbnail item={media} alt={media.name} className="w-full h-full object-cover" />
                       ) : (
                         <img src={media.url} alt={media.name} className="w-full h-full object-cover" />
                       )}
@@ -2282,7 +2397,9 @@ const PageEditor = forwardRef(({
             {/* Notes + controls */}
             <div className={`space-y-4 flex-grow flex flex-col ${isTemplatePage ? '' : 'min-h-full'}`}>
               <div className={`flex-grow flex flex-col ${isTemplatePage ? '' : 'min-h-full'}`}>
-                <div className="flex items-center justify-between mb-1"></div>
+                <div className="flex items-center justify-between mb-1">
+                  <PagePresence peers={collab.peers} status={collab.status} />
+                </div>
 
                 <div className={isTemplatePage ? '' : 'flex-grow min-h-full'}>
                   <div
@@ -2325,29 +2442,37 @@ const PageEditor = forwardRef(({
                             prompt={genImgPrompt}
                             onPromptChange={setGenImgPrompt}
                             onCancel={closeGenImagePrompt}
-                            onSubmit={submitGenImagePrompt}
                             inputRef={genImgInputRef}
                             useContext={genImgUseContext}
                             onUseContextChange={setGenImgUseContext}
-                            isSubmitting={genImgLoading}
+                            bookId={bookId}
+                            chapterId={chapterId}
+                            pageId={page.id}
+                            getPageContext={getGenImagePageContext}
+                            onInsert={insertGeneratedImage}
+                          />
+                        )}
+                        {collab.status === 'connecting' ? (
+                          <div className="py-6 text-sm text-app-gray-600">Connecting to live editing...</div>
+                        ) : (
+                          <BlockEditor
+                            key={`${page.id}-${collab.collaboration ? 'live' : 'solo'}`}
+                            ref={quillRef}
+                            collaboration={collab.collaboration}
+                            initialBlocks={draft?.blocks}
+                            initialContent={page.note || ""}
+                            onBlocksChange={handleBlocksChange}
+                            onSave={handleSave}
+                            onFocus={() => {
+                              logContentMeasure('editor focus');
+                              requestAnimationFrame(() => logContentMeasure('editor focus raf'));
+                              onFocus?.(page.id);
+                            }}
+                            onMediaRequest={handleMediaRequest}
+                            onGenImageRequest={openGenImagePrompt}
+                            readOnly={readOnly}
                           />
                         )}
-                        <BlockEditor
-                          key={page.id}
-                          ref={quillRef}
-                          initialBlocks={draft?.blocks}
-                          initialContent={page.note || ""}
-                          onBlocksChange={handleBlocksChange}
-                          onSave={handleSave}
-                          onFocus={() => {
-                            logContentMeasure('editor focus');
-                            requestAnimationFrame(() => logContentMeasure('editor focus raf'));
-                            onFocus?.(page.id);
-                          }}
-                          onMediaRequest={handleMediaRequest}
-                          onGenImageRequest={openGenImagePrompt}
-                          readOnly={readOnly}
-                        />
                         {showPageOverflowCue && (
                           <div
                             className={`page-overflow-cue page-overflow-cue-${limitStatus}`}
@@ -2399,7 +2524,14 @@ const PageEditor = forwardRef(({
 
                 <div className="relative max-w-5xl w-full max-h-[85vh] flex flex-col items-center" onClick={e => e.stopPropagation()}>
                   {previewItem.type === 'video' ? (
-                    <video src={previewItem.url} controls autoPlay className="max-w-full max-h-[80vh] rounded-lg shadow-2xl" />
+                    <video
+                      src={getVideoPlaybackUrl(previewItem)}
+                      poster={getVideoPosterUrl(previewItem) || undefined}
+                      controls
+                      autoPlay
+                      playsInline
+                      className="max-w-full max-h-[80vh] rounded-lg shadow-2xl"
+                    />
                   ) : (
                     <img src={previewItem.url} alt={previewItem.name} className="max-w-full max-h-[80vh] object-contain rounded-lg shadow-2xl" />
                   )}
@@ -2421,6 +2553,36 @@ const PageEditor = forwardRef(({
               />
             )}
 
+            {canShowHistory && (
+              <PageHistoryPanel
+                open={historyOpen}
+                onOpenChange={setHistoryOpen}
+                bookId={bookId}
+                chapterId={chapterId}
+                page={page}
+                currentPage={isTemplatePage
+                  ? { ...page, content: templateDraft || templateContent || page.content }
+                  : page}
+                onRestored={handleRevisionRestored}
+              />
+            )}
+
+            {canShowComments && (
+              <PageCommentsPanel
+                open={commentsOpen}
+                onClose={() => setCommentsOpen(false)}
+                bookId={bookId}
+                chapterId={chapterId}
+                pageId={page.id}
+                currentUid={user?.uid}
+                canModerate={isBookOwner}
+                anchor={commentAnchor}
+                onClearAnchor={() => setCommentAnchor(null)}
+                onFocusAnchor={(blockId) => quillRef.current?.focusBlock?.(blockId, 'start') || false}
+                focusThreadId={focusCommentThreadId}
+              />
+            )}
+
             {/* Page actions - Static Footer at bottom of page content */}
             {!readOnly && isBabyTemplatePage ? (
               <div className="mt-6 pb-8 w-full">
@@ -2431,6 +2593,8 @@ const PageEditor = forwardRef(({
                     </div>
                   )}
                   <div className="flex items-center gap-2">
+                    {historyButton}
+                    {commentsButton}
                     <Button
                       variant="appSuccess"
                       size="sm"
@@ -2455,6 +2619,8 @@ const PageEditor = forwardRef(({
                     >
                       <Trash2 className="h-4 w-4" />
                     </Button>
+                    {historyButton}
+                    {commentsButton}
                     <div className="h-4 w-px bg-gray-200 mx-1" />
 
                     <div ref={modelDropdownRef} className="relative flex items-center">
@@ -2573,6 +2739,8 @@ const PageEditor = forwardRef(({
                       >
                         <Trash2 className="h-4 w-4" />
                       </Button>
+                      {historyButton}
+                      {commentsButton}
                       <div ref={modelDropdownRef} className="relative flex items-center">
                         <Button
                           ref={modelDropdownTriggerRef}
@@ -2673,6 +2841,10 @@ const PageEditor = forwardRef(({
                   </div>
                 </div>
               </div>
+            ) : readOnly && commentsButton ? (
+              <div className="mt-4 pb-6 flex justify-end">
+                {commentsButton}
+              </div>
             ) : null}
           </div>
         </div>
@@ -0,0 +1,90 @@
+import React, { useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ref, uploadBytes } from 'firebase/storage';
+import { ArchiveRestore, Loader2 } from 'lucide-react';
+import { storage } from '@/lib/firebase';
+import { useAuth } from '@/context/AuthContext';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import { bookExportApi } from '@/services/bookExportApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+import { ensureStorageUploadAuth, getStorageUploadDebugContext, logStorageUploadFailure } from '@/lib/storageUpload';
+
+/**
+ * Restores a book from a backup archive made with "Full backup (.zip)".
+ * The archive is uploaded to the user's imports folder and the
+ * importBookBackup callable recreates the book from there.
+ */
+const RestoreBookBackupButton = ({ className = '' }) => {
+  const { user } = useAuth();
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const inputRef = useRef(null);
+  const [restoring, setRestoring] = useState(false);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file || !user?.uid) return;
+
+    setRestoring(true);
+    const storagePath = `${user.uid}/imports/${Date.now()}_${file.name}`;
+    try {
+      try {
+        await ensureStorageUploadAuth({ storagePath, uploadSource: 'restore_book_backup' });
+        await uploadBytes(ref(storage, storagePath), file, { contentType: 'application/zip' });
+      } catch (uploadError) {
+        logStorageUploadFailure({
+          error: uploadError,
+          storagePath,
+          file,
+          uploadSource: 'restore_book_backup',
+          userUid: user.uid,
+          extra: await getStorageUploadDebugContext(),
+        });
+        throw uploadError;
+      }
+
+      const result = await bookExportApi.importBookBackup({ storagePath });
+      toast({
+        title: 'Book restored',
+        description: `"${result?.title || 'Your book'}" was restored with ${result?.pageCount || 0} pages.`,
+      });
+      if (result?.bookId) {
+        navigate(`/book/${result.bookId}`);
+      }
+    } catch (error) {
+      console.error('Error restoring book backup:', error);
+      toast({
+        title: 'Restore failed',
+        description: getCallableErrorMessage(error, 'Could not restore this backup. Please try again.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".zip,application/zip"
+        className="hidden"
+        onChange={handleFileChange}
+      />
+      <Button
+        variant="outline"
+        onClick={() => inputRef.current?.click()}
+        disabled={restoring}
+        className={`inline-flex items-center gap-2 text-sm ${className}`}
+      >
+        {restoring ? <Loader2 className="h-4 w-4 animate-spin" /> : <ArchiveRestore className="h-4 w-4" />}
+        {restoring ? 'Restoring...' : 'Restore backup'}
+      </Button>
+    </>
+  );
+};
+
+export default RestoreBookBackupButton;
@@ -0,0 +1,219 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Copy, Link2, Loader2, Lock, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { useToast } from '@/components/ui/use-toast';
+import {
+  Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription
+} from '@/components/ui/dialog';
+import { buildShareLinkUrl, shareLinkApi } from '@/services/shareLinkApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+];
+
+const formatDate = (ms) => (ms ? new Date(ms).toLocaleDateString(undefined, { dateStyle: 'medium' }) : '');
+
+const describeLink = (link) => {
+  const parts = [];
+  if (link.status === 'revoked') parts.push('Revoked');
+  else if (link.status === 'expired') parts.push(`Expired ${formatDate(link.expiresAt)}`);
+  else parts.push(link.expiresAt ? `Expires ${formatDate(link.expiresAt)}` : 'No expiry');
+  if (link.hasPasscode) parts.push(link.locked ? 'Passcode locked' : 'Passcode');
+  parts.push(`${link.accessCount} view${link.accessCount === 1 ? '' : 's'}`);
+  return parts.join(' · ');
+};
+
+/**
+ * Owner-only dialog for read-only share links: anyone with a link can read
+ * the book without an account until it expires or is revoked.
+ */
+const ShareLinksDialog = ({ bookId, className = '', iconClassName = 'h-3 w-3' }) => {
+  const { toast } = useToast();
+  const [open, setOpen] = useState(false);
+  const [links, setLinks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [revokingToken, setRevokingToken] = useState('');
+  const [label, setLabel] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState('');
+  const [passcode, setPasscode] = useState('');
+
+  const loadLinks = useCallback(async () => {
+    if (!bookId) return;
+    setLoading(true);
+    try {
+      const result = await shareLinkApi.listShareLinks({ bookId });
+      setLinks(result?.links || []);
+    } catch (error) {
+      console.error('Failed to load share links:', error);
+      toast({
+        title: 'Share links',
+        description: getCallableErrorMessage(error, 'Could not load share links.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [bookId, toast]);
+
+  useEffect(() => {
+    if (open) loadLinks();
+  }, [open, loadLinks]);
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(buildShareLinkUrl(token));
+      toast({ title: 'Link copied', description: 'Anyone with this link can read the book.' });
+    } catch (error) {
+      console.error('Clipboard write failed:', error);
+      toast({ title: 'Copy failed', description: buildShareLinkUrl(token) });
+    }
+  };
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const result = await shareLinkApi.createShareLink({
+        bookId,
+        label: label.trim(),
+        expiresInDays: expiresInDays ? Number(expiresInDays) : null,
+        passcode: passcode.trim(),
+      });
+      setLabel('');
+      setPasscode('');
+      if (result?.link) {
+        setLinks((prev) => [result.link, ...prev]);
+        await copyLink(result.link.token);
+      }
+    } catch (error) {
+      console.error('Failed to create share link:', error);
+      toast({
+        title: 'Share link not created',
+        description: getCallableErrorMessage(error, 'Could not create a share link.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    setRevokingToken(token);
+    try {
+      const result = await shareLinkApi.revokeShareLink({ token });
+      setLinks((prev) => prev.map((link) => (link.token === token ? { ...link, ...(result?.link || {}), status: 'revoked' } : link)));
+      toast({ title: 'Link revoked', description: 'The link no longer opens the book.' });
+    } catch (error) {
+      console.error('Failed to revoke share link:', error);
+      toast({
+        title: 'Revoke failed',
+        description: getCallableErrorMessage(error, 'Could not revoke the link.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setRevokingToken('');
+    }
+  };
+
+  return (
+    <>
+      <Button
+        variant="outline"
+        onClick={() => setOpen(true)}
+        title="Share a read-only link"
+        className={`flex items-center gap-2 ${className}`}
+      >
+        <Link2 className={iconClassName} />
+        Share
+      </Button>
+      <Dialog open={open} onOpenChange={setOpen}>
+        <DialogContent className="max-w-lg">
+          <DialogHeader>
+            <DialogTitle>Share a read-only link</DialogTitle>
+            <DialogDescription>
+              People with the link can read this book without an account. They cannot edit, comment or see members.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-2 rounded-md border border-border p-3">
+            <Input
+              value={label}
+              onChange={(e) => setLabel(e.target.value.slice(0, 80))}
+              placeholder="Label (e.g. Grandparents)"
+            />
+            <div className="flex gap-2">
+              <select
+                value={expiresInDays}
+                onChange={(e) => setExpiresInDays(e.target.value)}
+                className="h-10 flex-1 rounded-md border border-input bg-background px-3 text-sm"
+              >
+                {EXPIRY_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <Input
+                type="password"
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value)}
+                placeholder="Passcode (optional)"
+                className="flex-1"
+              />
+            </div>
+            <div className="flex justify-end">
+              <Button size="sm" variant="appPrimary" onClick={handleCreate} disabled={creating}>
+                {creating && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+                Create and copy link
+              </Button>
+            </div>
+          </div>
+
+          <div className="max-h-64 overflow-y-auto space-y-2">
+            {loading ? (
+              <div className="flex items-center justify-center py-6 text-sm text-muted-foreground">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Loading links...
+              </div>
+            ) : links.length === 0 ? (
+              <p className="py-6 text-center text-sm text-muted-foreground">No share links yet.</p>
+            ) : links.map((link) => (
+              <div key={link.token} className="flex items-center justify-between gap-3 rounded-md border border-border px-3 py-2">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-foreground truncate flex items-center gap-1">
+                    {link.hasPasscode && <Lock className="h-3 w-3 shrink-0" />}
+                    {link.label || 'Untitled link'}
+                  </p>
+                  <p className="text-xs text-muted-foreground">{describeLink(link)}</p>
+                </div>
+                {link.status === 'active' && (
+                  <div className="flex items-center gap-1 shrink-0">
+                    <Button size="icon" variant="ghost" className="h-8 w-8" onClick={() => copyLink(link.token)} title="Copy link">
+                      <Copy className="h-4 w-4" />
+                    </Button>
+                    <Button
+                      size="icon"
+                      variant="ghost"
+                      className="h-8 w-8 text-red-600"
+                      onClick={() => handleRevoke(link.token)}
+                      disabled={revokingToken === link.token}
+                      title="Revoke link"
+                    >
+                      {revokingToken === link.token ? <Loader2 className="h-4 w-4 animate-spin" /> : <Trash2 className="h-4 w-4" />}
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </DialogContent>
+      </Dialog>
+    </>
+  );
+};
+
+export default ShareLinksDialog;
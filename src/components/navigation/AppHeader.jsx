@@ -1,17 +1,37 @@
-import React, { useState, useRef, useEffect, useCallback } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Search, Bell, LogOut, User, BookOpen, Layers, FileText, Check, X } from 'lucide-react';
+import { Search, Bell, LogOut, User, BookOpen, Layers, FileText, Check, X, Image as ImageIcon } from 'lucide-react';
 import { useAuth } from '@/context/AuthContext';
 import { Button } from '@/components/ui/button';
 import { AppInput } from '@/components/ui/input';
 import ThemeToggle from '@/components/ThemeToggle';
 import { useTheme } from '@/context/ThemeContext';
 import { cn } from '@/lib/utils';
-import { firestore } from '@/lib/firebase';
-import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore';
 import { collabApi, getCallableErrorMessage } from '@/services/collabApi';
+import { librarySearchApi } from '@/services/librarySearchApi';
+import { getSourcePath } from '@/lib/chatSources';
 import { useToast } from '@/components/ui/use-toast';
 
+const EMPTY_SEARCH_RESULTS = { books: [], chapters: [], pages: [], albums: [] };
+
+const SEARCH_GROUPS = [
+  { key: 'books', label: 'Books', icon: BookOpen },
+  { key: 'chapters', label: 'Chapters', icon: Layers },
+  { key: 'pages', label: 'Pages', icon: FileText },
+  { key: 'albums', label: 'Albums', icon: ImageIcon },
+];
+
+const getSearchResultKey = (result) => [
+  result.type, result.bookId, result.chapterId, result.pageId, result.albumId, result.title,
+].filter(Boolean).join('-');
+
+const getSearchResultSubtitle = (result) => {
+  if (result.type === 'chapter') return `in ${result.bookTitle}`;
+  if (result.type === 'page') return `in ${result.chapterTitle} • ${result.bookTitle}`;
+  if (result.type === 'media') return `in ${result.albumTitle}`;
+  return null;
+};
+
 const AppHeader = () => {
   const { user, appUser, logout } = useAuth();
   const navigate = useNavigate();
@@ -22,13 +42,14 @@ const AppHeader = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [isSearchLoading, setIsSearchLoading] = useState(false);
   const [showSearchResults, setShowSearchResults] = useState(false);
-  const [searchResults, setSearchResults] = useState({ books: [], chapters: [], pages: [] });
+  const [searchResults, setSearchResults] = useState(EMPTY_SEARCH_RESULTS);
+  const [activeResultIndex, setActiveResultIndex] = useState(0);
   const [notificationItems, setNotificationItems] = useState([]);
   const [notificationLoading, setNotificationLoading] = useState(false);
   const [actingInviteId, setActingInviteId] = useState(null);
   const profileMenuRef = useRef(null);
   const searchBoxRef = useRef(null);
-  const chapterCacheRef = useRef(new Map());
+  const searchInputRef = useRef(null);
   const searchTimeoutRef = useRef(null);
   const searchRunRef = useRef(0);
 
@@ -76,53 +97,10 @@ const AppHeader = () => {
     return () => document.removeEventListener('mousedown', handleClickOutside);
   }, []);
 
-  const normalizeBooks = () => {
-    const items = Array.isArray(appUser?.accessibleBookIds) ? appUser.accessibleBookIds : [];
-    return items.map((item) => {
-      if (typeof item === 'string') {
-        return { bookId: item, title: 'Untitled Book' };
-      }
-      return {
-        bookId: item.bookId,
-        title: item.title || item.babyName || 'Untitled Book',
-      };
-    }).filter((item) => !!item.bookId);
-  };
-
-  const fetchBookChapters = async (bookId) => {
-    if (!bookId) return [];
-    if (chapterCacheRef.current.has(bookId)) {
-      return chapterCacheRef.current.get(bookId) || [];
-    }
-
-    const chaptersRef = collection(firestore, 'books', bookId, 'chapters');
-    let chapterDocs = [];
-
-    try {
-      const snapshot = await getDocs(query(chaptersRef, orderBy('order', 'asc'), limit(100)));
-      chapterDocs = snapshot.docs;
-    } catch (_) {
-      const fallback = await getDocs(chaptersRef);
-      chapterDocs = fallback.docs;
-    }
-
-    const chapters = chapterDocs.map((docItem) => {
-      const data = docItem.data() || {};
-      return {
-        id: docItem.id,
-        title: data.title || 'Untitled Chapter',
-        pagesSummary: Array.isArray(data.pagesSummary) ? data.pagesSummary : [],
-      };
-    });
-
-    chapterCacheRef.current.set(bookId, chapters);
-    return chapters;
-  };
-
   const executeSearch = async (rawQuery) => {
-    const queryText = rawQuery.trim().toLowerCase();
+    const queryText = rawQuery.trim();
     if (queryText.length < 2) {
-      setSearchResults({ books: [], chapters: [], pages: [] });
+      setSearchResults(EMPTY_SEARCH_RESULTS);
       setIsSearchLoading(false);
       return;
     }
@@ -130,53 +108,49 @@ const AppHeader = () => {
     const runId = ++searchRunRef.current;
     setIsSearchLoading(true);
 
-    const books = normalizeBooks();
-    const bookMatches = books
-      .filter((book) => (book.title || '').toLowerCase().includes(queryText))
-      .slice(0, 6)
-      .map((book) => ({
-        id: book.bookId,
-        title: book.title,
-      }));
+    try {
+      const result = await librarySearchApi.searchLibrary({ query: rawQuery });
+      if (runId !== searchRunRef.current) return;
+      setSearchResults({
+        books: result?.books || [],
+        chapters: result?.chapters || [],
+        pages: result?.pages || [],
+        albums: result?.albums || [],
+      });
+    } catch (error) {
+      if (runId !== searchRunRef.current) return;
+      console.error('Search failed:', error);
+      setSearchResults(EMPTY_SEARCH_RESULTS);
+    } finally {
+      if (runId === searchRunRef.current) {
+        setIsSearchLoading(false);
+      }
+    }
+  };
 
-    const booksToScan = books.slice(0, 25);
-    const chapterAndPageResults = await Promise.all(
-      booksToScan.map(async (book) => {
-        const chapters = await fetchBookChapters(book.bookId);
-        const chapterMatches = chapters
-          .filter((chapter) => (chapter.title || '').toLowerCase().includes(queryText))
-          .map((chapter) => ({
-            id: chapter.id,
-            title: chapter.title,
-            bookId: book.bookId,
-            bookTitle: book.title,
-          }));
-        const pageMatches = chapters.flatMap((chapter) => (
-          (chapter.pagesSummary || [])
-            .map((pageSummary) => ({
-              pageId: pageSummary?.pageId,
-              title: ((pageSummary?.pageName || '').trim() || pageSummary?.shortNote || 'Untitled Page'),
-              chapterId: chapter.id,
-              chapterTitle: chapter.title,
-              bookId: book.bookId,
-              bookTitle: book.title,
-            }))
-            .filter((page) => !!page.pageId && (page.title || '').toLowerCase().includes(queryText))
-        ));
-        return { chapterMatches, pageMatches };
-      })
-    );
-    const chapterMatches = chapterAndPageResults.flatMap((result) => result.chapterMatches).slice(0, 8);
-    const pageMatches = chapterAndPageResults.flatMap((result) => result.pageMatches).slice(0, 10);
+  // Results in display order, for arrow-key navigation across groups.
+  const flatSearchResults = useMemo(
+    () => SEARCH_GROUPS.flatMap((group) => searchResults[group.key] || []),
+    [searchResults]
+  );
 
-    if (runId !== searchRunRef.current) return;
-    setSearchResults({
-      books: bookMatches,
-      chapters: chapterMatches,
-      pages: pageMatches,
-    });
-    setIsSearchLoading(false);
-  };
+  useEffect(() => {
+    setActiveResultIndex(0);
+  }, [searchResults]);
+
+  // Ctrl/⌘+K opens the search palette from anywhere in the app.
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        searchInputRef.current?.focus();
+        searchInputRef.current?.select();
+        setShowSearchResults(true);
+      }
+    };
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
 
   const handleLogout = async () => {
     await logout();
@@ -230,7 +204,7 @@ const AppHeader = () => {
     }
 
     if (!searchQuery.trim()) {
-      setSearchResults({ books: [], chapters: [], pages: [] });
+      setSearchResults(EMPTY_SEARCH_RESULTS);
       setIsSearchLoading(false);
       return;
     }
@@ -244,46 +218,54 @@ const AppHeader = () => {
         clearTimeout(searchTimeoutRef.current);
       }
     };
-  }, [searchQuery, appUser]);
-
-  const openBook = (bookId) => {
-    if (!bookId) return;
-    setShowSearchResults(false);
-    setSearchQuery('');
-    navigate(`/book/${bookId}`);
-  };
+  }, [searchQuery]);
 
-  const openChapter = (bookId, chapterId) => {
-    if (!bookId || !chapterId) return;
-    setShowSearchResults(false);
-    setSearchQuery('');
-    navigate(`/book/${bookId}?chapter=${encodeURIComponent(chapterId)}`);
-  };
-
-  const openPage = (bookId, chapterId, pageId) => {
-    if (!bookId || !chapterId || !pageId) return;
+  const openSearchResult = (result) => {
+    if (!result) return;
+    let path = null;
+    if (result.type === 'book') {
+      path = `/book/${result.bookId}`;
+    } else if (result.type === 'chapter') {
+      path = `/book/${result.bookId}?chapter=${encodeURIComponent(result.chapterId)}`;
+    } else if (result.type === 'page') {
+      // `focus` asks BookDetail to put the cursor in the page once it has loaded.
+      const pagePath = getSourcePath({ ...result, id: result.pageId });
+      path = pagePath && `${pagePath}&focus=start`;
+    } else if (result.albumId) {
+      path = `/media/album/${result.albumId}`;
+    }
+    if (!path) return;
     setShowSearchResults(false);
     setSearchQuery('');
-    navigate(`/book/${bookId}?chapter=${encodeURIComponent(chapterId)}&page=${encodeURIComponent(pageId)}`);
+    searchInputRef.current?.blur();
+    navigate(path);
   };
 
   const handleSearch = (e) => {
     e.preventDefault();
-    const firstResult = searchResults.books[0]
-      || searchResults.chapters[0]
-      || searchResults.pages[0];
-    if (!firstResult) return;
-    if (searchResults.books[0]?.id === firstResult.id) {
-      openBook(firstResult.id);
+    openSearchResult(flatSearchResults[activeResultIndex] || flatSearchResults[0]);
+  };
+
+  const handleSearchKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setShowSearchResults(false);
+      searchInputRef.current?.blur();
       return;
     }
-    if (searchResults.chapters[0]?.id === firstResult.id && firstResult.bookId) {
-      openChapter(firstResult.bookId, firstResult.id);
-      return;
+    if (flatSearchResults.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setShowSearchResults(true);
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveResultIndex((prev) => (prev + step + flatSearchResults.length) % flatSearchResults.length);
     }
-    openPage(firstResult.bookId, firstResult.chapterId, firstResult.pageId);
   };
 
+  useEffect(() => {
+    if (!showSearchResults) return;
+    document.getElementById(`app-search-result-${activeResultIndex}`)?.scrollIntoView({ block: 'nearest' });
+  }, [activeResultIndex, showSearchResults]);
+
   return (
     <header
       className={cn(
@@ -301,76 +283,71 @@ const AppHeader = () => {
         <form onSubmit={handleSearch} className="relative">
           <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-app-gray-600" />
           <AppInput
+            ref={searchInputRef}
             type="text"
-            placeholder="Search books, chapters, pages..."
+            placeholder="Search books, chapters, pages, albums... (Ctrl+K)"
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             onFocus={() => setShowSearchResults(true)}
+            onKeyDown={handleSearchKeyDown}
+            role="combobox"
+            aria-expanded={showSearchResults && searchQuery.trim().length >= 2}
+            aria-controls="app-search-results"
+            aria-activedescendant={flatSearchResults.length > 0 ? `app-search-result-${activeResultIndex}` : undefined}
             className="pl-10 pr-4 w-full"
           />
         </form>
         {showSearchResults && searchQuery.trim().length >= 2 && (
           <div className="absolute mt-2 w-full max-w-2xl rounded-xl border border-border bg-card shadow-appCard z-50 overflow-hidden">
-            {isSearchLoading ? (
+            {isSearchLoading && flatSearchResults.length === 0 ? (
               <div className="px-4 py-3 text-sm text-app-gray-600">Searching...</div>
-            ) : (searchResults.books.length === 0 && searchResults.chapters.length === 0 && searchResults.pages.length === 0) ? (
+            ) : flatSearchResults.length === 0 ? (
               <div className="px-4 py-3 text-sm text-app-gray-600">No results found.</div>
             ) : (
-              <div className="max-h-[420px] overflow-y-auto">
-                {searchResults.books.length > 0 && (
-                  <div className="py-1">
-                    <div className="px-4 py-2 text-[11px] uppercase tracking-wide text-app-gray-500">Books</div>
-                    {searchResults.books.map((book) => (
-                      <button
-                        key={`book-${book.id}`}
-                        type="button"
-                        onClick={() => openBook(book.id)}
-                        className="w-full px-4 py-2 text-left text-sm hover:bg-app-gray-100 flex items-center gap-2"
-                      >
-                        <BookOpen className="h-4 w-4 text-app-gray-500" />
-                        <span className="truncate">{book.title}</span>
-                      </button>
-                    ))}
-                  </div>
-                )}
-                {searchResults.chapters.length > 0 && (
-                  <div className="py-1 border-t border-border/70">
-                    <div className="px-4 py-2 text-[11px] uppercase tracking-wide text-app-gray-500">Chapters</div>
-                    {searchResults.chapters.map((chapter) => (
-                      <button
-                        key={`chapter-${chapter.id}-${chapter.bookId}`}
-                        type="button"
-                        onClick={() => openChapter(chapter.bookId, chapter.id)}
-                        className="w-full px-4 py-2 text-left text-sm hover:bg-app-gray-100 flex items-center gap-2"
-                      >
-                        <Layers className="h-4 w-4 text-app-gray-500" />
-                        <span className="truncate">{chapter.title}</span>
-                        <span className="text-xs text-app-gray-500 truncate">in {chapter.bookTitle}</span>
-                      </button>
-                    ))}
-                  </div>
-                )}
-                {searchResults.pages.length > 0 && (
-                  <div className="py-1 border-t border-border/70">
-                    <div className="px-4 py-2 text-[11px] uppercase tracking-wide text-app-gray-500">Pages</div>
-                    {searchResults.pages.map((page) => (
-                      <button
-                        key={`page-${page.pageId}-${page.chapterId}-${page.bookId}`}
-                        type="button"
-                        onClick={() => openPage(page.bookId, page.chapterId, page.pageId)}
-                        className="w-full px-4 py-2 text-left text-sm hover:bg-app-gray-100 flex items-start gap-2"
-                      >
-                        <FileText className="h-4 w-4 text-app-gray-500 mt-0.5" />
-                        <span className="min-w-0">
-                          <span className="block truncate">{page.title}</span>
-                          <span className="block text-xs text-app-gray-500 truncate">
-                            in {page.chapterTitle} • {page.bookTitle}
-                          </span>
-                        </span>
-                      </button>
-                    ))}
-                  </div>
-                )}
+              <div id="app-search-results" role="listbox" className="max-h-[420px] overflow-y-auto">
+                {SEARCH_GROUPS.map((group, groupIndex) => {
+                  const items = searchResults[group.key] || [];
+                  if (items.length === 0) return null;
+                  const offset = SEARCH_GROUPS
+                    .slice(0, groupIndex)
+                    .reduce((total, previous) => total + (searchResults[previous.key]?.length || 0), 0);
+                  const Icon = group.icon;
+                  return (
+                    <div key={group.key} className="py-1 border-t border-border/70 first:border-t-0">
+                      <div className="px-4 py-2 text-[11px] uppercase tracking-wide text-app-gray-500">{group.label}</div>
+                      {items.map((result, itemIndex) => {
+                        const index = offset + itemIndex;
+                        const subtitle = getSearchResultSubtitle(result);
+                        return (
+                          <button
+                            key={getSearchResultKey(result)}
+                            id={`app-search-result-${index}`}
+                            type="button"
+                            role="option"
+                            aria-selected={index === activeResultIndex}
+                            onClick={() => openSearchResult(result)}
+                            onMouseEnter={() => setActiveResultIndex(index)}
+                            className={cn(
+                              'w-full px-4 py-2 text-left text-sm hover:bg-app-gray-100 flex items-start gap-2',
+                              index === activeResultIndex && 'bg-app-gray-100',
+                            )}
+                          >
+                            <Icon className="h-4 w-4 text-app-gray-500 mt-0.5 shrink-0" />
+                            <span className="min-w-0">
+                              <span className="block truncate">{result.title}</span>
+                              {subtitle && (
+                                <span className="block text-xs text-app-gray-500 truncate">{subtitle}</span>
+                              )}
+                              {result.snippet && (
+                                <span className="block text-xs text-app-gray-600 line-clamp-2">{result.snippet}</span>
+                              )}
+                            </span>
+                          </button>
+                        );
+                      })}
+                    </div>
+                  );
+                })}
               </div>
             )}
           </div>
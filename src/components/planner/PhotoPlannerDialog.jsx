@@ -9,10 +9,14 @@ import { useAuth } from '@/context/AuthContext';
 import { firestore } from '@/lib/firebase';
 import { cn } from '@/lib/utils';
 import { convertToEmulatorURL } from '@/lib/pageUtils';
+import { getCaptureMonthNumbers, parseMonthChapterNumber } from '@/lib/captureDates';
 import { applyPhotoDistribution, respondToPlannerHitl } from '@/services/photoPlannerApiService';
 import { uploadPlannerMediaFiles } from '@/services/photoPlannerMediaService';
+import { albumMediaApi, ALBUM_PICKER_PAGE_SIZE } from '@/services/albumMediaApi';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
 import PlannerProgressTimeline from '@/components/planner/PlannerProgressTimeline';
 import {
+  CalendarDays,
   CheckCircle2,
   Check,
   Image as ImageIcon,
@@ -49,6 +53,7 @@ const WARNING_PREFIX_APPROVAL_REQUIRED = 'APPROVAL_REQUIRED:';
 const WARNING_PREFIX_STRUCTURE_REQUIRED = 'STRUCTURE_CONFIRMATION_REQUIRED:';
 const WARNING_PREFIX_CANDIDATE_PAGES = 'CANDIDATE_PAGES:';
 const CREATE_ONLY_PAGE_POLICY_HINT = 'Create-only policy: always create new pages for new text/media. Do not update, overwrite, or delete existing pages.';
+const CAPTURE_DATE_HINT = 'Media with capturedAt were taken at that time (camera clock); captureMonth counts months from the earliest photo, starting at 1. Use them to order media and to place photos in month chapters such as "Month 3".';
 
 const keyOfMedia = (item) => item?.storagePath || item?.url;
 
@@ -67,33 +72,18 @@ const mergeUniqueMediaItems = (existing, incoming) => {
   return Array.from(map.values());
 };
 
-const normalizeAlbumMediaItems = (albumId, albumData = {}) => {
-  const images = (albumData.images || []).map((item) => {
-    const url = typeof item === 'string' ? item : item.url;
-    const storagePath = typeof item === 'string' ? null : item.storagePath;
-    return {
-      url: convertToEmulatorURL(url),
-      storagePath,
-      type: 'image',
-      name: typeof item === 'string' ? (url?.split('/')?.pop() || 'Image') : (item.name || item.fileName || 'Image'),
-      albumId: albumId || null,
-    };
-  });
-
-  const videos = (albumData.videos || []).map((item) => {
-    const url = typeof item === 'string' ? item : item.url;
-    const storagePath = typeof item === 'string' ? null : item.storagePath;
-    return {
-      url: convertToEmulatorURL(url),
-      storagePath,
-      type: 'video',
-      name: typeof item === 'string' ? (url?.split('/')?.pop() || 'Video') : (item.name || item.fileName || 'Video'),
-      albumId: albumId || null,
-    };
-  });
-
-  return [...images, ...videos].filter((item) => item.url);
-};
+const normalizeAlbumMediaItems = (albumId, items = []) => items
+  .map((item) => ({
+    url: convertToEmulatorURL(item.url),
+    storagePath: item.storagePath || null,
+    type: item.type === 'video' ? 'video' : 'image',
+    name: item.name || item.fileName || (item.type === 'video' ? 'Video' : 'Image'),
+    albumId: albumId || null,
+    width: item.width || null,
+    renditions: item.renditions || null,
+    capturedAt: item.capturedAt || null,
+  }))
+  .filter((item) => item.url);
 
 const normalizeChapterPlanKey = (chapterId, title = '') => {
   if (chapterId) return `chapter:${chapterId}`;
@@ -411,8 +401,12 @@ const PhotoPlannerDialog = ({
           return;
         }
 
-        const data = albumSnap.data() || {};
-        const items = normalizeAlbumMediaItems(selectedAlbumId, data);
+        const { items: albumItems } = await albumMediaApi.listAlbumMedia({
+          albumId: selectedAlbumId,
+          albumData: albumSnap.data() || {},
+          pageSize: ALBUM_PICKER_PAGE_SIZE,
+        });
+        const items = normalizeAlbumMediaItems(selectedAlbumId, albumItems);
         if (mounted) {
           setAlbumMedia(items);
         }
@@ -518,6 +512,73 @@ const PhotoPlannerDialog = ({
     setSelectedMediaKeys([]);
   };
 
+  // Fresh uploads get their capture date once the upload trigger has read the EXIF
+  const withCaptureDates = async (items) => {
+    const missing = items.filter((item) => item.type === 'image' && !item.capturedAt);
+    if (missing.length === 0) return items;
+    try {
+      const dates = await albumMediaApi.getCaptureDates(missing);
+      if (dates.size === 0) return items;
+      const next = items.map((item) => (
+        dates.has(item.storagePath) ? { ...item, capturedAt: dates.get(item.storagePath) } : item
+      ));
+      setMediaItems(next);
+      return next;
+    } catch (error) {
+      console.warn('Failed to load capture dates for planner media', error);
+      return items;
+    }
+  };
+
+  // Put each dated photo in the "Month N" chapter for its capture month, reusing
+  // existing chapters whose title names that month
+  const assignMediaByCaptureMonth = async () => {
+    const items = await withCaptureDates(mediaItems);
+    const monthNumbers = getCaptureMonthNumbers(items);
+    if (monthNumbers.size === 0) {
+      toast({
+        title: 'No capture dates',
+        description: 'None of these photos have a capture date. Try again in a moment for fresh uploads.',
+      });
+      return;
+    }
+
+    const keysByMonth = new Map();
+    items.forEach((item) => {
+      const month = monthNumbers.get(item);
+      if (!month) return;
+      keysByMonth.set(month, [...(keysByMonth.get(month) || []), keyOfMedia(item)]);
+    });
+    const datedKeys = new Set([...keysByMonth.values()].flat());
+
+    setChapterPlans((prev) => {
+      const next = prev.map((plan) => ({
+        ...plan,
+        mediaKeys: (plan.mediaKeys || []).filter((key) => !datedKeys.has(key)),
+      }));
+      [...keysByMonth.keys()].sort((a, b) => a - b).forEach((month) => {
+        const mediaKeys = keysByMonth.get(month);
+        const plan = next.find((entry) => parseMonthChapterNumber(entry.title) === month);
+        if (plan) {
+          plan.mediaKeys = [...plan.mediaKeys, ...mediaKeys];
+          return;
+        }
+        const chapter = chapters.find((entry) => parseMonthChapterNumber(entry.title) === month);
+        const title = chapter?.title || `Month ${month}`;
+        next.push({
+          key: normalizeChapterPlanKey(chapter?.id || null, title),
+          chapterId: chapter?.id || null,
+          title,
+          prompt: '',
+          description: '',
+          mediaKeys,
+        });
+      });
+      return next;
+    });
+    setSelectedMediaKeys([]);
+  };
+
   const removeAssignedMediaFromActiveChapter = (mediaKey) => {
     if (!activeChapterPlanKey || !mediaKey) return;
     setChapterPlans((prev) => prev.map((plan) => {
@@ -811,7 +872,7 @@ const PhotoPlannerDialog = ({
     return null;
   };
 
-  const buildPayload = () => {
+  const buildPayload = (items = mediaItems) => {
     const babyJournalContext = isBabyJournal
       ? {
           parentVoice: parentVoice === 'mom' ? 'mom' : 'dad',
@@ -819,27 +880,24 @@ const PhotoPlannerDialog = ({
         }
       : null;
 
-    const mediaPayload = mediaItems.map((item) => ({
+    const captureMonths = getCaptureMonthNumbers(items.filter((item) => item.capturedAt));
+    const toMediaPayload = (item) => ({
       url: item.url,
       storagePath: item.storagePath,
       name: item.name,
       type: item.type === 'video' ? 'video' : 'image',
       ...(item.albumId ? { albumId: item.albumId } : {}),
       ...(typeof item.durationSec === 'number' ? { durationSec: item.durationSec } : {}),
-    }));
+      ...(item.capturedAt ? { capturedAt: item.capturedAt, captureMonth: captureMonths.get(item) } : {}),
+    });
+    const mediaPayload = items.map(toMediaPayload);
+    const itemsByKey = new Map(items.map((item) => [keyOfMedia(item), item]));
 
     const chapterPlanPayload = chapterPlans.map((plan) => {
       const assignedMedia = (plan.mediaKeys || [])
-        .map((mediaKey) => mediaByKey.get(mediaKey))
+        .map((mediaKey) => itemsByKey.get(mediaKey))
         .filter(Boolean)
-        .map((item) => ({
-          url: item.url,
-          storagePath: item.storagePath,
-          name: item.name,
-          type: item.type === 'video' ? 'video' : 'image',
-          ...(item.albumId ? { albumId: item.albumId } : {}),
-          ...(typeof item.durationSec === 'number' ? { durationSec: item.durationSec } : {}),
-        }));
+        .map(toMediaPayload);
 
       return {
         key: plan.key,
@@ -860,12 +918,13 @@ const PhotoPlannerDialog = ({
     const target = singleChapterTarget
       ? { scope: 'chapter', chapterId: plansWithContent[0].chapterId }
       : { scope: 'book' };
-    const enforcedDistributionPrompt = [combinedDistributionPrompt, CREATE_ONLY_PAGE_POLICY_HINT]
+    const captureDateHint = captureMonths.size > 0 ? CAPTURE_DATE_HINT : '';
+    const enforcedDistributionPrompt = [combinedDistributionPrompt, captureDateHint, CREATE_ONLY_PAGE_POLICY_HINT]
       .filter(Boolean)
       .join('\n\n')
       .trim();
     const enforcedAutoPrompt = distributionMode === 'auto'
-      ? [distributionModePrompt.trim(), CREATE_ONLY_PAGE_POLICY_HINT].filter(Boolean).join('\n\n').trim()
+      ? [distributionModePrompt.trim(), captureDateHint, CREATE_ONLY_PAGE_POLICY_HINT].filter(Boolean).join('\n\n').trim()
       : '';
     return {
       bookId,
@@ -1092,7 +1151,7 @@ const PhotoPlannerDialog = ({
     addTimelineEvent('planning_started', eventLabelMap.planning_started, 'in_progress');
 
     try {
-      const payload = buildPayload();
+      const payload = buildPayload(await withCaptureDates(mediaItems));
       setApplyPayloadSnapshot(payload);
 
       const result = await applyPhotoDistribution(payload, handlePlannerEvent);
@@ -1242,7 +1301,14 @@ const PhotoPlannerDialog = ({
             </span>
           </div>
         ) : (
-          <img src={item.url} alt={item.name || 'Media'} className="h-full w-full object-cover" />
+          <ResponsiveImage
+            src={item.url}
+            width={item.width}
+            renditions={item.renditions}
+            sizes="240px"
+            alt={item.name || 'Media'}
+            className="h-full w-full object-cover"
+          />
         )}
       </div>
       <div className="px-2 py-1.5 text-xs text-app-gray-600 truncate">{item.name || 'Untitled media'}</div>
@@ -1402,7 +1468,14 @@ const PhotoPlannerDialog = ({
                                     </span>
                                   </div>
                                 ) : (
-                                  <img src={asset.url} alt={asset.name} className="h-24 w-full object-cover" />
+                                  <ResponsiveImage
+                                    src={asset.url}
+                                    width={asset.width}
+                                    renditions={asset.renditions}
+                                    sizes="160px"
+                                    alt={asset.name}
+                                    className="h-24 w-full object-cover"
+                                  />
                                 )}
                                 <div className="px-1.5 py-1 text-[11px] text-app-gray-700 truncate">{asset.name}</div>
                               </button>
@@ -1489,6 +1562,23 @@ const PhotoPlannerDialog = ({
 
                 {distributionMode === 'manual' && (
                   <>
+                    <div className="flex items-center justify-between gap-3 rounded-lg border border-app-gray-200 bg-white p-3">
+                      <div className="text-xs text-app-gray-600">
+                        Group photos into &quot;Month N&quot; chapters by when they were taken.
+                      </div>
+                      <Button
+                        type="button"
+                        variant="appGhost"
+                        size="sm"
+                        className="shrink-0"
+                        disabled={mediaItems.length === 0}
+                        onClick={assignMediaByCaptureMonth}
+                      >
+                        <CalendarDays className="h-4 w-4 mr-1" />
+                        Sort by capture date
+                      </Button>
+                    </div>
+
                     <div className="space-y-2">
                       <label className="text-xs font-semibold uppercase tracking-wide text-app-gray-500">Select chapter</label>
                       <div className="flex gap-2">
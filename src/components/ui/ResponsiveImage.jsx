@@ -0,0 +1,41 @@
+import React from 'react';
+import { convertToEmulatorURL } from '@/lib/pageUtils';
+
+const RENDITION_ORDER = ['thumb', 'medium', 'large'];
+
+/**
+ * `srcset` for a media item: its WebP renditions, plus the original when its
+ * width is known. Empty for items uploaded before renditions existed.
+ */
+export const buildSrcSet = ({ url, width, renditions } = {}) => {
+  const candidates = RENDITION_ORDER
+    .map((size) => renditions?.[size])
+    .filter((rendition) => rendition?.url && rendition.width)
+    .map((rendition) => `${convertToEmulatorURL(rendition.url)} ${rendition.width}w`);
+  if (candidates.length === 0) return '';
+  const widest = renditions[RENDITION_ORDER.filter((size) => renditions[size]).pop()]?.width || 0;
+  if (url && width > widest) candidates.push(`${url} ${width}w`);
+  return candidates.join(', ');
+};
+
+/**
+ * <img> for album and page media that lets the browser pick the smallest
+ * rendition covering `sizes`, instead of always loading the full-size upload.
+ * `src` stays the original so items without renditions look the same.
+ */
+const ResponsiveImage = ({ src, width, renditions, sizes = '100vw', alt = '', loading = 'lazy', ...props }) => {
+  const srcSet = buildSrcSet({ url: src, width, renditions });
+  return (
+    <img
+      src={src}
+      srcSet={srcSet || undefined}
+      sizes={srcSet ? sizes : undefined}
+      alt={alt}
+      loading={loading}
+      decoding="async"
+      {...props}
+    />
+  );
+};
+
+export default ResponsiveImage;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { Video } from 'lucide-react';
+import { formatDuration, getVideoPosterUrl } from '@/lib/videoMedia';
+import { convertToEmulatorURL } from '@/lib/pageUtils';
+
+/**
+ * Grid tile for a video: its poster frame and duration, so a grid of videos
+ * does not load every file. Videos uploaded before posters existed fall back
+ * to a <video> that only fetches metadata.
+ */
+const VideoThumbnail = ({ item, className = '', showIcon = true, alt = '' }) => {
+  const poster = getVideoPosterUrl(item);
+  const duration = formatDuration(item?.durationSeconds);
+  return (
+    <>
+      {poster ? (
+        <img src={poster} alt={alt || item?.name || ''} loading="lazy" decoding="async" className={className} />
+      ) : (
+        <video src={convertToEmulatorURL(item?.url)} className={className} muted playsInline preload="metadata" />
+      )}
+      {showIcon && (
+        <span className="pointer-events-none absolute inset-0 flex items-center justify-center">
+          <span className="rounded-full bg-black/50 p-2 text-white">
+            <Video className="h-5 w-5" />
+          </span>
+        </span>
+      )}
+      {duration && (
+        <span className="pointer-events-none absolute bottom-1.5 right-1.5 rounded bg-black/70 px-1.5 py-0.5 text-[11px] font-medium text-white tabular-nums">
+          {duration}
+        </span>
+      )}
+    </>
+  );
+};
+
+export default VideoThumbnail;
@@ -0,0 +1,161 @@
+import { useEffect, useRef, useState } from 'react';
+import * as Y from 'yjs';
+import { BlockNoteEditor } from '@blocknote/core';
+import { blocksToYDoc } from '@blocknote/core/yjs';
+import { COLLAB_FRAGMENT_NAME, FirestoreYjsProvider, reseedIfStale } from '@/lib/firestoreYjsProvider';
+import { hashPageNote } from '@/lib/collabSeed';
+
+// Give up on live mode and fall back to solo editing if the first sync takes longer.
+const SYNC_TIMEOUT_MS = 8000;
+
+const CURSOR_COLORS = ['#6d5dfc', '#e2557b', '#1f9d8b', '#e8893a', '#2f80ed', '#9b51e0', '#27ae60', '#d4a017'];
+
+/** Stable cursor color per user, so a co-author keeps the same color on every page. */
+export const collaboratorColor = (uid = '') => {
+  let hash = 0;
+  for (let i = 0; i < uid.length; i += 1) {
+    hash = (hash * 31 + uid.charCodeAt(i)) >>> 0;
+  }
+  return CURSOR_COLORS[hash % CURSOR_COLORS.length];
+};
+
+const listPeers = (awareness) => {
+  const byUid = new Map();
+  awareness.getStates().forEach((state, clientId) => {
+    if (clientId === awareness.clientID || !state?.user?.uid) return;
+    byUid.set(state.user.uid, state.user);
+  });
+  return [...byUid.values()];
+};
+
+const buildSeedUpdate = async ({ html, blocks }) => {
+  // Throwaway editor, only used for its schema to convert the saved page.
+  const converter = BlockNoteEditor.create();
+  const seedBlocks = Array.isArray(blocks) && blocks.length > 0
+    ? blocks
+    : await converter.tryParseHTMLToBlocks(html || '');
+  const seedDoc = blocksToYDoc(
+    converter,
+    seedBlocks.length > 0 ? seedBlocks : [{ type: 'paragraph', content: [] }],
+    COLLAB_FRAGMENT_NAME
+  );
+  const update = Y.encodeStateAsUpdate(seedDoc);
+  seedDoc.destroy();
+  return update;
+};
+
+/**
+ * Connect a page editor to live co-editing. Resolves to a BlockNote
+ * `collaboration` option once the shared document is loaded (seeding it from
+ * the saved page the first time, or again after the page was saved outside
+ * live editing), and tracks who else has the page open.
+ * @returns {{ status: 'off'|'connecting'|'live'|'offline', collaboration: Object|null, peers: Array<{ uid: string, name: string, color: string }> }}
+ */
+export function usePageCollaboration({
+  enabled,
+  bookId,
+  chapterId,
+  pageId,
+  uid,
+  userName,
+  seedHtml,
+  seedBlocks,
+}) {
+  const [state, setState] = useState({ status: 'off', collaboration: null, peers: [] });
+  const seedRef = useRef({ html: seedHtml, blocks: seedBlocks });
+  seedRef.current = { html: seedHtml, blocks: seedBlocks };
+  const userNameRef = useRef(userName);
+  userNameRef.current = userName;
+  const providerRef = useRef(null);
+
+  useEffect(() => {
+    if (!enabled || !bookId || !chapterId || !pageId || !uid) {
+      setState({ status: 'off', collaboration: null, peers: [] });
+      return undefined;
+    }
+
+    let cancelled = false;
+    let abandoned = false;
+    let provider = null;
+    const ydoc = new Y.Doc();
+    setState({ status: 'connecting', collaboration: null, peers: [] });
+
+    const handlePeersChange = () => {
+      if (cancelled || !provider) return;
+      const peers = listPeers(provider.awareness);
+      setState((prev) => ({ ...prev, peers }));
+    };
+
+    const connect = async () => {
+      const seedUpdate = () => buildSeedUpdate(seedRef.current);
+      const savedNoteHash = await hashPageNote(seedRef.current.html);
+      await reseedIfStale({
+        bookId,
+        chapterId,
+        pageId,
+        uid,
+        clientId: ydoc.clientID,
+        savedNoteHash,
+        buildSeedUpdate: seedUpdate,
+      });
+      if (cancelled || abandoned) return;
+      provider = new FirestoreYjsProvider(ydoc, { bookId, chapterId, pageId, uid });
+      providerRef.current = provider;
+      provider.awareness.on('change', handlePeersChange);
+      await provider.seedIfEmpty(seedUpdate, { savedNoteHash });
+    };
+
+    let timeoutId = null;
+    const timeout = new Promise((_, reject) => {
+      timeoutId = setTimeout(() => reject(new Error('Timed out connecting to live editing.')), SYNC_TIMEOUT_MS);
+    });
+
+    Promise.race([connect(), timeout])
+      .then(() => {
+        if (cancelled) return;
+        setState({
+          status: 'live',
+          peers: listPeers(provider.awareness),
+          collaboration: {
+            provider,
+            fragment: ydoc.getXmlFragment(COLLAB_FRAGMENT_NAME),
+            user: {
+              uid,
+              name: userNameRef.current || 'Co-author',
+              color: collaboratorColor(uid),
+            },
+            showCursorLabels: 'activity',
+          },
+        });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.warn('[collab] live editing unavailable, editing solo:', error?.message || error);
+        abandoned = true;
+        provider?.destroy();
+        setState({ status: 'offline', collaboration: null, peers: [] });
+      })
+      .finally(() => clearTimeout(timeoutId));
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeoutId);
+      provider?.awareness.off('change', handlePeersChange);
+      provider?.destroy();
+      ydoc.destroy();
+      providerRef.current = null;
+    };
+  }, [enabled, bookId, chapterId, pageId, uid]);
+
+  // Names load after the editor connects; update the cursor label in place.
+  useEffect(() => {
+    const provider = providerRef.current;
+    if (state.status !== 'live' || !provider || !userName) return;
+    const current = provider.awareness.getLocalState()?.user;
+    if (current && current.name !== userName) {
+      provider.awareness.setLocalStateField('user', { ...current, name: userName });
+    }
+  }, [state.status, userName]);
+
+  return state;
+}
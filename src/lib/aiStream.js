@@ -214,7 +214,7 @@ const buildRequestPayload = ({
   return payload;
 };
 
-const parseSseEvent = (rawEvent) => {
+export const parseSseEvent = (rawEvent) => {
   const lines = rawEvent.split('\n');
   let event = 'message';
   const dataLines = [];
@@ -255,7 +255,7 @@ const parseNonSseResponse = async (response) => {
   return { text };
 };
 
-const parseErrorResponse = async (response) => {
+export const parseErrorResponse = async (response) => {
   const contentType = response.headers.get('content-type') || '';
   let message = `Streaming request failed with ${response.status}`;
 
@@ -8,6 +8,7 @@ export const BILLING_PLANS = {
     books: 3,
     pages: 150,
     storageMb: 50,
+    videoMaxSeconds: 60,
     voiceEnabled: false,
   },
   creator: {
@@ -19,6 +20,7 @@ export const BILLING_PLANS = {
     books: 25,
     pages: 5000,
     storageMb: 512,
+    videoMaxSeconds: 300,
     voiceEnabled: true,
   },
   pro: {
@@ -30,6 +32,7 @@ export const BILLING_PLANS = {
     books: 100,
     pages: 20000,
     storageMb: 2048,
+    videoMaxSeconds: 900,
     voiceEnabled: true,
   },
   premium: {
@@ -41,6 +44,7 @@ export const BILLING_PLANS = {
     books: 500,
     pages: 100000,
     storageMb: 8192,
+    videoMaxSeconds: 1800,
     voiceEnabled: true,
   },
 };
@@ -0,0 +1,70 @@
+// Capture dates of album media. Photos carry `capturedAt` from their EXIF
+// (camera wall-clock time, `YYYY-MM-DDTHH:mm:ss` with an optional UTC offset);
+// everything else falls back to when it was uploaded.
+
+const MONTH_KEY_PATTERN = /^(\d{4})-(\d{2})/;
+
+export const getCaptureDate = (item) => item?.capturedAt || item?.uploadedAt || null;
+
+// `YYYY-MM` of the capture date, read from the string so the camera's local month is kept
+export const getCaptureMonthKey = (item) => {
+  const match = MONTH_KEY_PATTERN.exec(getCaptureDate(item) || '');
+  return match ? `${match[1]}-${match[2]}` : null;
+};
+
+export const formatCaptureMonth = (monthKey) => {
+  if (!monthKey) return 'Undated';
+  return new Intl.DateTimeFormat(undefined, { month: 'long', year: 'numeric', timeZone: 'UTC' })
+    .format(new Date(`${monthKey}-01T00:00:00Z`));
+};
+
+// Newest first by default; undated items go last either way
+export const sortByCaptureDate = (items, direction = 'desc') => {
+  const sign = direction === 'asc' ? 1 : -1;
+  return [...items].sort((a, b) => {
+    const left = (getCaptureDate(a) || '').slice(0, 19);
+    const right = (getCaptureDate(b) || '').slice(0, 19);
+    if (!left || !right) return left ? -1 : (right ? 1 : 0);
+    return left === right ? 0 : (left < right ? -sign : sign);
+  });
+};
+
+/**
+ * Consecutive runs of items from the same capture month, in the given order.
+ * `startIndex` is the position of a group's first item in `items`.
+ */
+export const groupMediaByMonth = (items) => items.reduce((groups, item, index) => {
+  const key = getCaptureMonthKey(item);
+  const last = groups[groups.length - 1];
+  if (last && last.key === key) {
+    last.items.push(item);
+  } else {
+    groups.push({ key, label: formatCaptureMonth(key), items: [item], startIndex: index });
+  }
+  return groups;
+}, []);
+
+const monthOrdinal = (monthKey) => {
+  const [year, month] = monthKey.split('-').map(Number);
+  return year * 12 + (month - 1);
+};
+
+/**
+ * 1-based month of each item counted from the earliest capture month among
+ * them ("Month 1" holds the oldest photos). Items without a date are left out.
+ * @returns {Map<Object, number>}
+ */
+export const getCaptureMonthNumbers = (items) => {
+  const keyed = items
+    .map((item) => ({ item, key: getCaptureMonthKey(item) }))
+    .filter(({ key }) => key);
+  if (keyed.length === 0) return new Map();
+  const first = Math.min(...keyed.map(({ key }) => monthOrdinal(key)));
+  return new Map(keyed.map(({ item, key }) => [item, monthOrdinal(key) - first + 1]));
+};
+
+// "Month 3", "month 3 milestones" -> 3; null for titles without a month number
+export const parseMonthChapterNumber = (title) => {
+  const match = /\bmonth\s*(\d{1,3})\b/i.exec(title || '');
+  return match ? Number(match[1]) : null;
+};
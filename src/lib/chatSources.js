@@ -0,0 +1,27 @@
+// Book Q&A sources: `[n] Book · page` labels and deep links that open the
+// page with the cited passage highlighted (see queryBookFlow).
+
+export const getSourceLabel = (source = {}) => {
+  const citation = source.citation ? `[${source.citation}] ` : '';
+  const book = source.bookTitle ? `${source.bookTitle} · ` : '';
+  const page = (source.pageName || '').trim() || source.shortNote || 'Page';
+  return `${citation}${book}${page}`;
+};
+
+export const getSourcePath = (source = {}) => {
+  if (!source.bookId || !source.chapterId || !source.id) return null;
+  const params = new URLSearchParams({ chapter: source.chapterId, page: source.id });
+  const { start, end } = source.passage || {};
+  if (Number.isInteger(start) && Number.isInteger(end) && end > start) {
+    params.set('passage', `${start}-${end}`);
+  }
+  return `/book/${source.bookId}?${params.toString()}`;
+};
+
+export const parsePassageParam = (value) => {
+  const match = /^(\d+)-(\d+)$/.exec(value || '');
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  return end > start ? { start, end } : null;
+};
@@ -0,0 +1,33 @@
+// Staleness check for a page's live-editing log (collabUpdates). The seed doc
+// records `savedNoteHash`, the hash of the saved page note the log matches;
+// saves from a live session move it along (updatePage with `collabSession`).
+// Anything else that rewrites the note (revision restore, block saves, AI
+// apply) leaves it behind, and the log must be rebuilt from the saved page.
+
+export const COLLAB_SEED_DOC_ID = 'seed';
+
+// Same digest as pageNoteHash() in functions/services/pageCollabService.js
+export const hashPageNote = async (note = '') => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(String(note || '')));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * The update docs that may be deleted when the log is folded or rebuilt. The
+ * seed always stays: it carries savedNoteHash, and once it is gone every log
+ * looks current and outside writes get replayed over.
+ * @template {{ id: string }} T
+ * @param {T[]} refs Update doc references (or snapshots)
+ * @returns {T[]}
+ */
+export const withoutCollabSeed = (refs) => refs.filter((ref) => ref.id !== COLLAB_SEED_DOC_ID);
+
+/**
+ * Whether an existing seed describes a different saved note than the page has
+ * now. Seeds written before the hash was recorded count as stale.
+ * @param {Object|null|undefined} seedData
+ * @param {string} savedNoteHash Hash of the page's saved note
+ */
+export const isCollabSeedStale = (seedData, savedNoteHash) => (
+  !!seedData && seedData.savedNoteHash !== savedNoteHash
+);
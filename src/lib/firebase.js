@@ -74,6 +74,20 @@ if (typeof window !== 'undefined' && !useEmulator) {
 
 export { functions };
 
+// URL of an HTTP (onRequest) function such as the AI text streams, which
+// cannot go through httpsCallable: the emulator when functions run locally,
+// the Hosting `/api/*` rewrites on Firebase Hosting, else the functions domain.
+export const getFunctionUrl = (name) => {
+  if (useEmulator || useFunctionsEmulatorOnly) {
+    return `http://127.0.0.1:5001/${firebaseConfig.projectId}/us-central1/${name}`;
+  }
+  const hostname = typeof window !== 'undefined' ? window.location.hostname : '';
+  if (hostname.includes('.web.app') || hostname.includes('.firebaseapp.com')) {
+    return `/api/${name}`;
+  }
+  return `https://us-central1-${firebaseConfig.projectId}.cloudfunctions.net/${name}`;
+};
+
 console.log("🔧 Firebase config check:");
 console.log("📍 Mode:", currentMode);
 console.log("📍 Is Production:", isProduction);
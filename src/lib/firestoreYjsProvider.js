@@ -0,0 +1,364 @@
+// Yjs sync provider backed by Firestore, used for live co-editing of pages.
+//
+// Layout under books/{bookId}/chapters/{chapterId}/pages/{pageId}:
+//   collabUpdates/{id}   - Yjs document updates ({ update: Bytes, uid, clientId, createdAt })
+//   collabUpdates/seed   - first state of the page, claimed by whichever editor opens it first;
+//                          savedNoteHash records the saved note the log matches (see collabSeed.js)
+//   collabPresence/{uid_clientId} - Yjs awareness (cursor, name, color) of one open editor
+
+import * as Y from 'yjs';
+import {
+  Awareness,
+  applyAwarenessUpdate,
+  encodeAwarenessUpdate,
+  removeAwarenessStates,
+} from 'y-protocols/awareness';
+import {
+  Bytes,
+  collection,
+  deleteDoc,
+  doc,
+  getDoc,
+  getDocs,
+  onSnapshot,
+  runTransaction,
+  serverTimestamp,
+  setDoc,
+  writeBatch,
+} from 'firebase/firestore';
+import { firestore } from '@/lib/firebase';
+import { COLLAB_SEED_DOC_ID, isCollabSeedStale, withoutCollabSeed } from '@/lib/collabSeed';
+
+// BlockNote binds the editor to this fragment of the Y.Doc.
+export const COLLAB_FRAGMENT_NAME = 'document-store';
+
+const UPDATE_FLUSH_MS = 250;
+const PRESENCE_FLUSH_MS = 200;
+// Presence docs older than this are treated as closed editors (awareness renews every 15s).
+const PRESENCE_STALE_MS = 45000;
+// Once the update log grows past this, the next editor to open the page folds it into one doc.
+const COMPACT_AFTER_UPDATES = 200;
+const MAX_BATCH_WRITES = 450;
+
+const toMillis = (value) => (typeof value?.toMillis === 'function' ? value.toMillis() : 0);
+
+const pageRef = ({ bookId, chapterId, pageId }) => (
+  doc(firestore, 'books', bookId, 'chapters', chapterId, 'pages', pageId)
+);
+
+/**
+ * Rebuild a page's update log from its saved content when the page was
+ * written outside live editing since the log was seeded (revision restore,
+ * block saves, AI apply). Replaying the old log would otherwise bring back the
+ * previous content and autosave it over those writes. Skipped while other
+ * editors have the page open, since their documents still hold the old log.
+ * Run before a provider starts listening to the page.
+ * @param {{ bookId: string, chapterId: string, pageId: string, uid: string, clientId: number, savedNoteHash: string, buildSeedUpdate: () => Promise<Uint8Array> }} options
+ * @returns {Promise<boolean>} true when the log was replaced
+ */
+export async function reseedIfStale({ bookId, chapterId, pageId, uid, clientId, savedNoteHash, buildSeedUpdate }) {
+  const page = pageRef({ bookId, chapterId, pageId });
+  const updatesRef = collection(page, 'collabUpdates');
+  const seedRef = doc(updatesRef, COLLAB_SEED_DOC_ID);
+
+  const seedSnap = await getDoc(seedRef);
+  if (!isCollabSeedStale(seedSnap.exists() ? seedSnap.data() : null, savedNoteHash)) return false;
+
+  const presence = await getDocs(collection(page, 'collabPresence'));
+  const now = Date.now();
+  const othersEditing = presence.docs.some((presenceDoc) => {
+    const updatedAt = toMillis(presenceDoc.data()?.updatedAt);
+    return updatedAt && now - updatedAt <= PRESENCE_STALE_MS;
+  });
+  if (othersEditing) return false;
+
+  const update = await buildSeedUpdate();
+  // Drop the old updates first: if this stops halfway, the seed is still
+  // stale and the next editor to open the page finishes the job.
+  const { docs } = await getDocs(updatesRef);
+  const staleRefs = withoutCollabSeed(docs).map((updateDoc) => updateDoc.ref);
+  for (let i = 0; i < staleRefs.length; i += MAX_BATCH_WRITES) {
+    const batch = writeBatch(firestore);
+    staleRefs.slice(i, i + MAX_BATCH_WRITES).forEach((ref) => batch.delete(ref));
+    await batch.commit();
+  }
+
+  return runTransaction(firestore, async (tx) => {
+    const current = await tx.get(seedRef);
+    if (!isCollabSeedStale(current.exists() ? current.data() : null, savedNoteHash)) return false;
+    tx.set(seedRef, {
+      update: Bytes.fromUint8Array(update),
+      uid,
+      clientId,
+      createdAt: serverTimestamp(),
+      savedNoteHash,
+    });
+    return true;
+  });
+}
+
+export class FirestoreYjsProvider {
+  /**
+   * @param {Y.Doc} ydoc
+   * @param {{ bookId: string, chapterId: string, pageId: string, uid: string }} options
+   */
+  constructor(ydoc, { bookId, chapterId, pageId, uid }) {
+    this.doc = ydoc;
+    this.uid = uid;
+    this.awareness = new Awareness(ydoc);
+    this.synced = false;
+    this.destroyed = false;
+
+    const page = pageRef({ bookId, chapterId, pageId });
+    this.updatesRef = collection(page, 'collabUpdates');
+    this.presenceRef = collection(page, 'collabPresence');
+    this.presenceDocRef = doc(this.presenceRef, `${uid}_${ydoc.clientID}`);
+
+    this.pendingUpdates = [];
+    this.updateTimer = null;
+    this.presenceTimer = null;
+    this.loadedUpdateRefs = [];
+    this.remoteClientIds = new Map();
+    this.listeners = new Map();
+
+    this.handleDocUpdate = this.handleDocUpdate.bind(this);
+    this.handleAwarenessUpdate = this.handleAwarenessUpdate.bind(this);
+    this.handleUnload = this.handleUnload.bind(this);
+
+    this.syncedPromise = new Promise((resolve, reject) => {
+      this.resolveSynced = resolve;
+      this.rejectSynced = reject;
+    });
+
+    ydoc.on('update', this.handleDocUpdate);
+    this.awareness.on('update', this.handleAwarenessUpdate);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('beforeunload', this.handleUnload);
+    }
+
+    this.unsubscribeUpdates = onSnapshot(
+      this.updatesRef,
+      { includeMetadataChanges: true },
+      (snap) => this.handleUpdatesSnapshot(snap),
+      (error) => this.fail(error)
+    );
+    this.unsubscribePresence = onSnapshot(
+      this.presenceRef,
+      (snap) => this.handlePresenceSnapshot(snap),
+      (error) => console.warn('[collab] presence listener stopped:', error?.message || error)
+    );
+  }
+
+  on(event, callback) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(callback);
+    return () => this.listeners.get(event)?.delete(callback);
+  }
+
+  emit(event, ...args) {
+    this.listeners.get(event)?.forEach((callback) => callback(...args));
+  }
+
+  /** Resolves once the server copy of the update log has been applied. */
+  whenSynced() {
+    return this.syncedPromise;
+  }
+
+  fail(error) {
+    console.error('[collab] update listener failed:', error);
+    if (!this.synced) this.rejectSynced(error);
+    this.emit('error', error);
+  }
+
+  handleUpdatesSnapshot(snap) {
+    if (this.destroyed) return;
+    snap.docChanges().forEach((change) => {
+      if (change.type === 'removed') {
+        this.loadedUpdateRefs = this.loadedUpdateRefs.filter((ref) => ref.id !== change.doc.id);
+        return;
+      }
+      if (change.type !== 'added') return;
+      this.loadedUpdateRefs.push(change.doc.ref);
+      const data = change.doc.data();
+      // Our own writes are already in the doc; skip the local echo.
+      if (change.doc.metadata.hasPendingWrites || !data?.update) return;
+      Y.applyUpdate(this.doc, data.update.toUint8Array(), this);
+    });
+
+    if (!this.synced && !snap.metadata.fromCache) {
+      this.synced = true;
+      this.isEmptyOnSync = snap.empty;
+      this.resolveSynced();
+      this.emit('synced');
+      this.compactIfNeeded();
+    }
+  }
+
+  handlePresenceSnapshot(snap) {
+    if (this.destroyed) return;
+    const now = Date.now();
+    snap.docChanges().forEach((change) => {
+      if (change.doc.id === this.presenceDocRef.id) return;
+      const data = change.doc.data() || {};
+      const previousClientId = this.remoteClientIds.get(change.doc.id);
+      const isStale = toMillis(data.updatedAt) && now - toMillis(data.updatedAt) > PRESENCE_STALE_MS;
+
+      if (change.type === 'removed' || isStale) {
+        if (previousClientId != null) {
+          removeAwarenessStates(this.awareness, [previousClientId], this);
+          this.remoteClientIds.delete(change.doc.id);
+        }
+        // Editors that closed without cleaning up (crash, lost network) are swept by whoever sees them.
+        if (isStale && change.type !== 'removed') {
+          deleteDoc(change.doc.ref).catch(() => {});
+        }
+        return;
+      }
+      if (!data.state) return;
+      this.remoteClientIds.set(change.doc.id, data.clientId);
+      applyAwarenessUpdate(this.awareness, data.state.toUint8Array(), this);
+    });
+  }
+
+  handleDocUpdate(update, origin) {
+    if (origin === this || this.destroyed) return;
+    this.pendingUpdates.push(update);
+    if (this.updateTimer) return;
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      this.flushUpdates();
+    }, UPDATE_FLUSH_MS);
+  }
+
+  async flushUpdates() {
+    if (!this.pendingUpdates.length) return;
+    const update = Y.mergeUpdates(this.pendingUpdates);
+    this.pendingUpdates = [];
+    try {
+      await setDoc(doc(this.updatesRef), {
+        update: Bytes.fromUint8Array(update),
+        uid: this.uid,
+        clientId: this.doc.clientID,
+        createdAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('[collab] failed to publish update:', error);
+      this.emit('error', error);
+    }
+  }
+
+  handleAwarenessUpdate({ added, updated, removed }, origin) {
+    if (origin === this || this.destroyed) return;
+    const changed = [...added, ...updated, ...removed];
+    if (!changed.includes(this.doc.clientID)) return;
+    if (this.presenceTimer) return;
+    this.presenceTimer = setTimeout(() => {
+      this.presenceTimer = null;
+      this.flushPresence();
+    }, PRESENCE_FLUSH_MS);
+  }
+
+  async flushPresence() {
+    if (this.destroyed || !this.awareness.getLocalState()) return;
+    try {
+      await setDoc(this.presenceDocRef, {
+        uid: this.uid,
+        clientId: this.doc.clientID,
+        state: Bytes.fromUint8Array(encodeAwarenessUpdate(this.awareness, [this.doc.clientID])),
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.warn('[collab] failed to publish presence:', error?.message || error);
+    }
+  }
+
+  /**
+   * Give a page that has never been edited live its starting content. Only one
+   * editor wins the claim on the seed doc, so the content is never duplicated.
+   * @param {() => Promise<Uint8Array>} buildSeedUpdate
+   * @param {{ savedNoteHash: string }} options Hash of the saved note the seed is built from
+   * @returns {Promise<boolean>} true when this editor seeded the page
+   */
+  async seedIfEmpty(buildSeedUpdate, { savedNoteHash }) {
+    await this.whenSynced();
+    if (!this.isEmptyOnSync || this.destroyed) return false;
+
+    const update = await buildSeedUpdate();
+    const seedRef = doc(this.updatesRef, COLLAB_SEED_DOC_ID);
+    const { seeded, seedUpdate } = await runTransaction(firestore, async (tx) => {
+      const existing = await tx.get(seedRef);
+      if (existing.exists()) {
+        return { seeded: false, seedUpdate: existing.data()?.update?.toUint8Array() || null };
+      }
+      tx.set(seedRef, {
+        update: Bytes.fromUint8Array(update),
+        uid: this.uid,
+        clientId: this.doc.clientID,
+        createdAt: serverTimestamp(),
+        savedNoteHash,
+      });
+      return { seeded: true, seedUpdate: update };
+    });
+    // Apply the winning seed now rather than waiting for the listener, so the
+    // editor never mounts on an empty document. Re-applying it later is a no-op.
+    if (seedUpdate && !this.destroyed) {
+      Y.applyUpdate(this.doc, seedUpdate, this);
+    }
+    return seeded;
+  }
+
+  /**
+   * Replace a long update log with a single snapshot of the current state.
+   * The seed is kept (re-applying it is a no-op), so its savedNoteHash still
+   * tells later editors whether the page was written outside the session.
+   */
+  async compactIfNeeded() {
+    const staleRefs = withoutCollabSeed(this.loadedUpdateRefs);
+    if (staleRefs.length < COMPACT_AFTER_UPDATES) return;
+    try {
+      const first = writeBatch(firestore);
+      first.set(doc(this.updatesRef), {
+        update: Bytes.fromUint8Array(Y.encodeStateAsUpdate(this.doc)),
+        uid: this.uid,
+        clientId: this.doc.clientID,
+        createdAt: serverTimestamp(),
+      });
+      // The snapshot must land before any delete, so it goes in the first batch.
+      staleRefs.slice(0, MAX_BATCH_WRITES - 1).forEach((ref) => first.delete(ref));
+      await first.commit();
+      for (let i = MAX_BATCH_WRITES - 1; i < staleRefs.length; i += MAX_BATCH_WRITES) {
+        const batch = writeBatch(firestore);
+        staleRefs.slice(i, i + MAX_BATCH_WRITES).forEach((ref) => batch.delete(ref));
+        await batch.commit();
+      }
+    } catch (error) {
+      console.warn('[collab] update log compaction skipped:', error?.message || error);
+    }
+  }
+
+  handleUnload() {
+    removeAwarenessStates(this.awareness, [this.doc.clientID], 'window unload');
+    deleteDoc(this.presenceDocRef).catch(() => {});
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    if (this.updateTimer) {
+      clearTimeout(this.updateTimer);
+      this.updateTimer = null;
+    }
+    this.flushUpdates();
+    this.destroyed = true;
+    if (this.presenceTimer) clearTimeout(this.presenceTimer);
+    this.unsubscribeUpdates?.();
+    this.unsubscribePresence?.();
+    this.doc.off('update', this.handleDocUpdate);
+    this.awareness.off('update', this.handleAwarenessUpdate);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('beforeunload', this.handleUnload);
+    }
+    deleteDoc(this.presenceDocRef).catch(() => {});
+    this.awareness.destroy();
+    this.listeners.clear();
+  }
+}
@@ -0,0 +1,71 @@
+const HIGHLIGHT_NAME = 'page-passage';
+// Long passages are matched on their opening words; the page may have been
+// edited since it was indexed, so exact offsets are not reliable.
+const MATCH_PREFIX_CHARS = 160;
+
+const normalizeText = (value) => value.replace(/\s+/g, ' ').trim().toLowerCase();
+
+/**
+ * Collapse whitespace across the text nodes under `root`, keeping a map from
+ * each normalized character back to its node and offset.
+ */
+const collectText = (root) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const positions = [];
+  let text = '';
+  let lastWasSpace = true;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue || '';
+    for (let i = 0; i < value.length; i += 1) {
+      const isSpace = /\s/.test(value[i]);
+      if (isSpace && lastWasSpace) continue;
+      text += isSpace ? ' ' : value[i].toLowerCase();
+      positions.push({ node, offset: i });
+      lastWasSpace = isSpace;
+    }
+    // Block boundaries rarely leave whitespace nodes in editor markup.
+    if (!lastWasSpace) {
+      text += ' ';
+      positions.push({ node, offset: value.length });
+      lastWasSpace = true;
+    }
+  }
+  return { text, positions };
+};
+
+const findRange = (root, passage) => {
+  const { text, positions } = collectText(root);
+  const needles = [normalizeText(passage), normalizeText(passage).slice(0, MATCH_PREFIX_CHARS).trim()];
+  for (const needle of needles) {
+    if (!needle) continue;
+    const index = text.indexOf(needle);
+    if (index === -1) continue;
+    const first = positions[index];
+    const last = positions[index + needle.length - 1];
+    const range = document.createRange();
+    range.setStart(first.node, first.offset);
+    range.setEnd(last.node, Math.min(last.offset + 1, (last.node.nodeValue || '').length));
+    return range;
+  }
+  return null;
+};
+
+/**
+ * Highlight `passage` inside `root` with the CSS Custom Highlight API (no DOM
+ * changes, so the editor is unaffected) and scroll it into view.
+ * Returns a cleanup function; a no-op when the passage is not found.
+ */
+export const highlightPassage = (root, passage) => {
+  if (!root || !passage) return () => {};
+  const range = findRange(root, passage);
+  if (!range) return () => {};
+
+  const target = range.startContainer.parentElement;
+  target?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+  if (typeof CSS === 'undefined' || !CSS.highlights || typeof window.Highlight === 'undefined') {
+    return () => {};
+  }
+  CSS.highlights.set(HIGHLIGHT_NAME, new window.Highlight(range));
+  return () => CSS.highlights.delete(HIGHLIGHT_NAME);
+};
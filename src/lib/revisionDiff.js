@@ -0,0 +1,116 @@
+// Block-level diff between two page revisions for the history panel.
+
+const BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, img, video';
+
+// Template fields shown in the diff, in page order.
+const TEMPLATE_FIELD_LABELS = {
+  title: 'Title',
+  date: 'Date',
+  dadNotes: 'Dad',
+  momNotes: 'Mom',
+  imageUrl: 'Photo',
+};
+
+const normalizeText = (value = '') => String(value).replace(/\s+/g, ' ').trim();
+
+const describeMedia = (element) => {
+  const src = element.getAttribute('src') || '';
+  const name = element.getAttribute('alt') || decodeURIComponent(src.split('/').pop()?.split('?')[0] || '');
+  return `[${element.tagName.toLowerCase() === 'video' ? 'Video' : 'Image'}] ${name}`.trim();
+};
+
+/**
+ * Split editor HTML into text blocks (paragraphs, headings, list items,
+ * media). Nested blocks are skipped so list items are not counted twice.
+ * @param {string} html
+ * @returns {string[]}
+ */
+export const htmlToDiffBlocks = (html = '') => {
+  if (!html) return [];
+  const doc = new DOMParser().parseFromString(String(html), 'text/html');
+  const blocks = [];
+  doc.body.querySelectorAll(BLOCK_SELECTOR).forEach((element) => {
+    const tag = element.tagName.toLowerCase();
+    if (tag === 'img' || tag === 'video') {
+      blocks.push(describeMedia(element));
+      return;
+    }
+    if (element.parentElement?.closest(BLOCK_SELECTOR)) return;
+    const text = normalizeText(element.textContent);
+    if (text) blocks.push(tag.startsWith('h') ? `# ${text}` : text);
+  });
+  if (!blocks.length) {
+    const text = normalizeText(doc.body.textContent);
+    if (text) blocks.push(text);
+  }
+  return blocks;
+};
+
+/**
+ * Flatten a revision (or the live page) into comparable blocks. Template
+ * pages are diffed field by field so a changed reflection stays labelled.
+ * @param {{ note?: string, pageName?: string, content?: Object|null }} revision
+ * @returns {string[]}
+ */
+export const revisionToBlocks = (revision = {}) => {
+  const content = revision?.content;
+  if (content && typeof content === 'object') {
+    const blocks = [];
+    Object.entries(TEMPLATE_FIELD_LABELS).forEach(([field, label]) => {
+      const value = content[field];
+      if (!value) return;
+      if (field === 'imageUrl') {
+        blocks.push(`${label}: ${decodeURIComponent(String(value).split('/').pop()?.split('?')[0] || '')}`);
+        return;
+      }
+      const fieldBlocks = field === 'dadNotes' || field === 'momNotes'
+        ? htmlToDiffBlocks(value)
+        : [normalizeText(value)];
+      fieldBlocks.filter(Boolean).forEach((text) => blocks.push(`${label}: ${text}`));
+    });
+    return blocks;
+  }
+
+  const blocks = htmlToDiffBlocks(revision?.note || '');
+  const pageName = normalizeText(revision?.pageName || '');
+  return pageName ? [`Page name: ${pageName}`, ...blocks] : blocks;
+};
+
+/**
+ * Longest-common-subsequence diff over blocks.
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+export const diffBlocks = (before = [], after = []) => {
+  const rows = before.length;
+  const cols = after.length;
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (before[i] === after[j]) {
+      result.push({ type: 'same', text: before[i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: before[i] });
+      i += 1;
+    } else {
+      result.push({ type: 'added', text: after[j] });
+      j += 1;
+    }
+  }
+  while (i < rows) result.push({ type: 'removed', text: before[i++] });
+  while (j < cols) result.push({ type: 'added', text: after[j++] });
+  return result;
+};
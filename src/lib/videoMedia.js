@@ -0,0 +1,42 @@
+import { convertToEmulatorURL } from '@/lib/pageUtils';
+import { BILLING_PLANS } from '@/lib/billingCatalog';
+
+// Videos are probed on upload (functions/services/videoProcessingService.js):
+// `durationSeconds` plus `renditions.poster` (JPEG frame) and `renditions.web`
+// (H.264 MP4, absent when the original already plays everywhere).
+
+// 75 -> "1:15", 3725 -> "1:02:05"
+export const formatDuration = (seconds) => {
+  if (!Number.isFinite(seconds) || seconds < 0) return '';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
+
+export const getVideoPosterUrl = (item) => convertToEmulatorURL(item?.posterUrl || item?.renditions?.poster?.url || null);
+
+export const getVideoPlaybackUrl = (item) => convertToEmulatorURL(item?.renditions?.web?.url || item?.url || null);
+
+// Longest video a plan accepts, null for tiers not listed here. The upload
+// trigger enforces the same limits (PLAN_CONFIG) for the book owner's plan.
+export const getVideoDurationLimit = (planTier = 'free') => BILLING_PLANS[planTier]?.videoMaxSeconds ?? null;
+
+/**
+ * Duration of a local video file, read from its metadata by the browser.
+ * @returns {Promise<number|null>} null when the browser cannot read it
+ */
+export const readVideoDuration = (file) => new Promise((resolve) => {
+  const url = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  const finish = (value) => {
+    URL.revokeObjectURL(url);
+    video.removeAttribute('src');
+    resolve(value);
+  };
+  video.preload = 'metadata';
+  video.onloadedmetadata = () => finish(Number.isFinite(video.duration) ? video.duration : null);
+  video.onerror = () => finish(null);
+  video.src = url;
+});
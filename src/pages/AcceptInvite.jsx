@@ -0,0 +1,116 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { motion } from 'framer-motion';
+import { Loader2, Mail } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { useToast } from '@/components/ui/use-toast';
+import { useAuth } from '@/context/AuthContext';
+import { collabApi, getCallableErrorMessage } from '@/services/collabApi';
+
+/**
+ * Landing page for the link in an email invite. Signed-out visitors are sent
+ * to sign up (or sign in) and come back here; signed-in users claim the
+ * invite and then accept it from their notifications.
+ */
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+  const { user, loading } = useAuth();
+  const [status, setStatus] = useState('idle');
+  const [errorMessage, setErrorMessage] = useState('');
+  const claimedForRef = useRef('');
+
+  const token = searchParams.get('token') || '';
+
+  useEffect(() => {
+    if (loading || !user || !token || claimedForRef.current === user.uid) return;
+    claimedForRef.current = user.uid;
+
+    const claim = async () => {
+      setStatus('claiming');
+      try {
+        const result = await collabApi.claimEmailInvite({ token });
+        if (result?.status === 'already_member' && result?.bookId) {
+          toast({ title: 'Already a member', description: 'You already have access to this book.' });
+          navigate(`/book/${result.bookId}`, { replace: true });
+          return;
+        }
+        toast({
+          title: 'Invite ready',
+          description: `Accept your invite to "${result?.bookTitle || 'the book'}" to start collaborating.`,
+        });
+        navigate('/notifications', { replace: true });
+      } catch (error) {
+        console.error('Failed to claim invite:', error);
+        setErrorMessage(getCallableErrorMessage(error, 'This invite could not be opened.'));
+        setStatus('error');
+      }
+    };
+
+    claim();
+  }, [loading, user, token, navigate, toast]);
+
+  const renderBody = () => {
+    if (!token) {
+      return <p className="text-app-gray-600">This invite link is incomplete. Open the link from your email again.</p>;
+    }
+    if (loading || status === 'claiming') {
+      return (
+        <div className="flex items-center justify-center gap-2 text-app-gray-600">
+          <Loader2 className="h-4 w-4 animate-spin" />
+          Opening your invite...
+        </div>
+      );
+    }
+    if (status === 'error') {
+      return (
+        <>
+          <p className="text-app-gray-600">{errorMessage}</p>
+          <Button variant="appPrimary" onClick={() => navigate('/dashboard')}>Go to dashboard</Button>
+        </>
+      );
+    }
+    return (
+      <>
+        <p className="text-app-gray-600">
+          Create an account (or sign in) to join the book you were invited to.
+          Use the email address the invite was sent to.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-3 justify-center">
+          <Button asChild variant="appPrimary">
+            <Link to="/signup" state={{ from: location }}>Create account</Link>
+          </Button>
+          <Button asChild variant="outline">
+            <Link to="/login" state={{ from: location }}>Sign in</Link>
+          </Button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Accept invite - Airabook</title>
+      </Helmet>
+      <div className="min-h-[70vh] flex items-center justify-center px-4 py-16">
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="max-w-md w-full bg-white rounded-3xl shadow-xl border border-app-gray-100 p-8 text-center space-y-5"
+        >
+          <div className="mx-auto h-12 w-12 rounded-full bg-app-iris/10 text-app-iris flex items-center justify-center">
+            <Mail className="h-6 w-6" />
+          </div>
+          <h1 className="text-2xl font-bold text-app-gray-900">You have been invited to a book</h1>
+          {renderBody()}
+        </motion.div>
+      </div>
+    </>
+  );
+};
+
+export default AcceptInvite;
@@ -1,7 +1,7 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { ArrowLeft, Image as ImageIcon, Video, Loader2, Trash2, UploadCloud, Edit, X, ChevronLeft, ChevronRight } from 'lucide-react';
+import { ArrowLeft, Image as ImageIcon, Loader2, Trash2, UploadCloud, Edit, X, ChevronLeft, ChevronRight } from 'lucide-react';
 import { Helmet } from 'react-helmet';
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
@@ -13,6 +13,13 @@ import { auth, firestore, storage } from '@/lib/firebase';
 import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
 import { httpsCallable } from 'firebase/functions';
 import { functions } from '@/lib/firebase';
+import { albumMediaApi, ALBUM_MEDIA_PAGE_SIZE } from '@/services/albumMediaApi';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
+import DuplicateReviewDialog from '@/components/DuplicateReviewDialog';
+import VideoThumbnail from '@/components/ui/VideoThumbnail';
+import { formatDuration, getVideoDurationLimit, getVideoPlaybackUrl, getVideoPosterUrl, readVideoDuration } from '@/lib/videoMedia';
+import { normalizePlanTier } from '@/lib/billing';
+import { groupMediaByMonth, sortByCaptureDate } from '@/lib/captureDates';
 import {
   ensureStorageUploadAuth,
   getStorageUploadDebugContext,
@@ -84,10 +91,23 @@ const convertToEmulatorURL = (url) => {
   return url;
 };
 
+const toDisplayItem = (item) => ({
+  url: convertToEmulatorURL(item.url),
+  storagePath: item.storagePath || null,
+  type: item.type === 'video' ? 'video' : 'image',
+  name: item.name || '',
+  width: item.width || null,
+  renditions: item.renditions || null,
+  durationSeconds: item.durationSeconds || null,
+  capturedAt: item.capturedAt || null,
+  uploadedAt: item.uploadedAt || null,
+  isDuplicate: Boolean(item.duplicateOf),
+});
+
 const AlbumDetail = () => {
   const { bookId } = useParams();
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { user, appUser } = useAuth();
   const { toast } = useToast();
 
   console.log('AlbumDetail component rendered');
@@ -99,7 +119,10 @@ const AlbumDetail = () => {
   const [previewOpen, setPreviewOpen] = useState(false);
   const [previewIndex, setPreviewIndex] = useState(0);
   const [previewType, setPreviewType] = useState('image'); // 'image' or 'video'
-  const [allMedia, setAllMedia] = useState([]); // Combined images and videos for preview
+  const [media, setMedia] = useState([]); // Loaded pages of album media, newest first
+  const [mediaCursor, setMediaCursor] = useState(null);
+  const [hasMoreMedia, setHasMoreMedia] = useState(false);
+  const [loadingMoreMedia, setLoadingMoreMedia] = useState(false);
   const [confirmingDelete, setConfirmingDelete] = useState(false);
   const [confirmingAlbumDelete, setConfirmingAlbumDelete] = useState(false);
   const [deletingMedia, setDeletingMedia] = useState(false);
@@ -113,9 +136,11 @@ const AlbumDetail = () => {
   const [canUploadMedia, setCanUploadMedia] = useState(false);
   const [canEditAlbum, setCanEditAlbum] = useState(false);
   const [canDeleteAlbumAssets, setCanDeleteAlbumAssets] = useState(false);
+  const [canReviewDuplicates, setCanReviewDuplicates] = useState(false);
   const [permissionHint, setPermissionHint] = useState('');
   const fileInputRef = useRef(null);
   const coverInputRef = useRef(null);
+  const loadMoreRef = useRef(null);
 
   useEffect(() => {
     const fetchAlbum = async () => {
@@ -174,6 +199,7 @@ const AlbumDetail = () => {
         const isAlbumOwner = !!user?.uid && albumOwnerId === user.uid;
         let hasBook = false;
         let canManageBookMedia = false;
+        let isBookOwner = false;
         try {
           const bookSnap = await getDoc(doc(firestore, 'books', bookId));
           if (bookSnap.exists()) {
@@ -183,6 +209,7 @@ const AlbumDetail = () => {
             const isCoAuthor = bookData.members?.[user.uid] === 'Co-author';
             const coAuthorCanManage = !!bookData.memberPermissions?.[user.uid]?.canManageMedia;
             canManageBookMedia = isOwner || (isCoAuthor && coAuthorCanManage);
+            isBookOwner = bookData.ownerId === user.uid;
           }
         } catch (permErr) {
           console.warn('Failed to resolve book permissions for album upload:', permErr);
@@ -195,6 +222,8 @@ const AlbumDetail = () => {
         setCanUploadMedia(uploadAllowed);
         setCanEditAlbum(editAllowed);
         setCanDeleteAlbumAssets(deleteAllowed);
+        // Merging deletes files, so book albums leave it to the book owner
+        setCanReviewDuplicates(hasBook ? isBookOwner : (isAlbumOwner || !!albumData?.accessPermission?.members?.[user.uid]));
 
         if (!uploadAllowed) {
           setPermissionHint(
@@ -210,33 +239,10 @@ const AlbumDetail = () => {
           setPermissionHint('');
         }
 
-        console.log('Album data:', albumData);
-        console.log('Images array:', albumData.images);
-        console.log('Videos array:', albumData.videos);
-
-        // Combine images and videos for preview navigation
-        // Handle both old string format and new object format {url, storagePath}
-        const images = (albumData.images || []).map(item => {
-          const url = typeof item === 'string' ? item : item.url;
-          return {
-            url: convertToEmulatorURL(url),
-            storagePath: typeof item === 'string' ? null : item.storagePath,
-            type: 'image'
-          };
-        });
-        const videos = (albumData.videos || []).map(item => {
-          const url = typeof item === 'string' ? item : item.url;
-          return {
-            url: convertToEmulatorURL(url),
-            storagePath: typeof item === 'string' ? null : item.storagePath,
-            type: 'video'
-          };
-        });
-        setAllMedia([...images, ...videos]);
-
-        console.log('Extracted images:', images);
-        console.log('Extracted videos:', videos);
-        console.log('All media:', [...images, ...videos]);
+        const firstPage = await albumMediaApi.listAlbumMedia({ albumId: bookId, albumData });
+        setMedia(firstPage.items.map(toDisplayItem));
+        setMediaCursor(firstPage.cursor);
+        setHasMoreMedia(firstPage.hasMore);
       } catch (error) {
         console.error('Error fetching album:', error);
         console.error('Error details:', {
@@ -257,11 +263,48 @@ const AlbumDetail = () => {
     fetchAlbum();
   }, [bookId, navigate, toast, user]);
 
-  const openPreview = (index, type) => {
-    // Find index in combined media array
-    const images = album.images || [];
-    const videos = album.videos || [];
+  const loadMoreMedia = useCallback(async () => {
+    if (!hasMoreMedia || loadingMoreMedia || !mediaCursor) return;
+    setLoadingMoreMedia(true);
+    try {
+      const page = await albumMediaApi.listAlbumMedia({
+        albumId: bookId,
+        pageSize: ALBUM_MEDIA_PAGE_SIZE,
+        cursor: mediaCursor,
+      });
+      setMedia((prev) => {
+        const seen = new Set(prev.map((item) => item.storagePath || item.url));
+        return [...prev, ...page.items.map(toDisplayItem).filter((item) => !seen.has(item.storagePath || item.url))];
+      });
+      setMediaCursor(page.cursor);
+      setHasMoreMedia(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more media:', error);
+      toast({ title: 'Error', description: 'Failed to load more media.', variant: 'destructive' });
+    } finally {
+      setLoadingMoreMedia(false);
+    }
+  }, [bookId, hasMoreMedia, loadingMoreMedia, mediaCursor, toast]);
+
+  // Load the next page when the end of the grid scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMoreMedia || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) loadMoreMedia();
+    }, { rootMargin: '400px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMoreMedia, loadMoreMedia]);
+
+  // Photos by capture date, newest first, shown under month headings
+  const images = sortByCaptureDate(media.filter(item => item.type === 'image' && item.url));
+  const imageGroups = groupMediaByMonth(images);
+  const videos = media.filter(item => item.type === 'video' && item.url);
+  // Images then videos, the order the grids show them in
+  const allMedia = [...images, ...videos];
 
+  const openPreview = (index, type) => {
     if (type === 'image') {
       setPreviewIndex(index);
     } else {
@@ -300,57 +343,29 @@ const AlbumDetail = () => {
       const deletedType = item.type;
       const deletedUrl = item.url;
 
-      setAllMedia((prev) => {
-        const next = prev.filter((_, idx) => idx !== previewIndex);
-        // Keep previewIndex safe in case user re-opens preview quickly
-        if (previewIndex >= next.length && next.length > 0) {
-          setPreviewIndex(next.length - 1);
-          setPreviewType(next[next.length - 1]?.type || 'image');
-        } else if (next.length === 0) {
-          setPreviewIndex(0);
-          setPreviewType('image');
-        }
-        return next;
-      });
+      const remaining = allMedia.filter((_, idx) => idx !== previewIndex);
+      // Keep previewIndex safe in case user re-opens preview quickly
+      if (previewIndex >= remaining.length && remaining.length > 0) {
+        setPreviewIndex(remaining.length - 1);
+        setPreviewType(remaining[remaining.length - 1]?.type || 'image');
+      } else if (remaining.length === 0) {
+        setPreviewIndex(0);
+        setPreviewType('image');
+      }
+      setMedia((prev) => prev.filter((entry) => entry.storagePath !== deletedStoragePath));
 
       setAlbum((prev) => {
         if (!prev) return prev;
 
-        const prevImages = prev.images || [];
-        const prevVideos = prev.videos || [];
-
-        const matchesStoragePath = (entry) => {
-          if (!entry) return false;
-          if (typeof entry === 'string') return false;
-          return entry.storagePath === deletedStoragePath;
-        };
-
-        const nextImages = deletedType === 'image'
-          ? prevImages.filter((e) => !matchesStoragePath(e))
-          : prevImages;
-        const nextVideos = deletedType === 'video'
-          ? prevVideos.filter((e) => !matchesStoragePath(e))
-          : prevVideos;
-
-        const nextCount = (nextImages?.length || 0) + (nextVideos?.length || 0);
-
-        // If we deleted the cover image, pick the next image (if any)
+        // If we deleted the cover image, show another loaded image until the trigger picks one
         let nextCover = prev.coverImage;
-        if (deletedType === 'image' && prev.coverImage) {
-          const prevCoverEmu = convertToEmulatorURL(prev.coverImage);
-          if (prevCoverEmu === deletedUrl) {
-            const first = nextImages?.[0];
-            nextCover = first
-              ? (typeof first === 'string' ? first : first.url)
-              : null;
-          }
+        if (deletedType === 'image' && prev.coverImage && convertToEmulatorURL(prev.coverImage) === deletedUrl) {
+          nextCover = remaining.find((entry) => entry.type === 'image')?.url || null;
         }
 
         return {
           ...prev,
-          images: nextImages,
-          videos: nextVideos,
-          mediaCount: nextCount,
+          mediaCount: Math.max(0, (prev.mediaCount || 0) - 1),
           coverImage: nextCover,
         };
       });
@@ -363,6 +378,27 @@ const AlbumDetail = () => {
     }
   };
 
+  // Same optimistic update as a delete: onMediaDelete removes the merged copies' docs
+  const handleDuplicatesMerged = (mergedStoragePaths) => {
+    const merged = new Set(mergedStoragePaths);
+    if (merged.size === 0) return;
+    const removedUrls = new Set(media.filter((entry) => merged.has(entry.storagePath)).map((entry) => entry.url));
+    const remaining = media.filter((entry) => !merged.has(entry.storagePath));
+    setMedia(remaining);
+    setPreviewIndex(0);
+    setAlbum((prev) => {
+      if (!prev) return prev;
+      const coverRemoved = prev.coverImage && removedUrls.has(convertToEmulatorURL(prev.coverImage));
+      return {
+        ...prev,
+        mediaCount: Math.max(0, (prev.mediaCount || 0) - merged.size),
+        coverImage: coverRemoved
+          ? remaining.find((entry) => entry.type === 'image')?.url || null
+          : prev.coverImage,
+      };
+    });
+  };
+
   const handleDeleteAlbum = async () => {
     try {
       setDeletingAlbum(true);
@@ -480,6 +516,23 @@ const AlbumDetail = () => {
       actorUid: user?.uid || '',
     });
     const storageOwnerUid = authTrace.storageOwnerUid || user.uid;
+
+    // Catch videos over the plan's length before uploading them; onMediaUpload enforces it either way.
+    // Uploads to someone else's book count against the owner's plan, which is not known here.
+    if (mediaType === 'video' && storageOwnerUid === user.uid) {
+      const maxSeconds = getVideoDurationLimit(normalizePlanTier(appUser?.billing?.planTier));
+      const duration = await readVideoDuration(file);
+      if (maxSeconds && duration > maxSeconds) {
+        toast({
+          title: 'Video too long',
+          description: `"${file.name}" runs ${formatDuration(duration)}. Your plan allows videos up to ${formatDuration(maxSeconds)}.`,
+          variant: 'destructive',
+        });
+        setUploading(false);
+        return;
+      }
+    }
+
     // Construct path to match mediaProcessor expectation: {userId}/{bookId}/{chapterId}/{pageId}/media/{type}/{filename}
     // For albums, we use albumId as bookId, and '_album_' as placeholders for chapter/page
     const storagePath = `${storageOwnerUid}/${bookId}/_album_/_album_/media/${mediaType}/${uniqueFileName}`;
@@ -558,24 +611,8 @@ const AlbumDetail = () => {
 
           try {
             // Update local state for immediate UI feedback
-            setAlbum(prev => {
-              if (!prev) return prev;
-              const updated = { ...prev };
-              if (mediaType === 'video') {
-                updated.videos = [...(updated.videos || []), newMediaItem];
-              } else {
-                updated.images = [...(updated.images || []), newMediaItem];
-              }
-              updated.mediaCount = (updated.mediaCount || 0) + 1;
-              return updated;
-            });
-
-            // Update allMedia for preview
-            setAllMedia(prev => [...prev, {
-              url: convertToEmulatorURL(downloadURL),
-              storagePath,
-              type: mediaType
-            }]);
+            setAlbum(prev => (prev ? { ...prev, mediaCount: (prev.mediaCount || 0) + 1 } : prev));
+            setMedia(prev => [toDisplayItem(newMediaItem), ...prev]);
 
             toast({ title: 'Upload Success', description: `"${file.name}" uploaded.` });
           } catch (error) {
@@ -615,22 +652,6 @@ const AlbumDetail = () => {
   }, [previewOpen, allMedia.length, previewIndex]);
 
   const previewItem = allMedia[previewIndex] || null;
-  // Handle both old string format and new object format {url, storagePath}
-  // Convert URLs to emulator format if needed
-  const images = (album?.images || []).map(item => {
-    const url = typeof item === 'string' ? item : item.url;
-    return {
-      url: convertToEmulatorURL(url),
-      storagePath: typeof item === 'string' ? null : item.storagePath,
-    };
-  }).filter(item => item.url); // Filter out null/undefined URLs
-  const videos = (album?.videos || []).map(item => {
-    const url = typeof item === 'string' ? item : item.url;
-    return {
-      url: convertToEmulatorURL(url),
-      storagePath: typeof item === 'string' ? null : item.storagePath,
-    };
-  }).filter(item => item.url); // Filter out null/undefined URLs
   const hasMedia = images.length > 0 || videos.length > 0;
 
   if (loading || !album) {
@@ -707,6 +728,12 @@ const AlbumDetail = () => {
                 )}
                 {uploading ? 'Uploading...' : 'Upload media'}
               </Button>
+              <DuplicateReviewDialog
+                albumId={bookId}
+                disabled={!canReviewDuplicates || images.length < 2}
+                onMerged={handleDuplicatesMerged}
+                className="asset-header-btn asset-top-action-btn h-8 rounded-pill px-4 text-xs font-semibold"
+              />
               <Button
                 variant="outline"
                 onClick={requestAlbumDelete}
@@ -755,50 +782,69 @@ const AlbumDetail = () => {
             {images.length > 0 && (
               <div className="mb-8">
                 <h2 className="text-2xl font-bold text-gray-800 mb-4">Images</h2>
-                <motion.div
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-4"
-                >
-                  {images.map((item, index) => (
+                {imageGroups.map((group) => (
+                  <div key={group.key || 'undated'} className="mb-6 last:mb-0">
+                    <h3 className="text-sm font-semibold uppercase tracking-wide text-gray-500 mb-3">{group.label}</h3>
                     <motion.div
-                      key={`image-${index}-${item.url}`}
-                      initial={{ opacity: 0, scale: 0.9 }}
-                      animate={{ opacity: 1, scale: 1 }}
-                      transition={{ duration: 0.3, delay: index * 0.05 }}
-                      onClick={() => openPreview(index, 'image')}
-                      className="relative aspect-square bg-gray-200 rounded-lg overflow-hidden cursor-pointer group hover:shadow-xl transition-all duration-300"
+                      initial={{ opacity: 0 }}
+                      animate={{ opacity: 1 }}
+                      className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-4"
                     >
-                      <img
-                        src={item.url}
-                        alt={`Image ${index + 1}`}
-                        className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
-                        onError={(e) => {
-                          console.error('Failed to load image:', item.url);
-                          e.target.style.display = 'none';
-                        }}
-                      />
-                      <div className="absolute inset-0 bg-black/0 group-hover:bg-black/30 transition-all duration-300 flex items-center justify-center">
-                        <div className="opacity-0 group-hover:opacity-100 transition-opacity text-white font-semibold">
-                          View
-                        </div>
-                      </div>
-                      {item.storagePath && (
-                        <button
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            setPreviewIndex(index);
-                            setPreviewType('image');
-                            requestDelete();
-                          }}
-                          className="absolute top-2 right-2 bg-black/60 text-white rounded-full p-2 opacity-0 group-hover:opacity-100 group-hover:bg-red-600 transition-all"
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </button>
-                      )}
+                      {group.items.map((item, groupIndex) => {
+                        const index = group.startIndex + groupIndex;
+                        return (
+                          <motion.div
+                            key={`image-${index}-${item.url}`}
+                            initial={{ opacity: 0, scale: 0.9 }}
+                            animate={{ opacity: 1, scale: 1 }}
+                            transition={{ duration: 0.3, delay: index * 0.05 }}
+                            onClick={() => openPreview(index, 'image')}
+                            className="relative aspect-square bg-gray-200 rounded-lg overflow-hidden cursor-pointer group hover:shadow-xl transition-all duration-300"
+                          >
+                            <ResponsiveImage
+                              src={item.url}
+                              width={item.width}
+                              renditions={item.renditions}
+                              sizes="(min-width: 1024px) 20vw, (min-width: 768px) 25vw, (min-width: 640px) 33vw, 50vw"
+                              alt={`Image ${index + 1}`}
+                              className="w-full h-full object-cover group-hover:scale-110 transition-transform duration-300"
+                              onError={(e) => {
+                                console.error('Failed to load image:', item.url);
+                                e.target.style.display = 'none';
+                              }}
+                            />
+                            <div className="absolute inset-0 bg-black/0 group-hover:bg-black/30 transition-all duration-300 flex items-center justify-center">
+                              <div className="opacity-0 group-hover:opacity-100 transition-opacity text-white font-semibold">
+                                View
+                              </div>
+                            </div>
+                            {item.isDuplicate && (
+                              <span
+                                className="absolute bottom-2 left-2 rounded-full bg-black/60 px-2 py-0.5 text-[11px] font-medium text-white"
+                                title="Already uploaded to one of your albums; not counted against your storage"
+                              >
+                                Copy
+                              </span>
+                            )}
+                            {item.storagePath && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setPreviewIndex(index);
+                                  setPreviewType('image');
+                                  requestDelete();
+                                }}
+                                className="absolute top-2 right-2 bg-black/60 text-white rounded-full p-2 opacity-0 group-hover:opacity-100 group-hover:bg-red-600 transition-all"
+                              >
+                                <Trash2 className="h-4 w-4" />
+                              </button>
+                            )}
+                          </motion.div>
+                        );
+                      })}
                     </motion.div>
-                  ))}
-                </motion.div>
+                  </div>
+                ))}
               </div>
             )}
 
@@ -820,17 +866,7 @@ const AlbumDetail = () => {
                       onClick={() => openPreview(index, 'video')}
                       className="relative aspect-square bg-gray-200 rounded-lg overflow-hidden cursor-pointer group hover:shadow-xl transition-all duration-300"
                     >
-                      <video
-                        src={item.url}
-                        className="w-full h-full object-cover"
-                        onError={(e) => {
-                          console.error('Failed to load video:', item.url);
-                          e.target.style.display = 'none';
-                        }}
-                      />
-                      <div className="absolute inset-0 bg-black/20 flex items-center justify-center">
-                        <Video className="h-8 w-8 text-white" />
-                      </div>
+                      <VideoThumbnail item={item} alt={`Video ${index + 1}`} className="w-full h-full object-cover" />
                       <div className="absolute inset-0 bg-black/0 group-hover:bg-black/30 transition-all duration-300 flex items-center justify-center">
                         <div className="opacity-0 group-hover:opacity-100 transition-opacity text-white font-semibold">
                           View
@@ -854,6 +890,21 @@ const AlbumDetail = () => {
                 </motion.div>
               </div>
             )}
+
+            {hasMoreMedia && (
+              <div ref={loadMoreRef} className="flex justify-center pb-8">
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={loadMoreMedia}
+                  disabled={loadingMoreMedia}
+                  className="h-8 rounded-pill px-4 text-xs font-semibold"
+                >
+                  {loadingMoreMedia && <Loader2 className="mr-2 h-3.5 w-3.5 animate-spin" />}
+                  {loadingMoreMedia ? 'Loading...' : `Load more (${media.length} of ${album.mediaCount || media.length})`}
+                </Button>
+              </div>
+            )}
           </>
         )}
       </div>
@@ -888,9 +939,23 @@ const AlbumDetail = () => {
 
           <div className="relative max-w-5xl w-full max-h-[85vh] flex flex-col items-center" onClick={e => e.stopPropagation()}>
             {previewItem.type === 'video' ? (
-              <video src={previewItem.url} controls autoPlay className="max-w-full max-h-[80vh] rounded-lg shadow-2xl" />
+              <video
+                src={getVideoPlaybackUrl(previewItem)}
+                poster={getVideoPosterUrl(previewItem) || undefined}
+                controls
+                autoPlay
+                playsInline
+                className="max-w-full max-h-[80vh] rounded-lg shadow-2xl"
+              />
             ) : (
-              <img src={previewItem.url} alt={previewItem.name} className="max-w-full max-h-[80vh] object-contain rounded-lg shadow-2xl" />
+              <ResponsiveImage
+                src={previewItem.url}
+                width={previewItem.width}
+                renditions={previewItem.renditions}
+                loading="eager"
+                alt={previewItem.name}
+                className="max-w-full max-h-[80vh] object-contain rounded-lg shadow-2xl"
+              />
             )}
             <div className="mt-4 text-white/80 text-sm font-medium">
               {previewIndex + 1} / {allMedia.length}
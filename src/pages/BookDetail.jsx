@@ -10,13 +10,16 @@ import { Input } from '@/components/ui/input';
 import { useToast } from '@/components/ui/use-toast';
 import { DragDropContext, Droppable, Draggable } from 'react-beautiful-dnd';
 import {
-  Trash2, PlusCircle, ChevronRight, ChevronDown, ArrowLeft, GripVertical, Sparkles, Globe, Users, UserPlus, X, Edit, Eye, Loader2
+  Trash2, PlusCircle, ChevronRight, ChevronDown, ArrowLeft, GripVertical, Sparkles, Globe, Users, UserPlus, Mail, X, Edit, Eye, Loader2, Crown
 } from 'lucide-react';
 import {
   Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription
 } from '@/components/ui/dialog';
 import { httpsCallable } from 'firebase/functions';
 import EditBookModal from '@/components/EditBookModal';
+import BookExportMenu from '@/components/BookExportMenu';
+import ShareLinksDialog from '@/components/ShareLinksDialog';
+import ConsistencyReviewDialog from '@/components/ConsistencyReviewDialog';
 import PageEditor from '@/components/PageEditor';
 import ChatPanel from '@/components/ChatPanel';
 import GenerateChapterContent from '@/components/GenerateChapterContent';
@@ -38,6 +41,7 @@ import {
 } from '@/lib/pageUtils';
 import { pageTemplates } from '@/constants/pageTemplates';
 import { collabApi, getCallableErrorMessage } from '@/services/collabApi';
+import { parsePassageParam } from '@/lib/chatSources';
 
 // react-beautiful-dnd is not fully StrictMode-safe in React 18 dev.
 // This delays droppable mounting to avoid registry invariant errors.
@@ -86,8 +90,17 @@ const focusWithRetry = async (pageRefs, pageId, position = 'start', maxAttempts
 // PageEditor -> src/components/PageEditor/index.jsx
 // ChatPanel -> src/components/ChatPanel.jsx
 
+const INVITE_ROLE_LABELS = {
+  'Co-author': { article: 'a co-author', description: 'Can edit pages and chapters.' },
+  Commenter: { article: 'a commenter', description: 'Can read the book and leave comments.' },
+  Viewer: { article: 'a viewer', description: 'Can read the book only.' },
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 const BookDetail = () => {
   const COAUTHOR_SLOT_LIMIT = 5;
+  const READER_SLOT_LIMIT = 20;
   const { bookId } = useParams();
   const navigate = useNavigate();
   const location = useLocation();
@@ -128,6 +141,21 @@ const BookDetail = () => {
     const value = new URLSearchParams(location.search).get('page');
     return value || null;
   }, [location.search]);
+  const focusedCommentIdFromQuery = useMemo(() => {
+    const value = new URLSearchParams(location.search).get('comment');
+    return value || null;
+  }, [location.search]);
+  // Opened from a Q&A source: offsets of the cited passage in the page's plainText.
+  const focusedPassageFromQuery = useMemo(
+    () => parsePassageParam(new URLSearchParams(location.search).get('passage')),
+    [location.search]
+  );
+  // Opened from the header search: place the cursor in the page (`start` or `end`).
+  const focusPositionFromQuery = useMemo(() => {
+    const value = new URLSearchParams(location.search).get('focus');
+    return value === 'start' || value === 'end' ? value : null;
+  }, [location.search]);
+  const handledFocusRequestRef = useRef(null);
   const [pageTurnAnimatingId, setPageTurnAnimatingId] = useState(null);
   const lastActivePageIndexRef = useRef(-1);
   const pageTurnTimeoutRef = useRef(null);
@@ -222,11 +250,16 @@ const BookDetail = () => {
   const [pendingInvites, setPendingInvites] = useState([]);
   const [inviteCanManageMedia, setInviteCanManageMedia] = useState(false);
   const [inviteCanInviteCoAuthors, setInviteCanInviteCoAuthors] = useState(false);
+  const [inviteRole, setInviteRole] = useState('Co-author');
   const [permissionSavingUid, setPermissionSavingUid] = useState('');
   const [isSendingVerificationEmail, setIsSendingVerificationEmail] = useState(false);
   const [verificationEmailSent, setVerificationEmailSent] = useState(false);
   const wasCoAuthorModalOpenRef = useRef(false);
   const manualPageNavRef = useRef({ targetId: null, expiresAt: 0 });
+  const [bookCollaborators, setBookCollaborators] = useState([]);
+  const [ownershipTransfer, setOwnershipTransfer] = useState(null);
+  const [confirmTransferUid, setConfirmTransferUid] = useState('');
+  const [isTransferBusy, setIsTransferBusy] = useState(false);
 
   // ---------------------------------------------------------------------------
   // 📜 Continuous Scroll & Footer Logic
@@ -843,7 +876,19 @@ const BookDetail = () => {
   // Permission checks
   const isOwner = book?.ownerId === user?.uid || book?.members?.[user?.uid] === 'Owner';
   const isCoAuthor = book?.members?.[user?.uid] === 'Co-author';
+  const readerRole = !isOwner && !isCoAuthor && ['Commenter', 'Viewer'].includes(book?.members?.[user?.uid])
+    ? book.members[user.uid]
+    : null;
   const canEdit = isOwner || isCoAuthor;
+  const canComment = canEdit || readerRole === 'Commenter';
+
+  useEffect(() => {
+    if (!focusPositionFromQuery || !focusedPageIdFromQuery || !canEdit || isForcedReadRoute) return;
+    if (handledFocusRequestRef.current === location.key) return;
+    if (!pages.some((page) => page.id === focusedPageIdFromQuery)) return;
+    handledFocusRequestRef.current = location.key;
+    focusWithRetry(pageRefs, focusedPageIdFromQuery, focusPositionFromQuery);
+  }, [focusPositionFromQuery, focusedPageIdFromQuery, canEdit, isForcedReadRoute, pages, pageRefs, location.key]);
   const memberPermissions = book?.memberPermissions?.[user?.uid] || {};
   const collaborationPermissions = isOwner
     ? {
@@ -1086,10 +1131,12 @@ const BookDetail = () => {
   // Handle invite co-author
   const handleInviteCoAuthor = async (userToInvite) => {
     if (!canOpenCoAuthorModal || !collaborationPermissions.canInviteCoAuthors) return;
-    if (coAuthorSlotsFull) {
+    if (inviteSlotsFull) {
       toast({
-        title: 'Co-author limit reached',
-        description: `This book allows up to ${COAUTHOR_SLOT_LIMIT} total co-author slots (active + pending invites).`,
+        title: isCoAuthorInvite ? 'Co-author limit reached' : 'Reader limit reached',
+        description: isCoAuthorInvite
+          ? `This book allows up to ${COAUTHOR_SLOT_LIMIT} total co-author slots (active + pending invites).`
+          : `This book allows up to ${READER_SLOT_LIMIT} viewers and commenters (active + pending invites).`,
         variant: 'destructive',
       });
       return;
@@ -1098,16 +1145,21 @@ const BookDetail = () => {
     try {
       const result = await collabApi.inviteCoAuthor({
         bookId,
-        uid: userToInvite.id,
-        canManageMedia: inviteCanManageMedia,
-        canInviteCoAuthors: isOwner && inviteCanInviteCoAuthors,
+        // People without an account are invited by email and join after signing up.
+        ...(userToInvite.id ? { uid: userToInvite.id } : { email: userToInvite.email }),
+        role: inviteRole,
+        canManageMedia: isCoAuthorInvite && inviteCanManageMedia,
+        canInviteCoAuthors: isOwner && isCoAuthorInvite && inviteCanInviteCoAuthors,
       });
 
+      const inviteeName = userToInvite.displayName || userToInvite.email;
       toast({
         title: 'Invitation Sent',
-        description: result?.status === 'resent'
-          ? `${userToInvite.displayName} invitation was resent.`
-          : `${userToInvite.displayName} has been invited as a co-author.`,
+        description: result?.delivery === 'email'
+          ? `We emailed an invite link to ${userToInvite.email}. They will join as ${INVITE_ROLE_LABELS[inviteRole].article} after signing up.`
+          : result?.status === 'resent'
+            ? `${inviteeName} invitation was resent.`
+            : `${inviteeName} has been invited as ${INVITE_ROLE_LABELS[inviteRole].article}.`,
       });
 
       // Clear search
@@ -1130,11 +1182,13 @@ const BookDetail = () => {
 
     try {
       await collabApi.removeCoAuthor({ bookId, coAuthorUid: userId });
+      // Removing the co-author also withdraws an ownership offer made to them.
+      setOwnershipTransfer((current) => (current?.toUid === userId ? null : current));
       await refreshBookData();
       await loadPendingInvites();
       toast({
-        title: 'Co-Author Removed',
-        description: 'The co-author has been removed from this book.',
+        title: 'Member Removed',
+        description: 'They no longer have access to this book.',
       });
     } catch (error) {
       console.error('Error removing co-author:', error);
@@ -1146,6 +1200,48 @@ const BookDetail = () => {
     }
   };
 
+  // Ownership only changes hands once the co-author accepts from their notifications.
+  const handleProposeOwnershipTransfer = async (targetUid) => {
+    if (!isOwner || !targetUid) return;
+    setIsTransferBusy(true);
+    try {
+      const result = await collabApi.proposeOwnershipTransfer({ bookId, targetUid });
+      setOwnershipTransfer({ toUid: targetUid, status: result?.status || 'pending', expiresAt: result?.expiresAt || null });
+      setConfirmTransferUid('');
+      toast({
+        title: 'Transfer proposed',
+        description: 'They become the owner once they accept. You will stay on as a co-author.',
+      });
+    } catch (error) {
+      console.error('Error proposing ownership transfer:', error);
+      toast({
+        title: 'Transfer failed',
+        description: getCallableErrorMessage(error, 'Could not propose the ownership transfer.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setIsTransferBusy(false);
+    }
+  };
+
+  const handleCancelOwnershipTransfer = async () => {
+    setIsTransferBusy(true);
+    try {
+      await collabApi.cancelOwnershipTransfer({ bookId });
+      setOwnershipTransfer(null);
+      toast({ title: 'Transfer cancelled' });
+    } catch (error) {
+      console.error('Error cancelling ownership transfer:', error);
+      toast({
+        title: 'Error',
+        description: getCallableErrorMessage(error, 'Could not cancel the ownership transfer.'),
+        variant: 'destructive',
+      });
+    } finally {
+      setIsTransferBusy(false);
+    }
+  };
+
   const handleCoAuthorPermissionToggle = async (targetUid, field, nextValue) => {
     if (!isOwner || !targetUid || !field) return;
     const current = {
@@ -1183,23 +1279,33 @@ const BookDetail = () => {
     }
   };
 
-  // Get co-authors list (excluding owner)
+  // Get members list (excluding owner): co-authors, commenters and viewers
   const coAuthors = useMemo(() => (
     book?.members
       ? Object.entries(book.members)
-        .filter(([uid, role]) => uid !== book.ownerId && role === 'Co-author')
+        .filter(([uid, role]) => uid !== book.ownerId && role !== 'Owner')
         .map(([uid]) => uid)
       : []
   ), [book?.members, book?.ownerId]);
-  const pendingInviteCountForLimit = collaborationPermissions.canManagePendingInvites ? pendingInvites.length : 0;
-  const coAuthorSlotsUsed = coAuthors.length + pendingInviteCountForLimit;
+  const isCoAuthorInvite = inviteRole === 'Co-author';
+  // Invites sent before roles existed carry no role and are co-author invites.
+  const pendingInvitesForLimit = collaborationPermissions.canManagePendingInvites ? pendingInvites : [];
+  const pendingCoAuthorInvites = pendingInvitesForLimit.filter((invite) => (invite.role || 'Co-author') === 'Co-author').length;
+  const coAuthorSlotsUsed = coAuthors.filter((uid) => book?.members?.[uid] === 'Co-author').length + pendingCoAuthorInvites;
+  const readerSlotsUsed = coAuthors.length + pendingInvitesForLimit.length - coAuthorSlotsUsed;
   const coAuthorSlotsFull = coAuthorSlotsUsed >= COAUTHOR_SLOT_LIMIT;
+  const readerSlotsFull = readerSlotsUsed >= READER_SLOT_LIMIT;
+  const inviteSlotsFull = isCoAuthorInvite ? coAuthorSlotsFull : readerSlotsFull;
   const canInviteCoAuthors = collaborationPermissions.canInviteCoAuthors && !!user?.emailVerified;
-  const disableCoAuthorActions = !canInviteCoAuthors || coAuthorSlotsFull;
+  const disableCoAuthorActions = !canInviteCoAuthors || inviteSlotsFull;
+  const searchEmail = userSearchQuery.trim().toLowerCase();
+  const canInviteByEmail = EMAIL_PATTERN.test(searchEmail)
+    && !isSearching
+    && !searchResults.some((searchUser) => (searchUser.email || '').toLowerCase() === searchEmail);
   const getSearchResultAccessState = useCallback((targetUid) => {
     if (!targetUid) return 'inviteable';
     if (targetUid === book?.ownerId || book?.members?.[targetUid] === 'Owner') return 'owner';
-    if (book?.members?.[targetUid] === 'Co-author') return 'coauthor';
+    if (book?.members?.[targetUid]) return 'member';
     if (targetUid === user?.uid) return 'self';
     return 'inviteable';
   }, [book?.members, book?.ownerId, user?.uid]);
@@ -1324,6 +1430,28 @@ const BookDetail = () => {
     fetchCoAuthorDetails();
   }, [coAuthors, coAuthorModalOpen]);
 
+  // Member names for live-editing cursors and presence.
+  const memberKey = useMemo(() => Object.keys(book?.members || {}).sort().join(','), [book?.members]);
+  useEffect(() => {
+    if (!bookId || !canEdit || !memberKey) {
+      setBookCollaborators([]);
+      return undefined;
+    }
+    let cancelled = false;
+    collabApi.listBookCollaborators({ bookId })
+      .then((result) => {
+        if (cancelled) return;
+        setBookCollaborators(result?.collaborators || []);
+        setOwnershipTransfer(result?.ownershipTransfer || null);
+      })
+      .catch((error) => {
+        console.error('Error loading book collaborators:', error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [bookId, canEdit, memberKey]);
+
   // Initialize co-author modal state once per open to avoid resetting form controls.
   useEffect(() => {
     if (!coAuthorModalOpen) {
@@ -2316,6 +2444,7 @@ const BookDetail = () => {
             <DialogTitle className="text-2xl font-bold text-gray-800">Manage Co-Authors</DialogTitle>
             <DialogDescription className="mt-2 text-gray-600">
               Invite users to collaborate on this book. Co-authors can edit pages but cannot delete chapters.
+              Commenters and viewers can read the book; commenters can also leave comments.
             </DialogDescription>
           </DialogHeader>
 
@@ -2342,9 +2471,11 @@ const BookDetail = () => {
               </div>
             )}
 
-            {coAuthorSlotsFull && (
+            {inviteSlotsFull && (
               <div className="rounded-lg border border-amber-200 bg-amber-50 px-3 py-2 text-sm text-amber-900">
-                Co-author limit reached. This book allows up to {COAUTHOR_SLOT_LIMIT} total co-author slots (active + pending invites).
+                {isCoAuthorInvite
+                  ? `Co-author limit reached. This book allows up to ${COAUTHOR_SLOT_LIMIT} total co-author slots (active + pending invites).`
+                  : `Reader limit reached. This book allows up to ${READER_SLOT_LIMIT} viewers and commenters (active + pending invites).`}
               </div>
             )}
 
@@ -2357,31 +2488,49 @@ const BookDetail = () => {
                 className="w-full"
                 disabled={disableCoAuthorActions}
               />
-              <div className="flex items-center justify-between rounded-md border border-border px-3 py-2">
-                <p className="text-xs text-muted-foreground">Invite permissions</p>
-                <div className="flex items-center gap-4">
-                  <label className="text-xs flex items-center gap-2 text-foreground">
-                    <input
-                      type="checkbox"
-                      checked={inviteCanManageMedia}
-                      onChange={(e) => setInviteCanManageMedia(e.target.checked)}
-                      disabled={disableCoAuthorActions}
-                    />
-                    Can manage media
-                  </label>
-                  {isOwner && (
+              <div className="flex items-center justify-between gap-3 rounded-md border border-border px-3 py-2">
+                <p className="text-xs text-muted-foreground">Invite as</p>
+                <div className="flex items-center gap-2 min-w-0">
+                  <span className="text-xs text-muted-foreground truncate">{INVITE_ROLE_LABELS[inviteRole].description}</span>
+                  <select
+                    className="h-8 rounded-md border border-border bg-card px-2 text-xs"
+                    value={inviteRole}
+                    onChange={(e) => setInviteRole(e.target.value)}
+                    disabled={!canInviteCoAuthors}
+                  >
+                    {Object.keys(INVITE_ROLE_LABELS).map((role) => (
+                      <option key={role} value={role}>{role}</option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+              {isCoAuthorInvite && (
+                <div className="flex items-center justify-between rounded-md border border-border px-3 py-2">
+                  <p className="text-xs text-muted-foreground">Invite permissions</p>
+                  <div className="flex items-center gap-4">
                     <label className="text-xs flex items-center gap-2 text-foreground">
-                        <input
-                          type="checkbox"
-                          checked={inviteCanInviteCoAuthors}
-                          onChange={(e) => setInviteCanInviteCoAuthors(e.target.checked)}
-                          disabled={disableCoAuthorActions}
-                        />
-                      Can invite co-authors
+                      <input
+                        type="checkbox"
+                        checked={inviteCanManageMedia}
+                        onChange={(e) => setInviteCanManageMedia(e.target.checked)}
+                        disabled={disableCoAuthorActions}
+                      />
+                      Can manage media
                     </label>
-                  )}
+                    {isOwner && (
+                      <label className="text-xs flex items-center gap-2 text-foreground">
+                          <input
+                            type="checkbox"
+                            checked={inviteCanInviteCoAuthors}
+                            onChange={(e) => setInviteCanInviteCoAuthors(e.target.checked)}
+                            disabled={disableCoAuthorActions}
+                          />
+                        Can invite co-authors
+                      </label>
+                    )}
+                  </div>
                 </div>
-              </div>
+              )}
               {isSearching && (
                 <p className="text-sm text-gray-500 mt-2">Searching...</p>
               )}
@@ -2393,14 +2542,15 @@ const BookDetail = () => {
                 {searchResults.map((searchUser) => {
                   const accessState = getSearchResultAccessState(searchUser.id);
                   const isOwnerResult = accessState === 'owner';
-                  const isCoAuthorResult = accessState === 'coauthor';
+                  const isMemberResult = accessState === 'member';
+                  const memberResultRole = isMemberResult ? book?.members?.[searchUser.id] : null;
                   const isSelfResult = accessState === 'self';
-                  const isAlreadyInBook = isOwnerResult || isCoAuthorResult || isSelfResult;
+                  const isAlreadyInBook = isOwnerResult || isMemberResult || isSelfResult;
                   const inviteDisabledForResult = disableCoAuthorActions || isAlreadyInBook;
                   const buttonLabel = isOwnerResult
                     ? 'Owner'
-                    : isCoAuthorResult
-                      ? 'Co-author'
+                    : isMemberResult
+                      ? memberResultRole
                       : isSelfResult
                         ? 'You'
                         : 'Invite';
@@ -2428,8 +2578,8 @@ const BookDetail = () => {
                             {isOwnerResult && (
                               <span className="coauthor-search-result-badge coauthor-search-result-badge-owner text-[10px] px-2 py-0.5 rounded-full">Owner</span>
                             )}
-                            {isCoAuthorResult && (
-                              <span className="coauthor-search-result-badge coauthor-search-result-badge-member text-[10px] px-2 py-0.5 rounded-full">Already co-author</span>
+                            {isMemberResult && (
+                              <span className="coauthor-search-result-badge coauthor-search-result-badge-member text-[10px] px-2 py-0.5 rounded-full">Already {memberResultRole.toLowerCase()}</span>
                             )}
                             {isSelfResult && (
                               <span className="coauthor-search-result-badge coauthor-search-result-badge-self text-[10px] px-2 py-0.5 rounded-full">Your account</span>
@@ -2453,12 +2603,33 @@ const BookDetail = () => {
               </div>
             )}
 
+            {/* No account with this address yet: invite by email */}
+            {canInviteByEmail && (
+              <div className="flex items-center justify-between gap-3 rounded-lg border border-dashed p-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-800 truncate">{searchEmail}</p>
+                  <p className="text-xs text-muted-foreground">
+                    No Airabook account yet. We will email them a link to sign up and join.
+                  </p>
+                </div>
+                <Button
+                  size="sm"
+                  onClick={() => handleInviteCoAuthor({ email: searchEmail })}
+                  className="flex items-center gap-1 shrink-0"
+                  disabled={disableCoAuthorActions}
+                >
+                  <Mail className="h-4 w-4" />
+                  Invite by email
+                </Button>
+              </div>
+            )}
+
             {/* Current Co-Authors */}
             <div className="border-t pt-4">
-              <h3 className="font-semibold text-gray-800 mb-2">Current Co-Authors</h3>
+              <h3 className="font-semibold text-gray-800 mb-2">Current Members</h3>
               {coAuthorUsers.length === 0 ? (
                 <p className="text-sm text-muted-foreground">
-                  No co-authors yet. Search for users above to invite them.
+                  No co-authors, commenters or viewers yet. Search for users above to invite them.
                 </p>
               ) : (
                 <div className="space-y-2">
@@ -2470,6 +2641,8 @@ const BookDetail = () => {
                       canRemoveCoAuthors: !!book?.memberPermissions?.[coAuthorUser.id]?.canRemoveCoAuthors,
                     };
                     const isSavingPermissions = permissionSavingUid === coAuthorUser.id;
+                    const memberRole = book?.members?.[coAuthorUser.id] || 'Co-author';
+                    const isTransferTarget = ownershipTransfer?.toUid === coAuthorUser.id;
                     return (
                       <div
                         key={coAuthorUser.id}
@@ -2482,20 +2655,78 @@ const BookDetail = () => {
                               <p className="text-sm font-medium text-gray-800">{coAuthorUser.displayName || 'Unknown User'}</p>
                               <p className="text-xs text-gray-500">{coAuthorUser.email}</p>
                             </div>
-                            <span className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded">Co-author</span>
-                          </div>
-                          {collaborationPermissions.canRemoveCoAuthors && (
-                            <Button
-                              variant="ghost"
-                              size="sm"
-                              onClick={() => handleRemoveCoAuthor(coAuthorUser.id)}
-                              className="text-red-600 hover:text-red-700"
+                            <span
+                              className={`text-xs px-2 py-1 rounded ${memberRole === 'Co-author' ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-700'}`}
                             >
-                              <X className="h-4 w-4" />
-                            </Button>
-                          )}
+                              {memberRole}
+                            </span>
+                            {isTransferTarget && (
+                              <span className="text-xs px-2 py-1 rounded bg-amber-100 text-amber-800">
+                                Ownership offered
+                              </span>
+                            )}
+                          </div>
+                          <div className="flex items-center gap-1">
+                            {isOwner && memberRole === 'Co-author' && (
+                              isTransferTarget ? (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={handleCancelOwnershipTransfer}
+                                  disabled={isTransferBusy}
+                                  className="text-xs"
+                                >
+                                  Cancel transfer
+                                </Button>
+                              ) : confirmTransferUid === coAuthorUser.id ? (
+                                <>
+                                  <Button
+                                    size="sm"
+                                    variant="appPrimary"
+                                    onClick={() => handleProposeOwnershipTransfer(coAuthorUser.id)}
+                                    disabled={isTransferBusy}
+                                    className="text-xs"
+                                  >
+                                    {isTransferBusy && <Loader2 className="h-3 w-3 mr-1 animate-spin" />}
+                                    Confirm
+                                  </Button>
+                                  <Button variant="ghost" size="sm" onClick={() => setConfirmTransferUid('')} className="text-xs">
+                                    Keep
+                                  </Button>
+                                </>
+                              ) : (
+                                <Button
+                                  variant="ghost"
+                                  size="sm"
+                                  onClick={() => setConfirmTransferUid(coAuthorUser.id)}
+                                  disabled={isTransferBusy}
+                                  title="Make this co-author the owner of the book"
+                                  className="flex items-center gap-1 text-xs"
+                                >
+                                  <Crown className="h-3.5 w-3.5" />
+                                  Make owner
+                                </Button>
+                              )
+                            )}
+                            {collaborationPermissions.canRemoveCoAuthors && (
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() => handleRemoveCoAuthor(coAuthorUser.id)}
+                                className="text-red-600 hover:text-red-700"
+                              >
+                                <X className="h-4 w-4" />
+                              </Button>
+                            )}
+                          </div>
                         </div>
-                        {isOwner && (
+                        {confirmTransferUid === coAuthorUser.id && (
+                          <p className="text-xs text-muted-foreground">
+                            {coAuthorUser.displayName || 'This co-author'} will own the book, its album and its storage
+                            once they accept. You will stay on as a co-author.
+                          </p>
+                        )}
+                        {isOwner && memberRole === 'Co-author' && (
                           <div className="grid grid-cols-2 gap-2 text-xs">
                             {[
                               ['canManageMedia', 'Manage media'],
@@ -2589,6 +2820,9 @@ const BookDetail = () => {
                   <Eye className="h-3 w-3" />
                   Preview
                 </Button>
+                <BookExportMenu bookId={bookId} isOwner={isOwner} className="h-8 text-xs" />
+                {isOwner && <ShareLinksDialog bookId={bookId} className="h-8 text-xs" />}
+                <ConsistencyReviewDialog bookId={bookId} className="h-8 text-xs" />
                 <VoiceAssistantButton
                   bookId={bookId}
                   chapterId={selectedChapterId}
@@ -2611,11 +2845,11 @@ const BookDetail = () => {
                     <Button
                       variant="outline"
                       onClick={() => setCoAuthorModalOpen(true)}
-                      disabled={disableCoAuthorActions}
+                      disabled={!canInviteCoAuthors || (coAuthorSlotsFull && readerSlotsFull)}
                       title={!canInviteCoAuthors
                         ? 'You do not have permission to add co-authors.'
                         : (coAuthorSlotsFull
-                          ? `Co-author limit reached (${COAUTHOR_SLOT_LIMIT} total slots).`
+                          ? `Co-author limit reached (${COAUTHOR_SLOT_LIMIT} total slots). You can still invite viewers and commenters.`
                           : undefined)}
                       className="flex items-center gap-2 h-8 text-xs"
                     >
@@ -2634,6 +2868,19 @@ const BookDetail = () => {
                   pageId={selectedPageId}
                   className="h-10 rounded-xl px-5 text-sm font-semibold"
                 />
+                <BookExportMenu
+                  bookId={bookId}
+                  isOwner={isOwner}
+                  className="h-10 rounded-xl px-5 text-sm font-semibold"
+                  iconClassName="h-4 w-4"
+                />
+                {isOwner && (
+                  <ShareLinksDialog
+                    bookId={bookId}
+                    className="h-10 rounded-xl px-5 text-sm font-semibold"
+                    iconClassName="h-4 w-4"
+                  />
+                )}
                 <Button
                   variant="outline"
                   onClick={() => navigate(`/book/${bookId}`)}
@@ -2644,6 +2891,14 @@ const BookDetail = () => {
                 </Button>
               </div>
             )}
+            {readerRole && (
+              <span
+                className="rounded-full bg-app-gray-100 px-3 py-1 text-xs font-medium text-app-gray-600"
+                title={INVITE_ROLE_LABELS[readerRole].description}
+              >
+                {readerRole === 'Commenter' ? 'You can read and comment' : 'View only'}
+              </span>
+            )}
           </div>
 
           {/* Main Content */}
@@ -2980,6 +3235,7 @@ const BookDetail = () => {
                               bookId={bookId}
                               chapterId={selectedChapterId}
                               onSuggestionSelect={setChapterChatInput}
+                              onPageCreated={() => fetchPages(selectedChapterId)}
                             />
                           </div>
                         </div>
@@ -3028,6 +3284,13 @@ const BookDetail = () => {
                                   standardPageHeightPx={standardPageHeightPx}
                                   readOnly={isForcedReadRoute || !canEdit}
                                   canUploadMedia={isOwner || collaborationPermissions.canManageMedia}
+                                  collaborators={bookCollaborators}
+                                  isBookOwner={isOwner}
+                                  canComment={canComment}
+                                  focusCommentThreadId={p.id === focusedPageIdFromQuery ? focusedCommentIdFromQuery : null}
+                                  focusPassage={p.id === focusedPageIdFromQuery && focusedPassageFromQuery
+                                    ? (p.plainText || '').slice(focusedPassageFromQuery.start, focusedPassageFromQuery.end) || null
+                                    : null}
                                 />
                               </div>
                             ))}
@@ -4,6 +4,7 @@ import { useAuth } from '@/context/AuthContext';
 import { Button } from '@/components/ui/button';
 import { PlusCircle, Sparkles, BookOpen } from 'lucide-react';
 import BookCard from '@/components/BookCard';
+import RestoreBookBackupButton from '@/components/RestoreBookBackupButton';
 import StatCard from '@/components/app/StatCard';
 import AppLoader from '@/components/app/AppLoader';
 import { doc, getDoc } from 'firebase/firestore';
@@ -153,7 +154,8 @@ const Books = () => {
               Manage your library and continue writing where you left off.
             </p>
           </div>
-          <div className="flex justify-start sm:justify-end">
+          <div className="flex justify-start gap-2 sm:justify-end">
+            <RestoreBookBackupButton />
             <Button
               onClick={() => navigate('/create-book')}
               variant="appPrimary"
@@ -1,5 +1,5 @@
 import React, { Suspense, lazy, useState, useEffect, useRef, useCallback } from 'react';
-import { useLocation } from 'react-router-dom';
+import { Link, useLocation } from 'react-router-dom';
 import { Button } from '@/components/ui/button';
 import { Send, Sparkles, BookText, X, History, Plus, Loader2 } from 'lucide-react';
 import { useAuth } from '@/context/AuthContext';
@@ -12,6 +12,7 @@ import {
   buildUiActionStateKey,
 } from '@/lib/chatUiEvents';
 import { executeChatUiAction } from '@/services/chatUiActionService';
+import { getSourceLabel, getSourcePath } from '@/lib/chatSources';
 import StreamUiCards from '@/components/chat/StreamUiCards';
 import {
   DropdownMenu,
@@ -833,11 +834,19 @@ const Dashboard = () => {
                       <div className="mt-3 pt-3 border-t border-gray-100 text-sm text-gray-500">
                         <p className="font-medium mb-1">Sources:</p>
                         <div className="flex flex-wrap gap-2">
-                          {msg.sources.map((source, i) => (
-                            <span key={i} className="bg-gray-50 px-2 py-1 rounded border border-gray-200 text-xs">
-                              {source.shortNote}
-                            </span>
-                          ))}
+                          {msg.sources.map((source, i) => {
+                            const sourcePath = getSourcePath(source);
+                            const className = 'bg-gray-50 px-2 py-1 rounded border border-gray-200 text-xs';
+                            return sourcePath ? (
+                              <Link key={i} to={sourcePath} className={`${className} hover:bg-gray-100`} title={source.chapterTitle || undefined}>
+                                {getSourceLabel(source)}
+                              </Link>
+                            ) : (
+                              <span key={i} className={className} title={source.chapterTitle || undefined}>
+                                {getSourceLabel(source)}
+                              </span>
+                            );
+                          })}
                         </div>
                       </div>
                     )}
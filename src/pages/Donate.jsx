@@ -120,7 +120,7 @@ const BillingPage = () => {
       subtitle: `${BILLING_PLANS.free.includedCreditsMonthly} starter credits with lightweight workspace limits`,
       features: [
         `${BILLING_PLANS.free.books} books, up to ${BILLING_PLANS.free.pages} total pages`,
-        `${BILLING_PLANS.free.storageMb} MB storage cap`,
+        `${BILLING_PLANS.free.storageMb} MB storage cap, videos up to ${BILLING_PLANS.free.videoMaxSeconds / 60} min`,
         'Basic AI help until credits run out',
         'Manual writing and reading always available',
       ],
@@ -133,7 +133,7 @@ const BillingPage = () => {
       features: [
         `${BILLING_PLANS.creator.includedCreditsMonthly.toLocaleString()} monthly credits`,
         `${BILLING_PLANS.creator.books} books, up to ${BILLING_PLANS.creator.pages.toLocaleString()} total pages`,
-        `${BILLING_PLANS.creator.storageMb} MB storage cap`,
+        `${BILLING_PLANS.creator.storageMb} MB storage cap, videos up to ${BILLING_PLANS.creator.videoMaxSeconds / 60} min`,
         'Voice-enabled writing, speech translation, and 625 credit rollover',
       ],
     },
@@ -145,7 +145,7 @@ const BillingPage = () => {
       features: [
         `${BILLING_PLANS.pro.includedCreditsMonthly.toLocaleString()} monthly credits`,
         `${BILLING_PLANS.pro.books} books, up to ${BILLING_PLANS.pro.pages.toLocaleString()} total pages`,
-        `${Math.floor(BILLING_PLANS.pro.storageMb / 1024)} GB storage cap`,
+        `${Math.floor(BILLING_PLANS.pro.storageMb / 1024)} GB storage cap, videos up to ${BILLING_PLANS.pro.videoMaxSeconds / 60} min`,
         'Credits apply to AI, voice, images, and automations',
         '1,750 credit rollover cap',
       ],
@@ -158,7 +158,7 @@ const BillingPage = () => {
       features: [
         `${BILLING_PLANS.premium.includedCreditsMonthly.toLocaleString()} monthly credits`,
         `${BILLING_PLANS.premium.books} books, up to ${BILLING_PLANS.premium.pages.toLocaleString()} total pages`,
-        `${Math.floor(BILLING_PLANS.premium.storageMb / 1024)} GB storage cap`,
+        `${Math.floor(BILLING_PLANS.premium.storageMb / 1024)} GB storage cap, videos up to ${BILLING_PLANS.premium.videoMaxSeconds / 60} min`,
         'Priority queues and 4,000 credit rollover',
       ],
     },
@@ -38,7 +38,9 @@ const Login = () => {
   const { user, login, signInWithGoogle, resendVerificationEmail } = useAuth();
 
   // Redirect to dashboard by default, but respect the 'from' location if it exists
-  const from = location.state?.from?.pathname || "/dashboard";
+  // (keeping its query string, e.g. the token on /invite links)
+  const fromLocation = location.state?.from;
+  const from = fromLocation?.pathname ? `${fromLocation.pathname}${fromLocation.search || ''}` : "/dashboard";
 
   useEffect(() => {
     if (user && !user.emailVerified) {
@@ -191,7 +193,7 @@ const Login = () => {
 
           <p className="mt-2 text-center text-sm text-gray-600">
             Don't have an account?{' '}
-            <Link to="/signup" className="font-medium text-violet-600 hover:text-violet-500">
+            <Link to="/signup" state={location.state} className="font-medium text-violet-600 hover:text-violet-500">
               Sign up
             </Link>
           </p>
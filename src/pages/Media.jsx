@@ -14,6 +14,7 @@ import { httpsCallable } from 'firebase/functions';
 import { ref, uploadBytesResumable, getDownloadURL } from 'firebase/storage';
 import { auth, functions, storage } from '@/lib/firebase';
 import { ensureStorageUploadAuth, getStorageUploadDebugContext, logStorageUploadFailure } from '@/lib/storageUpload';
+import ResponsiveImage from '@/components/ui/ResponsiveImage';
 
 /**
  * Convert storage URL to emulator format if running in emulator mode
@@ -381,8 +382,10 @@ const AssetRegistry = () => {
                   >
                     <div className="relative aspect-square bg-app-gray-100">
                       {album.coverImage ? (
-                        <img
+                        <ResponsiveImage
                           src={convertToEmulatorURL(album.coverImage)}
+                          renditions={album.coverRenditions}
+                          sizes="(min-width: 1280px) 25vw, (min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
                           alt={album.name || 'Asset cover'}
                           className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-300"
                           onError={(e) => {
@@ -1,5 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
-import { Bell, Check, X } from 'lucide-react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, Check, Crown, MessageSquare, X } from 'lucide-react';
 import { useAuth } from '@/context/AuthContext';
 import { Button } from '@/components/ui/button';
 import { collabApi, getCallableErrorMessage } from '@/services/collabApi';
@@ -16,8 +17,17 @@ const formatDateTime = (value) => {
   }
 };
 
+const COMMENT_TYPES = ['page_comment', 'page_comment_reply'];
+const OWNERSHIP_TRANSFER_TYPE = 'ownership_transfer';
+const INVITE_ROLE_TEXT = {
+  'Co-author': 'invited you to co-author',
+  Commenter: 'invited you to read and comment on',
+  Viewer: 'invited you to read',
+};
+
 const Notifications = () => {
   const { appUser } = useAuth();
+  const navigate = useNavigate();
   const { toast } = useToast();
   const [items, setItems] = useState([]);
   const [loading, setLoading] = useState(false);
@@ -25,7 +35,7 @@ const Notifications = () => {
   const [nextCursor, setNextCursor] = useState(null);
   const [typeFilter, setTypeFilter] = useState('all');
   const [bookFilter, setBookFilter] = useState('all');
-  const [actingInviteId, setActingInviteId] = useState(null);
+  const [actingId, setActingId] = useState(null);
 
   const books = useMemo(() => {
     const source = Array.isArray(appUser?.accessibleBookIds) ? appUser.accessibleBookIds : [];
@@ -74,14 +84,25 @@ const Notifications = () => {
     loadNotifications({ reset: true, cursorId: null });
   }, [typeFilter, bookFilter, loadNotifications]);
 
-  const handleAction = async (inviteId, action) => {
-    setActingInviteId(inviteId);
+  const handleAction = async (item, action) => {
+    const isTransfer = item.type === OWNERSHIP_TRANSFER_TYPE;
+    setActingId(item.id);
     try {
-      await collabApi.respondCoAuthorInvite({ inviteId, action });
-      setItems((prev) => prev.filter((item) => item.inviteId !== inviteId));
-      toast({
-        title: action === 'accept' ? 'Invite accepted' : 'Invite declined',
-      });
+      const result = isTransfer
+        ? await collabApi.respondOwnershipTransfer({ bookId: item.bookId, action })
+        : await collabApi.respondCoAuthorInvite({ inviteId: item.inviteId, action });
+      setItems((prev) => prev.filter((entry) => entry.id !== item.id));
+      if (isTransfer) {
+        const accepted = result?.status === 'accepted';
+        toast({
+          title: accepted ? 'You now own this book' : (action === 'accept' ? 'Transfer no longer available' : 'Transfer declined'),
+        });
+        if (accepted) navigate(`/book/${item.bookId}`);
+      } else {
+        toast({
+          title: action === 'accept' ? 'Invite accepted' : 'Invite declined',
+        });
+      }
     } catch (error) {
       toast({
         title: 'Action failed',
@@ -89,7 +110,7 @@ const Notifications = () => {
         variant: 'destructive',
       });
     } finally {
-      setActingInviteId(null);
+      setActingId(null);
     }
   };
 
@@ -98,7 +119,7 @@ const Notifications = () => {
       <div className="flex items-center justify-between gap-4 flex-wrap">
         <div>
           <h1 className="text-3xl font-semibold text-foreground">Notifications</h1>
-          <p className="text-sm text-muted-foreground mt-1">Review collaboration requests and updates.</p>
+          <p className="text-sm text-muted-foreground mt-1">Review collaboration requests, comments and updates.</p>
         </div>
         <div className="flex items-center gap-2 flex-wrap">
           <select
@@ -107,7 +128,10 @@ const Notifications = () => {
             onChange={(e) => setTypeFilter(e.target.value)}
           >
             <option value="all">All types</option>
-            <option value="coauthor_invite">Co-author invites</option>
+            <option value="coauthor_invite">Invites</option>
+            <option value="page_comment">Comments</option>
+            <option value="page_comment_reply">Comment replies</option>
+            <option value="ownership_transfer">Ownership transfers</option>
           </select>
           <select
             className="h-10 rounded-lg border border-border bg-card px-3 text-sm"
@@ -136,16 +160,52 @@ const Notifications = () => {
         </div>
       ) : (
         <div className="space-y-3">
-          {items.map((item) => (
+          {items.map((item) => (COMMENT_TYPES.includes(item.type) ? (
             <div key={item.id} className="rounded-xl border border-border bg-card p-4">
               <div className="flex items-start justify-between gap-3">
-                <div className="space-y-1">
-                  <p className="text-sm font-semibold text-foreground">
-                    {item.ownerName || 'Book owner'} invited you to co-author
+                <div className="space-y-1 min-w-0">
+                  <p className="text-sm font-semibold text-foreground flex items-center gap-2">
+                    <MessageSquare className="h-4 w-4 text-muted-foreground shrink-0" />
+                    {item.actorName || 'A co-author'}
+                    {item.type === 'page_comment_reply' ? ' replied in ' : ' commented on '}
+                    {item.pageName || 'a page'}
                   </p>
                   <p className="text-sm text-muted-foreground">
                     Book: <span className="text-foreground">{item.bookTitle || 'Untitled Book'}</span>
                   </p>
+                  {item.excerpt && (
+                    <p className="text-sm text-foreground/80 italic break-words">&ldquo;{item.excerpt}&rdquo;</p>
+                  )}
+                  <p className="text-xs text-muted-foreground">
+                    Received {formatDateTime(item.createdAt)}
+                  </p>
+                </div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => navigate(`/book/${item.bookId}?chapter=${item.chapterId}&page=${item.pageId}&comment=${item.threadId}`)}
+                >
+                  Open page
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <div key={item.id} className="rounded-xl border border-border bg-card p-4">
+              <div className="flex items-start justify-between gap-3">
+                <div className="space-y-1">
+                  {item.type === OWNERSHIP_TRANSFER_TYPE ? (
+                    <p className="text-sm font-semibold text-foreground flex items-center gap-2">
+                      <Crown className="h-4 w-4 text-muted-foreground shrink-0" />
+                      {item.ownerName || 'Book owner'} wants to make you the owner of this book
+                    </p>
+                  ) : (
+                    <p className="text-sm font-semibold text-foreground">
+                      {item.ownerName || 'Book owner'} {INVITE_ROLE_TEXT[item.role] || INVITE_ROLE_TEXT['Co-author']}
+                    </p>
+                  )}
+                  <p className="text-sm text-muted-foreground">
+                    Book: <span className="text-foreground">{item.bookTitle || 'Untitled Book'}</span>
+                  </p>
                   <p className="text-xs text-muted-foreground">
                     Received {formatDateTime(item.createdAt)}
                   </p>
@@ -154,8 +214,8 @@ const Notifications = () => {
                   <Button
                     variant="outline"
                     size="sm"
-                    disabled={actingInviteId === item.inviteId}
-                    onClick={() => handleAction(item.inviteId, 'decline')}
+                    disabled={actingId === item.id}
+                    onClick={() => handleAction(item, 'decline')}
                     className="gap-1"
                   >
                     <X className="h-3.5 w-3.5" />
@@ -163,8 +223,8 @@ const Notifications = () => {
                   </Button>
                   <Button
                     size="sm"
-                    disabled={actingInviteId === item.inviteId}
-                    onClick={() => handleAction(item.inviteId, 'accept')}
+                    disabled={actingId === item.id}
+                    onClick={() => handleAction(item, 'accept')}
                     className="gap-1"
                   >
                     <Check className="h-3.5 w-3.5" />
@@ -173,7 +233,7 @@ const Notifications = () => {
                 </div>
               </div>
             </div>
-          ))}
+          )))}
         </div>
       )}
 
@@ -4,6 +4,7 @@ import { httpsCallable } from 'firebase/functions';
 import { useAuth } from '@/context/AuthContext';
 import { Button } from '@/components/ui/button';
 import { AppInput } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
 import { useToast } from '@/components/ui/use-toast';
 import { ref, uploadBytes, getDownloadURL } from 'firebase/storage';
 import { functions, storage } from '@/lib/firebase';
@@ -30,6 +31,7 @@ const ProfileSettings = () => {
   const [writingContext, setWritingContext] = useState('');
   const [agentSpeakingLanguage, setAgentSpeakingLanguage] = useState('English');
   const [userSpeakingLanguage, setUserSpeakingLanguage] = useState('English');
+  const [keepPhotoLocation, setKeepPhotoLocation] = useState(false);
 
   const [isSavingProfile, setIsSavingProfile] = useState(false);
   const [billingAction, setBillingAction] = useState('');
@@ -53,12 +55,14 @@ const ProfileSettings = () => {
     setWritingContext(activeWritingContext);
     setAgentSpeakingLanguage(activeAgentSpeakingLanguage);
     setUserSpeakingLanguage(activeUserSpeakingLanguage);
+    setKeepPhotoLocation(storedProfile.keepPhotoLocation === true);
     setCustomAvatar('');
     setInitialProfile({
       displayName: activeDisplayName,
       writingContext: activeWritingContext,
       agentSpeakingLanguage: activeAgentSpeakingLanguage,
       userSpeakingLanguage: activeUserSpeakingLanguage,
+      keepPhotoLocation: storedProfile.keepPhotoLocation === true,
       avatar: activeAvatar || '',
     });
   }, [appUser, user]);
@@ -74,9 +78,10 @@ const ProfileSettings = () => {
       writingContext !== initialProfile.writingContext ||
       agentSpeakingLanguage !== initialProfile.agentSpeakingLanguage ||
       userSpeakingLanguage !== initialProfile.userSpeakingLanguage ||
+      keepPhotoLocation !== initialProfile.keepPhotoLocation ||
       (selectedAvatar || '') !== (initialProfile.avatar || '')
     );
-  }, [displayName, writingContext, agentSpeakingLanguage, userSpeakingLanguage, selectedAvatar, initialProfile]);
+  }, [displayName, writingContext, agentSpeakingLanguage, userSpeakingLanguage, keepPhotoLocation, selectedAvatar, initialProfile]);
 
   const [isUploading, setIsUploading] = useState(false);
   const planState = normalizePlanState(billing);
@@ -146,6 +151,7 @@ const ProfileSettings = () => {
     setWritingContext(initialProfile.writingContext);
     setAgentSpeakingLanguage(initialProfile.agentSpeakingLanguage);
     setUserSpeakingLanguage(initialProfile.userSpeakingLanguage);
+    setKeepPhotoLocation(initialProfile.keepPhotoLocation);
     setCurrentAvatar(initialProfile.avatar || '');
     setCustomAvatar('');
   };
@@ -182,6 +188,7 @@ const ProfileSettings = () => {
         writingContext,
         agentSpeakingLanguage,
         userSpeakingLanguage,
+        keepPhotoLocation,
         language: agentSpeakingLanguage,
       });
 
@@ -197,6 +204,7 @@ const ProfileSettings = () => {
         writingContext,
         agentSpeakingLanguage,
         userSpeakingLanguage,
+        keepPhotoLocation,
         avatar: selectedAvatar || '',
       });
     } catch (error) {
@@ -364,6 +372,20 @@ const ProfileSettings = () => {
                   </div>
                 </div>
               </div>
+
+              <div className="flex items-start justify-between gap-4 rounded-2xl border border-border/70 bg-muted/20 p-4">
+                <div>
+                  <h2 className="text-sm font-semibold text-foreground">Keep photo locations</h2>
+                  <p className="mt-1 text-sm text-muted-foreground">
+                    Photos are turned upright and their GPS position is removed when they are uploaded to your books. Turn this on to keep where they were taken.
+                  </p>
+                </div>
+                <Switch
+                  checked={keepPhotoLocation}
+                  onCheckedChange={setKeepPhotoLocation}
+                  aria-label="Keep photo locations"
+                />
+              </div>
             </div>
             </section>
 
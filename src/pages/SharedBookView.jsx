@@ -0,0 +1,151 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { Helmet } from 'react-helmet';
+import { Loader2, Lock } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import BookViewLayout from '@/components/BookViewLayout';
+import { shareLinkApi } from '@/services/shareLinkApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+
+/**
+ * Public, read-only view of a book opened from a share link. No sign-in:
+ * the whole book comes back from `resolveShareLink` in one sanitized payload.
+ */
+const SharedBookView = () => {
+  const { token } = useParams();
+  const [status, setStatus] = useState('loading');
+  const [shared, setShared] = useState(null);
+  const [passcode, setPasscode] = useState('');
+  const [passcodeError, setPasscodeError] = useState('');
+  const [errorMessage, setErrorMessage] = useState('');
+  const [selectedChapterId, setSelectedChapterId] = useState(null);
+  const [selectedPageId, setSelectedPageId] = useState(null);
+
+  const openLink = useCallback(async (attempt = '') => {
+    try {
+      const result = await shareLinkApi.resolveShareLink({ token, passcode: attempt });
+      if (result?.passcodeRequired) {
+        setStatus('passcode');
+        return;
+      }
+      setShared(result);
+      const firstChapter = result?.chapters?.[0];
+      setSelectedChapterId(firstChapter?.id || null);
+      setSelectedPageId(firstChapter?.pages?.[0]?.id || null);
+      setStatus('ready');
+    } catch (error) {
+      if (attempt && error?.code === 'functions/permission-denied') {
+        setPasscodeError(getCallableErrorMessage(error, 'Incorrect passcode.'));
+        setStatus('passcode');
+        return;
+      }
+      setErrorMessage(getCallableErrorMessage(error, 'This share link is no longer available.'));
+      setStatus('error');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    setStatus('loading');
+    openLink();
+  }, [openLink]);
+
+  const handlePasscodeSubmit = async (e) => {
+    e.preventDefault();
+    if (!passcode.trim()) return;
+    setPasscodeError('');
+    setStatus('unlocking');
+    await openLink(passcode);
+  };
+
+  const chapters = shared?.chapters || [];
+  const pages = useMemo(
+    () => chapters.find((chapter) => chapter.id === selectedChapterId)?.pages || [],
+    [chapters, selectedChapterId]
+  );
+
+  const handleSelectChapter = (chapterId) => {
+    setSelectedChapterId(chapterId);
+    const chapterPages = chapters.find((chapter) => chapter.id === chapterId)?.pages || [];
+    setSelectedPageId((current) => (
+      chapterPages.some((page) => page.id === current) ? current : (chapterPages[0]?.id || null)
+    ));
+  };
+
+  const title = shared?.book?.title || 'Shared book';
+
+  if (status === 'loading') {
+    return (
+      <div className="flex justify-center items-center min-h-[60vh] text-sm text-app-gray-600">
+        <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+        Opening shared book...
+      </div>
+    );
+  }
+
+  if (status === 'passcode' || status === 'unlocking') {
+    return (
+      <div className="min-h-[60vh] flex items-center justify-center px-4">
+        <form
+          onSubmit={handlePasscodeSubmit}
+          className="max-w-sm w-full bg-white rounded-2xl shadow-appSoft border border-app-gray-100 p-6 space-y-4 text-center"
+        >
+          <div className="mx-auto h-10 w-10 rounded-full bg-app-iris/10 text-app-iris flex items-center justify-center">
+            <Lock className="h-5 w-5" />
+          </div>
+          <h1 className="text-lg font-semibold text-app-gray-900">This book is protected</h1>
+          <p className="text-sm text-app-gray-600">Enter the passcode you were given to open it.</p>
+          <Input
+            type="password"
+            value={passcode}
+            onChange={(e) => setPasscode(e.target.value)}
+            placeholder="Passcode"
+            autoFocus
+          />
+          {passcodeError && <p className="text-xs text-red-600">{passcodeError}</p>}
+          <Button type="submit" variant="appPrimary" className="w-full" disabled={status === 'unlocking' || !passcode.trim()}>
+            {status === 'unlocking' && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Open book
+          </Button>
+        </form>
+      </div>
+    );
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="min-h-[60vh] flex flex-col items-center justify-center gap-4 px-4 text-center">
+        <h1 className="text-lg font-semibold text-app-gray-900">Link unavailable</h1>
+        <p className="text-sm text-app-gray-600 max-w-sm">{errorMessage}</p>
+        <Button asChild variant="outline">
+          <Link to="/">Go to Airabook</Link>
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <Helmet>
+        <title>{`${title} - Airabook`}</title>
+      </Helmet>
+      <BookViewLayout
+        book={shared.book}
+        chapters={chapters}
+        pages={pages}
+        selectedChapterId={selectedChapterId}
+        selectedPageId={selectedPageId}
+        onSelectChapter={handleSelectChapter}
+        onSelectPage={setSelectedPageId}
+        headerAction={(
+          <p className="text-xs text-app-gray-600">
+            Shared with you, read-only.{' '}
+            <Link to="/signup" className="text-app-iris hover:underline">Make your own book on Airabook</Link>
+          </p>
+        )}
+      />
+    </>
+  );
+};
+
+export default SharedBookView;
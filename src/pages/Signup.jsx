@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { Helmet } from 'react-helmet';
 import { UserPlus, User, Mail, Lock } from 'lucide-react';
@@ -34,9 +34,14 @@ const Signup = () => {
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
+  const location = useLocation();
   const { toast } = useToast();
   const { signup, signInWithGoogle } = useAuth();
 
+  // Invite links send people here and expect to come back afterwards.
+  const fromLocation = location.state?.from;
+  const from = fromLocation?.pathname ? `${fromLocation.pathname}${fromLocation.search || ''}` : '/dashboard';
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
@@ -46,7 +51,7 @@ const Signup = () => {
         title: "✅ Account created!",
         description: "Welcome! Please check your email to verify your account.",
       });
-      navigate('/dashboard');
+      navigate(from);
     } catch (error) {
       console.error("Failed to sign up", error);
       toast({
@@ -61,7 +66,7 @@ const Signup = () => {
   const handleGoogleSignIn = async () => {
     try {
       await signInWithGoogle();
-      navigate('/dashboard');
+      navigate(from);
     } catch (error) {
       console.error("Failed to sign in with Google", error);
       toast({
@@ -166,7 +171,7 @@ const Signup = () => {
 
           <p className="mt-2 text-center text-sm text-gray-600">
             Already have an account?{' '}
-            <Link to="/login" className="font-medium text-violet-600 hover:text-violet-500">
+            <Link to="/login" state={location.state} className="font-medium text-violet-600 hover:text-violet-500">
               Sign in
             </Link>
           </p>
@@ -14,6 +14,7 @@ import { Button } from "@/components/ui/button";
 import { Avatar, AvatarFallback, AvatarImage } from "@/components/ui/avatar";
 import { useToast } from "@/components/ui/use-toast";
 import { Loader2, RefreshCw } from "lucide-react";
+import PromptRegistryPanel from "./PromptRegistryPanel";
 
 const AdminDashboard = () => {
     const [users, setUsers] = useState([]);
@@ -91,7 +92,7 @@ const AdminDashboard = () => {
             <div className="flex justify-between items-center mb-8">
                 <div>
                     <h1 className="text-3xl font-bold tracking-tight">Admin Dashboard</h1>
-                    <p className="text-muted-foreground mt-2">Manage users and system resources.</p>
+                    <p className="text-muted-foreground mt-2">Manage users, system resources and AI prompts.</p>
                 </div>
                 <Button onClick={fetchUsers} variant="outline" size="sm">
                     <RefreshCw className="mr-2 h-4 w-4" />
@@ -167,6 +168,8 @@ const AdminDashboard = () => {
                     </TableBody>
                 </Table>
             </div>
+
+            <PromptRegistryPanel />
         </div>
     );
 };
@@ -0,0 +1,257 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Loader2, RefreshCw, RotateCcw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Textarea } from "@/components/ui/textarea";
+import { useToast } from "@/components/ui/use-toast";
+import { promptRegistryApi } from '@/services/promptRegistryApi';
+import { getCallableErrorMessage } from '@/services/collabApi';
+
+const formatDate = (value) => (
+    value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : ''
+);
+
+const activeTemplateOf = (prompt) => (
+    prompt.versions.find((version) => version.version === prompt.activeVersion)?.template || prompt.defaultTemplate
+);
+
+/**
+ * Prompt library: edit the registered AI prompt templates, save each change
+ * as a new version and switch back to any earlier one (or the built-in v0).
+ */
+const PromptRegistryPanel = () => {
+    const { toast } = useToast();
+    const [prompts, setPrompts] = useState([]);
+    const [selectedId, setSelectedId] = useState('');
+    const [draft, setDraft] = useState('');
+    const [note, setNote] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [activatingVersion, setActivatingVersion] = useState(null);
+
+    const selected = prompts.find((prompt) => prompt.promptId === selectedId) || null;
+
+    const loadPrompts = useCallback(async (keepDraft = false) => {
+        setLoading(true);
+        try {
+            const result = await promptRegistryApi.listPrompts();
+            const next = result?.prompts || [];
+            setPrompts(next);
+            setSelectedId((current) => {
+                const id = next.some((prompt) => prompt.promptId === current) ? current : next[0]?.promptId || '';
+                const prompt = next.find((item) => item.promptId === id);
+                if (prompt && !keepDraft) setDraft(activeTemplateOf(prompt));
+                return id;
+            });
+        } catch (error) {
+            console.error("Error loading prompts:", error);
+            toast({
+                title: "Error",
+                description: getCallableErrorMessage(error, 'Failed to load prompts.'),
+                variant: "destructive"
+            });
+        } finally {
+            setLoading(false);
+        }
+    }, [toast]);
+
+    useEffect(() => {
+        loadPrompts();
+    }, [loadPrompts]);
+
+    const selectPrompt = (promptId) => {
+        const prompt = prompts.find((item) => item.promptId === promptId);
+        setSelectedId(promptId);
+        setDraft(prompt ? activeTemplateOf(prompt) : '');
+        setNote('');
+    };
+
+    const handleSave = async (activate) => {
+        if (!selected) return;
+        setSaving(true);
+        try {
+            const result = await promptRegistryApi.savePromptVersion({
+                promptId: selected.promptId,
+                template: draft,
+                note,
+                activate,
+            });
+            toast({
+                title: "Prompt saved",
+                description: activate
+                    ? `Version ${result.version} is now live.`
+                    : `Version ${result.version} saved; version ${result.activeVersion} stays live.`,
+                variant: "appSuccess"
+            });
+            setNote('');
+            await loadPrompts(true);
+        } catch (error) {
+            console.error("Error saving prompt:", error);
+            toast({
+                title: "Save failed",
+                description: getCallableErrorMessage(error, 'Failed to save the prompt.'),
+                variant: "destructive"
+            });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleActivate = async (version) => {
+        if (!selected) return;
+        setActivatingVersion(version);
+        try {
+            await promptRegistryApi.activatePromptVersion({ promptId: selected.promptId, version });
+            toast({
+                title: "Prompt switched",
+                description: version === 0 ? 'The built-in template is live again.' : `Version ${version} is now live.`,
+                variant: "appSuccess"
+            });
+            await loadPrompts();
+        } catch (error) {
+            console.error("Error activating prompt version:", error);
+            toast({
+                title: "Switch failed",
+                description: getCallableErrorMessage(error, 'Failed to switch the prompt version.'),
+                variant: "destructive"
+            });
+        } finally {
+            setActivatingVersion(null);
+        }
+    };
+
+    const versions = selected
+        ? [...selected.versions, { version: 0, template: selected.defaultTemplate, note: 'Built-in template' }]
+        : [];
+    const unchanged = selected && draft === activeTemplateOf(selected);
+
+    return (
+        <div className="rounded-md border bg-card text-card-foreground shadow p-6 mt-10">
+            <div className="flex justify-between items-start gap-4 mb-6">
+                <div>
+                    <h2 className="text-xl font-semibold tracking-tight">Prompt library</h2>
+                    <p className="text-sm text-muted-foreground mt-1">
+                        Each save is a new version; activate an older one to roll back. Check a change offline first
+                        with <code className="text-xs">node scripts/eval-prompt.js</code> in <code className="text-xs">functions/</code>.
+                    </p>
+                </div>
+                <Button onClick={() => loadPrompts()} variant="outline" size="sm" disabled={loading}>
+                    <RefreshCw className="mr-2 h-4 w-4" />
+                    Refresh
+                </Button>
+            </div>
+
+            {loading && !selected ? (
+                <div className="flex justify-center py-10">
+                    <Loader2 className="h-6 w-6 animate-spin text-app-iris" />
+                </div>
+            ) : !selected ? (
+                <p className="text-sm text-muted-foreground">No prompts registered.</p>
+            ) : (
+                <div className="grid gap-6 lg:grid-cols-[minmax(0,2fr)_minmax(0,1fr)]">
+                    <div className="space-y-3">
+                        <select
+                            className="w-full h-10 rounded-md border border-app-gray-200 bg-white px-3 text-sm"
+                            value={selectedId}
+                            onChange={(e) => selectPrompt(e.target.value)}
+                        >
+                            {prompts.map((prompt) => (
+                                <option key={prompt.promptId} value={prompt.promptId}>
+                                    {prompt.label} (v{prompt.activeVersion} live)
+                                </option>
+                            ))}
+                        </select>
+                        <p className="text-xs text-muted-foreground">{selected.description}</p>
+                        <div className="flex flex-wrap gap-1.5 text-xs">
+                            {selected.variables.map((name) => (
+                                <code
+                                    key={name}
+                                    className="rounded bg-app-iris/10 px-1.5 py-0.5 text-app-iris"
+                                    title={selected.required.includes(name) ? 'Required' : 'Optional'}
+                                >
+                                    {`{{${name}}}`}{selected.required.includes(name) ? ' *' : ''}
+                                </code>
+                            ))}
+                            <span className="text-muted-foreground">
+                                * required · optional text: {'{{#if name}}...{{else}}...{{/if}}'}
+                            </span>
+                        </div>
+                        <Textarea
+                            value={draft}
+                            onChange={(e) => setDraft(e.target.value)}
+                            rows={16}
+                            className="font-mono text-xs"
+                        />
+                        <div className="flex flex-wrap items-center gap-2">
+                            <Input
+                                value={note}
+                                onChange={(e) => setNote(e.target.value)}
+                                placeholder="What changed?"
+                                maxLength={200}
+                                className="flex-1 min-w-[200px]"
+                            />
+                            <Button variant="outline" onClick={() => handleSave(false)} disabled={saving || unchanged}>
+                                Save draft
+                            </Button>
+                            <Button variant="appPrimary" onClick={() => handleSave(true)} disabled={saving || unchanged}>
+                                {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                Save & activate
+                            </Button>
+                        </div>
+                    </div>
+
+                    <div className="space-y-2">
+                        <h3 className="text-sm font-semibold">Versions</h3>
+                        <div className="max-h-[480px] overflow-y-auto space-y-2">
+                            {versions.map((version) => {
+                                const isActive = version.version === selected.activeVersion;
+                                return (
+                                    <div key={version.version} className="rounded-md border border-border p-3 text-sm space-y-1">
+                                        <div className="flex items-center justify-between gap-2">
+                                            <span className="font-medium">
+                                                {version.version === 0 ? 'Built-in (v0)' : `v${version.version}`}
+                                            </span>
+                                            {isActive ? (
+                                                <span className="rounded-full bg-app-violet/10 px-2 py-0.5 text-xs font-medium text-app-violet">
+                                                    Live
+                                                </span>
+                                            ) : (
+                                                <Button
+                                                    variant="appGhost"
+                                                    size="sm"
+                                                    onClick={() => handleActivate(version.version)}
+                                                    disabled={activatingVersion !== null}
+                                                >
+                                                    {activatingVersion === version.version ? (
+                                                        <Loader2 className="h-4 w-4 animate-spin" />
+                                                    ) : version.version < selected.activeVersion ? (
+                                                        <><RotateCcw className="mr-1 h-3 w-3" />Roll back</>
+                                                    ) : (
+                                                        'Activate'
+                                                    )}
+                                                </Button>
+                                            )}
+                                        </div>
+                                        {version.note && <p className="text-xs text-muted-foreground">{version.note}</p>}
+                                        {version.createdAt && (
+                                            <p className="text-xs text-muted-foreground">{formatDate(version.createdAt)}</p>
+                                        )}
+                                        <button
+                                            type="button"
+                                            className="text-xs text-app-iris hover:underline"
+                                            onClick={() => setDraft(version.template)}
+                                        >
+                                            Load into editor
+                                        </button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PromptRegistryPanel;
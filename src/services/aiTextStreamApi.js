@@ -0,0 +1,70 @@
+import { auth, getFunctionUrl } from '@/lib/firebase';
+import { parseErrorResponse, parseSseEvent } from '@/lib/aiStream';
+
+/**
+ * POST to one of the AI text stream endpoints (functions/textGenerator.js)
+ * and read its server-sent events. `onChunk` gets each piece of text as it
+ * arrives; resolves with the `done` payload ({ text, aborted, ... }).
+ * Aborting `signal` stops generation server-side too and rejects with an
+ * AbortError.
+ */
+const streamText = async (name, { onChunk, signal, ...payload }) => {
+  const user = auth.currentUser;
+  if (!user) {
+    throw new Error('User must be authenticated.');
+  }
+
+  const idToken = await user.getIdToken();
+  const response = await fetch(getFunctionUrl(name), {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${idToken}`,
+    },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!response.ok || !response.body) {
+    await parseErrorResponse(response);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let text = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let separatorIndex = buffer.indexOf('\n\n');
+    while (separatorIndex !== -1) {
+      const rawEvent = buffer.slice(0, separatorIndex).replace(/\r/g, '').trim();
+      buffer = buffer.slice(separatorIndex + 2);
+      separatorIndex = buffer.indexOf('\n\n');
+
+      const parsed = rawEvent ? parseSseEvent(rawEvent) : null;
+      if (!parsed) continue;
+      if (parsed.event === 'chunk' && parsed.data?.text) {
+        text += parsed.data.text;
+        onChunk?.(parsed.data.text, text);
+      } else if (parsed.event === 'done') {
+        return parsed.data || { text };
+      } else if (parsed.event === 'error') {
+        throw new Error(parsed.data?.message || 'Failed to generate text.');
+      }
+    }
+  }
+
+  throw new Error('The connection closed before the text was finished.');
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+export const aiTextStreamApi = {
+  // Same payload as the rewriteNote callable.
+  rewriteNote: (payload) => streamText('rewriteNoteStream', payload),
+  // { bookId, chapterId, prompt }; a finished draft is saved as a new page (`pageId` in the result).
+  generateChapterContent: (payload) => streamText('generateChapterContentStream', payload),
+};
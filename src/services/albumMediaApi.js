@@ -0,0 +1,61 @@
+import { collection, doc, getDoc, getDocs, limit, orderBy, query, startAfter } from 'firebase/firestore';
+import { firestore } from '@/lib/firebase';
+
+export const ALBUM_MEDIA_PAGE_SIZE = 60;
+// Media pickers load one larger page instead of paginating.
+export const ALBUM_PICKER_PAGE_SIZE = 200;
+
+const keyOf = (item) => item.storagePath || item.url;
+
+// Same id as albumMediaId() in functions/services/albumMediaService.js
+const albumMediaId = async (storagePathOrUrl) => {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(String(storagePathOrUrl)));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Albums not migrated yet keep their media in `images` / `videos` arrays on the album doc.
+const legacyAlbumMedia = (albumData = {}) => [
+  ...(albumData.images || []).map((item) => ({ item, type: 'image' })),
+  ...(albumData.videos || []).map((item) => ({ item, type: 'video' })),
+].map(({ item, type }) => (
+  typeof item === 'string'
+    ? { url: item, storagePath: null, name: item.split('/').pop()?.split('?')[0] || '', type }
+    : { ...item, type }
+)).filter((item) => item.url);
+
+export const albumMediaApi = {
+  // Media docs are written by the media triggers and are read-only for clients.
+  // Newest first; pass the returned cursor back for the next page.
+  listAlbumMedia: async ({ albumId, albumData = null, pageSize = ALBUM_MEDIA_PAGE_SIZE, cursor = null }) => {
+    const mediaRef = collection(firestore, 'albums', albumId, 'media');
+    const constraints = [orderBy('uploadedAt', 'desc'), limit(pageSize)];
+    if (cursor) constraints.push(startAfter(cursor));
+    const snap = await getDocs(query(mediaRef, ...constraints));
+    const items = snap.docs.map((mediaDoc) => ({ id: mediaDoc.id, ...mediaDoc.data() }));
+
+    if (!cursor && albumData) {
+      const seen = new Set(items.map(keyOf));
+      items.push(...legacyAlbumMedia(albumData).filter((item) => !seen.has(keyOf(item))));
+    }
+
+    return {
+      items,
+      cursor: snap.docs[snap.docs.length - 1] || null,
+      hasMore: snap.docs.length === pageSize,
+    };
+  },
+
+  // EXIF capture dates of specific items (e.g. fresh uploads), keyed by storage path.
+  // Items the upload trigger has not recorded yet, or without a date, are left out.
+  getCaptureDates: async (items = []) => {
+    const dates = new Map();
+    await Promise.all(items
+      .filter((item) => item?.albumId && item.storagePath)
+      .map(async (item) => {
+        const mediaSnap = await getDoc(doc(firestore, 'albums', item.albumId, 'media', await albumMediaId(item.storagePath)));
+        const capturedAt = mediaSnap.exists() ? mediaSnap.data()?.capturedAt : null;
+        if (capturedAt) dates.set(item.storagePath, capturedAt);
+      }));
+    return dates;
+  },
+};
@@ -0,0 +1,18 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/lib/firebase';
+
+// Exports render the whole book server-side, so allow well past the 70s default.
+const EXPORT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name, { timeout: EXPORT_TIMEOUT_MS });
+  const result = await fn(payload);
+  return result?.data;
+};
+
+export const bookExportApi = {
+  exportBookPdf: (payload) => call('exportBookPdf', payload),
+  exportBookEpub: (payload) => call('exportBookEpub', payload),
+  exportBookBackup: (payload) => call('exportBookBackup', payload),
+  importBookBackup: (payload) => call('importBookBackup', payload),
+};
@@ -15,7 +15,12 @@ export const collabApi = {
   setCoAuthorPermissions: (payload) => call('setCoAuthorPermissions', payload),
   listNotifications: (payload) => call('listNotifications', payload),
   listPendingCoAuthorInvites: (payload) => call('listPendingCoAuthorInvites', payload),
+  listBookCollaborators: (payload) => call('listBookCollaborators', payload),
   syncUserAuthFlags: (payload) => call('syncUserAuthFlags', payload),
+  claimEmailInvite: (payload) => call('claimEmailInvite', payload),
+  proposeOwnershipTransfer: (payload) => call('proposeOwnershipTransfer', payload),
+  respondOwnershipTransfer: (payload) => call('respondOwnershipTransfer', payload),
+  cancelOwnershipTransfer: (payload) => call('cancelOwnershipTransfer', payload),
   searchUsers: (searchTerm) => call('searchUsers', { searchTerm }),
 };
 
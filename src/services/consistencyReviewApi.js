@@ -0,0 +1,13 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+export const consistencyReviewApi = {
+  // Without `refresh` this returns the last stored review and spends no credits.
+  reviewBookConsistency: (payload) => call('reviewBookConsistency', payload),
+};
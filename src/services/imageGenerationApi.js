@@ -0,0 +1,26 @@
+import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { firestore, functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+const toDate = (value) => (typeof value?.toDate === 'function' ? value.toDate() : (value ? new Date(value) : null));
+
+export const imageGenerationApi = {
+  // Variations stay out of the album until saveGeneratedImage (see functions/generateImage.js).
+  generateImage: (payload) => call('generateImage', payload),
+  saveGeneratedImage: (payload) => call('saveGeneratedImage', payload),
+  // Written by generateImage and read-only for clients; newest first.
+  listGeneratedImages: async ({ bookId, max = 24 }) => {
+    const imagesRef = collection(firestore, 'books', bookId, 'generatedImages');
+    const snap = await getDocs(query(imagesRef, orderBy('createdAt', 'desc'), limit(max)));
+    return snap.docs.map((imageDoc) => {
+      const data = imageDoc.data() || {};
+      return { id: imageDoc.id, ...data, createdAt: toDate(data.createdAt) };
+    });
+  },
+};
@@ -0,0 +1,13 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+export const librarySearchApi = {
+  // Books, chapters, pages and albums the caller can read (see functions/searchLibrary.js).
+  searchLibrary: (payload) => call('searchLibrary', payload),
+};
@@ -0,0 +1,15 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+export const mediaDuplicateApi = {
+  // `{ exact, near }`: groups of album images, oldest first in each group.
+  listDuplicateMedia: (payload) => call('listDuplicateMedia', payload),
+  // Pages showing a merged copy are pointed at the kept item; the copies are deleted.
+  mergeDuplicateMedia: (payload) => call('mergeDuplicateMedia', payload),
+};
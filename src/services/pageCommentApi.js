@@ -0,0 +1,59 @@
+import { collection, onSnapshot, orderBy, query } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { firestore, functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+const toDate = (value) => (typeof value?.toDate === 'function' ? value.toDate() : (value ? new Date(value) : null));
+
+/**
+ * Group a flat, oldest-first comment list into threads (root + replies).
+ * Threads are ordered newest activity first.
+ */
+export const groupCommentThreads = (comments = []) => {
+  const threads = new Map();
+  comments.forEach((comment) => {
+    if (!comment.parentId) {
+      threads.set(comment.id, { ...comment, replies: threads.get(comment.id)?.replies || [] });
+    }
+  });
+  comments.forEach((comment) => {
+    if (comment.parentId && threads.has(comment.parentId)) {
+      threads.get(comment.parentId).replies.push(comment);
+    }
+  });
+  return [...threads.values()].sort((a, b) => {
+    const left = a.replies[a.replies.length - 1]?.createdAt || a.createdAt || 0;
+    const right = b.replies[b.replies.length - 1]?.createdAt || b.createdAt || 0;
+    return right - left;
+  });
+};
+
+export const pageCommentApi = {
+  // Comments are written by callables (which also notify members); clients only read them.
+  subscribePageComments: ({ bookId, chapterId, pageId }, onComments, onError) => {
+    const commentsRef = collection(firestore, 'books', bookId, 'chapters', chapterId, 'pages', pageId, 'comments');
+    return onSnapshot(
+      query(commentsRef, orderBy('createdAt', 'asc')),
+      (snap) => {
+        onComments(snap.docs.map((commentDoc) => {
+          const data = commentDoc.data() || {};
+          return {
+            id: commentDoc.id,
+            ...data,
+            createdAt: toDate(data.createdAt),
+            resolvedAt: toDate(data.resolvedAt),
+          };
+        }));
+      },
+      onError
+    );
+  },
+  createPageComment: (payload) => call('createPageComment', payload),
+  resolvePageComment: (payload) => call('resolvePageComment', payload),
+  deletePageComment: (payload) => call('deletePageComment', payload),
+};
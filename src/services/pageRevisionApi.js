@@ -0,0 +1,24 @@
+import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { firestore, functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+const toDate = (value) => (typeof value?.toDate === 'function' ? value.toDate() : (value ? new Date(value) : null));
+
+export const pageRevisionApi = {
+  // Revisions are written by syncPageDerivedData and are read-only for clients.
+  listPageRevisions: async ({ bookId, chapterId, pageId, max = 50 }) => {
+    const revisionsRef = collection(firestore, 'books', bookId, 'chapters', chapterId, 'pages', pageId, 'revisions');
+    const snap = await getDocs(query(revisionsRef, orderBy('createdAt', 'desc'), limit(max)));
+    return snap.docs.map((revisionDoc) => {
+      const data = revisionDoc.data() || {};
+      return { id: revisionDoc.id, ...data, createdAt: toDate(data.createdAt) };
+    });
+  },
+  restorePageRevision: (payload) => call('restorePageRevision', payload),
+};
@@ -0,0 +1,16 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+// Admin-only: the callables reject users without the admin claim.
+export const promptRegistryApi = {
+  listPrompts: () => call('listPrompts'),
+  savePromptVersion: (payload) => call('savePromptVersion', payload),
+  // version 0 restores the built-in template.
+  activatePromptVersion: (payload) => call('activatePromptVersion', payload),
+};
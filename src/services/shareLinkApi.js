@@ -0,0 +1,18 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '@/lib/firebase';
+
+const call = async (name, payload = {}) => {
+  const fn = httpsCallable(functions, name);
+  const result = await fn(payload);
+  return result?.data;
+};
+
+export const buildShareLinkUrl = (token) => `${window.location.origin}/share/${token}`;
+
+export const shareLinkApi = {
+  createShareLink: (payload) => call('createShareLink', payload),
+  listShareLinks: (payload) => call('listShareLinks', payload),
+  revokeShareLink: (payload) => call('revokeShareLink', payload),
+  // Works signed out: the token (and passcode, if any) is the credential.
+  resolveShareLink: (payload) => call('resolveShareLink', payload),
+};